@@ -1022,8 +1022,172 @@
       sendResponse({ recipient });
       return true;
     }
+    
+    if (message.action === 'startBatch') {
+      try {
+        startBatch(message);
+        sendResponse({ success: true });
+      } catch (error) {
+        console.error('NYLA Batch: Failed to start batch:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+      return true;
+    }
+    
+    if (message.action === 'getListMembers') {
+      sendResponse({ handles: getListMemberHandles() });
+      return true;
+    }
   });
   
+  // ===== BATCH TRANSFERS =====
+  
+  let activeBatch = null;
+  const transferHistory = new NYLATransferHistory();
+  
+  const BATCH_STATUS_LABELS = {
+    pending: '⏳ Pending',
+    sending: '✍️ Inserting...',
+    sent: '✅ Inserted',
+    failed: '❌ Failed',
+    skipped: '⏭️ Skipped'
+  };
+  
+  // Start a batch queue and show its panel on the page
+  function startBatch({ amount, token, chain, recipients }) {
+    activeBatch = new NYLABatchTransfer({
+      amount,
+      token,
+      chain,
+      recipients,
+      onChange: renderBatchPanel
+    });
+    console.log('NYLA Batch: Started batch for', recipients.length, 'recipients');
+    renderBatchPanel();
+  }
+  
+  // Insert the next command of the active batch into the compose box
+  async function insertNextBatchCommand() {
+    if (!activeBatch) return;
+    const batch = activeBatch;
+    const item = await batch.sendNext(command => insertCommand(NYLACommandGrammar.addSignature(command, 'dash')));
+    
+    // Log inserted commands in the popup's transfer history
+    if (item && item.status === NYLABatchTransfer.STATUS.SENT) {
+      transferHistory.record({
+        action: 'transfer',
+        amount: batch.amount,
+        token: batch.token,
+        chain: batch.chain,
+        recipient: item.recipient,
+        delivery: NYLATransferHistory.DELIVERY.INJECTED
+      }).catch(error => console.log('NYLA Batch: Failed to save history entry:', error));
+    }
+  }
+  
+  // Render the floating batch panel with per-item status
+  function renderBatchPanel() {
+    let panel = document.getElementById('nyla-batch-panel');
+    
+    if (!activeBatch) {
+      if (panel) panel.remove();
+      return;
+    }
+    
+    if (!panel) {
+      panel = document.createElement('div');
+      panel.id = 'nyla-batch-panel';
+      panel.style.cssText = `
+        position: fixed;
+        bottom: 20px;
+        right: 20px;
+        width: 300px;
+        max-height: 60vh;
+        display: flex;
+        flex-direction: column;
+        background: #1a1a1a;
+        border: 1px solid #FF6B35;
+        border-radius: 12px;
+        box-shadow: 0 8px 24px rgba(0,0,0,0.4);
+        color: #ffffff;
+        font-family: -apple-system, BlinkMacSystemFont, sans-serif;
+        font-size: 13px;
+        z-index: 10000;
+      `;
+      document.body.appendChild(panel);
+    }
+    
+    const summary = activeBatch.getSummary();
+    const nextIndex = activeBatch.getNextIndex();
+    
+    panel.innerHTML = `
+      <div style="padding: 12px; border-bottom: 1px solid #333; display: flex; justify-content: space-between; align-items: center;">
+        <strong style="color: #FF6B35;">NYLA Batch ${activeBatch.amount} $${activeBatch.token}</strong>
+        <span style="color: #888;">${summary.sent}/${summary.total} inserted</span>
+      </div>
+      <div class="nyla-batch-items" style="overflow-y: auto; padding: 4px 12px; flex: 1;"></div>
+      <div style="padding: 12px; border-top: 1px solid #333; display: flex; gap: 8px;">
+        <button type="button" data-batch-action="next" style="flex: 2; background: #FF6B35; color: #000; border: none; border-radius: 8px; padding: 8px; font-weight: 600; cursor: pointer;" ${nextIndex === -1 ? 'disabled' : ''}>Insert next</button>
+        <button type="button" data-batch-action="skip" style="flex: 1; background: #333; color: #fff; border: none; border-radius: 8px; padding: 8px; cursor: pointer;" ${nextIndex === -1 ? 'disabled' : ''}>Skip</button>
+        <button type="button" data-batch-action="close" style="flex: 1; background: #333; color: #fff; border: none; border-radius: 8px; padding: 8px; cursor: pointer;">Close</button>
+      </div>
+    `;
+    
+    const itemsContainer = panel.querySelector('.nyla-batch-items');
+    activeBatch.items.forEach((item, index) => {
+      const row = document.createElement('div');
+      row.style.cssText = `
+        display: flex;
+        justify-content: space-between;
+        gap: 8px;
+        padding: 6px 0;
+        border-bottom: 1px solid #262626;
+        ${index === nextIndex ? 'color: #FF6B35;' : ''}
+      `;
+      
+      const name = document.createElement('span');
+      name.textContent = item.recipient;
+      const status = document.createElement('span');
+      status.textContent = BATCH_STATUS_LABELS[item.status];
+      if (item.error) status.title = item.error;
+      
+      row.appendChild(name);
+      row.appendChild(status);
+      
+      // Failed and skipped items can be queued again
+      if (item.status === 'failed' || item.status === 'skipped') {
+        status.style.cursor = 'pointer';
+        status.title = `${item.error ? item.error + ' - ' : ''}Click to retry`;
+        status.addEventListener('click', () => activeBatch.retry(index));
+      }
+      
+      itemsContainer.appendChild(row);
+    });
+    
+    panel.querySelector('[data-batch-action="next"]').addEventListener('click', insertNextBatchCommand);
+    panel.querySelector('[data-batch-action="skip"]').addEventListener('click', () => {
+      activeBatch.skip(activeBatch.getNextIndex());
+    });
+    panel.querySelector('[data-batch-action="close"]').addEventListener('click', () => {
+      activeBatch = null;
+      renderBatchPanel();
+    });
+  }
+  
+  // Collect @handles from the user cells of an X.com list members page
+  function getListMemberHandles() {
+    const handles = [];
+    document.querySelectorAll('[data-testid="UserCell"]').forEach(cell => {
+      const handleSpan = Array.from(cell.querySelectorAll('span'))
+        .find(span => /^@[A-Za-z0-9_]{1,15}$/.test(span.textContent.trim()));
+      if (handleSpan && !handles.includes(handleSpan.textContent.trim())) {
+        handles.push(handleSpan.textContent.trim());
+      }
+    });
+    console.log('NYLA Batch: Found', handles.length, 'list members');
+    return handles;
+  }
+  
   // Debug function - can be removed in production
   function debugComposeBoxes() {
     console.log('NYLA Transfer: Scanning for compose boxes...');
@@ -1518,4 +1682,100 @@
     startProfileMonitoring();
   }
   
+  // ===== AGENTNYLA COMMAND RECOGNITION =====
+  
+  // Describe a parsed command for the timeline badge
+  function describeCommand(command) {
+    if (command.action === 'swap') {
+      return `swap ${command.amount} $${command.token} → $${command.toToken} (${command.chain})`;
+    }
+    return `${command.amount} $${command.token} → ${command.recipient} (${command.chain})`;
+  }
+  
+  // Create a badge summarizing a recognised command; clicking copies it for edit & resend
+  function createCommandBadge(command) {
+    const canonical = command.action === 'swap'
+      ? NYLACommandGrammar.buildSwap({ ...command, fromToken: command.token })
+      : NYLACommandGrammar.buildTransfer(command);
+    
+    const badge = document.createElement('div');
+    badge.className = 'nyla-command-badge';
+    badge.title = 'Copy command to edit & resend with NYLA Go';
+    badge.textContent = `⚡ NYLA ${describeCommand(command)}`;
+    badge.style.cssText = `
+      display: inline-block;
+      margin-top: 6px;
+      padding: 2px 8px;
+      border-radius: 10px;
+      background: rgba(255, 107, 53, 0.12);
+      border: 1px solid rgba(255, 107, 53, 0.5);
+      color: #FF6B35;
+      font-size: 12px;
+      font-weight: 600;
+      cursor: pointer;
+    `;
+    
+    badge.addEventListener('click', async (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      try {
+        await navigator.clipboard.writeText(canonical);
+        badge.textContent = '✅ Copied - paste it in NYLA Go to edit & resend';
+      } catch (error) {
+        console.log('NYLA Commands: Clipboard copy failed:', error);
+        badge.textContent = `⚡ ${canonical}`;
+      }
+    });
+    
+    return badge;
+  }
+  
+  // Mark tweets in the timeline that carry AgentNyla commands
+  function scanTimelineForCommands() {
+    if (typeof NYLACommandGrammar === 'undefined') return;
+    
+    const tweetTexts = document.querySelectorAll('[data-testid="tweetText"]:not([data-nyla-scanned])');
+    tweetTexts.forEach(tweetText => {
+      tweetText.setAttribute('data-nyla-scanned', 'true');
+      
+      const found = NYLACommandGrammar.findCommands(tweetText.innerText || tweetText.textContent);
+      if (found.length === 0) return;
+      
+      console.log('NYLA Commands: Recognised commands in tweet:', found.map(item => item.command));
+      
+      // Insert after the tweet text so X.com's own rendering is left untouched
+      let anchor = tweetText;
+      found.forEach(({ command }) => {
+        const badge = createCommandBadge(command);
+        anchor.insertAdjacentElement('afterend', badge);
+        anchor = badge;
+      });
+    });
+  }
+  
+  // Rescan as X.com renders more tweets
+  function startCommandRecognition() {
+    let scanTimeout;
+    
+    scanTimelineForCommands();
+    
+    const observer = new MutationObserver(() => {
+      clearTimeout(scanTimeout);
+      scanTimeout = setTimeout(scanTimelineForCommands, 300);
+    });
+    
+    observer.observe(document.body, {
+      childList: true,
+      subtree: true
+    });
+    
+    console.log('NYLA Commands: Timeline recognition started');
+  }
+  
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', startCommandRecognition);
+  } else {
+    startCommandRecognition();
+  }
+  
 })();
\ No newline at end of file
@@ -116,8 +116,26 @@ class ExtensionI18nNext {
         "send.recipient.label": "Recipient Username on X",
         "send.recipient.placeholder": "@username",
         "send.amount.token": "Amount & Token",
+        "send.paste.label": "Edit & Resend a Command",
+        "send.paste.placeholder": "Paste a Hey @AgentNyla command",
+        "send.paste.button": "Load",
+        "send.contact.save": "☆ Save",
+        "send.contact.nickname": "Nickname (optional)",
+        "send.contact.confirm": "Save",
+        "send.batch.toggle": "Batch mode (multiple recipients)",
+        "send.batch.label": "Recipients on X",
+        "send.batch.placeholder": "@alice @bob, @carol",
+        "send.batch.import": "Import",
         "receive.username": "Your Username on X",
         "receive.amount.token": "Amount & Token", 
+        "receive.memo.label": "Memo / Invoice (optional)",
+        "receive.memo.placeholder": "What is this payment for?",
+        "receive.invoice.placeholder": "Invoice ID",
+        "receive.expiry.label": "Request Expires",
+        "receive.expiry.never": "Never",
+        "receive.expiry.1h": "In 1 hour",
+        "receive.expiry.24h": "In 24 hours",
+        "receive.expiry.7d": "In 7 days",
         "swap.amount.from": "Amount & From Token",
         "swap.to.token": "To Token",
         
@@ -140,6 +158,8 @@ class ExtensionI18nNext {
         "qr.instruction": "📱 Share this QR code to receive NYLA payments",
         "qr.instruction.dynamic": "📱 Share this QR code to receive {{token}} payments",
         "qr.hint": "Others can scan to send you tokens instantly",
+        "qr.card.png": "⬇️ PNG Card",
+        "qr.card.svg": "⬇️ SVG Card",
         "qr.toggle": "Switch to QR Code",
         
         // Status Messages
@@ -155,12 +175,31 @@ class ExtensionI18nNext {
         "menu.raids": "Community Raids",
         "menu.apps": "Community Apps",
         "menu.settings": "Settings",
+        "menu.history": "Transfer History",
+        
+        // Transfer History
+        "history.title": "📜 Transfer History",
+        "history.search.placeholder": "Search recipient, token or amount",
+        "history.filter.allActions": "All actions",
+        "history.filter.allChains": "All chains",
+        "history.action.transfer": "Transfers",
+        "history.action.swap": "Swaps",
+        "history.action.request": "Requests",
+        "history.export.csv": "⬇️ CSV",
+        "history.export.json": "⬇️ JSON",
+        "history.clear": "Clear",
+        "history.repeat": "Repeat",
+        "history.empty": "No commands yet. Transfers, swaps and shared requests you create will appear here.",
         
         // Settings
         "settings.title": "⚙️ Settings",
         "settings.username": "Your X Username", 
         "settings.language": "Language",
         "settings.username_help": "This will be used in the Receive tab",
+        "settings.backup": "Backup",
+        "settings.export": "⬇️ Export",
+        "settings.import": "⬆️ Import",
+        "settings.backup_help": "Username, language and address book contacts as a JSON file",
         
         // Community Raids
         "raids.title": "🎯 Community Raids",
@@ -217,8 +256,26 @@ class ExtensionI18nNext {
         "send.recipient.label": "收款人X用户名",
         "send.recipient.placeholder": "@用户名",
         "send.amount.token": "金额和代币",
+        "send.paste.label": "编辑并重新发送命令",
+        "send.paste.placeholder": "粘贴 Hey @AgentNyla 命令",
+        "send.paste.button": "载入",
+        "send.contact.save": "☆ 保存",
+        "send.contact.nickname": "昵称（可选）",
+        "send.contact.confirm": "保存",
+        "send.batch.toggle": "批量模式（多个收款人）",
+        "send.batch.label": "X上的收款人",
+        "send.batch.placeholder": "@alice @bob, @carol",
+        "send.batch.import": "导入",
         "receive.username": "您的X用户名",
         "receive.amount.token": "金额和代币",
+        "receive.memo.label": "备注 / 发票（可选）",
+        "receive.memo.placeholder": "这笔付款的用途？",
+        "receive.invoice.placeholder": "发票编号",
+        "receive.expiry.label": "请求有效期",
+        "receive.expiry.never": "永不过期",
+        "receive.expiry.1h": "1小时后",
+        "receive.expiry.24h": "24小时后",
+        "receive.expiry.7d": "7天后",
         "swap.amount.from": "金额和源代币",
         "swap.to.token": "目标代币",
         
@@ -241,6 +298,8 @@ class ExtensionI18nNext {
         "qr.instruction": "📱 分享此二维码接收NYLA付款",
         "qr.instruction.dynamic": "📱 分享此二维码接收{{token}}付款",
         "qr.hint": "其他人可以扫描并立即向您付款",
+        "qr.card.png": "⬇️ PNG 卡片",
+        "qr.card.svg": "⬇️ SVG 卡片",
         "qr.toggle": "切换到二维码",
         
         // Status Messages
@@ -256,12 +315,31 @@ class ExtensionI18nNext {
         "menu.raids": "社区活动",
         "menu.apps": "社区应用",
         "menu.settings": "设置",
+        "menu.history": "转账记录",
+        
+        // Transfer History
+        "history.title": "📜 转账记录",
+        "history.search.placeholder": "搜索收款人、代币或金额",
+        "history.filter.allActions": "全部操作",
+        "history.filter.allChains": "全部区块链",
+        "history.action.transfer": "转账",
+        "history.action.swap": "兑换",
+        "history.action.request": "收款请求",
+        "history.export.csv": "⬇️ CSV",
+        "history.export.json": "⬇️ JSON",
+        "history.clear": "清空",
+        "history.repeat": "重复",
+        "history.empty": "暂无记录。您创建的转账、兑换和分享的收款请求将显示在这里。",
         
         // Settings
         "settings.title": "⚙️ 设置",
         "settings.username": "您的X用户名",
         "settings.language": "语言",
         "settings.username_help": "这将在接收标签中使用",
+        "settings.backup": "备份",
+        "settings.export": "⬇️ 导出",
+        "settings.import": "⬆️ 导入",
+        "settings.backup_help": "以JSON文件保存用户名、语言和地址簿联系人",
         
         // Community Raids
         "raids.title": "🎯 社区活动",
@@ -121,7 +121,13 @@ export class OpenAIClient implements LLMClient {
 
       const result: InferResponse = {
         answer: parsedResponse.answer,
-        followups: finalFollowups.slice(0, 3) // Limit to 3
+        followups: finalFollowups.slice(0, 3), // Limit to 3
+        model: response.model || this.defaultModel,
+        usage: response.usage ? {
+          prompt_tokens: response.usage.prompt_tokens,
+          completion_tokens: response.usage.completion_tokens,
+          total_tokens: response.usage.total_tokens
+        } : undefined
       };
 
       // Log metrics including confidence
@@ -174,12 +180,15 @@ export class OpenAIClient implements LLMClient {
         temperature: params.temperature,
         max_tokens: params.max_tokens,
         top_p: params.top_p,
-        stream: true
+        stream: true,
+        // The last chunk then carries the token usage
+        stream_options: { include_usage: true }
       });
 
       let fullResponse = '';
       let inputTokens = 0;
       let outputTokens = 0;
+      let usageReported = false;
 
       for await (const chunk of stream) {
         const delta = chunk.choices[0]?.delta?.content || '';
@@ -199,16 +208,18 @@ export class OpenAIClient implements LLMClient {
         if (chunk.usage) {
           inputTokens = chunk.usage.prompt_tokens || 0;
           outputTokens = chunk.usage.completion_tokens || 0;
+          usageReported = true;
         }
       }
 
       const latencyMs = Date.now() - startTime;
 
-      // Emit final metadata event
+      // Emit final metadata event; prompt and completion tokens only when the provider reported them
       yield {
         type: 'meta',
         data: {
           tokens_used: inputTokens + outputTokens,
+          ...(usageReported ? { prompt_tokens: inputTokens, completion_tokens: outputTokens } : {}),
           model: this.defaultModel,
           latency_ms: latencyMs
         }
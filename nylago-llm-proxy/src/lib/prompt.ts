@@ -60,18 +60,8 @@ export function assemblePrompt(
     maxContextLength = 2000
   } = options;
 
-  // Use provided system prompt or default, ensuring JSON format is mentioned
-  let finalSystemPrompt = systemPrompt || DEFAULT_SYSTEM_PROMPT;
-  
-  // If custom system prompt doesn't mention JSON, append JSON requirement
-  if (systemPrompt && !systemPrompt.toLowerCase().includes('json')) {
-    finalSystemPrompt = `${systemPrompt}\n\nIMPORTANT: Always respond with valid JSON in this format:
-{
-  "answer": "your response here",
-  "followups": ["follow-up 1", "follow-up 2"],
-  "self_confidence": 0.8
-}`;
-  }
+  // A client's system prompt adds instructions (language, tool calls) to the default, it does not replace it
+  const finalSystemPrompt = systemPrompt ? `${DEFAULT_SYSTEM_PROMPT}\n\n${systemPrompt}` : DEFAULT_SYSTEM_PROMPT;
 
   // Prepare context section
   let contextSection = '';
@@ -30,10 +30,19 @@ export const LLMResponseSchema = z.object({
   self_confidence: z.number().min(0).max(1)
 });
 
+// Token usage reported by the model provider, for the client's cost accounting
+export const UsageSchema = z.object({
+  prompt_tokens: z.number(),
+  completion_tokens: z.number(),
+  total_tokens: z.number()
+});
+
 // Public inference response schema - simplified (no confidence exposed)
 export const InferResponseSchema = z.object({
   answer: z.string(),
-  followups: z.array(z.string()).max(3).default([])
+  followups: z.array(z.string()).max(3).default([]),
+  model: z.string().optional(),
+  usage: UsageSchema.optional()
 });
 
 // Streaming event types
@@ -46,6 +55,8 @@ export const StreamEventSchema = z.discriminatedUnion('type', [
     type: z.literal('meta'),
     data: z.object({
       tokens_used: z.number(),
+      prompt_tokens: z.number().optional(),
+      completion_tokens: z.number().optional(),
       model: z.string(),
       latency_ms: z.number()
     })
@@ -67,6 +78,7 @@ export const ErrorResponseSchema = z.object({
 // Type exports
 export type LLMParams = z.infer<typeof LLMParamsSchema>;
 export type InferRequest = z.infer<typeof InferRequestSchema>;
+export type Usage = z.infer<typeof UsageSchema>;
 export type InferResponse = z.infer<typeof InferResponseSchema>;
 export type StreamEvent = z.infer<typeof StreamEventSchema>;
 export type ErrorResponse = z.infer<typeof ErrorResponseSchema>;
\ No newline at end of file
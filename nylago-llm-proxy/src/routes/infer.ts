@@ -133,7 +133,9 @@ app.post('/', async (c) => {
     // Update response with deduplicated followups
     const finalResponse: InferResponse = {
       answer: response.answer,
-      followups: finalFollowups
+      followups: finalFollowups,
+      model: response.model,
+      usage: response.usage
     };
 
     const totalLatency = Date.now() - startTime;
@@ -20,6 +20,14 @@ const NYLA_COMMUNITY_DATA = {
       action: 'showApp',
       i18nKey: 'menu.apps'
     },
+    {
+      id: 'history',
+      name: 'Transfer History',
+      description: 'Repeat or export the commands you created',
+      icon: '📜',
+      action: 'showHistory',
+      i18nKey: 'menu.history'
+    },
     {
       id: 'settings',
       name: 'Settings',
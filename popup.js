@@ -12,6 +12,21 @@ document.addEventListener('DOMContentLoaded', function() {
   const recipientError = document.getElementById('recipientError');
   const amountError = document.getElementById('amountError');
   
+  // Edit & resend elements
+  const pasteCommandInput = document.getElementById('pasteCommand');
+  const loadCommandBtn = document.getElementById('loadCommandBtn');
+  const pasteCommandError = document.getElementById('pasteCommandError');
+  
+  // Batch transfer elements
+  const batchModeToggle = document.getElementById('batchModeToggle');
+  const singleRecipientGroup = document.getElementById('singleRecipientGroup');
+  const batchRecipientGroup = document.getElementById('batchRecipientGroup');
+  const batchRecipientsInput = document.getElementById('batchRecipients');
+  const batchRaidList = document.getElementById('batchRaidList');
+  const batchImportBtn = document.getElementById('batchImportBtn');
+  const batchSummary = document.getElementById('batchSummary');
+  const batchRecipientsError = document.getElementById('batchRecipientsError');
+  
   // Token management elements
   const manageTokensBtn = document.getElementById('manageTokensBtn');
   const receiveManageTokensBtn = document.getElementById('receiveManageTokensBtn');
@@ -20,6 +35,9 @@ document.addEventListener('DOMContentLoaded', function() {
   const modalOverlay = document.getElementById('modalOverlay');
   const closeModalBtn = document.getElementById('closeModalBtn');
   const newTokenInput = document.getElementById('newTokenInput');
+  const newTokenChain = document.getElementById('newTokenChain');
+  const newTokenAddress = document.getElementById('newTokenAddress');
+  const newTokenDecimals = document.getElementById('newTokenDecimals');
   const addTokenBtn = document.getElementById('addTokenBtn');
   const customTokensList = document.getElementById('customTokensList');
   const noCustomTokens = document.getElementById('noCustomTokens');
@@ -43,6 +61,7 @@ document.addEventListener('DOMContentLoaded', function() {
   const raidSection = document.getElementById('raidSection');
   const appSection = document.getElementById('appSection');
   const settingsSection = document.getElementById('settingsSection');
+  const historySection = document.getElementById('historySection');
   const raidListItems = document.querySelectorAll('.raid-list-item');
   const appVersionElement = document.getElementById('appVersion');
   
@@ -54,6 +73,29 @@ document.addEventListener('DOMContentLoaded', function() {
   const settingsUsername = document.getElementById('settingsUsername');
   const settingsLanguage = document.getElementById('settingsLanguage');
   const settingsBackButton = document.getElementById('settingsBackButton');
+  const settingsExportBtn = document.getElementById('settingsExportBtn');
+  const settingsImportBtn = document.getElementById('settingsImportBtn');
+  const settingsImportFile = document.getElementById('settingsImportFile');
+  
+  // Transfer history elements
+  const historyBackButton = document.getElementById('historyBackButton');
+  const historySearch = document.getElementById('historySearch');
+  const historyActionFilter = document.getElementById('historyActionFilter');
+  const historyChainFilter = document.getElementById('historyChainFilter');
+  const historyExportCsvBtn = document.getElementById('historyExportCsvBtn');
+  const historyExportJsonBtn = document.getElementById('historyExportJsonBtn');
+  const historyClearBtn = document.getElementById('historyClearBtn');
+  const historyList = document.getElementById('historyList');
+  const transferHistory = new NYLATransferHistory();
+  
+  // Address book elements
+  const recipientSuggestions = document.getElementById('recipientSuggestions');
+  const saveContactBtn = document.getElementById('saveContactBtn');
+  const contactNicknameGroup = document.getElementById('contactNicknameGroup');
+  const contactNicknameInput = document.getElementById('contactNickname');
+  const contactNicknameSaveBtn = document.getElementById('contactNicknameSaveBtn');
+  let addressBook = new NYLAAddressBook(window.NYLASharedSettings.getContacts());
+  let activeSuggestionIndex = -1;
   
   // Swap form elements
   const swapAmountInput = document.getElementById('swapAmount');
@@ -61,6 +103,7 @@ document.addEventListener('DOMContentLoaded', function() {
   const swapToTokenSelect = document.getElementById('swapToToken');
   const swapCommandPreview = document.getElementById('swapCommandPreview');
   const swapButton = document.getElementById('swapButton');
+  const swapAmountError = document.getElementById('swapAmountError');
   
   // Swap blockchain radio buttons
   const swapBlockchainRadios = document.querySelectorAll('input[name="swapBlockchain"]');
@@ -71,6 +114,16 @@ document.addEventListener('DOMContentLoaded', function() {
   const receiveTokenSelect = document.getElementById('receiveToken');
   const receiveQrCode = document.getElementById('receiveQrCode');
   const receiveBlockchainRadios = document.querySelectorAll('input[name="receiveBlockchain"]');
+  const receiveMemoInput = document.getElementById('receiveMemo');
+  const receiveInvoiceInput = document.getElementById('receiveInvoice');
+  const receiveExpirySelect = document.getElementById('receiveExpiry');
+  const receiveMemoError = document.getElementById('receiveMemoError');
+  const receiveAmountError = document.getElementById('receiveAmountError');
+  const downloadCardPngBtn = document.getElementById('downloadCardPngBtn');
+  const downloadCardSvgBtn = document.getElementById('downloadCardSvgBtn');
+  
+  // Payment request shown in the Receive QR code, used for card exports
+  let currentReceiveRequest = null;
   
   // Debug QR elements
   console.log('NYLA QR: Elements found:', {
@@ -79,9 +132,8 @@ document.addEventListener('DOMContentLoaded', function() {
     qrCodeDiv: !!qrCodeDiv
   });
   
-  // Default tokens in order
-  const defaultTokens = ['NYLA', 'SOL', 'ETH', 'ALGO', 'USDC', 'USDT'];
-  let customTokens = [];
+  // Per-chain tokens (same registry as PWA); built-in tokens until the KB facts load
+  let tokenRegistry = new NYLATokenRegistry();
   
   // Load saved values and custom tokens from storage
   loadSavedValues();
@@ -306,6 +358,8 @@ document.addEventListener('DOMContentLoaded', function() {
         } else if (action === 'showSettings') {
           // Switch to settings section
           showSettingsSection();
+        } else if (action === 'showHistory') {
+          showHistorySection();
         }
         
         // Close dropdown
@@ -321,6 +375,7 @@ document.addEventListener('DOMContentLoaded', function() {
     if (sendSection) sendSection.style.display = 'none';
     if (receiveSection) receiveSection.style.display = 'none';
     if (appSection) appSection.style.display = 'none';
+    if (historySection) historySection.style.display = 'none';
     
     // Show raid section
     if (raidSection) {
@@ -340,6 +395,7 @@ document.addEventListener('DOMContentLoaded', function() {
     if (sendSection) sendSection.style.display = 'none';
     if (receiveSection) receiveSection.style.display = 'none';
     if (raidSection) raidSection.style.display = 'none';
+    if (historySection) historySection.style.display = 'none';
     
     // Show app section
     if (appSection) {
@@ -360,6 +416,7 @@ document.addEventListener('DOMContentLoaded', function() {
     if (receiveSection) receiveSection.style.display = 'none';
     if (raidSection) raidSection.style.display = 'none';
     if (appSection) appSection.style.display = 'none';
+    if (historySection) historySection.style.display = 'none';
     
     // Show settings section
     if (settingsSection) {
@@ -370,11 +427,31 @@ document.addEventListener('DOMContentLoaded', function() {
     loadSettings();
     
     // Update tab states - make sure no tab appears active when showing settings section
+    actionTabs.forEach(tab => {
+      tab.classList.remove('active');
+    });
+  }  
+  // Function to show transfer history section
+  function showHistorySection() {
+    // Hide all tab sections
+    if (swapSection) swapSection.style.display = 'none';
+    if (sendSection) sendSection.style.display = 'none';
+    if (receiveSection) receiveSection.style.display = 'none';
+    if (raidSection) raidSection.style.display = 'none';
+    if (appSection) appSection.style.display = 'none';
+    if (settingsSection) settingsSection.style.display = 'none';
+    
+    if (historySection) {
+      historySection.style.display = 'block';
+    }
+    renderHistory();
+    
     actionTabs.forEach(tab => {
       tab.classList.remove('active');
     });
   }
 
+
   // Load settings from storage and current state
   function loadSettings() {
     // Load username from localStorage
@@ -410,38 +487,78 @@ document.addEventListener('DOMContentLoaded', function() {
   }
   
   // Token Management Functions
-  function updateTokenDropdown() {
-    if (!tokenSelect) return;
+  function getCheckedChain(radios) {
+    const checked = Array.from(radios).find(radio => radio && radio.checked);
+    return checked ? checked.value : NYLACommandGrammar.DEFAULT_CHAIN;
+  }
+  
+  function getChainForTokenSelect(select) {
+    if (select === receiveTokenSelect) return getCheckedChain(receiveBlockchainRadios);
+    if (select === swapFromTokenSelect || select === swapToTokenSelect) return getCheckedChain(swapBlockchainRadios);
+    return getCheckedChain(blockchainRadios);
+  }
+  
+  // Fill a token dropdown with the tokens of its form's blockchain
+  function fillTokenSelect(select, preferred) {
+    if (!select) return;
     
-    const currentValue = tokenSelect.value;
-    const allTokens = [...defaultTokens, ...customTokens];
+    const chain = getChainForTokenSelect(select);
+    const currentValue = select.value;
     
     // Clear existing options
-    tokenSelect.innerHTML = '';
+    select.innerHTML = '';
     
-    // Add all tokens to dropdown
-    allTokens.forEach(token => {
+    tokenRegistry.getTokens(chain).forEach(token => {
       const option = document.createElement('option');
-      option.value = token;
-      option.textContent = token;
-      tokenSelect.appendChild(option);
+      option.value = token.symbol;
+      option.textContent = token.symbol;
+      option.title = [token.name, NYLATokenRegistry.describeAddress(token)].filter(Boolean).join(' · ');
+      select.appendChild(option);
     });
     
-    // Restore previous selection if it still exists
-    if (allTokens.includes(currentValue)) {
-      tokenSelect.value = currentValue;
-    } else if (allTokens.length > 0) {
-      tokenSelect.value = allTokens[0]; // Default to first token (NYLA)
+    // Restore previous selection if the token exists on this chain
+    const current = tokenRegistry.find(chain, currentValue);
+    const fallback = tokenRegistry.find(chain, preferred);
+    select.value = (current || fallback || {}).symbol || tokenRegistry.getDefaultSymbol(chain);
+  }
+  
+  // Swap tokens for the chosen blockchain; "to" defaults to a token other than "from"
+  function fillSwapTokenSelects() {
+    if (!swapFromTokenSelect || !swapToTokenSelect) return;
+    
+    fillTokenSelect(swapFromTokenSelect);
+    const symbols = tokenRegistry.getSymbols(getCheckedChain(swapBlockchainRadios));
+    const alternative = symbols.find(symbol => symbol !== swapFromTokenSelect.value);
+    fillTokenSelect(swapToTokenSelect, alternative);
+    if (swapToTokenSelect.value === swapFromTokenSelect.value && alternative) {
+      swapToTokenSelect.value = alternative;
     }
+  }
+  
+  function updateTokenDropdown() {
+    fillTokenSelect(tokenSelect);
+    fillTokenSelect(receiveTokenSelect);
+    fillSwapTokenSelects();
     
     validateAndUpdateCommand();
+    updateSwapCommand();
+    generateReceiveQRCode();
+  }
+  
+  // Load the contracts facts; custom tokens loaded meanwhile are carried over
+  function loadTokenRegistry() {
+    NYLATokenRegistry.load('pwa/').then(registry => {
+      registry.setCustomTokens(tokenRegistry.getCustomTokens());
+      tokenRegistry = registry;
+      updateTokenDropdown();
+    });
   }
   
   function loadCustomTokens() {
     if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
       chrome.storage.local.get(['customTokens']).then(result => {
         if (result.customTokens && Array.isArray(result.customTokens)) {
-          customTokens = result.customTokens;
+          tokenRegistry.setCustomTokens(result.customTokens);
           updateTokenDropdown();
           updateCustomTokensList();
         }
@@ -451,7 +568,7 @@ document.addEventListener('DOMContentLoaded', function() {
         try {
           const saved = localStorage.getItem('customTokens');
           if (saved) {
-            customTokens = JSON.parse(saved);
+            tokenRegistry.setCustomTokens(JSON.parse(saved));
             updateTokenDropdown();
             updateCustomTokensList();
           }
@@ -464,7 +581,7 @@ document.addEventListener('DOMContentLoaded', function() {
       try {
         const saved = localStorage.getItem('customTokens');
         if (saved) {
-          customTokens = JSON.parse(saved);
+          tokenRegistry.setCustomTokens(JSON.parse(saved));
           updateTokenDropdown();
           updateCustomTokensList();
         }
@@ -475,6 +592,7 @@ document.addEventListener('DOMContentLoaded', function() {
   }
   
   function saveCustomTokens() {
+    const customTokens = tokenRegistry.getCustomTokens();
     if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
       chrome.storage.local.set({ customTokens: customTokens }).catch(err => {
         console.log('Failed to save custom tokens:', err);
@@ -498,22 +616,18 @@ document.addEventListener('DOMContentLoaded', function() {
   function updateCustomTokensList() {
     if (!customTokensList || !noCustomTokens) return;
     
-    console.log('NYLA: Updating custom tokens list. Current tokens:', customTokens);
+    const customTokens = tokenRegistry.getCustomTokens();
     
     // Always clear existing items first
-    const existingItems = customTokensList.querySelectorAll('.custom-token-item');
-    console.log('NYLA: Removing', existingItems.length, 'existing items');
-    existingItems.forEach(item => item.remove());
+    customTokensList.querySelectorAll('.custom-token-item').forEach(item => item.remove());
     
     // Check if we have custom tokens
     if (customTokens.length === 0) {
-      console.log('NYLA: No custom tokens, showing empty message');
       noCustomTokens.style.display = 'block';
       return;
     }
     
     // Hide "no tokens" message
-    console.log('NYLA: Hiding empty message, showing', customTokens.length, 'tokens');
     noCustomTokens.style.display = 'none';
     
     // Add custom token items
@@ -521,95 +635,83 @@ document.addEventListener('DOMContentLoaded', function() {
       const tokenItem = document.createElement('div');
       tokenItem.className = 'custom-token-item';
       
-      tokenItem.innerHTML = `
-        <span class="token-symbol">${token}</span>
-        <button type="button" class="remove-token-btn" data-token="${token}">Remove</button>
-      `;
+      const info = document.createElement('div');
+      info.className = 'token-info';
+      const symbol = document.createElement('span');
+      symbol.className = 'token-symbol';
+      symbol.textContent = token.symbol;
+      const details = document.createElement('span');
+      details.className = 'token-details';
+      // Tokens added before per-chain tokens have no chain and are listed everywhere
+      details.textContent = [token.chain || 'All chains', NYLATokenRegistry.describeAddress(token)].filter(Boolean).join(' · ');
+      info.append(symbol, details);
+      
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'remove-token-btn';
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', () => removeCustomToken(token.symbol, token.chain));
       
+      tokenItem.append(info, removeBtn);
       customTokensList.appendChild(tokenItem);
     });
-    
-    // Add event listeners to remove buttons
-    const removeButtons = customTokensList.querySelectorAll('.remove-token-btn');
-    removeButtons.forEach(btn => {
-      btn.addEventListener('click', function() {
-        const tokenToRemove = this.getAttribute('data-token');
-        removeCustomToken(tokenToRemove);
-      });
-    });
   }
   
-  function addCustomToken(tokenSymbol) {
-    // Validate token symbol
-    const cleanToken = tokenSymbol.trim().toUpperCase();
-    
+  // Add a custom token: { symbol, chain, address?, decimals? }
+  function addCustomToken(token) {
     // Clear previous errors
     if (tokenError) {
       tokenError.textContent = '';
     }
     
-    if (!cleanToken) {
-      if (tokenError) tokenError.textContent = 'Please enter a token symbol';
+    const result = tokenRegistry.addCustomToken(token);
+    if (!result.valid) {
+      if (tokenError) tokenError.textContent = Object.values(result.errors)[0];
       return false;
     }
     
-    if (cleanToken.length > 10) {
-      if (tokenError) tokenError.textContent = 'Token symbol must be 10 characters or less';
-      return false;
-    }
-    
-    if (!/^[A-Z0-9]+$/.test(cleanToken)) {
-      if (tokenError) tokenError.textContent = 'Token symbol can only contain letters and numbers';
-      return false;
-    }
-    
-    // Check if token already exists (in default or custom tokens)
-    if (defaultTokens.includes(cleanToken) || customTokens.includes(cleanToken)) {
-      if (tokenError) tokenError.textContent = 'Token already exists';
-      return false;
-    }
-    
-    // Add token
-    customTokens.push(cleanToken);
     saveCustomTokens();
     updateTokenDropdown();
     updateCustomTokensList();
     
-    // Clear input
-    if (newTokenInput) {
-      newTokenInput.value = '';
-    }
+    // Clear inputs
+    if (newTokenInput) newTokenInput.value = '';
+    if (newTokenAddress) newTokenAddress.value = '';
+    if (newTokenDecimals) newTokenDecimals.value = '';
     
     return true;
   }
   
-  function removeCustomToken(tokenSymbol) {
-    const index = customTokens.indexOf(tokenSymbol);
-    if (index > -1) {
-      // Remove from array
-      customTokens.splice(index, 1);
-      console.log('NYLA: Removed token:', tokenSymbol, 'Remaining:', customTokens);
-      
-      // Save to storage
-      saveCustomTokens();
-      
-      // Update UI immediately
-      updateTokenDropdown();
-      updateCustomTokensList();
-      
-      // If the removed token was selected in the dropdown, switch to default
-      if (tokenSelect && tokenSelect.value === tokenSymbol) {
-        tokenSelect.value = defaultTokens[0]; // Switch to NYLA
-        validateAndUpdateCommand(); // Update command preview
-      }
-    }
+  function addCustomTokenFromForm() {
+    addCustomToken({
+      symbol: newTokenInput ? newTokenInput.value : '',
+      chain: newTokenChain ? newTokenChain.value : getCheckedChain(blockchainRadios),
+      address: newTokenAddress ? newTokenAddress.value : '',
+      decimals: newTokenDecimals ? newTokenDecimals.value : ''
+    });
+  }
+  
+  function removeCustomToken(tokenSymbol, chain) {
+    tokenRegistry.removeCustomToken(tokenSymbol, chain);
+    console.log('NYLA: Removed token:', tokenSymbol, chain || 'all chains');
+    
+    // Save to storage
+    saveCustomTokens();
+    
+    // Update UI immediately; dropdowns fall back to the chain's default token
+    updateTokenDropdown();
+    updateCustomTokensList();
   }
   
   // Modal Management
-  function openModal() {
+  function openModal(select) {
     if (modalOverlay) {
       modalOverlay.style.display = 'flex';
     }
+    // New tokens default to the blockchain of the form that opened the modal
+    if (newTokenChain) {
+      newTokenChain.value = getChainForTokenSelect(select);
+    }
     // Clear any previous errors when opening modal
     if (tokenError) {
       tokenError.textContent = '';
@@ -633,16 +735,16 @@ document.addEventListener('DOMContentLoaded', function() {
   
   // Event Listeners for Token Management
   if (manageTokensBtn) {
-    manageTokensBtn.addEventListener('click', openModal);
+    manageTokensBtn.addEventListener('click', () => openModal(tokenSelect));
   }
   if (receiveManageTokensBtn) {
-    receiveManageTokensBtn.addEventListener('click', openModal);
+    receiveManageTokensBtn.addEventListener('click', () => openModal(receiveTokenSelect));
   }
   if (swapManageTokensBtn) {
-    swapManageTokensBtn.addEventListener('click', openModal);
+    swapManageTokensBtn.addEventListener('click', () => openModal(swapFromTokenSelect));
   }
   if (swapManageTokensBtn2) {
-    swapManageTokensBtn2.addEventListener('click', openModal);
+    swapManageTokensBtn2.addEventListener('click', () => openModal(swapToTokenSelect));
   }
   if (closeModalBtn) {
     closeModalBtn.addEventListener('click', closeModal);
@@ -657,9 +759,7 @@ document.addEventListener('DOMContentLoaded', function() {
   }
   
   if (addTokenBtn) {
-    addTokenBtn.addEventListener('click', function() {
-      addCustomToken(newTokenInput ? newTokenInput.value : '');
-    });
+    addTokenBtn.addEventListener('click', addCustomTokenFromForm);
   }
 
   // Settings Event Listeners
@@ -670,10 +770,36 @@ document.addEventListener('DOMContentLoaded', function() {
     settingsLanguage.addEventListener('change', saveSettings);
   }
   
+  // Settings backup through the shared settings (contacts reload via 'nyla-contacts-changed')
+  if (settingsExportBtn) {
+    settingsExportBtn.addEventListener('click', function() {
+      const blob = new Blob([window.NYLASharedSettings.exportSettings()], { type: 'application/json' });
+      NYLAPaymentCard.download(blob, 'nylago-settings.json');
+    });
+  }
+  if (settingsImportBtn && settingsImportFile) {
+    settingsImportBtn.addEventListener('click', () => settingsImportFile.click());
+    settingsImportFile.addEventListener('change', async function() {
+      const file = settingsImportFile.files[0];
+      settingsImportFile.value = '';
+      if (!file) return;
+      
+      if (window.NYLASharedSettings.importSettings(await file.text())) {
+        if (window.extensionI18n) await window.extensionI18n.changeLanguage(window.NYLASharedSettings.getLanguage());
+        loadSettings();
+        if (receiveUsernameInput) receiveUsernameInput.value = window.NYLASharedSettings.getUsername();
+        showStatus('Settings imported', 'success');
+      } else {
+        showStatus('Not a NYLA Go settings file', 'error');
+      }
+      setTimeout(hideStatus, 3000);
+    });
+  }
+  
   if (newTokenInput) {
     newTokenInput.addEventListener('keydown', function(e) {
       if (e.key === 'Enter') {
-        addCustomToken(this.value);
+        addCustomTokenFromForm();
       }
     });
     
@@ -689,6 +815,7 @@ document.addEventListener('DOMContentLoaded', function() {
   
   // Initialize custom tokens
   loadCustomTokens();
+  loadTokenRegistry();
   
   // Initialize app version
   updateAppVersion();
@@ -762,6 +889,11 @@ document.addEventListener('DOMContentLoaded', function() {
       return;
     }
     
+    if (isBatchMode()) {
+      validateAndUpdateBatchCommand();
+      return;
+    }
+    
     const recipient = recipientInput.value.trim();
     const amount = amountInput.value.trim();
     const token = tokenSelect.value;
@@ -773,45 +905,32 @@ document.addEventListener('DOMContentLoaded', function() {
     if (!blockchainRadio) return;
     const selectedBlockchain = blockchainRadio.value;
     
-    let isValid = true;
+    // Validate against the shared command grammar
+    const validation = NYLACommandGrammar.validateTransfer({
+      recipient,
+      amount,
+      token,
+      chain: selectedBlockchain
+    });
+    // Amounts must also fit the token's decimals
+    const amountMessage = validation.errors.amount || tokenRegistry.validateAmount(amount, selectedBlockchain, token);
+    const isValid = validation.valid && !amountMessage;
     
-    // Clear previous errors
     if (recipientError) {
-      recipientError.textContent = '';
+      recipientError.textContent = validation.errors.recipient || '';
     }
     if (amountError) {
-      amountError.textContent = '';
-    }
-    
-    // Validate recipient
-    if (!recipient) {
-      isValid = false;
-    } else if (!recipient.startsWith('@')) {
-      if (recipientError) recipientError.textContent = 'Username must start with @';
-      isValid = false;
-    } else if (recipient.length < 2) {
-      if (recipientError) recipientError.textContent = 'Please enter a valid username';
-      isValid = false;
-    }
-    
-    // Validate amount
-    if (!amount) {
-      isValid = false;
-    } else if (isNaN(amount) || parseFloat(amount) <= 0) {
-      if (amountError) amountError.textContent = 'Please enter a valid amount';
-      isValid = false;
+      amountError.textContent = amountMessage || '';
     }
     
     // Update command preview
     if (isValid && recipient && amount) {
-      let command;
-      if (selectedBlockchain === 'Solana') {
-        // Solana: Hey @AgentNyla transfer [AMOUNT] $[TOKEN] @[USERNAME]
-        command = `Hey @AgentNyla transfer ${amount} $${token} ${recipient}`;
-      } else {
-        // Non-Solana: Hey @AgentNyla transfer [AMOUNT] $[TOKEN] @[USERNAME] [BlockChain]
-        command = `Hey @AgentNyla transfer ${amount} $${token} ${recipient} ${selectedBlockchain}`;
-      }
+      const command = NYLACommandGrammar.buildTransfer({
+        amount,
+        token,
+        recipient,
+        chain: selectedBlockchain
+      });
       if (commandPreview) {
         commandPreview.textContent = command;
         commandPreview.classList.remove('empty');
@@ -846,14 +965,300 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
   
+  // Edit & resend: load a command pasted from a tweet back into the form
+  function loadPastedCommand() {
+    if (!pasteCommandInput) return;
+    
+    if (pasteCommandError) {
+      pasteCommandError.textContent = '';
+    }
+    
+    const result = NYLACommandGrammar.parseDetailed(pasteCommandInput.value, tokenRegistry);
+    
+    if (!result.ok) {
+      const { message, position, length } = result.error;
+      if (pasteCommandError) {
+        pasteCommandError.textContent = `${message} (at character ${position + 1})`;
+      }
+      // Highlight the offending part of the pasted text
+      pasteCommandInput.focus();
+      pasteCommandInput.setSelectionRange(position, position + Math.max(length, 1));
+      return;
+    }
+    
+    const parsed = result.command;
+    console.log('NYLA Extension: Loaded pasted command:', parsed);
+    fillFormFromCommand(parsed);
+    
+    pasteCommandInput.value = '';
+    showStatus('Command loaded - edit it and send again', 'success');
+    setTimeout(hideStatus, 2000);
+  }
+  
+  // Fill the Send or Swap form from { action, amount, token, toToken?, recipient, chain }
+  function fillFormFromCommand(parsed) {
+    if (parsed.action === 'swap') {
+      const swapTab = document.querySelector('.action-tab[data-tab="swap"]');
+      if (swapTab) swapTab.click();
+      
+      if (swapAmountInput) swapAmountInput.value = parsed.amount;
+      swapBlockchainRadios.forEach(radio => {
+        radio.checked = radio.value === parsed.chain;
+      });
+      fillSwapTokenSelects();
+      selectTokenOption(swapFromTokenSelect, parsed.chain, parsed.token);
+      selectTokenOption(swapToTokenSelect, parsed.chain, parsed.toToken);
+      updateSwapCommand();
+    } else {
+      const sendTab = document.querySelector('.action-tab[data-tab="send"]');
+      if (sendTab && !sendTab.classList.contains('active')) sendTab.click();
+      if (batchModeToggle && batchModeToggle.checked) {
+        batchModeToggle.checked = false;
+        toggleBatchMode();
+      }
+      
+      if (recipientInput) recipientInput.value = parsed.recipient;
+      if (amountInput) amountInput.value = parsed.amount;
+      blockchainRadios.forEach(radio => {
+        radio.checked = radio.value === parsed.chain;
+      });
+      fillTokenSelect(tokenSelect);
+      // Unknown tokens become custom tokens on the command's chain so the dropdown can select them
+      if (!tokenRegistry.find(parsed.chain, parsed.token)) {
+        addCustomToken({ symbol: parsed.token, chain: parsed.chain });
+      }
+      const token = tokenRegistry.find(parsed.chain, parsed.token);
+      if (tokenSelect && token) tokenSelect.value = token.symbol;
+      validateAndUpdateCommand();
+      saveValues();
+    }
+  }
+  
+  // Select a token in a dropdown, adding the option if the list does not have it yet
+  function selectTokenOption(select, chain, symbol) {
+    if (!select) return;
+    const known = tokenRegistry.find(chain, symbol);
+    const token = known ? known.symbol : symbol;
+    if (!Array.from(select.options).some(option => option.value === token)) {
+      const option = document.createElement('option');
+      option.value = token;
+      option.textContent = token;
+      select.appendChild(option);
+    }
+    select.value = token;
+  }
+  
+  if (loadCommandBtn) {
+    loadCommandBtn.addEventListener('click', loadPastedCommand);
+  }
+  
+  if (pasteCommandInput) {
+    pasteCommandInput.addEventListener('keydown', function(e) {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        loadPastedCommand();
+      }
+    });
+    
+    pasteCommandInput.addEventListener('input', function() {
+      if (pasteCommandError) {
+        pasteCommandError.textContent = '';
+      }
+    });
+  }
+  
+  // Batch transfer functions
+  function isBatchMode() {
+    return !!(batchModeToggle && batchModeToggle.checked);
+  }
+  
+  // Fill the import dropdown with the X.com lists from the raid section
+  function populateBatchRaidList() {
+    if (!batchRaidList || !window.NYLA_RAID_DATA) return;
+    
+    batchRaidList.innerHTML = '';
+    window.NYLA_RAID_DATA.categories.forEach(category => {
+      category.items
+        .filter(item => item.url.includes('/i/lists/'))
+        .forEach(item => {
+          const option = document.createElement('option');
+          option.value = item.url;
+          option.textContent = (window.extensionI18n && item.i18nNameKey) ?
+                               window.extensionI18n.t(item.i18nNameKey) : item.name;
+          batchRaidList.appendChild(option);
+        });
+    });
+  }
+  
+  function getBatchFields() {
+    const blockchainRadio = document.querySelector('input[name="blockchain"]:checked');
+    const parsed = NYLABatchTransfer.parseRecipients(batchRecipientsInput ? batchRecipientsInput.value : '');
+    return {
+      amount: amountInput.value.trim(),
+      token: tokenSelect.value,
+      chain: blockchainRadio ? blockchainRadio.value : NYLACommandGrammar.DEFAULT_CHAIN,
+      recipients: parsed.recipients,
+      parsed
+    };
+  }
+  
+  function validateAndUpdateBatchCommand() {
+    const fields = getBatchFields();
+    const { parsed } = fields;
+    const validation = NYLABatchTransfer.validate(fields);
+    const hasInput = !!(batchRecipientsInput && batchRecipientsInput.value.trim());
+    const amountMessage = validation.errors.amount || tokenRegistry.validateAmount(fields.amount, fields.chain, fields.token);
+    
+    if (amountError) {
+      amountError.textContent = fields.amount ? (amountMessage || '') : '';
+    }
+    
+    if (batchRecipientsError) {
+      if (parsed.invalid.length > 0) {
+        batchRecipientsError.textContent = `Invalid: ${parsed.invalid.map(entry => entry.value).join(', ')}`;
+      } else {
+        batchRecipientsError.textContent = hasInput ? (validation.errors.recipients || '') : '';
+      }
+    }
+    
+    if (batchSummary) {
+      const parts = [`${parsed.recipients.length} recipient${parsed.recipients.length === 1 ? '' : 's'}`];
+      if (parsed.duplicates.length > 0) {
+        parts.push(`${parsed.duplicates.length} duplicate${parsed.duplicates.length === 1 ? '' : 's'} removed`);
+      }
+      batchSummary.textContent = hasInput ? parts.join(' · ') : '';
+    }
+    
+    const isValid = validation.valid && !amountMessage && parsed.invalid.length === 0;
+    
+    if (isValid) {
+      const firstCommand = NYLACommandGrammar.buildTransfer({ ...fields, recipient: fields.recipients[0] });
+      const remaining = fields.recipients.length - 1;
+      commandPreview.textContent = remaining > 0 ? `${firstCommand}\n…and ${remaining} more` : firstCommand;
+      commandPreview.classList.remove('empty');
+    } else {
+      commandPreview.textContent = window.extensionI18n ?
+        window.extensionI18n.t('command.send.placeholder') : 'Fill in the fields above to see the command';
+      commandPreview.classList.add('empty');
+    }
+    
+    if (sendButton) {
+      sendButton.disabled = !isValid;
+    }
+    
+    // QR codes encode a single command
+    if (qrToggleBtn) {
+      qrToggleBtn.disabled = true;
+    }
+  }
+  
+  function toggleBatchMode() {
+    const batch = isBatchMode();
+    if (singleRecipientGroup) {
+      singleRecipientGroup.style.display = batch ? 'none' : '';
+    }
+    if (batchRecipientGroup) {
+      batchRecipientGroup.style.display = batch ? '' : 'none';
+    }
+    if (batch && isQRMode) {
+      toggleQRMode();
+    }
+    if (!batch && batchRecipientsError) {
+      batchRecipientsError.textContent = '';
+    }
+    validateAndUpdateCommand();
+  }
+  
+  // Import the members of a raid list from X.com (the list must be open in the active tab)
+  async function importBatchRecipients() {
+    if (!batchRaidList || !batchRaidList.value) return;
+    
+    const listUrl = batchRaidList.value;
+    try {
+      const [tab] = await chrome.tabs.query({active: true, currentWindow: true});
+      
+      if (!tab.url || !tab.url.startsWith(listUrl)) {
+        await chrome.tabs.update(tab.id, { url: `${listUrl}/members` });
+        showStatus('Opening list members on X.com - click Import again once it loads', 'success');
+        setTimeout(hideStatus, 4000);
+        return;
+      }
+      
+      const response = await chrome.tabs.sendMessage(tab.id, { action: 'getListMembers' });
+      const handles = (response && response.handles) || [];
+      if (handles.length === 0) {
+        showStatus('No members found - scroll the list and try again', 'error');
+        setTimeout(hideStatus, 3000);
+        return;
+      }
+      
+      const existing = batchRecipientsInput.value.trim();
+      batchRecipientsInput.value = existing ? `${existing}\n${handles.join(' ')}` : handles.join(' ');
+      validateAndUpdateCommand();
+      showStatus(`Imported ${handles.length} handles from the list`, 'success');
+      setTimeout(hideStatus, 3000);
+    } catch (error) {
+      console.error('NYLA Extension: Failed to import list members:', error);
+      showStatus('Could not read the list - reload X.com and try again', 'error');
+      setTimeout(hideStatus, 3000);
+    }
+  }
+  
+  // Hand the batch to the content script, which queues the commands on X.com
+  async function startBatchTransfer() {
+    const fields = getBatchFields();
+    if (!NYLABatchTransfer.validate(fields).valid || fields.parsed.invalid.length > 0) {
+      showStatus('Please fix the recipient list first', 'error');
+      setTimeout(hideStatus, 3000);
+      return;
+    }
+    
+    try {
+      const [tab] = await chrome.tabs.query({active: true, currentWindow: true});
+      if (!tab.url.includes('x.com') && !tab.url.includes('twitter.com')) {
+        showStatus('Open X.com to run a batch transfer', 'error');
+        setTimeout(hideStatus, 3000);
+        return;
+      }
+      
+      const response = await chrome.tabs.sendMessage(tab.id, {
+        action: 'startBatch',
+        amount: fields.amount,
+        token: fields.token,
+        chain: fields.chain,
+        recipients: fields.recipients
+      });
+      
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'Failed to start batch');
+      }
+      showStatus(`Batch of ${fields.recipients.length} queued on X.com`, 'success');
+      setTimeout(hideStatus, 3000);
+    } catch (error) {
+      console.error('NYLA Extension: Failed to start batch:', error);
+      showStatus('Could not reach X.com - reload the page and try again', 'error');
+      setTimeout(hideStatus, 3000);
+    }
+  }
+  
+  populateBatchRaidList();
+  
+  if (batchModeToggle) {
+    batchModeToggle.addEventListener('change', toggleBatchMode);
+  }
+  
+  if (batchRecipientsInput) {
+    batchRecipientsInput.addEventListener('input', validateAndUpdateCommand);
+  }
+  
+  if (batchImportBtn) {
+    batchImportBtn.addEventListener('click', importBatchRecipients);
+  }
+  
   // QR Code Functions
   function generateXMobileURL(command) {
-    // Add signature to command (linebreak for URL)
-    const commandWithSignature = addNYLAGoSignatureForURL(command);
-    // URL encode the command text
-    const encodedCommand = encodeURIComponent(commandWithSignature);
-    // Generate X.com compose URL with pre-filled text
-    return `https://x.com/intent/post?text=${encodedCommand}`;
+    // X.com compose URL with pre-filled text (linebreak signature)
+    return NYLACommandGrammar.buildIntentURL(command);
   }
   
   function updateQRCode(command) {
@@ -1002,6 +1407,7 @@ document.addEventListener('DOMContentLoaded', function() {
       
       if (command && commandPreview && !commandPreview.classList.contains('empty')) {
         console.log('NYLA QR: Generating QR code with command:', command);
+        recordHistory(getTransferHistoryFields(NYLATransferHistory.DELIVERY.QR));
         // Add a small delay to ensure UI is ready
         setTimeout(() => {
           updateQRCode(command);
@@ -1042,6 +1448,7 @@ document.addEventListener('DOMContentLoaded', function() {
       }
       validateAndUpdateCommand();
       saveValues();
+      renderRecipientSuggestions();
     });
   }
   
@@ -1082,7 +1489,10 @@ document.addEventListener('DOMContentLoaded', function() {
   // Swap blockchain radio button event listeners
   swapBlockchainRadios.forEach(radio => {
     if (radio) {
-      radio.addEventListener('change', updateSwapCommand);
+      radio.addEventListener('change', function() {
+        fillSwapTokenSelects();
+        updateSwapCommand();
+      });
     }
   });
   
@@ -1092,10 +1502,16 @@ document.addEventListener('DOMContentLoaded', function() {
       if (!swapCommandPreview) return;
       const command = swapCommandPreview.textContent;
       if (command && !swapCommandPreview.classList.contains('empty')) {
-        const commandWithSignature = addNYLAGoSignatureForURL(command);
-        const encodedCommand = encodeURIComponent(commandWithSignature);
-        const xUrl = `https://x.com/intent/post?text=${encodedCommand}`;
+        const xUrl = NYLACommandGrammar.buildIntentURL(command);
         chrome.tabs.create({ url: xUrl });
+        recordHistory({
+          action: 'swap',
+          amount: swapAmountInput.value.trim(),
+          token: swapFromTokenSelect.value,
+          toToken: swapToTokenSelect.value,
+          chain: getCheckedChain(swapBlockchainRadios),
+          delivery: NYLATransferHistory.DELIVERY.COMPOSE_URL
+        });
         showStatus('Opening X.com with swap command...', 'success');
         setTimeout(hideStatus, 2000);
       }
@@ -1129,6 +1545,7 @@ document.addEventListener('DOMContentLoaded', function() {
     blockchainRadios.forEach(radio => {
       if (radio) {
         radio.addEventListener('change', function() {
+          fillTokenSelect(tokenSelect);
           validateAndUpdateCommand();
           saveValues();
         });
@@ -1162,6 +1579,7 @@ document.addEventListener('DOMContentLoaded', function() {
           if (raidSection) raidSection.style.display = 'none';
           if (appSection) appSection.style.display = 'none';
           if (settingsSection) settingsSection.style.display = 'none';
+          if (historySection) historySection.style.display = 'none';
           
           // Show corresponding content
           if (tabName === 'swap') {
@@ -1197,13 +1615,6 @@ document.addEventListener('DOMContentLoaded', function() {
 
   // Raid list item click handlers are now added dynamically in generateRaidSection()
 
-  // Generate X.com mobile URL for QR codes (Receive tab)
-  function generateReceiveXMobileURL(command) {
-    const commandWithSignature = addNYLAGoSignatureForURL(command);
-    const encodedCommand = encodeURIComponent(commandWithSignature);
-    return `https://x.com/intent/post?text=${encodedCommand}`;
-  }
-
   // Receive QR Code generation  
   function generateReceiveQRCode() {
     if (!receiveUsernameInput || !receiveAmountInput || !receiveTokenSelect || !receiveQrCode) {
@@ -1235,16 +1646,16 @@ document.addEventListener('DOMContentLoaded', function() {
       }
     });
     
-    // Generate command for QR code (same format as send)
-    let command;
-    if (blockchain === 'Solana') {
-      command = `Hey @AgentNyla transfer ${amount} $${token} @${username}`;
-    } else {
-      command = `Hey @AgentNyla transfer ${amount} $${token} @${username} ${blockchain}`;
+    if (receiveAmountError) {
+      receiveAmountError.textContent = tokenRegistry.validateAmount(amount, blockchain, token) || '';
     }
     
+    // Generate command for QR code (same format as send)
+    const command = NYLACommandGrammar.buildReceive({ amount, token, username, chain: blockchain });
+    
     // Generate mobile URL
-    const mobileURL = generateReceiveXMobileURL(command);
+    const mobileURL = generateXMobileURL(command);
+    currentReceiveRequest = { url: mobileURL, amount, token, chain: blockchain, username };
     
     // Clear existing QR code
     receiveQrCode.innerHTML = '';
@@ -1273,6 +1684,32 @@ document.addEventListener('DOMContentLoaded', function() {
     }, 100);
   }
 
+  // Download the current payment request as a PNG or SVG card
+  async function downloadPaymentCard(format) {
+    // Regenerate from the current fields, which may have changed since the last QR code
+    generateReceiveQRCode();
+    if (!currentReceiveRequest) return;
+    
+    try {
+      const blob = format === 'svg' ?
+        NYLAPaymentCard.toSVGBlob(currentReceiveRequest) :
+        await NYLAPaymentCard.toPNGBlob(currentReceiveRequest);
+      NYLAPaymentCard.download(blob, NYLAPaymentCard.getFileName(currentReceiveRequest, format));
+      showStatus('Payment card downloaded!', 'success');
+    } catch (error) {
+      console.error('NYLA: Payment card export failed:', error);
+      showStatus('Failed to create payment card', 'error');
+    }
+    setTimeout(hideStatus, 2000);
+  }
+  
+  if (downloadCardPngBtn) {
+    downloadCardPngBtn.addEventListener('click', () => downloadPaymentCard('png'));
+  }
+  if (downloadCardSvgBtn) {
+    downloadCardSvgBtn.addEventListener('click', () => downloadPaymentCard('svg'));
+  }
+
   // Receive form event listeners - dynamic QR generation on field changes
   if (receiveUsernameInput) {
     receiveUsernameInput.addEventListener('input', function() {
@@ -1304,6 +1741,7 @@ document.addEventListener('DOMContentLoaded', function() {
     receiveBlockchainRadios.forEach(radio => {
       if (radio) {
         radio.addEventListener('change', function() {
+          fillTokenSelect(receiveTokenSelect);
           generateReceiveQRCode();
           saveReceiveValues();
         });
@@ -1311,6 +1749,22 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   }
 
+  // Validate optional payment request details
+  function validateReceiveDetails() {
+    if (!receiveMemoError) return;
+    const { errors } = NYLAPaymentRequest.validate({
+      recipient: '@nyla',
+      amount: '1',
+      token: 'NYLA',
+      memo: receiveMemoInput.value.trim(),
+      invoiceId: receiveInvoiceInput.value.trim()
+    });
+    receiveMemoError.textContent = errors.memo || errors.invoiceId || '';
+  }
+  
+  if (receiveMemoInput) receiveMemoInput.addEventListener('input', validateReceiveDetails);
+  if (receiveInvoiceInput) receiveInvoiceInput.addEventListener('input', validateReceiveDetails);
+
   // Share Payment Request button
   const shareButton = document.getElementById('shareButton');
   if (shareButton) {
@@ -1325,17 +1779,34 @@ document.addEventListener('DOMContentLoaded', function() {
       });
       
       // Generate the actual transfer command
-      let command;
-      if (blockchain === 'Solana') {
-        command = `Hey @AgentNyla transfer ${amount} $${token} @${username}`;
-      } else {
-        command = `Hey @AgentNyla transfer ${amount} $${token} @${username} ${blockchain}`;
-      }
+      const command = NYLACommandGrammar.buildReceive({ amount, token, username, chain: blockchain });
       
       // Generate mobile URL for the command
       const mobileURL = generateXMobileURL(command);
       
-      const shareText = `💰 Send me ${amount} $${token} via X by using following link:\n\n${mobileURL}`;
+      let shareText = `💰 Send me ${amount} $${token} via X by using following link:\n\n${mobileURL}`;
+      
+      // Memo, invoice and expiry travel in a payment request link that opens the NYLA Go PWA
+      const paymentRequest = {
+        recipient: username,
+        amount,
+        token,
+        chain: blockchain,
+        memo: receiveMemoInput ? receiveMemoInput.value.trim() : '',
+        invoiceId: receiveInvoiceInput ? receiveInvoiceInput.value.trim() : '',
+        expiresAt: NYLAPaymentRequest.expiryFromOption(receiveExpirySelect ? receiveExpirySelect.value : '')
+      };
+      if (paymentRequest.memo || paymentRequest.invoiceId || paymentRequest.expiresAt) {
+        try {
+          shareText += `\n\n📝 Request details: ${NYLAPaymentRequest.toURL(paymentRequest)}`;
+        } catch (error) {
+          showStatus(error.message, 'error');
+          setTimeout(hideStatus, 3000);
+          return;
+        }
+      }
+      
+      recordHistory({ action: 'request', amount, token, chain: blockchain, recipient: username, delivery: NYLATransferHistory.DELIVERY.SHARE });
       
       // Copy to clipboard (extension environment doesn't have native sharing)
       try {
@@ -1361,45 +1832,297 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   }
 
-  // Add NYLA Go signature to commands (for content script injection - uses dash)
-  function addNYLAGoSignatureForTextbox(command) {
-    console.log('NYLA Extension: addNYLAGoSignatureForTextbox called with:', command);
-    if (!command || command.trim() === '') {
-      console.error('NYLA Extension: Empty command passed to signature function!');
-      return 'ERROR: Empty command - please fill in recipient, amount, and token fields — Sent via #NYLAGo';
-    }
-    // Check if signature already exists to prevent double-signature
-    if (command.includes('Sent via #NYLAGo')) {
-      console.log('NYLA Extension: Signature already exists, returning as-is');
-      return command;
-    }
-    const result = `${command} — Sent via #NYLAGo`;
-    console.log('NYLA Extension: Added dash signature for textbox, result:', result);
-    return result;
+  // Address book: frequent recipients for the recipient autocomplete
+  function saveAddressBook() {
+    window.NYLASharedSettings.setContacts(addressBook.toJSON());
   }
-
-  // Add NYLA Go signature to commands (for URLs - uses linebreaks)
-  function addNYLAGoSignatureForURL(command) {
-    console.log('NYLA Extension: addNYLAGoSignatureForURL called with:', command);
-    if (!command || command.trim() === '') {
-      console.error('NYLA Extension: Empty command passed to URL signature function!');
-      return 'ERROR: Empty command - please fill in recipient, amount, and token fields\n\nSent via #NYLAGo';
-    }
-    // Check if signature already exists to prevent double-signature
-    if (command.includes('Sent via #NYLAGo')) {
-      console.log('NYLA Extension: URL signature already exists, returning as-is');
-      return command;
-    }
-    const result = `${command}\n\nSent via #NYLAGo`;
-    console.log('NYLA Extension: Added linebreak signature for URL, result:', result);
-    return result;
+  
+  // Reload when the shared contacts are replaced (also after this screen's own saves)
+  window.addEventListener('nyla-contacts-changed', function(event) {
+    addressBook = new NYLAAddressBook(event.detail.contacts);
+  });
+  
+  // Pick up transfers logged while the popup was closed (batch commands inserted on X.com)
+  transferHistory.list().then(entries => {
+    if (addressBook.mergeHistory(entries)) saveAddressBook();
+  }).catch(error => {
+    console.log('NYLA: Failed to read history for the address book:', error);
+  });
+  
+  function renderRecipientSuggestions() {
+    if (!recipientSuggestions) return;
+    
+    const contacts = addressBook.suggest(recipientInput.value);
+    const exact = contacts.length === 1 && contacts[0].handle.toLowerCase() === recipientInput.value.trim().toLowerCase();
+    if (contacts.length === 0 || exact) {
+      hideRecipientSuggestions();
+      return;
+    }
+    
+    recipientSuggestions.innerHTML = '';
+    activeSuggestionIndex = -1;
+    contacts.forEach(contact => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'recipient-suggestion';
+      item.setAttribute('role', 'option');
+      item.textContent = contact.nickname || contact.handle;
+      
+      const meta = document.createElement('div');
+      meta.className = 'recipient-suggestion-meta';
+      meta.textContent = NYLAAddressBook.describe({ ...contact, nickname: '' });
+      item.appendChild(meta);
+      
+      // mousedown keeps focus in the input so blur does not hide the list first
+      item.addEventListener('mousedown', e => {
+        e.preventDefault();
+        selectRecipientContact(contact);
+      });
+      recipientSuggestions.appendChild(item);
+    });
+    recipientSuggestions.style.display = 'block';
+    recipientInput.setAttribute('aria-expanded', 'true');
+  }
+  
+  function hideRecipientSuggestions() {
+    if (!recipientSuggestions) return;
+    recipientSuggestions.style.display = 'none';
+    recipientInput.setAttribute('aria-expanded', 'false');
+    activeSuggestionIndex = -1;
+  }
+  
+  function highlightSuggestion(index) {
+    const items = recipientSuggestions.querySelectorAll('.recipient-suggestion');
+    if (items.length === 0) return;
+    activeSuggestionIndex = (index + items.length) % items.length;
+    items.forEach((item, i) => item.classList.toggle('active', i === activeSuggestionIndex));
+    items[activeSuggestionIndex].scrollIntoView({ block: 'nearest' });
+  }
+  
+  // Fill the recipient and apply the contact's preferred chain and token
+  function selectRecipientContact(contact) {
+    recipientInput.value = contact.handle;
+    if (contact.chain) {
+      blockchainRadios.forEach(radio => {
+        radio.checked = radio.value === contact.chain;
+      });
+      fillTokenSelect(tokenSelect, contact.token);
+      const token = tokenRegistry.find(contact.chain, contact.token);
+      if (tokenSelect && token) tokenSelect.value = token.symbol;
+    }
+    hideRecipientSuggestions();
+    validateAndUpdateCommand();
+    saveValues();
+  }
+  
+  if (recipientInput && recipientSuggestions) {
+    recipientInput.addEventListener('focus', renderRecipientSuggestions);
+    recipientInput.addEventListener('blur', hideRecipientSuggestions);
+    recipientInput.addEventListener('keydown', function(e) {
+      if (recipientSuggestions.style.display === 'none') return;
+      
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        highlightSuggestion(activeSuggestionIndex + (e.key === 'ArrowDown' ? 1 : -1));
+      } else if (e.key === 'Enter' && activeSuggestionIndex >= 0) {
+        e.preventDefault();
+        selectRecipientContact(addressBook.suggest(recipientInput.value)[activeSuggestionIndex]);
+      } else if (e.key === 'Escape') {
+        hideRecipientSuggestions();
+      }
+    });
+  }
+  
+  // Save the current recipient with the selected chain and token as preferences,
+  // asking for an optional nickname inline below the recipient field
+  function getContactHandle() {
+    const handle = recipientInput.value.trim();
+    if (!NYLACommandGrammar.HANDLE_PATTERN.test(NYLACommandGrammar.normalizeHandle(handle))) {
+      showStatus('Enter a valid X.com username to save it', 'error');
+      setTimeout(hideStatus, 3000);
+      return null;
+    }
+    return handle;
+  }
+  
+  function hideContactNickname() {
+    if (contactNicknameGroup) contactNicknameGroup.style.display = 'none';
+  }
+  
+  function saveContact() {
+    const handle = getContactHandle();
+    if (!handle) return;
+    
+    const contact = addressBook.save({
+      handle,
+      nickname: contactNicknameInput.value,
+      chain: getCheckedChain(blockchainRadios),
+      token: tokenSelect.value
+    });
+    saveAddressBook();
+    hideContactNickname();
+    showStatus(`Saved ${contact.handle} to your address book`, 'success');
+    setTimeout(hideStatus, 2000);
+  }
+  
+  if (saveContactBtn && contactNicknameGroup) {
+    saveContactBtn.addEventListener('click', function() {
+      if (contactNicknameGroup.style.display !== 'none') {
+        hideContactNickname();
+        return;
+      }
+      const handle = getContactHandle();
+      if (!handle) return;
+      
+      const existing = addressBook.find(handle);
+      contactNicknameInput.value = existing ? existing.nickname : '';
+      contactNicknameGroup.style.display = 'flex';
+      contactNicknameInput.focus();
+    });
+    
+    contactNicknameSaveBtn.addEventListener('click', saveContact);
+    contactNicknameInput.addEventListener('keydown', function(e) {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        saveContact();
+      } else if (e.key === 'Escape') {
+        hideContactNickname();
+      }
+    });
+    // The nickname belongs to the handle it was opened for
+    recipientInput.addEventListener('input', hideContactNickname);
+  }
+  
+  // Transfer history: commands that left NYLA Go, kept locally for repeat and export
+  function recordHistory(fields) {
+    transferHistory.record(fields).then(entry => {
+      if (addressBook.mergeHistory([entry])) saveAddressBook();
+    }).catch(error => {
+      console.log('NYLA: Failed to save history entry:', error);
+    });
+  }
+  
+  // Current Send form as history fields
+  function getTransferHistoryFields(delivery) {
+    return {
+      action: 'transfer',
+      amount: amountInput.value.trim(),
+      token: tokenSelect.value,
+      chain: getCheckedChain(blockchainRadios),
+      recipient: recipientInput.value.trim(),
+      delivery
+    };
+  }
+  
+  function getHistoryFilters() {
+    return {
+      query: historySearch ? historySearch.value : '',
+      action: historyActionFilter ? historyActionFilter.value : '',
+      chain: historyChainFilter ? historyChainFilter.value : ''
+    };
+  }
+  
+  async function renderHistory() {
+    if (!historyList) return;
+    
+    const entries = await transferHistory.list(getHistoryFilters());
+    historyList.innerHTML = '';
+    
+    if (entries.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'history-empty';
+      empty.textContent = window.extensionI18n ? window.extensionI18n.t('history.empty') :
+        'No commands yet. Transfers, swaps and shared requests you create will appear here.';
+      historyList.appendChild(empty);
+      return;
+    }
+    
+    entries.forEach(entry => {
+      const item = document.createElement('div');
+      item.className = 'history-item';
+      
+      const info = document.createElement('div');
+      info.className = 'history-item-info';
+      const summary = document.createElement('div');
+      summary.className = 'history-item-summary';
+      summary.textContent = NYLATransferHistory.describe(entry);
+      const meta = document.createElement('div');
+      meta.className = 'history-item-meta';
+      meta.textContent = `${new Date(entry.timestamp).toLocaleString()} · ${NYLATransferHistory.DELIVERY_LABELS[entry.delivery]}`;
+      info.append(summary, meta);
+      
+      const repeatBtn = document.createElement('button');
+      repeatBtn.type = 'button';
+      repeatBtn.className = 'history-button';
+      repeatBtn.textContent = window.extensionI18n ? window.extensionI18n.t('history.repeat') : 'Repeat';
+      repeatBtn.addEventListener('click', () => repeatHistoryEntry(entry));
+      
+      item.append(info, repeatBtn);
+      historyList.appendChild(item);
+    });
+  }
+  
+  // Pre-fill the form the entry came from
+  function repeatHistoryEntry(entry) {
+    const fields = NYLATransferHistory.getRepeatFields(entry);
+    
+    if (fields.action === 'request') {
+      const receiveTab = document.querySelector('.action-tab[data-tab="receive"]');
+      if (receiveTab) receiveTab.click();
+      if (receiveUsernameInput) receiveUsernameInput.value = fields.recipient.replace(/^@/, '');
+      if (receiveAmountInput) receiveAmountInput.value = fields.amount;
+      receiveBlockchainRadios.forEach(radio => {
+        radio.checked = radio.value === fields.chain;
+      });
+      fillTokenSelect(receiveTokenSelect);
+      selectTokenOption(receiveTokenSelect, fields.chain, fields.token);
+      generateReceiveQRCode();
+      saveReceiveValues();
+    } else {
+      fillFormFromCommand(fields);
+    }
+    
+    showStatus('Loaded from history - check the details and send again', 'success');
+    setTimeout(hideStatus, 2000);
+  }
+  
+  async function exportHistory(format) {
+    const entries = await transferHistory.list(getHistoryFilters());
+    if (entries.length === 0) {
+      showStatus('No history entries to export', 'error');
+      setTimeout(hideStatus, 2000);
+      return;
+    }
+    NYLAPaymentCard.download(NYLATransferHistory.toBlob(entries, format), NYLATransferHistory.getFileName(format));
+  }
+  
+  if (historySearch) historySearch.addEventListener('input', renderHistory);
+  if (historyActionFilter) historyActionFilter.addEventListener('change', renderHistory);
+  if (historyChainFilter) historyChainFilter.addEventListener('change', renderHistory);
+  if (historyExportCsvBtn) historyExportCsvBtn.addEventListener('click', () => exportHistory('csv'));
+  if (historyExportJsonBtn) historyExportJsonBtn.addEventListener('click', () => exportHistory('json'));
+  
+  if (historyClearBtn) {
+    historyClearBtn.addEventListener('click', async function() {
+      if (!confirm('Delete all transfer history on this device?')) return;
+      await transferHistory.clear();
+      renderHistory();
+    });
+  }
+  
+  if (historyBackButton) {
+    historyBackButton.addEventListener('click', function() {
+      // Go back to the Send tab (default tab)
+      const sendTab = document.querySelector('.action-tab[data-tab="send"]');
+      if (sendTab) {
+        sendTab.click();
+      }
+    });
   }
 
   // Generate X.com compose URL for fallback (uses linebreak signature)
   function generateXComposeURL(command) {
-    const commandWithSignature = addNYLAGoSignatureForURL(command);
-    const encodedCommand = encodeURIComponent(commandWithSignature);
-    const finalURL = `https://x.com/intent/post?text=${encodedCommand}`;
+    const finalURL = NYLACommandGrammar.buildIntentURL(command);
     console.log('NYLA Extension: Final fallback URL:', finalURL);
     return finalURL;
   }
@@ -1409,6 +2132,11 @@ document.addEventListener('DOMContentLoaded', function() {
     sendButton.addEventListener('click', async function() {
       if (!commandPreview) return;
       
+      if (isBatchMode()) {
+        await startBatchTransfer();
+        return;
+      }
+      
       // Ensure we have a valid command by running validation first
       validateAndUpdateCommand();
       
@@ -1435,6 +2163,7 @@ document.addEventListener('DOMContentLoaded', function() {
         const composeURL = generateXComposeURL(command);
         console.log('NYLA Extension: Generated compose URL:', composeURL);
         window.open(composeURL, '_blank');
+        recordHistory(getTransferHistoryFields(NYLATransferHistory.DELIVERY.COMPOSE_URL));
         showStatus('Opening X.com with your command...', 'success');
         
         // Clear form and storage after successful send
@@ -1447,13 +2176,14 @@ document.addEventListener('DOMContentLoaded', function() {
       
       // Try to send command to content script (use dash signature for textbox)
       try {
-        const commandWithSignature = addNYLAGoSignatureForTextbox(command);
+        const commandWithSignature = NYLACommandGrammar.addSignature(command, 'dash');
         const response = await chrome.tabs.sendMessage(tab.id, {
           action: 'insertCommand',
           command: commandWithSignature
         });
         
         if (response.success) {
+          recordHistory(getTransferHistoryFields(NYLATransferHistory.DELIVERY.INJECTED));
           showStatus('Command sent to X.com!', 'success');
           
           // Clear form and storage after successful send
@@ -1470,6 +2200,7 @@ document.addEventListener('DOMContentLoaded', function() {
         console.log('NYLA Extension: Content script failed, using fallback:', contentScriptError);
         const composeURL = generateXComposeURL(command);
         window.open(composeURL, '_blank');
+        recordHistory(getTransferHistoryFields(NYLATransferHistory.DELIVERY.COMPOSE_URL));
         showStatus('Text box not found - opening X.com compose window...', 'success');
         
         // Clear form and storage after successful fallback
@@ -1484,6 +2215,7 @@ document.addEventListener('DOMContentLoaded', function() {
       // Final fallback - always try to open compose window
       const composeURL = generateXComposeURL(command);
       window.open(composeURL, '_blank');
+      recordHistory(getTransferHistoryFields(NYLATransferHistory.DELIVERY.COMPOSE_URL));
       showStatus('Opening X.com with your command...', 'success');
       
       setTimeout(() => {
@@ -1562,6 +2294,7 @@ document.addEventListener('DOMContentLoaded', function() {
           if (response && response.recipient) {
             detectedRecipient = response.recipient;
             console.log('Detected reply recipient:', detectedRecipient);
+            if (addressBook.addDetected(detectedRecipient)) saveAddressBook();
           }
         } catch (error) {
           console.log('Could not detect reply recipient:', error);
@@ -1580,21 +2313,17 @@ document.addEventListener('DOMContentLoaded', function() {
             if (amountInput) {
               amountInput.value = values.amount || '1';
             }
-            // Only set token if it exists in the current dropdown options
-            if (tokenSelect) {
-              const allTokens = [...defaultTokens, ...customTokens];
-              if (allTokens.includes(values.token)) {
-                tokenSelect.value = values.token;
-              } else {
-                tokenSelect.value = defaultTokens[0]; // Default to NYLA
-              }
-            }
             // Set blockchain selection (default to Solana if not saved)
             const savedBlockchain = values.blockchain || 'Solana';
             const blockchainRadio = document.querySelector(`input[name="blockchain"][value="${savedBlockchain}"]`);
             if (blockchainRadio) {
               blockchainRadio.checked = true;
             }
+            // Only keep the saved token if it exists on the saved blockchain
+            if (tokenSelect) {
+              tokenSelect.value = values.token;
+              fillTokenSelect(tokenSelect, values.token);
+            }
           } else if (detectedRecipient) {
             // If no saved values but we detected a recipient, use it
             if (recipientInput) {
@@ -1638,21 +2367,17 @@ document.addEventListener('DOMContentLoaded', function() {
         if (amountInput) {
           amountInput.value = values.amount || '1';
         }
-        // Only set token if it exists in the current dropdown options
-        if (tokenSelect) {
-          const allTokens = [...defaultTokens, ...customTokens];
-          if (allTokens.includes(values.token)) {
-            tokenSelect.value = values.token;
-          } else {
-            tokenSelect.value = defaultTokens[0]; // Default to NYLA
-          }
-        }
         // Set blockchain selection (default to Solana if not saved)
         const savedBlockchain = values.blockchain || 'Solana';
         const blockchainRadio = document.querySelector(`input[name="blockchain"][value="${savedBlockchain}"]`);
         if (blockchainRadio) {
           blockchainRadio.checked = true;
         }
+        // Only keep the saved token if it exists on the saved blockchain
+        if (tokenSelect) {
+          tokenSelect.value = values.token;
+          fillTokenSelect(tokenSelect, values.token);
+        }
       } else if (detectedRecipient) {
         // If no saved values but we detected a recipient, use it
         if (recipientInput) {
@@ -1756,15 +2481,17 @@ document.addEventListener('DOMContentLoaded', function() {
           if (receiveAmountInput) {
             receiveAmountInput.value = values.receiveAmount || '1';
           }
-          if (receiveTokenSelect) {
-            receiveTokenSelect.value = values.receiveToken || 'NYLA';
-          }
           // Set blockchain selection (default to Solana if not saved)
           const savedBlockchain = values.receiveBlockchain || 'Solana';
           const blockchainRadio = document.querySelector(`input[name="receiveBlockchain"][value="${savedBlockchain}"]`);
           if (blockchainRadio) {
             blockchainRadio.checked = true;
           }
+          // Only keep the saved token if it exists on the saved blockchain
+          if (receiveTokenSelect) {
+            receiveTokenSelect.value = values.receiveToken || 'NYLA';
+            fillTokenSelect(receiveTokenSelect, values.receiveToken);
+          }
         } else {
           // Set default values
           if (receiveUsernameInput) {
@@ -1797,15 +2524,17 @@ document.addEventListener('DOMContentLoaded', function() {
         if (receiveAmountInput) {
           receiveAmountInput.value = values.receiveAmount || '1';
         }
-        if (receiveTokenSelect) {
-          receiveTokenSelect.value = values.receiveToken || 'NYLA';
-        }
         // Set blockchain selection (default to Solana if not saved)
         const savedBlockchain = values.receiveBlockchain || 'Solana';
         const blockchainRadio = document.querySelector(`input[name="receiveBlockchain"][value="${savedBlockchain}"]`);
         if (blockchainRadio) {
           blockchainRadio.checked = true;
         }
+        // Only keep the saved token if it exists on the saved blockchain
+        if (receiveTokenSelect) {
+          receiveTokenSelect.value = values.receiveToken || 'NYLA';
+          fillTokenSelect(receiveTokenSelect, values.receiveToken);
+        }
       } else {
         // Set default values
         if (receiveUsernameInput) {
@@ -1902,15 +2631,14 @@ document.addEventListener('DOMContentLoaded', function() {
       }
     });
     
-    if (amount && fromToken && toToken && amount > 0) {
-      let command;
-      if (blockchain === 'Solana') {
-        // Default blockchain (Solana) - no blockchain suffix needed
-        command = `Hey @AgentNyla swap ${amount} $${fromToken} for $${toToken}`;
-      } else {
-        // Non-default blockchains (Ethereum, Algorand) - add blockchain suffix
-        command = `Hey @AgentNyla swap ${amount} $${fromToken} for $${toToken} ${blockchain}`;
-      }
+    const validation = NYLACommandGrammar.validateSwap({ amount, fromToken, toToken, chain: blockchain });
+    const amountMessage = tokenRegistry.validateAmount(amount, blockchain, fromToken);
+    if (swapAmountError) {
+      swapAmountError.textContent = amountMessage || '';
+    }
+    
+    if (validation.valid && !amountMessage) {
+      const command = NYLACommandGrammar.buildSwap({ amount, fromToken, toToken, chain: blockchain });
       
       swapCommandPreview.textContent = command;
       swapCommandPreview.classList.remove('empty');
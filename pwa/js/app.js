@@ -11,6 +11,11 @@ document.addEventListener('DOMContentLoaded', function() {
   const receiveUsernameInput = document.getElementById('receiveUsername');
   const receiveAmountInput = document.getElementById('receiveAmount');
   const receiveTokenSelect = document.getElementById('receiveToken');
+  const receiveMemoInput = document.getElementById('receiveMemo');
+  const receiveInvoiceInput = document.getElementById('receiveInvoice');
+  const receiveExpirySelect = document.getElementById('receiveExpiry');
+  const receiveMemoError = document.getElementById('receiveMemoError');
+  const receiveAmountError = document.getElementById('receiveAmountError');
   const receiveQrCode = document.getElementById('receiveQrCode');
   const shareButton = document.getElementById('shareButton');
   const receiveBlockchainRadios = document.querySelectorAll('input[name="receiveBlockchain"]');
@@ -20,6 +25,7 @@ document.addEventListener('DOMContentLoaded', function() {
   const swapAmount = document.getElementById('swapAmount');
   const swapFromToken = document.getElementById('swapFromToken');
   const swapToToken = document.getElementById('swapToToken');
+  const swapFromTokenError = document.getElementById('swapFromTokenError');
   const swapCommandPreview = document.getElementById('swapCommandPreview');
   const swapButton = document.getElementById('swapButton');
   
@@ -27,9 +33,27 @@ document.addEventListener('DOMContentLoaded', function() {
   const sendRecipient = document.getElementById('sendRecipient');
   const sendAmount = document.getElementById('sendAmount');
   const sendToken = document.getElementById('sendToken');
+  const sendAmountError = document.getElementById('sendAmountError');
   const sendCommandPreview = document.getElementById('sendCommandPreview');
   const sendButton = document.getElementById('sendButton');
   const sendBlockchainRadios = document.querySelectorAll('input[name="sendBlockchain"]');
+  const sendBatchToggle = document.getElementById('sendBatchToggle');
+  const sendSingleRecipientGroup = document.getElementById('sendSingleRecipientGroup');
+  const sendBatchGroup = document.getElementById('sendBatchGroup');
+  const sendBatchRecipients = document.getElementById('sendBatchRecipients');
+  const sendBatchSummary = document.getElementById('sendBatchSummary');
+  const sendBatchError = document.getElementById('sendBatchError');
+  const sendBatchQueue = document.getElementById('sendBatchQueue');
+  const sendRequestBanner = document.getElementById('sendRequestBanner');
+  const sendScanButton = document.getElementById('sendScanButton');
+  const sendScanFile = document.getElementById('sendScanFile');
+  const sendScanner = document.getElementById('sendScanner');
+  const sendScannerVideo = document.getElementById('sendScannerVideo');
+  const sendScannerClose = document.getElementById('sendScannerClose');
+  const sendScanError = document.getElementById('sendScanError');
+  let sendQRScanner = null;
+  let sendBatch = null;
+  let sendBatchKey = '';
   
   // Common Elements
   const statusDiv = document.getElementById('status');
@@ -39,6 +63,9 @@ document.addEventListener('DOMContentLoaded', function() {
   const modalOverlay = document.getElementById('modalOverlay');
   const closeModalBtn = document.getElementById('closeModalBtn');
   const newTokenInput = document.getElementById('newTokenInput');
+  const newTokenChain = document.getElementById('newTokenChain');
+  const newTokenAddress = document.getElementById('newTokenAddress');
+  const newTokenDecimals = document.getElementById('newTokenDecimals');
   const addTokenBtn = document.getElementById('addTokenBtn');
   const customTokensList = document.getElementById('customTokensList');
   const noCustomTokens = document.getElementById('noCustomTokens');
@@ -58,14 +85,41 @@ document.addEventListener('DOMContentLoaded', function() {
   const sendTab = document.getElementById('sendTab');
   const raidTab = document.getElementById('raidTab');
   const appTab = document.getElementById('appTab');
+  const historyTab = document.getElementById('historyTab');
+  const llmSettingsTab = document.getElementById('llmSettingsTab');
+  
+  // DOM Elements - Transfer History
+  const historySearch = document.getElementById('historySearch');
+  const historyActionFilter = document.getElementById('historyActionFilter');
+  const historyChainFilter = document.getElementById('historyChainFilter');
+  const historyExportCsvBtn = document.getElementById('historyExportCsvBtn');
+  const historyExportJsonBtn = document.getElementById('historyExportJsonBtn');
+  const historyClearBtn = document.getElementById('historyClearBtn');
+  const historyList = document.getElementById('historyList');
+  const transferHistory = new NYLATransferHistory();
+  
+  // DOM Elements - Address Book
+  const sendRecipientSuggestions = document.getElementById('sendRecipientSuggestions');
+  const sendSaveContactBtn = document.getElementById('sendSaveContactBtn');
+  const sendContactNicknameRow = document.getElementById('sendContactNicknameRow');
+  const sendContactNickname = document.getElementById('sendContactNickname');
+  const sendContactNicknameSaveBtn = document.getElementById('sendContactNicknameSaveBtn');
+  let addressBook = new NYLAAddressBook(window.NYLASharedSettings.getContacts());
+  let activeSuggestionIndex = -1;
   const raidListItems = document.querySelectorAll('.raid-list-item');
   const appItems = document.querySelectorAll('.app-item');
 
   // App version - will be dynamically determined
   let APP_VERSION = '2.8.0';
 
-  // Default tokens (same as Extension)
-  const defaultTokens = ['NYLA', 'SOL', 'ETH', 'ALGO', 'USDC', 'USDT'];
+  // Per-chain tokens (same registry as Extension); built-in tokens until the KB facts load
+  let tokenRegistry = new NYLATokenRegistry({}, getCustomTokens());
+  
+  // Validates the send, receive and swap actions prepared in the assistant chat
+  window.nylaChatActions = new NYLAChatActions(tokenRegistry);
+  
+  // Checks addresses and asset ids in assistant answers against the KB facts (flags only until the facts load)
+  window.nylaFactGuard = new NYLAFactGuard({}, {}, false);
   
   // Custom token management state
   let currentManageTokensSelect = null;
@@ -316,6 +370,14 @@ document.addEventListener('DOMContentLoaded', function() {
     
     // Load custom tokens and update dropdowns
     updateAllTokenDropdowns();
+    NYLATokenRegistry.load('', getCustomTokens()).then(registry => {
+      tokenRegistry = registry;
+      window.nylaChatActions.setTokenRegistry(registry);
+      updateAllTokenDropdowns();
+    });
+    NYLAFactGuard.load('').then(guard => {
+      window.nylaFactGuard = guard;
+    });
     
     // Generate footer from shared data
     generateFooter();
@@ -326,6 +388,9 @@ document.addEventListener('DOMContentLoaded', function() {
     // Generate raid section from shared data
     generateRaidSection();
     
+    // Pre-fill the Send tab when opened from a payment request link
+    openPaymentRequestFromURL();
+    
     // Load Roboto font for NYLA conversation
     loadRobotoFont();
     
@@ -351,8 +416,8 @@ document.addEventListener('DOMContentLoaded', function() {
           const selectedProvider = await llmConfig.autoSelectProvider();
           console.log('PWA: LLM provider selected:', selectedProvider);
           
-          if (selectedProvider === 'hosted') {
-            console.log('PWA: 🖥️ Desktop device using hosted LLM - no WebLLM preload needed');
+          if (selectedProvider && selectedProvider !== 'local') {
+            console.log('PWA: 🖥️ Desktop device using remote LLM - no WebLLM preload needed');
           } else if (window.nylaSystemController && typeof window.nylaSystemController.preloadLLMEngine === 'function') {
             console.log('PWA: 🖥️ Desktop device using local LLM - starting WebLLM preload...');
             try {
@@ -382,8 +447,8 @@ document.addEventListener('DOMContentLoaded', function() {
           const selectedProvider = await retryLlmConfig.autoSelectProvider();
           console.log('PWA: Auto-selected LLM provider:', selectedProvider);
           
-          if (selectedProvider === 'hosted') {
-            console.log('PWA: ✅ Using hosted LLM - no WebLLM preload needed');
+          if (selectedProvider && selectedProvider !== 'local') {
+            console.log('PWA: ✅ Using remote LLM - no WebLLM preload needed');
           } else if (!isLikelyMobile && window.nylaSystemController && typeof window.nylaSystemController.preloadLLMEngine === 'function') {
             console.log('PWA: 🚀 Using local LLM - starting WebLLM preload...');
             try {
@@ -442,24 +507,9 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
 
-  // Add NYLA Go signature to commands
-  function addNYLAGoSignature(command) {
-    if (!command || command.trim() === '') {
-      console.error('NYLA PWA: Empty command passed to signature function!');
-      return 'ERROR: Empty command - please fill in recipient, amount, and token fields\n\nSent via #NYLAGo';
-    }
-    // Check if signature already exists to prevent double-signature
-    if (command.includes('Sent via #NYLAGo')) {
-      return command;
-    }
-    return `${command}\n\nSent via #NYLAGo`;
-  }
-
-  // Generate X.com mobile URL for QR codes
+  // Generate X.com mobile URL for QR codes (signed with the shared command grammar)
   function generateXMobileURL(command) {
-    const commandWithSignature = addNYLAGoSignature(command);
-    const encodedCommand = encodeURIComponent(commandWithSignature);
-    return `https://x.com/intent/post?text=${encodedCommand}`;
+    return NYLACommandGrammar.buildIntentURL(command);
   }
 
   // Update QR instruction text based on token
@@ -486,13 +536,10 @@ document.addEventListener('DOMContentLoaded', function() {
       }
     });
     
+    showAmountError(receiveAmountError, amount, blockchain, token);
+    
     // Generate command for QR code
-    let command;
-    if (blockchain === 'Solana') {
-      command = `Hey @AgentNyla transfer ${amount} $${token} @${username}`;
-    } else {
-      command = `Hey @AgentNyla transfer ${amount} $${token} @${username} ${blockchain}`;
-    }
+    const command = NYLACommandGrammar.buildReceive({ amount, token, username, chain: blockchain });
     
     // Generate mobile URL
     const mobileURL = generateXMobileURL(command);
@@ -566,20 +613,15 @@ document.addEventListener('DOMContentLoaded', function() {
       }
     });
     
+    showAmountError(swapFromTokenError, amount, blockchain, fromToken);
+    
     if (fromToken === toToken) {
       swapCommandPreview.textContent = 'Please select different tokens for swap';
       swapCommandPreview.classList.add('empty');
       return;
     }
     
-    let command;
-    if (blockchain === 'Solana') {
-      // Default blockchain (Solana) - no blockchain suffix needed
-      command = `Hey @AgentNyla swap ${amount} $${fromToken} for $${toToken}`;
-    } else {
-      // Non-default blockchains (Ethereum, Algorand) - add blockchain suffix
-      command = `Hey @AgentNyla swap ${amount} $${fromToken} for $${toToken} ${blockchain}`;
-    }
+    const command = NYLACommandGrammar.buildSwap({ amount, fromToken, toToken, chain: blockchain });
     
     swapCommandPreview.textContent = command;
     swapCommandPreview.classList.remove('empty');
@@ -589,6 +631,13 @@ document.addEventListener('DOMContentLoaded', function() {
   function generateSendCommand() {
     if (!sendRecipient || !sendAmount || !sendToken || !sendCommandPreview) return;
     
+    showAmountError(sendAmountError, sendAmount.value || '1', getSendBlockchain(), sendToken.value);
+    
+    if (isBatchMode()) {
+      generateBatchPreview();
+      return;
+    }
+    
     const recipient = sendRecipient.value.trim().replace('@', '') || 'username';
     const amount = sendAmount.value || '1';
     const token = sendToken.value || 'NYLA';
@@ -602,17 +651,636 @@ document.addEventListener('DOMContentLoaded', function() {
     });
     
     // Generate command
-    let command;
-    if (blockchain === 'Solana') {
-      command = `Hey @AgentNyla transfer ${amount} $${token} @${recipient}`;
-    } else {
-      command = `Hey @AgentNyla transfer ${amount} $${token} @${recipient} ${blockchain}`;
-    }
+    const command = NYLACommandGrammar.buildTransfer({ amount, token, recipient, chain: blockchain });
     
     sendCommandPreview.textContent = command;
     sendCommandPreview.classList.remove('empty');
   }
 
+  // Amount must fit the token's decimals; returns the message shown, or null
+  function showAmountError(errorDiv, amount, chain, token) {
+    const message = tokenRegistry.validateAmount(amount, chain, token);
+    if (errorDiv) errorDiv.textContent = message || '';
+    return message;
+  }
+
+  // === BATCH TRANSFER ===
+  
+  function isBatchMode() {
+    return !!(sendBatchToggle && sendBatchToggle.checked);
+  }
+  
+  function getSendBlockchain() {
+    let blockchain = 'Solana';
+    sendBlockchainRadios.forEach(radio => {
+      if (radio && radio.checked) blockchain = radio.value;
+    });
+    return blockchain;
+  }
+  
+  function getBatchFields() {
+    const parsed = NYLABatchTransfer.parseRecipients(sendBatchRecipients ? sendBatchRecipients.value : '');
+    return {
+      key: [sendAmount.value.trim(), sendToken.value, getSendBlockchain(), ...parsed.recipients].join(' '),
+      amount: sendAmount.value.trim(),
+      token: sendToken.value || 'NYLA',
+      chain: getSendBlockchain(),
+      recipients: parsed.recipients,
+      parsed
+    };
+  }
+  
+  // Preview the first command of the batch; editing the batch discards a queue in progress
+  function generateBatchPreview() {
+    const fields = getBatchFields();
+    const { parsed } = fields;
+    const validation = NYLABatchTransfer.validate(fields);
+    const hasInput = !!sendBatchRecipients.value.trim();
+    
+    if (sendBatch && fields.key !== sendBatchKey) {
+      resetBatchQueue();
+    }
+    
+    if (sendBatchSummary) {
+      const parts = [`${parsed.recipients.length} recipient${parsed.recipients.length === 1 ? '' : 's'}`];
+      if (parsed.duplicates.length > 0) {
+        parts.push(`${parsed.duplicates.length} duplicate${parsed.duplicates.length === 1 ? '' : 's'} removed`);
+      }
+      sendBatchSummary.textContent = hasInput ? parts.join(' · ') : '';
+    }
+    
+    if (sendBatchError) {
+      if (parsed.invalid.length > 0) {
+        sendBatchError.textContent = `Invalid: ${parsed.invalid.map(entry => entry.value).join(', ')}`;
+      } else {
+        sendBatchError.textContent = hasInput ? (validation.errors.recipients || validation.errors.amount || '') : '';
+      }
+    }
+    
+    if (validation.valid && parsed.invalid.length === 0) {
+      const firstCommand = NYLACommandGrammar.buildTransfer({ ...fields, recipient: fields.recipients[0] });
+      const remaining = fields.recipients.length - 1;
+      sendCommandPreview.textContent = remaining > 0 ? `${firstCommand}\n…and ${remaining} more` : firstCommand;
+      sendCommandPreview.classList.remove('empty');
+    } else {
+      sendCommandPreview.textContent = 'Fill in the fields above to see the transfer command';
+      sendCommandPreview.classList.add('empty');
+    }
+  }
+  
+  function toggleBatchMode() {
+    const batch = isBatchMode();
+    if (sendSingleRecipientGroup) sendSingleRecipientGroup.style.display = batch ? 'none' : '';
+    if (sendBatchGroup) sendBatchGroup.style.display = batch ? '' : 'none';
+    if (!batch) resetBatchQueue();
+    generateSendCommand();
+  }
+  
+  function resetBatchQueue() {
+    sendBatch = null;
+    if (sendBatchQueue) {
+      sendBatchQueue.innerHTML = '';
+      sendBatchQueue.style.display = 'none';
+    }
+    if (sendButton) sendButton.textContent = '💸 Send to X.com';
+  }
+  
+  // Per-recipient status list; failed or skipped rows can be tapped to retry
+  function renderBatchQueue() {
+    if (!sendBatch || !sendBatchQueue) return;
+    
+    const labels = { pending: 'Pending', sending: 'Opening…', sent: 'Opened', failed: 'Failed', skipped: 'Skipped' };
+    sendBatchQueue.innerHTML = '';
+    sendBatchQueue.style.display = '';
+    
+    sendBatch.items.forEach((item, index) => {
+      const row = document.createElement('li');
+      row.className = `batch-queue-item ${item.status}`;
+      
+      const name = document.createElement('span');
+      name.textContent = item.recipient;
+      const status = document.createElement('span');
+      status.className = `batch-queue-status ${item.status}`;
+      status.textContent = item.error ? `${labels[item.status]}: ${item.error}` : labels[item.status];
+      
+      row.append(name, status);
+      row.addEventListener('click', () => sendBatch.retry(index));
+      sendBatchQueue.appendChild(row);
+    });
+    
+    const summary = sendBatch.getSummary();
+    const done = summary.total - summary.pending - summary.sending;
+    sendButton.textContent = sendBatch.isComplete() ?
+      '✅ Batch complete' : `💸 Send next (${done + 1}/${summary.total})`;
+  }
+  
+  // Each tap opens the next command in X.com, keeping window.open inside a user gesture
+  async function sendNextBatchCommand() {
+    if (!sendBatch) {
+      const fields = getBatchFields();
+      if (fields.parsed.invalid.length > 0) {
+        showStatus('Please fix the recipient list first', 'error');
+        setTimeout(hideStatus, 3000);
+        return;
+      }
+      try {
+        sendBatch = new NYLABatchTransfer({ ...fields, onChange: renderBatchQueue });
+        sendBatchKey = fields.key;
+      } catch (error) {
+        showStatus(error.message, 'error');
+        setTimeout(hideStatus, 3000);
+        return;
+      }
+    }
+    
+    if (sendBatch.isComplete()) {
+      showStatus('All commands in this batch have been opened', 'success');
+      setTimeout(hideStatus, 3000);
+      return;
+    }
+    
+    const item = await sendBatch.sendNext(async command => {
+      if (!window.open(generateXMobileURL(command), '_blank')) {
+        throw new Error('Popup blocked');
+      }
+    });
+    
+    if (item && item.status === NYLABatchTransfer.STATUS.SENT) {
+      const { amount, token, chain } = sendBatch;
+      recordHistory({ action: 'transfer', amount, token, chain, recipient: item.recipient, delivery: NYLATransferHistory.DELIVERY.COMPOSE_URL });
+    }
+    if (item) {
+      showStatus(`Opening X.com for ${item.recipient}...`, item.status === 'failed' ? 'error' : 'success');
+      setTimeout(hideStatus, 3000);
+    }
+  }
+
+  // === AI PROVIDER SETTINGS ===
+
+  const llmProviderSelect = document.getElementById('llmProviderSelect');
+  const llmProviderDescription = document.getElementById('llmProviderDescription');
+  const llmProviderSettings = document.getElementById('llmProviderSettings');
+  const llmBaseUrl = document.getElementById('llmBaseUrl');
+  const llmBaseUrlError = document.getElementById('llmBaseUrlError');
+  const llmModel = document.getElementById('llmModel');
+  const llmModelError = document.getElementById('llmModelError');
+  const llmApiKeyGroup = document.getElementById('llmApiKeyGroup');
+  const llmApiKey = document.getElementById('llmApiKey');
+  const llmBudgetSettings = document.getElementById('llmBudgetSettings');
+  const llmBudgetError = document.getElementById('llmBudgetError');
+  // Budget inputs by scope and level, as in NYLALLMUsage budgets
+  const llmBudgetInputs = {
+    day: { soft: document.getElementById('llmDaySoftBudget'), hard: document.getElementById('llmDayHardBudget') },
+    session: { soft: document.getElementById('llmSessionSoftBudget'), hard: document.getElementById('llmSessionHardBudget') }
+  };
+  const llmTestButton = document.getElementById('llmTestButton');
+  const llmSaveButton = document.getElementById('llmSaveButton');
+  const llmProviderStatus = document.getElementById('llmProviderStatus');
+
+  function showLLMProviderStatus(message, type = '') {
+    llmProviderStatus.textContent = message;
+    llmProviderStatus.className = type ? `llm-provider-status ${type}` : 'llm-provider-status';
+  }
+
+  function renderLLMSettings() {
+    const llmConfig = window.NYLALLMConfig;
+    if (!llmConfig || !llmProviderSelect) return;
+
+    const { current, providers } = llmConfig.getConfigForUI();
+    llmProviderSelect.innerHTML = '';
+    providers.filter(provider => provider.enabled).forEach(provider => {
+      const option = document.createElement('option');
+      option.value = provider.key;
+      option.textContent = provider.name;
+      llmProviderSelect.appendChild(option);
+    });
+    llmProviderSelect.value = current;
+    showLLMProviderStatus('');
+    showSelectedLLMProvider();
+  }
+
+  // Description of the selected provider; self-hosted providers also show their base URL, model and key,
+  // and remote providers with a cost their usage budgets
+  function showSelectedLLMProvider() {
+    const llmConfig = window.NYLALLMConfig;
+    const providerName = llmProviderSelect.value;
+    const provider = llmConfig.providers[providerName];
+
+    llmProviderDescription.textContent = provider.description;
+    llmBaseUrlError.textContent = '';
+    llmModelError.textContent = '';
+    showLLMBudgets(provider.type !== 'webllm' && window.nylaLLMUsage && !NYLALLMUsage.FREE_PROVIDERS.includes(providerName));
+    llmProviderSettings.style.display = provider.configurable ? 'block' : 'none';
+    if (!provider.configurable) return;
+
+    const settings = llmConfig.getProviderSettings(providerName);
+    llmBaseUrl.value = settings.baseURL;
+    llmModel.value = settings.model;
+    llmApiKey.value = settings.apiKey;
+    llmApiKeyGroup.style.display = provider.type === 'openai' ? 'block' : 'none';
+  }
+
+  // Form values of a self-hosted provider, or null after showing why they are invalid
+  function getLLMSettingsForm() {
+    const settings = { baseURL: llmBaseUrl.value.trim(), model: llmModel.value.trim(), apiKey: llmApiKey.value.trim() };
+    const { valid, errors } = NYLALLMProvider.validateSettings(settings);
+    llmBaseUrlError.textContent = errors.baseURL || '';
+    llmModelError.textContent = errors.model || '';
+    return valid ? settings : null;
+  }
+
+  function showLLMBudgets(visible) {
+    llmBudgetError.textContent = '';
+    llmBudgetSettings.style.display = visible ? 'block' : 'none';
+    if (!visible) return;
+
+    const { budgets } = window.nylaLLMUsage;
+    Object.keys(llmBudgetInputs).forEach(scope => {
+      Object.keys(llmBudgetInputs[scope]).forEach(level => {
+        const limit = budgets[scope][level];
+        llmBudgetInputs[scope][level].value = limit === null || limit === undefined ? '' : String(limit);
+      });
+    });
+  }
+
+  // Budgets in the form (empty for no limit), or null after showing why they are invalid
+  function getLLMBudgetsForm() {
+    const budgets = {};
+    let valid = true;
+    Object.keys(llmBudgetInputs).forEach(scope => {
+      budgets[scope] = {};
+      Object.keys(llmBudgetInputs[scope]).forEach(level => {
+        const value = llmBudgetInputs[scope][level].value.trim();
+        const limit = value === '' ? null : Number(value);
+        if (limit !== null && !(limit >= 0)) valid = false;
+        budgets[scope][level] = limit;
+      });
+    });
+    llmBudgetError.textContent = valid ? '' : 'Budgets must be amounts of 0 or more, or empty for no limit';
+    return valid ? budgets : null;
+  }
+
+  async function testLLMProvider() {
+    const llmConfig = window.NYLALLMConfig;
+    const providerName = llmProviderSelect.value;
+    const provider = llmConfig.providers[providerName];
+
+    if (provider.type === 'webllm') {
+      const supported = !!navigator.gpu;
+      showLLMProviderStatus(supported ? 'WebGPU is available - the model runs in this browser' : 'WebGPU is not available in this browser', supported ? 'success' : 'error');
+      return;
+    }
+
+    let adapter;
+    if (provider.configurable) {
+      const settings = getLLMSettingsForm();
+      if (!settings) return;
+      adapter = NYLALLMProvider.create(provider.type, llmConfig.withSavedApiKey(providerName, settings));
+    } else {
+      adapter = llmConfig.createProvider(providerName);
+    }
+
+    showLLMProviderStatus('Testing connection...');
+    const health = await adapter.health();
+    if (health.ok) {
+      const models = health.models.length > 0 ? ` · ${health.models.length} model${health.models.length === 1 ? '' : 's'}` : '';
+      const model = adapter.model ? ` · using ${adapter.model}` : '';
+      showLLMProviderStatus(`Connected in ${health.latency} ms${models}${model}`, 'success');
+    } else {
+      // Browsers block Ollama unless it allows this origin
+      const hint = health.unreachable && provider.type === 'ollama' ? ` - start Ollama with OLLAMA_ORIGINS=${window.location.origin}` : '';
+      showLLMProviderStatus(`Not reachable: ${health.error}${hint}`, 'error');
+    }
+  }
+
+  function saveLLMProvider() {
+    const llmConfig = window.NYLALLMConfig;
+    const providerName = llmProviderSelect.value;
+    const provider = llmConfig.providers[providerName];
+
+    const budgetsShown = llmBudgetSettings.style.display !== 'none';
+    const budgets = budgetsShown ? getLLMBudgetsForm() : null;
+    if (budgetsShown && !budgets) return;
+
+    if (provider.configurable) {
+      const settings = getLLMSettingsForm();
+      if (!settings) return;
+      llmConfig.updateProviderSettings(providerName, settings);
+    }
+    if (budgets) window.nylaLLMUsage.setBudgets(budgets);
+    llmConfig.switchProvider(providerName);
+    showLLMProviderStatus(`Saved - reload NYLA Go to use ${provider.name}`, 'success');
+  }
+
+  if (llmProviderSelect) {
+    llmProviderSelect.addEventListener('change', function() {
+      showLLMProviderStatus('');
+      showSelectedLLMProvider();
+    });
+  }
+  if (llmTestButton) llmTestButton.addEventListener('click', testLLMProvider);
+  if (llmSaveButton) llmSaveButton.addEventListener('click', saveLLMProvider);
+
+  // === ADDRESS BOOK ===
+  
+  // Frequent recipients for the Send tab autocomplete, stored with the shared settings
+  function saveAddressBook() {
+    window.NYLASharedSettings.setContacts(addressBook.toJSON());
+  }
+  
+  // Reload when the shared contacts are replaced (also after this screen's own saves)
+  window.addEventListener('nyla-contacts-changed', function(event) {
+    addressBook = new NYLAAddressBook(event.detail.contacts);
+  });
+  
+  transferHistory.list().then(entries => {
+    if (addressBook.mergeHistory(entries)) saveAddressBook();
+  }).catch(error => {
+    console.error('NYLA GO PWA: Failed to read history for the address book:', error);
+  });
+  
+  function renderRecipientSuggestions() {
+    if (!sendRecipientSuggestions) return;
+    
+    const contacts = addressBook.suggest(sendRecipient.value);
+    const exact = contacts.length === 1 && contacts[0].handle.toLowerCase() === NYLACommandGrammar.normalizeHandle(sendRecipient.value).toLowerCase();
+    if (contacts.length === 0 || exact) {
+      hideRecipientSuggestions();
+      return;
+    }
+    
+    sendRecipientSuggestions.innerHTML = '';
+    activeSuggestionIndex = -1;
+    contacts.forEach(contact => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'recipient-suggestion';
+      item.setAttribute('role', 'option');
+      item.textContent = contact.nickname || contact.handle;
+      
+      const meta = document.createElement('div');
+      meta.className = 'recipient-suggestion-meta';
+      meta.textContent = NYLAAddressBook.describe({ ...contact, nickname: '' });
+      item.appendChild(meta);
+      
+      // mousedown keeps focus in the input so blur does not hide the list first
+      item.addEventListener('mousedown', e => {
+        e.preventDefault();
+        selectRecipientContact(contact);
+      });
+      sendRecipientSuggestions.appendChild(item);
+    });
+    sendRecipientSuggestions.style.display = 'block';
+    sendRecipient.setAttribute('aria-expanded', 'true');
+  }
+  
+  function hideRecipientSuggestions() {
+    if (!sendRecipientSuggestions) return;
+    sendRecipientSuggestions.style.display = 'none';
+    sendRecipient.setAttribute('aria-expanded', 'false');
+    activeSuggestionIndex = -1;
+  }
+  
+  function highlightSuggestion(index) {
+    const items = sendRecipientSuggestions.querySelectorAll('.recipient-suggestion');
+    if (items.length === 0) return;
+    activeSuggestionIndex = (index + items.length) % items.length;
+    items.forEach((item, i) => item.classList.toggle('active', i === activeSuggestionIndex));
+    items[activeSuggestionIndex].scrollIntoView({ block: 'nearest' });
+  }
+  
+  // Fill the recipient and apply the contact's preferred chain and token
+  function selectRecipientContact(contact) {
+    sendRecipient.value = contact.handle;
+    if (contact.chain) {
+      sendBlockchainRadios.forEach(radio => {
+        radio.checked = radio.value === contact.chain;
+      });
+      updateTokenSelect(sendToken, contact.token);
+      const token = tokenRegistry.find(contact.chain, contact.token);
+      if (sendToken && token) sendToken.value = token.symbol;
+    }
+    hideRecipientSuggestions();
+    generateSendCommand();
+  }
+  
+  if (sendRecipient && sendRecipientSuggestions) {
+    sendRecipient.addEventListener('input', renderRecipientSuggestions);
+    sendRecipient.addEventListener('focus', renderRecipientSuggestions);
+    sendRecipient.addEventListener('blur', hideRecipientSuggestions);
+    sendRecipient.addEventListener('keydown', function(e) {
+      if (sendRecipientSuggestions.style.display === 'none') return;
+      
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        highlightSuggestion(activeSuggestionIndex + (e.key === 'ArrowDown' ? 1 : -1));
+      } else if (e.key === 'Enter' && activeSuggestionIndex >= 0) {
+        e.preventDefault();
+        selectRecipientContact(addressBook.suggest(sendRecipient.value)[activeSuggestionIndex]);
+      } else if (e.key === 'Escape') {
+        hideRecipientSuggestions();
+      }
+    });
+  }
+  
+  // Save the current recipient with the selected chain and token as preferences,
+  // asking for an optional nickname inline below the recipient field
+  function getContactHandle() {
+    const handle = NYLACommandGrammar.normalizeHandle(sendRecipient.value);
+    if (!NYLACommandGrammar.HANDLE_PATTERN.test(handle)) {
+      showStatus('Enter a valid X.com username to save it', 'error');
+      setTimeout(hideStatus, 3000);
+      return null;
+    }
+    return handle;
+  }
+  
+  function hideContactNickname() {
+    if (sendContactNicknameRow) sendContactNicknameRow.style.display = 'none';
+  }
+  
+  function saveContact() {
+    const handle = getContactHandle();
+    if (!handle) return;
+    
+    const contact = addressBook.save({ handle, nickname: sendContactNickname.value, chain: getSendBlockchain(), token: sendToken.value });
+    saveAddressBook();
+    hideContactNickname();
+    showStatus(`Saved ${contact.handle} to your address book`, 'success');
+    setTimeout(hideStatus, 2000);
+  }
+  
+  if (sendSaveContactBtn && sendContactNicknameRow) {
+    sendSaveContactBtn.addEventListener('click', function() {
+      if (sendContactNicknameRow.style.display !== 'none') {
+        hideContactNickname();
+        return;
+      }
+      const handle = getContactHandle();
+      if (!handle) return;
+      
+      const existing = addressBook.find(handle);
+      sendContactNickname.value = existing ? existing.nickname : '';
+      sendContactNicknameRow.style.display = 'flex';
+      sendContactNickname.focus();
+    });
+    
+    sendContactNicknameSaveBtn.addEventListener('click', saveContact);
+    sendContactNickname.addEventListener('keydown', function(e) {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        saveContact();
+      } else if (e.key === 'Escape') {
+        hideContactNickname();
+      }
+    });
+    // The nickname belongs to the handle it was opened for
+    sendRecipient.addEventListener('input', hideContactNickname);
+  }
+  
+  // === TRANSFER HISTORY ===
+  
+  // Commands that left NYLA Go, kept locally (IndexedDB) for repeat and export
+  function recordHistory(fields) {
+    transferHistory.record(fields).then(entry => {
+      if (addressBook.mergeHistory([entry])) saveAddressBook();
+    }).catch(error => {
+      console.error('NYLA GO PWA: Failed to save history entry:', error);
+    });
+  }
+  
+  function getHistoryFilters() {
+    return {
+      query: historySearch ? historySearch.value : '',
+      action: historyActionFilter ? historyActionFilter.value : '',
+      chain: historyChainFilter ? historyChainFilter.value : ''
+    };
+  }
+  
+  async function renderHistory() {
+    if (!historyList) return;
+    
+    let entries;
+    try {
+      entries = await transferHistory.list(getHistoryFilters());
+    } catch (error) {
+      console.error('NYLA GO PWA: Failed to load history:', error);
+      showStatus('Could not load transfer history', 'error');
+      setTimeout(hideStatus, 3000);
+      return;
+    }
+    historyList.innerHTML = '';
+    
+    if (entries.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'history-empty';
+      empty.textContent = 'No commands yet. Transfers, swaps and shared requests you create will appear here.';
+      historyList.appendChild(empty);
+      return;
+    }
+    
+    entries.forEach(entry => {
+      const item = document.createElement('div');
+      item.className = 'history-item';
+      
+      const info = document.createElement('div');
+      info.className = 'history-item-info';
+      const summary = document.createElement('div');
+      summary.className = 'history-item-summary';
+      summary.textContent = NYLATransferHistory.describe(entry);
+      const meta = document.createElement('div');
+      meta.className = 'history-item-meta';
+      meta.textContent = `${new Date(entry.timestamp).toLocaleString()} · ${NYLATransferHistory.DELIVERY_LABELS[entry.delivery]}`;
+      info.append(summary, meta);
+      
+      const repeatBtn = document.createElement('button');
+      repeatBtn.type = 'button';
+      repeatBtn.className = 'scan-button';
+      repeatBtn.textContent = 'Repeat';
+      repeatBtn.addEventListener('click', () => repeatHistoryEntry(entry));
+      
+      item.append(info, repeatBtn);
+      historyList.appendChild(item);
+    });
+  }
+  
+  // Pre-fill the form the entry came from
+  function repeatHistoryEntry(entry) {
+    fillActionForm(NYLATransferHistory.getRepeatFields(entry));
+    
+    showStatus('Loaded from history - check the details and send again', 'success');
+    setTimeout(hideStatus, 2000);
+  }
+  
+  // Pre-fill the Send, Swap or Receive form: { action, amount, token, toToken, chain, recipient }
+  function fillActionForm(fields) {
+    if (fields.action === 'transfer') {
+      if (sendRequestBanner) sendRequestBanner.style.display = 'none';
+      fillSendForm(fields);
+    } else if (fields.action === 'swap') {
+      const swapTabButton = document.querySelector('.tab-button[data-tab="swap"]');
+      if (swapTabButton) swapTabButton.click();
+      swapAmount.value = fields.amount;
+      document.querySelectorAll('input[name="swapBlockchain"]').forEach(radio => {
+        radio.checked = radio.value === fields.chain;
+      });
+      updateSwapTokenSelects();
+      if (fields.token) tokenRegistry.selectToken(swapFromToken, fields.chain, fields.token);
+      if (fields.toToken) tokenRegistry.selectToken(swapToToken, fields.chain, fields.toToken);
+      generateSwapCommand();
+    } else {
+      const receiveTabButton = document.querySelector('.tab-button[data-tab="receive"]');
+      if (receiveTabButton) receiveTabButton.click();
+      // Without a recipient the saved username stays
+      if (fields.recipient) receiveUsernameInput.value = fields.recipient.replace(/^@/, '');
+      receiveAmountInput.value = fields.amount;
+      receiveBlockchainRadios.forEach(radio => {
+        radio.checked = radio.value === fields.chain;
+      });
+      updateTokenSelect(receiveTokenSelect);
+      if (fields.token) tokenRegistry.selectToken(receiveTokenSelect, fields.chain, fields.token);
+      generateReceiveQRCode();
+    }
+  }
+  
+  // Actions confirmed in the assistant chat ("send 100 NYLA to @bob on Algorand")
+  window.addEventListener('nyla-chat-action', event => {
+    fillActionForm(event.detail.fields);
+    showStatus('Filled in from the chat - check the details before you post', 'success');
+    setTimeout(hideStatus, 3000);
+  });
+  
+  async function exportHistory(format) {
+    const entries = await transferHistory.list(getHistoryFilters());
+    if (entries.length === 0) {
+      showStatus('No history entries to export', 'error');
+      setTimeout(hideStatus, 2000);
+      return;
+    }
+    NYLAPaymentCard.download(NYLATransferHistory.toBlob(entries, format), NYLATransferHistory.getFileName(format));
+  }
+  
+  if (historySearch) historySearch.addEventListener('input', renderHistory);
+  if (historyActionFilter) historyActionFilter.addEventListener('change', renderHistory);
+  if (historyChainFilter) historyChainFilter.addEventListener('change', renderHistory);
+  if (historyExportCsvBtn) historyExportCsvBtn.addEventListener('click', () => exportHistory('csv'));
+  if (historyExportJsonBtn) historyExportJsonBtn.addEventListener('click', () => exportHistory('json'));
+  
+  if (historyClearBtn) {
+    historyClearBtn.addEventListener('click', async function() {
+      if (!confirm('Delete all transfer history on this device?')) return;
+      try {
+        await transferHistory.clear();
+      } catch (error) {
+        console.error('NYLA GO PWA: Failed to clear history:', error);
+        showStatus('Could not clear transfer history', 'error');
+        setTimeout(hideStatus, 3000);
+        return;
+      }
+      renderHistory();
+    });
+  }
+
   // Save username to localStorage when changed
   function saveUsername() {
     const username = receiveUsernameInput.value.trim();
@@ -647,70 +1315,39 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
 
-  // Validate token symbol
-  function validateTokenSymbol(symbol) {
-    if (!symbol || symbol.trim().length === 0) {
-      return 'Token symbol cannot be empty';
-    }
-    
-    const trimmedSymbol = symbol.trim().toUpperCase();
-    
-    if (trimmedSymbol.length > 10) {
-      return 'Token symbol cannot exceed 10 characters';
-    }
-    
-    if (!/^[A-Z0-9]+$/.test(trimmedSymbol)) {
-      return 'Token symbol can only contain letters and numbers';
-    }
-    
-    // Check if token already exists (default or custom)
-    const customTokens = getCustomTokens();
-    const allTokens = [...defaultTokens, ...customTokens];
-    
-    if (allTokens.includes(trimmedSymbol)) {
-      return 'Token already exists in the list';
-    }
-    
-    return null; // Valid
-  }
-
-  // Add new custom token
+  // Add new custom token for the chosen blockchain
   function addCustomToken() {
-    const symbol = newTokenInput.value.trim().toUpperCase();
-    
-    // Clear previous error
     clearTokenError();
     
-    // Validate token
-    const validationError = validateTokenSymbol(symbol);
-    if (validationError) {
-      showTokenError(validationError);
+    const result = tokenRegistry.addCustomToken({
+      symbol: newTokenInput.value,
+      chain: newTokenChain ? newTokenChain.value : getChainForTokenSelect(currentManageTokensSelect),
+      address: newTokenAddress ? newTokenAddress.value : '',
+      decimals: newTokenDecimals ? newTokenDecimals.value : ''
+    });
+    if (!result.valid) {
+      showTokenError(Object.values(result.errors)[0]);
       return;
     }
     
-    // Add to custom tokens
-    const customTokens = getCustomTokens();
-    customTokens.push(symbol);
-    customTokens.sort(); // Keep alphabetical order
-    saveCustomTokens(customTokens);
-    
-    // Update all token dropdowns
+    saveCustomTokens(tokenRegistry.getCustomTokens());
     updateAllTokenDropdowns();
     
-    // Clear input and update display
+    // Clear inputs and update display
     newTokenInput.value = '';
+    if (newTokenAddress) newTokenAddress.value = '';
+    if (newTokenDecimals) newTokenDecimals.value = '';
     updateCustomTokensList();
     
     // Show success feedback
-    showStatus(`Token ${symbol} added successfully!`, 'success');
+    showStatus(`Token ${result.token.symbol} added on ${result.token.chain}!`, 'success');
     setTimeout(hideStatus, 2000);
   }
 
-  // Remove custom token
-  function removeCustomToken(symbol) {
-    const customTokens = getCustomTokens();
-    const updatedTokens = customTokens.filter(token => token !== symbol);
-    saveCustomTokens(updatedTokens);
+  // Remove custom token (chain is empty for tokens added before per-chain tokens)
+  function removeCustomToken(symbol, chain) {
+    tokenRegistry.removeCustomToken(symbol, chain || null);
+    saveCustomTokens(tokenRegistry.getCustomTokens());
     
     // Update all token dropdowns
     updateAllTokenDropdowns();
@@ -723,37 +1360,50 @@ document.addEventListener('DOMContentLoaded', function() {
     setTimeout(hideStatus, 2000);
   }
 
+  function getCheckedChain(radios) {
+    let blockchain = NYLACommandGrammar.DEFAULT_CHAIN;
+    radios.forEach(radio => {
+      if (radio && radio.checked) blockchain = radio.value;
+    });
+    return blockchain;
+  }
+  
+  function getChainForTokenSelect(select) {
+    if (select === receiveTokenSelect) return getCheckedChain(receiveBlockchainRadios);
+    if (select === swapFromToken || select === swapToToken) {
+      return getCheckedChain(document.querySelectorAll('input[name="swapBlockchain"]'));
+    }
+    return getSendBlockchain();
+  }
+  
+  // Fill a token dropdown with the tokens of its form's blockchain
+  function updateTokenSelect(select, preferred) {
+    if (!select) return;
+    
+    const chain = getChainForTokenSelect(select);
+    const tokens = tokenRegistry.getTokens(chain);
+    const currentValue = select.value;
+    
+    select.innerHTML = '';
+    tokens.forEach(token => {
+      const option = document.createElement('option');
+      option.value = token.symbol;
+      option.textContent = token.symbol;
+      option.title = [token.name, NYLATokenRegistry.describeAddress(token)].filter(Boolean).join(' · ');
+      select.appendChild(option);
+    });
+    
+    // Keep the selection when the token exists on this chain (matching case-insensitively)
+    const current = tokenRegistry.find(chain, currentValue);
+    const fallback = tokenRegistry.find(chain, preferred);
+    select.value = (current || fallback || {}).symbol || tokenRegistry.getDefaultSymbol(chain);
+  }
+
   // Update all token dropdown options
   function updateAllTokenDropdowns() {
-    const customTokens = getCustomTokens();
-    const allTokens = [...defaultTokens, ...customTokens];
-    
-    // Update all token selects
-    const tokenSelects = [sendToken, receiveToken, swapFromToken, swapToToken];
-    
-    tokenSelects.forEach(select => {
-      if (select) {
-        const currentValue = select.value;
-        
-        // Clear existing options
-        select.innerHTML = '';
-        
-        // Add all tokens as options
-        allTokens.forEach(token => {
-          const option = document.createElement('option');
-          option.value = token;
-          option.textContent = token;
-          select.appendChild(option);
-        });
-        
-        // Restore previous selection if still valid
-        if (allTokens.includes(currentValue)) {
-          select.value = currentValue;
-        } else {
-          select.value = 'NYLA'; // Default fallback
-        }
-      }
-    });
+    updateTokenSelect(sendToken);
+    updateTokenSelect(receiveTokenSelect);
+    updateSwapTokenSelects();
     
     // Trigger update events for any active tab
     if (receiveTab && receiveTab.style.display !== 'none') {
@@ -766,20 +1416,48 @@ document.addEventListener('DOMContentLoaded', function() {
       generateSwapCommand();
     }
   }
+  
+  // Swap tokens for the chosen blockchain; "to" defaults to a token other than "from"
+  function updateSwapTokenSelects() {
+    if (!swapFromToken || !swapToToken) return;
+    updateTokenSelect(swapFromToken);
+    const chain = getChainForTokenSelect(swapToToken);
+    const alternative = tokenRegistry.getSymbols(chain).find(symbol => symbol !== swapFromToken.value);
+    updateTokenSelect(swapToToken, alternative);
+    if (swapToToken.value === swapFromToken.value && alternative) swapToToken.value = alternative;
+  }
 
   // Update custom tokens list display
   function updateCustomTokensList() {
-    const customTokens = getCustomTokens();
+    const customTokens = tokenRegistry.getCustomTokens();
     
     if (customTokens.length === 0) {
       customTokensList.innerHTML = '<div class="no-custom-tokens" id="noCustomTokens">No custom tokens added yet.</div>';
     } else {
-      customTokensList.innerHTML = customTokens.map(token => `
-        <div class="custom-token-item">
-          <span class="token-symbol">${token}</span>
-          <button type="button" class="remove-token-btn" onclick="removeCustomToken('${token}')">Remove</button>
-        </div>
-      `).join('');
+      customTokensList.innerHTML = '';
+      customTokens.forEach(token => {
+        const item = document.createElement('div');
+        item.className = 'custom-token-item';
+        
+        const info = document.createElement('div');
+        info.className = 'token-info';
+        const symbol = document.createElement('span');
+        symbol.className = 'token-symbol';
+        symbol.textContent = token.symbol;
+        const details = document.createElement('span');
+        details.className = 'token-details';
+        details.textContent = [token.chain || 'All chains', NYLATokenRegistry.describeAddress(token)].filter(Boolean).join(' · ');
+        info.append(symbol, details);
+        
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'remove-token-btn';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => removeCustomToken(token.symbol, token.chain));
+        
+        item.append(info, removeBtn);
+        customTokensList.appendChild(item);
+      });
     }
   }
 
@@ -801,6 +1479,7 @@ document.addEventListener('DOMContentLoaded', function() {
   // Open custom tokens modal
   function openCustomTokensModal(selectElement) {
     currentManageTokensSelect = selectElement;
+    if (newTokenChain) newTokenChain.value = getChainForTokenSelect(selectElement);
     updateCustomTokensList();
     clearTokenError();
     
@@ -825,9 +1504,6 @@ document.addEventListener('DOMContentLoaded', function() {
     clearTokenError();
   }
 
-  // Make removeCustomToken globally available for onclick handlers
-  window.removeCustomToken = removeCustomToken;
-
   // Function to generate raid section dynamically
   function generateRaidSection() {
     const raidCategoriesContainer = document.getElementById('raidCategories');
@@ -898,7 +1574,10 @@ document.addEventListener('DOMContentLoaded', function() {
   if (receiveTokenSelect) receiveTokenSelect.addEventListener('change', generateReceiveQRCode);
   
   receiveBlockchainRadios.forEach(radio => {
-    if (radio) radio.addEventListener('change', generateReceiveQRCode);
+    if (radio) radio.addEventListener('change', function() {
+      updateTokenSelect(receiveTokenSelect);
+      generateReceiveQRCode();
+    });
   });
 
   // Event Listeners - Swap Tab
@@ -909,7 +1588,10 @@ document.addEventListener('DOMContentLoaded', function() {
   // Swap blockchain radio button event listeners
   const swapBlockchainRadios = document.querySelectorAll('input[name="swapBlockchain"]');
   swapBlockchainRadios.forEach(radio => {
-    if (radio) radio.addEventListener('change', generateSwapCommand);
+    if (radio) radio.addEventListener('change', function() {
+      updateSwapTokenSelects();
+      generateSwapCommand();
+    });
   });
   
   // Event Listeners - Send Tab
@@ -918,8 +1600,14 @@ document.addEventListener('DOMContentLoaded', function() {
   if (sendToken) sendToken.addEventListener('change', generateSendCommand);
   
   sendBlockchainRadios.forEach(radio => {
-    if (radio) radio.addEventListener('change', generateSendCommand);
+    if (radio) radio.addEventListener('change', function() {
+      updateTokenSelect(sendToken);
+      generateSendCommand();
+    });
   });
+  
+  if (sendBatchToggle) sendBatchToggle.addEventListener('change', toggleBatchMode);
+  if (sendBatchRecipients) sendBatchRecipients.addEventListener('input', generateSendCommand);
 
   // === CUSTOM TOKEN MANAGEMENT EVENT LISTENERS ===
   
@@ -929,7 +1617,7 @@ document.addEventListener('DOMContentLoaded', function() {
   }
   
   if (receiveManageTokensBtn) {
-    receiveManageTokensBtn.addEventListener('click', () => openCustomTokensModal(receiveToken));
+    receiveManageTokensBtn.addEventListener('click', () => openCustomTokensModal(receiveTokenSelect));
   }
   
   if (swapFromManageTokensBtn) {
@@ -992,6 +1680,9 @@ document.addEventListener('DOMContentLoaded', function() {
         return; // Exit early, don't switch to NYLA tab
       }
       
+      // Release the camera when leaving the Send tab
+      if (tabName !== 'send') closeScanner();
+      
       // Remove active class from all tabs and buttons
       tabButtons.forEach(btn => btn.classList.remove('active'));
       if (nylaTab) nylaTab.classList.remove('active');
@@ -1000,6 +1691,8 @@ document.addEventListener('DOMContentLoaded', function() {
       if (sendTab) sendTab.classList.remove('active');
       if (raidTab) raidTab.classList.remove('active');
       if (appTab) appTab.classList.remove('active');
+      if (historyTab) historyTab.classList.remove('active');
+      if (llmSettingsTab) llmSettingsTab.classList.remove('active');
       
       // Hide all tab content
       if (nylaTab) nylaTab.style.display = 'none';
@@ -1008,6 +1701,8 @@ document.addEventListener('DOMContentLoaded', function() {
       if (sendTab) sendTab.style.display = 'none';
       if (raidTab) raidTab.style.display = 'none';
       if (appTab) appTab.style.display = 'none';
+      if (historyTab) historyTab.style.display = 'none';
+      if (llmSettingsTab) llmSettingsTab.style.display = 'none';
       
       // Show selected tab
       this.classList.add('active');
@@ -1084,10 +1779,24 @@ document.addEventListener('DOMContentLoaded', function() {
         return;
       }
       
-      const command = `Hey @AgentNyla swap ${amount} ${fromToken} to ${toToken}`;
+      // Get selected blockchain
+      let blockchain = 'Solana';
+      swapBlockchainRadios.forEach(radio => {
+        if (radio && radio.checked) blockchain = radio.value;
+      });
+      
+      const amountError = showAmountError(swapFromTokenError, amount, blockchain, fromToken);
+      if (amountError) {
+        showStatus(amountError, 'error');
+        setTimeout(hideStatus, 3000);
+        return;
+      }
+      
+      const command = NYLACommandGrammar.buildSwap({ amount, fromToken, toToken, chain: blockchain });
       const mobileURL = generateXMobileURL(command);
       
       window.open(mobileURL, '_blank');
+      recordHistory({ action: 'swap', amount, token: fromToken, toToken, chain: blockchain, delivery: NYLATransferHistory.DELIVERY.COMPOSE_URL });
       showStatus('Opening X.com with swap command...', 'success');
       setTimeout(hideStatus, 3000);
     });
@@ -1096,6 +1805,18 @@ document.addEventListener('DOMContentLoaded', function() {
   // Send button click handler
   if (sendButton) {
     sendButton.addEventListener('click', function() {
+      const amountError = showAmountError(sendAmountError, sendAmount?.value || '1', getSendBlockchain(), sendToken?.value);
+      if (amountError) {
+        showStatus(amountError, 'error');
+        setTimeout(hideStatus, 3000);
+        return;
+      }
+      
+      if (isBatchMode()) {
+        sendNextBatchCommand();
+        return;
+      }
+      
       const recipient = sendRecipient?.value?.trim()?.replace('@', '') || '';
       const amount = sendAmount?.value || '1';
       const token = sendToken?.value || 'NYLA';
@@ -1113,22 +1834,188 @@ document.addEventListener('DOMContentLoaded', function() {
       });
       
       // Generate command
-      let command;
-      if (blockchain === 'Solana') {
-        command = `Hey @AgentNyla transfer ${amount} $${token} @${recipient}`;
-      } else {
-        command = `Hey @AgentNyla transfer ${amount} $${token} @${recipient} ${blockchain}`;
-      }
-      
+      const command = NYLACommandGrammar.buildTransfer({ amount, token, recipient, chain: blockchain });
       
       const mobileURL = generateXMobileURL(command);
       
       window.open(mobileURL, '_blank');
+      recordHistory({ action: 'transfer', amount, token, chain: blockchain, recipient, delivery: NYLATransferHistory.DELIVERY.COMPOSE_URL });
       showStatus('Opening X.com with transfer command...', 'success');
       setTimeout(hideStatus, 3000);
     });
   }
 
+  // === PAYMENT REQUEST LINKS ===
+  
+  function getReceivePaymentRequest(username, amount, token, blockchain) {
+    return {
+      recipient: username,
+      amount,
+      token,
+      chain: blockchain,
+      memo: receiveMemoInput ? receiveMemoInput.value.trim() : '',
+      invoiceId: receiveInvoiceInput ? receiveInvoiceInput.value.trim() : '',
+      expiresAt: NYLAPaymentRequest.expiryFromOption(receiveExpirySelect ? receiveExpirySelect.value : '')
+    };
+  }
+  
+  // Links point back at this PWA so the payer lands on a pre-filled Send tab
+  function generatePaymentRequestURL(request) {
+    return NYLAPaymentRequest.toURL(request, window.location.origin + window.location.pathname);
+  }
+  
+  function validateReceiveDetails() {
+    if (!receiveMemoError) return;
+    const { errors } = NYLAPaymentRequest.validate({
+      recipient: '@nyla',
+      amount: '1',
+      token: 'NYLA',
+      memo: receiveMemoInput.value.trim(),
+      invoiceId: receiveInvoiceInput.value.trim()
+    });
+    receiveMemoError.textContent = errors.memo || errors.invoiceId || '';
+  }
+  
+  if (receiveMemoInput) receiveMemoInput.addEventListener('input', validateReceiveDetails);
+  if (receiveInvoiceInput) receiveInvoiceInput.addEventListener('input', validateReceiveDetails);
+  
+  // Open a payment request link (?pay=...) in the Send tab
+  function openPaymentRequestFromURL() {
+    const parsed = NYLAPaymentRequest.parse(window.location.search, tokenRegistry);
+    if (!parsed) return;
+    
+    console.log('NYLA GO PWA: Opening payment request', parsed.request);
+    openPaymentRequest(parsed);
+    
+    // Drop the request from the address bar so a reload does not re-open it
+    const params = new URLSearchParams(window.location.search);
+    NYLAPaymentRequest.PARAMS.forEach(key => params.delete(key));
+    const query = params.toString();
+    window.history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
+  }
+  
+  // Show a parsed payment request in the Send tab with its banner and warnings
+  function openPaymentRequest(parsed) {
+    const { request } = parsed;
+    fillSendForm(request);
+    
+    const expired = NYLAPaymentRequest.isExpired(request);
+    if (sendRequestBanner) {
+      sendRequestBanner.innerHTML = '';
+      sendRequestBanner.classList.toggle('expired', expired);
+      
+      const title = document.createElement('div');
+      title.textContent = expired ?
+        `⚠️ This payment request from ${request.recipient} has expired` :
+        `💰 Payment request from ${request.recipient}`;
+      sendRequestBanner.appendChild(title);
+      
+      const details = NYLAPaymentRequest.describe(request);
+      if (details) {
+        const detailsDiv = document.createElement('div');
+        detailsDiv.className = 'payment-request-details';
+        detailsDiv.textContent = details;
+        sendRequestBanner.appendChild(detailsDiv);
+      }
+      sendRequestBanner.style.display = 'block';
+    }
+    
+    if (!parsed.valid) {
+      showStatus(`Payment request is incomplete: ${Object.values(parsed.errors)[0]}`, 'error');
+      setTimeout(hideStatus, 4000);
+    } else if (expired) {
+      showStatus('This payment request has expired - check with the recipient before paying', 'error');
+      setTimeout(hideStatus, 4000);
+    }
+  }
+  
+  // Pre-fill the single-recipient Send form: { recipient, amount, token, chain }
+  function fillSendForm(request) {
+    const sendTabButton = document.querySelector('.tab-button[data-tab="send"]');
+    if (sendTabButton && !sendTabButton.classList.contains('active')) {
+      sendTabButton.click();
+    }
+    
+    if (sendBatchToggle && sendBatchToggle.checked) {
+      sendBatchToggle.checked = false;
+      toggleBatchMode();
+    }
+    
+    if (sendRecipient) sendRecipient.value = request.recipient;
+    if (sendAmount) sendAmount.value = request.amount;
+    sendBlockchainRadios.forEach(radio => {
+      radio.checked = radio.value === request.chain;
+    });
+    updateTokenSelect(sendToken);
+    if (sendToken && request.token) {
+      tokenRegistry.selectToken(sendToken, request.chain, request.token);
+    }
+    generateSendCommand();
+  }
+  
+  // QR scanner (camera or uploaded image), decoded locally
+  function handleScanResult(payload) {
+    closeScanner();
+    if (!payload) {
+      sendScanError.textContent = NYLAQRScanner.MESSAGES.noCode;
+      return;
+    }
+    if (payload.type === 'unsupported') {
+      sendScanError.textContent = payload.message;
+      return;
+    }
+    
+    console.log('NYLA GO PWA: Scanned QR code', payload);
+    sendScanError.textContent = '';
+    if (payload.type === 'payment-request') {
+      openPaymentRequest(payload);
+    } else {
+      if (sendRequestBanner) sendRequestBanner.style.display = 'none';
+      fillSendForm(payload.request);
+      showStatus(`Scanned transfer to ${payload.request.recipient}`, 'success');
+      setTimeout(hideStatus, 2000);
+    }
+  }
+  
+  async function openScanner() {
+    sendScanError.textContent = '';
+    if (!sendQRScanner) {
+      sendQRScanner = new NYLAQRScanner({ video: sendScannerVideo, onResult: handleScanResult });
+    }
+    if (sendQRScanner.isActive()) return;
+    
+    sendScanner.style.display = 'block';
+    try {
+      await sendQRScanner.start();
+    } catch (error) {
+      console.warn('NYLA GO PWA: Camera unavailable:', error.message);
+      closeScanner();
+      sendScanError.textContent = NYLAQRScanner.MESSAGES.cameraUnavailable;
+    }
+  }
+  
+  function closeScanner() {
+    if (sendQRScanner) sendQRScanner.stop();
+    if (sendScanner) sendScanner.style.display = 'none';
+  }
+  
+  if (sendScanButton) sendScanButton.addEventListener('click', openScanner);
+  if (sendScannerClose) sendScannerClose.addEventListener('click', closeScanner);
+  if (sendScanFile) {
+    sendScanFile.addEventListener('change', async () => {
+      const file = sendScanFile.files[0];
+      sendScanFile.value = '';
+      if (!file) return;
+      
+      try {
+        handleScanResult(await NYLAQRScanner.scanFile(file));
+      } catch (error) {
+        console.error('NYLA GO PWA: Failed to read QR image:', error);
+        sendScanError.textContent = NYLAQRScanner.MESSAGES.noCode;
+      }
+    });
+  }
+  
   // Adaptive sharing functionality
   shareButton.addEventListener('click', async function() {
     const username = receiveUsernameInput.value.trim().replace('@', '') || 'username';
@@ -1141,50 +2028,62 @@ document.addEventListener('DOMContentLoaded', function() {
     });
     
     // Generate the actual transfer command
-    let command;
-    if (blockchain === 'Solana') {
-      command = `Hey @AgentNyla transfer ${amount} $${token} @${username}`;
-    } else {
-      command = `Hey @AgentNyla transfer ${amount} $${token} @${username} ${blockchain}`;
-    }
+    const command = NYLACommandGrammar.buildReceive({ amount, token, username, chain: blockchain });
     
     // Generate mobile URL for the command
     const mobileURL = generateXMobileURL(command);
     
+    // Payment request link carrying memo, invoice and expiry
+    const paymentRequest = getReceivePaymentRequest(username, amount, token, blockchain);
+    let paymentURL;
+    try {
+      paymentURL = generatePaymentRequestURL(paymentRequest);
+    } catch (error) {
+      showStatus(error.message, 'error');
+      setTimeout(hideStatus, 3000);
+      return;
+    }
+    
+    recordHistory({ action: 'request', amount, token, chain: blockchain, recipient: username, delivery: NYLATransferHistory.DELIVERY.SHARE });
+    
     // Adaptive sharing based on device type
     const isDesktop = document.body.classList.contains('desktop-mode');
     
     if (isDesktop) {
       // Desktop: Show direct link dialog and copy to clipboard
-      showDesktopShareDialog(command, mobileURL, amount, token, username);
+      showDesktopShareDialog(command, mobileURL, amount, token, username, blockchain, paymentURL);
     } else {
       // Mobile: Use native sharing or fallback
       const shareText = `💰 Send me ${amount} $${token} via X`;
       
+      // Memo, invoice and expiry only survive in the payment request link
+      const hasDetails = paymentRequest.memo || paymentRequest.invoiceId || paymentRequest.expiresAt;
+      const shareURL = hasDetails ? paymentURL : mobileURL;
+      
       if (navigator.share) {
         try {
           await navigator.share({
             title: 'NYLA Payment Request',
             text: shareText,
-            url: mobileURL
+            url: shareURL
           });
           showStatus('Shared successfully!', 'success');
           setTimeout(hideStatus, 3000);
         } catch (error) {
           if (error.name !== 'AbortError') {
             // Fallback with full text including URL
-            fallbackShare(`${shareText}\n\n${mobileURL}`);
+            fallbackShare(`${shareText}\n\n${shareURL}`);
           }
         }
       } else {
         // Fallback with full text including URL
-        fallbackShare(`${shareText}\n\n${mobileURL}`);
+        fallbackShare(`${shareText}\n\n${shareURL}`);
       }
     }
   });
 
   // Desktop-specific share dialog
-  function showDesktopShareDialog(command, mobileURL, amount, token, username) {
+  function showDesktopShareDialog(command, mobileURL, amount, token, username, blockchain, paymentURL) {
     // Create modal overlay
     const overlay = document.createElement('div');
     overlay.className = 'desktop-share-overlay';
@@ -1233,6 +2132,10 @@ document.addEventListener('DOMContentLoaded', function() {
           <div style="color: #888; font-size: 12px; margin-bottom: 0.5rem;">Shareable Link:</div>
           <div style="color: #FF6B35; font-size: 14px; word-break: break-all; cursor: pointer;" class="copy-link">${mobileURL}</div>
         </div>
+        <div style="background: #2a2a2a; border: 1px solid #444; border-radius: 8px; padding: 1rem; margin-top: 1rem;">
+          <div style="color: #888; font-size: 12px; margin-bottom: 0.5rem;">Payment Request Link (opens NYLA Go):</div>
+          <div style="color: #FF6B35; font-size: 14px; word-break: break-all; cursor: pointer;" class="copy-payment-link">${paymentURL}</div>
+        </div>
       </div>
       
       <div style="display: flex; gap: 1rem; flex-wrap: wrap;">
@@ -1246,6 +2149,15 @@ document.addEventListener('DOMContentLoaded', function() {
           🐦 Open X.com
         </button>
       </div>
+      
+      <div style="display: flex; gap: 1rem; flex-wrap: wrap; margin-top: 1rem;">
+        <button class="share-card" style="flex: 1; min-width: 140px; background: #333; color: #fff; border: 1px solid #555; padding: 12px 16px; border-radius: 8px; font-weight: 600; cursor: pointer; transition: all 0.2s ease;">
+          🖼️ Share Card (PNG)
+        </button>
+        <button class="download-card-svg" style="flex: 1; min-width: 140px; background: #333; color: #fff; border: 1px solid #555; padding: 12px 16px; border-radius: 8px; font-weight: 600; cursor: pointer; transition: all 0.2s ease;">
+          ⬇️ Download Card (SVG)
+        </button>
+      </div>
     `;
     
     // Add styles
@@ -1316,11 +2228,60 @@ document.addEventListener('DOMContentLoaded', function() {
       }
     };
     
+    const copyPaymentLink = async () => {
+      try {
+        await navigator.clipboard.writeText(paymentURL);
+        showStatus('Payment request link copied!', 'success');
+        setTimeout(hideStatus, 2000);
+      } catch (error) {
+        showStatus('Failed to copy link', 'error');
+      }
+    };
+    
     const openTwitter = () => {
       window.open(mobileURL, '_blank');
       closeDialog();
     };
     
+    // Payment card exports: Web Share with files where supported, download otherwise
+    const cardRequest = { url: mobileURL, amount, token, chain: blockchain, username };
+    
+    const shareCard = async () => {
+      try {
+        const blob = await NYLAPaymentCard.toPNGBlob(cardRequest);
+        const file = new File([blob], NYLAPaymentCard.getFileName(cardRequest, 'png'), { type: 'image/png' });
+        
+        if (navigator.canShare && navigator.canShare({ files: [file] })) {
+          await navigator.share({
+            files: [file],
+            title: 'NYLA Payment Request',
+            text: `💰 Send me ${amount} $${token} via X`
+          });
+          showStatus('Payment card shared!', 'success');
+        } else {
+          NYLAPaymentCard.download(file, file.name);
+          showStatus('Payment card downloaded!', 'success');
+        }
+        setTimeout(hideStatus, 2000);
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          console.error('NYLA GO PWA: Payment card export failed:', error);
+          showStatus('Failed to create payment card', 'error');
+        }
+      }
+    };
+    
+    const downloadCardSVG = () => {
+      try {
+        NYLAPaymentCard.download(NYLAPaymentCard.toSVGBlob(cardRequest), NYLAPaymentCard.getFileName(cardRequest, 'svg'));
+        showStatus('Payment card downloaded!', 'success');
+        setTimeout(hideStatus, 2000);
+      } catch (error) {
+        console.error('NYLA GO PWA: Payment card export failed:', error);
+        showStatus('Failed to create payment card', 'error');
+      }
+    };
+    
     const closeDialog = () => {
       overlay.style.animation = 'fadeOut 0.2s ease-out forwards';
       setTimeout(() => {
@@ -1334,6 +2295,9 @@ document.addEventListener('DOMContentLoaded', function() {
     dialog.querySelector('.copy-command').addEventListener('click', copyCommand);
     dialog.querySelector('.copy-link').addEventListener('click', copyLink);
     dialog.querySelector('.open-twitter').addEventListener('click', openTwitter);
+    dialog.querySelector('.copy-payment-link').addEventListener('click', copyPaymentLink);
+    dialog.querySelector('.share-card').addEventListener('click', shareCard);
+    dialog.querySelector('.download-card-svg').addEventListener('click', downloadCardSVG);
     
     // Click link to copy
     dialog.querySelector('.copy-link[style*="color: #FF6B35"]').addEventListener('click', copyLink);
@@ -2142,6 +3106,8 @@ document.addEventListener('DOMContentLoaded', function() {
             if (receiveTab) receiveTab.style.display = 'none';
             if (sendTab) sendTab.style.display = 'none';
             if (appTab) appTab.style.display = 'none';
+            if (historyTab) historyTab.style.display = 'none';
+            if (llmSettingsTab) llmSettingsTab.style.display = 'none';
             
             // Show raid tab
             raidTab.style.display = 'block';
@@ -2160,6 +3126,8 @@ document.addEventListener('DOMContentLoaded', function() {
             if (receiveTab) receiveTab.style.display = 'none';
             if (sendTab) sendTab.style.display = 'none';
             if (raidTab) raidTab.style.display = 'none';
+            if (historyTab) historyTab.style.display = 'none';
+            if (llmSettingsTab) llmSettingsTab.style.display = 'none';
             
             // Show app tab
             appTab.style.display = 'block';
@@ -2170,6 +3138,48 @@ document.addEventListener('DOMContentLoaded', function() {
             
             console.log('NYLA GO PWA: Showing Community Apps');
           }
+        } else if (action === 'history') {
+          if (historyTab) {
+            // Hide all tabs
+            if (swapTab) swapTab.style.display = 'none';
+            if (receiveTab) receiveTab.style.display = 'none';
+            if (sendTab) sendTab.style.display = 'none';
+            if (raidTab) raidTab.style.display = 'none';
+            if (appTab) appTab.style.display = 'none';
+            if (llmSettingsTab) llmSettingsTab.style.display = 'none';
+            closeScanner();
+            
+            // Show history tab
+            historyTab.style.display = 'block';
+            historyTab.classList.add('active');
+            renderHistory();
+            
+            // Update tab buttons
+            tabButtons.forEach(btn => btn.classList.remove('active'));
+            
+            console.log('NYLA GO PWA: Showing Transfer History');
+          }
+        } else if (action === 'llm') {
+          if (llmSettingsTab) {
+            // Hide all tabs
+            if (swapTab) swapTab.style.display = 'none';
+            if (receiveTab) receiveTab.style.display = 'none';
+            if (sendTab) sendTab.style.display = 'none';
+            if (raidTab) raidTab.style.display = 'none';
+            if (appTab) appTab.style.display = 'none';
+            if (historyTab) historyTab.style.display = 'none';
+            closeScanner();
+
+            // Show AI provider settings
+            llmSettingsTab.style.display = 'block';
+            llmSettingsTab.classList.add('active');
+            renderLLMSettings();
+
+            // Update tab buttons
+            tabButtons.forEach(btn => btn.classList.remove('active'));
+
+            console.log('NYLA GO PWA: Showing AI Provider settings');
+          }
         }
         
         // Close floating menu
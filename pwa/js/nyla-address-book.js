@@ -0,0 +1,208 @@
+/**
+ * NYLA Address Book
+ * Frequent recipients for the Send tab autocomplete, fed from the transfer history,
+ * X.com reply detection and contacts the user saves.
+ * Stored through NYLASharedSettings (contacts), so it is included in settings export/import.
+ *
+ * Contact: { handle, nickname, chain, token, lastUsed }
+ * - handle: X.com handle with "@"
+ * - chain/token: preferred for this recipient (from the last transfer or as saved), may be null
+ * - lastUsed: timestamp of the last transfer, null for contacts that were only detected or saved
+ */
+
+class NYLAAddressBook {
+  static MAX_CONTACTS = 200;
+  static MAX_SUGGESTIONS = 6;
+  static MAX_NICKNAME_LENGTH = 30;
+
+  /**
+   * @param {Array} contacts - Stored or imported contacts; invalid handles are dropped and duplicates merged
+   */
+  constructor(contacts = []) {
+    this.contacts = [];
+    (Array.isArray(contacts) ? contacts : []).forEach(entry => {
+      const contact = NYLAAddressBook.normalizeContact(entry);
+      if (contact) this.merge(contact);
+    });
+  }
+
+  /**
+   * @returns {Object|null} Contact, null if the handle is not a valid X.com handle
+   */
+  static normalizeContact(entry) {
+    if (!entry || typeof entry.handle !== 'string') return null;
+
+    const handle = NYLACommandGrammar.normalizeHandle(entry.handle);
+    if (!NYLACommandGrammar.HANDLE_PATTERN.test(handle)) return null;
+
+    const nickname = typeof entry.nickname === 'string' ?
+      entry.nickname.trim().slice(0, this.MAX_NICKNAME_LENGTH) : '';
+    return {
+      handle,
+      nickname,
+      chain: entry.chain ? NYLACommandGrammar.canonicalChain(entry.chain) : null,
+      token: entry.token ? String(entry.token).replace(/^\$/, '') : null,
+      lastUsed: Number.isFinite(entry.lastUsed) ? entry.lastUsed : null
+    };
+  }
+
+  /**
+   * Look up a contact (X.com handles are case-insensitive)
+   * @returns {Object|null} Contact
+   */
+  find(handle) {
+    const key = NYLACommandGrammar.normalizeHandle(handle).toLowerCase();
+    return this.contacts.find(contact => contact.handle.toLowerCase() === key) || null;
+  }
+
+  /**
+   * Add a contact or fold it into the existing one; the newer use wins for preferences
+   */
+  merge(contact) {
+    const existing = this.find(contact.handle);
+    if (!existing) {
+      this.contacts.push({ ...contact });
+      this.trim();
+      return;
+    }
+
+    if (contact.nickname) existing.nickname = contact.nickname;
+    const newer = contact.lastUsed !== null && (existing.lastUsed === null || contact.lastUsed >= existing.lastUsed);
+    if (newer || !existing.chain) existing.chain = contact.chain || existing.chain;
+    if (newer || !existing.token) existing.token = contact.token || existing.token;
+    if (newer) existing.lastUsed = contact.lastUsed;
+  }
+
+  /**
+   * Note a transfer to a recipient
+   * @param {Object} use - { recipient, chain, token, timestamp }
+   * @returns {boolean} Whether the address book changed
+   */
+  recordUse({ recipient, chain, token, timestamp = Date.now() }) {
+    const contact = NYLAAddressBook.normalizeContact({ handle: recipient, chain, token, lastUsed: timestamp });
+    if (!contact) return false;
+
+    const existing = this.find(contact.handle);
+    if (existing && existing.lastUsed !== null && existing.lastUsed >= timestamp) return false;
+    this.merge(contact);
+    return true;
+  }
+
+  /**
+   * Add a recipient detected from an X.com reply, keeping any existing contact as is
+   * @returns {boolean} Whether a contact was added
+   */
+  addDetected(handle) {
+    const contact = NYLAAddressBook.normalizeContact({ handle });
+    if (!contact || this.find(contact.handle)) return false;
+    this.merge(contact);
+    return true;
+  }
+
+  /**
+   * Save a contact from the Send form, with an optional nickname
+   * @param {Object} entry - { handle, nickname?, chain?, token? }
+   * @returns {Object|null} Saved contact, null if the handle is invalid
+   */
+  save(entry) {
+    const contact = NYLAAddressBook.normalizeContact(entry);
+    if (!contact) return null;
+
+    const existing = this.find(contact.handle);
+    if (existing) {
+      // Saving sets the preferences explicitly, including clearing a nickname
+      existing.nickname = contact.nickname;
+      existing.chain = contact.chain || existing.chain;
+      existing.token = contact.token || existing.token;
+      return existing;
+    }
+    this.merge(contact);
+    return this.find(contact.handle);
+  }
+
+  remove(handle) {
+    const contact = this.find(handle);
+    this.contacts = this.contacts.filter(item => item !== contact);
+  }
+
+  /**
+   * Feed transfers from the transfer history (Payment requests are the user's own handle and are skipped)
+   * @param {Array} entries - NYLATransferHistory entries
+   * @returns {boolean} Whether the address book changed
+   */
+  mergeHistory(entries) {
+    return entries
+      .filter(entry => entry.action === 'transfer' && entry.recipient)
+      .map(entry => this.recordUse({ recipient: entry.recipient, chain: entry.chain, token: entry.token, timestamp: entry.timestamp }))
+      .some(Boolean);
+  }
+
+  /**
+   * Contacts ordered for display: most recently used first, then never-used contacts by handle
+   */
+  getContacts() {
+    return this.contacts.slice().sort((a, b) => {
+      if (a.lastUsed !== b.lastUsed) return (b.lastUsed || 0) - (a.lastUsed || 0);
+      return a.handle.localeCompare(b.handle);
+    });
+  }
+
+  /**
+   * Autocomplete suggestions for the recipient field
+   * Handles starting with the query come first, then handle or nickname matches anywhere;
+   * each group is ordered by last use.
+   * @param {string} query - Text typed so far, with or without "@"
+   * @param {number} limit - Maximum suggestions
+   * @returns {Array} Contacts
+   */
+  suggest(query, limit = NYLAAddressBook.MAX_SUGGESTIONS) {
+    const needle = String(query || '').trim().replace(/^@/, '').toLowerCase();
+    const contacts = this.getContacts();
+    if (!needle) return contacts.slice(0, limit);
+
+    const prefix = [];
+    const partial = [];
+    contacts.forEach(contact => {
+      const handle = contact.handle.slice(1).toLowerCase();
+      if (handle.startsWith(needle)) {
+        prefix.push(contact);
+      } else if (handle.includes(needle) || contact.nickname.toLowerCase().includes(needle)) {
+        partial.push(contact);
+      }
+    });
+    return [...prefix, ...partial].slice(0, limit);
+  }
+
+  /**
+   * Label for a suggestion, e.g. "Alice (@alice) · NYLA on Solana"
+   */
+  static describe(contact) {
+    const name = contact.nickname ? `${contact.nickname} (${contact.handle})` : contact.handle;
+    if (!contact.token && !contact.chain) return name;
+    const preference = [contact.token, contact.chain].filter(Boolean).join(' on ');
+    return `${name} · ${preference}`;
+  }
+
+  /**
+   * Drop the least recently used contacts beyond MAX_CONTACTS
+   */
+  trim() {
+    if (this.contacts.length <= NYLAAddressBook.MAX_CONTACTS) return;
+    const keep = new Set(this.getContacts().slice(0, NYLAAddressBook.MAX_CONTACTS));
+    this.contacts = this.contacts.filter(contact => keep.has(contact));
+  }
+
+  /**
+   * @returns {Array} Contacts for storage
+   */
+  toJSON() {
+    return this.getContacts().map(contact => ({ ...contact }));
+  }
+}
+
+// Export for both Node.js and Browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NYLAAddressBook;
+} else if (typeof window !== 'undefined') {
+  window.NYLAAddressBook = NYLAAddressBook;
+}
@@ -0,0 +1,183 @@
+/**
+ * NYLA Batch Transfer
+ * Queue of transfer commands paying the same amount to many recipients (raids, community tipping)
+ *
+ * The queue only tracks state; callers supply the delivery function:
+ * - Extension: content.js inserts each command into the X.com compose box
+ * - PWA: each command opens an X.com compose URL
+ */
+
+class NYLABatchTransfer {
+  static MAX_RECIPIENTS = 50;
+
+  static STATUS = {
+    PENDING: 'pending',
+    SENDING: 'sending',
+    SENT: 'sent',
+    FAILED: 'failed',
+    SKIPPED: 'skipped'
+  };
+
+  /**
+   * Extract recipient handles from pasted text
+   * Accepts handles separated by whitespace, commas or semicolons, with or without @.
+   * @param {string} text - Pasted list of handles
+   * @returns {Object} { recipients, invalid: [{ value, error }], duplicates }
+   */
+  static parseRecipients(text) {
+    const recipients = [];
+    const invalid = [];
+    const duplicates = [];
+    const seen = new Set();
+
+    String(text || '')
+      .split(/[\s,;]+/)
+      .filter(Boolean)
+      .forEach(value => {
+        const handle = NYLACommandGrammar.normalizeHandle(value);
+        if (!NYLACommandGrammar.HANDLE_PATTERN.test(handle)) {
+          invalid.push({ value, error: NYLACommandGrammar.MESSAGES.recipientInvalid });
+          return;
+        }
+
+        // X.com handles are case-insensitive
+        const key = handle.toLowerCase();
+        if (seen.has(key)) {
+          duplicates.push(handle);
+          return;
+        }
+
+        seen.add(key);
+        recipients.push(handle);
+      });
+
+    return { recipients, invalid, duplicates };
+  }
+
+  /**
+   * Validate the shared fields and recipient list of a batch
+   * @param {Object} fields - { amount, token, chain, recipients }
+   * @returns {Object} { valid, errors }
+   */
+  static validate({ amount, token, chain, recipients }) {
+    const errors = {};
+    const list = recipients || [];
+
+    // Validate shared fields once using a placeholder recipient
+    const validation = NYLACommandGrammar.validateTransfer({ recipient: '@nyla', amount, token, chain });
+    Object.assign(errors, validation.errors);
+    validation.missing.forEach(field => {
+      errors[field] = errors[field] || NYLACommandGrammar.MESSAGES[`${field}Invalid`];
+    });
+
+    if (list.length === 0) {
+      errors.recipients = 'Please add at least one recipient';
+    } else if (list.length > this.MAX_RECIPIENTS) {
+      errors.recipients = `A batch can include at most ${this.MAX_RECIPIENTS} recipients`;
+    }
+
+    return { valid: Object.keys(errors).length === 0, errors };
+  }
+
+  /**
+   * @param {Object} options - { amount, token, chain, recipients, onChange }
+   */
+  constructor({ amount, token, chain = NYLACommandGrammar.DEFAULT_CHAIN, recipients = [], onChange = null }) {
+    const validation = NYLABatchTransfer.validate({ amount, token, chain, recipients });
+    if (!validation.valid) {
+      throw new Error(Object.values(validation.errors)[0]);
+    }
+
+    this.amount = amount;
+    this.token = token;
+    this.chain = chain;
+    this.onChange = onChange;
+    this.items = recipients.map(recipient => ({
+      recipient,
+      command: NYLACommandGrammar.buildTransfer({ amount, token, recipient, chain }),
+      status: NYLABatchTransfer.STATUS.PENDING,
+      error: null
+    }));
+  }
+
+  /**
+   * Index of the next item waiting to be sent, or -1 when none remain
+   */
+  getNextIndex() {
+    return this.items.findIndex(item => item.status === NYLABatchTransfer.STATUS.PENDING);
+  }
+
+  /**
+   * Send the next pending command
+   * @param {Function} sendFn - async (command, item) => void; throwing marks the item as failed
+   * @returns {Promise<Object|null>} The processed item, or null if the queue is finished
+   */
+  async sendNext(sendFn) {
+    const index = this.getNextIndex();
+    if (index === -1) return null;
+
+    const item = this.items[index];
+    this.setStatus(index, NYLABatchTransfer.STATUS.SENDING);
+
+    try {
+      await sendFn(item.command, item);
+      this.setStatus(index, NYLABatchTransfer.STATUS.SENT);
+    } catch (error) {
+      this.setStatus(index, NYLABatchTransfer.STATUS.FAILED, error.message);
+    }
+
+    return item;
+  }
+
+  /**
+   * Skip a pending item
+   */
+  skip(index) {
+    if (this.items[index] && this.items[index].status === NYLABatchTransfer.STATUS.PENDING) {
+      this.setStatus(index, NYLABatchTransfer.STATUS.SKIPPED);
+    }
+  }
+
+  /**
+   * Put a failed or skipped item back in the queue
+   */
+  retry(index) {
+    const item = this.items[index];
+    if (item && [NYLABatchTransfer.STATUS.FAILED, NYLABatchTransfer.STATUS.SKIPPED].includes(item.status)) {
+      this.setStatus(index, NYLABatchTransfer.STATUS.PENDING);
+    }
+  }
+
+  setStatus(index, status, error = null) {
+    this.items[index].status = status;
+    this.items[index].error = error;
+    if (typeof this.onChange === 'function') {
+      this.onChange(this.items[index], index);
+    }
+  }
+
+  isComplete() {
+    return !this.items.some(item =>
+      item.status === NYLABatchTransfer.STATUS.PENDING || item.status === NYLABatchTransfer.STATUS.SENDING
+    );
+  }
+
+  /**
+   * Count items by status
+   * @returns {Object} { total, pending, sending, sent, failed, skipped }
+   */
+  getSummary() {
+    const summary = { total: this.items.length };
+    Object.values(NYLABatchTransfer.STATUS).forEach(status => {
+      summary[status] = this.items.filter(item => item.status === status).length;
+    });
+    return summary;
+  }
+}
+
+// Export for both Node.js and Browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NYLABatchTransfer;
+} else if (typeof window !== 'undefined') {
+  window.NYLABatchTransfer = NYLABatchTransfer;
+}
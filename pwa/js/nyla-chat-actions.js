@@ -0,0 +1,321 @@
+/**
+ * NYLA Chat Actions
+ * Function-calling bridge from the assistant chat to the Send, Receive and Swap tabs.
+ *
+ * - The LLM may end an answer with a tool call: <tool_call>{"name": "prepare_transfer", "arguments": {...}}</tool_call>
+ * - Plain requests such as "send 100 NYLA to @bob on Algorand" are recognised without an LLM
+ * - Every call is validated with the command grammar and against the token registry built from the
+ *   KB contracts facts; the chat shows a confirmation card, and only a confirmed action pre-fills a form
+ *
+ * Prepared action: { tool, tab, fields: { action, amount, token, toToken, recipient, chain }, command,
+ *   valid, errors: { field: message }, missing: [field], warnings: [message] }
+ * fields has the shape of NYLATransferHistory.getRepeatFields, so the PWA fills forms the same way for both.
+ */
+
+class NYLAChatActions {
+  // Tool definitions (JSON schema parameters, as in OpenAI-style function calling)
+  static TOOLS = [
+    {
+      name: 'prepare_transfer',
+      action: 'transfer',
+      tab: 'send',
+      description: 'Fill in the Send form to transfer tokens to an X username.',
+      parameters: {
+        type: 'object',
+        properties: {
+          amount: { type: 'string', description: 'Amount to send, e.g. "100"' },
+          token: { type: 'string', description: 'Token symbol without $, e.g. "NYLA"' },
+          recipient: { type: 'string', description: 'X username of the recipient, e.g. "@bob"' },
+          chain: { type: 'string', enum: ['Solana', 'Ethereum', 'Algorand'], description: 'Blockchain' }
+        },
+        required: ['amount', 'token', 'recipient']
+      }
+    },
+    {
+      name: 'generate_receive_qr',
+      action: 'receive',
+      tab: 'receive',
+      description: 'Fill in the Receive form to show a payment request QR code.',
+      parameters: {
+        type: 'object',
+        properties: {
+          amount: { type: 'string', description: 'Amount to request' },
+          token: { type: 'string', description: 'Token symbol without $' },
+          chain: { type: 'string', enum: ['Solana', 'Ethereum', 'Algorand'], description: 'Blockchain' },
+          username: { type: 'string', description: 'X username to be paid; the saved username when omitted' }
+        },
+        required: ['amount', 'token']
+      }
+    },
+    {
+      name: 'prepare_swap',
+      action: 'swap',
+      tab: 'swap',
+      description: 'Fill in the Swap form to swap one token for another.',
+      parameters: {
+        type: 'object',
+        properties: {
+          amount: { type: 'string', description: 'Amount of fromToken to swap' },
+          fromToken: { type: 'string', description: 'Token symbol to swap from' },
+          toToken: { type: 'string', description: 'Token symbol to swap to' },
+          chain: { type: 'string', enum: ['Solana', 'Ethereum', 'Algorand'], description: 'Blockchain' }
+        },
+        required: ['amount', 'fromToken', 'toToken']
+      }
+    }
+  ];
+
+  static TOOL_CALL_PATTERN = /<tool_call>([\s\S]*?)<\/tool_call>/g;
+
+  // Plain requests, matched against the whole message so questions ("how do I send…") still go to the LLM
+  static REQUEST_PATTERNS = [
+    {
+      name: 'prepare_transfer',
+      pattern: /^(?:please\s+)?(?:send|transfer|pay|tip)\s+(\d+(?:\.\d+)?|\.\d+)\s+\$?([A-Za-z0-9]{1,10})\s+to\s+(@?[A-Za-z0-9_]{1,15})(?:\s+on\s+([A-Za-z]+))?\s*[.!]?$/i,
+      toArguments: ([, amount, token, recipient, chain]) => ({ amount, token, recipient, chain })
+    },
+    {
+      name: 'prepare_swap',
+      pattern: /^(?:please\s+)?(?:swap|exchange|convert|trade)\s+(\d+(?:\.\d+)?|\.\d+)\s+\$?([A-Za-z0-9]{1,10})\s+(?:for|to|into)\s+\$?([A-Za-z0-9]{1,10})(?:\s+on\s+([A-Za-z]+))?\s*[.!]?$/i,
+      toArguments: ([, amount, fromToken, toToken, chain]) => ({ amount, fromToken, toToken, chain })
+    },
+    {
+      name: 'generate_receive_qr',
+      pattern: /^(?:please\s+)?(?:request|receive|(?:generate|create|make|show)\s+(?:an?\s+|my\s+)?(?:receive\s+|payment\s+)?qr(?:\s+code)?\s+for)\s+(\d+(?:\.\d+)?|\.\d+)\s+\$?([A-Za-z0-9]{1,10})(?:\s+on\s+([A-Za-z]+))?\s*[.!]?$/i,
+      toArguments: ([, amount, token, chain]) => ({ amount, token, chain })
+    }
+  ];
+
+  static MESSAGES = {
+    unknownTool: 'Unknown action',
+    tokenNotListed: (symbol, chain) => `${symbol} is not listed on ${chain} in the NYLA knowledge base`,
+    tokenListedOn: chains => `it is listed on ${chains.join(', ')}`,
+    checkToken: 'check the token before you send anything'
+  };
+
+  /**
+   * @param {NYLATokenRegistry} tokenRegistry - Tokens per chain; without one, tokens are only checked for their format
+   */
+  constructor(tokenRegistry = null) {
+    this.tokenRegistry = tokenRegistry;
+  }
+
+  setTokenRegistry(tokenRegistry) {
+    this.tokenRegistry = tokenRegistry;
+  }
+
+  /**
+   * A system prompt followed by the tool prompt; used by both the local and the remote engines
+   * @param {string} systemPrompt - Engine prompt, optional
+   */
+  static withToolPrompt(systemPrompt) {
+    return [systemPrompt, this.buildToolPrompt()].filter(Boolean).join('\n\n');
+  }
+
+  /**
+   * System prompt section that describes the tools and the tool call format to the LLM
+   */
+  static buildToolPrompt() {
+    const tools = this.TOOLS.map(tool => {
+      const { properties, required } = tool.parameters;
+      const args = Object.keys(properties).map(name => (required.includes(name) ? name : `${name}?`)).join(', ');
+      return `- ${tool.name}(${args}): ${tool.description}`;
+    });
+
+    return [
+      'When the user asks you to send, request or swap tokens with NYLA Go, you can fill in the form for them.',
+      'Reply with one short sentence, then add exactly one tool call on its own line, for example:',
+      '<tool_call>{"name": "prepare_transfer", "arguments": {"amount": "100", "token": "NYLA", "recipient": "@bob", "chain": "Algorand"}}</tool_call>',
+      'Tools:',
+      ...tools,
+      'Only use values the user gave; leave out a chain the user did not name. Never add a tool call to answers about how things work. The user confirms every action before a form is filled in.'
+    ].join('\n');
+  }
+
+  /**
+   * Take the tool calls out of an LLM answer
+   * @param {string} text - Answer text
+   * @returns {Object} { text: answer without tool call tags, calls: [{ name, arguments }] }
+   */
+  static extractToolCalls(text) {
+    const calls = [];
+    const answer = this.stripToolCalls(String(text || '').replace(this.TOOL_CALL_PATTERN, (match, json) => {
+      try {
+        const call = JSON.parse(json.trim());
+        if (call && typeof call.name === 'string') {
+          calls.push({ name: call.name, arguments: call.arguments || {} });
+        }
+      } catch (error) {
+        console.warn('NYLA Chat Actions: Ignoring malformed tool call:', error.message);
+      }
+      return '';
+    }));
+    return { text: answer, calls };
+  }
+
+  /**
+   * Answer text without tool call tags, including one still being streamed
+   */
+  static stripToolCalls(text) {
+    const answer = String(text || '')
+      .replace(this.TOOL_CALL_PATTERN, '')
+      .replace(/<tool_call>[\s\S]*$/, '');
+    // Hold back a trailing "<tool_c" until the next tokens show whether it opens a tag
+    const start = answer.lastIndexOf('<');
+    const partial = start >= 0 && '<tool_call>'.startsWith(answer.slice(start));
+    return (partial ? answer.slice(0, start) : answer).trim();
+  }
+
+  /**
+   * Recognise a plain send, swap or receive request
+   * @param {string} message - User message
+   * @returns {Object|null} Tool call { name, arguments }
+   */
+  static detect(message) {
+    const text = String(message || '').trim().replace(/\s+/g, ' ');
+    for (const { name, pattern, toArguments } of this.REQUEST_PATTERNS) {
+      const match = text.match(pattern);
+      if (match) {
+        const args = toArguments(match);
+        if (!args.chain) delete args.chain;
+        return { name, arguments: args };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Validate a tool call and turn it into the fields of the form it fills in
+   * @param {Object} call - { name, arguments }
+   * @returns {Object} Prepared action (see the header)
+   */
+  prepare(call) {
+    const tool = NYLAChatActions.TOOLS.find(entry => entry.name === call.name);
+    if (!tool) {
+      return {
+        tool: call.name, tab: null, fields: null, command: null,
+        valid: false, errors: { tool: `${NYLAChatActions.MESSAGES.unknownTool} "${call.name}"` }, missing: [], warnings: []
+      };
+    }
+
+    const args = call.arguments || {};
+    const text = value => (value === undefined || value === null ? '' : String(value).trim());
+    const symbol = value => text(value).replace(/^\$/, '');
+    const amount = text(args.amount);
+    const token = symbol(tool.action === 'swap' ? args.fromToken : args.token);
+    const toToken = tool.action === 'swap' ? symbol(args.toToken) : null;
+    const recipient = tool.action === 'swap' ? null :
+      NYLACommandGrammar.normalizeHandle(tool.action === 'receive' ? args.username : args.recipient) || null;
+    const chain = args.chain ? NYLACommandGrammar.canonicalChain(args.chain) || text(args.chain) : this.findChain(token, toToken);
+
+    const fields = {
+      action: tool.action,
+      amount,
+      token: this.registrySymbol(chain, token),
+      toToken: toToken && this.registrySymbol(chain, toToken),
+      recipient,
+      chain
+    };
+
+    const result = tool.action === 'swap' ?
+      NYLACommandGrammar.validateSwap({ amount, fromToken: fields.token, toToken: fields.toToken, chain }) :
+      NYLACommandGrammar.validateTransfer({ amount, token: fields.token, recipient, chain });
+    const errors = result.errors;
+    // The Receive form keeps the saved username when the call names none
+    const missing = tool.action === 'receive' ? result.missing.filter(field => field !== 'recipient') : result.missing;
+
+    // Amounts must fit the token's decimals
+    if (this.tokenRegistry && !errors.amount && !missing.includes('amount') && !errors.chain) {
+      const decimalsError = this.tokenRegistry.validateAmount(amount, chain, fields.token);
+      if (decimalsError) errors.amount = decimalsError;
+    }
+
+    const warnings = errors.chain ? [] : [fields.token, fields.toToken]
+      .filter(Boolean)
+      .map(value => this.checkToken(chain, value))
+      .filter(Boolean);
+
+    const valid = Object.keys(errors).length === 0 && missing.length === 0;
+    return {
+      tool: tool.name,
+      tab: tool.tab,
+      fields,
+      command: valid ? NYLAChatActions.buildCommand(fields) : null,
+      valid,
+      errors,
+      missing,
+      warnings
+    };
+  }
+
+  /**
+   * Chain for a call that names none: the default chain, otherwise the first chain that lists the token(s)
+   */
+  findChain(token, toToken) {
+    const { DEFAULT_CHAIN, SUPPORTED_CHAINS } = NYLACommandGrammar;
+    if (!this.tokenRegistry || !token) return DEFAULT_CHAIN;
+
+    const chains = [DEFAULT_CHAIN, ...SUPPORTED_CHAINS.filter(chain => chain !== DEFAULT_CHAIN)];
+    const lists = chain => this.tokenRegistry.find(chain, token) && (!toToken || this.tokenRegistry.find(chain, toToken));
+    return chains.find(lists) || chains.find(chain => this.tokenRegistry.find(chain, token)) || DEFAULT_CHAIN;
+  }
+
+  /**
+   * Registry casing of a symbol ("gobtc" -> "goBTC"); unknown symbols are upper-cased
+   */
+  registrySymbol(chain, value) {
+    if (!value) return value;
+    const known = this.tokenRegistry && NYLACommandGrammar.canonicalChain(chain) && this.tokenRegistry.find(chain, value);
+    return known ? known.symbol : value.toUpperCase();
+  }
+
+  /**
+   * Warning for a token the KB contracts facts do not list on the chain, or null
+   */
+  checkToken(chain, symbol) {
+    if (!this.tokenRegistry || this.tokenRegistry.find(chain, symbol)) return null;
+
+    const { MESSAGES } = NYLAChatActions;
+    const listedOn = NYLACommandGrammar.SUPPORTED_CHAINS.filter(other => this.tokenRegistry.find(other, symbol));
+    const where = listedOn.length > 0 ? ` (${MESSAGES.tokenListedOn(listedOn)})` : '';
+    return `${MESSAGES.tokenNotListed(symbol, chain)}${where} - ${MESSAGES.checkToken}`;
+  }
+
+  /**
+   * AgentNyla command of a valid action; a receive request without a username has none yet
+   */
+  static buildCommand(fields) {
+    if (fields.action === 'swap') {
+      return NYLACommandGrammar.buildSwap({ amount: fields.amount, fromToken: fields.token, toToken: fields.toToken, chain: fields.chain });
+    }
+    if (fields.action === 'receive') {
+      return fields.recipient ? NYLACommandGrammar.buildReceive({ ...fields, username: fields.recipient }) : null;
+    }
+    return NYLACommandGrammar.buildTransfer(fields);
+  }
+
+  /**
+   * One-line summary for the confirmation card, e.g. "Send 100 NYLA to @bob on Algorand"
+   */
+  static describe(action) {
+    const fields = action.fields;
+    if (!fields) return action.errors.tool;
+
+    const amount = fields.amount || '?';
+    const chain = fields.chain ? ` on ${fields.chain}` : '';
+    if (fields.action === 'swap') {
+      return `Swap ${amount} ${fields.token || '?'} for ${fields.toToken || '?'}${chain}`;
+    }
+    if (fields.action === 'receive') {
+      return `Request ${amount} ${fields.token || '?'}${chain}${fields.recipient ? ` for ${fields.recipient}` : ''}`;
+    }
+    return `Send ${amount} ${fields.token || '?'} to ${fields.recipient || '?'}${chain}`;
+  }
+}
+
+// Export for both Node.js and Browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NYLAChatActions;
+} else if (typeof window !== 'undefined') {
+  window.NYLAChatActions = NYLAChatActions;
+}
@@ -0,0 +1,354 @@
+/**
+ * NYLA Command Grammar
+ * Single source of truth for the AgentNyla command syntax used by Extension and PWA
+ *
+ * Syntax:
+ * - Transfer: Hey @AgentNyla transfer [AMOUNT] $[TOKEN] @[USERNAME] [Blockchain]
+ * - Swap:     Hey @AgentNyla swap [AMOUNT] $[FROM_TOKEN] for $[TO_TOKEN] [Blockchain]
+ *
+ * Solana is AgentNyla's default chain, so its blockchain suffix is omitted.
+ * Receive QR codes use the transfer syntax with the requester as recipient.
+ */
+
+class NYLACommandGrammar {
+  static AGENT_HANDLE = '@AgentNyla';
+  static DEFAULT_CHAIN = 'Solana';
+  static SUPPORTED_CHAINS = ['Solana', 'Ethereum', 'Algorand'];
+  static SIGNATURE = 'Sent via #NYLAGo';
+  static INTENT_URL = 'https://x.com/intent/post?text=';
+
+  // X.com handles: 1-15 letters, digits or underscores
+  static HANDLE_PATTERN = /^@[A-Za-z0-9_]{1,15}$/;
+  // Some registry symbols are mixed case (USDCa, goBTC on Algorand)
+  static TOKEN_PATTERN = /^[A-Za-z0-9]{1,10}$/;
+  static AMOUNT_PATTERN = /^(?:\d+(?:\.\d*)?|\.\d+)$/;
+
+  static MESSAGES = {
+    recipientPrefix: 'Username must start with @',
+    recipientInvalid: 'Please enter a valid username',
+    amountInvalid: 'Please enter a valid amount',
+    tokenInvalid: 'Please select a valid token',
+    chainInvalid: 'Please select a supported blockchain',
+    sameTokens: 'Please select different tokens for swap'
+  };
+
+  /**
+   * Normalize a username to a single leading @ ("bob", "@bob", "@@bob" -> "@bob")
+   * @param {string} value - Raw username input
+   * @returns {string} Normalized handle, or empty string when no name is given
+   */
+  static normalizeHandle(value) {
+    const name = String(value || '').trim().replace(/^@+/, '');
+    return name ? `@${name}` : '';
+  }
+
+  /**
+   * Get the blockchain suffix for a command (empty for the default chain)
+   * @param {string} chain - Blockchain name
+   * @returns {string} Suffix including its leading space
+   */
+  static chainSuffix(chain) {
+    if (!chain || chain === this.DEFAULT_CHAIN) return '';
+    return ` ${chain}`;
+  }
+
+  /**
+   * Build a transfer command
+   * @param {Object} fields - { amount, token, recipient, chain }
+   * @returns {string} AgentNyla transfer command
+   */
+  static buildTransfer({ amount, token, recipient, chain = this.DEFAULT_CHAIN }) {
+    const handle = this.normalizeHandle(recipient);
+    return `Hey ${this.AGENT_HANDLE} transfer ${String(amount).trim()} $${token} ${handle}${this.chainSuffix(chain)}`;
+  }
+
+  /**
+   * Build a swap command
+   * @param {Object} fields - { amount, fromToken, toToken, chain }
+   * @returns {string} AgentNyla swap command
+   */
+  static buildSwap({ amount, fromToken, toToken, chain = this.DEFAULT_CHAIN }) {
+    return `Hey ${this.AGENT_HANDLE} swap ${String(amount).trim()} $${fromToken} for $${toToken}${this.chainSuffix(chain)}`;
+  }
+
+  /**
+   * Build the command encoded in a Receive QR code (a transfer to the requester)
+   * @param {Object} fields - { amount, token, username, chain }
+   * @returns {string} AgentNyla transfer command
+   */
+  static buildReceive({ amount, token, username, chain = this.DEFAULT_CHAIN }) {
+    return this.buildTransfer({ amount, token, recipient: username, chain });
+  }
+
+  /**
+   * Append the NYLA Go signature to a command
+   * @param {string} command - Command text
+   * @param {string} style - 'linebreak' for X.com URLs, 'dash' for text box injection
+   * @returns {string} Command with signature
+   */
+  static addSignature(command, style = 'linebreak') {
+    const separator = style === 'dash' ? ' — ' : '\n\n';
+
+    if (!command || command.trim() === '') {
+      console.error('NYLA Command: Empty command passed to signature function!');
+      return `ERROR: Empty command - please fill in recipient, amount, and token fields${separator}${this.SIGNATURE}`;
+    }
+
+    // Prevent double signature
+    if (command.includes(this.SIGNATURE)) {
+      return command;
+    }
+
+    return `${command}${separator}${this.SIGNATURE}`;
+  }
+
+  /**
+   * Generate an X.com compose URL pre-filled with the signed command
+   * @param {string} command - Command text
+   * @returns {string} X.com intent URL
+   */
+  static buildIntentURL(command) {
+    return this.INTENT_URL + encodeURIComponent(this.addSignature(command, 'linebreak'));
+  }
+
+  /**
+   * Validate transfer form fields
+   * Empty fields are reported in `missing` without a message so forms stay quiet until filled in.
+   * @param {Object} fields - { recipient, amount, token, chain }
+   * @returns {Object} { valid, errors, missing }
+   */
+  static validateTransfer({ recipient, amount, token, chain = this.DEFAULT_CHAIN }) {
+    const errors = {};
+    const missing = [];
+    const handle = String(recipient || '').trim();
+
+    if (!handle) {
+      missing.push('recipient');
+    } else if (!handle.startsWith('@')) {
+      errors.recipient = this.MESSAGES.recipientPrefix;
+    } else if (!this.HANDLE_PATTERN.test(handle)) {
+      errors.recipient = this.MESSAGES.recipientInvalid;
+    }
+
+    this.validateAmount(amount, errors, missing);
+    this.validateToken(token, 'token', errors, missing);
+    this.validateChain(chain, errors);
+
+    return { valid: missing.length === 0 && Object.keys(errors).length === 0, errors, missing };
+  }
+
+  /**
+   * Validate swap form fields
+   * @param {Object} fields - { amount, fromToken, toToken, chain }
+   * @returns {Object} { valid, errors, missing }
+   */
+  static validateSwap({ amount, fromToken, toToken, chain = this.DEFAULT_CHAIN }) {
+    const errors = {};
+    const missing = [];
+
+    this.validateAmount(amount, errors, missing);
+    this.validateToken(fromToken, 'fromToken', errors, missing);
+    this.validateToken(toToken, 'toToken', errors, missing);
+    this.validateChain(chain, errors);
+
+    if (fromToken && fromToken === toToken) {
+      errors.toToken = this.MESSAGES.sameTokens;
+    }
+
+    return { valid: missing.length === 0 && Object.keys(errors).length === 0, errors, missing };
+  }
+
+  static validateAmount(amount, errors, missing) {
+    const value = String(amount === undefined || amount === null ? '' : amount).trim();
+    if (!value) {
+      missing.push('amount');
+    } else if (!this.AMOUNT_PATTERN.test(value) || parseFloat(value) <= 0) {
+      errors.amount = this.MESSAGES.amountInvalid;
+    }
+  }
+
+  static validateToken(token, field, errors, missing) {
+    if (!token) {
+      missing.push(field);
+    } else if (!this.TOKEN_PATTERN.test(token)) {
+      errors[field] = this.MESSAGES.tokenInvalid;
+    }
+  }
+
+  static validateChain(chain, errors) {
+    if (!this.SUPPORTED_CHAINS.includes(chain)) {
+      errors.chain = this.MESSAGES.chainInvalid;
+    }
+  }
+
+  /**
+   * Parse an AgentNyla command back into its fields
+   * @param {string} text - Command text, optionally signed
+   * @param {NYLATokenRegistry} [registry] - Resolves token symbols to their registry casing
+   * @returns {Object|null} Parsed command (see parseDetailed), null if the text is not a valid command
+   */
+  static parse(text, registry = null) {
+    const result = this.parseDetailed(text, registry);
+    return result.ok ? result.command : null;
+  }
+
+  /**
+   * Parse an AgentNyla command with error reporting
+   * Accepts "— Sent via #NYLAGo", "- Sent via #NYLAGo" and linebreak signatures, an optional
+   * leading "Hey", and case-insensitive keywords, tokens and chain names.
+   * Tokens the registry lists on the command's chain keep its casing (goBTC); others are capitalised.
+   * @param {string} text - Command text
+   * @param {NYLATokenRegistry} [registry] - Token registry, e.g. with the facts-file tokens
+   * @returns {Object} { ok: true, command: { action, amount, token, recipient, chain, toToken? } }
+   *   or { ok: false, error: { message, position, length } } where position is a character offset into text
+   */
+  static parseDetailed(text, registry = null) {
+    const source = String(text || '');
+    const signature = source.match(/(?:\s*[—–-]\s*|\s+|^)Sent via #NYLAGo\s*$/i);
+    const end = signature ? signature.index : source.length;
+
+    const tokens = [];
+    const wordPattern = /\S+/g;
+    let match;
+    while ((match = wordPattern.exec(source.slice(0, end))) !== null) {
+      tokens.push({ value: match[0], position: match.index });
+    }
+
+    let index = 0;
+    const fail = (message, token) => ({
+      ok: false,
+      error: {
+        message,
+        position: token ? token.position : end,
+        length: token ? token.value.length : 0
+      }
+    });
+
+    if (tokens.length === 0) {
+      return fail('Empty command');
+    }
+
+    if (tokens[index].value.toLowerCase() === 'hey') index++;
+
+    if (!tokens[index] || tokens[index].value.toLowerCase() !== this.AGENT_HANDLE.toLowerCase()) {
+      return fail(`Expected "${this.AGENT_HANDLE}"`, tokens[index]);
+    }
+    index++;
+
+    const verb = tokens[index];
+    const action = verb ? verb.value.toLowerCase() : '';
+    if (action !== 'transfer' && action !== 'swap') {
+      return fail('Expected "transfer" or "swap"', verb);
+    }
+    index++;
+
+    const amountToken = tokens[index];
+    if (!amountToken || !this.AMOUNT_PATTERN.test(amountToken.value) || parseFloat(amountToken.value) <= 0) {
+      return fail('Expected a positive amount', amountToken);
+    }
+    index++;
+
+    const readToken = () => {
+      const token = tokens[index];
+      const symbol = token && token.value.startsWith('$') ? token.value.slice(1) : '';
+      if (!this.TOKEN_PATTERN.test(symbol)) return null;
+      index++;
+      return symbol;
+    };
+
+    const token = readToken();
+    if (!token) {
+      return fail('Expected a token such as $NYLA', tokens[index]);
+    }
+
+    const command = { action, amount: amountToken.value, token, recipient: null, chain: this.DEFAULT_CHAIN };
+
+    if (action === 'transfer') {
+      const recipient = tokens[index];
+      if (!recipient || !this.HANDLE_PATTERN.test(recipient.value)) {
+        return fail('Expected a recipient such as @username', recipient);
+      }
+      command.recipient = recipient.value;
+      index++;
+    } else {
+      if (!tokens[index] || tokens[index].value.toLowerCase() !== 'for') {
+        return fail('Expected "for"', tokens[index]);
+      }
+      index++;
+
+      const toToken = readToken();
+      if (!toToken) {
+        return fail('Expected a token such as $NYLA', tokens[index]);
+      }
+      command.toToken = toToken;
+    }
+
+    if (tokens[index]) {
+      const chain = this.canonicalChain(tokens[index].value);
+      if (!chain) {
+        return fail(`Unsupported blockchain "${tokens[index].value}"`, tokens[index]);
+      }
+      command.chain = chain;
+      index++;
+    }
+
+    if (tokens[index]) {
+      return fail('Unexpected text after command', tokens[index]);
+    }
+
+    // Symbols are resolved once the chain is known
+    const canonicalToken = symbol => (registry && registry.find(command.chain, symbol)?.symbol) || symbol.toUpperCase();
+    command.token = canonicalToken(command.token);
+    if (command.toToken) command.toToken = canonicalToken(command.toToken);
+
+    return { ok: true, command };
+  }
+
+  /**
+   * Find AgentNyla commands embedded in free text such as a tweet
+   * Each line mentioning @AgentNyla is parsed on its own; invalid mentions are skipped.
+   * @param {string} text - Text to scan
+   * @param {NYLATokenRegistry} [registry] - Resolves token symbols (see parseDetailed)
+   * @returns {Array} Parsed commands with their start offset: [{ command, position }]
+   */
+  static findCommands(text, registry = null) {
+    const found = [];
+    const source = String(text || '');
+    const mentionPattern = /(?:\bHey[ \t]+)?@AgentNyla\b/gi;
+    let match;
+
+    while ((match = mentionPattern.exec(source)) !== null) {
+      const lineEnd = source.indexOf('\n', match.index);
+      let candidate = source.slice(match.index, lineEnd === -1 ? source.length : lineEnd);
+
+      // Linebreak signatures sit on their own line after the command
+      const rest = lineEnd === -1 ? '' : source.slice(lineEnd);
+      if (/^\s*Sent via #NYLAGo/i.test(rest)) {
+        candidate += rest.match(/^\s*Sent via #NYLAGo/i)[0];
+      }
+
+      const result = this.parseDetailed(candidate, registry);
+      if (result.ok) {
+        found.push({ command: result.command, position: match.index });
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Match a chain name case-insensitively
+   * @param {string} chain - Chain name as written
+   * @returns {string|null} Canonical chain name, or null if unsupported
+   */
+  static canonicalChain(chain) {
+    return this.SUPPORTED_CHAINS.find(c => c.toLowerCase() === String(chain).toLowerCase()) || null;
+  }
+}
+
+// Export for both Node.js and Browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NYLACommandGrammar;
+} else if (typeof window !== 'undefined') {
+  window.NYLACommandGrammar = NYLACommandGrammar;
+}
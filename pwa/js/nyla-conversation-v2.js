@@ -10,6 +10,8 @@ class NYLAConversationManagerV2 {
     // Initialize LLM system with provider configuration
     this.llmEngine = null;
     this.hostedLLM = null;
+    this.extractiveAnswerer = null;
+    this.llmFailover = this.createLLMFailover();
     this.initializeLLMSystem();
     
     // Conversation state
@@ -53,15 +55,17 @@ class NYLAConversationManagerV2 {
       }
 
       // Auto-select best provider
+      const preferredProvider = window.NYLALLMConfig.getCurrentProviderName();
       const selectedProvider = await window.NYLALLMConfig.autoSelectProvider();
       
-      if (selectedProvider === 'hosted') {
-        // Initialize hosted LLM
-        this.hostedLLM = new NYLAHostedLLM();
-        const hostedReady = await this.hostedLLM.initialize();
+      if (preferredProvider !== 'local') {
+        // Initialize remote LLM client (hosted proxy, OpenAI-compatible or Ollama)
+        // It stays first in the failover chain even when it is cold or down at startup
+        this.hostedLLM = new NYLAHostedLLM(preferredProvider);
+        const hostedReady = selectedProvider === preferredProvider && await this.hostedLLM.initialize();
         
         if (hostedReady) {
-          NYLALogger.info('NYLA Conversation V2: Using hosted LLM provider');
+          NYLALogger.info('NYLA Conversation V2: Using remote LLM provider:', selectedProvider);
           // Update RAG integration with new LLM engine
           if (this.ragIntegration) {
             this.ragIntegration.updateLLMEngine();
@@ -69,7 +73,8 @@ class NYLAConversationManagerV2 {
           return;
         } else {
           NYLALogger.warn('NYLA Conversation V2: Hosted LLM failed, falling back to local');
-          window.NYLALLMConfig.switchProvider('local');
+          // For this session only: the failover chain keeps retrying the saved provider
+          window.NYLALLMConfig.switchProvider('local', { save: false });
           // Only initialize local LLM if hosted failed
           this.initializeLocalLLM();
         }
@@ -88,6 +93,10 @@ class NYLAConversationManagerV2 {
    * Initialize local WebLLM engine
    */
   initializeLocalLLM() {
+    if (typeof NYLALLMEngine === 'undefined') {
+      NYLALogger.warn('NYLA Conversation V2: WebLLM engine not loaded, answering from the knowledge base only');
+      return;
+    }
     NYLALogger.debug('NYLA Conversation V2: Initializing local WebLLM engine');
     this.llmEngine = new NYLALLMEngine();
     // Update RAG integration with new LLM engine
@@ -96,6 +105,64 @@ class NYLAConversationManagerV2 {
     }
   }
 
+  /**
+   * Failover chain: remote provider → local WebLLM → RAG-only answer (added by the caller)
+   */
+  createLLMFailover() {
+    return new NYLALLMFailover([
+      {
+        name: 'hosted',
+        label: () => window.NYLALLMConfig.providers[this.hostedLLM.providerName].name,
+        getEngine: () => this.getBudgetedHostedLLM(),
+        timeoutMs: 15000,
+        retries: 1
+      },
+      {
+        name: 'local',
+        label: 'Local WebLLM',
+        getEngine: () => this.getLocalFallbackLLM(),
+        timeoutMs: 45000,
+        retries: 0
+      }
+    ]);
+  }
+
+  /**
+   * Remote LLM for the failover chain, skipped once its usage budget is spent (see NYLALLMUsage):
+   * over the soft budget whenever the local WebLLM can answer instead, over the hard budget always
+   */
+  getBudgetedHostedLLM() {
+    if (!this.hostedLLM) return null;
+
+    const { level } = this.hostedLLM.usage.checkBudget();
+    if (level === NYLALLMUsage.LEVELS.HARD) return null;
+    if (level === NYLALLMUsage.LEVELS.SOFT && this.getLocalFallbackLLM()) return null;
+    return this.hostedLLM;
+  }
+
+  /**
+   * Local WebLLM for the failover chain
+   * With a remote provider, the model is only downloaded after the provider first fails,
+   * and it is skipped while that download is still running.
+   * Without WebGPU it is never used, so those devices get knowledge base answers at once.
+   */
+  getLocalFallbackLLM() {
+    if (!navigator.gpu) return null;
+    if (!this.llmEngine) {
+      if (!this.hostedLLM) return null;
+
+      NYLALogger.info('NYLA Conversation V2: Remote LLM failing or over budget, loading local WebLLM as standby');
+      this.initializeLocalLLM();
+      if (!this.llmEngine) return null;
+      this.llmEngine.initialize(true).catch(error => {
+        NYLALogger.warn('NYLA Conversation V2: Standby WebLLM failed to load:', error);
+      });
+      return null;
+    }
+    if (this.hostedLLM && this.llmEngine.getStatus().loading) return null;
+    return this.llmEngine;
+  }
+
   /**
    * Get the active LLM instance (hosted or local)
    */
@@ -289,14 +356,21 @@ class NYLAConversationManagerV2 {
   /**
    * Process user question with LLM enhancement
    * V2: Uses dynamic topic identification instead of hardcoded topics
+   * @param {string} primaryTopic - Unused here (topics are identified from the question); kept for the RAG override
+   * @param {Object} options - { signal: AbortSignal of the chat's Stop control }
    */
-  async processQuestion(questionId, questionText) {
+  async processQuestion(questionId, questionText, primaryTopic = null, options = {}) {
     try {
       NYLALogger.debug('NYLA Conversation V2: Processing question with LLM');
       
+      const actionResponse = this.createChatActionResponse(questionText);
+      if (actionResponse) {
+        return actionResponse;
+      }
+      
       // Identify relevant topics using semantic search (RAG) or keyword fallback
       const identifiedTopics = await this.identifyRelevantKnowledgeKeys(questionText);
-      const primaryTopic = identifiedTopics.length > 0 ? identifiedTopics[0] : 'general';
+      primaryTopic = identifiedTopics.length > 0 ? identifiedTopics[0] : 'general';
       
       // Check if NYLA is on work break (only if knowledge tracker is available)
       if (this.knowledgeTracker) {
@@ -328,7 +402,10 @@ class NYLAConversationManagerV2 {
       
       if (NYLALLMStateManager.canUseLLM(llmState)) {
         NYLALogger.debug(`NYLA Conversation V2: ${llmDebugInfo.message}`);
-        response = await this.processWithLLM(questionId, questionText, identifiedTopics, null);
+        response = await this.processWithLLM(questionId, questionText, identifiedTopics, null, options);
+        if (response.stopped) {
+          return response;
+        }
         console.log('NYLA Conversation V2: 🔍 Response from processWithLLM:', {
           hasAnswer: !!response.answer,
           hasFollowUps: !!response.followUps,
@@ -427,6 +504,9 @@ class NYLAConversationManagerV2 {
       return response;
 
     } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
+      }
       console.error('NYLA Conversation V2: Question processing failed', error);
       return this.generateErrorResponse();
     }
@@ -436,8 +516,13 @@ class NYLAConversationManagerV2 {
   /**
    * Process question using LLM (supports streaming for UI)
    * Now uses dynamic topic identification instead of hardcoded topics
+   * @param {Function} streamCallback - (chunk, fullText) for each streamed chunk
+   * @param {Object} options - { signal, regenerating }
+   *   signal: when aborted, the answer streamed so far is kept and returned with stopped: true
+   *   regenerating: the answer replaces the question's latest history entry instead of adding one
    */
-  async processWithLLM(questionId, questionText, identifiedTopics, streamCallback = null) {
+  async processWithLLM(questionId, questionText, identifiedTopics, streamCallback = null, options = {}) {
+    const { signal } = options;
     NYLALogger.debug('🚀 NYLA Conversation V2: === processWithLLM CALLED ===');
     NYLALogger.debug('NYLA Conversation V2: LLM processing started for:', questionText);
     NYLALogger.debug('NYLA Conversation V2: QuestionId:', questionId);
@@ -468,7 +553,8 @@ class NYLAConversationManagerV2 {
         
         const ragResult = await this.ragIntegration.ragPipeline.query(questionText, {
           topK: 5,
-          minScore: 0.5
+          minScore: 0.5,
+          signal
         });
         
         if (ragResult.sources && ragResult.sources.length > 0) {
@@ -571,31 +657,39 @@ class NYLAConversationManagerV2 {
       relevantKeys: relevantKeys
     });
     
-    // Set timeout to 30 seconds for LLM processing
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('LLM response timeout after 30 seconds')), 30000);
-    });
-    
     let llmResponse;
+    let answeredBy = null;
+    // Text streamed so far, kept when the answer is stopped (hosted providers only pass the new token)
+    let partialText = '';
+    const onChunk = streamCallback && ((chunk, fullText) => {
+      partialText = fullText ?? partialText + chunk;
+      streamCallback(chunk, partialText);
+    });
     try {
-      // Use streaming or non-streaming based on whether callback is provided (if LLM available)
-      const activeLLM = this.getActiveLLM();
-      if (!activeLLM) {
-        throw new Error('No LLM available (local or hosted)');
-      }
-      const llmPromise = streamCallback 
-        ? activeLLM.generateStreamingResponse(questionText, conversationContext, streamCallback)
-        : activeLLM.generateResponse(questionText, conversationContext);
-      
-      llmResponse = await Promise.race([llmPromise, timeoutPromise]);
-      NYLALogger.debug('NYLA Conversation V2: ✅ LLM response completed');
+      // Failover chain with per-engine timeouts; use streaming or non-streaming based on whether callback is provided
+      const failoverResult = await this.llmFailover.run(
+        (engine, tierName, attemptSignal) => {
+          partialText = '';
+          return onChunk
+            ? engine.generateStreamingResponse(questionText, conversationContext, onChunk, { signal: attemptSignal })
+            : engine.generateResponse(questionText, conversationContext, { signal: attemptSignal });
+        },
+        knowledgeContext ? () => this.generateRAGOnlyResponse(questionText, knowledgeContext) : null,
+        { signal }
+      );
+      llmResponse = failoverResult.result;
+      answeredBy = failoverResult.answeredBy;
+      NYLALogger.debug('NYLA Conversation V2: ✅ LLM response completed, answered by', answeredBy.name);
       console.log('NYLA Conversation V2: LLM Response:', {
         text: llmResponse.text ? llmResponse.text.substring(0, 100) + '...' : 'No text',
         hasFollowUps: !!llmResponse.followUpSuggestions,
         followUpCount: llmResponse.followUpSuggestions ? llmResponse.followUpSuggestions.length : 0
       });
     } catch (error) {
-      console.warn('NYLA Conversation V2: LLM timeout (30s) or error:', error.message);
+      if (error.name === 'AbortError') {
+        return this.createStoppedResponse(questionText, partialText, identifiedTopics);
+      }
+      console.warn('NYLA Conversation V2: No LLM answered:', error.message, error.attempts);
       
       // Generate debug information instead of generic fallback
       const activeLLM = this.getActiveLLM();
@@ -628,6 +722,10 @@ class NYLAConversationManagerV2 {
       };
     }
     
+    // A tool call at the end of the answer becomes a confirmation card
+    const { text: answerText, chatAction } = this.extractChatAction(llmResponse.text);
+    llmResponse.text = answerText;
+
     // Process personal care if suggested by LLM (simplified)
     if (llmResponse.personalCare?.shouldAsk) {
       llmResponse.text += `\n\n${llmResponse.personalCare.message}`;
@@ -652,7 +750,9 @@ class NYLAConversationManagerV2 {
     const sticker = this.selectIntelligentSticker(llmResponse.sentiment, llmResponse.text, questionText);
 
     // Save conversation with primary identified topic
-    this.saveConversation(questionText, llmResponse, primaryTopic);
+    if (!options.regenerating || !this.replaceLastAnswer(questionText, llmResponse)) {
+      this.saveConversation(questionText, llmResponse, primaryTopic);
+    }
 
     // Extract RAG metadata for UI display
     let ragMetadata = null;
@@ -665,14 +765,117 @@ class NYLAConversationManagerV2 {
         text: llmResponse.text,
         sentiment: llmResponse.sentiment,
         confidence: llmResponse.confidence || 0.8,
-        ragMetadata: ragMetadata
+        ragMetadata: ragMetadata,
+        citations: llmResponse.citations || [],
+        answeredBy
       },
       followUps,
       sticker,
+      chatAction,
       timestamp: Date.now()
     };
   }
 
+  /**
+   * Response for an answer stopped by the user: the partial text is kept in the conversation
+   */
+  createStoppedResponse(questionText, partialText, identifiedTopics) {
+    NYLALogger.debug('NYLA Conversation V2: ⏹️ Answer stopped after', partialText.length, 'characters');
+    if (partialText) {
+      const primaryTopic = identifiedTopics && identifiedTopics.length > 0 ? identifiedTopics[0] : 'general';
+      this.saveConversation(questionText, { text: partialText, stopped: true }, primaryTopic);
+    }
+
+    return {
+      answer: {
+        text: partialText,
+        sentiment: 'neutral',
+        stopped: true
+      },
+      followUps: [],
+      sticker: null,
+      timestamp: Date.now(),
+      stopped: true
+    };
+  }
+
+  /**
+   * Answer a question again (the chat's regenerate action); knowledge is searched anew.
+   * The RAG integration overrides this to reuse the retrieved context of options.queryId.
+   * @param {Object} options - { signal, queryId }
+   */
+  async regenerateAnswer(questionId, questionText, options = {}) {
+    NYLALogger.debug('NYLA Conversation V2: 🔄 Regenerating answer for:', questionText);
+    const identifiedTopics = await this.identifyRelevantKnowledgeKeys(questionText);
+    return this.processWithLLM(questionId, questionText, identifiedTopics, null, { ...options, regenerating: true });
+  }
+
+  /**
+   * Record the versions of a regenerated answer and the one the user kept, for NYLARAGEvaluation.evaluateAnswerFeedback.
+   * The kept version becomes the answer later questions build on.
+   * @param {Object} record - { id, question, versions: [{ text, answeredBy, sources, stopped }], kept: index of the kept version }
+   */
+  recordAnswerVersions(record) {
+    const feedback = this.getAnswerFeedback().filter(entry => entry.id !== record.id);
+    feedback.push({ ...record, timestamp: Date.now() });
+
+    try {
+      // Keep only the last 100 regenerated answers
+      localStorage.setItem('nyla_answer_feedback', JSON.stringify(feedback.slice(-100)));
+    } catch (error) {
+      console.error('NYLA Conversation V2: Failed to save answer feedback', error);
+    }
+
+    const kept = record.versions[record.kept];
+    this.replaceLastAnswer(record.question, kept);
+    if (this.ragIntegration?.ragPipeline?.conversationManager) {
+      this.ragIntegration.ragPipeline.conversationManager.updateLastResponse(record.question, kept.text);
+    }
+  }
+
+  /**
+   * Regenerated answers with their versions and the kept one, oldest first
+   */
+  getAnswerFeedback() {
+    try {
+      return JSON.parse(localStorage.getItem('nyla_answer_feedback')) || [];
+    } catch (error) {
+      console.warn('NYLA Conversation V2: Answer feedback unreadable, starting over', error);
+      return [];
+    }
+  }
+
+  /**
+   * Answer without an LLM from the knowledge search results, with numbered citations (see NYLAExtractiveAnswerer)
+   */
+  generateRAGOnlyResponse(questionText, knowledgeContext) {
+    const chunks = knowledgeContext.searchResults.map((result, index) => ({
+      id: result.source || `result_${index + 1}`,
+      text: typeof result.data === 'string' ? result.data : JSON.stringify(result.data),
+      metadata: { title: result.source }
+    }));
+    const { text, citations } = this.getExtractiveAnswerer().answer(questionText, chunks);
+    return {
+      text,
+      citations,
+      sentiment: 'informative',
+      confidence: 0.5,
+      followUpSuggestions: []
+    };
+  }
+
+  /**
+   * The RAG pipeline's answerer (it has the facts database), or one of our own without RAG
+   */
+  getExtractiveAnswerer() {
+    const pipelineAnswerer = this.ragIntegration?.ragPipeline?.extractiveAnswerer;
+    if (pipelineAnswerer) return pipelineAnswerer;
+    if (!this.extractiveAnswerer) {
+      this.extractiveAnswerer = new NYLAExtractiveAnswerer();
+    }
+    return this.extractiveAnswerer;
+  }
+
   /**
    * Extract RAG metadata for UI display
    */
@@ -1151,7 +1354,8 @@ class NYLAConversationManagerV2 {
       timezone: this.userProfile.timezone,
       localTime: this.userProfile.localTime,
       confidence: answer.confidence || 0.7,
-      sentiment: answer.sentiment || 'helpful'
+      sentiment: answer.sentiment || 'helpful',
+      stopped: !!answer.stopped
     };
 
     this.conversationHistory.push(conversation);
@@ -1164,6 +1368,23 @@ class NYLAConversationManagerV2 {
     this.saveToStorage();
   }
 
+  /**
+   * Replace the answer of the latest history entry for a question (regenerated or another version kept)
+   * @returns {boolean} false when the question is not in the history
+   */
+  replaceLastAnswer(question, answer) {
+    const conversation = [...this.conversationHistory].reverse().find(entry => entry.question === question);
+    if (!conversation) {
+      return false;
+    }
+
+    conversation.answer = typeof answer === 'string' ? answer : answer.text;
+    conversation.stopped = !!answer.stopped;
+    conversation.regenerated = true;
+    this.saveToStorage();
+    return true;
+  }
+
   /**
    * Enhanced storage save with V2 data
    */
@@ -1554,6 +1775,57 @@ class NYLAConversationManagerV2 {
     };
   }
 
+  /**
+   * Answer a plain send, receive or swap request ("send 100 NYLA to @bob on Algorand") with a
+   * confirmation card, without asking the LLM
+   * @returns {Object|null} Response with chatAction, or null when the question is not such a request
+   */
+  createChatActionResponse(questionText) {
+    const call = typeof NYLAChatActions !== 'undefined' ? NYLAChatActions.detect(questionText) : null;
+    if (!call) {
+      return null;
+    }
+
+    const chatAction = this.getChatActions().prepare(call);
+    NYLALogger.debug('NYLA Conversation V2: Chat action requested:', chatAction);
+    const text = chatAction.valid ?
+      `${NYLAChatActions.describe(chatAction)} - please check the details and confirm to fill in the form.` :
+      `I couldn't prepare that: ${Object.values(chatAction.errors)[0] || `missing ${chatAction.missing.join(', ')}`}.`;
+    this.saveConversation(questionText, { text, sentiment: 'helpful' }, 'chat_action');
+
+    return {
+      answer: {
+        text,
+        sentiment: 'helpful',
+        confidence: 1.0
+      },
+      followUps: [],
+      sticker: null,
+      chatAction,
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Take a tool call out of an LLM answer and validate it for the chat's confirmation card
+   * @returns {Object} { text: answer without tool call tags, chatAction: prepared action or null }
+   */
+  extractChatAction(text) {
+    if (typeof NYLAChatActions === 'undefined' || !text) {
+      return { text, chatAction: null };
+    }
+
+    const { text: answer, calls } = NYLAChatActions.extractToolCalls(text);
+    return { text: answer, chatAction: calls.length > 0 ? this.getChatActions().prepare(calls[0]) : null };
+  }
+
+  /**
+   * Chat actions bridge of the PWA (validates against its token registry), or one without token facts
+   */
+  getChatActions() {
+    return window.nylaChatActions || new NYLAChatActions();
+  }
+
   /**
    * Handle tab switching actions
    */
@@ -0,0 +1,320 @@
+/**
+ * NYLA Fact Guard
+ * Checks the contract addresses, ASA ids, tickers and token decimals in an assistant answer against the
+ * knowledge base facts files (kb/facts/contracts.<chain>.json and data/nyla-facts-db.json) before the chat shows it.
+ *
+ * - An address or ASA id that belongs to another token or chain than the one it is given for is redacted
+ * - Addresses the facts do not list are redacted when they are labelled as a contract or mint; other
+ *   addresses (a wallet the user asked about) are left alone. Unknown ASA ids are redacted.
+ * - Unknown tickers and wrong decimals are flagged
+ * - Until every facts file has loaded, nothing is redacted: unknown values are only flagged
+ *
+ * Issue: { type: 'address' | 'asset_id' | 'ticker' | 'decimals', value, status: 'unknown' | 'mismatch',
+ *   action: 'redacted' | 'flagged', expected?: value the facts list for the token }
+ */
+
+class NYLAFactGuard {
+  static FACTS_DB_FILE = 'data/nyla-facts-db.json';
+
+  // Values as they appear in answers (wider than NYLATokenRegistry.ADDRESS_PATTERNS, which checks whole inputs)
+  static PATTERNS = {
+    ethereum: /\b0x[0-9a-fA-F]{40}\b/g,
+    solana: /(?<![A-Za-z0-9])[1-9A-HJ-NP-Za-km-z]{32,44}(?![A-Za-z0-9])/g,
+    algorandAccount: /(?<![A-Z0-9])[A-Z2-7]{58}(?![A-Z0-9])/g,
+    // An id follows its label directly ("ASA 31566704", "asset id: 31566704", "資產ID：386192725"); real ids have 5+ digits
+    assetId: /(?<![A-Za-z0-9])(?:ASA(?:\s*id)?|asset\s*id|資產\s*ID|资产\s*ID)\s*[#:：]?\s*(\d{5,20})(?!\d)/gi,
+    ticker: /\$([A-Za-z][A-Za-z0-9]{0,9}|[\u4e00-\u9fff]{1,4})(?![A-Za-z0-9])/g,
+    decimals: /\b(\d{1,2})\s+decimals?\b/gi
+  };
+
+  // Characters before an address or decimals searched for the token and chain they are given for (same sentence only)
+  static CONTEXT_WINDOW = 80;
+
+  // Labels that make an address a token's contract or mint, searched in the same context
+  static CONTRACT_LABEL = /\bcontracts?\b|\bmint\b|\bCA\b|合[約约]|[鑄铸]造/i;
+
+  static REDACTED = {
+    address: '[address removed: not verified]',
+    asset_id: '[asset id removed: not verified]'
+  };
+
+  /**
+   * @param {Object} contractsByChain - { Solana: contracts.solana.json, ... } parsed facts files
+   * @param {Object} facts - The facts map of nyla-facts-db.json
+   * @param {boolean} complete - Every facts file loaded; otherwise unknown values are flagged, not redacted
+   */
+  constructor(contractsByChain = {}, facts = {}, complete = true) {
+    this.addresses = new Map();
+    this.assetIds = new Map();
+    this.tickers = new Map();
+    this.complete = complete;
+
+    const tokens = [
+      ...NYLATokenRegistry.BUILTIN_TOKENS,
+      ...Object.entries(contractsByChain).flatMap(([chain, file]) => NYLATokenRegistry.tokensFromFacts(chain, file))
+    ];
+    tokens.forEach(token => {
+      this.addTicker(token.symbol, token);
+      if (token.address) this.addAddress(token.address, token);
+      if (token.assetId) this.assetIds.set(token.assetId, token);
+    });
+
+    // Other addresses in the contracts files (program ids, explorers' examples) are known, without a token
+    Object.entries(contractsByChain).forEach(([chain, file]) => {
+      NYLAFactGuard.findAddresses(JSON.stringify(file || {})).forEach(address => {
+        if (!this.findAddress(address)) this.addAddress(address, { symbol: null, chain });
+      });
+    });
+
+    this.addFacts(facts || {});
+  }
+
+  /**
+   * Build a guard from the facts files (browser)
+   * @param {string} basePath - Prefix for the facts files ('' in the PWA, 'pwa/' in the extension)
+   * @returns {Promise<NYLAFactGuard>}
+   */
+  static async load(basePath = '') {
+    let complete = true;
+    const fetchJson = async (file) => {
+      try {
+        const response = await fetch(basePath + file);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return await response.json();
+      } catch (error) {
+        complete = false;
+        console.warn(`NYLA Fact Guard: Could not load ${file}, unknown values will only be flagged:`, error.message);
+        return null;
+      }
+    };
+
+    const contractsByChain = {};
+    await Promise.all(Object.entries(NYLATokenRegistry.FACTS_FILES).map(async ([chain, file]) => {
+      contractsByChain[chain] = await fetchJson(file);
+    }));
+    const factsDB = await fetchJson(this.FACTS_DB_FILE);
+    return new NYLAFactGuard(contractsByChain, factsDB ? factsDB.facts : {}, complete);
+  }
+
+  /**
+   * Addresses and tickers of the facts database; a ticker belongs to the facts sharing its key prefix
+   * (ecosystem_wangchai_technical_details_ticker names the token of ecosystem_wangchai_technical_details_ca)
+   */
+  addFacts(facts) {
+    const prefixes = [];
+    Object.entries(facts).forEach(([key, value]) => {
+      const match = key.match(/^(.*)_(?:ticker|symbol)$/);
+      if (match && typeof value === 'string') {
+        const symbol = value.replace(/^\$/, '');
+        prefixes.push({ prefix: match[1], symbol });
+        this.addTicker(symbol, { symbol, chain: null });
+      }
+    });
+
+    Object.entries(facts).forEach(([key, value]) => {
+      const owner = prefixes
+        .filter(({ prefix }) => key.startsWith(`${prefix}_`))
+        .sort((a, b) => b.prefix.length - a.prefix.length)[0];
+      NYLAFactGuard.findAddresses(JSON.stringify(value)).forEach(address => {
+        if (!this.findAddress(address)) {
+          this.addAddress(address, { symbol: owner ? owner.symbol : null, chain: address.startsWith('0x') ? 'Ethereum' : 'Solana' });
+        }
+      });
+    });
+  }
+
+  addTicker(symbol, token) {
+    const key = symbol.toUpperCase();
+    if (!this.tickers.has(key)) this.tickers.set(key, []);
+    this.tickers.get(key).push(token);
+  }
+
+  addAddress(address, token) {
+    // Ethereum addresses are case-insensitive (EIP-55 only adds a checksum), Solana's are not
+    this.addresses.set(address.startsWith('0x') ? address.toLowerCase() : address, token);
+  }
+
+  findAddress(address) {
+    return this.addresses.get(address.startsWith('0x') ? address.toLowerCase() : address) || null;
+  }
+
+  /**
+   * Matches of Ethereum, Solana and Algorand account addresses in a text
+   */
+  static matchAddresses(text) {
+    const { ethereum, solana, algorandAccount } = NYLAFactGuard.PATTERNS;
+    return [
+      ...text.matchAll(ethereum),
+      // Base58 runs of letters only are words, not addresses
+      ...[...text.matchAll(solana)].filter(match => /\d/.test(match[0]) && /[A-Za-z]/.test(match[0])),
+      ...text.matchAll(algorandAccount)
+    ];
+  }
+
+  static findAddresses(text) {
+    return NYLAFactGuard.matchAddresses(text).map(match => match[0]);
+  }
+
+  /**
+   * Verify the facts in an answer
+   * @param {string} text - Answer text
+   * @returns {Object} { text: text with unverified values redacted, issues: [issue], checked: values checked }
+   */
+  verify(text) {
+    const input = String(text || '');
+    const issues = [];
+    const replacements = [];
+    let checked = 0;
+
+    const report = (issue, index, length) => {
+      const action = this.complete && issue.type !== 'ticker' && issue.type !== 'decimals' ? 'redacted' : 'flagged';
+      issues.push({ ...issue, action });
+      if (action === 'redacted') {
+        replacements.push({ index, length, text: NYLAFactGuard.REDACTED[issue.type] });
+      }
+    };
+
+    const { assetId, ticker, decimals } = NYLAFactGuard.PATTERNS;
+    NYLAFactGuard.matchAddresses(input).forEach(match => {
+      const value = match[0];
+      const known = this.findAddress(value);
+      if (!known) {
+        if (!NYLAFactGuard.CONTRACT_LABEL.test(NYLAFactGuard.contextBefore(input, match.index))) return;
+        checked++;
+        report({ type: 'address', value, status: 'unknown' }, match.index, value.length);
+        return;
+      }
+      checked++;
+      const expected = this.checkContext(input, match.index, known, token => token.address);
+      if (expected !== undefined) {
+        report({ type: 'address', value, status: 'mismatch', expected }, match.index, value.length);
+      }
+    });
+
+    for (const match of input.matchAll(assetId)) {
+      checked++;
+      const value = match[1];
+      const index = match.index + match[0].length - value.length;
+      const known = this.assetIds.get(value);
+      if (!known) {
+        report({ type: 'asset_id', value, status: 'unknown' }, index, value.length);
+        continue;
+      }
+      const expected = this.checkContext(input, index, known, token => token.assetId);
+      if (expected !== undefined) {
+        report({ type: 'asset_id', value, status: 'mismatch', expected }, index, value.length);
+      }
+    }
+
+    for (const match of input.matchAll(ticker)) {
+      checked++;
+      if (!this.tickers.has(match[1].toUpperCase())) {
+        report({ type: 'ticker', value: match[0], status: 'unknown' }, match.index, match[0].length);
+      }
+    }
+
+    for (const match of input.matchAll(decimals)) {
+      const symbol = NYLAFactGuard.lastNamed(NYLAFactGuard.contextBefore(input, match.index), [...this.tickers.keys()]);
+      const tokens = symbol ? this.tickers.get(symbol).filter(token => Number.isInteger(token.decimals)) : [];
+      if (tokens.length === 0) continue;
+      checked++;
+      const claimed = parseInt(match[1], 10);
+      if (!tokens.some(token => token.decimals === claimed)) {
+        report({ type: 'decimals', value: `${tokens[0].symbol} ${claimed}`, status: 'mismatch', expected: tokens[0].decimals }, match.index, match[0].length);
+      }
+    }
+
+    let output = input;
+    replacements
+      .sort((a, b) => b.index - a.index)
+      .forEach(({ index, length, text: replacement }) => {
+        output = output.slice(0, index) + replacement + output.slice(index + length);
+      });
+
+    return { text: output, issues, checked };
+  }
+
+  /**
+   * Check that a known value is given for its own token and chain: the last token symbol and chain
+   * named shortly before it on the same line must be its own
+   * @returns {*} undefined when it matches, otherwise the facts' value for the named token (null if none)
+   */
+  checkContext(text, index, known, valueOf) {
+    const before = NYLAFactGuard.contextBefore(text, index);
+
+    const chain = NYLAFactGuard.lastNamed(before, NYLACommandGrammar.SUPPORTED_CHAINS);
+    if (chain && known.chain && chain !== known.chain) {
+      return this.expectedValue(known.symbol, chain, valueOf);
+    }
+
+    if (!known.symbol) return undefined;
+    const symbol = NYLAFactGuard.lastNamed(before, [...this.tickers.keys()]);
+    if (symbol && symbol !== known.symbol.toUpperCase()) {
+      return this.expectedValue(symbol, chain || known.chain, valueOf);
+    }
+    return undefined;
+  }
+
+  /**
+   * Text shortly before a position, in the same sentence
+   */
+  static contextBefore(text, index) {
+    const before = text.slice(Math.max(0, index - NYLAFactGuard.CONTEXT_WINDOW), index);
+    const sentences = before.split(/\n|[.!?](?:\s)|[。！？]/);
+    return sentences[sentences.length - 1];
+  }
+
+  /**
+   * The name mentioned last (as a whole word, optionally with $) in a text, null if none is
+   */
+  static lastNamed(text, names) {
+    let last = null;
+    let lastAt = -1;
+    names.forEach(name => {
+      const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const pattern = new RegExp(`(?<![A-Za-z0-9])\\$?${escaped}(?![A-Za-z0-9])`, 'gi');
+      for (const match of text.matchAll(pattern)) {
+        if (match.index > lastAt) {
+          last = name;
+          lastAt = match.index;
+        }
+      }
+    });
+    return last;
+  }
+
+  /**
+   * One line per kind of issue, for the note under an answer
+   */
+  static describe(issues) {
+    const lines = [];
+    const redacted = issues.filter(issue => issue.action === 'redacted');
+    if (redacted.length > 0) {
+      lines.push(`Removed ${redacted.length === 1 ? 'a value' : `${redacted.length} values`} not matching the NYLA knowledge base - always verify addresses on an official explorer`);
+    }
+    issues.filter(issue => issue.action === 'flagged').forEach(issue => {
+      if (issue.type === 'decimals') {
+        lines.push(`${issue.value} decimals does not match the knowledge base (${issue.expected})`);
+      } else {
+        lines.push(`Could not verify ${issue.value} in the knowledge base`);
+      }
+    });
+    return lines;
+  }
+
+  /**
+   * The facts' value of a token on a chain, null when the facts do not list it there
+   */
+  expectedValue(symbol, chain, valueOf) {
+    const token = (this.tickers.get(String(symbol || '').toUpperCase()) || [])
+      .find(candidate => !chain || candidate.chain === chain);
+    return (token && valueOf(token)) || null;
+  }
+}
+
+// Export for both Node.js and Browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NYLAFactGuard;
+} else if (typeof window !== 'undefined') {
+  window.NYLAFactGuard = NYLAFactGuard;
+}
@@ -1,14 +1,25 @@
 /**
  * NYLA Hosted LLM Client
- * Handles communication with hosted LLM proxy service
+ * Handles communication with the remote LLM provider selected in NYLALLMConfig
+ * (hosted proxy, OpenAI-compatible server or Ollama) through its NYLALLMProvider adapter
  */
 
 class NYLAHostedLLM {
-    constructor() {
+    /**
+     * @param {string} providerName - NYLALLMConfig provider key, defaults to the current provider
+     */
+    constructor(providerName = window.NYLALLMConfig.getCurrentProviderName()) {
+        this.provider = null;
+        this.providerName = providerName;
         this.endpoint = null;
         this.sessionId = this.generateSessionId();
         this.requestCount = 0;
         this.isReady = false;
+        // Same response contract as the local engine, with room for longer hosted answers
+        this.responseSchema = new NYLALLMResponseSchema({ maxTextLength: 8000 });
+        this.lastResponseReport = null;
+        // Token and cost accounting, shared by all provider clients
+        this.usage = window.nylaLLMUsage || new NYLALLMUsage();
         
         NYLALogger.debug('🌐 Hosted LLM: Initialized', {
             sessionId: this.sessionId
@@ -20,24 +31,18 @@ class NYLAHostedLLM {
      */
     async initialize() {
         try {
-            this.endpoint = await window.NYLALLMConfig.getHostedEndpoint();
-            if (!this.endpoint) {
+            // Health-checked adapter for this client's provider
+            this.provider = await window.NYLALLMConfig.resolveProvider(this.providerName);
+            if (!this.provider) {
                 throw new Error('No hosted LLM endpoint available');
             }
-
-            // Test connection
-            const healthResponse = await fetch(this.endpoint.replace('/infer', '/health'), {
-                method: 'GET',
-                headers: { 'Content-Type': 'application/json' }
-            });
-
-            if (!healthResponse.ok) {
-                throw new Error(`Health check failed: ${healthResponse.status}`);
-            }
+            this.endpoint = this.provider.baseURL;
 
             this.isReady = true;
             NYLALogger.info('🌐 Hosted LLM: Initialized successfully', {
-                endpoint: this.endpoint
+                provider: this.providerName,
+                endpoint: this.endpoint,
+                model: this.provider.model
             });
 
             return true;
@@ -48,6 +53,15 @@ class NYLAHostedLLM {
         }
     }
 
+    /**
+     * Initialize again if the provider was unreachable, e.g. a Cloud Run cold start
+     */
+    async ensureReady() {
+        if (!this.isReady && !(await this.initialize())) {
+            throw new Error('Hosted LLM not available');
+        }
+    }
+
     /**
      * Generate a unique session ID
      */
@@ -59,12 +73,10 @@ class NYLAHostedLLM {
      * Generate response from hosted LLM
      * @param {string} userQuery - The user's query
      * @param {Array|Object} context - Context information
-     * @param {Object} options - Additional options like language preference
+     * @param {Object} options - Additional options like language preference, and signal (AbortSignal) to stop
      */
     async generateResponse(userQuery, context = [], options = {}) {
-        if (!this.isReady) {
-            throw new Error('Hosted LLM not initialized');
-        }
+        await this.ensureReady();
 
         const startTime = Date.now();
         this.requestCount++;
@@ -95,89 +107,58 @@ class NYLAHostedLLM {
         });
 
         try {
-            // Add language-specific system prompt if needed
-            let systemPrompt = undefined;
-            if (preferredLanguage === 'zh') {
-                systemPrompt = "CRITICAL: You MUST respond ONLY in Chinese. Do not mix any English in your response.";
-            } else if (preferredLanguage === 'en') {
-                systemPrompt = "CRITICAL: You MUST respond ONLY in English. Do not mix any other language in your response.";
-            }
-
-            const requestBody = {
-                user_query: userQuery,
-                context: Array.isArray(context) ? context : [context],
-                params: {
-                    max_tokens: 1200,
-                    temperature: 0.3,
-                    top_p: 0.9
-                },
-                ab: 'cloud',
-                session_id: this.sessionId,
-                tenant_id: 'nyla-pwa',
-                language_preference: preferredLanguage,  // Add language preference
-                system_prompt: systemPrompt  // Override system prompt for language enforcement
-            };
+            const request = { ...this.buildRequest(userQuery, context, preferredLanguage), signal: options.signal };
 
             NYLALogger.debug('🌐 Hosted LLM: Sending request', {
+                provider: this.providerName,
                 endpoint: this.endpoint,
                 requestId: this.requestCount,
                 queryLength: userQuery.length,
-                contextItems: requestBody.context.length,
-                contextPreview: requestBody.context.length > 0 ? 
-                    requestBody.context[0].substring(0, 100) + '...' : 'No context',
-                hasContractAddress: requestBody.context.length > 0 ? 
-                    requestBody.context[0].includes('Contract Address') : false,
-                hasWangChaiAddress: requestBody.context.length > 0 ? 
-                    requestBody.context[0].includes('83kGGSggYGP2ZEEyvX54SkZR1kFn84RgGCDyptbDbonk') : false
+                contextItems: request.context.length,
+                contextPreview: request.context.length > 0 ? 
+                    request.context[0].substring(0, 100) + '...' : 'No context',
+                hasContractAddress: request.context.length > 0 ? 
+                    request.context[0].includes('Contract Address') : false,
+                hasWangChaiAddress: request.context.length > 0 ? 
+                    request.context[0].includes('83kGGSggYGP2ZEEyvX54SkZR1kFn84RgGCDyptbDbonk') : false
             });
             
             // Additional debug for contract address queries
             if (userQuery.includes('旺柴') && userQuery.includes('合約')) {
                 NYLALogger.info('🔍 CONTRACT ADDRESS DEBUG: Query about WangChai contract', {
                     query: userQuery,
-                    contextLength: requestBody.context.length,
-                    fullContext: requestBody.context.length > 0 ? requestBody.context[0] : 'No context'
+                    contextLength: request.context.length,
+                    fullContext: request.context.length > 0 ? request.context[0] : 'No context'
                 });
             }
 
-            const response = await fetch(this.endpoint, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-Correlation-ID': this.generateCorrelationId()
-                },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`HTTP ${response.status}: ${errorText}`);
-            }
-
-            const result = await response.json();
+            const result = await this.provider.generate(request);
             const latency = Date.now() - startTime;
+            const usage = this.recordUsage(request, result);
 
             // Log complete response for debugging and monitoring
             NYLALogger.info('✅ Hosted LLM: Response received', {
                 requestId: this.requestCount,
                 sessionId: this.sessionId,
+                provider: this.providerName,
+                model: result.model,
                 latency,
-                answerLength: result.answer?.length || 0,
-                followupsCount: result.followups?.length || 0,
-                answerPreview: result.answer ? result.answer.substring(0, 150) + '...' : 'No answer',
+                answerLength: result.text?.length || 0,
+                followupsCount: result.followups.length,
+                usage,
+                answerPreview: result.text ? result.text.substring(0, 150) + '...' : 'No answer',
                 timestamp: new Date().toISOString()
             });
 
             // Transform to match local LLM response format
-            return {
-                text: result.answer,
-                sentiment: 'neutral', // Hosted LLM doesn't provide sentiment
-                confidence: 1.0, // Hosted LLM manages confidence internally
-                followUpSuggestions: result.followups || []
-            };
+            return this.toResponse(result.text, result.followups);
 
         } catch (error) {
             const latency = Date.now() - startTime;
+            if (error.name === 'AbortError') {
+                NYLALogger.info('⏹️ Hosted LLM: Request stopped', { requestId: this.requestCount, latency });
+                throw error;
+            }
             NYLALogger.error('❌ Hosted LLM: Request failed', {
                 requestId: this.requestCount,
                 sessionId: this.sessionId,
@@ -195,12 +176,10 @@ class NYLAHostedLLM {
      * @param {string} userQuery - The user's query
      * @param {Array|Object} context - Context information
      * @param {Function} streamCallback - Callback for streaming chunks
-     * @param {Object} options - Additional options like language preference
+     * @param {Object} options - Additional options like language preference, and signal (AbortSignal) to stop
      */
     async generateStreamingResponse(userQuery, context = [], streamCallback, options = {}) {
-        if (!this.isReady) {
-            throw new Error('Hosted LLM not initialized');
-        }
+        await this.ensureReady();
 
         const startTime = Date.now();
         this.requestCount++;
@@ -230,101 +209,35 @@ class NYLAHostedLLM {
         });
 
         try {
-            // Add language-specific system prompt if needed
-            let systemPrompt = undefined;
-            if (preferredLanguage === 'zh') {
-                systemPrompt = "CRITICAL: You MUST respond ONLY in Chinese. Do not mix any English in your response.";
-            } else if (preferredLanguage === 'en') {
-                systemPrompt = "CRITICAL: You MUST respond ONLY in English. Do not mix any other language in your response.";
-            }
+            const request = { ...this.buildRequest(userQuery, context, preferredLanguage), signal: options.signal };
 
-            const requestBody = {
-                user_query: userQuery,
-                context: Array.isArray(context) ? context : [context],
-                params: {
-                    max_tokens: 1200,
-                    temperature: 0.3,
-                    top_p: 0.9
-                },
-                ab: 'cloud',
-                session_id: this.sessionId,
-                tenant_id: 'nyla-pwa',
-                language_preference: preferredLanguage,  // Add language preference
-                system_prompt: systemPrompt  // Override system prompt for language enforcement
-            };
-
-            const streamEndpoint = this.endpoint + '/stream';
             NYLALogger.debug('🌐 Hosted LLM: Starting stream', {
-                endpoint: streamEndpoint,
+                provider: this.providerName,
+                endpoint: this.endpoint,
                 requestId: this.requestCount,
                 queryLength: userQuery.length,
-                contextItems: requestBody.context.length
+                contextItems: request.context.length
             });
 
-            const response = await fetch(streamEndpoint, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-Correlation-ID': this.generateCorrelationId()
-                },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
-            let fullText = '';
-
-            try {
-                while (true) {
-                    const { done, value } = await reader.read();
-                    if (done) break;
-
-                    const chunk = decoder.decode(value, { stream: true });
-                    const lines = chunk.split('\n');
-
-                    for (const line of lines) {
-                        if (line.startsWith('data: ') && line.length > 6) {
-                            try {
-                                const data = JSON.parse(line.slice(6));
-                                
-                                if (line.startsWith('event: token')) {
-                                    fullText += data;
-                                    if (streamCallback) {
-                                        streamCallback(data);
-                                    }
-                                } else if (line.startsWith('event: meta')) {
-                                    NYLALogger.debug('🌐 Hosted LLM: Stream metadata', data);
-                                }
-                            } catch (parseError) {
-                                // Ignore parse errors for streaming data
-                            }
-                        }
-                    }
-                }
-            } finally {
-                reader.releaseLock();
-            }
+            const result = await this.provider.stream(request, streamCallback);
+            const fullText = result.text;
 
             const latency = Date.now() - startTime;
             NYLALogger.info('🌐 Hosted LLM: Stream completed', {
                 latency,
-                totalLength: fullText.length
+                totalLength: fullText.length,
+                usage: this.recordUsage(request, result)
             });
 
             // Return final response in expected format
-            return {
-                text: fullText,
-                sentiment: 'neutral',
-                confidence: 1.0,
-                followUpSuggestions: [] // Streaming doesn't include followups
-            };
+            return this.toResponse(fullText, result.followups);
 
         } catch (error) {
             const latency = Date.now() - startTime;
+            if (error.name === 'AbortError') {
+                NYLALogger.info('⏹️ Hosted LLM: Stream stopped', { requestId: this.requestCount, latency });
+                throw error;
+            }
             NYLALogger.error('🌐 Hosted LLM: Stream failed', {
                 error: error.message,
                 latency
@@ -333,6 +246,41 @@ class NYLAHostedLLM {
         }
     }
 
+    /**
+     * Provider request for a query, with the language rule as system prompt
+     * @param {string} userQuery - The user's query
+     * @param {Array|Object} context - Context information
+     * @param {string} preferredLanguage - 'en', 'zh' or 'mixed'
+     */
+    buildRequest(userQuery, context, preferredLanguage) {
+        // Add language-specific system prompt if needed
+        let systemPrompt = undefined;
+        if (preferredLanguage === 'zh') {
+            systemPrompt = "CRITICAL: You MUST respond ONLY in Chinese. Do not mix any English in your response.";
+        } else if (preferredLanguage === 'en') {
+            systemPrompt = "CRITICAL: You MUST respond ONLY in English. Do not mix any other language in your response.";
+        }
+
+        // Let the LLM fill in the Send, Receive and Swap forms through tool calls
+        if (typeof NYLAChatActions !== 'undefined') {
+            systemPrompt = NYLAChatActions.withToolPrompt(systemPrompt);
+        }
+
+        return {
+            query: userQuery,
+            context: Array.isArray(context) ? context : [context],
+            systemPrompt,
+            language: preferredLanguage,
+            params: {
+                max_tokens: 1200,
+                temperature: 0.3,
+                top_p: 0.9
+            },
+            sessionId: this.sessionId,
+            correlationId: this.generateCorrelationId()
+        };
+    }
+
     /**
      * Detect language from user query
      * @param {string} text - Text to analyze
@@ -353,6 +301,47 @@ class NYLAHostedLLM {
         return 'en';
     }
 
+    /**
+     * Check a provider answer against the response schema and repair it
+     * Throws with the schema report when it cannot be repaired, so failover moves on to the next engine.
+     * @param {string} text - Answer text
+     * @param {Array} followups - Follow-up suggestions from the provider
+     */
+    toResponse(text, followups) {
+        const { response, report } = this.responseSchema.repair({
+            text,
+            sentiment: 'neutral', // Hosted LLM doesn't provide sentiment
+            confidence: 1.0, // Hosted LLM manages confidence internally
+            followUpSuggestions: followups
+        });
+        this.lastResponseReport = report;
+
+        if (!report.valid) {
+            const error = new Error(`Hosted LLM answer does not match the response schema: ${report.remaining.map(issue => `${issue.path} ${issue.message}`).join('; ')}`);
+            error.report = report;
+            throw error;
+        }
+        if (report.repairs.length > 0) {
+            NYLALogger.debug('🌐 Hosted LLM: Response repaired to match the schema', report);
+        }
+        return response;
+    }
+
+    /**
+     * Count the tokens and estimated cost of an answer, estimating the tokens when the provider reports none
+     * @param {Object} request - Provider request
+     * @param {Object} result - Provider result ({ text, usage, model })
+     */
+    recordUsage(request, result) {
+        return this.usage.record({
+            provider: this.providerName,
+            model: result.model || (this.provider && this.provider.model),
+            usage: result.usage,
+            prompt: [request.systemPrompt, ...request.context, request.query],
+            completion: result.text
+        });
+    }
+
     /**
      * Generate correlation ID for request tracking
      */
@@ -369,11 +358,13 @@ class NYLAHostedLLM {
             loading: false,
             ready: this.isReady,
             warmedUp: this.isReady,
-            model: 'gpt-4o-mini',
-            provider: 'hosted',
+            model: this.provider ? this.provider.model : null,
+            provider: this.providerName,
             endpoint: this.endpoint,
             requestCount: this.requestCount,
-            sessionId: this.sessionId
+            sessionId: this.sessionId,
+            lastResponseReport: this.lastResponseReport,
+            usage: this.usage.getStatus()
         };
     }
 
@@ -396,6 +387,7 @@ class NYLAHostedLLM {
      */
     resetSession() {
         this.sessionId = this.generateSessionId();
+        this.usage.resetSession();
         NYLALogger.info('🌐 Hosted LLM: Session reset', {
             newSessionId: this.sessionId
         });
@@ -1,27 +1,59 @@
 /**
  * NYLA LLM Configuration Manager
- * Handles switching between local WebLLM and hosted LLM proxy
+ * Handles switching between local WebLLM and remote providers (see NYLALLMProvider):
+ * the hosted LLM proxy, an OpenAI-compatible server or an Ollama server.
+ * Base URL, model and API key of the OpenAI-compatible and Ollama providers are user settings.
  */
 
 class NYLALLMConfig {
+    static SETTINGS_KEY = 'nylaLLMProviderSettings';
+    static CONFIGURABLE_FIELDS = ['baseURL', 'model', 'apiKey'];
+
     constructor() {
         this.providers = {
             local: {
+                type: 'webllm',
                 name: 'Local WebLLM',
                 description: 'Local Qwen model via WebLLM',
-                endpoint: null, // Uses WebLLM directly
+                baseURL: null, // Uses WebLLM directly
                 enabled: true,
-                requiresWebGPU: true
+                requiresWebGPU: true,
+                configurable: false
             },
             hosted: {
+                type: 'proxy',
                 name: 'Hosted LLM Proxy',
                 description: 'OpenAI GPT-4o-mini via Cloud Run (Asia Southeast - GPU)',
-                endpoint: 'https://nylago-594680195221.asia-southeast1.run.app/v1/infer',
-                fallbackEndpoint: 'http://localhost:8081/v1/infer', // Only for proxy development
+                baseURL: 'https://nylago-594680195221.asia-southeast1.run.app',
+                fallbackBaseURL: 'http://localhost:8081', // Only for proxy development
+                model: 'gpt-4o-mini',
+                enabled: true,
+                requiresWebGPU: false,
+                configurable: false
+            },
+            openai: {
+                type: 'openai',
+                name: 'OpenAI-Compatible Server',
+                description: 'Any /v1/chat/completions endpoint (vLLM, LM Studio, llama.cpp, OpenAI)',
+                baseURL: 'http://localhost:8000',
+                model: '', // First model listed by /v1/models when empty
+                apiKey: '',
+                enabled: true,
+                requiresWebGPU: false,
+                configurable: true
+            },
+            ollama: {
+                type: 'ollama',
+                name: 'Ollama',
+                description: 'Ollama server (allow this origin with OLLAMA_ORIGINS)',
+                baseURL: 'http://localhost:11434',
+                model: '', // First model listed by /api/tags when empty
                 enabled: true,
-                requiresWebGPU: false
+                requiresWebGPU: false,
+                configurable: true
             }
         };
+        this.loadProviderSettings();
 
         // Environment-based default provider selection
         // Development (localhost): hosted LLM (Cloud Run)
@@ -93,10 +125,19 @@ class NYLALLMConfig {
         return this.currentProvider;
     }
 
+    /**
+     * Whether the current provider runs in the browser (WebLLM)
+     */
+    isLocalProvider() {
+        return this.getCurrentProvider().type === 'webllm';
+    }
+
     /**
      * Switch to a different provider
+     * @param {string} providerName - Provider key
+     * @param {Object} options - { save: false } for session-only fallbacks that keep the saved choice
      */
-    switchProvider(providerName) {
+    switchProvider(providerName, { save = true } = {}) {
         if (!this.providers[providerName]) {
             NYLALogger.error('🔧 LLM Config: Unknown provider:', providerName);
             return false;
@@ -104,7 +145,9 @@ class NYLALLMConfig {
 
         const oldProvider = this.currentProvider;
         this.currentProvider = providerName;
-        this.saveProviderPreference();
+        if (save) {
+            this.saveProviderPreference();
+        }
 
         NYLALogger.info('🔧 LLM Config: Provider switched', {
             from: oldProvider,
@@ -119,9 +162,7 @@ class NYLALLMConfig {
      * Check if current provider is available
      */
     async checkProviderAvailability() {
-        const provider = this.getCurrentProvider();
-        
-        if (this.currentProvider === 'local') {
+        if (this.isLocalProvider()) {
             // Check WebGPU availability for local provider
             if (!navigator.gpu) {
                 NYLALogger.warn('🔧 LLM Config: WebGPU not available for local provider');
@@ -130,106 +171,169 @@ class NYLALLMConfig {
             return true;
         }
 
-        if (this.currentProvider === 'hosted') {
-            // Check if hosted endpoint is reachable
-            try {
-                // Try Cloud Run primary endpoint first
-                const response = await fetch(provider.endpoint.replace('/infer', '/health'), {
-                    method: 'GET',
-                    headers: { 'Content-Type': 'application/json' },
-                    mode: 'cors' // Explicitly request CORS
+        return (await this.resolveProvider()) !== null;
+    }
+
+    /**
+     * Create an adapter for a remote provider
+     * @param {string} providerName - Provider key (defaults to the current provider)
+     * @param {Object} overrides - Options replacing the configured ones, e.g. { baseURL }
+     * @returns {NYLALLMProvider}
+     */
+    createProvider(providerName = this.currentProvider, overrides = {}) {
+        const config = this.providers[providerName];
+        if (!config || config.type === 'webllm') {
+            throw new Error(`Provider "${providerName}" has no remote adapter`);
+        }
+
+        return NYLALLMProvider.create(config.type, {
+            baseURL: config.baseURL,
+            model: config.model,
+            apiKey: config.apiKey,
+            ...overrides
+        });
+    }
+
+    /**
+     * Adapter for a remote provider, unless its server answers the health check with an error
+     * A check that never reaches the server (network or CORS error) does not count as down:
+     * browsers may block the health path while inference requests still work, and a failed
+     * request falls back through NYLALLMFailover anyway.
+     * The hosted proxy may use the local proxy instead (?use_local_proxy).
+     * @param {string} providerName - Provider key (defaults to the current provider)
+     * @returns {Promise<NYLALLMProvider|null>} null when the provider reports an error (fall back to local WebLLM)
+     */
+    async resolveProvider(providerName = this.currentProvider) {
+        const config = this.providers[providerName];
+        if (!config || config.type === 'webllm') return null;
+
+        const baseURLs = [config.baseURL];
+        // Only use local proxy if explicitly requested for proxy development
+        if (config.fallbackBaseURL && window.location.search.includes('use_local_proxy')) {
+            baseURLs.push(config.fallbackBaseURL);
+        }
+
+        for (const baseURL of baseURLs) {
+            const provider = this.createProvider(providerName, { baseURL });
+            const health = await provider.health();
+
+            if (health.ok) {
+                NYLALogger.info('🔧 LLM Config: Provider available', {
+                    provider: providerName,
+                    baseURL,
+                    model: provider.model,
+                    latency: health.latency
                 });
-                
-                if (response.ok) {
-                    NYLALogger.info('🔧 LLM Config: Cloud Run endpoint available');
-                    return true;
-                }
-                
-                // Only try local fallback if explicitly needed for proxy development
-                if (provider.fallbackEndpoint && window.location.search.includes('use_local_proxy')) {
-                    const fallbackResponse = await fetch(provider.fallbackEndpoint.replace('/infer', '/health'), {
-                        method: 'GET',
-                        headers: { 'Content-Type': 'application/json' },
-                        mode: 'cors'
-                    });
-                    
-                    if (fallbackResponse.ok) {
-                        NYLALogger.info('🔧 LLM Config: Local proxy fallback available');
-                        return true;
-                    }
-                }
-                
-                NYLALogger.warn('🔧 LLM Config: Cloud Run not reachable, will fall back to local WebLLM');
-                return false;
-            } catch (error) {
-                // Check if this is a CORS error specifically
-                if (error.message?.includes('CORS') || error.name === 'TypeError') {
-                    NYLALogger.warn('🔧 LLM Config: CORS error - assuming hosted endpoint is available for actual requests');
-                    // For CORS errors, assume the endpoint is available since CORS only blocks browser checks
-                    return true;
-                }
-                NYLALogger.error('🔧 LLM Config: Error checking hosted provider:', error);
-                return false;
+                return provider;
             }
+            if (health.unreachable) {
+                NYLALogger.warn('🔧 LLM Config: Health check blocked (network or CORS), using provider anyway:', baseURL, health.error);
+                return provider;
+            }
+            NYLALogger.warn('🔧 LLM Config: Provider not available:', baseURL, health.error);
         }
 
-        return false;
+        NYLALogger.warn('🔧 LLM Config: Remote provider not available, will fall back to local WebLLM');
+        return null;
     }
 
     /**
-     * Get the appropriate endpoint for hosted provider
+     * Load base URL, model and API key of the configurable providers
      */
-    async getHostedEndpoint() {
-        const provider = this.getCurrentProvider();
-        if (this.currentProvider !== 'hosted') return null;
-
+    loadProviderSettings() {
         try {
-            // Primary endpoint: Cloud Run (for both development and production)
-            const response = await fetch(provider.endpoint.replace('/infer', '/health'), {
-                method: 'GET',
-                headers: { 'Content-Type': 'application/json' },
-                mode: 'cors'
+            const saved = JSON.parse(localStorage.getItem(NYLALLMConfig.SETTINGS_KEY) || '{}');
+            Object.entries(saved).forEach(([providerName, settings]) => {
+                const config = this.providers[providerName];
+                if (!config || !config.configurable || !settings) return;
+                NYLALLMConfig.CONFIGURABLE_FIELDS.forEach(field => {
+                    if (typeof settings[field] === 'string') config[field] = settings[field];
+                });
             });
-            
-            if (response.ok) {
-                NYLALogger.info('🔧 LLM Config: Using Cloud Run endpoint for development');
-                return provider.endpoint;
-            }
-            
-            // Only use local proxy if explicitly requested for proxy development
-            if (provider.fallbackEndpoint && window.location.search.includes('use_local_proxy')) {
-                const fallbackResponse = await fetch(provider.fallbackEndpoint.replace('/infer', '/health'), {
-                    method: 'GET',
-                    headers: { 'Content-Type': 'application/json' },
-                    mode: 'cors'
+        } catch (error) {
+            NYLALogger.warn('🔧 LLM Config: Could not load provider settings:', error);
+        }
+    }
+
+    /**
+     * Get the user settings of a configurable provider
+     * The API key is masked; settings passed back with the mask keep the saved key (see withSavedApiKey).
+     * @returns {Object|null} { baseURL, model, apiKey }
+     */
+    getProviderSettings(providerName) {
+        const config = this.providers[providerName];
+        if (!config || !config.configurable) return null;
+        return {
+            baseURL: config.baseURL || '',
+            model: config.model || '',
+            apiKey: NYLALLMConfig.maskApiKey(config.apiKey)
+        };
+    }
+
+    /**
+     * @param {string} apiKey - Saved key
+     * @returns {string} Bullets and the last 4 characters, only bullets for short keys, '' without a key
+     */
+    static maskApiKey(apiKey) {
+        if (!apiKey) return '';
+        return '••••••••' + (apiKey.length >= 12 ? apiKey.slice(-4) : '');
+    }
+
+    /**
+     * Settings from the settings form with a still-masked API key replaced by the saved key
+     * @param {string} providerName - 'openai' or 'ollama'
+     * @param {Object} settings - { baseURL, model, apiKey }
+     * @returns {Object} Settings to use or save
+     */
+    withSavedApiKey(providerName, settings) {
+        const config = this.providers[providerName];
+        const savedKey = (config && config.apiKey) || '';
+        if (savedKey && settings.apiKey === NYLALLMConfig.maskApiKey(savedKey)) {
+            return { ...settings, apiKey: savedKey };
+        }
+        return settings;
+    }
+
+    /**
+     * Validate and save the settings of a configurable provider
+     * @param {string} providerName - 'openai' or 'ollama'
+     * @param {Object} settings - { baseURL, model, apiKey }
+     * @returns {Object} { valid, errors } as for NYLALLMProvider.validateSettings
+     */
+    updateProviderSettings(providerName, settings) {
+        const config = this.providers[providerName];
+        if (!config || !config.configurable) {
+            return { valid: false, errors: { provider: `Provider "${providerName}" cannot be configured` } };
+        }
+
+        settings = this.withSavedApiKey(providerName, settings);
+        const result = NYLALLMProvider.validateSettings(settings);
+        if (!result.valid) return result;
+
+        config.baseURL = NYLALLMProvider.normalizeBaseURL(settings.baseURL);
+        config.model = String(settings.model || '').trim();
+        if (providerName === 'openai') {
+            config.apiKey = String(settings.apiKey || '').trim();
+        }
+
+        try {
+            const saved = {};
+            Object.keys(this.providers)
+                .filter(name => this.providers[name].configurable)
+                .forEach(name => {
+                    saved[name] = this.getProviderSettings(name);
                 });
-                
-                if (fallbackResponse.ok) {
-                    NYLALogger.info('🔧 LLM Config: Using local proxy for development (explicitly requested)');
-                    return provider.fallbackEndpoint;
-                }
-            }
-            
-            NYLALogger.error('🔧 LLM Config: Cloud Run not available, will fall back to local WebLLM');
-            return null;
+            localStorage.setItem(NYLALLMConfig.SETTINGS_KEY, JSON.stringify(saved));
         } catch (error) {
-            // Check if this is a CORS error specifically
-            if (error.message?.includes('CORS') || error.name === 'TypeError') {
-                NYLALogger.warn('🔧 LLM Config: CORS error on health check - using Cloud Run endpoint anyway');
-                // For CORS errors, return the primary endpoint since CORS only blocks health checks
-                return provider.endpoint;
-            }
-            
-            NYLALogger.error('🔧 LLM Config: Error determining endpoint:', error);
-            
-            // Only return local proxy if explicitly requested
-            if (provider.fallbackEndpoint && window.location.search.includes('use_local_proxy')) {
-                NYLALogger.info('🔧 LLM Config: Falling back to local proxy due to error');
-                return provider.fallbackEndpoint;
-            }
-            
-            return null; // Let the system fall back to local WebLLM
+            NYLALogger.warn('🔧 LLM Config: Could not save provider settings:', error);
         }
+
+        NYLALogger.info('🔧 LLM Config: Provider settings updated', {
+            provider: providerName,
+            baseURL: config.baseURL,
+            model: config.model
+        });
+        return result;
     }
 
     /**
@@ -237,7 +341,15 @@ class NYLALLMConfig {
      */
     loadProviderPreference() {
         try {
-            // In production, always use the environment default (ignore saved preferences)
+            const saved = localStorage.getItem('nylaLLMProvider');
+
+            // A self-hosted provider the user configured is honoured in every environment
+            if (saved && this.providers[saved] && this.providers[saved].configurable) {
+                NYLALogger.debug('🔧 LLM Config: Loaded saved self-hosted provider:', saved);
+                return saved;
+            }
+
+            // Otherwise production always uses the environment default (ignore saved preferences)
             // This ensures production always uses local LLM regardless of saved preferences
             if (!this.isDevelopment()) {
                 NYLALogger.debug('🔧 LLM Config: Production environment - using default provider:', this.defaultProvider);
@@ -245,7 +357,6 @@ class NYLALLMConfig {
             }
             
             // In development, allow saved preferences
-            const saved = localStorage.getItem('nylaLLMProvider');
             if (saved && this.providers[saved]) {
                 NYLALogger.debug('🔧 LLM Config: Loaded saved provider:', saved);
                 return saved;
@@ -278,10 +389,13 @@ class NYLALLMConfig {
             current: this.currentProvider,
             providers: Object.entries(this.providers).map(([key, config]) => ({
                 key,
+                type: config.type,
                 name: config.name,
                 description: config.description,
                 enabled: config.enabled,
-                requiresWebGPU: config.requiresWebGPU
+                requiresWebGPU: config.requiresWebGPU,
+                configurable: config.configurable,
+                settings: this.getProviderSettings(key)
             }))
         };
     }
@@ -296,13 +410,13 @@ class NYLALLMConfig {
             return this.currentProvider;
         }
 
-        // If current provider is not available, try the other one
+        // If current provider is not available, try the other one for this session only:
+        // the saved choice stays first in the failover chain (see NYLALLMFailover) and is retried later
         const alternativeProvider = this.currentProvider === 'local' ? 'hosted' : 'local';
         
         if (this.providers[alternativeProvider]) {
             this.currentProvider = alternativeProvider;
             if (await this.checkProviderAvailability()) {
-                this.saveProviderPreference();
                 NYLALogger.info('🔧 LLM Config: Auto-selected alternative provider:', alternativeProvider);
                 return alternativeProvider;
             }
@@ -40,6 +40,10 @@ class NYLALLMEngine {
       ]
     };
     this.systemPrompt = this.createSystemPrompt();
+
+    // JSON response contract shared with the hosted engine
+    this.responseSchema = new NYLALLMResponseSchema({ maxTextLength: 1500 });
+    this.lastResponseReport = null;
     
     // Log model configuration (only in debug mode)
     NYLALogger.debug('🎯 NYLA LLM: Model Configuration:', {
@@ -71,6 +75,7 @@ class NYLALLMEngine {
     this.isEngineReady = false;
     this.isEngineWarmedUp = false;
     this.engineCreatedAt = null;
+    this.isGenerating = false;
     
     // Follow-up suggestion tracking
     this.previousCategories = [];
@@ -493,8 +498,9 @@ class NYLALLMEngine {
 
   /**
    * Generate response using LLM
+   * @param {Object} options - { signal }: aborting stops the generation and rejects with an AbortError
    */
-  async generateResponse(userMessage, conversationContext = {}) {
+  async generateResponse(userMessage, conversationContext = {}, { signal } = {}) {
     // Check if engine is ready or needs initialization (including warmup)
     if (!this.isInitialized || !this.isEngineReady || !this.isEngineWarmedUp) {
       if (this.isLoading) {
@@ -516,6 +522,11 @@ class NYLALLMEngine {
     this.requestCount++;
     this.lastRequestTime = startTime;
 
+    signal?.throwIfAborted();
+    const stopOnAbort = () => this.stopGeneration();
+    signal?.addEventListener('abort', stopOnAbort, { once: true });
+    this.isGenerating = true;
+
     try {
       // Timing: Prompt preparation
       const promptStart = performance.now();
@@ -571,6 +582,8 @@ class NYLALLMEngine {
         early_stopping: this.modelConfig.early_stopping,
         stop: this.modelConfig.stop
       });
+      // An interrupted generation returns what it had so far; a stopped question has no answer
+      signal?.throwIfAborted();
       const inferenceTime = performance.now() - inferenceStart;
 
       // Timing: Response parsing
@@ -620,13 +633,18 @@ class NYLALLMEngine {
       
       // Don't reset engine state on error - keep it warm for retry
       throw error;
+    } finally {
+      this.isGenerating = false;
+      signal?.removeEventListener('abort', stopOnAbort);
     }
   }
 
   /**
    * Generate streaming response using LLM
+   * @param {Object} options - { signal }: aborting stops the generation and rejects with an AbortError;
+   *   the caller keeps the text already passed to onChunk
    */
-  async generateStreamingResponse(userMessage, conversationContext = {}, onChunk = null) {
+  async generateStreamingResponse(userMessage, conversationContext = {}, onChunk = null, { signal } = {}) {
     // Ensure engine is ready - same warm engine (including warmup)
     if (!this.isInitialized || !this.isEngineReady || !this.isEngineWarmedUp) {
       NYLALogger.debug('NYLA LLM: Engine not ready for streaming (init/warmup), initializing...');
@@ -640,6 +658,11 @@ class NYLALLMEngine {
     this.requestCount++;
     this.lastRequestTime = startTime;
 
+    signal?.throwIfAborted();
+    const stopOnAbort = () => this.stopGeneration();
+    signal?.addEventListener('abort', stopOnAbort, { once: true });
+    this.isGenerating = true;
+
     try {
       // Timing: Prompt preparation for streaming
       const promptStart = performance.now();
@@ -742,6 +765,9 @@ class NYLALLMEngine {
         }
       }
 
+      // interruptGenerate() ends the stream early
+      signal?.throwIfAborted();
+
       const streamTime = performance.now() - streamStart;
       const totalTime = Date.now() - startTime;
       
@@ -754,18 +780,46 @@ class NYLALLMEngine {
       return this.parseResponse(fullResponse, conversationContext, userMessage);
 
     } catch (error) {
+      if (signal?.aborted) {
+        NYLALogger.debug('NYLA LLM: Streaming response stopped by the user');
+        throw error;
+      }
       console.error('NYLA LLM: Streaming response failed:', error);
       // Fallback to non-streaming
       NYLALogger.debug('NYLA LLM: Falling back to non-streaming response');
-      return await this.generateResponse(userMessage, conversationContext);
+      return await this.generateResponse(userMessage, conversationContext, { signal });
+    } finally {
+      this.isGenerating = false;
+      signal?.removeEventListener('abort', stopOnAbort);
     }
   }
 
   /**
-   * Create system prompt for NYLA
-   * Supports PROMPT_V2 feature flag for optimized version
+   * Stop the generation in progress; the engine stays warm, so the next question starts at once
+   * @returns {boolean} Whether a generation was running
+   */
+  stopGeneration() {
+    if (!this.isGenerating) return false;
+
+    NYLALogger.debug('NYLA LLM: Interrupting generation');
+    this.engine?.interruptGenerate();
+    this.isGenerating = false;
+    return true;
+  }
+
+  /**
+   * Create system prompt for NYLA, with the chat action tools the hosted engine also offers
    */
   createSystemPrompt() {
+    const prompt = this.createBasePrompt();
+    return typeof NYLAChatActions !== 'undefined' ? NYLAChatActions.withToolPrompt(prompt) : prompt;
+  }
+
+  /**
+   * NYLA persona, language and JSON format rules
+   * Supports PROMPT_V2 feature flag for optimized version
+   */
+  createBasePrompt() {
     if (this.PROMPT_V2_ENABLED) {
       // Optimized prompt - 46.4% token reduction (307 vs 573 tokens)
       return `You are NYLA, the AI behind NYLAGo (generates NYLA transfer commands for X.com). Smart, concise, slightly tsundere.
@@ -1409,315 +1463,28 @@ CRITICAL: Respond ONLY in valid JSON format as shown in the system prompt. Start
   }
 
   /**
-   * Detect and fix repetitive text patterns - CRITICAL for Chinese text
+   * Parse LLM output against the response schema (JSON contract of the system prompt)
+   * The schema report is kept in lastResponseReport; a response still invalid after repair gets fallback text.
    */
-  detectAndFixRepetition(text) {
-    if (!text || typeof text !== 'string') return text;
-
-    const originalText = text;
-
-    // Pattern 1: Detect simple token repetition (like "旺柴旺柴旺柴")
-    const simpleRepeatPattern = /(.{1,20})\1{3,}/g; // Same pattern repeated 3+ times
-    if (simpleRepeatPattern.test(text)) {
-      NYLALogger.debug('🚨 NYLA LLM: Detected simple repetition pattern, truncating...');
-      text = text.replace(simpleRepeatPattern, '$1');
-    }
-
-    // Pattern 2: Detect phrase repetition with spaces/punctuation (English phrases)
-    const phraseRepeatPattern = /([^.!?]{10,50}[.!?]?\s*)\1{2,}/g; // Sentences/phrases repeated 2+ times
-    if (phraseRepeatPattern.test(text)) {
-      NYLALogger.debug('🚨 NYLA LLM: Detected phrase repetition, truncating...');
-      text = text.replace(phraseRepeatPattern, '$1');
-    }
-
-    // Pattern 3: Detect Chinese character/word loops specifically  
-    const chineseRepeatPattern = /([\u4e00-\u9fff]{1,10})\1{4,}/g; // Chinese chars repeated 4+ times (lowered threshold)
-    if (chineseRepeatPattern.test(text)) {
-      NYLALogger.debug('🚨 NYLA LLM: Detected Chinese character repetition, fixing...');
-      text = text.replace(chineseRepeatPattern, '$1');
-    }
-
-    // Pattern 4: Detect URL repetition (common in LLM loops)
-    const urlRepeatPattern = /(https?:\/\/[^\s]+)\s+\1{2,}/g;
-    if (urlRepeatPattern.test(text)) {
-      NYLALogger.debug('🚨 NYLA LLM: Detected URL repetition, fixing...');
-      text = text.replace(urlRepeatPattern, '$1');
-    }
-
-    // Pattern 5: Detect JSON field repetition
-    const jsonRepeatPattern = /("[\w]+"\s*:\s*"[^"]*",?\s*)\1{2,}/g;
-    if (jsonRepeatPattern.test(text)) {
-      NYLALogger.debug('🚨 NYLA LLM: Detected JSON field repetition, fixing...');
-      text = text.replace(jsonRepeatPattern, '$1');
-    }
-
-    // Pattern 6: Detect word-level repetition (for mixed Chinese/English)
-    const wordRepeatPattern = /(\b[\u4e00-\u9fff\w]{2,20}\b\s*)\1{4,}/g;
-    if (wordRepeatPattern.test(text)) {
-      NYLALogger.debug('🚨 NYLA LLM: Detected word-level repetition, fixing...');
-      text = text.replace(wordRepeatPattern, '$1');
-    }
+  parseResponse(generatedText, context, userMessage) {
+    NYLALogger.debug('🔍 NYLA LLM: Raw response:', generatedText);
 
-    // Pattern 7: Emergency brake - if text is >80% repetitive characters
-    const uniqueChars = new Set(text.split('')).size;
-    const repetitionRatio = uniqueChars / text.length;
-    if (repetitionRatio < 0.2 && text.length > 100) {
-      NYLALogger.debug('🚨 NYLA LLM: Text >80% repetitive, emergency truncation');
-      // Find the first complete sentence and cut there
-      const sentences = text.match(/[^.!?]*[.!?]/g);
-      if (sentences && sentences.length > 0) {
-        text = sentences[0];
-      } else {
-        text = text.substring(0, Math.min(200, text.length)) + '...';
-      }
+    // Input size limit to prevent memory issues
+    const MAX_RESPONSE_SIZE = 50000; // 50KB limit
+    if (generatedText && generatedText.length > MAX_RESPONSE_SIZE) {
+      console.warn('NYLA LLM: Response too large, truncating to prevent memory issues');
+      generatedText = generatedText.substring(0, MAX_RESPONSE_SIZE);
     }
 
-    // Log if any fixes were applied
-    if (text !== originalText) {
-      NYLALogger.debug(`🚨 NYLA LLM: Repetition fix applied - reduced from ${originalText.length} to ${text.length} chars`);
+    const { response, report } = this.responseSchema.parse(generatedText);
+    this.lastResponseReport = report;
+    if (!report.valid) {
+      console.warn('NYLA LLM: Response does not match the schema after repair:', report);
+    } else if (report.repairs.length > 0) {
+      NYLALogger.debug('NYLA LLM: Response repaired to match the schema:', report);
     }
 
-    return text;
-  }
-
-  /**
-   * Parse LLM response - Memory-safe version
-   */
-  parseResponse(generatedText, context, userMessage) {
-    try {
-      // === RAW LLM RESPONSE LOGGING ===
-      NYLALogger.debug('🔍 NYLA LLM: === RAW LLM RESPONSE START ===');
-      NYLALogger.debug('🔍 NYLA LLM: Raw response length:', generatedText ? generatedText.length : 'null');
-      NYLALogger.debug('🔍 NYLA LLM: Raw response type:', typeof generatedText);
-      
-      if (generatedText) {
-        // Log complete raw response for debugging
-        NYLALogger.debug('🔍 NYLA LLM: Complete raw response:');
-        console.log(generatedText);
-        
-        // Also log first and last 500 characters for easier scanning
-        NYLALogger.debug('🔍 NYLA LLM: Raw response first 500 chars:');
-        console.log(JSON.stringify(generatedText.substring(0, 500)));
-        
-        if (generatedText.length > 500) {
-          NYLALogger.debug('🔍 NYLA LLM: Raw response last 500 chars:');
-          console.log(JSON.stringify(generatedText.substring(generatedText.length - 500)));
-        }
-        
-        // Check for JSON-like structure indicators
-        const hasOpenBrace = generatedText.includes('{');
-        const hasCloseBrace = generatedText.includes('}');
-        const hasTextField = generatedText.includes('"text"');
-        const hasFollowUpField = generatedText.includes('"followUpSuggestions"');
-        
-        NYLALogger.debug('🔍 NYLA LLM: Raw response structure analysis:');
-        console.log('  - Contains opening brace {:', hasOpenBrace);
-        console.log('  - Contains closing brace }:', hasCloseBrace);
-        console.log('  - Contains "text" field:', hasTextField);
-        console.log('  - Contains "followUpSuggestions" field:', hasFollowUpField);
-        console.log('  - Looks like complete JSON:', hasOpenBrace && hasCloseBrace && hasTextField);
-      } else {
-        NYLALogger.debug('🔍 NYLA LLM: Raw response is null or undefined');
-      }
-      NYLALogger.debug('🔍 NYLA LLM: === RAW LLM RESPONSE END ===');
-      // === END RAW RESPONSE LOGGING ===
-      
-      // CRITICAL: Check for repetition BEFORE size limits
-      if (generatedText) {
-        const originalLength = generatedText.length;
-        generatedText = this.detectAndFixRepetition(generatedText);
-        if (generatedText.length !== originalLength) {
-          NYLALogger.debug(`🚨 NYLA LLM: Fixed repetition - reduced from ${originalLength} to ${generatedText.length} chars`);
-        }
-      }
-
-      // Input size limit to prevent memory issues
-      const MAX_RESPONSE_SIZE = 50000; // 50KB limit
-      if (generatedText && generatedText.length > MAX_RESPONSE_SIZE) {
-        console.warn('NYLA LLM: Response too large, truncating to prevent memory issues');
-        generatedText = generatedText.substring(0, MAX_RESPONSE_SIZE);
-      }
-
-      // Clean up the text - remove any markdown code blocks
-      let cleanText = generatedText.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
-      
-      NYLALogger.debug('NYLA LLM: Attempting to parse response of length:', generatedText.length);
-      NYLALogger.debug('NYLA LLM: Clean text preview:', cleanText.substring(0, 300) + '...');
-      NYLALogger.debug('NYLA LLM: Clean text end:', '...' + cleanText.substring(Math.max(0, cleanText.length - 300)));
-      
-      // Memory-safe JSON extraction using iterative approach
-      const jsonObject = this.extractJsonSafely(cleanText);
-      if (jsonObject) {
-        try {
-          NYLALogger.debug('NYLA LLM: Successfully parsed JSON response');
-          NYLALogger.debug('NYLA LLM: JSON followUpSuggestions:', jsonObject.followUpSuggestions);
-          return this.validateResponse(jsonObject, context, userMessage);
-        } catch (parseError) {
-          console.warn('NYLA LLM: JSON validation failed:', parseError.message);
-        }
-      } else {
-        console.warn('NYLA LLM: extractJsonSafely returned null - JSON extraction failed');
-      }
-      
-      // If no valid JSON found, extract text content
-      NYLALogger.debug('NYLA LLM: No valid JSON found, attempting to extract partial content');
-      
-      // Try to extract text field even from incomplete JSON
-      // Updated regex to handle escaped quotes and complex patterns
-      let extractedText = null;
-      let extractedFollowUps = [];
-      
-      // Method 1: Try to extract from JSON-like patterns first
-      const textPatterns = [
-        // Pattern 1: Standard JSON with escaped quotes
-        /"text"\s*:\s*"((?:[^"\\]|\\.)*)"/,
-        // Pattern 2: Extract up to comma or closing brace (for incomplete JSON)
-        /"text"\s*:\s*"([^"]*?)(?:"|,|\}|$)/,
-        // Pattern 3: More aggressive extraction for malformed JSON
-        /"text"\s*:\s*["'](.+?)["']\s*[,\}]/s
-      ];
-      
-      // Method 2: If no JSON patterns found, check if response is pure plain text
-      let isPureTextResponse = false;
-      if (!cleanText.includes('"text":') && !cleanText.includes('{') && cleanText.trim().length > 0) {
-        NYLALogger.debug('NYLA LLM: Detected pure plain text response (no JSON structure)');
-        isPureTextResponse = true;
-        extractedText = cleanText.trim();
-        
-        // Clean up the plain text response
-        // Let the main validation function handle truncation consistently
-        NYLALogger.debug('NYLA LLM: Plain text response will be processed by main validation logic');
-      }
-      
-      // Only try JSON patterns if we haven't already detected pure text response
-      if (!isPureTextResponse) {
-        for (const pattern of textPatterns) {
-          const match = cleanText.match(pattern);
-          if (match && match[1]) {
-            extractedText = match[1];
-            // Properly unescape JSON escape sequences
-            extractedText = extractedText
-              .replace(/\\n/g, '\n')
-              .replace(/\\r/g, '\r')
-              .replace(/\\t/g, '\t')
-              .replace(/\\"/g, '"')
-              .replace(/\\\\/g, '\\')
-              .replace(/\\'/g, "'");
-            
-            // If text seems cut off, add ellipsis
-            if (extractedText.length > 0 && 
-                !extractedText.endsWith('.') && 
-                !extractedText.endsWith('!') && 
-                !extractedText.endsWith('?') &&
-                !extractedText.endsWith('...')) {
-              extractedText += '...';
-            }
-            
-            NYLALogger.debug('NYLA LLM: Extracted text using JSON pattern:', pattern.source);
-            break;
-          }
-        }
-      }
-      
-      // Method 2: If patterns fail, try manual extraction
-      if (!extractedText) {
-        const textStart = cleanText.indexOf('"text"');
-        if (textStart !== -1) {
-          const colonIndex = cleanText.indexOf(':', textStart);
-          if (colonIndex !== -1) {
-            const quoteStart = cleanText.indexOf('"', colonIndex);
-            if (quoteStart !== -1) {
-              let quoteEnd = quoteStart + 1;
-              let escaped = false;
-              
-              // Manually parse the string, respecting escape sequences
-              while (quoteEnd < cleanText.length) {
-                const char = cleanText[quoteEnd];
-                if (char === '\\' && !escaped) {
-                  escaped = true;
-                } else if (char === '"' && !escaped) {
-                  break;
-                } else {
-                  escaped = false;
-                }
-                quoteEnd++;
-              }
-              
-              if (quoteEnd > quoteStart + 1) {
-                extractedText = cleanText.substring(quoteStart + 1, quoteEnd);
-                // Unescape the extracted text
-                extractedText = extractedText
-                  .replace(/\\n/g, '\n')
-                  .replace(/\\r/g, '\r')
-                  .replace(/\\t/g, '\t')
-                  .replace(/\\"/g, '"')
-                  .replace(/\\\\/g, '\\')
-                  .replace(/\\'/g, "'");
-                
-                NYLALogger.debug('NYLA LLM: Extracted text using manual parsing');
-              }
-            }
-          }
-        }
-      }
-      
-      // Try to extract followUpSuggestions even from partial JSON
-      const followUpPattern = /"followUpSuggestions"\s*:\s*\[([\s\S]*?)\]/;
-      const followUpMatch = cleanText.match(followUpPattern);
-      if (followUpMatch && followUpMatch[1]) {
-        try {
-          // Extract individual follow-up suggestions from the array
-          const followUpContent = followUpMatch[1];
-          const suggestionPattern = /"([^"]+)"/g;
-          let match;
-          while ((match = suggestionPattern.exec(followUpContent)) !== null) {
-            if (match[1] && match[1].length > 0) {
-              extractedFollowUps.push(match[1]);
-            }
-          }
-          NYLALogger.debug('NYLA LLM: Extracted partial followUps from incomplete JSON:', extractedFollowUps);
-        } catch (followUpError) {
-          console.warn('NYLA LLM: Failed to extract followUps from partial JSON:', followUpError.message);
-        }
-      }
-      
-      // If we found some content, return it
-      if (extractedText && extractedText.trim().length > 0) {
-        const extractionMethod = isPureTextResponse ? 'pure plain text response' : 'partial JSON extraction';
-        NYLALogger.debug('NYLA LLM: Successfully extracted content using', extractionMethod + ':', extractedText.substring(0, 100) + (extractedText.length > 100 ? '...' : ''));
-        
-        // Create response object that will get proper follow-ups in validateResponse
-        const partialResponse = {
-          text: extractedText.trim(),
-          sentiment: 'helpful',
-          confidence: isPureTextResponse ? 0.8 : 0.7, // Higher confidence for clean plain text
-          personalCare: { shouldAsk: false },
-          followUpSuggestions: [], // Will be generated in validateResponse
-          contextRelevant: true,
-          extractionMethod: extractionMethod
-        };
-        return this.validateResponse(partialResponse, context, userMessage);
-      }
-      
-    } catch (error) {
-      console.warn('NYLA LLM: Failed to parse response:', error.message);
-    }
-
-    // Final fallback - use the raw text with safety limits
-    const safeText = generatedText ? 
-      (generatedText.length > 500 ? generatedText.substring(0, 500) + '...' : generatedText) :
-      "I'm here to help you with NYLA! What would you like to know?";
-    
-    NYLALogger.debug('NYLA LLM: Using raw text as fallback');
-    const fallbackResponse = {
-      text: safeText,
-      sentiment: 'helpful',
-      confidence: 0.6,
-      personalCare: { shouldAsk: false },
-      followUpSuggestions: [], // Will be generated in validateResponse
-      contextRelevant: true
-    };
-    return this.validateResponse(fallbackResponse, context, userMessage);
+    return this.validateResponse(response, context, userMessage);
   }
 
   /**
@@ -1754,93 +1521,6 @@ CRITICAL: Respond ONLY in valid JSON format as shown in the system prompt. Start
     }
   }
 
-  /**
-   * Memory-safe JSON extraction without catastrophic backtracking
-   */
-  extractJsonSafely(text) {
-    if (!text || text.length === 0) return null;
-    
-    // Look for JSON objects using character counting with escape handling
-    let braceCount = 0;
-    let startIndex = -1;
-    let inString = false;
-    let escaped = false;
-    
-    for (let i = 0; i < text.length; i++) {
-      const char = text[i];
-      const prevChar = i > 0 ? text[i - 1] : '';
-      
-      // Handle escape sequences
-      if (inString) {
-        if (char === '\\' && !escaped) {
-          escaped = true;
-          continue;
-        } else if (char === '"' && !escaped) {
-          inString = false;
-        }
-        escaped = false;
-        continue;
-      }
-      
-      // Not in string, check for string start
-      if (char === '"' && prevChar !== '\\') {
-        inString = true;
-        continue;
-      }
-      
-      // Only count braces when not in a string
-      if (char === '{') {
-        if (braceCount === 0) {
-          startIndex = i;
-        }
-        braceCount++;
-      } else if (char === '}') {
-        braceCount--;
-        
-        if (braceCount === 0 && startIndex !== -1) {
-          // Found complete JSON object
-          const jsonStr = text.substring(startIndex, i + 1);
-          try {
-            return JSON.parse(jsonStr);
-          } catch (error) {
-            console.debug('NYLA LLM: JSON parse attempt failed:', error.message);
-            console.debug('NYLA LLM: Failed JSON preview:', jsonStr.substring(0, 200) + '...');
-            // Continue looking for other JSON objects
-            startIndex = -1;
-          }
-        }
-      }
-      
-      // Safety break for very long texts
-      if (i > 50000) {
-        console.warn('NYLA LLM: Breaking JSON search after 50K characters to prevent memory issues');
-        break;
-      }
-    }
-    
-    // If no valid JSON found with brace counting, try alternative approaches
-    NYLALogger.debug('NYLA LLM: No JSON found with brace counting, trying regex approach');
-    
-    // Try to find JSON-like structures with regex (less accurate but handles some edge cases)
-    // Updated regex to handle escaped quotes and longer text fields
-    const jsonMatches = text.match(/\{[^{}]*"text"\s*:\s*"(?:[^"\\]|\\.)*"[^{}]*\}/g);
-    if (jsonMatches) {
-      for (const match of jsonMatches) {
-        try {
-          const parsed = JSON.parse(match);
-          if (parsed.text) {
-            NYLALogger.debug('NYLA LLM: Found valid JSON with regex approach');
-            return parsed;
-          }
-        } catch (e) {
-          // Continue to next match
-        }
-      }
-    }
-    
-    return null;
-  }
-
   /**
    * Categorized follow-up templates for different topics
    */
@@ -2166,99 +1846,6 @@ CRITICAL: Respond ONLY in valid JSON format as shown in the system prompt. Start
     return stripped;
   }
 
-  /**
-   * Detect and fix repetitive text patterns (CRITICAL for Chinese queries)
-   */
-  detectAndFixRepetition(text) {
-    if (!text || typeof text !== 'string') return text;
-    
-    let fixedText = text;
-    let warnings = 0;
-    const maxWarnings = 3;
-    
-    // Pattern 1: Exact phrase repetition (most common issue)
-    const phraseRepetition = /(.{10,50}?)\1{2,}/gi;
-    if (phraseRepetition.test(fixedText)) {
-      fixedText = fixedText.replace(phraseRepetition, '$1');
-      warnings++;
-      NYLALogger.warn('🔄 NYLA LLM: Fixed phrase repetition pattern');
-    }
-    
-    // Pattern 2: Chinese character repetition (旺柴旺柴旺柴...)
-    const chineseRepetition = /([\u4e00-\u9fff]{1,10})\1{3,}/g;
-    if (chineseRepetition.test(fixedText)) {
-      fixedText = fixedText.replace(chineseRepetition, '$1');
-      warnings++;
-      NYLALogger.warn('🔄 NYLA LLM: Fixed Chinese character repetition');
-    }
-    
-    // Pattern 3: Word repetition (word word word...)
-    const wordRepetition = /\b(\w{2,})\s+\1\s+\1\b/gi;
-    if (wordRepetition.test(fixedText)) {
-      fixedText = fixedText.replace(wordRepetition, '$1');
-      warnings++;
-      NYLALogger.warn('🔄 NYLA LLM: Fixed word repetition pattern');
-    }
-    
-    // Pattern 4: Sentence repetition
-    const sentenceRepetition = /([^.!?]{20,}[.!?])\s*\1\s*\1/gi;
-    if (sentenceRepetition.test(fixedText)) {
-      fixedText = fixedText.replace(sentenceRepetition, '$1');
-      warnings++;
-      NYLALogger.warn('🔄 NYLA LLM: Fixed sentence repetition pattern');
-    }
-    
-    // Pattern 5: Token density check (catch subtle loops)
-    const tokens = fixedText.split(/\s+/);
-    if (tokens.length > 50) {
-      const tokenCounts = {};
-      tokens.forEach(token => {
-        tokenCounts[token] = (tokenCounts[token] || 0) + 1;
-      });
-      
-      let totalTokens = tokens.length;
-      let redundantTokens = 0;
-      
-      Object.values(tokenCounts).forEach(count => {
-        if (count > 3) redundantTokens += count - 3;
-      });
-      
-      const redundancyRatio = redundantTokens / totalTokens;
-      if (redundancyRatio > 0.4) {
-        // High redundancy detected - truncate to first reasonable section
-        const sentences = fixedText.split(/[.!?]+/);
-        fixedText = sentences.slice(0, Math.max(1, Math.floor(sentences.length / 3))).join('.') + '.';
-        warnings++;
-        NYLALogger.warn('🔄 NYLA LLM: Fixed high token redundancy', { ratio: redundancyRatio.toFixed(2) });
-      }
-    }
-    
-    // Pattern 6: Emergency brake for extreme cases
-    if (fixedText.length > 1000) {
-      const repetitivePortion = /((.{1,100}?)\2{4,})/g;
-      if (repetitivePortion.test(fixedText)) {
-        fixedText = fixedText.substring(0, fixedText.indexOf(fixedText.match(repetitivePortion)[0]));
-        warnings++;
-        NYLALogger.warn('🔄 NYLA LLM: Emergency brake - truncated extreme repetition');
-      }
-    }
-    
-    // Pattern 7: Final safety check - if >80% repetitive, truncate
-    const uniqueChars = new Set(fixedText).size;
-    const totalChars = fixedText.length;
-    if (totalChars > 100 && uniqueChars / totalChars < 0.2) {
-      fixedText = fixedText.substring(0, Math.min(200, fixedText.length / 2));
-      warnings++;
-      NYLALogger.warn('🔄 NYLA LLM: Safety truncation - low character diversity');
-    }
-    
-    if (warnings >= maxWarnings) {
-      NYLALogger.error('🚨 NYLA LLM: Multiple repetition patterns detected - response may be corrupted');
-    }
-    
-    return fixedText;
-  }
-
   /**
    * Validate and normalize response
    */
@@ -2270,9 +1857,7 @@ CRITICAL: Respond ONLY in valid JSON format as shown in the system prompt. Start
     } else {
       // Clean up the text - remove extra whitespace and ensure it's a string
       response.text = response.text.trim();
-      
-      // CRITICAL: Detect and fix repetitive text patterns
-      response.text = this.detectAndFixRepetition(response.text);
+
       
       // URL validation and enhancement
       response.text = this.enhanceUrls(response.text);
@@ -2289,31 +1874,7 @@ CRITICAL: Respond ONLY in valid JSON format as shown in the system prompt. Start
     // Note: LLM responses are always part of RAG+LLM hybrid - no generation flags needed
     NYLALogger.debug('🔍 NYLA LLM: Response validated and ready for RAG integration');
 
-    // Simple character limit enforcement
-    const maxLength = 1500;
-    
-    if (response.text && response.text.length > maxLength) {
-      NYLALogger.debug(`NYLA LLM: Response too long (${response.text.length} chars), truncating to ${maxLength}...`);
-      // Find last complete sentence within limit
-      const buffer = maxLength - 3; // Leave room for ellipsis
-      const truncated = response.text.substring(0, buffer);
-      const lastSentence = truncated.lastIndexOf('.');
-      const lastExclamation = truncated.lastIndexOf('!');
-      const lastQuestion = truncated.lastIndexOf('?');
-      const lastPunctuation = Math.max(lastSentence, lastExclamation, lastQuestion);
-      
-      if (lastPunctuation > 200) {
-        // Cut at last sentence if it's reasonable
-        response.text = response.text.substring(0, lastPunctuation + 1);
-      } else {
-        // Just truncate and add ellipsis
-        response.text = truncated + '...';
-      }
-      NYLALogger.debug(`NYLA LLM: Truncated to ${response.text.length} characters`);
-      NYLALogger.debug(`NYLA LLM: Final truncated text: "${response.text}"`);
-    }
-
-    // Additional safety check for empty response after truncation
+    // Additional safety check for empty response
     if (!response.text || response.text.trim().length === 0) {
       console.warn('NYLA LLM: Response text is empty after processing, using fallback');
       response.text = "I'm here to help with NYLA! What would you like to know?";
@@ -2469,12 +2030,14 @@ CRITICAL: Respond ONLY in valid JSON format as shown in the system prompt. Start
       loading: this.isLoading,
       engineReady: this.isEngineReady,
       warmedUp: this.isEngineWarmedUp,
+      generating: this.isGenerating,
       model: this.modelConfig.model,
       ready: this.isReady(),
       requestCount: this.requestCount,
       avgResponseTime: avgResponseTime,
       uptime: Math.round(uptime / 1000), // seconds
       lastRequestTime: this.lastRequestTime,
+      lastResponseReport: this.lastResponseReport,
       promptOptimization: {
         version: this.promptMetrics.currentVersion,
         v1Tokens: this.promptMetrics.v1TokenCount,
@@ -2633,6 +2196,7 @@ CRITICAL: Respond ONLY in valid JSON format as shown in the system prompt. Start
     this.isEngineReady = false;
     this.isEngineWarmedUp = false;
     this.engineCreatedAt = null;
+    this.isGenerating = false;
     
     NYLALogger.debug('NYLA LLM: 🧹 Cleanup completed - next request will require full reinitialization');
   }
@@ -0,0 +1,223 @@
+/**
+ * NYLA LLM Failover
+ * Answers each question with the first healthy engine of a chain, e.g.
+ * remote provider (NYLAHostedLLM) → local WebLLM (NYLALLMEngine) → RAG-only answer without an LLM.
+ *
+ * - Every attempt has a timeout and its own abort signal, aborted when the attempt times out so a
+ *   slow engine stops generating before the next one starts; an engine is retried before the chain moves on
+ * - Each engine has a circuit breaker: after repeated failures it is skipped until its cooldown ends,
+ *   then one trial request decides whether it is used again
+ * - The result says which engine answered, for the "answered by" label in the chat
+ * - An aborted signal (the chat's Stop control) ends the chain at once: no retries, no fallback,
+ *   and it does not count as an engine failure
+ */
+
+class NYLACircuitBreaker {
+    static STATES = {
+        CLOSED: 'closed',       // Requests go through
+        OPEN: 'open',           // Skipped until the cooldown ends
+        HALF_OPEN: 'half-open'  // Cooldown over: the next request is a trial
+    };
+
+    /**
+     * @param {Object} options - { failureThreshold, cooldownMs, now }
+     */
+    constructor({ failureThreshold = 3, cooldownMs = 60000, now = () => Date.now() } = {}) {
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+        this.now = now;
+        this.state = NYLACircuitBreaker.STATES.CLOSED;
+        this.failures = 0;
+        this.openedAt = null;
+    }
+
+    /**
+     * Whether a request may be sent (moves an open breaker to half-open after the cooldown)
+     */
+    canRequest() {
+        const { OPEN, HALF_OPEN } = NYLACircuitBreaker.STATES;
+        if (this.state === OPEN && this.now() - this.openedAt >= this.cooldownMs) {
+            this.state = HALF_OPEN;
+        }
+        return this.state !== OPEN;
+    }
+
+    recordSuccess() {
+        this.state = NYLACircuitBreaker.STATES.CLOSED;
+        this.failures = 0;
+        this.openedAt = null;
+    }
+
+    /**
+     * A failed trial reopens the breaker at once; otherwise it opens after failureThreshold failures in a row
+     */
+    recordFailure() {
+        const { OPEN, HALF_OPEN } = NYLACircuitBreaker.STATES;
+        this.failures++;
+        if (this.state === HALF_OPEN || this.failures >= this.failureThreshold) {
+            this.state = OPEN;
+            this.openedAt = this.now();
+        }
+    }
+
+    getStatus() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            retryAt: this.state === NYLACircuitBreaker.STATES.OPEN ? this.openedAt + this.cooldownMs : null
+        };
+    }
+}
+
+class NYLALLMFailover {
+    static TIER_DEFAULTS = {
+        timeoutMs: 20000,
+        retries: 1,
+        retryDelayMs: 1000
+    };
+
+    // Last step of every chain, used when no engine answered
+    static RAG_ONLY = {
+        name: 'rag-only',
+        label: 'NYLA knowledge base (no AI)'
+    };
+
+    /**
+     * @param {Array} tiers - In order of preference: { name, label, getEngine, timeoutMs?, retries?, retryDelayMs? }
+     *   label may be a function; getEngine returns the engine, or null when it is not available right now
+     * @param {Object} options - { breaker: NYLACircuitBreaker options }
+     */
+    constructor(tiers, { breaker = {} } = {}) {
+        this.tiers = tiers.map(tier => ({ ...NYLALLMFailover.TIER_DEFAULTS, ...tier }));
+        this.breakers = {};
+        this.tiers.forEach(tier => {
+            this.breakers[tier.name] = new NYLACircuitBreaker(breaker);
+        });
+        this.lastAnsweredBy = null;
+    }
+
+    /**
+     * Run a task on the first engine that answers
+     * @param {Function} task - (engine, tierName, signal) => Promise<result>; pass the attempt's signal
+     *   on to the engine so a timed-out or stopped request is cancelled
+     * @param {Function} fallback - () => result or Promise<result> without an LLM (RAG-only), optional
+     * @param {Object} options - { signal: AbortSignal that stops the chain }
+     * @returns {Promise<Object>} { result, answeredBy: { name, label }, attempts }
+     * @throws {Error} When every engine failed and there is no fallback; error.attempts lists the failures
+     * @throws {DOMException} AbortError when the signal is aborted
+     */
+    async run(task, fallback = null, { signal } = {}) {
+        const attempts = [];
+
+        for (const tier of this.tiers) {
+            signal?.throwIfAborted();
+            const breaker = this.breakers[tier.name];
+            const engine = tier.getEngine();
+            if (!engine) {
+                attempts.push({ tier: tier.name, skipped: 'unavailable' });
+                continue;
+            }
+            if (!breaker.canRequest()) {
+                attempts.push({ tier: tier.name, skipped: 'circuit-open' });
+                continue;
+            }
+
+            for (let attempt = 0; attempt <= tier.retries; attempt++) {
+                const startTime = Date.now();
+                try {
+                    const result = await NYLALLMFailover.withTimeout(
+                        attemptSignal => task(engine, tier.name, attemptSignal), tier.timeoutMs, tier.name, signal
+                    );
+                    breaker.recordSuccess();
+                    attempts.push({ tier: tier.name, latency: Date.now() - startTime });
+                    return this.answer(tier, result, attempts);
+                } catch (error) {
+                    if (signal?.aborted) {
+                        NYLALogger.info(`🔀 LLM Failover: ${tier.name} stopped`);
+                        throw signal.reason;
+                    }
+                    attempts.push({ tier: tier.name, latency: Date.now() - startTime, error: error.message });
+                    NYLALogger.warn(`🔀 LLM Failover: ${tier.name} attempt ${attempt + 1} failed:`, error.message);
+
+                    // A trial request after the cooldown gets no retries
+                    if (breaker.state === NYLACircuitBreaker.STATES.HALF_OPEN) break;
+                    if (attempt < tier.retries) {
+                        await NYLALLMFailover.sleep(tier.retryDelayMs * Math.pow(2, attempt));
+                        signal?.throwIfAborted();
+                    }
+                }
+            }
+            breaker.recordFailure();
+        }
+
+        signal?.throwIfAborted();
+        if (fallback) {
+            const result = await fallback();
+            return this.answer(NYLALLMFailover.RAG_ONLY, result, attempts);
+        }
+
+        const error = new Error('No LLM engine answered');
+        error.attempts = attempts;
+        throw error;
+    }
+
+    answer(tier, result, attempts) {
+        const label = typeof tier.label === 'function' ? tier.label() : tier.label;
+        this.lastAnsweredBy = { name: tier.name, label };
+        if (attempts.length > 1) {
+            NYLALogger.info('🔀 LLM Failover: Answered by', tier.name, { attempts });
+        }
+        return { result, answeredBy: this.lastAnsweredBy, attempts };
+    }
+
+    /**
+     * Run an attempt with its own abort signal, rejecting when it does not settle in time or the signal aborts
+     * The attempt's signal is aborted in both cases (the request is only cancelled if the attempt passes it on).
+     * @param {Function} attempt - (signal) => Promise<result>
+     */
+    static withTimeout(attempt, timeoutMs, name, signal = null) {
+        const controller = new AbortController();
+        let timer = null;
+        let onAbort = null;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => {
+                const error = new Error(`${name} timed out after ${timeoutMs} ms`);
+                reject(error);
+                controller.abort(error);
+            }, timeoutMs);
+            onAbort = () => {
+                reject(signal.reason);
+                controller.abort(signal.reason);
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+        const run = Promise.resolve().then(() => attempt(controller.signal));
+        return Promise.race([run, timeout]).finally(() => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        });
+    }
+
+    static sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Circuit breaker state per engine, for the debug panel
+     */
+    getStatus() {
+        const breakers = {};
+        Object.entries(this.breakers).forEach(([name, breaker]) => {
+            breakers[name] = breaker.getStatus();
+        });
+        return { breakers, lastAnsweredBy: this.lastAnsweredBy };
+    }
+}
+
+// Export for both Node.js and Browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NYLACircuitBreaker, NYLALLMFailover };
+} else if (typeof window !== 'undefined') {
+    window.NYLACircuitBreaker = NYLACircuitBreaker;
+    window.NYLALLMFailover = NYLALLMFailover;
+}
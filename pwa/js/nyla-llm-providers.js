@@ -0,0 +1,497 @@
+/**
+ * NYLA LLM Providers
+ * Transport adapters for remote LLM backends, created by NYLALLMConfig and used by NYLAHostedLLM.
+ *
+ * Adapters:
+ * - proxy: the NYLA Go Cloud Run proxy (/v1/infer, /v1/infer/stream, /v1/health)
+ * - openai: any OpenAI-compatible server (/v1/chat/completions, /v1/models)
+ * - ollama: an Ollama server (/api/chat, /api/tags)
+ *
+ * Every adapter implements:
+ * - generate(request) -> Promise<{ text, followups, usage, model }>
+ * - stream(request, onToken) -> Promise<same as generate>, calling onToken for each text delta
+ * - health() -> Promise<{ ok, latency, models, error?, unreachable? }>
+ * - capabilities() -> { streaming, followups, local, models }
+ *
+ * request: { query, context: string[], systemPrompt?, language?, params?, sessionId?, correlationId?, signal? }
+ *   aborting signal (an AbortSignal) cancels the fetch, and generate/stream reject with an AbortError
+ * usage: { promptTokens, completionTokens }, null when the backend does not report it
+ */
+
+class NYLALLMProvider {
+    static DEFAULT_PARAMS = {
+        max_tokens: 1200,
+        temperature: 0.3,
+        top_p: 0.9
+    };
+
+    // Chat backends get no server-side prompt, unlike the proxy
+    static SYSTEM_PROMPT = 'You are NYLA, the assistant of NYLA Go. Answer questions about NYLA Go, Agent NYLA ' +
+        'and the supported blockchains using the knowledge provided. If the knowledge does not cover the question, ' +
+        'say that you do not know instead of guessing. Keep answers short and friendly.';
+
+    static MESSAGES = {
+        baseURLInvalid: 'Please enter an http:// or https:// base URL',
+        modelInvalid: 'Model names cannot contain spaces',
+        modelMissing: 'No model configured and the server did not list any models'
+    };
+
+    /**
+     * @param {Object} options - { baseURL, model?, apiKey? }
+     */
+    constructor({ baseURL, model = '', apiKey = '' } = {}) {
+        this.baseURL = NYLALLMProvider.normalizeBaseURL(baseURL);
+        this.model = model;
+        this.apiKey = apiKey;
+        this.models = [];
+    }
+
+    /**
+     * Create an adapter by type
+     * @param {string} type - 'proxy' | 'openai' | 'ollama'
+     * @param {Object} options - Constructor options
+     */
+    static create(type, options) {
+        const Adapter = this.ADAPTERS[type];
+        if (!Adapter) {
+            throw new Error(`Unknown LLM provider type "${type}"`);
+        }
+        return new Adapter(options);
+    }
+
+    /**
+     * Server root without trailing slashes (and without /v1, which the adapters add)
+     */
+    static normalizeBaseURL(url) {
+        return String(url || '').trim().replace(/\/+$/, '').replace(/\/v1$/, '');
+    }
+
+    /**
+     * Check user-entered provider settings
+     * @param {Object} settings - { baseURL, model }
+     * @returns {Object} { valid, errors: { baseURL?, model? } }
+     */
+    static validateSettings({ baseURL, model = '' }) {
+        const errors = {};
+        try {
+            const url = new URL(String(baseURL || '').trim());
+            if (!['http:', 'https:'].includes(url.protocol)) {
+                errors.baseURL = this.MESSAGES.baseURLInvalid;
+            }
+        } catch (error) {
+            errors.baseURL = this.MESSAGES.baseURLInvalid;
+        }
+        if (/\s/.test(String(model).trim())) {
+            errors.model = this.MESSAGES.modelInvalid;
+        }
+        return { valid: Object.keys(errors).length === 0, errors };
+    }
+
+    async generate(request) {
+        throw new Error(`${this.constructor.name} does not implement generate()`);
+    }
+
+    async stream(request, onToken) {
+        throw new Error(`${this.constructor.name} does not implement stream()`);
+    }
+
+    async health() {
+        throw new Error(`${this.constructor.name} does not implement health()`);
+    }
+
+    capabilities() {
+        return { streaming: false, followups: false, local: false, models: this.models };
+    }
+
+    getParams(request) {
+        return { ...NYLALLMProvider.DEFAULT_PARAMS, ...(request.params || {}) };
+    }
+
+    getModel() {
+        if (!this.model) {
+            throw new Error(NYLALLMProvider.MESSAGES.modelMissing);
+        }
+        return this.model;
+    }
+
+    /**
+     * System and user messages for chat-style backends: the NYLA prompt, the language rule, then the knowledge
+     */
+    static toChatMessages({ query, context = [], systemPrompt }) {
+        const system = [this.SYSTEM_PROMPT, systemPrompt, ...context].filter(Boolean).join('\n\n');
+        return [
+            { role: 'system', content: system },
+            { role: 'user', content: query }
+        ];
+    }
+
+    getHeaders() {
+        return {};
+    }
+
+    /**
+     * fetch() against the base URL; non-2xx responses throw with the server's error text
+     */
+    async request(path, { method = 'GET', body, headers = {}, signal } = {}) {
+        const response = await fetch(this.baseURL + path, {
+            method,
+            headers: { 'Content-Type': 'application/json', ...this.getHeaders(), ...headers },
+            body: body === undefined ? undefined : JSON.stringify(body),
+            signal
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text().catch(() => '');
+            throw new Error(`HTTP ${response.status}: ${errorText || response.statusText}`);
+        }
+        return response;
+    }
+
+    /**
+     * GET a health/models path
+     * unreachable marks network or CORS failures, as opposed to an HTTP error from a running server.
+     * When no model is configured, the first listed model is used.
+     * @param {string} path - Path to check
+     * @param {Function} readModels - (json) => model names, optional
+     */
+    async checkHealth(path, readModels = null) {
+        const startTime = Date.now();
+        let response;
+        try {
+            response = await this.request(path);
+        } catch (error) {
+            const unreachable = !error.message.startsWith('HTTP ');
+            return { ok: false, latency: Date.now() - startTime, models: [], error: error.message, unreachable };
+        }
+
+        try {
+            this.models = readModels ? readModels(await response.json()) : [];
+        } catch (error) {
+            this.models = [];
+        }
+        if (!this.model && this.models.length > 0) {
+            this.model = this.models[0];
+        }
+        return { ok: true, latency: Date.now() - startTime, models: this.models };
+    }
+
+    /**
+     * Read a streamed body line by line (server-sent events and NDJSON)
+     * Lines split across network chunks are joined before onLine is called.
+     */
+    static async readLines(response, onLine) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+                lines.map(line => line.trim()).filter(Boolean).forEach(onLine);
+            }
+            buffer += decoder.decode();
+            if (buffer.trim()) onLine(buffer.trim());
+        } finally {
+            reader.releaseLock();
+        }
+    }
+
+    static parseJSON(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return undefined;
+        }
+    }
+}
+
+/**
+ * NYLA Go Cloud Run proxy: { user_query, context } in, { answer, followups } out
+ */
+class NYLAHostedProxyProvider extends NYLALLMProvider {
+    getRequestBody(request) {
+        return {
+            user_query: request.query,
+            context: request.context || [],
+            params: this.getParams(request),
+            ab: 'cloud',
+            session_id: request.sessionId,
+            tenant_id: 'nyla-pwa',
+            language_preference: request.language,
+            // Added to the proxy's own system prompt
+            system_prompt: request.systemPrompt
+        };
+    }
+
+    getRequestHeaders(request) {
+        return request.correlationId ? { 'X-Correlation-ID': request.correlationId } : {};
+    }
+
+    async generate(request) {
+        const response = await this.request('/v1/infer', {
+            method: 'POST',
+            body: this.getRequestBody(request),
+            headers: this.getRequestHeaders(request),
+            signal: request.signal
+        });
+        const result = await response.json();
+
+        return {
+            text: result.answer,
+            followups: result.followups || [],
+            usage: NYLAHostedProxyProvider.readUsage(result.usage),
+            model: result.model || this.model
+        };
+    }
+
+    /**
+     * Usage of a response or meta event; a bare tokens_used total is split with the streamed token count
+     * @param {Object} usage - { prompt_tokens, completion_tokens } or { tokens_used }
+     * @param {number} streamedTokens - Token events received, for a bare total
+     */
+    static readUsage(usage, streamedTokens = 0) {
+        if (!usage) return null;
+        if (Number.isFinite(usage.prompt_tokens) && Number.isFinite(usage.completion_tokens)) {
+            return { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens };
+        }
+        if (Number.isFinite(usage.tokens_used) && usage.tokens_used >= streamedTokens && streamedTokens > 0) {
+            return { promptTokens: usage.tokens_used - streamedTokens, completionTokens: streamedTokens };
+        }
+        return null;
+    }
+
+    /**
+     * Server-sent events: "event: token" carries a JSON string, "event: meta" carries the token usage and model
+     */
+    async stream(request, onToken) {
+        const response = await this.request('/v1/infer/stream', {
+            method: 'POST',
+            body: this.getRequestBody(request),
+            headers: this.getRequestHeaders(request),
+            signal: request.signal
+        });
+
+        let text = '';
+        let tokens = 0;
+        let meta = null;
+        let event = 'message';
+        await NYLALLMProvider.readLines(response, line => {
+            if (line.startsWith('event:')) {
+                event = line.slice(6).trim();
+                return;
+            }
+            if (!line.startsWith('data:')) return;
+
+            const data = NYLALLMProvider.parseJSON(line.slice(5).trim());
+            if (event === 'token' && typeof data === 'string') {
+                text += data;
+                tokens++;
+                if (onToken) onToken(data);
+            } else if (event === 'meta' && data) {
+                meta = data;
+            }
+            event = 'message';
+        });
+
+        // Follow-ups are only returned by the non-streaming endpoint
+        return {
+            text,
+            followups: [],
+            usage: NYLAHostedProxyProvider.readUsage(meta, tokens),
+            model: (meta && meta.model) || this.model
+        };
+    }
+
+    health() {
+        return this.checkHealth('/v1/health');
+    }
+
+    capabilities() {
+        return { streaming: true, followups: true, local: false, models: this.model ? [this.model] : [] };
+    }
+}
+
+/**
+ * OpenAI-compatible chat completions (OpenAI, vLLM, LM Studio, llama.cpp server, ...)
+ */
+class NYLAOpenAICompatibleProvider extends NYLALLMProvider {
+    getHeaders() {
+        return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+    }
+
+    getRequestBody(request, stream) {
+        const params = this.getParams(request);
+        return {
+            model: this.getModel(),
+            messages: NYLALLMProvider.toChatMessages(request),
+            max_tokens: params.max_tokens,
+            temperature: params.temperature,
+            top_p: params.top_p,
+            stream
+        };
+    }
+
+    static readUsage(usage) {
+        return usage ? { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens } : null;
+    }
+
+    async generate(request) {
+        const response = await this.request('/v1/chat/completions', {
+            method: 'POST',
+            body: this.getRequestBody(request, false),
+            signal: request.signal
+        });
+        const result = await response.json();
+        const choice = (result.choices || [])[0];
+
+        return {
+            text: choice && choice.message ? choice.message.content || '' : '',
+            followups: [],
+            usage: NYLAOpenAICompatibleProvider.readUsage(result.usage),
+            model: result.model || this.model
+        };
+    }
+
+    /**
+     * Server-sent events of chat.completion.chunk objects, ended by "data: [DONE]"
+     */
+    async stream(request, onToken) {
+        const response = await this.request('/v1/chat/completions', {
+            method: 'POST',
+            body: this.getRequestBody(request, true),
+            signal: request.signal
+        });
+
+        let text = '';
+        let usage = null;
+        let model = this.model;
+        await NYLALLMProvider.readLines(response, line => {
+            if (!line.startsWith('data:')) return;
+            const payload = line.slice(5).trim();
+            if (payload === '[DONE]') return;
+
+            const chunk = NYLALLMProvider.parseJSON(payload);
+            if (!chunk) return;
+            if (chunk.model) model = chunk.model;
+            if (chunk.usage) usage = NYLAOpenAICompatibleProvider.readUsage(chunk.usage);
+
+            const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+            if (delta && delta.content) {
+                text += delta.content;
+                if (onToken) onToken(delta.content);
+            }
+        });
+
+        return { text, followups: [], usage, model };
+    }
+
+    health() {
+        return this.checkHealth('/v1/models', json => (json.data || []).map(model => model.id));
+    }
+
+    capabilities() {
+        return { streaming: true, followups: false, local: false, models: this.models };
+    }
+}
+
+/**
+ * Ollama chat API; the browser origin must be allowed with OLLAMA_ORIGINS
+ */
+class NYLAOllamaProvider extends NYLALLMProvider {
+    getRequestBody(request, stream) {
+        const params = this.getParams(request);
+        return {
+            model: this.getModel(),
+            messages: NYLALLMProvider.toChatMessages(request),
+            stream,
+            options: {
+                num_predict: params.max_tokens,
+                temperature: params.temperature,
+                top_p: params.top_p
+            }
+        };
+    }
+
+    static readUsage(result) {
+        return result.eval_count !== undefined ?
+            { promptTokens: result.prompt_eval_count || 0, completionTokens: result.eval_count } :
+            null;
+    }
+
+    async generate(request) {
+        const response = await this.request('/api/chat', {
+            method: 'POST',
+            body: this.getRequestBody(request, false),
+            signal: request.signal
+        });
+        const result = await response.json();
+
+        return {
+            text: result.message ? result.message.content || '' : '',
+            followups: [],
+            usage: NYLAOllamaProvider.readUsage(result),
+            model: result.model || this.model
+        };
+    }
+
+    /**
+     * Newline-delimited JSON; the last object has done: true and the token counts
+     */
+    async stream(request, onToken) {
+        const response = await this.request('/api/chat', {
+            method: 'POST',
+            body: this.getRequestBody(request, true),
+            signal: request.signal
+        });
+
+        let text = '';
+        let usage = null;
+        let model = this.model;
+        await NYLALLMProvider.readLines(response, line => {
+            const chunk = NYLALLMProvider.parseJSON(line);
+            if (!chunk) return;
+            if (chunk.error) {
+                throw new Error(chunk.error);
+            }
+            if (chunk.model) model = chunk.model;
+
+            const content = chunk.message && chunk.message.content;
+            if (content) {
+                text += content;
+                if (onToken) onToken(content);
+            }
+            if (chunk.done) usage = NYLAOllamaProvider.readUsage(chunk);
+        });
+
+        return { text, followups: [], usage, model };
+    }
+
+    health() {
+        return this.checkHealth('/api/tags', json => (json.models || []).map(model => model.name));
+    }
+
+    capabilities() {
+        return { streaming: true, followups: false, local: true, models: this.models };
+    }
+}
+
+NYLALLMProvider.ADAPTERS = {
+    proxy: NYLAHostedProxyProvider,
+    openai: NYLAOpenAICompatibleProvider,
+    ollama: NYLAOllamaProvider
+};
+
+// Export for both Node.js and Browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NYLALLMProvider, NYLAHostedProxyProvider, NYLAOpenAICompatibleProvider, NYLAOllamaProvider };
+} else if (typeof window !== 'undefined') {
+    window.NYLALLMProvider = NYLALLMProvider;
+    window.NYLAHostedProxyProvider = NYLAHostedProxyProvider;
+    window.NYLAOpenAICompatibleProvider = NYLAOpenAICompatibleProvider;
+    window.NYLAOllamaProvider = NYLAOllamaProvider;
+}
@@ -0,0 +1,467 @@
+/**
+ * NYLA LLM Response Schema
+ * The response contract shared by the local (NYLALLMEngine) and hosted (NYLAHostedLLM) engines:
+ * { text, sentiment, followUpSuggestions, citations, confidence }
+ *
+ * - parse(): raw model output to a response; local models are prompted for JSON only,
+ *   output without a JSON object is taken as the answer text
+ * - validate(): checks a value against the JSON schema (the subset of keywords used here)
+ * - repair(): constrained fixes only - close truncated JSON, coerce, trim, cut, drop or default what the schema
+ *   describes; nothing is invented, so a response without answer text stays invalid
+ *
+ * Every result comes with a report: { source, parseError, repairs: [{ path, action }],
+ *   errors: schema errors before repair, remaining: errors after repair, valid }
+ */
+
+class NYLALLMResponseSchema {
+    static SENTIMENTS = ['helpful', 'excited', 'friendly', 'informative', 'neutral', 'apologetic', 'empathetic'];
+
+    /**
+     * @param {Object} options - { maxTextLength, maxFollowUps }
+     */
+    constructor({ maxTextLength = 1500, maxFollowUps = 4 } = {}) {
+        this.schema = {
+            type: 'object',
+            required: ['text'],
+            additionalProperties: false,
+            properties: {
+                text: { type: 'string', minLength: 1, maxLength: maxTextLength },
+                sentiment: { type: 'string', enum: NYLALLMResponseSchema.SENTIMENTS, default: 'helpful' },
+                followUpSuggestions: {
+                    type: 'array',
+                    maxItems: maxFollowUps,
+                    items: { type: 'string', minLength: 1, maxLength: 150 },
+                    default: []
+                },
+                citations: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['number'],
+                        additionalProperties: false,
+                        properties: {
+                            number: { type: 'integer', minimum: 1 },
+                            id: { type: 'string' },
+                            title: { type: 'string' }
+                        }
+                    },
+                    default: []
+                },
+                confidence: { type: 'number', minimum: 0, maximum: 1, default: 0.7 }
+            }
+        };
+    }
+
+    /**
+     * Parse raw model output into a response
+     * @param {string} raw - Generated text
+     * @returns {Object} { response, report }
+     */
+    parse(raw) {
+        const report = NYLALLMResponseSchema.createReport();
+        const text = String(raw ?? '').replace(/```(?:json)?\s*/gi, '').trim();
+        let value = {};
+
+        const json = NYLALLMResponseSchema.findJson(text);
+        if (!text) {
+            report.source = 'empty';
+        } else if (json === null) {
+            report.source = 'plain-text';
+            value = { text };
+        } else {
+            try {
+                value = JSON.parse(json);
+                report.source = 'json';
+            } catch (error) {
+                report.parseError = error.message;
+                const fixed = NYLALLMResponseSchema.repairJson(json);
+                try {
+                    value = JSON.parse(fixed.json);
+                    report.source = 'repaired-json';
+                    report.repairs.push(...fixed.actions.map(action => ({ path: '', action })));
+                } catch (repairError) {
+                    value = NYLALLMResponseSchema.salvageFields(json);
+                    report.source = 'salvaged';
+                    report.repairs.push({ path: '', action: `salvaged ${Object.keys(value).join(', ') || 'nothing'} from invalid JSON` });
+                }
+            }
+        }
+
+        return this.repair(value, report);
+    }
+
+    /**
+     * Repair a response object so it matches the schema
+     * @param {*} value - Parsed response
+     * @param {Object} report - Report to add to (parse() passes its own)
+     * @returns {Object} { response, report }
+     */
+    repair(value, report = NYLALLMResponseSchema.createReport('object')) {
+        report.errors = this.validate(value);
+
+        const input = value && typeof value === 'object' && !Array.isArray(value) ? { ...value } : {};
+        if (typeof input.text === 'string') {
+            const text = NYLALLMResponseSchema.fixRepetition(input.text.trim());
+            if (text !== input.text.trim()) {
+                report.repairs.push({ path: 'text', action: 'removed repeated text' });
+            }
+            input.text = text;
+        }
+
+        const response = NYLALLMResponseSchema.repairValue(input, this.schema, '', report.repairs) || {};
+        report.remaining = this.validate(response);
+        report.valid = report.remaining.length === 0;
+        return { response, report };
+    }
+
+    /**
+     * Validate a value against the schema
+     * @returns {Array} [{ path, message }], empty when valid
+     */
+    validate(value, schema = this.schema, path = '') {
+        const errors = [];
+        const fail = message => errors.push({ path, message });
+
+        if (!NYLALLMResponseSchema.hasType(value, schema.type)) {
+            fail(`must be ${schema.type === 'integer' ? 'an integer' : `a${/^[aeiou]/.test(schema.type) ? 'n' : ''} ${schema.type}`}`);
+            return errors;
+        }
+
+        if (schema.type === 'object') {
+            (schema.required || []).forEach(name => {
+                if (value[name] === undefined) errors.push({ path: NYLALLMResponseSchema.join(path, name), message: 'is required' });
+            });
+            Object.entries(value).forEach(([name, field]) => {
+                const fieldSchema = schema.properties[name];
+                if (fieldSchema) {
+                    errors.push(...this.validate(field, fieldSchema, NYLALLMResponseSchema.join(path, name)));
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ path: NYLALLMResponseSchema.join(path, name), message: 'is not allowed' });
+                }
+            });
+        } else if (schema.type === 'array') {
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+            value.forEach((item, index) => errors.push(...this.validate(item, schema.items, `${path}[${index}]`)));
+        } else if (schema.type === 'string') {
+            if (schema.enum && !schema.enum.includes(value)) fail(`must be one of ${schema.enum.join(', ')}`);
+            if (schema.minLength !== undefined && value.trim().length < schema.minLength) fail('must not be empty');
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+        } else {
+            if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+            if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+        }
+        return errors;
+    }
+
+    static createReport(source = null) {
+        return { source, parseError: null, repairs: [], errors: [], remaining: [], valid: false };
+    }
+
+    static hasType(value, type) {
+        switch (type) {
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'array': return Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            default: return typeof value === type;
+        }
+    }
+
+    static join(path, name) {
+        return path ? `${path}.${name}` : name;
+    }
+
+    /**
+     * Bring a value in line with its schema, recording each change
+     * @returns {*} Repaired value, or undefined when it cannot be kept
+     */
+    static repairValue(value, schema, path, repairs) {
+        const note = action => repairs.push({ path, action });
+
+        switch (schema.type) {
+            case 'object': {
+                if (!this.hasType(value, 'object')) {
+                    note('dropped a value that is not an object');
+                    return undefined;
+                }
+                const result = {};
+                Object.keys(value).filter(name => !schema.properties[name]).forEach(name => {
+                    repairs.push({ path: this.join(path, name), action: 'dropped unknown field' });
+                });
+                Object.entries(schema.properties).forEach(([name, fieldSchema]) => {
+                    if (value[name] === undefined) {
+                        if (fieldSchema.default !== undefined) result[name] = structuredClone(fieldSchema.default);
+                        return;
+                    }
+                    const field = this.repairValue(value[name], fieldSchema, this.join(path, name), repairs);
+                    if (field !== undefined) {
+                        result[name] = field;
+                    } else if (fieldSchema.default !== undefined) {
+                        result[name] = structuredClone(fieldSchema.default);
+                        repairs.push({ path: this.join(path, name), action: 'replaced with the default' });
+                    }
+                });
+                // A required field that could not be repaired stays missing, so the report shows it
+                return !path || (schema.required || []).every(name => result[name] !== undefined) ? result : undefined;
+            }
+
+            case 'array': {
+                let items = value;
+                if (!Array.isArray(items)) {
+                    if (value === null || typeof value === 'object') {
+                        note('dropped a value that is not a list');
+                        return undefined;
+                    }
+                    items = [value];
+                    note('wrapped a single value in a list');
+                }
+                const repaired = [];
+                items.forEach((item, index) => {
+                    const fixed = this.repairValue(item, schema.items, `${path}[${index}]`, repairs);
+                    if (fixed !== undefined && !repaired.some(kept => JSON.stringify(kept) === JSON.stringify(fixed))) {
+                        repaired.push(fixed);
+                    }
+                });
+                if (schema.maxItems !== undefined && repaired.length > schema.maxItems) {
+                    note(`kept the first ${schema.maxItems} items`);
+                    repaired.length = schema.maxItems;
+                }
+                return repaired;
+            }
+
+            case 'string': {
+                if (typeof value !== 'string') {
+                    if (typeof value !== 'number' && typeof value !== 'boolean') {
+                        note('dropped a value that is not text');
+                        return undefined;
+                    }
+                    note('converted to text');
+                }
+                let text = String(value).trim();
+                if (schema.enum) {
+                    const match = schema.enum.find(option => option.toLowerCase() === text.toLowerCase());
+                    if (!match) {
+                        note(`dropped "${text}", not one of ${schema.enum.join(', ')}`);
+                        return undefined;
+                    }
+                    text = match;
+                }
+                if (schema.minLength !== undefined && text.length < schema.minLength) {
+                    note('dropped empty text');
+                    return undefined;
+                }
+                if (schema.maxLength !== undefined && text.length > schema.maxLength) {
+                    text = this.cutText(text, schema.maxLength);
+                    note(`cut to ${schema.maxLength} characters`);
+                }
+                return text;
+            }
+
+            default: {
+                let number = value;
+                if (typeof number === 'string' && number.trim() !== '' && Number.isFinite(Number(number))) {
+                    number = Number(number);
+                    note('converted to a number');
+                }
+                if (!this.hasType(number, 'number')) {
+                    note('dropped a value that is not a number');
+                    return undefined;
+                }
+                if (schema.type === 'integer' && !Number.isInteger(number)) {
+                    number = Math.round(number);
+                    note('rounded to an integer');
+                }
+                if (schema.minimum !== undefined && number < schema.minimum) {
+                    if (schema.type === 'integer') {
+                        note(`dropped ${number}, below ${schema.minimum}`);
+                        return undefined;
+                    }
+                    number = schema.minimum;
+                    note(`raised to ${schema.minimum}`);
+                }
+                if (schema.maximum !== undefined && number > schema.maximum) {
+                    number = schema.maximum;
+                    note(`lowered to ${schema.maximum}`);
+                }
+                return number;
+            }
+        }
+    }
+
+    /**
+     * Cut text to a length at the last sentence end, or at a word with an ellipsis
+     */
+    static cutText(text, maxLength) {
+        const truncated = text.substring(0, maxLength - 3);
+        const lastPunctuation = Math.max(...['.', '!', '?', '。', '！', '？'].map(mark => truncated.lastIndexOf(mark)));
+        if (lastPunctuation > maxLength * 0.4) {
+            return text.substring(0, lastPunctuation + 1);
+        }
+        const lastSpace = truncated.lastIndexOf(' ');
+        return (lastSpace > maxLength * 0.4 ? truncated.substring(0, lastSpace) : truncated) + '...';
+    }
+
+    /**
+     * First JSON object in the text: from a "{" that opens a key to its matching "}", or to the end when truncated
+     * @returns {string|null} JSON text, null when there is none
+     */
+    static findJson(text) {
+        const start = text.search(/\{\s*"/);
+        if (start === -1) return null;
+
+        let depth = 0;
+        let inString = false;
+        let escaped = false;
+        for (let i = start; i < text.length; i++) {
+            const char = text[i];
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (char === '\\') escaped = true;
+                else if (char === '"') inString = false;
+            } else if (char === '"') {
+                inString = true;
+            } else if (char === '{' || char === '[') {
+                depth++;
+            } else if (char === '}' || char === ']') {
+                depth--;
+                if (depth === 0) return text.substring(start, i + 1);
+            }
+        }
+        return text.substring(start);
+    }
+
+    /**
+     * Syntax fixes for JSON as small models write it: raw line breaks in strings, trailing commas,
+     * and output cut off before the end (the open string, key and brackets are closed)
+     * @returns {Object} { json, actions: [description] }
+     */
+    static repairJson(json) {
+        const actions = new Set();
+        const closers = [];
+        let output = '';
+        let inString = false;
+        let escaped = false;
+
+        for (const char of json) {
+            if (inString) {
+                if (escaped) {
+                    escaped = false;
+                } else if (char === '\\') {
+                    escaped = true;
+                } else if (char === '"') {
+                    inString = false;
+                } else if (char === '\n' || char === '\r' || char === '\t') {
+                    output += { '\n': '\\n', '\r': '\\r', '\t': '\\t' }[char];
+                    actions.add('escaped line breaks in strings');
+                    continue;
+                }
+                output += char;
+                continue;
+            }
+
+            if (char === '"') {
+                inString = true;
+            } else if (char === '{' || char === '[') {
+                closers.push(char === '{' ? '}' : ']');
+            } else if (char === '}' || char === ']') {
+                if (/,\s*$/.test(output)) {
+                    output = output.replace(/,\s*$/, '');
+                    actions.add('removed trailing commas');
+                }
+                closers.pop();
+            }
+            output += char;
+        }
+
+        if (inString) {
+            if (escaped) output = output.slice(0, -1);
+            output += '"';
+            actions.add('closed an unterminated string');
+        }
+        if (closers.length > 0) {
+            // Drop a key, or key and colon, left without a value by the cut
+            output = output
+                .replace(/\s+$/, '')
+                .replace(/([{,])\s*"(?:[^"\\]|\\.)*"\s*:?$/, '$1')
+                .replace(/[,:]\s*$/, '');
+            output += closers.reverse().join('');
+            actions.add('closed truncated JSON');
+        }
+        return { json: output, actions: [...actions] };
+    }
+
+    /**
+     * Last resort for JSON that does not parse: the string fields the schema describes
+     */
+    static salvageFields(json) {
+        const value = {};
+        const readString = name => {
+            // A value ends at the quote before the next key or the closing brace, so unescaped quotes inside it survive
+            const match = json.match(new RegExp(`"${name}"\\s*:\\s*"([\\s\\S]*?)"(?=\\s*(?:,?\\s*"\\w+"\\s*:|\\}|$))`)) ||
+                json.match(new RegExp(`"${name}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)`));
+            if (!match) return undefined;
+            try {
+                return JSON.parse(`"${match[1].replace(/\\$/, '')}"`);
+            } catch (error) {
+                return match[1].replace(/\\n/g, '\n').replace(/\\"/g, '"');
+            }
+        };
+
+        const text = readString('text');
+        const sentiment = readString('sentiment');
+        if (text !== undefined) value.text = text;
+        if (sentiment !== undefined) value.sentiment = sentiment;
+
+        const followUps = json.match(/"followUpSuggestions"\s*:\s*\[([^\]]*)/);
+        if (followUps) {
+            value.followUpSuggestions = [...followUps[1].matchAll(/"((?:[^"\\]|\\.)+)"/g)].map(match => match[1]);
+        }
+        return value;
+    }
+
+    /**
+     * Remove repetition loops of small models (phrases, Chinese characters, words, sentences)
+     */
+    static fixRepetition(text) {
+        if (!text || typeof text !== 'string') return text;
+
+        let fixedText = text
+            .replace(/(.{10,50}?)\1{2,}/gi, '$1')                 // Exact phrase repetition
+            .replace(/([\u4e00-\u9fff]{1,10})\1{3,}/g, '$1')    // Chinese characters (旺柴旺柴旺柴...)
+            .replace(/\b(\w{2,})\s+\1\s+\1\b/gi, '$1')             // word word word
+            .replace(/([^.!?]{20,}[.!?])\s*\1\s*\1/gi, '$1');     // Sentence repeated three times
+
+        // High token redundancy (subtle loops): keep the first third of the sentences
+        const tokens = fixedText.split(/\s+/);
+        if (tokens.length > 50) {
+            const counts = {};
+            tokens.forEach(token => {
+                counts[token] = (counts[token] || 0) + 1;
+            });
+            const redundant = Object.values(counts).reduce((sum, count) => sum + Math.max(0, count - 3), 0);
+            if (redundant / tokens.length > 0.4) {
+                const sentences = fixedText.split(/[.!?]+/);
+                fixedText = sentences.slice(0, Math.max(1, Math.floor(sentences.length / 3))).join('.') + '.';
+            }
+        }
+
+        // Extreme repetition in long text: cut where it starts
+        if (fixedText.length > 1000) {
+            const loop = fixedText.match(/((.{1,100}?)\2{4,})/);
+            if (loop && loop.index > 0) fixedText = fixedText.substring(0, loop.index);
+        }
+
+        // Low character diversity: keep the start
+        if (fixedText.length > 100 && new Set(fixedText).size / fixedText.length < 0.2) {
+            fixedText = fixedText.substring(0, Math.min(200, fixedText.length / 2));
+        }
+        return fixedText;
+    }
+}
+
+// Export for both Node.js and Browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NYLALLMResponseSchema;
+} else if (typeof window !== 'undefined') {
+    window.NYLALLMResponseSchema = NYLALLMResponseSchema;
+}
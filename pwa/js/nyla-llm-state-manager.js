@@ -95,11 +95,23 @@ class NYLALLMStateManager {
           initialized: status.initialized,
           loading: status.loading,
           warmedUp: status.warmedUp,
-          ready: status.ready
+          ready: status.ready,
+          generating: !!status.generating
         } : null
       }
     };
   }
+  
+  /**
+   * Stop a generation in progress (the chat's Stop control), so the next question starts at once
+   * @returns {string} LLM state after stopping
+   */
+  static stopGeneration(llmEngine, device = null) {
+    if (llmEngine && typeof llmEngine.stopGeneration === 'function') {
+      llmEngine.stopGeneration();
+    }
+    return this.getLLMState(llmEngine, device);
+  }
 }
 
 // Export for use in other modules
@@ -0,0 +1,263 @@
+/**
+ * NYLA LLM Usage
+ * Token and cost accounting of the remote LLM providers (see NYLAHostedLLM), per session and per day.
+ * Token counts come from the provider's usage report, or are estimated from the text when it has none.
+ * Costs are estimated from a price table per model.
+ *
+ * Budgets (USD, per session and per day, set in the AI Provider settings) degrade the failover chain
+ * (see NYLAConversationManagerV2), the hosted proxy included:
+ * - soft: the remote provider is skipped whenever the local WebLLM can answer instead
+ * - hard: the remote provider is skipped, so answers come from the local WebLLM or the knowledge base only
+ */
+
+class NYLALLMUsage {
+    static STORAGE_KEY = 'nylaLLMUsage';
+    static BUDGETS_KEY = 'nylaLLMUsageBudgets';
+    static KEEP_DAYS = 30;
+
+    // Rough tokenizer estimate for English text; CJK characters count as one token each
+    static CHARS_PER_TOKEN = 4;
+
+    // USD per million tokens; model names also match by prefix (e.g. dated OpenAI snapshots)
+    static PRICES = {
+        'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+        'gpt-4o': { prompt: 2.5, completion: 10 },
+        'gpt-4.1-nano': { prompt: 0.1, completion: 0.4 },
+        'gpt-4.1-mini': { prompt: 0.4, completion: 1.6 },
+        'gpt-4.1': { prompt: 2, completion: 8 },
+        'gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 }
+    };
+
+    // Unknown models of paid providers are priced like the hosted proxy's model
+    static DEFAULT_PRICE = NYLALLMUsage.PRICES['gpt-4o-mini'];
+
+    // Providers running on the user's own hardware
+    static FREE_PROVIDERS = ['ollama'];
+
+    static DEFAULT_BUDGETS = {
+        session: { soft: null, hard: null },
+        day: { soft: 0.05, hard: 0.2 }
+    };
+
+    static LEVELS = {
+        OK: 'ok',
+        SOFT: 'soft',
+        HARD: 'hard'
+    };
+
+    /**
+     * @param {Object} options - { storage: localStorage-like store, now: () => timestamp, budgets }
+     */
+    constructor({ storage = typeof localStorage !== 'undefined' ? localStorage : null, now = () => Date.now(), budgets = null } = {}) {
+        this.storage = storage;
+        this.now = now;
+        this.session = {};
+        this.days = this.load(NYLALLMUsage.STORAGE_KEY, {});
+        this.budgets = NYLALLMUsage.mergeBudgets(budgets || this.load(NYLALLMUsage.BUDGETS_KEY, {}));
+        this.lastLevel = NYLALLMUsage.LEVELS.OK;
+    }
+
+    /**
+     * Rough token count of a text
+     */
+    static estimateTokens(text) {
+        const value = String(text || '');
+        const cjk = (value.match(/[\u3000-\u30ff\u4e00-\u9fff\uac00-\ud7af]/g) || []).length;
+        return cjk + Math.ceil((value.length - cjk) / NYLALLMUsage.CHARS_PER_TOKEN);
+    }
+
+    /**
+     * Price of a model in USD per million tokens
+     * @returns {Object} { prompt, completion, estimated: true when the model is not in the price table }
+     */
+    static priceFor(model, provider) {
+        if (NYLALLMUsage.FREE_PROVIDERS.includes(provider)) {
+            return { prompt: 0, completion: 0, estimated: false };
+        }
+        const name = String(model || '').toLowerCase();
+        const match = Object.keys(NYLALLMUsage.PRICES)
+            .filter(key => name.startsWith(key))
+            .sort((a, b) => b.length - a.length)[0];
+        return match
+            ? { ...NYLALLMUsage.PRICES[match], estimated: false }
+            : { ...NYLALLMUsage.DEFAULT_PRICE, estimated: true };
+    }
+
+    /**
+     * Default budgets with the configured ones on top; a null limit means no limit
+     */
+    static mergeBudgets(budgets = {}) {
+        const merged = {};
+        Object.keys(NYLALLMUsage.DEFAULT_BUDGETS).forEach(scope => {
+            merged[scope] = { ...NYLALLMUsage.DEFAULT_BUDGETS[scope], ...(budgets[scope] || {}) };
+        });
+        return merged;
+    }
+
+    /**
+     * Record one answer of a remote provider
+     * @param {Object} entry - { provider, model, usage: { promptTokens, completionTokens } or null,
+     *   prompt: prompt texts for the estimate, completion: answer text for the estimate }
+     * @returns {Object} { model, promptTokens, completionTokens, estimated, cost, budget }
+     */
+    record({ provider, model, usage = null, prompt = [], completion = '' }) {
+        const reported = usage && Number.isFinite(usage.promptTokens) && Number.isFinite(usage.completionTokens);
+        const promptTokens = reported ? usage.promptTokens : [].concat(prompt).reduce((sum, text) => sum + NYLALLMUsage.estimateTokens(text), 0);
+        const completionTokens = reported ? usage.completionTokens : NYLALLMUsage.estimateTokens(completion);
+        const price = NYLALLMUsage.priceFor(model, provider);
+        const cost = (promptTokens * price.prompt + completionTokens * price.completion) / 1e6;
+        const key = model || provider || 'unknown';
+
+        const entry = { promptTokens, completionTokens, estimated: !reported, priceEstimated: price.estimated, cost };
+        NYLALLMUsage.add(this.session, key, entry);
+        const today = this.dayKey();
+        this.days[today] = this.days[today] || {};
+        NYLALLMUsage.add(this.days[today], key, entry);
+        this.prune();
+        this.save(NYLALLMUsage.STORAGE_KEY, this.days);
+
+        const budget = this.checkBudget();
+        if (budget.level !== this.lastLevel && budget.level !== NYLALLMUsage.LEVELS.OK) {
+            NYLALogger.warn(`💰 LLM Usage: ${budget.level} budget reached`, budget.exceeded);
+        }
+        this.lastLevel = budget.level;
+
+        return { model: key, promptTokens, completionTokens, estimated: !reported, cost, budget: budget.level };
+    }
+
+    /**
+     * Add an answer to the per-model totals of a scope
+     */
+    static add(models, key, entry) {
+        const totals = models[key] || (models[key] = { requests: 0, promptTokens: 0, completionTokens: 0, estimatedRequests: 0, cost: 0, priceEstimated: false });
+        totals.requests++;
+        totals.promptTokens += entry.promptTokens;
+        totals.completionTokens += entry.completionTokens;
+        totals.estimatedRequests += entry.estimated ? 1 : 0;
+        totals.cost += entry.cost;
+        totals.priceEstimated = totals.priceEstimated || entry.priceEstimated;
+    }
+
+    /**
+     * Totals over the models of a scope
+     * @returns {Object} { requests, promptTokens, completionTokens, estimatedRequests, cost, models }
+     */
+    static summarize(models = {}) {
+        const summary = { requests: 0, promptTokens: 0, completionTokens: 0, estimatedRequests: 0, cost: 0, models };
+        Object.values(models).forEach(totals => {
+            summary.requests += totals.requests;
+            summary.promptTokens += totals.promptTokens;
+            summary.completionTokens += totals.completionTokens;
+            summary.estimatedRequests += totals.estimatedRequests;
+            summary.cost += totals.cost;
+        });
+        return summary;
+    }
+
+    getSession() {
+        return NYLALLMUsage.summarize(this.session);
+    }
+
+    /**
+     * @param {string} day - YYYY-MM-DD in local time, defaults to today
+     */
+    getDay(day = this.dayKey()) {
+        return NYLALLMUsage.summarize(this.days[day]);
+    }
+
+    /**
+     * Spending against the budgets
+     * @returns {Object} { level: 'ok' | 'soft' | 'hard', exceeded: [{ scope, level, limit, cost }] }
+     */
+    checkBudget() {
+        const { OK, SOFT, HARD } = NYLALLMUsage.LEVELS;
+        const spent = { session: this.getSession().cost, day: this.getDay().cost };
+        const exceeded = [];
+
+        Object.keys(this.budgets).forEach(scope => {
+            const limits = this.budgets[scope];
+            const level = [HARD, SOFT].find(name => limits[name] !== null && limits[name] !== undefined && spent[scope] >= limits[name]);
+            if (level) {
+                exceeded.push({ scope, level, limit: limits[level], cost: spent[scope] });
+            }
+        });
+
+        const level = exceeded.some(item => item.level === HARD) ? HARD : (exceeded.length > 0 ? SOFT : OK);
+        return { level, exceeded };
+    }
+
+    /**
+     * Change the budgets and keep them for later sessions
+     * @param {Object} budgets - { session?: { soft?, hard? }, day?: { soft?, hard? } } in USD, null for no limit
+     */
+    setBudgets(budgets) {
+        this.budgets = NYLALLMUsage.mergeBudgets({
+            session: { ...this.budgets.session, ...(budgets.session || {}) },
+            day: { ...this.budgets.day, ...(budgets.day || {}) }
+        });
+        this.save(NYLALLMUsage.BUDGETS_KEY, this.budgets);
+        this.lastLevel = this.checkBudget().level;
+    }
+
+    resetSession() {
+        this.session = {};
+        this.lastLevel = this.checkBudget().level;
+    }
+
+    getStatus() {
+        return {
+            session: this.getSession(),
+            day: this.getDay(),
+            budgets: this.budgets,
+            budget: this.checkBudget()
+        };
+    }
+
+    /**
+     * Local date of now() as YYYY-MM-DD
+     */
+    dayKey() {
+        const date = new Date(this.now());
+        const pad = number => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Drop the days older than KEEP_DAYS
+     */
+    prune() {
+        const days = Object.keys(this.days).sort();
+        days.slice(0, Math.max(0, days.length - NYLALLMUsage.KEEP_DAYS)).forEach(day => {
+            delete this.days[day];
+        });
+    }
+
+    load(key, fallback) {
+        try {
+            const saved = this.storage && this.storage.getItem(key);
+            return saved ? JSON.parse(saved) : fallback;
+        } catch (error) {
+            NYLALogger.warn('💰 LLM Usage: Failed to load saved usage:', error);
+            return fallback;
+        }
+    }
+
+    save(key, value) {
+        try {
+            if (this.storage) {
+                this.storage.setItem(key, JSON.stringify(value));
+            }
+        } catch (error) {
+            NYLALogger.warn('💰 LLM Usage: Failed to save usage:', error);
+        }
+    }
+}
+
+// Export for both Node.js and Browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NYLALLMUsage;
+} else if (typeof window !== 'undefined') {
+    window.NYLALLMUsage = NYLALLMUsage;
+    // Shared by every remote provider client, so switching providers keeps the totals
+    window.nylaLLMUsage = window.nylaLLMUsage || new NYLALLMUsage();
+}
@@ -0,0 +1,124 @@
+/**
+ * NYLA Payment Card
+ * Renders a Receive-tab payment request (QR code, amount, token, chain, username, NYLA branding)
+ * into a shareable card, as SVG or PNG. Everything is drawn locally from SimpleQR output,
+ * so cards can be exported offline and carry no external image references.
+ */
+
+class NYLAPaymentCard {
+  static WIDTH = 400;
+  static HEIGHT = 600;
+  static QR_SIZE = 280;
+  static PNG_SCALE = 2;
+  static FONT = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif";
+
+  /**
+   * Build the card as an SVG document
+   * @param {Object} request - { url, amount, token, chain, username }
+   * @returns {string} SVG markup
+   */
+  static buildSVG({ url, amount, token, chain, username }) {
+    const qr = SimpleQR.encode(url);
+    const modules = qr.size + SimpleQR.QUIET_ZONE * 2;
+    const qrX = (this.WIDTH - this.QR_SIZE) / 2;
+    const qrY = 100;
+
+    // Same proportions as the on-screen logo overlay (20% of the QR)
+    const logoSize = Math.floor(this.QR_SIZE * 0.2);
+    const logoX = qrX + (this.QR_SIZE - logoSize) / 2;
+    const logoY = qrY + (this.QR_SIZE - logoSize) / 2;
+
+    const handle = NYLACommandGrammar.normalizeHandle(username);
+    const text = (y, content, size, fill, weight = 400) =>
+      `<text x="${this.WIDTH / 2}" y="${y}" text-anchor="middle" font-family="${this.FONT}" font-size="${size}" font-weight="${weight}" fill="${fill}">${this.escapeXML(content)}</text>`;
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${this.WIDTH}" height="${this.HEIGHT}" viewBox="0 0 ${this.WIDTH} ${this.HEIGHT}">`,
+      '<defs><linearGradient id="nyla-brand" x1="0" y1="0" x2="1" y2="1">',
+      '<stop offset="0" stop-color="#FF8C42"/><stop offset="1" stop-color="#FF6B35"/>',
+      '</linearGradient></defs>',
+      `<rect width="${this.WIDTH}" height="${this.HEIGHT}" rx="24" fill="#1a1a1a"/>`,
+      `<rect width="${this.WIDTH}" height="8" fill="url(#nyla-brand)"/>`,
+      text(52, 'NYLA Go', 28, '#FF6B35', 800),
+      text(80, 'Payment Request', 15, '#cccccc'),
+      `<rect x="${qrX}" y="${qrY}" width="${this.QR_SIZE}" height="${this.QR_SIZE}" rx="16" fill="#ffffff"/>`,
+      `<svg x="${qrX}" y="${qrY}" width="${this.QR_SIZE}" height="${this.QR_SIZE}" viewBox="0 0 ${modules} ${modules}" shape-rendering="crispEdges">`,
+      `<path d="${SimpleQR.toSVGPath(qr)}" fill="#000000"/></svg>`,
+      `<rect x="${logoX - 4}" y="${logoY - 4}" width="${logoSize + 8}" height="${logoSize + 8}" rx="8" fill="#ffffff"/>`,
+      `<rect x="${logoX}" y="${logoY}" width="${logoSize}" height="${logoSize}" rx="4" fill="url(#nyla-brand)"/>`,
+      `<text x="${this.WIDTH / 2}" y="${logoY + logoSize / 2 + 6}" text-anchor="middle" font-family="${this.FONT}" font-size="${Math.floor(logoSize * 0.3)}" font-weight="900" fill="#ffffff">NYLA</text>`,
+      text(438, `${String(amount).trim()} $${token}`, 34, '#ffffff', 700),
+      text(468, `on ${chain}`, 16, '#FF6B35', 600),
+      text(506, `Pay ${handle}`, 18, '#cccccc', 600),
+      text(552, 'Scan to pay via @AgentNyla on X', 13, '#888888'),
+      text(574, NYLACommandGrammar.SIGNATURE, 13, '#888888'),
+      '</svg>'
+    ].join('');
+  }
+
+  /**
+   * @param {Object} request - Payment request fields
+   * @returns {Blob} SVG card
+   */
+  static toSVGBlob(request) {
+    return new Blob([this.buildSVG(request)], { type: 'image/svg+xml' });
+  }
+
+  /**
+   * Rasterise the SVG card onto a canvas
+   * @param {Object} request - Payment request fields
+   * @param {number} scale - Pixel density of the PNG
+   * @returns {Promise<Blob>} PNG card
+   */
+  static async toPNGBlob(request, scale = this.PNG_SCALE) {
+    const image = new Image();
+    image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(this.buildSVG(request));
+    await image.decode();
+
+    const canvas = document.createElement('canvas');
+    canvas.width = this.WIDTH * scale;
+    canvas.height = this.HEIGHT * scale;
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG export failed'))), 'image/png');
+    });
+  }
+
+  /**
+   * File name for an exported card, e.g. nyla-payment-alice-10-NYLA.png
+   */
+  static getFileName({ amount, token, username }, extension) {
+    const slug = [NYLACommandGrammar.normalizeHandle(username).slice(1), String(amount).trim(), token]
+      .filter(Boolean)
+      .join('-')
+      .replace(/[^A-Za-z0-9_.-]/g, '_');
+    return `nyla-payment-${slug}.${extension}`;
+  }
+
+  /**
+   * Save a blob through a temporary download link
+   */
+  static download(blob, fileName) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+
+  static escapeXML(value) {
+    return String(value).replace(/[<>&'"]/g, char => ({
+      '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'
+    })[char]);
+  }
+}
+
+// Export for both Node.js and Browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NYLAPaymentCard;
+} else if (typeof window !== 'undefined') {
+  window.NYLAPaymentCard = NYLAPaymentCard;
+}
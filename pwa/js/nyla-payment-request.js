@@ -0,0 +1,168 @@
+/**
+ * NYLA Payment Request
+ * Payment request links created in the Receive flow and opened by the PWA Send tab
+ *
+ * Link format (query parameters, short keys to keep QR codes small):
+ *   https://sonyschan.github.io/nyla-go/?pay=alice&amt=10&tok=NYLA&chain=Ethereum&memo=Coffee&inv=INV-42&exp=1767225600
+ * - pay:   recipient X handle without @ (required)
+ * - amt:   amount (required)
+ * - tok:   token symbol (required)
+ * - chain: blockchain, omitted for Solana
+ * - memo:  free-text note shown to the payer (optional)
+ * - inv:   invoice id (optional)
+ * - exp:   expiry as Unix seconds (optional)
+ */
+
+class NYLAPaymentRequest {
+  static BASE_URL = 'https://sonyschan.github.io/nyla-go/';
+  static PARAMS = ['pay', 'amt', 'tok', 'chain', 'memo', 'inv', 'exp'];
+  static MEMO_MAX_LENGTH = 140;
+  static INVOICE_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+  // Expiry presets offered in the Receive form, in seconds
+  static EXPIRY_OPTIONS = {
+    '1h': 60 * 60,
+    '24h': 24 * 60 * 60,
+    '7d': 7 * 24 * 60 * 60
+  };
+
+  static MESSAGES = {
+    memoTooLong: 'Memo must be 140 characters or less',
+    invoiceInvalid: 'Invoice ID may only contain letters, numbers, - and _',
+    expiryInvalid: 'Please enter a valid expiry time'
+  };
+
+  /**
+   * Validate payment request fields
+   * @param {Object} request - { recipient, amount, token, chain, memo, invoiceId, expiresAt }
+   * @returns {Object} { valid, errors } with field-keyed messages
+   */
+  static validate({ recipient, amount, token, chain = NYLACommandGrammar.DEFAULT_CHAIN, memo = '', invoiceId = '', expiresAt = null }) {
+    const validation = NYLACommandGrammar.validateTransfer({
+      recipient: NYLACommandGrammar.normalizeHandle(recipient),
+      amount,
+      token,
+      chain
+    });
+    const errors = { ...validation.errors };
+    validation.missing.forEach(field => {
+      errors[field] = errors[field] || NYLACommandGrammar.MESSAGES[`${field}Invalid`];
+    });
+
+    if (memo && memo.length > this.MEMO_MAX_LENGTH) {
+      errors.memo = this.MESSAGES.memoTooLong;
+    }
+    if (invoiceId && !this.INVOICE_PATTERN.test(invoiceId)) {
+      errors.invoiceId = this.MESSAGES.invoiceInvalid;
+    }
+    if (expiresAt !== null && expiresAt !== undefined && !(Number.isFinite(expiresAt) && expiresAt > 0)) {
+      errors.expiresAt = this.MESSAGES.expiryInvalid;
+    }
+
+    return { valid: Object.keys(errors).length === 0, errors };
+  }
+
+  /**
+   * Serialise a payment request into a link that opens the PWA Send tab
+   * @param {Object} request - { recipient, amount, token, chain, memo, invoiceId, expiresAt (ms) }
+   * @param {string} baseURL - PWA address
+   * @returns {string} Payment request URL
+   */
+  static toURL(request, baseURL = this.BASE_URL) {
+    const validation = this.validate(request);
+    if (!validation.valid) {
+      throw new Error(Object.values(validation.errors)[0]);
+    }
+
+    const { recipient, amount, token, chain = NYLACommandGrammar.DEFAULT_CHAIN, memo, invoiceId, expiresAt } = request;
+    const params = new URLSearchParams();
+    params.set('pay', NYLACommandGrammar.normalizeHandle(recipient).slice(1));
+    params.set('amt', String(amount).trim());
+    params.set('tok', token);
+    if (chain !== NYLACommandGrammar.DEFAULT_CHAIN) params.set('chain', chain);
+    if (memo) params.set('memo', memo);
+    if (invoiceId) params.set('inv', invoiceId);
+    if (expiresAt) params.set('exp', String(Math.floor(expiresAt / 1000)));
+
+    return `${baseURL}?${params.toString()}`;
+  }
+
+  /**
+   * Read a payment request from a URL or query string
+   * @param {string} url - Full URL or location.search
+   * @param {NYLATokenRegistry} [registry] - Tokens it lists on the request's chain keep its casing (goBTC)
+   * @returns {Object|null} null when the URL carries no request, otherwise
+   *   { valid, request: { recipient, amount, token, chain, memo, invoiceId, expiresAt }, errors }
+   */
+  static parse(url, registry = null) {
+    const source = String(url || '');
+    const query = source.includes('?') ? source.slice(source.indexOf('?') + 1) : source;
+    const params = new URLSearchParams(query.split('#')[0]);
+    if (!params.has('pay')) return null;
+
+    const chainParam = params.get('chain');
+    const chain = chainParam ? (NYLACommandGrammar.canonicalChain(chainParam) || chainParam) : NYLACommandGrammar.DEFAULT_CHAIN;
+    const symbol = (params.get('tok') || '').trim().replace(/^\$/, '');
+    const expiry = params.get('exp');
+    const request = {
+      recipient: NYLACommandGrammar.normalizeHandle(params.get('pay')),
+      amount: (params.get('amt') || '').trim(),
+      token: (registry && registry.find(chain, symbol)?.symbol) || symbol.toUpperCase(),
+      chain,
+      memo: params.get('memo') || '',
+      invoiceId: params.get('inv') || '',
+      expiresAt: expiry === null ? null : (/^\d+$/.test(expiry) ? Number(expiry) * 1000 : NaN)
+    };
+
+    const validation = this.validate(request);
+    return { valid: validation.valid, request, errors: validation.errors };
+  }
+
+  /**
+   * @param {Object} request - Parsed request
+   * @param {number} now - Current time in ms
+   * @returns {boolean} True if the request has an expiry in the past
+   */
+  static isExpired(request, now = Date.now()) {
+    return Boolean(request.expiresAt) && request.expiresAt <= now;
+  }
+
+  /**
+   * Expiry timestamp for a Receive form preset
+   * @param {string} option - Key of EXPIRY_OPTIONS, or '' for no expiry
+   * @param {number} now - Current time in ms
+   * @returns {number|null} Expiry in ms
+   */
+  static expiryFromOption(option, now = Date.now()) {
+    const seconds = this.EXPIRY_OPTIONS[option];
+    return seconds ? now + seconds * 1000 : null;
+  }
+
+  /**
+   * AgentNyla transfer command that pays this request
+   */
+  static toCommand(request) {
+    return NYLACommandGrammar.buildTransfer(request);
+  }
+
+  /**
+   * One-line description of memo, invoice and expiry for display, e.g. "Coffee · Invoice INV-42 · Expires 1/1/2026, 12:00 AM"
+   */
+  static describe(request) {
+    const parts = [];
+    if (request.memo) parts.push(request.memo);
+    if (request.invoiceId) parts.push(`Invoice ${request.invoiceId}`);
+    if (request.expiresAt) {
+      const label = this.isExpired(request) ? 'Expired' : 'Expires';
+      parts.push(`${label} ${new Date(request.expiresAt).toLocaleString()}`);
+    }
+    return parts.join(' · ');
+  }
+}
+
+// Export for both Node.js and Browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NYLAPaymentRequest;
+} else if (typeof window !== 'undefined') {
+  window.NYLAPaymentRequest = NYLAPaymentRequest;
+}
@@ -0,0 +1,186 @@
+/**
+ * NYLA QR Scanner
+ * Reads NYLA QR codes for the PWA Send tab, from the camera or an uploaded image.
+ * Decoding is done locally by SimpleQRReader; nothing is sent over the network.
+ *
+ * Recognised payloads:
+ * - NYLA payment request links (?pay=alice&amt=10&tok=NYLA...), see NYLAPaymentRequest
+ * - X.com compose links (x.com/intent/post?text=..., twitter.com/intent/tweet) carrying an AgentNyla transfer
+ * - Plain AgentNyla transfer command text
+ */
+
+class NYLAQRScanner {
+  static SCAN_INTERVAL = 250;
+  static FRAME_SIZE = 640;
+  static INTENT_HOSTS = ['x.com', 'twitter.com', 'mobile.x.com', 'mobile.twitter.com'];
+  static INTENT_PATHS = ['/intent/post', '/intent/tweet'];
+
+  static MESSAGES = {
+    noCode: 'No QR code found in this image',
+    notRecognised: 'This QR code is not a NYLA payment request or AgentNyla transfer',
+    swapCommand: 'This QR code contains a swap command - open it in the Swap tab instead',
+    cameraUnavailable: 'Camera not available - upload an image of the QR code instead'
+  };
+
+  /**
+   * Work out what a scanned QR code asks the user to pay
+   * @param {string} text - Decoded QR text
+   * @returns {Object} { type: 'payment-request' | 'command', valid, request, errors } where request has
+   *   recipient, amount, token and chain (payment requests add memo, invoiceId, expiresAt),
+   *   or { type: 'unsupported', message } for anything else
+   */
+  static interpret(text) {
+    const source = String(text || '').trim();
+
+    const paymentRequest = this.isPaymentLink(source) ? NYLAPaymentRequest.parse(source) : null;
+    if (paymentRequest) {
+      return { type: 'payment-request', ...paymentRequest };
+    }
+
+    const commandText = this.getIntentText(source);
+    const found = NYLACommandGrammar.findCommands(commandText === null ? source : commandText);
+    const transfer = found.find(({ command }) => command.action === 'transfer');
+    if (transfer) {
+      const { recipient, amount, token, chain } = transfer.command;
+      return { type: 'command', valid: true, request: { recipient, amount, token, chain }, errors: {} };
+    }
+
+    const message = found.length > 0 ? this.MESSAGES.swapCommand : this.MESSAGES.notRecognised;
+    return { type: 'unsupported', message };
+  }
+
+  /**
+   * Whether a URL points at the app's own payment links, so a look-alike host cannot pre-fill the Send tab
+   * @param {string} url - Candidate URL
+   * @returns {boolean} True for the published PWA address or the origin the app is running on
+   */
+  static isPaymentLink(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return false;
+    }
+
+    const origins = [new URL(NYLAPaymentRequest.BASE_URL).origin];
+    if (typeof location !== 'undefined' && /^https?:$/.test(location.protocol)) origins.push(location.origin);
+    return origins.includes(parsed.origin);
+  }
+
+  /**
+   * Post text of an X.com compose link
+   * @param {string} url - Candidate URL
+   * @returns {string|null} Decoded text parameter, null if url is not a compose link
+   */
+  static getIntentText(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return null;
+    }
+
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    const path = parsed.pathname.replace(/\/+$/, '').toLowerCase();
+    if (!this.INTENT_HOSTS.includes(host) || !this.INTENT_PATHS.includes(path)) return null;
+    return parsed.searchParams.get('text') || '';
+  }
+
+  /**
+   * Decode a QR code from an image file (desktop upload or photo)
+   * @param {File|Blob} file - Image file
+   * @returns {Promise<Object|null>} Interpreted payload (see interpret), null if no QR code was found
+   */
+  static async scanFile(file) {
+    const image = await createImageBitmap(file);
+    try {
+      const result = SimpleQRReader.decodeSource(image);
+      return result ? this.interpret(result.text) : null;
+    } finally {
+      image.close();
+    }
+  }
+
+  /**
+   * @param {Object} options - { video: HTMLVideoElement, onResult: (payload) => void }
+   */
+  constructor({ video, onResult }) {
+    this.video = video;
+    this.onResult = onResult;
+    this.stream = null;
+    this.timer = null;
+    this.session = 0;
+  }
+
+  /**
+   * Open the rear camera and scan frames until a QR code is decoded
+   * @throws {Error} When the camera is unavailable or permission is denied
+   */
+  async start() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      throw new Error(NYLAQRScanner.MESSAGES.cameraUnavailable);
+    }
+
+    // stop() may run while the permission prompt is open; a late stream is released straight away
+    const session = ++this.session;
+    const stream = await navigator.mediaDevices.getUserMedia({
+      video: { facingMode: 'environment' },
+      audio: false
+    });
+    if (session !== this.session) {
+      stream.getTracks().forEach(track => track.stop());
+      return;
+    }
+
+    this.stream = stream;
+    this.video.srcObject = stream;
+    this.video.setAttribute('playsinline', '');
+    await this.video.play();
+    if (session !== this.session) return;
+    this.scheduleScan();
+  }
+
+  scheduleScan() {
+    this.timer = setTimeout(() => this.scanFrame(), NYLAQRScanner.SCAN_INTERVAL);
+  }
+
+  scanFrame() {
+    if (!this.stream) return;
+
+    // HAVE_CURRENT_DATA or better
+    if (this.video.readyState >= 2) {
+      const result = SimpleQRReader.decodeSource(this.video, NYLAQRScanner.FRAME_SIZE);
+      if (result) {
+        this.stop();
+        this.onResult(NYLAQRScanner.interpret(result.text));
+        return;
+      }
+    }
+    this.scheduleScan();
+  }
+
+  /**
+   * Stop scanning and release the camera
+   */
+  stop() {
+    this.session++;
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+      this.stream = null;
+    }
+    this.video.srcObject = null;
+  }
+
+  isActive() {
+    return this.stream !== null;
+  }
+}
+
+// Export for both Node.js and Browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NYLAQRScanner;
+} else if (typeof window !== 'undefined') {
+  window.NYLAQRScanner = NYLAQRScanner;
+}
@@ -10,6 +10,7 @@ class NYLASharedSettings {
             LANGUAGE: 'nylago-language',
             USERNAME: 'nylaGoUsername',
             CUSTOM_TOKENS: 'nylaGoCustomTokens',
+            CONTACTS: 'nylaGoContacts',
             THEME: 'nylago-theme',
             NOTIFICATIONS: 'nylago-notifications'
         };
@@ -19,6 +20,7 @@ class NYLASharedSettings {
             LANGUAGE: 'en',
             USERNAME: '',
             CUSTOM_TOKENS: [],
+            CONTACTS: [],
             THEME: 'dark',
             NOTIFICATIONS: true
         };
@@ -88,7 +90,7 @@ class NYLASharedSettings {
 
     /**
      * Get custom tokens
-     * @returns {Array} Array of custom token symbols
+     * @returns {Array} Custom token entries ({ symbol, chain, address, decimals }, see NYLATokenRegistry)
      */
     getCustomTokens() {
         try {
@@ -102,7 +104,7 @@ class NYLASharedSettings {
 
     /**
      * Set custom tokens
-     * @param {Array} tokens - Array of custom token symbols
+     * @param {Array} tokens - Custom token entries ({ symbol, chain, address, decimals })
      */
     setCustomTokens(tokens) {
         if (!Array.isArray(tokens)) {
@@ -120,6 +122,40 @@ class NYLASharedSettings {
         return true;
     }
 
+    /**
+     * Get address book contacts
+     * @returns {Array} Contacts ({ handle, nickname, chain, token, lastUsed }, see NYLAAddressBook)
+     */
+    getContacts() {
+        try {
+            const saved = localStorage.getItem(this.KEYS.CONTACTS);
+            return saved ? JSON.parse(saved) : this.DEFAULTS.CONTACTS;
+        } catch (error) {
+            console.error('❌ Failed to parse contacts:', error);
+            return this.DEFAULTS.CONTACTS;
+        }
+    }
+
+    /**
+     * Set address book contacts
+     * @param {Array} contacts - Contacts ({ handle, nickname, chain, token, lastUsed })
+     */
+    setContacts(contacts) {
+        if (!Array.isArray(contacts)) {
+            console.error('❌ Contacts must be an array');
+            return false;
+        }
+
+        localStorage.setItem(this.KEYS.CONTACTS, JSON.stringify(contacts));
+        
+        // Dispatch event
+        window.dispatchEvent(new CustomEvent('nyla-contacts-changed', { 
+            detail: { contacts } 
+        }));
+        
+        return true;
+    }
+
     /**
      * Get theme preference
      * @returns {string} Theme name ('dark' or 'light')
@@ -181,6 +217,7 @@ class NYLASharedSettings {
             language: this.getLanguage(),
             username: this.getUsername(),
             customTokens: this.getCustomTokens(),
+            contacts: this.getContacts(),
             theme: this.getTheme(),
             notifications: this.getNotifications()
         };
@@ -220,6 +257,7 @@ class NYLASharedSettings {
             if (settings.language) this.setLanguage(settings.language);
             if (settings.username) this.setUsername(settings.username);
             if (settings.customTokens) this.setCustomTokens(settings.customTokens);
+            if (settings.contacts) this.setContacts(settings.contacts);
             if (settings.theme) this.setTheme(settings.theme);
             if (settings.notifications !== undefined) this.setNotifications(settings.notifications);
             
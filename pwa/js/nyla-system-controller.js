@@ -17,14 +17,10 @@ class NYLASystemController {
       return;
     }
 
-    // Check if iOS device - disable NYLA tab due to WebGPU limitations
-    const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent) || 
-                  (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
-    
-    if (isIOS) {
-      console.log('NYLA System: iOS detected - NYLA tab disabled (WebGPU not supported)');
-      this.showIOSMessage();
-      return;
+    // Without WebGPU (e.g. iOS) there is no local model: NYLA uses a remote provider when one answers,
+    // otherwise it composes answers from its knowledge base
+    if (!navigator.gpu) {
+      console.log('NYLA System: WebGPU not supported - answering with a remote provider or from the knowledge base');
     }
 
     this.initializationAttempts++;
@@ -75,7 +71,6 @@ class NYLASystemController {
       NYLAConversationManagerV2: typeof window.NYLAConversationManagerV2 !== 'undefined',
       NYLAAssistantUIV2: typeof window.NYLAAssistantUIV2 !== 'undefined',
       // NYLAKnowledgeBase removed - using structured KB via RAG system
-      NYLALLMEngine: typeof window.NYLALLMEngine !== 'undefined',
       NYLAWebFetcher: typeof window.NYLAWebFetcher !== 'undefined'
     };
 
@@ -84,6 +79,10 @@ class NYLASystemController {
       console.log(`NYLA System: ${dep}: ${available ? '✅ Available' : '❌ Missing'}`);
     });
 
+    // Optional: without the WebLLM engine NYLA answers from its knowledge base
+    const hasLLMEngine = typeof window.NYLALLMEngine !== 'undefined';
+    console.log(`NYLA System: NYLALLMEngine: ${hasLLMEngine ? '✅ Available' : '⚠️ Missing (knowledge base answers only)'}`);
+
     return deps;
   }
 
@@ -164,8 +163,13 @@ class NYLASystemController {
       const llmConfig = window.NYLALLMConfig;
       const currentProvider = llmConfig ? llmConfig.getCurrentProviderName() : 'unknown';
       
-      if (currentProvider === 'hosted') {
-        console.log('NYLA System: 🚀 Using hosted LLM - skipping WebLLM preload');
+      if (llmConfig && !llmConfig.isLocalProvider()) {
+        console.log(`NYLA System: 🚀 Using ${currentProvider} LLM - skipping WebLLM preload`);
+        return;
+      }
+      
+      if (!navigator.gpu) {
+        console.log('NYLA System: ⚠️ WebGPU not supported - skipping WebLLM preload');
         return;
       }
       
@@ -189,42 +193,6 @@ class NYLASystemController {
     }
   }
 
-  /**
-   * Show iOS-specific message explaining why NYLA is disabled
-   */
-  showIOSMessage() {
-    const nylaTab = document.getElementById('nylaTab');
-    if (nylaTab) {
-      nylaTab.innerHTML = `
-        <div class="nyla-ios-container">
-          <div class="nyla-ios-message">
-            <h3>🍎 NYLA on iOS</h3>
-            <p>NYLA AI assistant is currently unavailable on iOS devices.</p>
-            <div class="ios-explanation">
-              <p><strong>Why?</strong></p>
-              <ul style="margin: 8px 0; padding-left: 20px; text-align: left;">
-                <li>NYLA requires WebGPU for AI processing</li>
-                <li>iOS Safari doesn't yet support WebGPU</li>
-                <li>CPU-only processing would be too slow</li>
-              </ul>
-            </div>
-            <div class="ios-alternatives">
-              <p><strong>You can still:</strong></p>
-              <ul style="margin: 8px 0; padding-left: 20px; text-align: left;">
-                <li>✅ Create transfer commands (Send tab)</li>
-                <li>✅ Generate QR codes (Receive tab)</li>
-                <li>✅ Access community features (Raid tab)</li>
-              </ul>
-            </div>
-            <p style="margin-top: 16px; font-size: 14px; color: #888;">
-              NYLA will be available on iOS when WebGPU support arrives! 🚀
-            </p>
-          </div>
-        </div>
-      `;
-    }
-  }
-
   /**
    * Get system status
    */
@@ -0,0 +1,316 @@
+/**
+ * NYLA Token Registry
+ * Which tokens exist on which chain, with contract addresses / ASA ids and decimals,
+ * derived from the knowledge base facts files (kb/facts/contracts.<chain>.json).
+ * Used by Extension and PWA to fill per-chain token dropdowns, validate amounts
+ * against token decimals and describe user-added custom tokens.
+ *
+ * Custom token entry: { symbol, chain, address?, decimals? }
+ * - chain null marks a legacy symbol-only entry, listed on every chain
+ * - address is a contract/mint address, or the ASA id on Algorand
+ */
+
+class NYLATokenRegistry {
+  static FACTS_FILES = {
+    Solana: 'kb/facts/contracts.solana.json',
+    Ethereum: 'kb/facts/contracts.ethereum.json',
+    Algorand: 'kb/facts/contracts.algorand.json'
+  };
+
+  // Available even when the facts files cannot be loaded; facts entries take precedence.
+  // NYLA is not in the contracts facts; its mint is listed in kb/about/team.json.
+  static BUILTIN_TOKENS = [
+    { symbol: 'NYLA', name: 'Agent NYLA', chain: 'Solana', address: '3HeUeL8ru8DFfRRQGnE11vGrDdNUzqVwBW8hyYHBbonk', decimals: 6, type: 'spl_token' },
+    { symbol: 'SOL', name: 'Solana', chain: 'Solana', address: null, decimals: 9, type: 'native' },
+    { symbol: 'ETH', name: 'Ethereum', chain: 'Ethereum', address: null, decimals: 18, type: 'native' },
+    { symbol: 'ALGO', name: 'Algorand', chain: 'Algorand', address: null, assetId: '0', decimals: 6, type: 'native' }
+  ];
+
+  // Contract address formats per chain (Algorand tokens are identified by ASA id)
+  static ADDRESS_PATTERNS = {
+    Solana: /^[1-9A-HJ-NP-Za-km-z]{32,44}$/,
+    Ethereum: /^0x[0-9a-fA-F]{40}$/,
+    Algorand: /^[1-9]\d{0,19}$/
+  };
+
+  static MAX_DECIMALS = 19;
+
+  static MESSAGES = {
+    symbolEmpty: 'Please enter a token symbol',
+    symbolTooLong: 'Token symbol must be 10 characters or less',
+    symbolInvalid: 'Token symbol can only contain letters and numbers',
+    chainInvalid: 'Please select a supported blockchain',
+    duplicate: 'Token already exists on this blockchain',
+    addressInvalid: {
+      Solana: 'Please enter a valid Solana mint address',
+      Ethereum: 'Please enter a valid 0x contract address',
+      Algorand: 'Please enter a valid ASA id'
+    },
+    decimalsInvalid: 'Decimals must be a whole number from 0 to 19'
+  };
+
+  /**
+   * @param {Object} factsByChain - { Solana: contracts.solana.json, ... } parsed facts files
+   * @param {Array} customTokens - Stored custom token entries (legacy symbol strings are accepted)
+   */
+  constructor(factsByChain = {}, customTokens = []) {
+    this.tokens = {};
+    NYLACommandGrammar.SUPPORTED_CHAINS.forEach(chain => {
+      const builtins = NYLATokenRegistry.BUILTIN_TOKENS.filter(token => token.chain === chain);
+      const facts = NYLATokenRegistry.tokensFromFacts(chain, factsByChain[chain]);
+      // Facts replace built-ins of the same symbol but keep the built-in position (NYLA first on Solana)
+      const merged = builtins.map(token => facts.find(fact => fact.symbol.toUpperCase() === token.symbol.toUpperCase()) || token);
+      facts.forEach(fact => {
+        if (!merged.includes(fact)) merged.push(fact);
+      });
+      this.tokens[chain] = merged;
+    });
+    this.setCustomTokens(customTokens);
+  }
+
+  /**
+   * Build a registry from the facts files (browser)
+   * A chain whose file fails to load keeps its built-in tokens.
+   * @param {string} basePath - Prefix for FACTS_FILES ('' in the PWA, 'pwa/' in the extension)
+   * @param {Array} customTokens - Stored custom token entries
+   * @returns {Promise<NYLATokenRegistry>}
+   */
+  static async load(basePath = '', customTokens = []) {
+    const factsByChain = {};
+    await Promise.all(Object.entries(this.FACTS_FILES).map(async ([chain, file]) => {
+      try {
+        const response = await fetch(basePath + file);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        factsByChain[chain] = await response.json();
+      } catch (error) {
+        console.warn(`NYLA Tokens: Could not load ${chain} contracts, using built-in tokens:`, error.message);
+      }
+    }));
+    return new NYLATokenRegistry(factsByChain, customTokens);
+  }
+
+  /**
+   * Token entries listed in a contracts facts file
+   * @param {string} chain - Chain the file describes
+   * @param {Object} facts - Parsed contracts.<chain>.json
+   * @returns {Array} [{ symbol, name, chain, address, assetId?, decimals, type }]
+   */
+  static tokensFromFacts(chain, facts) {
+    if (!facts || !Array.isArray(facts.chunks)) return [];
+
+    return facts.chunks
+      .flatMap(chunk => (Array.isArray(chunk.contracts) ? chunk.contracts : []))
+      .filter(contract => contract && contract.symbol && Number.isInteger(contract.decimals))
+      .map(contract => {
+        const token = {
+          symbol: contract.symbol,
+          name: contract.name || contract.symbol,
+          chain,
+          address: contract.address && contract.address !== 'native' ? contract.address : null,
+          decimals: contract.decimals,
+          type: contract.type || 'token'
+        };
+        if (contract.asset_id !== undefined) token.assetId = String(contract.asset_id);
+        return token;
+      });
+  }
+
+  /**
+   * Normalise stored custom tokens; plain symbol strings from older versions become chain-less entries
+   * @param {Array} stored - Stored entries
+   * @returns {Array} [{ symbol, chain, address, decimals, custom: true }]
+   */
+  static normalizeCustomTokens(stored) {
+    if (!Array.isArray(stored)) return [];
+
+    return stored
+      .map(entry => (typeof entry === 'string' ? { symbol: entry, chain: null } : entry))
+      .filter(entry => entry && typeof entry.symbol === 'string' && entry.symbol.trim())
+      .map(entry => ({
+        symbol: entry.symbol.trim().toUpperCase(),
+        chain: entry.chain ? NYLACommandGrammar.canonicalChain(entry.chain) : null,
+        address: entry.address ? String(entry.address).trim() : null,
+        decimals: Number.isInteger(entry.decimals) ? entry.decimals : null,
+        custom: true
+      }));
+  }
+
+  setCustomTokens(customTokens) {
+    this.customTokens = NYLATokenRegistry.normalizeCustomTokens(customTokens);
+  }
+
+  /**
+   * @returns {Array} Custom token entries, for storage
+   */
+  getCustomTokens() {
+    return this.customTokens.map(({ symbol, chain, address, decimals }) => ({ symbol, chain, address, decimals }));
+  }
+
+  /**
+   * Tokens available on a chain: registry tokens first, then custom tokens
+   * @param {string} chain - Blockchain name
+   * @returns {Array} Token entries
+   */
+  getTokens(chain) {
+    const canonical = NYLACommandGrammar.canonicalChain(chain) || NYLACommandGrammar.DEFAULT_CHAIN;
+    const tokens = this.tokens[canonical].slice();
+    this.customTokens.forEach(custom => {
+      if ((custom.chain === null || custom.chain === canonical) &&
+          !tokens.some(token => token.symbol.toUpperCase() === custom.symbol)) {
+        tokens.push({ ...custom, chain: canonical });
+      }
+    });
+    return tokens;
+  }
+
+  /**
+   * @returns {string[]} Token symbols for a chain's dropdown
+   */
+  getSymbols(chain) {
+    return this.getTokens(chain).map(token => token.symbol);
+  }
+
+  /**
+   * Look up a token on a chain (symbols match case-insensitively, e.g. "$GOBTC" finds goBTC)
+   * @returns {Object|null} Token entry
+   */
+  find(chain, symbol) {
+    const wanted = String(symbol || '').replace(/^\$/, '').toUpperCase();
+    return this.getTokens(chain).find(token => token.symbol.toUpperCase() === wanted) || null;
+  }
+
+  /**
+   * Symbol selected by default when a chain is picked (NYLA on Solana, otherwise the native token)
+   */
+  getDefaultSymbol(chain) {
+    return this.getSymbols(chain)[0];
+  }
+
+  /**
+   * Select a token in a chain's dropdown, in registry casing (GOBTC -> goBTC)
+   * A token the chain does not list is added as an option, so filling a form from the chat
+   * or the history never leaves the previous token selected.
+   * @param {HTMLSelectElement} select - Token dropdown
+   * @param {string} chain - Blockchain name
+   * @param {string} symbol - Token symbol
+   * @returns {string} Selected symbol
+   */
+  selectToken(select, chain, symbol) {
+    const known = this.find(chain, symbol);
+    const value = known ? known.symbol : String(symbol).replace(/^\$/, '');
+    if (!Array.from(select.options).some(option => option.value === value)) {
+      const option = select.ownerDocument.createElement('option');
+      option.value = value;
+      option.textContent = value;
+      select.appendChild(option);
+    }
+    select.value = value;
+    return value;
+  }
+
+  /**
+   * Check that an amount fits the token's decimals
+   * @param {string} amount - Amount as typed
+   * @param {string} chain - Blockchain name
+   * @param {string} symbol - Token symbol
+   * @returns {string|null} Error message, or null when valid or the decimals are unknown
+   */
+  validateAmount(amount, chain, symbol) {
+    const token = this.find(chain, symbol);
+    if (!token || !Number.isInteger(token.decimals)) return null;
+
+    const fraction = (String(amount || '').trim().split('.')[1] || '').replace(/0+$/, '');
+    if (fraction.length <= token.decimals) return null;
+    return token.decimals === 0 ?
+      `${token.symbol} only supports whole amounts` :
+      `${token.symbol} supports up to ${token.decimals} decimal places`;
+  }
+
+  /**
+   * Validate a custom token before adding it
+   * @param {Object} token - { symbol, chain, address?, decimals? } as entered
+   * @returns {Object} { valid, errors: { symbol?, chain?, address?, decimals? }, token: normalised entry }
+   */
+  validateCustomToken({ symbol, chain, address = '', decimals = '' }) {
+    const { MESSAGES, ADDRESS_PATTERNS } = NYLATokenRegistry;
+    const errors = {};
+    const cleanSymbol = String(symbol || '').trim().replace(/^\$/, '').toUpperCase();
+    const cleanChain = NYLACommandGrammar.canonicalChain(chain);
+    const cleanAddress = String(address || '').trim();
+    const decimalsText = String(decimals === null || decimals === undefined ? '' : decimals).trim();
+
+    if (!cleanSymbol) {
+      errors.symbol = MESSAGES.symbolEmpty;
+    } else if (cleanSymbol.length > 10) {
+      errors.symbol = MESSAGES.symbolTooLong;
+    } else if (!/^[A-Z0-9]+$/.test(cleanSymbol)) {
+      errors.symbol = MESSAGES.symbolInvalid;
+    }
+
+    if (!cleanChain) {
+      errors.chain = MESSAGES.chainInvalid;
+    } else {
+      if (!errors.symbol && this.find(cleanChain, cleanSymbol)) {
+        errors.symbol = MESSAGES.duplicate;
+      }
+      if (cleanAddress && !ADDRESS_PATTERNS[cleanChain].test(cleanAddress)) {
+        errors.address = MESSAGES.addressInvalid[cleanChain];
+      }
+    }
+
+    if (decimalsText && !(/^\d+$/.test(decimalsText) && Number(decimalsText) <= NYLATokenRegistry.MAX_DECIMALS)) {
+      errors.decimals = MESSAGES.decimalsInvalid;
+    }
+
+    return {
+      valid: Object.keys(errors).length === 0,
+      errors,
+      token: {
+        symbol: cleanSymbol,
+        chain: cleanChain,
+        address: cleanAddress || null,
+        decimals: decimalsText && !errors.decimals ? Number(decimalsText) : null
+      }
+    };
+  }
+
+  /**
+   * Add a validated custom token
+   * @returns {Object} Validation result as for validateCustomToken
+   */
+  addCustomToken(token) {
+    const result = this.validateCustomToken(token);
+    if (result.valid) {
+      this.customTokens.push({ ...result.token, custom: true });
+    }
+    return result;
+  }
+
+  /**
+   * Remove a custom token
+   * @param {string} symbol - Token symbol
+   * @param {string|null} chain - Chain of the entry (null for legacy entries)
+   */
+  removeCustomToken(symbol, chain) {
+    this.customTokens = this.customTokens.filter(token => !(token.symbol === symbol && token.chain === (chain || null)));
+  }
+
+  /**
+   * Short label for a token's on-chain id, e.g. "EPjF…Dt1v" or "ASA 31566704"
+   */
+  static describeAddress(token) {
+    if (token.type === 'native') return 'Native';
+    if (token.chain === 'Algorand' && (token.assetId || token.address)) {
+      return `ASA ${token.assetId || token.address}`;
+    }
+    if (!token.address) return '';
+    return `${token.address.slice(0, 4)}…${token.address.slice(-4)}`;
+  }
+}
+
+// Export for both Node.js and Browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NYLATokenRegistry;
+} else if (typeof window !== 'undefined') {
+  window.NYLATokenRegistry = NYLATokenRegistry;
+}
@@ -0,0 +1,332 @@
+/**
+ * NYLA Transfer History
+ * Local log of the commands NYLA Go generated, for a History view, "repeat" and accounting exports.
+ * Nothing leaves the device: entries live in chrome.storage.local (Extension) or IndexedDB (PWA).
+ *
+ * Entry: { id, timestamp, action, amount, token, toToken, chain, recipient, command, delivery }
+ * - action: transfer | swap | request (a Receive payment request shared by the user)
+ * - delivery: how the command left NYLA Go (see DELIVERY)
+ */
+
+class NYLATransferHistory {
+  static STORAGE_KEY = 'nylaGoTransferHistory';
+  static DB_NAME = 'NYLAGoHistory';
+  static STORE_NAME = 'transfers';
+  static MAX_ENTRIES = 500;
+
+  static ACTIONS = ['transfer', 'swap', 'request'];
+
+  static DELIVERY = {
+    INJECTED: 'injected',
+    COMPOSE_URL: 'compose-url',
+    QR: 'qr',
+    SHARE: 'share'
+  };
+
+  static DELIVERY_LABELS = {
+    injected: 'Inserted on X.com',
+    'compose-url': 'X.com compose link',
+    qr: 'QR code',
+    share: 'Shared link'
+  };
+
+  static CSV_COLUMNS = ['timestamp', 'action', 'amount', 'token', 'toToken', 'chain', 'recipient', 'delivery', 'command'];
+
+  /**
+   * @param {Object} storage - { getAll, put, remove, clear } adapter, defaults to the platform's storage
+   */
+  constructor(storage = NYLATransferHistory.createStorage()) {
+    this.storage = storage;
+  }
+
+  /**
+   * Storage for the current platform: chrome.storage.local, then IndexedDB, then memory
+   */
+  static createStorage() {
+    if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
+      return this.chromeStorage();
+    }
+    if (typeof indexedDB !== 'undefined' && indexedDB !== null) {
+      return this.indexedDBStorage();
+    }
+    return this.memoryStorage();
+  }
+
+  /**
+   * One chrome.storage item per entry, keyed `${STORAGE_KEY}:${id}` (shared by popup and content script).
+   * Each write only touches its own item, so records from different extension contexts cannot drop each
+   * other's entry. A history saved as one array under STORAGE_KEY is split into items first.
+   */
+  static chromeStorage() {
+    const legacyKey = this.STORAGE_KEY;
+    const prefix = `${legacyKey}:`;
+    const local = chrome.storage.local;
+
+    let migration = null;
+    const migrate = () => {
+      migration = migration || (async () => {
+        const legacy = (await local.get([legacyKey]))[legacyKey];
+        if (!Array.isArray(legacy)) return;
+        await local.set(Object.fromEntries(legacy.map(entry => [prefix + entry.id, entry])));
+        await local.remove(legacyKey);
+      })().catch(error => {
+        migration = null;
+        throw error;
+      });
+      return migration;
+    };
+
+    const readKeys = async () => {
+      await migrate();
+      const items = await local.get(null);
+      return Object.keys(items).filter(key => key.startsWith(prefix)).map(key => [key, items[key]]);
+    };
+
+    return {
+      getAll: async () => (await readKeys()).map(([, entry]) => entry),
+      put: async entry => {
+        await migrate();
+        await local.set({ [prefix + entry.id]: entry });
+      },
+      remove: async id => {
+        await migrate();
+        await local.remove(prefix + id);
+      },
+      clear: async () => local.remove((await readKeys()).map(([key]) => key))
+    };
+  }
+
+  /**
+   * One record per entry, keyed by id
+   */
+  static indexedDBStorage() {
+    let dbPromise = null;
+    const open = () => {
+      if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+          const request = indexedDB.open(this.DB_NAME, 1);
+          request.onerror = () => reject(request.error);
+          request.onsuccess = () => resolve(request.result);
+          request.onupgradeneeded = event => {
+            const db = event.target.result;
+            if (!db.objectStoreNames.contains(this.STORE_NAME)) {
+              const store = db.createObjectStore(this.STORE_NAME, { keyPath: 'id' });
+              store.createIndex('timestamp', 'timestamp', { unique: false });
+            }
+          };
+        });
+      }
+      return dbPromise;
+    };
+    const run = async (mode, operation) => {
+      const db = await open();
+      return new Promise((resolve, reject) => {
+        const request = operation(db.transaction([this.STORE_NAME], mode).objectStore(this.STORE_NAME));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    };
+
+    return {
+      getAll: () => run('readonly', store => store.getAll()),
+      put: entry => run('readwrite', store => store.put(entry)),
+      remove: id => run('readwrite', store => store.delete(id)),
+      clear: () => run('readwrite', store => store.clear())
+    };
+  }
+
+  /**
+   * Non-persistent storage (tests, browsers without IndexedDB)
+   */
+  static memoryStorage(initial = []) {
+    let entries = initial.slice();
+    return {
+      getAll: async () => entries.slice(),
+      put: async entry => {
+        entries = [...entries.filter(item => item.id !== entry.id), entry];
+      },
+      remove: async id => {
+        entries = entries.filter(item => item.id !== id);
+      },
+      clear: async () => {
+        entries = [];
+      }
+    };
+  }
+
+  /**
+   * Build a history entry from form fields
+   * @param {Object} fields - { action, amount, token, toToken?, chain, recipient?, delivery, timestamp? }
+   * @returns {Object} Entry with the generated command
+   */
+  static createEntry({ action, amount, token, toToken = null, chain, recipient = null, delivery, timestamp = Date.now() }) {
+    if (!this.ACTIONS.includes(action)) {
+      throw new Error(`Unknown history action "${action}"`);
+    }
+    if (!Object.values(this.DELIVERY).includes(delivery)) {
+      throw new Error(`Unknown delivery method "${delivery}"`);
+    }
+
+    const canonicalChain = NYLACommandGrammar.canonicalChain(chain);
+    if (!canonicalChain) {
+      throw new Error(`Unsupported blockchain "${chain}"`);
+    }
+    const handle = recipient ? NYLACommandGrammar.normalizeHandle(recipient) : null;
+    const command = action === 'swap' ?
+      NYLACommandGrammar.buildSwap({ amount, fromToken: token, toToken, chain: canonicalChain }) :
+      NYLACommandGrammar.buildTransfer({ amount, token, recipient: handle, chain: canonicalChain });
+
+    return {
+      id: `${timestamp.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      timestamp,
+      action,
+      amount: String(amount).trim(),
+      token,
+      toToken: action === 'swap' ? toToken : null,
+      chain: canonicalChain,
+      recipient: action === 'swap' ? null : handle,
+      command,
+      delivery
+    };
+  }
+
+  /**
+   * Store a new entry, dropping the oldest beyond MAX_ENTRIES
+   * @returns {Promise<Object>} The stored entry
+   */
+  async record(fields) {
+    const entry = NYLATransferHistory.createEntry(fields);
+    await this.storage.put(entry);
+
+    const entries = await this.storage.getAll();
+    if (entries.length > NYLATransferHistory.MAX_ENTRIES) {
+      const oldest = NYLATransferHistory.sortNewestFirst(entries).slice(NYLATransferHistory.MAX_ENTRIES);
+      await Promise.all(oldest.map(item => this.storage.remove(item.id)));
+    }
+    return entry;
+  }
+
+  /**
+   * @param {Object} filters - See filter()
+   * @returns {Promise<Array>} Matching entries, newest first
+   */
+  async list(filters = {}) {
+    const entries = await this.storage.getAll();
+    return NYLATransferHistory.filter(NYLATransferHistory.sortNewestFirst(entries), filters);
+  }
+
+  remove(id) {
+    return this.storage.remove(id);
+  }
+
+  clear() {
+    return this.storage.clear();
+  }
+
+  static sortNewestFirst(entries) {
+    return entries.slice().sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  /**
+   * Filter entries for the History view
+   * @param {Array} entries - History entries
+   * @param {Object} filters - { query, action, chain, token, delivery, from, to } where query matches
+   *   recipient, tokens or amount (case-insensitive) and from/to are timestamps (inclusive)
+   * @returns {Array} Matching entries in their original order
+   */
+  static filter(entries, { query = '', action = '', chain = '', token = '', delivery = '', from = null, to = null } = {}) {
+    const needle = String(query).trim().toLowerCase().replace(/^[@$]/, '');
+
+    return entries.filter(entry => {
+      if (action && entry.action !== action) return false;
+      if (chain && entry.chain !== chain) return false;
+      if (delivery && entry.delivery !== delivery) return false;
+      if (token && ![entry.token, entry.toToken].some(symbol => symbol && symbol.toUpperCase() === token.toUpperCase())) {
+        return false;
+      }
+      if (from !== null && entry.timestamp < from) return false;
+      if (to !== null && entry.timestamp > to) return false;
+      if (!needle) return true;
+
+      return [entry.recipient, entry.token, entry.toToken, entry.amount]
+        .filter(Boolean)
+        .some(value => value.toLowerCase().replace(/^@/, '').includes(needle));
+    });
+  }
+
+  /**
+   * One-line summary, e.g. "Transfer 10 NYLA to @alice on Solana"
+   */
+  static describe(entry) {
+    if (entry.action === 'swap') {
+      return `Swap ${entry.amount} ${entry.token} for ${entry.toToken} on ${entry.chain}`;
+    }
+    const verb = entry.action === 'request' ? `Request ${entry.amount} ${entry.token} as` : `Transfer ${entry.amount} ${entry.token} to`;
+    return `${verb} ${entry.recipient} on ${entry.chain}`;
+  }
+
+  /**
+   * Form fields to prefill when repeating an entry
+   * @returns {Object} { action, amount, token, toToken, chain, recipient }
+   */
+  static getRepeatFields(entry) {
+    const { action, amount, token, toToken, chain, recipient } = entry;
+    return { action, amount, token, toToken, chain, recipient };
+  }
+
+  /**
+   * CSV for spreadsheets and accounting tools (timestamps in ISO 8601 UTC)
+   */
+  static toCSV(entries) {
+    const rows = entries.map(entry => this.CSV_COLUMNS.map(column => {
+      if (column === 'timestamp') return new Date(entry.timestamp).toISOString();
+      // Handles without "@" so spreadsheets do not read them as formulas
+      if (column === 'recipient') return (entry.recipient || '').replace(/^@/, '');
+      return entry[column] === null || entry[column] === undefined ? '' : String(entry[column]);
+    }));
+
+    return [this.CSV_COLUMNS, ...rows]
+      .map(row => row.map(value => this.escapeCSV(value)).join(','))
+      .join('\r\n') + '\r\n';
+  }
+
+  static escapeCSV(value) {
+    // Cells starting with = + - @ are evaluated by spreadsheets; prefix them so they stay text
+    const safe = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+    return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+  }
+
+  static toJSON(entries) {
+    return JSON.stringify({
+      format: 'nylago-transfer-history',
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      entries
+    }, null, 2);
+  }
+
+  /**
+   * Export file name, e.g. "nylago-history-2025-01-31.csv"
+   */
+  static getFileName(extension, date = new Date()) {
+    return `nylago-history-${date.toISOString().slice(0, 10)}.${extension}`;
+  }
+
+  /**
+   * Export blob for download
+   * @param {Array} entries - Entries to export
+   * @param {string} format - 'csv' or 'json'
+   */
+  static toBlob(entries, format) {
+    return format === 'csv' ?
+      new Blob([this.toCSV(entries)], { type: 'text/csv;charset=utf-8' }) :
+      new Blob([this.toJSON(entries)], { type: 'application/json' });
+  }
+}
+
+// Export for both Node.js and Browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NYLATransferHistory;
+} else if (typeof window !== 'undefined') {
+  window.NYLATransferHistory = NYLATransferHistory;
+}
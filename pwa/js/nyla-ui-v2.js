@@ -14,12 +14,16 @@ class NYLAAssistantUIV2 {
     this.currentMessage = null;
     this.isTyping = false;
     this.typingSpeed = 15; // milliseconds per character (faster typing)
+    this.activeAnswer = null; // AbortController of the answer in progress, aborted by the Stop control
+    this.answerVersions = new Map(); // answer id -> { questionId, questionText, versions, current } for regenerated answers
+    this.chatActions = new WeakMap(); // confirmation card -> action prepared from the chat (NYLAChatActions)
     
     this.elements = {
       chatContainer: null,
       messagesContainer: null,
       questionsContainer: null,
       typingIndicator: null,
+      stopButton: null,
       stickerContainer: null
     };
     
@@ -222,6 +226,7 @@ class NYLAAssistantUIV2 {
     this.elements.messagesContainer = document.getElementById('nylaMessages');
     this.elements.questionsContainer = document.getElementById('nylaQuestions');
     this.elements.typingIndicator = document.getElementById('nylaTyping');
+    this.elements.stopButton = document.getElementById('nylaStopButton');
     this.elements.stickerContainer = document.getElementById('nylaStickerContainer');
     this.elements.sticker = document.getElementById('nylaSticker');
     this.elements.userInputContainer = document.getElementById('nylaUserInputContainer');
@@ -277,6 +282,31 @@ class NYLAAssistantUIV2 {
       });
     }
 
+    // Regenerate and version navigation on NYLA answers
+    if (this.elements.messagesContainer) {
+      this.elements.messagesContainer.addEventListener('click', (e) => {
+        const button = e.target.closest('.answer-actions button');
+        if (button) {
+          this.handleAnswerAction(button);
+        }
+        const actionButton = e.target.closest('.chat-action-card button');
+        if (actionButton) {
+          this.handleChatActionClick(actionButton);
+        }
+        const citationMarker = e.target.closest('.citation-marker');
+        if (citationMarker) {
+          this.showCitation(citationMarker);
+        }
+      });
+    }
+
+    // Stop the answer in progress
+    if (this.elements.stopButton) {
+      this.elements.stopButton.addEventListener('click', () => {
+        this.stopAnswer();
+      });
+    }
+
     // Tab switching
     document.addEventListener('click', (e) => {
       if (e.target.getAttribute('data-tab') === 'nyla') {
@@ -1169,10 +1199,12 @@ class NYLAAssistantUIV2 {
 
   /**
    * Process streaming question with live text updates
+   * When stopped, the text streamed so far stays in the chat as the answer (response.stopped)
    */
   async processStreamingQuestion(questionId, questionText, topic) {
     console.log('NYLA UI V2: Starting streaming question processing...');
     
+    const signal = this.startAnswer();
     let streamingMessageElement = null;
     let accumulatedText = '';
     
@@ -1217,6 +1249,14 @@ class NYLAAssistantUIV2 {
           displayText = fullText;
         }
         
+        // Tool calls become a confirmation card, not text
+        if (typeof NYLAChatActions !== 'undefined') {
+          displayText = NYLAChatActions.stripToolCalls(displayText);
+        }
+        
+        // Unverified addresses are not shown while streaming either
+        displayText = this.checkFacts(displayText).text;
+        
         // Update the streaming message content immediately
         this.updateStreamingMessage(streamingMessageElement, displayText);
         
@@ -1230,7 +1270,20 @@ class NYLAAssistantUIV2 {
     
     try {
       // Process with streaming callback
-      const response = await this.conversation.processWithLLM(questionId, questionText, onStreamChunk);
+      const response = await this.conversation.processWithLLM(
+        questionId, questionText, topic ? [topic] : null, onStreamChunk, { signal }
+      );
+      
+      if (response.stopped) {
+        console.log('NYLA UI V2: ⏹️ Streaming response stopped');
+        this.hideTyping();
+        if (streamingMessageElement) {
+          this.markStreamingMessageStopped(streamingMessageElement);
+        } else {
+          await this.displayMessage(this.normalizeResponseFormat(response), 'nyla');
+        }
+        return response;
+      }
       
       console.log('NYLA UI V2: ✅ Streaming response completed');
       
@@ -1252,6 +1305,8 @@ class NYLAAssistantUIV2 {
       }
       
       throw error;
+    } finally {
+      this.finishAnswer(signal);
     }
   }
 
@@ -1277,6 +1332,15 @@ class NYLAAssistantUIV2 {
     return messageDiv;
   }
 
+  /**
+   * Keep a stopped streaming message as the final answer
+   */
+  markStreamingMessageStopped(messageElement) {
+    messageElement.classList.remove('streaming');
+    messageElement.querySelector('.streaming-cursor')?.remove();
+    messageElement.appendChild(this.createStoppedMarker());
+  }
+
   /**
    * Update streaming message content
    */
@@ -1414,11 +1478,12 @@ class NYLAAssistantUIV2 {
 
     // Show typing indicator
     this.showTyping();
+    const signal = this.startAnswer();
 
     try {
       // Process the question - let conversation manager handle timeouts
       console.log('NYLA UI V2: Processing question...');
-      const response = await this.conversation.processQuestion(questionId, questionText);
+      const response = await this.conversation.processQuestion(questionId, questionText, null, { signal });
       
       // Hide typing indicator
       this.hideTyping();
@@ -1445,7 +1510,8 @@ class NYLAAssistantUIV2 {
           await this.displayMessage({
             text: mainResponse,
             sentiment: normalizedResponse.sentiment,
-            confidence: normalizedResponse.confidence
+            confidence: normalizedResponse.confidence,
+            answeredBy: normalizedResponse.answeredBy
           }, 'nyla');
         }
         
@@ -1454,8 +1520,13 @@ class NYLAAssistantUIV2 {
           await this.showPersonalCarePrompt(carePrompt, careType);
         }
       } else {
-        // Display NYLA's response normally
-        await this.displayMessage(normalizedResponse, 'nyla');
+        // Display NYLA's response normally; a prepared action is confirmed instead of regenerated
+        const messageElement = await this.displayMessage(normalizedResponse, 'nyla');
+        if (response.chatAction) {
+          this.addChatActionCard(messageElement, response.chatAction);
+        } else {
+          this.addAnswerActions(messageElement, questionId, questionText, response, normalizedResponse);
+        }
       }
       
       // Show sticker if available
@@ -1463,8 +1534,10 @@ class NYLAAssistantUIV2 {
         this.showSticker(response.sticker);
       }
       
-      // Display follow-up questions (unless in personal care mode)
-      if (!this.personalCareMode) {
+      // A stopped answer has no follow-ups: the previous questions stay usable
+      if (response.stopped) {
+        this.enableQuestionButtons();
+      } else if (!this.personalCareMode) {
         console.log('NYLA UI V2: About to display followUps:', response.followUps);
         console.log('NYLA UI V2: FollowUps type:', typeof response.followUps);
         console.log('NYLA UI V2: FollowUps length:', response.followUps ? response.followUps.length : 'undefined');
@@ -1475,8 +1548,14 @@ class NYLAAssistantUIV2 {
       this.updateStats();
       
     } catch (error) {
-      console.error('NYLA UI V2: Question processing failed', error);
       this.hideTyping();
+      if (error.name === 'AbortError') {
+        console.log('NYLA UI V2: ⏹️ Question stopped before the answer arrived');
+        await this.displayMessage({ text: '', stopped: true }, 'nyla');
+        this.enableQuestionButtons();
+        return;
+      }
+      console.error('NYLA UI V2: Question processing failed', error);
       
       let errorResponse;
       if (error.message.includes('timeout')) {
@@ -1512,6 +1591,8 @@ class NYLAAssistantUIV2 {
       }
       await this.displayMessage(errorResponse.answer, 'nyla');
       this.displayQuestions(errorResponse.followUps);
+    } finally {
+      this.finishAnswer(signal);
     }
   }
 
@@ -1527,6 +1608,9 @@ class NYLAAssistantUIV2 {
       };
     }
 
+    // Engine that answered, set by the LLM failover chain
+    const answeredBy = response.answeredBy || (response.answer && response.answer.answeredBy) || null;
+
     // Handle different response formats
     if (response.answer) {
       // Check if answer is a string (new RAG format) or object (legacy format)
@@ -1536,15 +1620,21 @@ class NYLAAssistantUIV2 {
           text: response.answer,
           sentiment: response.sentiment || 'neutral',
           confidence: response.confidence || 0,
-          followUpSuggestions: response.followUpSuggestions || []
+          followUpSuggestions: response.followUpSuggestions || [],
+          answeredBy,
+          citations: response.citations || [],
+          citationCheck: response.citationCheck || null
         };
       } else {
-        // Legacy format: response.answer.text
+        // Legacy format: response.answer.text (a stopped answer keeps its partial text, possibly empty)
         return {
-          text: response.answer.text || 'No response available',
+          text: response.answer.text || (response.answer.stopped ? '' : 'No response available'),
           sentiment: response.answer.sentiment || 'neutral',
           confidence: response.answer.confidence || 0,
-          followUpSuggestions: response.answer.followUpSuggestions || []
+          followUpSuggestions: response.answer.followUpSuggestions || [],
+          answeredBy,
+          citations: response.answer.citations || [],
+          stopped: !!response.answer.stopped
         };
       }
     } else if (response.text) {
@@ -1553,7 +1643,8 @@ class NYLAAssistantUIV2 {
         text: response.text,
         sentiment: response.sentiment || 'neutral',
         confidence: response.confidence || 0,
-        followUpSuggestions: response.followUpSuggestions || []
+        followUpSuggestions: response.followUpSuggestions || [],
+        answeredBy
       };
     } else {
       // Fallback
@@ -2246,6 +2337,9 @@ class NYLAAssistantUIV2 {
         <span class="typing-text">NYLA is typing...</span>
       </div>
       
+      <!-- Stop the answer in progress -->
+      <button class="nyla-stop-button" id="nylaStopButton" type="button" style="display: none;">⏹ Stop</button>
+      
       <!-- Question Buttons Container -->
       <div class="nyla-questions" id="nylaQuestions">
         <!-- Question buttons will be dynamically added here -->
@@ -2411,7 +2505,8 @@ class NYLAAssistantUIV2 {
           
           // Process the question through the conversation system
           if (this.conversation && this.conversation.processQuestion) {
-            this.conversation.processQuestion('user-free-talk', question)
+            const signal = this.startAnswer();
+            this.conversation.processQuestion('user-free-talk', question, null, { signal })
               .then(async (response) => {
                 console.log('NYLA User Input: Question processed successfully', response);
                 
@@ -2420,7 +2515,13 @@ class NYLAAssistantUIV2 {
                 
                 // Display NYLA's response
                 if (response) {
-                  await this.displayMessage(this.normalizeResponseFormat(response), 'nyla');
+                  const normalizedResponse = this.normalizeResponseFormat(response);
+                  const messageElement = await this.displayMessage(normalizedResponse, 'nyla');
+                  if (response.chatAction) {
+                    this.addChatActionCard(messageElement, response.chatAction);
+                  } else {
+                    this.addAnswerActions(messageElement, 'user-free-talk', question, response, normalizedResponse);
+                  }
                   
                   // Show sticker if available
                   if (response.sticker) {
@@ -2434,15 +2535,20 @@ class NYLAAssistantUIV2 {
                 }
               })
               .catch(async error => {
-                console.error('NYLA User Input: Question processing failed:', error);
                 this.hideTyping();
+                if (error.name === 'AbortError') {
+                  await this.displayMessage({ text: '', stopped: true }, 'nyla');
+                  return;
+                }
+                console.error('NYLA User Input: Question processing failed:', error);
                 
                 // Show error message
                 await this.displayMessage({ 
                   text: "Sorry, I encountered an error processing your question. Please try again.", 
                   sentiment: 'sorry' 
                 }, 'nyla');
-              });
+              })
+              .finally(() => this.finishAnswer(signal));
           }
           
           // Clear the input
@@ -2567,7 +2673,9 @@ class NYLAAssistantUIV2 {
     
     const avatar = sender === 'nyla' ? '<img src="icons/NYLA.png" alt="NYLA" class="nyla-avatar-img">' : '👤';
     const timestamp = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-    const messageText = String(message.text || '');
+    const { text: messageText, issues: factIssues } = sender === 'nyla'
+      ? this.checkFacts(this.getCitedText(message.text, message.citations))
+      : { text: String(message.text || ''), issues: [] };
     
     // Generate source pills and as_of badges for RAG responses
     let ragMetadataHtml = '';
@@ -2575,6 +2683,12 @@ class NYLAAssistantUIV2 {
       ragMetadataHtml = this.generateRAGMetadataHtml(message.ragMetadata);
     }
     
+    // Which engine answered, when the LLM failover chain was used
+    let answeredByHtml = '';
+    if (sender === 'nyla' && message.answeredBy) {
+      answeredByHtml = this.createAnsweredByLabel(message.answeredBy).outerHTML;
+    }
+    
     // Only show header if not consecutive NYLA message
     const headerHtml = !isConsecutiveNyla ? `
       <div class="message-header">
@@ -2590,31 +2704,456 @@ class NYLAAssistantUIV2 {
         ${sender === 'nyla' ? '' : this.formatMessageText(messageText)}
       </div>
       ${ragMetadataHtml}
+      ${answeredByHtml}
     `;
 
     this.elements.messagesContainer.appendChild(messageElement);
 
     // Typing effect for NYLA messages
     if (sender === 'nyla') {
-      await this.typeMessage(messageElement.querySelector('.message-content'), messageText);
+      const stopped = await this.typeMessage(messageElement.querySelector('.message-content'), messageText);
+      this.renderCitations(messageElement, message.citations, message.citationCheck);
+      this.renderFactWarning(messageElement, factIssues);
+      if (stopped || message.stopped) {
+        messageElement.appendChild(this.createStoppedMarker());
+      }
     }
 
     // Scroll to bottom
     this.scrollToBottom();
+    return messageElement;
+  }
+
+  /**
+   * Answer text to show; with footnotes, the answer's own sources line is left out
+   */
+  getCitedText(text, citations) {
+    return citations && citations.length > 0 ? NYLACitations.stripSourcesLine(text) : String(text || '');
+  }
+
+  /**
+   * Turn the [n] markers of an answer into tappable citations and list their sources as footnotes.
+   * An answer that had sources but cites none of them is flagged.
+   */
+  renderCitations(messageElement, citations = [], check = null) {
+    messageElement.querySelectorAll('.citation-footnotes, .citation-warning').forEach(element => element.remove());
+    const content = messageElement.querySelector('.message-content');
+    let anchor = content;
+
+    if (citations && citations.length > 0) {
+      const numbers = citations.map(citation => citation.number);
+      // Markers are only looked for in text, so tags, attributes and code samples are left as rendered
+      const walker = document.createTreeWalker(content, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => node.parentElement.closest('code, pre, .citation-markers') ?
+          NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+      });
+      const textNodes = [];
+      while (walker.nextNode()) {
+        textNodes.push(walker.currentNode);
+      }
+      textNodes.forEach(node => this.linkCitationMarkers(node, numbers));
+
+      const footnotes = document.createElement('ol');
+      footnotes.className = 'citation-footnotes';
+      citations.forEach(citation => {
+        const item = document.createElement('li');
+        item.dataset.citation = citation.number;
+        item.dataset.chunkId = citation.id || '';
+
+        const number = document.createElement('span');
+        number.className = 'citation-number';
+        number.textContent = `[${citation.number}]`;
+        item.appendChild(number);
+
+        let title = document.createElement('span');
+        if (citation.sourceUrl) {
+          title = document.createElement('a');
+          title.href = citation.sourceUrl;
+          title.target = '_blank';
+          title.rel = 'noopener noreferrer';
+        }
+        title.className = 'citation-title';
+        title.textContent = citation.title;
+        item.appendChild(title);
+        footnotes.appendChild(item);
+      });
+      anchor.after(footnotes);
+      anchor = footnotes;
+    }
+
+    if (check && check.uncited) {
+      const warning = document.createElement('div');
+      warning.className = 'citation-warning';
+      warning.textContent = '⚠️ This answer does not cite the knowledge base - double-check it';
+      anchor.after(warning);
+    }
+  }
+
+  /**
+   * Replace the [n] markers of a text node with citation buttons; markers citing unknown sources stay text
+   */
+  linkCitationMarkers(textNode, numbers) {
+    const text = textNode.nodeValue;
+    const fragment = document.createDocumentFragment();
+    let last = 0;
+
+    for (const match of text.matchAll(NYLACitations.MARKER_PATTERN)) {
+      const cited = match[1].split(',').map(number => parseInt(number, 10));
+      if (!cited.every(number => numbers.includes(number))) {
+        continue;
+      }
+
+      const markers = document.createElement('sup');
+      markers.className = 'citation-markers';
+      cited.forEach(number => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'citation-marker';
+        button.dataset.citation = number;
+        button.setAttribute('aria-label', `Source ${number}`);
+        button.textContent = number;
+        markers.appendChild(button);
+      });
+      fragment.append(text.slice(last, match.index), markers);
+      last = match.index + match[0].length;
+    }
+
+    if (last > 0) {
+      fragment.append(text.slice(last));
+      textNode.replaceWith(fragment);
+    }
+  }
+
+  /**
+   * Redact or flag the addresses, ASA ids, tickers and decimals of an answer that do not match the KB facts
+   */
+  checkFacts(text) {
+    if (!window.nylaFactGuard || !text) {
+      return { text: String(text || ''), issues: [] };
+    }
+    return window.nylaFactGuard.verify(text);
+  }
+
+  /**
+   * Note under an answer whose facts were redacted or flagged
+   */
+  renderFactWarning(messageElement, issues = []) {
+    messageElement.querySelectorAll('.fact-warning').forEach(element => element.remove());
+    if (issues.length === 0) {
+      return;
+    }
+    console.warn('NYLA UI V2: Answer has values that do not match the knowledge base:', issues);
+
+    const warning = document.createElement('div');
+    warning.className = 'fact-warning';
+    NYLAFactGuard.describe(issues).forEach(text => {
+      const line = document.createElement('div');
+      line.textContent = `⚠️ ${text}`;
+      warning.appendChild(line);
+    });
+    const anchors = messageElement.querySelectorAll('.message-content, .citation-footnotes, .citation-warning');
+    anchors[anchors.length - 1].after(warning);
+  }
+
+  /**
+   * Highlight the footnote of a tapped citation marker
+   */
+  showCitation(marker) {
+    const messageElement = marker.closest('.nyla-message');
+    const footnote = messageElement && messageElement.querySelector(`.citation-footnotes li[data-citation="${marker.dataset.citation}"]`);
+    if (!footnote) {
+      return;
+    }
+
+    messageElement.querySelectorAll('.citation-footnotes li.highlighted').forEach(item => item.classList.remove('highlighted'));
+    footnote.classList.add('highlighted');
+    footnote.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    setTimeout(() => footnote.classList.remove('highlighted'), 2000);
+  }
+
+  /**
+   * "Answered by" label of the engine that answered
+   */
+  createAnsweredByLabel(answeredBy) {
+    const label = document.createElement('div');
+    label.className = `answered-by ${answeredBy.name}`;
+    label.textContent = `Answered by ${answeredBy.label}`;
+    return label;
+  }
+
+  /**
+   * Add the regenerate action and version navigation (‹ 1/3 ›) under a NYLA answer
+   */
+  addAnswerActions(messageElement, questionId, questionText, response, normalizedResponse) {
+    if (!messageElement) {
+      return;
+    }
+
+    const answer = {
+      id: `answer-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      questionId,
+      questionText,
+      versions: [this.createAnswerVersion(response, normalizedResponse)],
+      current: 0
+    };
+    this.answerVersions.set(answer.id, answer);
+    messageElement.dataset.answerId = answer.id;
+
+    const actions = document.createElement('div');
+    actions.className = 'answer-actions';
+    actions.innerHTML = `
+      <button type="button" class="answer-version-prev" data-answer-action="previous" aria-label="Previous version">‹</button>
+      <span class="answer-version-count"></span>
+      <button type="button" class="answer-version-next" data-answer-action="next" aria-label="Next version">›</button>
+      <button type="button" class="answer-regenerate" data-answer-action="regenerate" title="Answer this question again">🔄 Regenerate</button>
+    `;
+    messageElement.appendChild(actions);
+    this.updateAnswerActions(messageElement, answer);
+  }
+
+  /**
+   * Confirmation card for a send, receive or swap action prepared from the chat.
+   * Invalid actions list their errors and cannot be confirmed; token warnings do not block.
+   */
+  addChatActionCard(messageElement, chatAction) {
+    if (!messageElement) {
+      return;
+    }
+
+    const card = document.createElement('div');
+    card.className = `chat-action-card ${chatAction.valid ? 'valid' : 'invalid'}`;
+    this.chatActions.set(card, chatAction);
+
+    const summary = document.createElement('div');
+    summary.className = 'chat-action-summary';
+    summary.textContent = NYLAChatActions.describe(chatAction);
+    card.appendChild(summary);
+
+    if (chatAction.command) {
+      const command = document.createElement('code');
+      command.className = 'chat-action-command';
+      command.textContent = chatAction.command;
+      card.appendChild(command);
+    }
+
+    const notes = [
+      ...Object.values(chatAction.errors).map(text => ({ text: `❌ ${text}`, className: 'chat-action-error' })),
+      ...chatAction.missing.map(field => ({ text: `❌ Missing ${field}`, className: 'chat-action-error' })),
+      ...chatAction.warnings.map(text => ({ text: `⚠️ ${text}`, className: 'chat-action-warning' }))
+    ];
+    notes.forEach(({ text, className }) => {
+      const note = document.createElement('div');
+      note.className = className;
+      note.textContent = text;
+      card.appendChild(note);
+    });
+
+    const buttons = document.createElement('div');
+    buttons.className = 'chat-action-buttons';
+    if (chatAction.valid) {
+      const confirm = document.createElement('button');
+      confirm.type = 'button';
+      confirm.className = 'chat-action-confirm';
+      confirm.dataset.chatAction = 'confirm';
+      confirm.textContent = `✅ Fill in the ${chatAction.tab.charAt(0).toUpperCase()}${chatAction.tab.slice(1)} form`;
+      buttons.appendChild(confirm);
+    }
+    const cancel = document.createElement('button');
+    cancel.type = 'button';
+    cancel.className = 'chat-action-cancel';
+    cancel.dataset.chatAction = 'cancel';
+    cancel.textContent = chatAction.valid ? 'Cancel' : 'Dismiss';
+    buttons.appendChild(cancel);
+    card.appendChild(buttons);
+
+    messageElement.appendChild(card);
+    this.scrollToBottom();
+  }
+
+  /**
+   * Confirm or cancel a chat action card; a confirmed action pre-fills its tab (handled by the PWA app)
+   */
+  handleChatActionClick(button) {
+    const card = button.closest('.chat-action-card');
+    const chatAction = card && this.chatActions.get(card);
+    if (!chatAction || card.classList.contains('done')) {
+      return;
+    }
+
+    card.classList.add('done');
+    card.querySelectorAll('button').forEach(cardButton => {
+      cardButton.disabled = true;
+    });
+
+    const status = document.createElement('div');
+    status.className = 'chat-action-status';
+    if (button.dataset.chatAction === 'confirm') {
+      window.dispatchEvent(new CustomEvent('nyla-chat-action', { detail: chatAction }));
+      status.textContent = `Opened the ${chatAction.tab} tab - review the form before you post`;
+    } else {
+      status.textContent = 'Cancelled';
+    }
+    card.appendChild(status);
+  }
+
+  /**
+   * One version of an answer, as shown and as recorded for evaluation
+   */
+  createAnswerVersion(response, normalizedResponse) {
+    return {
+      text: normalizedResponse.text,
+      answeredBy: normalizedResponse.answeredBy || null,
+      queryId: response.queryId || null,
+      sources: (response.sources || []).map(source => source.title).filter(Boolean),
+      citations: normalizedResponse.citations || [],
+      citationCheck: normalizedResponse.citationCheck || null,
+      stopped: !!normalizedResponse.stopped
+    };
+  }
+
+  /**
+   * Regenerate or switch version, from the buttons under an answer
+   */
+  async handleAnswerAction(button) {
+    const messageElement = button.closest('.nyla-message');
+    const answer = messageElement && this.answerVersions.get(messageElement.dataset.answerId);
+    if (!answer || this.isTyping) {
+      return;
+    }
+
+    const action = button.getAttribute('data-answer-action');
+    if (action === 'regenerate') {
+      await this.regenerateAnswer(messageElement, answer);
+      return;
+    }
+
+    const next = answer.current + (action === 'next' ? 1 : -1);
+    if (next < 0 || next >= answer.versions.length) {
+      return;
+    }
+    answer.current = next;
+    await this.showAnswerVersion(messageElement, answer, false);
+    this.recordAnswerVersions(answer);
+  }
+
+  /**
+   * Answer the question again and show the new version; earlier versions stay navigable
+   */
+  async regenerateAnswer(messageElement, answer) {
+    if (this.activeAnswer) {
+      return;
+    }
+
+    const signal = this.startAnswer();
+    this.updateAnswerActions(messageElement, answer);
+    this.showTyping();
+
+    try {
+      const response = await this.conversation.regenerateAnswer(answer.questionId, answer.questionText, {
+        signal,
+        queryId: answer.versions[answer.current].queryId
+      });
+      this.hideTyping();
+
+      const normalizedResponse = this.normalizeResponseFormat(response);
+      answer.versions.push(this.createAnswerVersion(response, normalizedResponse));
+      answer.current = answer.versions.length - 1;
+      await this.showAnswerVersion(messageElement, answer, true);
+      this.recordAnswerVersions(answer);
+
+      // Follow-ups belong to the latest answer only
+      const isLatestMessage = !messageElement.nextElementSibling;
+      if (isLatestMessage && response.followUps && response.followUps.length > 0) {
+        this.displayQuestions(response.followUps);
+      }
+    } catch (error) {
+      this.hideTyping();
+      if (error.name === 'AbortError') {
+        console.log('NYLA UI V2: ⏹️ Regeneration stopped, keeping the current version');
+      } else {
+        console.error('NYLA UI V2: Regeneration failed', error);
+      }
+    } finally {
+      this.finishAnswer(signal);
+      this.updateAnswerActions(messageElement, answer);
+    }
+  }
+
+  /**
+   * Show the current version of an answer in its message, typed out when it is new
+   */
+  async showAnswerVersion(messageElement, answer, typed) {
+    const version = answer.versions[answer.current];
+    const content = messageElement.querySelector('.message-content');
+    const { text, issues } = this.checkFacts(this.getCitedText(version.text, version.citations));
+
+    if (typed) {
+      version.stopped = (await this.typeMessage(content, text)) || version.stopped;
+    } else {
+      content.innerHTML = this.formatMessageText(text);
+    }
+    this.renderCitations(messageElement, version.citations, version.citationCheck);
+    this.renderFactWarning(messageElement, issues);
+
+    messageElement.querySelectorAll('.answered-by, .answer-stopped').forEach(element => element.remove());
+    const actions = messageElement.querySelector('.answer-actions');
+    if (version.answeredBy) {
+      actions.before(this.createAnsweredByLabel(version.answeredBy));
+    }
+    if (version.stopped) {
+      actions.before(this.createStoppedMarker());
+    }
+    this.updateAnswerActions(messageElement, answer);
+    this.scrollToBottom();
+  }
+
+  /**
+   * Version count and button states under an answer
+   */
+  updateAnswerActions(messageElement, answer) {
+    const actions = messageElement.querySelector('.answer-actions');
+    if (!actions) {
+      return;
+    }
+
+    const hasVersions = answer.versions.length > 1;
+    actions.querySelector('.answer-version-count').textContent = `${answer.current + 1}/${answer.versions.length}`;
+    actions.classList.toggle('has-versions', hasVersions);
+    actions.querySelector('.answer-version-prev').disabled = answer.current === 0;
+    actions.querySelector('.answer-version-next').disabled = answer.current === answer.versions.length - 1;
+    actions.querySelector('.answer-regenerate').disabled = !!this.activeAnswer;
+  }
+
+  /**
+   * Record which version of a regenerated answer is kept, for NYLARAGEvaluation
+   */
+  recordAnswerVersions(answer) {
+    if (answer.versions.length < 2 || !this.conversation || !this.conversation.recordAnswerVersions) {
+      return;
+    }
+
+    this.conversation.recordAnswerVersions({
+      id: answer.id,
+      question: answer.questionText,
+      versions: answer.versions.map(({ text, answeredBy, sources, stopped }) => ({ text, answeredBy, sources, stopped })),
+      kept: answer.current
+    });
   }
 
   /**
    * Type message with typing effect
+   * @returns {Promise<boolean>} true when the Stop control ended the typing early (the typed part is kept)
    */
   async typeMessage(element, text) {
     this.isTyping = true;
     element.innerHTML = '';
+    const signal = this.activeAnswer?.signal;
     
     // Handle undefined or null text
     if (!text) {
       console.warn('NYLA UI V2: typeMessage called with undefined/null text');
       this.isTyping = false;
-      return;
+      return false;
     }
     
     // Convert to string to ensure we can call string methods
@@ -2624,6 +3163,9 @@ class NYLAAssistantUIV2 {
     let currentText = '';
     
     for (let i = 0; i < textString.length; i++) {
+      if (signal?.aborted) {
+        break;
+      }
       currentText += textString[i];
       
       // During typing, show plain text to avoid URL button issues with partial URLs
@@ -2636,10 +3178,21 @@ class NYLAAssistantUIV2 {
       await this.sleep(this.typingSpeed);
     }
     
-    // After typing is complete, apply final formatting with URL buttons
-    const formattedText = this.formatMessageText(textString);
+    // After typing is complete (or stopped), apply final formatting with URL buttons
+    const formattedText = this.formatMessageText(currentText);
     element.innerHTML = formattedText;
     this.isTyping = false;
+    return currentText.length < textString.length;
+  }
+
+  /**
+   * "Stopped" label under an answer cut short by the Stop control
+   */
+  createStoppedMarker() {
+    const marker = document.createElement('div');
+    marker.className = 'answer-stopped';
+    marker.textContent = '⏹ Stopped';
+    return marker;
   }
 
   /**
@@ -2863,6 +3416,53 @@ class NYLAAssistantUIV2 {
     }
   }
 
+  /**
+   * Start an answer that the Stop control can cancel (a previous answer still in progress is stopped)
+   * @returns {AbortSignal} Passed down to the conversation manager and the LLM engines
+   */
+  startAnswer() {
+    if (this.activeAnswer) {
+      this.activeAnswer.abort();
+    }
+    this.activeAnswer = new AbortController();
+    if (this.elements.stopButton) {
+      this.elements.stopButton.style.display = 'inline-flex';
+    }
+    return this.activeAnswer.signal;
+  }
+
+  /**
+   * End an answer once it is displayed; answers started since are left running
+   */
+  finishAnswer(signal) {
+    if (!this.activeAnswer || this.activeAnswer.signal !== signal) {
+      return;
+    }
+    this.activeAnswer = null;
+    if (this.elements.stopButton) {
+      this.elements.stopButton.style.display = 'none';
+    }
+  }
+
+  /**
+   * Stop control: abort the request or generation in progress and stop typing, keeping the partial answer
+   */
+  stopAnswer() {
+    if (!this.activeAnswer) {
+      return;
+    }
+    console.log('NYLA UI V2: ⏹️ Stopping the answer in progress');
+    this.activeAnswer.abort();
+
+    // Interrupt WebLLM at once, so the next question does not wait for the generation to wind down
+    if (typeof NYLALLMStateManager !== 'undefined' && this.conversation) {
+      NYLALLMStateManager.stopGeneration(this.conversation.llmEngine);
+    }
+    if (this.elements.stopButton) {
+      this.elements.stopButton.style.display = 'none';
+    }
+  }
+
   /**
    * Show sticker
    */
@@ -3044,11 +3644,49 @@ class NYLAAssistantUIV2 {
       // Update feature indicators when showing
       this.updateFeatureIndicators();
       this.updateTimezoneDisplay();
+      this.updateUsagePanel(statusBar);
       
       console.log('NYLA UI V2: Debug panel shown');
     }
   }
 
+  /**
+   * Remote LLM tokens and estimated cost of this session and today, with the budgets
+   */
+  updateUsagePanel(statusBar) {
+    const usage = window.nylaLLMUsage;
+    if (!usage) return;
+
+    let panel = statusBar.querySelector('.nyla-usage-panel');
+    if (!panel) {
+      panel = document.createElement('div');
+      panel.className = 'nyla-usage-panel';
+      statusBar.appendChild(panel);
+    }
+
+    const { session, day, budgets, budget } = usage.getStatus();
+    const formatCost = cost => `$${cost.toFixed(cost < 0.01 ? 4 : 2)}`;
+    const formatLimits = ({ soft, hard }) => [soft, hard].map(limit => (limit === null ? '–' : formatCost(limit))).join(' / ');
+    const row = (label, totals, limits) => {
+      const line = document.createElement('div');
+      line.className = 'usage-row';
+      const estimated = totals.estimatedRequests > 0 ? ` (${totals.estimatedRequests} estimated)` : '';
+      line.textContent = `${label}: ${totals.requests} req · ${totals.promptTokens} in / ${totals.completionTokens} out tokens${estimated} · ${formatCost(totals.cost)} of ${formatLimits(limits)}`;
+      return line;
+    };
+
+    panel.replaceChildren(row('💰 Session', session, budgets.session), row('📅 Today', day, budgets.day));
+    panel.dataset.budget = budget.level;
+    if (budget.level !== NYLALLMUsage.LEVELS.OK) {
+      const note = document.createElement('div');
+      note.className = 'usage-row usage-budget';
+      note.textContent = budget.level === NYLALLMUsage.LEVELS.HARD
+        ? '⛔ Hard budget reached: answers come from the local model or the knowledge base'
+        : '⚠️ Soft budget reached: the local model answers when it is available';
+      panel.appendChild(note);
+    }
+  }
+
   /**
    * Hide debug panel
    */
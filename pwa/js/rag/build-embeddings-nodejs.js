@@ -5,8 +5,16 @@
  * Generates embeddings for the knowledge base in Node.js environment
  * 
  * Usage:
- *   node build-embeddings-nodejs.js
+ *   node build-embeddings-nodejs.js [--quantize int8|pq] [--full]
  *   npm run build:embeddings
+ *
+ * --quantize ships the embeddings as a binary container (nyla-vector-db.bin, see NYLAVectorQuantizer)
+ * instead of float JSON; the build fails when the container is not smaller than float32 or retrieval drops
+ * below the method's minimum recall (see NYLAVectorQuantizer.check()).
+ *
+ * Builds are incremental: chunks are matched to the previous nyla-vector-db.json by NYLAChunkDiff.key(),
+ * keep their ids and timestamps when unchanged, and only chunks whose text changed are embedded again
+ * (--full embeds every chunk). What changed is appended to nyla-kb-changelog.json.
  */
 
 const path = require('path');
@@ -18,6 +26,12 @@ const {
   NYLAEmbeddingEnvironment, 
   NYLAUtils 
 } = require('./nyla-environment.js');
+const NYLAHNSWIndex = require('./nyla-hnsw-index.js');
+const NYLAVectorQuantizer = require('./nyla-vector-quantizer.js');
+const NYLAChunkDiff = require('./nyla-chunk-diff.js');
+
+// Changelog entries kept in nyla-kb-changelog.json
+const CHANGELOG_LIMIT = 50;
 
 // Simple Node.js compatible logger
 class NYLALogger {
@@ -43,7 +57,12 @@ class NYLALogger {
 }
 
 class NYLANodeEmbeddingBuilder {
-  constructor() {
+  /**
+   * @param {Object} options - { quantize: 'int8' | 'pq' | null, full: re-embed every chunk }
+   */
+  constructor(options = {}) {
+    this.quantize = options.quantize || null;
+    this.full = options.full || false;
     this.logger = new NYLALogger('Build');
     this.storage = new NYLAStorage();
     this.embeddingService = new NYLAEmbeddingEnvironment();
@@ -144,6 +163,7 @@ class NYLANodeEmbeddingBuilder {
               chunk_type: kbChunk.type || this.inferChunkType('kb_chunk', enhancedChunk.text),
               kb_id: kbChunk.id,
               kb_priority: kbChunk.priority || 5,
+              ...this.filterMetadata(kbChunk),
               updated_at: new Date().toISOString()
             }
           );
@@ -170,6 +190,7 @@ class NYLANodeEmbeddingBuilder {
                   chunk_type: 'summary',
                   kb_id: kbChunk.id,
                   kb_priority: kbChunk.priority || 5,
+                  ...this.filterMetadata(kbChunk),
                   updated_at: new Date().toISOString()
                 }
               ));
@@ -394,7 +415,20 @@ class NYLANodeEmbeddingBuilder {
            chunk.id && 
            (chunk.content || chunk.body || chunk.summary_en || chunk.summary_zh));
   }
-  
+
+  /**
+   * KB schema fields that metadata filters select on (NYLAMetadataIndex), when the KB chunk has them
+   */
+  filterMetadata(kbChunk) {
+    const metadata = {};
+    for (const field of ['type', 'lang', 'chain', 'as_of', 'stability']) {
+      if (kbChunk[field] !== undefined) {
+        metadata[field] = kbChunk[field];
+      }
+    }
+    return metadata;
+  }
+
   /**
    * Build Dense Text View for embeddings (natural language descriptions)
    * CRITICAL: This is the ONLY content that gets embedded
@@ -609,13 +643,80 @@ class NYLANodeEmbeddingBuilder {
     };
   }
   
+  /**
+   * Chunks of the previous build with their embeddings, or null on the first build
+   */
+  async loadPreviousBuild() {
+    let previous;
+    try {
+      previous = JSON.parse(await fs.readFile(path.join(this.webOutputDir, 'nyla-vector-db.json'), 'utf8'));
+    } catch (error) {
+      this.logger.log('No previous build found, building every chunk');
+      return null;
+    }
+    
+    const embeddingsById = new Map((previous.embeddings || []).map(e => [e.id, e.embedding]));
+    if (previous.quantized && previous.quantized.file) {
+      try {
+        const { ids, vectors } = NYLAVectorQuantizer.decode(await fs.readFile(path.join(this.webOutputDir, previous.quantized.file)));
+        ids.forEach((id, i) => embeddingsById.set(id, Array.from(vectors[i])));
+      } catch (error) {
+        this.logger.warn(`Previous quantised embeddings not readable, their chunks are embedded again: ${error.message}`);
+      }
+    }
+    
+    return {
+      metadata: previous.metadata || {},
+      chunks: (previous.chunks || []).map(chunk => ({ ...chunk, embedding: embeddingsById.get(chunk.id) || null }))
+    };
+  }
+  
+  /**
+   * Give the chunks their ids and timestamps of the previous build and diff them against it
+   * New chunks get ids after the highest previous one, so the ids of other chunks never shift.
+   * @returns {Object} NYLAChunkDiff.diff() result
+   */
+  applyPreviousBuild(chunks, previous) {
+    const previousChunks = previous ? previous.chunks : [];
+    const previousByKey = new Map(previousChunks.map(chunk => [NYLAChunkDiff.key(chunk), chunk]));
+    let nextId = previousChunks.reduce((max, chunk) => Math.max(max, parseInt(chunk.id.replace('chunk_', ''), 10) || 0), 0) + 1;
+    
+    for (const chunk of chunks) {
+      const before = previousByKey.get(NYLAChunkDiff.key(chunk));
+      chunk.id = before ? before.id : `chunk_${nextId++}`;
+      if (before) {
+        chunk.metadata.created_at = before.metadata?.created_at || chunk.metadata.created_at;
+        if (NYLAChunkDiff.hash(before) === NYLAChunkDiff.hash(chunk)) {
+          if (before.metadata?.updated_at) chunk.metadata.updated_at = before.metadata.updated_at;
+        } else {
+          chunk.metadata.updated_at = new Date().toISOString();
+        }
+      }
+    }
+    
+    const diff = NYLAChunkDiff.diff(previousChunks, chunks);
+    chunks.forEach(chunk => { chunk.hash = NYLAChunkDiff.hash(chunk); });
+    this.logger.log(`Chunk changes: ${diff.added.length} added, ${diff.modified.length} modified, ${diff.removed.length} removed, ${diff.unchanged.length} unchanged`);
+    return diff;
+  }
+  
   /**
    * Generate embeddings for chunks
+   * Chunks whose text is unchanged since the previous build reuse its embedding, unless --full is set.
+   * @param {Array} chunks - Chunks to embed
+   * @param {Object} previous - loadPreviousBuild() result, optional
    */
-  async generateEmbeddings(chunks) {
+  async generateEmbeddings(chunks, previous = null) {
+    const previousEmbeddings = new Map();
+    if (previous && !this.full) {
+      previous.chunks
+        .filter(chunk => chunk.embedding)
+        .forEach(chunk => previousEmbeddings.set(NYLAChunkDiff.textHash(chunk), chunk.embedding));
+    }
     this.logger.log(`Generating embeddings for ${chunks.length} chunks...`);
     
     const embeddings = [];
+    this.reembedded = 0;
     const batchSize = 10; // Process in batches to avoid memory issues
     
     for (let i = 0; i < chunks.length; i += batchSize) {
@@ -634,12 +735,19 @@ class NYLANodeEmbeddingBuilder {
             continue;
           }
           
+          const reused = previousEmbeddings.get(NYLAChunkDiff.textHash(chunk));
+          if (reused) {
+            embeddings.push({ id: chunk.id, embedding: reused, metadata: chunk.metadata });
+            continue;
+          }
+          
           const embedding = await this.embeddingService.embed(textToEmbed);
           embeddings.push({
             id: chunk.id,
             embedding: embedding,
             metadata: chunk.metadata
           });
+          this.reembedded++;
           
           // Small delay to prevent overwhelming the model
           await NYLAUtils.sleep(100);
@@ -655,7 +763,7 @@ class NYLANodeEmbeddingBuilder {
       this.logger.log(`Progress: ${progress}% (${i + batch.length}/${chunks.length})`);
     }
     
-    this.logger.success(`Generated ${embeddings.length} embeddings`);
+    this.logger.success(`Generated ${embeddings.length} embeddings (${this.reembedded} computed, ${embeddings.length - this.reembedded} reused)`);
     return embeddings;
   }
   
@@ -681,8 +789,11 @@ class NYLANodeEmbeddingBuilder {
   
   /**
    * Save all data to files including Facts database
+   * @param {Array} chunks - Chunks with stable ids
+   * @param {Array} embeddings - Embeddings of the chunks
+   * @param {Object} changes - Changelog entry of the build (NYLAChunkDiff.changelogEntry), optional
    */
-  async saveData(chunks, embeddings) {
+  async saveData(chunks, embeddings, changes = null) {
     this.logger.log('Saving data to files...');
     
     try {
@@ -719,10 +830,16 @@ class NYLANodeEmbeddingBuilder {
         }
       }, null, 2));
       
+      // Quantised embeddings go to a binary file; the graph is built on the vectors the PWA will load
+      const quantized = this.quantize ? await this.saveQuantizedVectors(embeddings) : null;
+      const indexEmbeddings = quantized
+        ? embeddings.map((e, i) => ({ id: e.id, embedding: quantized.vectors[i] }))
+        : embeddings;
+      
       // Also save to web-accessible format for PWA
       const webData = {
         chunks: chunks,
-        embeddings: embeddings.map(e => ({
+        embeddings: embeddings.map(e => (quantized ? { id: e.id, metadata: e.metadata } : {
           id: e.id,
           embedding: Array.from(e.embedding), // Ensure it's an array
           metadata: e.metadata
@@ -732,19 +849,30 @@ class NYLANodeEmbeddingBuilder {
           version: '1.0.0',
           model: 'multilingual-e5-base',
           dimension: vectorData.dimension,
-          total_chunks: chunks.length
-        }
+          total_chunks: chunks.length,
+          kb_version: changes ? changes.version : NYLAChunkDiff.version(chunks),
+          changes: changes ? changes.counts : null
+        },
+        // Pre-built HNSW graph, so the PWA does not build it on load (the vectors are the embeddings above)
+        index: this.buildHNSWIndex(indexEmbeddings)
       };
+      if (quantized) {
+        webData.quantized = quantized.info;
+      }
       
       const webDataPath = path.join(this.webOutputDir, 'nyla-vector-db.json');
       await fs.writeFile(webDataPath, JSON.stringify(webData, null, 2));
       
+      if (changes) {
+        await this.saveChangelog(changes);
+      }
+      
       this.logger.success(`Data saved successfully:
 - Chunks: ${chunks.length}  
 - Embeddings: ${embeddings.length}
 - Dimension: ${vectorData.dimension}
 - Facts: ${Object.keys(factsDb).length}
-- Web data: ${webDataPath}
+- Web data: ${webDataPath}${quantized ? `\n- Quantised vectors (${quantized.info.method}): ${quantized.info.bytes} bytes` : ''}
 - Facts DB: ${factsPath}`);
       
     } catch (error) {
@@ -753,6 +881,59 @@ class NYLANodeEmbeddingBuilder {
     }
   }
   
+  /**
+   * Append the changes of this build to nyla-kb-changelog.json, keeping the latest entries
+   */
+  async saveChangelog(entry) {
+    const changelogPath = path.join(this.webOutputDir, 'nyla-kb-changelog.json');
+    let entries = [];
+    try {
+      entries = JSON.parse(await fs.readFile(changelogPath, 'utf8')).entries || [];
+    } catch (error) {
+      // First changelog entry
+    }
+    
+    entries = [...entries, entry].slice(-CHANGELOG_LIMIT);
+    await fs.writeFile(changelogPath, JSON.stringify({ entries }, null, 2));
+    this.logger.success(`Changelog ${entry.previous_version || 'none'} -> ${entry.version}: ${entry.counts.added} added, ${entry.counts.modified} modified, ${entry.counts.removed} removed`);
+  }
+  
+  /**
+   * Write the quantised embeddings next to nyla-vector-db.json after checking retrieval against the floats
+   * @returns {Object} { info: nyla-vector-db.json "quantized" entry, vectors: dequantised vectors }
+   */
+  async saveQuantizedVectors(embeddings) {
+    const method = this.quantize;
+    const check = NYLAVectorQuantizer.check(embeddings, { method });
+    if (check.errors.length > 0) {
+      throw new Error(`${method} quantisation failed its check: ${check.errors.join('; ')}`);
+    }
+    const { bytes, vectors } = check;
+    
+    const file = 'nyla-vector-db.bin';
+    await fs.writeFile(path.join(this.webOutputDir, file), bytes);
+    this.logger.success(`Quantised embeddings (${method}): ${bytes.length} bytes, recall@${check.k} ${(check.recall * 100).toFixed(1)}% against float`);
+    
+    return {
+      info: { file, method, dimension: embeddings[0].embedding.length, count: embeddings.length, bytes: bytes.length, recall: check.recall },
+      vectors
+    };
+  }
+  
+  /**
+   * HNSW graph of the embeddings, serialized without the vectors
+   */
+  buildHNSWIndex(embeddings) {
+    const index = new NYLAHNSWIndex(embeddings.length > 0 ? embeddings[0].embedding.length : 768);
+    embeddings.forEach(e => index.add(Array.from(e.embedding), e.id));
+    
+    const queries = embeddings.slice(0, 50).map(e => Array.from(e.embedding));
+    const { recall } = index.benchmark(queries, 10);
+    this.logger.success(`HNSW index built: ${index.size()} vectors, recall@10 ${(recall * 100).toFixed(1)}% against brute force`);
+    
+    return index.serialize({ includeVectors: false });
+  }
+  
   /**
    * Generate hash for version tracking
    */
@@ -850,14 +1031,21 @@ class NYLANodeEmbeddingBuilder {
       // Load knowledge base
       const knowledgeBase = await this.loadKnowledgeBase();
       
-      // Create chunks
+      // Create chunks, keeping the ids of the previous build
       const chunks = this.chunkKnowledgeBase(knowledgeBase);
+      const previous = await this.loadPreviousBuild();
+      const diff = this.applyPreviousBuild(chunks, previous);
       
       // Generate embeddings
-      const embeddings = await this.generateEmbeddings(chunks);
+      const embeddings = await this.generateEmbeddings(chunks, previous);
       
       // Save data
-      await this.saveData(chunks, embeddings);
+      const changes = NYLAChunkDiff.changelogEntry(diff, {
+        version: NYLAChunkDiff.version(chunks),
+        previousVersion: previous ? (previous.metadata.kb_version || NYLAChunkDiff.version(previous.chunks)) : null,
+        reembedded: this.reembedded
+      });
+      await this.saveData(chunks, embeddings, changes);
       
       const duration = Math.round((Date.now() - startTime) / 1000);
       this.logger.success(`✅ Build completed successfully in ${duration}s`);
@@ -866,7 +1054,8 @@ class NYLANodeEmbeddingBuilder {
       console.log('\n📊 Build Summary:');
       console.log(`   • Knowledge Base Categories: ${Object.keys(knowledgeBase).length}`);
       console.log(`   • Total Chunks: ${chunks.length}`);
-      console.log(`   • Total Embeddings: ${embeddings.length}`);
+      console.log(`   • Total Embeddings: ${embeddings.length} (${this.reembedded} computed)`);
+      console.log(`   • Changes: ${changes.counts.added} added, ${changes.counts.modified} modified, ${changes.counts.removed} removed`);
       console.log(`   • Embedding Dimension: ${embeddings[0]?.embedding.length || 'N/A'}`);
       console.log(`   • Build Time: ${duration}s`);
       
@@ -882,7 +1071,11 @@ class NYLANodeEmbeddingBuilder {
 
 // Run if called directly
 if (require.main === module) {
-  const builder = new NYLANodeEmbeddingBuilder();
+  const quantizeIndex = process.argv.indexOf('--quantize');
+  const builder = new NYLANodeEmbeddingBuilder({
+    quantize: quantizeIndex !== -1 ? process.argv[quantizeIndex + 1] : null,
+    full: process.argv.includes('--full')
+  });
   builder.build()
     .then(() => {
       console.log('\n🎉 Build process completed successfully!');
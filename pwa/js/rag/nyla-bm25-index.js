@@ -14,8 +14,9 @@ class NYLABm25Index {
       ...options
     };
     
-    this.index = new Map();     // term -> document frequency map
+    this.index = new Map();     // doc_id -> term frequency map
     this.documents = new Map(); // doc_id -> {search_text, tokens, length}
+    this.documentFreq = new Map(); // term -> number of docs containing term
     this.totalDocuments = 0;
     this.avgDocLength = 0;
     this.totalTokens = 0;
@@ -33,60 +34,17 @@ class NYLABm25Index {
     
     this.index.clear();
     this.documents.clear();
+    this.documentFreq = new Map(); // term -> number of docs containing term
     this.totalDocuments = 0;
     this.totalTokens = 0;
     
-    const termDocFreq = new Map(); // term -> Set of doc_ids
-    
     for (const chunk of chunks) {
-      // Use search_text field (Sparse Text View) for BM25 indexing
-      const searchText = chunk.search_text;
-      if (!searchText || typeof searchText !== 'string') {
-        console.warn(`⚠️ Chunk ${chunk.id} missing search_text field, skipping BM25 indexing`);
-        continue;
-      }
-      
-      // Tokenize search_text for keyword matching
-      const tokens = this.tokenize(searchText);
-      const docLength = tokens.length;
-      
-      if (docLength === 0) continue;
-      
-      // Store document info
-      this.documents.set(chunk.id, {
-        search_text: searchText,
-        tokens: tokens,
-        length: docLength,
-        chunk: chunk
-      });
-      
-      // Build term frequencies for this document
-      const termFreq = new Map();
-      for (const token of tokens) {
-        termFreq.set(token, (termFreq.get(token) || 0) + 1);
-        
-        // Track which documents contain this term
-        if (!termDocFreq.has(token)) {
-          termDocFreq.set(token, new Set());
-        }
-        termDocFreq.get(token).add(chunk.id);
-      }
-      
-      // Store term frequencies
-      this.index.set(chunk.id, termFreq);
-      this.totalDocuments++;
-      this.totalTokens += docLength;
+      this.addDocument(chunk);
     }
     
     // Calculate average document length
     this.avgDocLength = this.totalDocuments > 0 ? this.totalTokens / this.totalDocuments : 0;
     
-    // Build document frequency index (term -> number of docs containing term)
-    this.documentFreq = new Map();
-    for (const [term, docSet] of termDocFreq.entries()) {
-      this.documentFreq.set(term, docSet.size);
-    }
-    
     this.isBuilt = true;
     
     console.log(`✅ BM25 index built:`, {
@@ -99,6 +57,90 @@ class NYLABm25Index {
     return this;
   }
   
+  /**
+   * Add or replace the documents of changed chunks and remove those of removed chunks,
+   * updating only the postings of their terms
+   */
+  updateDocuments(chunks = [], removedIds = []) {
+    removedIds.forEach(id => this.removeDocument(id));
+    chunks.forEach(chunk => this.addDocument(chunk));
+    
+    this.avgDocLength = this.totalDocuments > 0 ? this.totalTokens / this.totalDocuments : 0;
+    this.isBuilt = true;
+    
+    console.log(`✅ BM25 index updated: ${chunks.length} changed, ${removedIds.length} removed, ${this.totalDocuments} documents`);
+    return this;
+  }
+  
+  /**
+   * Index one chunk, replacing its previous document
+   * @returns {boolean} Whether the chunk had search_text to index
+   */
+  addDocument(chunk) {
+    this.removeDocument(chunk.id);
+    
+    // Use search_text field (Sparse Text View) for BM25 indexing
+    const searchText = chunk.search_text;
+    if (!searchText || typeof searchText !== 'string') {
+      console.warn(`⚠️ Chunk ${chunk.id} missing search_text field, skipping BM25 indexing`);
+      return false;
+    }
+    
+    // Tokenize search_text for keyword matching
+    const tokens = this.tokenize(searchText);
+    const docLength = tokens.length;
+    
+    if (docLength === 0) return false;
+    
+    // Store document info
+    this.documents.set(chunk.id, {
+      search_text: searchText,
+      tokens: tokens,
+      length: docLength,
+      chunk: chunk
+    });
+    
+    // Build term frequencies for this document
+    const termFreq = new Map();
+    for (const token of tokens) {
+      termFreq.set(token, (termFreq.get(token) || 0) + 1);
+    }
+    
+    // Count the document once for each of its terms
+    for (const term of termFreq.keys()) {
+      this.documentFreq.set(term, (this.documentFreq.get(term) || 0) + 1);
+    }
+    
+    // Store term frequencies
+    this.index.set(chunk.id, termFreq);
+    this.totalDocuments++;
+    this.totalTokens += docLength;
+    return true;
+  }
+  
+  /**
+   * Remove the document of a chunk and its postings
+   */
+  removeDocument(id) {
+    const termFreq = this.index.get(id);
+    if (!termFreq) return false;
+    
+    for (const term of termFreq.keys()) {
+      const df = this.documentFreq.get(term) - 1;
+      if (df > 0) {
+        this.documentFreq.set(term, df);
+      } else {
+        this.documentFreq.delete(term);
+      }
+    }
+    
+    this.totalTokens -= this.documents.get(id).length;
+    this.totalDocuments--;
+    this.index.delete(id);
+    this.documents.delete(id);
+    return true;
+  }
+  
   /**
    * Tokenize text for BM25 indexing
    * Optimized for crypto/blockchain terms and multilingual content (Chinese/English)
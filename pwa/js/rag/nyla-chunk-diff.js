@@ -0,0 +1,174 @@
+/**
+ * NYLA Chunk Diff
+ * Chunk-level diffing of two versions of the KB chunks by content hash, so index updates only touch
+ * the vectors and BM25 postings of added, modified and removed chunks.
+ *
+ * - key(): identity of a chunk across builds (KB id, summary/subsection, split part), independent of its id
+ * - hash(): content hash of the text views and metadata, without the build timestamps; the same in Node.js
+ *   and the browser. The hand-maintained `hash` of the KB files is not relied on, edits often keep it.
+ * - A chunk whose content or id changed is modified; embeddings only need recomputing when its text changed
+ * - embeddingModel(): the model and dimension of vector data; hashes ignore embeddings, so a new model
+ *   replaces every vector
+ */
+
+class NYLAChunkDiff {
+  // Metadata that changes on every build without the content changing
+  static VOLATILE_METADATA = ['created_at', 'updated_at'];
+
+  // Chunks listed by id in a changelog entry
+  static CHANGELOG_LIMIT = 200;
+
+  /**
+   * Identity of a chunk across builds
+   */
+  static key(chunk) {
+    const metadata = chunk.metadata || {};
+    const base = metadata.kb_id || metadata.section || chunk.id;
+    return [base, metadata.subsection, metadata.chunk_part]
+      .filter(part => part !== undefined && part !== null && part !== '')
+      .join('#');
+  }
+
+  /**
+   * Content hash of a chunk (16 hex characters)
+   */
+  static hash(chunk) {
+    const metadata = { ...(chunk.metadata || {}) };
+    NYLAChunkDiff.VOLATILE_METADATA.forEach(field => delete metadata[field]);
+    return NYLAChunkDiff.hashString(NYLAChunkDiff.stableStringify({
+      text: chunk.text || '',
+      search_text: chunk.search_text || null,
+      meta_card: chunk.meta_card || null,
+      facts: chunk.facts || null,
+      metadata
+    }));
+  }
+
+  /**
+   * Hash of the text that is embedded, to reuse embeddings of chunks whose metadata only changed
+   */
+  static textHash(chunk) {
+    return NYLAChunkDiff.hashString(chunk.text || '');
+  }
+
+  /**
+   * Diff two versions of the chunks
+   * @param {Array} previousChunks - Chunks of the installed version
+   * @param {Array} nextChunks - Chunks of the new version
+   * @returns {Object} { added: [chunk], modified: [{ previous, chunk, textChanged }], removed: [chunk], unchanged: [{ previous, chunk }] }
+   */
+  static diff(previousChunks = [], nextChunks = []) {
+    const previousByKey = new Map(previousChunks.map(chunk => [NYLAChunkDiff.key(chunk), chunk]));
+    const result = { added: [], modified: [], removed: [], unchanged: [] };
+
+    for (const chunk of nextChunks) {
+      const key = NYLAChunkDiff.key(chunk);
+      const previous = previousByKey.get(key);
+      if (!previous) {
+        result.added.push(chunk);
+        continue;
+      }
+      previousByKey.delete(key);
+
+      if (previous.id === chunk.id && NYLAChunkDiff.hash(previous) === NYLAChunkDiff.hash(chunk)) {
+        result.unchanged.push({ previous, chunk });
+      } else {
+        result.modified.push({ previous, chunk, textChanged: (previous.text || '') !== (chunk.text || '') });
+      }
+    }
+    result.removed = [...previousByKey.values()];
+    return result;
+  }
+
+  /**
+   * Whether a diff changes anything
+   */
+  static isEmpty(diff) {
+    return diff.added.length === 0 && diff.modified.length === 0 && diff.removed.length === 0;
+  }
+
+  /**
+   * Version of a set of chunks: hash of their ids and content hashes
+   */
+  static version(chunks) {
+    const entries = chunks.map(chunk => `${chunk.id}:${NYLAChunkDiff.hash(chunk)}`).sort();
+    return NYLAChunkDiff.hashString(entries.join('\n'));
+  }
+
+  /**
+   * Embedding model of vector data as "name:dimension", or null when the data does not name one
+   * Accepts nyla-vector-db.json ({ metadata: { model, dimension } }) and the production index ({ model: { name, dimension } })
+   */
+  static embeddingModel(vectorData) {
+    const model = vectorData?.metadata?.model || vectorData?.model;
+    if (!model) return null;
+    const name = typeof model === 'string' ? model : model.name;
+    const dimension = typeof model === 'string' ? vectorData.metadata.dimension : model.dimension;
+    return name ? `${name}:${dimension || ''}` : null;
+  }
+
+  /**
+   * Changelog entry of a diff
+   * @param {Object} diff - diff() result
+   * @param {Object} info - { version, previousVersion, generatedAt, reembedded }
+   */
+  static changelogEntry(diff, info = {}) {
+    const describe = chunk => ({ id: chunk.id, key: NYLAChunkDiff.key(chunk), title: chunk.metadata?.title || null });
+    const limit = list => list.slice(0, NYLAChunkDiff.CHANGELOG_LIMIT);
+    return {
+      version: info.version || null,
+      previous_version: info.previousVersion || null,
+      generated_at: info.generatedAt || new Date().toISOString(),
+      counts: {
+        added: diff.added.length,
+        modified: diff.modified.length,
+        removed: diff.removed.length,
+        unchanged: diff.unchanged.length,
+        reembedded: info.reembedded ?? diff.added.length + diff.modified.filter(change => change.textChanged).length
+      },
+      added: limit(diff.added.map(describe)),
+      modified: limit(diff.modified.map(change => ({ ...describe(change.chunk), previous_id: change.previous.id, text_changed: change.textChanged }))),
+      removed: limit(diff.removed.map(describe))
+    };
+  }
+
+  /**
+   * JSON with sorted object keys, so equal content always hashes the same
+   */
+  static stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => NYLAChunkDiff.stableStringify(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${NYLAChunkDiff.stableStringify(value[key])}`)
+        .join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  /**
+   * 64-bit string hash (two 32-bit FNV-1a style lanes), synchronous in both environments
+   */
+  static hashString(text) {
+    let h1 = 0x811c9dc5;
+    let h2 = 0x01000193 ^ text.length;
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      h1 = Math.imul(h1 ^ code, 0x01000193);
+      h2 = Math.imul(h2 ^ code, 0x5bd1e995);
+      h2 ^= h2 >>> 15;
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 0x85ebca6b) ^ Math.imul(h2 ^ (h2 >>> 13), 0xc2b2ae35);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 0x85ebca6b) ^ Math.imul(h1 ^ (h1 >>> 13), 0xc2b2ae35);
+    return (h1 >>> 0).toString(16).padStart(8, '0') + (h2 >>> 0).toString(16).padStart(8, '0');
+  }
+}
+
+// Export for both Node.js and Browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NYLAChunkDiff;
+} else if (typeof window !== 'undefined') {
+  window.NYLAChunkDiff = NYLAChunkDiff;
+}
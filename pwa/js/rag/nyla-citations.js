@@ -0,0 +1,102 @@
+/**
+ * NYLA Citations
+ * Numbered source citations for answers: the context builder numbers the chunks it sends to the LLM ([1] Title),
+ * the LLM cites them inline with the same markers, and resolve() maps the markers of an answer back to
+ * the KB chunks (id, title, source URL) for the chat's footnotes.
+ * Answers that cite nothing, or cite numbers that were never given, are flagged by the check.
+ */
+
+class NYLACitations {
+  // Added to prompts whose knowledge context is numbered
+  static INSTRUCTION = 'Cite the numbered knowledge base sources you use with their markers, e.g. [1] or [2][3], right after the sentence they support. Do not cite numbers that are not listed, and do not add a list of sources at the end.';
+
+  // [1], [2, 3] and [2][3]
+  static MARKER_PATTERN = /\[(\d{1,2}(?:\s*,\s*\d{1,2})*)\]/g;
+
+  // Trailing "📚 Sources: ..." line of an answer, replaced by the footnotes in the chat
+  static SOURCES_LINE_PATTERN = /\n*📚[^\n]*\s*$/;
+
+  /**
+   * Citation list of the chunks in context order, numbered from 1
+   * @param {Array} chunks - Selected context chunks
+   * @returns {Array} [{ number, id, title, sourceUrl }]
+   */
+  static fromChunks(chunks) {
+    return (chunks || []).map((chunk, index) => ({
+      number: index + 1,
+      id: chunk.id,
+      title: chunk.metadata?.title || chunk.title || chunk.id,
+      sourceUrl: NYLACitations.sourceUrl(chunk.metadata || chunk)
+    }));
+  }
+
+  /**
+   * Public URL of a KB chunk; internal:// sources have none
+   */
+  static sourceUrl(metadata) {
+    const url = metadata && (metadata.source_url || metadata.sourceUrl);
+    return typeof url === 'string' && /^https?:\/\//i.test(url) ? url : null;
+  }
+
+  /**
+   * Numbers cited by the markers of a text, in order of first citation
+   */
+  static citedNumbers(text) {
+    const numbers = [];
+    for (const match of String(text || '').matchAll(NYLACitations.MARKER_PATTERN)) {
+      match[1].split(',').map(number => parseInt(number, 10)).forEach(number => {
+        if (!numbers.includes(number)) numbers.push(number);
+      });
+    }
+    return numbers;
+  }
+
+  /**
+   * Map the citation markers of an answer to its sources; markers of numbers without a source are removed
+   * @param {string} text - Answer text
+   * @param {Array} sources - Numbered sources the answer could cite ({ number, id, title, sourceUrl })
+   * @returns {Object} { text, citations: cited sources in order of first citation,
+   *   check: { cited, uncited: sources given but none cited, unknown: cited numbers without a source, available } }
+   */
+  static resolve(text, sources = []) {
+    const known = number => sources.some(source => source.number === number);
+    const numbers = NYLACitations.citedNumbers(text);
+    const citations = numbers
+      .map(number => sources.find(source => source.number === number))
+      .filter(Boolean);
+    const unknown = numbers.filter(number => !known(number));
+
+    let resolvedText = String(text || '');
+    if (unknown.length > 0) {
+      resolvedText = resolvedText.replace(new RegExp(`\\s*${NYLACitations.MARKER_PATTERN.source}`, 'g'), (marker, list) => {
+        const kept = list.split(',').map(number => parseInt(number, 10)).filter(known);
+        return kept.length === 0 ? '' : marker.replace(/\[.*\]/, `[${kept.join(', ')}]`);
+      });
+    }
+
+    return {
+      text: resolvedText,
+      citations,
+      check: {
+        cited: citations.length > 0,
+        uncited: sources.length > 0 && citations.length === 0,
+        unknown,
+        available: sources.length
+      }
+    };
+  }
+
+  /**
+   * Answer text without its trailing sources line, for display above the footnotes
+   */
+  static stripSourcesLine(text) {
+    return String(text || '').replace(NYLACitations.SOURCES_LINE_PATTERN, '');
+  }
+}
+
+// Export for both Node.js and Browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NYLACitations;
+} else if (typeof window !== 'undefined') {
+  window.NYLACitations = NYLACitations;
+}
@@ -101,8 +101,11 @@ class NYLAContextBuilder {
       // Format context based on style
       const formattedContext = this.formatContext(selectedChunks, config.formatStyle);
       
+      // Sources numbered in the context, for inline citations in the answer
+      const citations = this.numbersSources(config.formatStyle) ? NYLACitations.fromChunks(selectedChunks) : [];
+      
       // Build complete prompt with conversation context
-      const prompt = this.buildPrompt(formattedContext, query, conversationContext);
+      const prompt = this.buildPrompt(formattedContext, query, conversationContext, citations.length > 0);
       
       // Debug: Log context sent to LLM for duplication investigation
       console.log('🔍 CONTEXT BUILDER: Context sent to LLM:');
@@ -132,6 +135,7 @@ class NYLAContextBuilder {
       
       return {
         context: formattedContext,
+        chunks: selectedChunks,
         conversationContext,
         prompt: prompt,
         metadata: {
@@ -140,6 +144,7 @@ class NYLAContextBuilder {
           estimatedTokens: tokenCount,
           conversationTokens,
           sources: this.extractSources(selectedChunks),
+          citations,
           hasConversationContext: !!conversationContext
         }
       };
@@ -634,15 +639,22 @@ class NYLAContextBuilder {
     }
   }
 
+  /**
+   * Whether a format style numbers its sources ([1] Title), so answers can cite them
+   */
+  numbersSources(style) {
+    return this.options.preserveCitations && !['conversational', 'minimal'].includes(style);
+  }
+
   /**
    * Structured format with clear sections
    */
   formatStructured(chunks) {
     const sections = [];
     
-    for (const chunk of chunks) {
+    for (const [index, chunk] of chunks.entries()) {
       const citation = this.options.preserveCitations
-        ? `[Source: ${chunk.metadata.title || chunk.metadata.source}]`
+        ? `[${index + 1}] ${chunk.metadata.title || chunk.metadata.source}`
         : '';
       
       // Add verification status for marketing content
@@ -764,9 +776,9 @@ ${chunkContent}${chunk.truncated ? '...' : ''}`);
   /**
    * Build complete prompt with optional conversation context
    */
-  buildPrompt(context, query, conversationContext = null) {
+  buildPrompt(context, query, conversationContext = null, cited = false) {
     const systemPrompt = this.buildSystemPrompt();
-    const userPrompt = this.buildUserPrompt(context, query, conversationContext);
+    const userPrompt = this.buildUserPrompt(context, query, conversationContext, cited);
     
     return {
       system: systemPrompt,
@@ -804,8 +816,9 @@ RESPONSE STYLE:
 
   /**
    * Build user prompt with context and optional conversation history
+   * @param {boolean} cited - The context numbers its sources, so the answer is asked to cite them
    */
-  buildUserPrompt(context, query, conversationContext = null) {
+  buildUserPrompt(context, query, conversationContext = null, cited = false) {
     const sections = [];
     
     // Add conversation context first if available
@@ -828,6 +841,10 @@ ${context}`);
     
     sections.push(instruction);
     
+    if (cited) {
+      sections.push(NYLACitations.INSTRUCTION);
+    }
+    
     return sections.join('\n\n');
   }
 
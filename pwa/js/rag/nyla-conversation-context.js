@@ -64,6 +64,19 @@ class NYLAConversationContext {
     console.log(`💬 Added conversation turn: ${this.conversationHistory.length} total`);
   }
 
+  /**
+   * Replace the answer of the latest turn for a query (regenerated or another version kept)
+   * @returns {boolean} false when the query has no turn
+   */
+  updateLastResponse(userQuery, nylaResponse) {
+    const turn = [...this.conversationHistory].reverse().find(t => t.user.query === userQuery);
+    if (!turn) {
+      return false;
+    }
+    turn.assistant.response = nylaResponse;
+    return true;
+  }
+
   /**
    * Build conversation context for RAG
    */
@@ -0,0 +1,231 @@
+/**
+ * NYLA Extractive Answerer
+ * Answers from the retrieved knowledge itself when no LLM is available (iOS, no WebGPU, remote provider down):
+ * key facts from meta cards and the facts database first, then the most relevant compressed passages,
+ * each followed by a numbered citation of the chunk it came from.
+ */
+
+class NYLAExtractiveAnswerer {
+  // Passages and sentences per passage for each answer type of NYLACompressionService.compressForAnswerType
+  static ANSWER_TYPES = {
+    short_answer: { passages: 1, sentences: 2 },
+    step_by_step: { passages: 2, sentences: 5 },
+    detailed_explanation: { passages: 3, sentences: 3 },
+    comparison: { passages: 3, sentences: 2 }
+  };
+
+  // Facts that can be quoted directly, in answer order; fields are meta card or facts database keys
+  static FACT_FIELDS = [
+    {
+      labels: { en: 'Contract address', zh: '合约地址' },
+      fields: ['contract_address', 'ca', '合約地址', '合約'],
+      pattern: /contract|address|\bca\b|合[約约]|地址/i
+    },
+    {
+      labels: { en: 'Ticker', zh: '代币符号' },
+      fields: ['ticker_symbol', 'ticker', 'symbol'],
+      pattern: /ticker|symbol|代[币幣號号]|符號|符号/i
+    },
+    {
+      labels: { en: 'Blockchain', zh: '区块链' },
+      fields: ['blockchain'],
+      pattern: /blockchain|chain|network|[链鏈]/i
+    },
+    {
+      labels: { en: 'X account', zh: 'X 账户' },
+      fields: ['x_account'],
+      pattern: /\bx\b|twitter|social|official|contact|channel|推特|社交|官方|联系|聯繫|渠道/i
+    },
+    {
+      labels: { en: 'X community', zh: 'X 社区' },
+      fields: ['x_community'],
+      pattern: /community|join|channel|社[区區]|加入|渠道/i
+    },
+    {
+      labels: { en: 'Telegram', zh: 'Telegram' },
+      fields: ['telegram'],
+      pattern: /telegram|\btg\b|community|join|contact|channel|电报|電報|社[区區]|加入|联系|聯繫|渠道/i
+    },
+    {
+      labels: { en: 'Links', zh: '官方链接' },
+      fields: ['linktree'],
+      pattern: /links?|linktree|official|channel|链接|連結|官方|渠道/i
+    }
+  ];
+
+  constructor(options = {}) {
+    this.options = {
+      factsUrl: 'data/nyla-facts-db.json',
+      maxPassageLength: 400,
+      ...options
+    };
+
+    this.compressionService = options.compressionService || new NYLACompressionService();
+    this.facts = {};  // Facts database: `${kb_id}_${field}` -> value
+  }
+
+  /**
+   * Load the facts database, so facts are found for chunks that lost theirs during aggregation
+   */
+  async loadFacts() {
+    try {
+      const response = await fetch(this.options.factsUrl);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const factsDB = await response.json();
+      this.facts = factsDB.facts || {};
+      console.log(`📇 Extractive answerer: ${Object.keys(this.facts).length} facts loaded`);
+    } catch (error) {
+      console.warn('⚠️ Extractive answerer: Facts database not available, using chunk facts only:', error.message);
+    }
+  }
+
+  /**
+   * Compose an answer from retrieved chunks
+   * @param {string} query - User question
+   * @param {Array} chunks - Retrieved chunks, best first
+   * @returns {Object} { text, answerType, citations: [{ number, id, title }] }
+   */
+  answer(query, chunks) {
+    const candidates = (chunks || []).filter(chunk => chunk && chunk.text);
+    if (candidates.length === 0) {
+      throw new Error('No knowledge found for a RAG-only answer');
+    }
+
+    const language = /[\u4e00-\u9fff]/.test(query) ? 'zh' : 'en';
+    const answerType = NYLAExtractiveAnswerer.detectAnswerType(query);
+    const citations = [];
+    const cite = (chunk) => {
+      let citation = citations.find(c => c.id === chunk.id);
+      if (!citation) {
+        citation = { number: citations.length + 1, id: chunk.id, title: chunk.metadata?.title || chunk.id };
+        citations.push(citation);
+      }
+      return `[${citation.number}]`;
+    };
+
+    const factLines = this.selectFacts(query, candidates).map(({ chunk, labels, value }) =>
+      `${labels[language]}: ${value} ${cite(chunk)}`);
+
+    const { passages, sentences } = NYLAExtractiveAnswerer.ANSWER_TYPES[answerType];
+    const compressed = this.compressionService.compressForAnswerType(
+      candidates.slice(0, passages), query, answerType
+    ).chunks;
+    const passageLines = [];
+    for (const chunk of compressed) {
+      const excerpt = NYLAExtractiveAnswerer.excerpt(chunk.text, sentences, this.options.maxPassageLength);
+      if (excerpt && !passageLines.some(line => line.startsWith(`${excerpt} [`))) {
+        passageLines.push(`${excerpt} ${cite(chunk)}`);
+      }
+    }
+
+    const sourcesLabel = language === 'zh' ? '来源' : 'Sources';
+    const sources = citations.map(c => `[${c.number}] ${c.title}`).join(' · ');
+    const sections = [factLines.join('\n'), passageLines.join('\n\n'), `📚 ${sourcesLabel}: ${sources}`];
+
+    return {
+      text: sections.filter(Boolean).join('\n\n'),
+      answerType,
+      citations
+    };
+  }
+
+  /**
+   * Facts asked for by the query, each from the best chunk that has it
+   */
+  selectFacts(query, chunks) {
+    const chunkFacts = chunks.map(chunk => ({ chunk, facts: this.collectFacts(chunk) }));
+    const selected = [];
+
+    for (const { labels, fields, pattern } of NYLAExtractiveAnswerer.FACT_FIELDS) {
+      if (!pattern.test(query)) continue;
+
+      for (const { chunk, facts } of chunkFacts) {
+        const field = fields.find(name => facts[name] !== undefined);
+        if (field) {
+          selected.push({ chunk, labels, value: NYLAExtractiveAnswerer.formatFact(facts[field]) });
+          break;
+        }
+      }
+    }
+    return selected;
+  }
+
+  /**
+   * Flat field -> value map of a chunk's meta card, its own facts and the facts database entries of its kb_id
+   */
+  collectFacts(chunk) {
+    const facts = {};
+    const kbId = chunk.metadata?.kb_id || chunk.metadata?.section;
+    const prefix = kbId ? `${kbId}_` : null;
+
+    const addFacts = (entries) => {
+      Object.entries(entries).forEach(([key, value]) => {
+        if (prefix && key.startsWith(prefix)) {
+          const field = key.slice(prefix.length);
+          if (!(field in facts)) facts[field] = value;
+        }
+      });
+    };
+    if (chunk.facts) addFacts(chunk.facts);
+    addFacts(this.facts);
+
+    // Meta card fields win over the flattened facts
+    if (chunk.meta_card) {
+      const { official_channels: channels, ...fields } = chunk.meta_card;
+      Object.assign(facts, fields, channels || {});
+    }
+    return facts;
+  }
+
+  /**
+   * @param {string|Object} value - Plain value or a channel { handle, url }
+   */
+  static formatFact(value) {
+    if (value && typeof value === 'object') {
+      return value.handle && value.url ? `${value.handle} (${value.url})` : value.url || value.handle || '';
+    }
+    return String(value);
+  }
+
+  /**
+   * Opening sentences of a passage
+   * @param {string} text - Passage
+   * @param {number} maxSentences - Sentences to keep
+   * @param {number} maxLength - Cut longer excerpts at a word boundary
+   */
+  static excerpt(text, maxSentences = 2, maxLength = 400) {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    // Latin sentence ends need a following space (keeps "0.5" and URLs whole); CJK ones do not
+    const sentences = clean.replace(/([.!?])\s+|([。！？])/g, (match, latin, cjk) => latin ? `${latin} \n` : `${cjk}\n`).split('\n');
+    const excerpt = sentences.slice(0, maxSentences).join('').trim();
+    if (excerpt.length <= maxLength) return excerpt;
+
+    const cut = excerpt.slice(0, maxLength);
+    return cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : maxLength) + '…';
+  }
+
+  /**
+   * Answer type for NYLACompressionService.compressForAnswerType
+   */
+  static detectAnswerType(query) {
+    if (/\b(vs\.?|versus|compare[ds]?|comparison|difference|better)\b|比[较較]|[区區]别|不同/i.test(query)) {
+      return 'comparison';
+    }
+    if (/\bhow (do|can|to|does)\b|\bsteps?\b|\bguide\b|如何|怎[么麼樣样]|步[骤驟]/i.test(query)) {
+      return 'step_by_step';
+    }
+    if (/\b(what is the|which|when|who|where)\b|contract|address|ticker|symbol|多少|哪|地址|代[币幣]/i.test(query)) {
+      return 'short_answer';
+    }
+    return 'detailed_explanation';
+  }
+}
+
+// Export for both Node.js and Browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NYLAExtractiveAnswerer;
+} else if (typeof window !== 'undefined') {
+  window.NYLAExtractiveAnswerer = NYLAExtractiveAnswerer;
+}
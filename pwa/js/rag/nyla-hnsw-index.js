@@ -0,0 +1,492 @@
+/**
+ * NYLA HNSW Index
+ * Approximate nearest-neighbour search over the KB embeddings with a Hierarchical Navigable Small World graph
+ * (Malkov & Yashunin, 2016), used by NYLAVectorDB instead of scanning every vector.
+ *
+ * - Cosine similarity: vectors are normalised when added, so the distance is 1 - dot product
+ * - Levels come from a seeded random generator, so the same KB always builds the same graph
+ * - serialize() keeps the graph as plain JSON for IndexedDB and the nyla-vector-db.json distribution;
+ *   the distribution leaves the vectors out and deserialize() takes them from its embeddings
+ * - Small indexes are scanned instead (exactSearchBelow), where the graph does not pay off
+ * - exactSearch() is the brute-force scan, the baseline of benchmark()
+ * - search() can be restricted to the ids of a metadata pre-filter (allowedIds, see NYLAMetadataIndex)
+ * - remove() leaves a tombstone, so incremental KB updates do not rebuild the graph for every deleted chunk
+ */
+
+class NYLAHNSWIndex {
+  static TYPE = 'hnsw';
+  static FORMAT_VERSION = 1;
+
+  static DEFAULTS = {
+    M: 16,               // Links per node on the upper levels, twice as many on level 0
+    efConstruction: 100, // Candidates considered while linking a new node
+    efSearch: 64,        // Candidates considered per search, at least k
+    exactSearchBelow: 256,
+    compactAbove: 0.2,   // Share of removed nodes above which the graph is rebuilt without them
+    seed: 42
+  };
+
+  /**
+   * @param {number} dimension - Vector dimension; taken from the first vector when it differs
+   * @param {Object} options - { M, efConstruction, efSearch, exactSearchBelow, compactAbove, seed }
+   */
+  constructor(dimension, options = {}) {
+    this.dimension = dimension;
+    this.options = { ...NYLAHNSWIndex.DEFAULTS, ...options };
+    this.levelMultiplier = 1 / Math.log(this.options.M);
+    this.reset();
+  }
+
+  reset() {
+    this.vectors = [];   // node -> normalised Float32Array
+    this.ids = [];       // node -> chunk id
+    this.levels = [];    // node -> top level
+    this.neighbors = []; // node -> level -> neighbour nodes
+    this.deleted = new Set(); // removed nodes, still linked but never returned
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    this.randomState = this.options.seed >>> 0;
+  }
+
+  /**
+   * Add a vector under a chunk id
+   */
+  add(vector, id) {
+    if (this.ids.length === 0 && vector.length !== this.dimension) {
+      this.dimension = vector.length;
+    }
+    if (vector.length !== this.dimension) {
+      throw new Error(`Vector for ${id} has ${vector.length} dimensions, index has ${this.dimension}`);
+    }
+
+    const node = this.ids.length;
+    const level = Math.floor(-Math.log(1 - this.random()) * this.levelMultiplier);
+    this.vectors.push(NYLAHNSWIndex.normalize(vector));
+    this.ids.push(id);
+    this.levels.push(level);
+    this.neighbors.push(Array.from({ length: level + 1 }, () => []));
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+      return;
+    }
+
+    const query = this.vectors[node];
+    let entry = this.greedyDescent(query, this.entryPoint, this.maxLevel, level);
+
+    for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+      const candidates = this.searchLayer(query, entry, this.options.efConstruction, layer);
+      const selected = this.selectNeighbors(query, candidates, this.options.M);
+      this.neighbors[node][layer] = selected.map(candidate => candidate.node);
+
+      // Link back, pruning neighbours that now have too many links
+      for (const { node: neighbor } of selected) {
+        const links = this.neighbors[neighbor][layer];
+        links.push(node);
+        if (links.length > this.maxLinks(layer)) {
+          const linked = links.map(other => ({ node: other, distance: this.distance(this.vectors[neighbor], other) }));
+          this.neighbors[neighbor][layer] = this.selectNeighbors(this.vectors[neighbor], linked, this.maxLinks(layer))
+            .map(candidate => candidate.node);
+        }
+      }
+      entry = candidates;
+    }
+
+    if (level > this.maxLevel) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+    }
+  }
+
+  /**
+   * Remove the vector of a chunk id
+   * The node stays in the graph as a tombstone so its links keep the graph navigable; the graph is rebuilt
+   * from the remaining vectors once tombstones exceed compactAbove of the nodes.
+   * @returns {boolean} Whether the id was in the index
+   */
+  remove(id) {
+    let removed = false;
+    this.ids.forEach((nodeId, node) => {
+      if (nodeId === id && !this.deleted.has(node)) {
+        this.deleted.add(node);
+        removed = true;
+      }
+    });
+    if (this.deleted.size > this.options.compactAbove * this.ids.length) {
+      this.compact();
+    }
+    return removed;
+  }
+
+  /**
+   * Rebuild the graph without the removed nodes
+   */
+  compact() {
+    const live = this.ids
+      .map((id, node) => ({ id, vector: this.vectors[node], node }))
+      .filter(({ node }) => !this.deleted.has(node));
+    this.reset();
+    live.forEach(({ id, vector }) => this.add(vector, id));
+  }
+
+  /**
+   * Nearest vectors to a query
+   * @param {Array} queryVector - Query embedding
+   * @param {number} k - Number of results
+   * @param {Object} options - { ef: candidates to consider, defaults to efSearch; allowedIds: Set of the only ids to return }
+   * @returns {Array} [{ id, similarity, distance }] by descending similarity
+   */
+  search(queryVector, k, options = {}) {
+    const { allowedIds, ...graphOptions } = options;
+    if (allowedIds) {
+      return this.searchAllowed(queryVector, k, allowedIds, graphOptions);
+    }
+    if (this.size() < this.options.exactSearchBelow) {
+      return this.exactSearch(queryVector, k);
+    }
+    return this.searchGraph(queryVector, k, graphOptions);
+  }
+
+  /**
+   * Nearest vectors among allowed ids (a metadata pre-filter)
+   * Few allowed ids are scanned; otherwise the graph is searched with ef grown by how selective the ids are,
+   * and scanned when that leaves fewer than k of them.
+   */
+  searchAllowed(queryVector, k, allowedIds, { ef = this.options.efSearch } = {}) {
+    if (allowedIds.size < this.options.exactSearchBelow || this.size() < this.options.exactSearchBelow) {
+      return this.exactSearch(queryVector, k, allowedIds);
+    }
+
+    const selectivity = this.size() / allowedIds.size;
+    const results = this.searchGraph(queryVector, this.size(), { ef: Math.min(this.size(), Math.ceil(Math.max(ef, k) * selectivity)) })
+      .filter(result => allowedIds.has(result.id))
+      .slice(0, k);
+    const expected = Math.min(k, allowedIds.size);
+    return results.length >= expected ? results : this.exactSearch(queryVector, k, allowedIds);
+  }
+
+  /**
+   * Nearest vectors to a query from the graph, whatever the size of the index
+   */
+  searchGraph(queryVector, k, { ef = this.options.efSearch } = {}) {
+    if (this.entryPoint === -1 || k <= 0) return [];
+
+    const query = NYLAHNSWIndex.normalize(queryVector);
+    const entry = this.greedyDescent(query, this.entryPoint, this.maxLevel, 0);
+    return this.searchLayer(query, entry, Math.max(ef, k) + this.deleted.size, 0)
+      .filter(candidate => !this.deleted.has(candidate.node))
+      .slice(0, k)
+      .map(candidate => this.toResult(candidate));
+  }
+
+  /**
+   * Brute-force scan of every vector, the exact answer search() approximates
+   * @param {Set} allowedIds - Only scan these ids, optional
+   */
+  exactSearch(queryVector, k, allowedIds = null) {
+    const query = NYLAHNSWIndex.normalize(queryVector);
+    const nodes = [];
+    this.ids.forEach((id, node) => {
+      if (!this.deleted.has(node) && (!allowedIds || allowedIds.has(id))) nodes.push(node);
+    });
+    return nodes
+      .map(node => ({ node, distance: this.distance(query, node) }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, k)
+      .map(candidate => this.toResult(candidate));
+  }
+
+  /**
+   * Recall of searchGraph() against exactSearch() and the time both take
+   * @param {Array} queries - Query vectors
+   * @param {number} k - Results per query
+   * @param {Object} options - searchGraph() options
+   * @returns {Object} { queries, k, recall, approximateMs, exactMs }
+   */
+  benchmark(queries, k = 10, options = {}) {
+    let found = 0;
+    let expected = 0;
+    let approximateMs = 0;
+    let exactMs = 0;
+
+    for (const query of queries) {
+      let startTime = NYLAHNSWIndex.now();
+      const approximate = this.searchGraph(query, k, options);
+      approximateMs += NYLAHNSWIndex.now() - startTime;
+
+      startTime = NYLAHNSWIndex.now();
+      const exact = this.exactSearch(query, k);
+      exactMs += NYLAHNSWIndex.now() - startTime;
+
+      const approximateIds = new Set(approximate.map(result => result.id));
+      found += exact.filter(result => approximateIds.has(result.id)).length;
+      expected += exact.length;
+    }
+
+    return {
+      queries: queries.length,
+      k,
+      recall: expected === 0 ? 1 : found / expected,
+      approximateMs,
+      exactMs
+    };
+  }
+
+  size() {
+    return this.ids.length - this.deleted.size;
+  }
+
+  /**
+   * Graph as plain JSON
+   * @param {Object} options - { includeVectors: false when the vectors are stored elsewhere, e.g. the embeddings }
+   */
+  serialize({ includeVectors = true } = {}) {
+    const data = {
+      type: NYLAHNSWIndex.TYPE,
+      version: NYLAHNSWIndex.FORMAT_VERSION,
+      dimension: this.dimension,
+      options: this.options,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      randomState: this.randomState,
+      ids: this.ids,
+      levels: this.levels,
+      neighbors: this.neighbors,
+      deleted: [...this.deleted]
+    };
+    if (includeVectors) {
+      data.vectors = this.vectors.map(vector => Array.from(vector));
+    } else if (this.deleted.size > 0) {
+      // The embeddings no longer have the vectors of removed nodes
+      data.deletedVectors = Object.fromEntries([...this.deleted].map(node => [node, Array.from(this.vectors[node])]));
+    }
+    return data;
+  }
+
+  /**
+   * Restore a serialized graph; the flat index format ({ vectors, ids }) is rebuilt into a graph
+   * @param {Object} data - serialize() output
+   * @param {Function} getVector - (id) => vector, for graphs serialized without their vectors
+   * @throws {Error} When the graph does not match this version or a vector is missing
+   */
+  deserialize(data, getVector = null) {
+    if (data.type !== NYLAHNSWIndex.TYPE) {
+      this.reset();
+      (data.vectors || []).forEach((vector, index) => this.add(vector, data.ids[index]));
+      return;
+    }
+    if (data.version !== NYLAHNSWIndex.FORMAT_VERSION) {
+      throw new Error(`Unsupported HNSW index version ${data.version}`);
+    }
+
+    const deleted = new Set(data.deleted || []);
+    const vectors = data.ids.map((id, node) => {
+      let vector = data.vectors ? data.vectors[node] : null;
+      if (!vector && deleted.has(node)) vector = data.deletedVectors && data.deletedVectors[node];
+      if (!vector && !data.vectors && !deleted.has(node)) vector = getVector && getVector(id);
+      if (!vector || vector.length !== data.dimension) {
+        throw new Error(`HNSW index has no ${data.dimension}-dimension vector for ${id}`);
+      }
+      return NYLAHNSWIndex.normalize(vector);
+    });
+
+    this.dimension = data.dimension;
+    this.options = { ...NYLAHNSWIndex.DEFAULTS, ...data.options };
+    this.levelMultiplier = 1 / Math.log(this.options.M);
+    this.vectors = vectors;
+    this.ids = data.ids.slice();
+    this.levels = data.levels.slice();
+    this.neighbors = data.neighbors.map(levels => levels.map(links => links.slice()));
+    this.entryPoint = data.entryPoint;
+    this.maxLevel = data.maxLevel;
+    this.randomState = data.randomState >>> 0;
+    this.deleted = deleted;
+  }
+
+  /**
+   * Closest node on each level from fromLevel down to (not including) toLevel
+   */
+  greedyDescent(query, entryPoint, fromLevel, toLevel) {
+    let current = { node: entryPoint, distance: this.distance(query, entryPoint) };
+    for (let layer = fromLevel; layer > toLevel; layer--) {
+      let improved = true;
+      while (improved) {
+        improved = false;
+        for (const neighbor of this.neighbors[current.node][layer] || []) {
+          const distance = this.distance(query, neighbor);
+          if (distance < current.distance) {
+            current = { node: neighbor, distance };
+            improved = true;
+          }
+        }
+      }
+    }
+    return [current];
+  }
+
+  /**
+   * Best-first search of one level
+   * @param {Array} entryPoints - [{ node, distance }]
+   * @returns {Array} Up to ef [{ node, distance }] by ascending distance
+   */
+  searchLayer(query, entryPoints, ef, layer) {
+    const visited = new Set(entryPoints.map(entry => entry.node));
+    const candidates = new NYLAHNSWHeap((a, b) => a.distance - b.distance);
+    const results = new NYLAHNSWHeap((a, b) => b.distance - a.distance);
+    entryPoints.forEach(entry => {
+      candidates.push(entry);
+      results.push(entry);
+    });
+    while (results.size() > ef) results.pop();
+
+    while (candidates.size() > 0) {
+      const closest = candidates.pop();
+      if (results.size() >= ef && closest.distance > results.peek().distance) break;
+
+      for (const neighbor of this.neighbors[closest.node][layer] || []) {
+        if (visited.has(neighbor)) continue;
+        visited.add(neighbor);
+
+        const distance = this.distance(query, neighbor);
+        if (results.size() < ef || distance < results.peek().distance) {
+          candidates.push({ node: neighbor, distance });
+          results.push({ node: neighbor, distance });
+          if (results.size() > ef) results.pop();
+        }
+      }
+    }
+
+    return results.toArray().sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * Neighbour selection heuristic: a candidate is skipped when it is closer to an already selected
+   * neighbour than to the node, which keeps links pointing in different directions; skipped candidates
+   * fill the remaining slots
+   */
+  selectNeighbors(query, candidates, count) {
+    const sorted = candidates.slice().sort((a, b) => a.distance - b.distance);
+    const selected = [];
+    const skipped = [];
+
+    for (const candidate of sorted) {
+      if (selected.length >= count) break;
+      const diverse = selected.every(chosen => this.distance(this.vectors[candidate.node], chosen.node) > candidate.distance);
+      (diverse ? selected : skipped).push(candidate);
+    }
+    return selected.concat(skipped.slice(0, count - selected.length));
+  }
+
+  maxLinks(layer) {
+    return layer === 0 ? this.options.M * 2 : this.options.M;
+  }
+
+  /**
+   * Cosine distance between a normalised query and a node
+   */
+  distance(query, node) {
+    const vector = this.vectors[node];
+    let dot = 0;
+    for (let i = 0; i < vector.length; i++) {
+      dot += query[i] * vector[i];
+    }
+    return 1 - dot;
+  }
+
+  toResult({ node, distance }) {
+    return { id: this.ids[node], similarity: 1 - distance, distance };
+  }
+
+  /**
+   * Seeded generator (mulberry32) in [0, 1)
+   */
+  random() {
+    this.randomState = (this.randomState + 0x6D2B79F5) >>> 0;
+    let t = this.randomState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  static normalize(vector) {
+    const normalized = Float32Array.from(vector);
+    let norm = 0;
+    for (let i = 0; i < normalized.length; i++) {
+      norm += normalized[i] * normalized[i];
+    }
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+      for (let i = 0; i < normalized.length; i++) {
+        normalized[i] /= norm;
+      }
+    }
+    return normalized;
+  }
+
+  static now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+  }
+}
+
+/**
+ * Binary heap ordered by a compare function (smallest first)
+ */
+class NYLAHNSWHeap {
+  constructor(compare) {
+    this.compare = compare;
+    this.items = [];
+  }
+
+  size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.compare(items[index], items[parent]) >= 0) break;
+      [items[index], items[parent]] = [items[parent], items[index]];
+      index = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let index = 0;
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+        if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+        if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+        if (smallest === index) break;
+        [items[index], items[smallest]] = [items[smallest], items[index]];
+        index = smallest;
+      }
+    }
+    return top;
+  }
+
+  toArray() {
+    return this.items.slice();
+  }
+}
+
+// Export for both Node.js and Browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NYLAHNSWIndex;
+} else if (typeof window !== 'undefined') {
+  window.NYLAHNSWIndex = NYLAHNSWIndex;
+}
@@ -1,6 +1,8 @@
 /**
  * NYLA Knowledge Base Version Manager
  * Tracks KB versions and triggers embedding regeneration when needed
+ * KB chunks are tracked by content hash, so edits only update the affected chunks (see NYLAChunkDiff);
+ * the changes of each update are kept as a changelog
  */
 
 class NYLAKBVersionManager {
@@ -15,6 +17,7 @@ class NYLAKBVersionManager {
       // nylago-data.js is UI data for raids, not knowledge base content
     ];
     
+    this.maxChangelogEntries = 20;
     this.initialized = false;
   }
 
@@ -71,6 +74,37 @@ class NYLAKBVersionManager {
     return hashHex;
   }
 
+  /**
+   * Content hash of each KB chunk by id, null for knowledge bases that are not a chunk array
+   */
+  generateChunkHashes(knowledgeBase) {
+    if (!Array.isArray(knowledgeBase)) return null;
+    
+    const hashes = {};
+    for (const chunk of knowledgeBase) {
+      if (chunk && chunk.id) {
+        hashes[chunk.id] = NYLAChunkDiff.hashString(NYLAChunkDiff.stableStringify(chunk));
+      }
+    }
+    return hashes;
+  }
+
+  /**
+   * KB chunk ids added, modified and removed between two chunk hash maps
+   */
+  diffChunkHashes(storedHashes, currentHashes) {
+    const changes = { added: [], modified: [], removed: [] };
+    for (const [id, hash] of Object.entries(currentHashes)) {
+      if (!(id in storedHashes)) {
+        changes.added.push(id);
+      } else if (storedHashes[id] !== hash) {
+        changes.modified.push(id);
+      }
+    }
+    changes.removed = Object.keys(storedHashes).filter(id => !(id in currentHashes));
+    return changes;
+  }
+
   /**
    * Get stored KB version info
    */
@@ -111,26 +145,34 @@ class NYLAKBVersionManager {
 
   /**
    * Check if KB needs rebuilding
+   * Changed KB chunks need an incremental update (needsUpdate, changes) rather than a rebuild,
+   * unless the stored version has no chunk hashes to compare with
    */
   async needsRebuild(knowledgeBase, vectorDBStats) {
     try {
       // Generate current KB hash
       const currentHash = await this.generateKBHash(knowledgeBase);
+      const chunkHashes = this.generateChunkHashes(knowledgeBase);
       
       // Get stored version
       const stored = await this.getStoredVersion();
       
       // Check various rebuild conditions
       const reasons = [];
+      let changes = null;
       
       // 1. No stored version (first time)
       if (!stored) {
         reasons.push('no_previous_version');
       }
       
-      // 2. KB content changed (hash mismatch)
+      // 2. KB content changed (hash mismatch): chunk-level changes when both versions have chunk hashes
       else if (stored.hash !== currentHash) {
-        reasons.push('kb_content_changed');
+        if (stored.chunkHashes && chunkHashes) {
+          changes = this.diffChunkHashes(stored.chunkHashes, chunkHashes);
+        } else {
+          reasons.push('kb_content_changed');
+        }
       }
       
       // 3. Vector DB is empty
@@ -139,12 +181,14 @@ class NYLAKBVersionManager {
       }
       
       // 4. Vector DB version mismatch
-      if (stored && vectorDBStats && stored.vectorDBVersion !== vectorDBStats.version) {
+      if (stored && vectorDBStats && stored.vectorDBVersion !== (vectorDBStats.version || '1.0.0')) {
         reasons.push('vector_db_version_mismatch');
       }
       
       return {
         needsRebuild: reasons.length > 0,
+        needsUpdate: reasons.length === 0 && changes !== null,
+        changes,
         reasons,
         currentHash,
         storedHash: stored?.hash,
@@ -170,6 +214,7 @@ class NYLAKBVersionManager {
       
       const versionInfo = {
         hash,
+        chunkHashes: this.generateChunkHashes(knowledgeBase),
         vectorDBVersion: vectorDBStats?.version || '1.0.0',
         chunkCount: vectorDBStats?.chunkCount || 0,
         embeddingModel: 'multilingual-e5-base',
@@ -193,6 +238,39 @@ class NYLAKBVersionManager {
     }
   }
 
+  /**
+   * Add the changelog entry of an index update (NYLAChunkDiff.changelogEntry), keeping the latest entries
+   */
+  async recordChanges(entry) {
+    if (!this.db) await this.initialize();
+    
+    const entries = [...(await this.getChangelog()), entry].slice(-this.maxChangelogEntries);
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.storeName], 'readwrite');
+      const store = transaction.objectStore(this.storeName);
+      const request = store.put({ id: 'kb-changelog', entries });
+      
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(entries);
+    });
+  }
+
+  /**
+   * Changelog of the index updates, oldest first
+   */
+  async getChangelog() {
+    if (!this.db) await this.initialize();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.storeName], 'readonly');
+      const store = transaction.objectStore(this.storeName);
+      const request = store.get('kb-changelog');
+      
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result?.entries || []);
+    });
+  }
+
   /**
    * Get version info for debugging
    */
@@ -202,6 +280,7 @@ class NYLAKBVersionManager {
       return {
         hasStoredVersion: !!stored,
         stored,
+        changelog: await this.getChangelog(),
         manager: {
           initialized: this.initialized,
           trackedFiles: this.trackedFiles
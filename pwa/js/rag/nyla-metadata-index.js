@@ -0,0 +1,283 @@
+/**
+ * NYLA Metadata Index
+ * Inverted index over chunk metadata (tags, type, chunk_type, section, category, chain, lang, stability,
+ * source, as_of), so NYLAVectorDB can restrict a search to the matching chunks before scoring them.
+ *
+ * Filters are objects, with a Mongo-like syntax:
+ *   { chain: 'Solana', type: ['faq', 'howto'], tags: { $nin: ['marketing'] }, as_of: { $gte: '2025-01-01' }, $or: [...] }
+ * or a small query language that parse() turns into such an object:
+ *   chain:solana type:faq,howto -tag:marketing as_of>=2025-01-01 section:"about team"
+ *
+ * Values compare case-insensitively; a field with several values (tags) matches when any value does,
+ * and an empty list of values does not restrict the field.
+ * Fields that are not indexed (e.g. excludeFromTech) are still checked by matches().
+ */
+
+class NYLAMetadataIndex {
+  static INDEXED_FIELDS = ['tags', 'type', 'chunk_type', 'section', 'category', 'chain', 'lang', 'stability', 'source', 'as_of'];
+
+  // Other names of the fields, in filters and in the query language
+  static ALIASES = {
+    tag: 'tags',
+    chunkType: 'chunk_type',
+    chains: 'chain',
+    language: 'lang',
+    asOf: 'as_of'
+  };
+
+  static RANGE_OPERATORS = {
+    '>=': '$gte',
+    '>': '$gt',
+    '<=': '$lte',
+    '<': '$lt'
+  };
+
+  static TERM_PATTERN = /^(-?)([A-Za-z_]+)(>=|<=|>|<|:|=)(.+)$/;
+
+  constructor() {
+    this.clear();
+  }
+
+  clear() {
+    this.postings = new Map(NYLAMetadataIndex.INDEXED_FIELDS.map(field => [field, new Map()]));
+    this.metadata = new Map();
+  }
+
+  /**
+   * Index the metadata of a chunk, replacing what was indexed for its id
+   */
+  add(id, metadata = {}) {
+    this.remove(id);
+    this.metadata.set(id, metadata || {});
+    for (const field of NYLAMetadataIndex.INDEXED_FIELDS) {
+      for (const value of NYLAMetadataIndex.values(this.metadata.get(id), field)) {
+        const ids = this.postings.get(field).get(value) || new Set();
+        ids.add(id);
+        this.postings.get(field).set(value, ids);
+      }
+    }
+  }
+
+  remove(id) {
+    const metadata = this.metadata.get(id);
+    if (!metadata) return;
+    for (const field of NYLAMetadataIndex.INDEXED_FIELDS) {
+      for (const value of NYLAMetadataIndex.values(metadata, field)) {
+        const ids = this.postings.get(field).get(value);
+        ids.delete(id);
+        if (ids.size === 0) this.postings.get(field).delete(value);
+      }
+    }
+    this.metadata.delete(id);
+  }
+
+  size() {
+    return this.metadata.size;
+  }
+
+  /**
+   * Ids of the chunks matching a filter
+   * @param {Object|string} filter - Filter object or query
+   * @returns {Set} Matching ids
+   */
+  select(filter) {
+    const parsed = NYLAMetadataIndex.toFilter(filter);
+    const candidates = this.candidates(parsed) || this.metadata.keys();
+    const selected = new Set();
+    for (const id of candidates) {
+      if (NYLAMetadataIndex.matches(this.metadata.get(id), parsed)) selected.add(id);
+    }
+    return selected;
+  }
+
+  /**
+   * Ids the indexed fields of a filter allow, or null when none restricts the search
+   * A superset of the matches: select() checks every candidate with matches().
+   */
+  candidates(filter) {
+    let result = null;
+    for (const [key, condition] of Object.entries(filter || {})) {
+      let ids = null;
+      if (key === '$or') {
+        const branches = condition.map(branch => this.candidates(branch));
+        ids = branches.includes(null) ? null : NYLAMetadataIndex.union(branches);
+      } else if (key === '$and') {
+        ids = condition.reduce((all, branch) => NYLAMetadataIndex.intersect(all, this.candidates(branch)), null);
+      } else {
+        const field = NYLAMetadataIndex.ALIASES[key] || key;
+        if (NYLAMetadataIndex.INDEXED_FIELDS.includes(field)) {
+          ids = this.conditionCandidates(field, condition);
+        }
+      }
+      result = NYLAMetadataIndex.intersect(result, ids);
+    }
+    return result;
+  }
+
+  conditionCandidates(field, condition) {
+    const postings = this.postings.get(field);
+    const posting = value => postings.get(NYLAMetadataIndex.normalize(value)) || new Set();
+    const anyOf = values => NYLAMetadataIndex.union([].concat(values).map(posting));
+    const noneOf = values => {
+      const excluded = anyOf(values);
+      return new Set([...this.metadata.keys()].filter(id => !excluded.has(id)));
+    };
+
+    if (Array.isArray(condition)) return condition.length > 0 ? anyOf(condition) : null;
+    if (condition === null || typeof condition !== 'object') return posting(condition);
+
+    let result = null;
+    const ranges = {};
+    for (const [operator, value] of Object.entries(condition)) {
+      if (operator === '$eq') result = NYLAMetadataIndex.intersect(result, posting(value));
+      else if (operator === '$in') result = NYLAMetadataIndex.intersect(result, anyOf(value));
+      else if (operator === '$ne' || operator === '$nin') result = NYLAMetadataIndex.intersect(result, noneOf(value));
+      else if (['$gt', '$gte', '$lt', '$lte'].includes(operator)) ranges[operator] = value;
+    }
+    if (Object.keys(ranges).length > 0) {
+      const inRange = [...postings.keys()]
+        .filter(value => NYLAMetadataIndex.inRange(value, ranges))
+        .map(value => postings.get(value));
+      result = NYLAMetadataIndex.intersect(result, NYLAMetadataIndex.union(inRange));
+    }
+    return result;
+  }
+
+  /**
+   * Whether chunk metadata matches a filter
+   */
+  static matches(metadata = {}, filter = {}) {
+    return Object.entries(NYLAMetadataIndex.toFilter(filter)).every(([key, condition]) => {
+      if (key === '$or') return condition.some(branch => NYLAMetadataIndex.matches(metadata, branch));
+      if (key === '$and') return condition.every(branch => NYLAMetadataIndex.matches(metadata, branch));
+      const field = NYLAMetadataIndex.ALIASES[key] || key;
+      return NYLAMetadataIndex.matchesCondition(NYLAMetadataIndex.values(metadata || {}, field), condition);
+    });
+  }
+
+  static matchesCondition(values, condition) {
+    const has = value => values.includes(NYLAMetadataIndex.normalize(value));
+    if (Array.isArray(condition)) return condition.length === 0 || condition.some(has);
+    if (condition === null || typeof condition !== 'object') return has(condition);
+
+    const ranges = {};
+    const matched = Object.entries(condition).every(([operator, value]) => {
+      switch (operator) {
+        case '$eq': return has(value);
+        case '$ne': return !has(value);
+        case '$in': return [].concat(value).some(has);
+        case '$nin': return ![].concat(value).some(has);
+        case '$exists': return (values.length > 0) === Boolean(value);
+        case '$gt': case '$gte': case '$lt': case '$lte':
+          ranges[operator] = value;
+          return true;
+        default:
+          throw new Error(`Unknown filter operator ${operator}`);
+      }
+    });
+    return matched && (Object.keys(ranges).length === 0 || values.some(value => NYLAMetadataIndex.inRange(value, ranges)));
+  }
+
+  /**
+   * Filter object of a query, e.g. 'chain:solana type:faq,howto -tag:marketing as_of>=2025-01-01'
+   * field:a,b matches any of the values, -field:a none of them, and >=, >, <=, < compare (dates as YYYY-MM-DD)
+   * @throws {Error} For terms that are not field:value pairs
+   */
+  static parse(query) {
+    const filter = {};
+    const terms = String(query || '').match(/(?:[^\s"]+|"[^"]*")+/g) || [];
+
+    for (const term of terms) {
+      const match = term.match(NYLAMetadataIndex.TERM_PATTERN);
+      if (!match) {
+        throw new Error(`Invalid filter term "${term}", expected field:value`);
+      }
+      const [, negated, name, operator, rawValue] = match;
+      const field = NYLAMetadataIndex.ALIASES[name] || name;
+      const values = rawValue.split(',').map(value => value.replace(/^"|"$/g, '')).filter(Boolean);
+
+      let condition;
+      if (NYLAMetadataIndex.RANGE_OPERATORS[operator]) {
+        if (negated || values.length !== 1) {
+          throw new Error(`Invalid filter term "${term}", ranges take one value`);
+        }
+        condition = { [NYLAMetadataIndex.RANGE_OPERATORS[operator]]: values[0] };
+      } else if (negated) {
+        condition = { $nin: values };
+      } else {
+        condition = values.length === 1 ? values[0] : { $in: values };
+      }
+
+      const existing = filter[field];
+      const mergeable = existing && typeof existing === 'object' && !Array.isArray(existing) && typeof condition === 'object' &&
+        Object.keys(condition).every(operator => !(operator in existing));
+      if (existing === undefined) {
+        filter[field] = condition;
+      } else if (mergeable) {
+        Object.assign(existing, condition);
+      } else {
+        filter.$and = (filter.$and || []).concat({ [field]: condition });
+      }
+    }
+    return filter;
+  }
+
+  /**
+   * Filter object of a filter or query
+   */
+  static toFilter(filter) {
+    if (!filter) return {};
+    return typeof filter === 'string' ? NYLAMetadataIndex.parse(filter) : filter;
+  }
+
+  /**
+   * Values of a metadata field, lowercased strings
+   */
+  static values(metadata, field) {
+    const value = field === 'chain' ? (metadata.chain ?? metadata.chains) : metadata[field];
+    if (value === undefined || value === null) return [];
+    return [].concat(value).map(NYLAMetadataIndex.normalize);
+  }
+
+  static normalize(value) {
+    return String(value).trim().toLowerCase();
+  }
+
+  /**
+   * Range check: numbers compare as numbers, other values (ISO dates) as strings
+   */
+  static inRange(value, ranges) {
+    const compare = bound => {
+      const normalized = NYLAMetadataIndex.normalize(bound);
+      const bothNumbers = value !== '' && normalized !== '' && !isNaN(value) && !isNaN(normalized);
+      if (bothNumbers) return Number(value) - Number(normalized);
+      return value < normalized ? -1 : (value > normalized ? 1 : 0);
+    };
+    return (ranges.$gt === undefined || compare(ranges.$gt) > 0) &&
+      (ranges.$gte === undefined || compare(ranges.$gte) >= 0) &&
+      (ranges.$lt === undefined || compare(ranges.$lt) < 0) &&
+      (ranges.$lte === undefined || compare(ranges.$lte) <= 0);
+  }
+
+  static union(sets) {
+    const result = new Set();
+    sets.forEach(set => set.forEach(id => result.add(id)));
+    return result;
+  }
+
+  /**
+   * Intersection, where null stands for "no restriction"
+   */
+  static intersect(a, b) {
+    if (a === null) return b;
+    if (b === null) return a;
+    return new Set([...a].filter(id => b.has(id)));
+  }
+}
+
+// Export for both Node.js and Browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NYLAMetadataIndex;
+} else if (typeof window !== 'undefined') {
+  window.NYLAMetadataIndex = NYLAMetadataIndex;
+}
@@ -1,6 +1,10 @@
 /**
  * NYLA Production Sync Manager
  * Handles downloading and updating pre-built vector embeddings from production
+ *
+ * Updates apply the chain of delta patches listed in the version file (scripts/deploy-vector-db.js) from the
+ * version of the installed chunks (NYLAChunkDiff.version) to the production version. Each delta is checked
+ * against its SHA-256 and the version it leads to; a missing link or failed check falls back to the full index.
  */
 
 class NYLAProductionSync {
@@ -30,6 +34,7 @@ class NYLAProductionSync {
       // Download settings
       maxRetries: 3,
       timeoutMs: 30000, // 30 seconds
+      deltasEnabled: true, // Apply delta patches instead of downloading the full index when possible
       
       ...options
     };
@@ -262,6 +267,7 @@ class NYLAProductionSync {
 
   /**
    * Download and install production update
+   * @param {Object} options - { full: skip the delta patches, productionVersion: version info already fetched }
    */
   async downloadAndInstall(options = {}) {
     if (this.updateInProgress) {
@@ -272,6 +278,43 @@ class NYLAProductionSync {
     this.emit('updateStarted');
     
     try {
+      const productionVersion = options.productionVersion || await this.fetchProductionVersion();
+      
+      // Apply the delta patches when a chain leads from the installed chunks to production
+      if (!options.full && productionVersion) {
+        const deltaResult = await this.installDeltas(productionVersion, (progress) => {
+          this.emit('updateProgress', { stage: 'delta', ...progress });
+        });
+        
+        if (deltaResult) {
+          await this.storeVersion({
+            hash: productionVersion.hash,
+            buildTime: productionVersion.buildTime,
+            embeddingModel: productionVersion.embeddingModel,
+            kbVersion: productionVersion.kbVersion,
+            chunkCount: deltaResult.chunkCount,
+            downloadedAt: new Date().toISOString(),
+            source: 'production-delta'
+          });
+          
+          console.log(`✅ Production update installed from ${deltaResult.deltas} delta patches`);
+          this.emit('updateCompleted', {
+            chunkCount: deltaResult.chunkCount,
+            version: productionVersion.version,
+            mode: 'delta'
+          });
+          
+          return {
+            success: true,
+            chunkCount: deltaResult.chunkCount,
+            version: productionVersion.version,
+            mode: 'delta',
+            deltas: deltaResult.deltas,
+            changes: deltaResult.changes
+          };
+        }
+      }
+      
       console.log('📥 Downloading production vector database...');
       
       // Step 1: Download compressed index
@@ -291,9 +334,10 @@ class NYLAProductionSync {
       
       // Step 4: Update version tracking
       await this.storeVersion({
-        hash: processedData.hash,
-        buildTime: processedData.created_at,
+        hash: productionVersion?.hash || processedData.hash,
+        buildTime: productionVersion?.buildTime || processedData.created_at,
         embeddingModel: processedData.model.name,
+        kbVersion: typeof NYLAChunkDiff !== 'undefined' ? NYLAChunkDiff.version(processedData.chunks) : null,
         chunkCount: processedData.chunks.length,
         downloadedAt: new Date().toISOString(),
         source: 'production'
@@ -302,13 +346,15 @@ class NYLAProductionSync {
       console.log('✅ Production update installed successfully');
       this.emit('updateCompleted', {
         chunkCount: processedData.chunks.length,
-        version: processedData.version
+        version: processedData.version,
+        mode: 'full'
       });
       
       return {
         success: true,
         chunkCount: processedData.chunks.length,
-        version: processedData.version
+        version: processedData.version,
+        mode: 'full'
       };
       
     } catch (error) {
@@ -321,10 +367,130 @@ class NYLAProductionSync {
     }
   }
 
+  /**
+   * Apply the delta patches from the installed chunks to the production version
+   * The patches are applied in memory and verified before the vector DB is updated once. Patches only carry
+   * the vectors of changed chunks, so a new embedding model needs the full index.
+   * @returns {Object|null} { chunkCount, deltas, changes }, or null when the full index is needed
+   */
+  async installDeltas(productionVersion, onProgress) {
+    if (!this.options.deltasEnabled || typeof NYLAChunkDiff === 'undefined' ||
+        !productionVersion.kbVersion || !Array.isArray(productionVersion.deltas)) {
+      return null;
+    }
+    
+    // Deltas carry production embeddings, so the stored version and the loaded vectors must both come
+    // from the production model; an unknown model (installs before it was recorded) counts as another one
+    const vectorDB = await this.getVectorDB();
+    const installedModel = [
+      this.currentVersion?.embeddingModel,
+      vectorDB.embeddingModel ? vectorDB.embeddingModel.split(':')[0] : null
+    ].find(model => model !== productionVersion.embeddingModel);
+    if (installedModel !== undefined) {
+      console.log(`📦 Embedding model changed (${installedModel || 'unknown'} → ${productionVersion.embeddingModel}), downloading the full index`);
+      return null;
+    }
+    
+    const installed = Array.from(vectorDB.chunks.values());
+    if (installed.length === 0) return null;
+    
+    const installedVersion = NYLAChunkDiff.version(installed);
+    const chain = this.findDeltaChain(installedVersion, productionVersion);
+    if (!chain) {
+      console.log(`📦 No delta patches from ${installedVersion} to ${productionVersion.kbVersion}, downloading the full index`);
+      return null;
+    }
+    
+    try {
+      const chunks = new Map(installed.map(chunk => [chunk.id, chunk]));
+      for (let i = 0; i < chain.length; i++) {
+        const delta = await this.downloadDelta(chain[i]);
+        delta.removed.forEach(id => chunks.delete(id));
+        delta.chunks.forEach(chunk => chunks.set(chunk.id, chunk));
+        
+        const version = NYLAChunkDiff.version(Array.from(chunks.values()));
+        if (version !== chain[i].to) {
+          throw new Error(`Delta ${chain[i].file} leads to ${version}, expected ${chain[i].to}`);
+        }
+        
+        if (onProgress) {
+          onProgress({
+            percentage: Math.round(((i + 1) / chain.length) * 100),
+            processed: i + 1,
+            total: chain.length
+          });
+        }
+      }
+      
+      const diff = NYLAChunkDiff.diff(installed, Array.from(chunks.values()));
+      if (!NYLAChunkDiff.isEmpty(diff)) {
+        await vectorDB.updateChunks(
+          [...diff.added, ...diff.modified.map(change => change.chunk)],
+          [
+            ...diff.removed.map(chunk => chunk.id),
+            ...diff.modified.filter(change => change.previous.id !== change.chunk.id).map(change => change.previous.id)
+          ]
+        );
+      }
+      
+      return {
+        chunkCount: chunks.size,
+        deltas: chain.length,
+        changes: NYLAChunkDiff.changelogEntry(diff, { version: productionVersion.kbVersion, previousVersion: installedVersion })
+      };
+      
+    } catch (error) {
+      console.warn(`⚠️ Delta update failed, downloading the full index: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Deltas leading from a version to the production version, oldest first; null when the chain is broken
+   */
+  findDeltaChain(fromVersion, productionVersion) {
+    const deltasByFrom = new Map(productionVersion.deltas.map(delta => [delta.from, delta]));
+    const chain = [];
+    let version = fromVersion;
+    
+    while (version !== productionVersion.kbVersion) {
+      const delta = deltasByFrom.get(version);
+      if (!delta || chain.includes(delta)) return null;
+      chain.push(delta);
+      version = delta.to;
+    }
+    return chain;
+  }
+
+  /**
+   * Download a delta patch and check it against its version file entry
+   * @throws {Error} When the SHA-256 or the versions of the patch do not match the entry
+   */
+  async downloadDelta(entry) {
+    const url = new URL(entry.file, new URL(this.options.versionUrl, window.location.href)).href;
+    const data = await this.downloadIndex(null, url);
+    
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    const sha256 = Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    if (sha256 !== entry.sha256) {
+      throw new Error(`Delta ${entry.file} failed hash verification`);
+    }
+    
+    const delta = JSON.parse(await this.decompress(data, url));
+    if (delta.from !== entry.from || delta.to !== entry.to || !Array.isArray(delta.chunks) || !Array.isArray(delta.removed)) {
+      throw new Error(`Delta ${entry.file} does not match its version entry`);
+    }
+    
+    console.log(`📦 Downloaded delta ${entry.file}: ${delta.chunks.length} changed, ${delta.removed.length} removed`);
+    return delta;
+  }
+
   /**
    * Download compressed index with progress tracking
+   * @param {Function} onProgress - Called with { percentage, downloaded, total }, optional
+   * @param {string} url - File to download, the index by default
    */
-  async downloadIndex(onProgress) {
+  async downloadIndex(onProgress, url = this.options.indexUrl) {
     let retries = 0;
     
     while (retries < this.options.maxRetries) {
@@ -332,7 +498,7 @@ class NYLAProductionSync {
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), this.options.timeoutMs * 2); // Longer timeout for download
         
-        const response = await fetch(this.options.indexUrl, {
+        const response = await fetch(url, {
           signal: controller.signal,
           cache: 'no-cache'
         });
@@ -395,51 +561,7 @@ class NYLAProductionSync {
    */
   async processIndexData(compressedData) {
     try {
-      // Decompress using pako or similar
-      let jsonText;
-      
-      if (this.options.indexUrl.endsWith('.gz')) {
-        // Use DecompressionStream if available (modern browsers)
-        if ('DecompressionStream' in window) {
-          const stream = new DecompressionStream('gzip');
-          const writer = stream.writable.getWriter();
-          const reader = stream.readable.getReader();
-          
-          writer.write(compressedData);
-          writer.close();
-          
-          const chunks = [];
-          while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-            chunks.push(value);
-          }
-          
-          const decompressed = new Uint8Array(chunks.reduce((acc, chunk) => acc + chunk.length, 0));
-          let offset = 0;
-          for (const chunk of chunks) {
-            decompressed.set(chunk, offset);
-            offset += chunk.length;
-          }
-          
-          jsonText = new TextDecoder().decode(decompressed);
-        } else {
-          // Fallback: assume pako is available or load it dynamically
-          console.warn('⚠️ DecompressionStream not available, attempting pako fallback');
-          
-          // Try to use pako if available
-          if (typeof pako !== 'undefined') {
-            const decompressed = pako.ungzip(compressedData);
-            jsonText = new TextDecoder().decode(decompressed);
-          } else {
-            throw new Error('No decompression method available for .gz files');
-          }
-        }
-      } else {
-        // Not compressed
-        jsonText = new TextDecoder().decode(compressedData);
-      }
-      
+      const jsonText = await this.decompress(compressedData, this.options.indexUrl);
       const indexData = JSON.parse(jsonText);
       
       // Validate structure
@@ -456,18 +578,79 @@ class NYLAProductionSync {
   }
 
   /**
-   * Install processed data to local vector DB
+   * Text of a downloaded file, gunzipped when its URL ends in .gz
    */
-  async installToVectorDB(indexData, onProgress) {
-    // Get vector DB instance
+  async decompress(compressedData, url) {
+    // Decompress using pako or similar
+    let jsonText;
+    
+    if (url.endsWith('.gz')) {
+      // Use DecompressionStream if available (modern browsers)
+      if ('DecompressionStream' in window) {
+        const stream = new DecompressionStream('gzip');
+        const writer = stream.writable.getWriter();
+        const reader = stream.readable.getReader();
+        
+        writer.write(compressedData);
+        writer.close();
+        
+        const chunks = [];
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          chunks.push(value);
+        }
+        
+        const decompressed = new Uint8Array(chunks.reduce((acc, chunk) => acc + chunk.length, 0));
+        let offset = 0;
+        for (const chunk of chunks) {
+          decompressed.set(chunk, offset);
+          offset += chunk.length;
+        }
+        
+        jsonText = new TextDecoder().decode(decompressed);
+      } else {
+        // Fallback: assume pako is available or load it dynamically
+        console.warn('⚠️ DecompressionStream not available, attempting pako fallback');
+        
+        // Try to use pako if available
+        if (typeof pako !== 'undefined') {
+          const decompressed = pako.ungzip(compressedData);
+          jsonText = new TextDecoder().decode(decompressed);
+        } else {
+          throw new Error('No decompression method available for .gz files');
+        }
+      }
+    } else {
+      // Not compressed
+      jsonText = new TextDecoder().decode(compressedData);
+    }
+    
+    return jsonText;
+  }
+
+  /**
+   * Local vector DB instance, initialized
+   */
+  async getVectorDB() {
     const vectorDB = window.nylaVectorDB || new NYLAVectorDB();
     
     if (!vectorDB.initialized) {
       await vectorDB.initialize();
     }
+    return vectorDB;
+  }
+
+  /**
+   * Install processed data to local vector DB
+   */
+  async installToVectorDB(indexData, onProgress) {
+    // Get vector DB instance
+    const vectorDB = await this.getVectorDB();
     
-    // Clear existing data
+    // Clear existing data and record the model of the new vectors (checked before deltas)
     await vectorDB.clear();
+    vectorDB.embeddingModel = typeof NYLAChunkDiff !== 'undefined' ? NYLAChunkDiff.embeddingModel(indexData) : null;
     
     // Install chunks in batches
     const batchSize = 50;
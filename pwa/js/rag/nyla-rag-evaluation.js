@@ -379,6 +379,51 @@ class NYLARAGEvaluation {
     });
   }
 
+  /**
+   * Evaluate regenerated chat answers: which version users kept, and how often each engine's answers were kept
+   * @param {Array} records - From NYLAConversationManagerV2.getAnswerFeedback():
+   *   { question, versions: [{ text, answeredBy, sources, stopped }], kept }
+   */
+  evaluateAnswerFeedback(records) {
+    const valid = (records || []).filter(record => record.versions && record.versions[record.kept]);
+    const byEngine = {};
+    let totalVersions = 0;
+    let keptFirst = 0;
+    let keptLatest = 0;
+
+    for (const record of valid) {
+      totalVersions += record.versions.length;
+      if (record.kept === 0) keptFirst++;
+      if (record.kept === record.versions.length - 1) keptLatest++;
+
+      record.versions.forEach((version, index) => {
+        const engine = version.answeredBy?.name || 'unknown';
+        byEngine[engine] = byEngine[engine] || { shown: 0, kept: 0, keptRate: 0 };
+        byEngine[engine].shown++;
+        if (index === record.kept) byEngine[engine].kept++;
+      });
+    }
+
+    Object.values(byEngine).forEach(stats => {
+      stats.keptRate = stats.kept / stats.shown;
+    });
+
+    return {
+      regeneratedAnswers: valid.length,
+      avgVersions: valid.length > 0 ? totalVersions / valid.length : 0,
+      keptFirstRate: valid.length > 0 ? keptFirst / valid.length : 0,
+      keptLatestRate: valid.length > 0 ? keptLatest / valid.length : 0,
+      byEngine,
+      // Preferred answers, e.g. as expected answers for new test queries
+      keptAnswers: valid.map(record => ({
+        question: record.question,
+        text: record.versions[record.kept].text,
+        answeredBy: record.versions[record.kept].answeredBy || null,
+        rejected: record.versions.filter((_, index) => index !== record.kept).map(version => version.text)
+      }))
+    };
+  }
+
   /**
    * Get evaluation report
    */
@@ -55,6 +55,7 @@ class NYLARAGIntegration {
       
       // Initialize pipeline (LLM can be null initially, will be set later)
       await this.ragPipeline.initialize(knowledgeBase, llmEngine);
+      this.ragPipeline.llmFailover = this.conversationManager.llmFailover || null;
       
       // Initialize semantic follow-up generator
       if (window.NYLASemanticFollowups) {
@@ -110,7 +111,8 @@ class NYLARAGIntegration {
           });
           
           if (this.ragPipeline.vectorDB && typeof this.ragPipeline.vectorDB.loadFromData === 'function') {
-            await this.ragPipeline.vectorDB.loadFromData(vectorData);
+            // Only chunks that changed since the stored index are re-indexed
+            await this.ragPipeline.updateIndex(vectorData);
             const stats = this.ragPipeline.getStats();
             console.log('🔍 RAG Debug: Vector DB stats after loading:', stats);
             
@@ -192,6 +194,7 @@ class NYLARAGIntegration {
 
   /**
    * Process a question using RAG
+   * Rejects with an AbortError when options.signal is aborted (the chat's Stop control)
    */
   async processQuestion(questionId, questionText, options = {}) {
     // Check if RAG is enabled
@@ -234,6 +237,7 @@ class NYLARAGIntegration {
       // Process through RAG pipeline
       const ragResult = await this.ragPipeline.query(questionText, {
         streaming: options.streaming,
+        signal: options.signal,
         topK: 3,
         minScore: 0.5   // Semantic similarity threshold (raised back to 50% with improved multilingual embeddings)
       });
@@ -267,20 +271,49 @@ class NYLARAGIntegration {
       return await this.formatRAGResponse(ragResult, questionId, questionText, options);
       
     } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
+      }
       console.error('❌ RAG processing failed:', error);
       return this.createProcessingErrorFallbackResponse(questionId, questionText, error);
     }
   }
 
+  /**
+   * Answer a question again (the chat's regenerate action)
+   * Reuses the retrieved context of options.queryId when the pipeline still has it; options.reretrieve retrieves anew
+   */
+  async regenerateAnswer(questionId, questionText, options = {}) {
+    if (!this.initialized || !this.indexBuilt) {
+      throw new Error('RAG is not ready to regenerate answers');
+    }
+
+    const ragResult = await this.ragPipeline.regenerate(questionText, {
+      queryId: options.queryId,
+      reretrieve: options.reretrieve,
+      streaming: options.streaming,
+      signal: options.signal,
+      topK: 3,
+      minScore: 0.5
+    });
+    return this.formatRAGResponse(ragResult, questionId, questionText, options);
+  }
+
   /**
    * Format RAG response for conversation system
    */
   async formatRAGResponse(ragResult, questionId, questionText, options) {
-    // Build response with sources
-    let answer = ragResult.response;
-    
-    // Add source citations if available
-    if (ragResult.sources && ragResult.sources.length > 0) {
+    // Build response with sources; a tool call at the end of the answer becomes a confirmation card
+    const { text, chatAction } = this.conversationManager.extractChatAction
+      ? this.conversationManager.extractChatAction(ragResult.response)
+      : { text: ragResult.response, chatAction: null };
+    let answer = text;
+    
+    // Add source citations if available (RAG-only answers list their numbered sources themselves,
+    // answers with inline citations get footnotes in the chat)
+    const ragOnly = ragResult.answeredBy && ragResult.answeredBy.name === NYLALLMFailover.RAG_ONLY.name;
+    const cited = ragResult.citations && ragResult.citations.length > 0;
+    if (ragResult.sources && ragResult.sources.length > 0 && !ragOnly && !cited) {
       answer += '\n\n📚 Sources: ' + ragResult.sources.map(s => s.title).join(', ');
     }
     
@@ -309,16 +342,21 @@ class NYLARAGIntegration {
     // Successful RAG responses are always RAG+LLM hybrid - no generation flags needed
     const response = {
       questionId,
+      queryId: ragResult.queryId,  // Pipeline query, for regenerating from the same retrieved context
       question: questionText,
       answer,
       sentiment: 'helpful',
       type: responseType,
       confidence: ragResult.metrics.confidence,
       sources: ragResult.sources,
+      citations: ragResult.citations || [],
+      citationCheck: ragResult.citationCheck || null,
       metrics: ragResult.metrics,
       streaming: ragResult.streaming,
       followUpSuggestions: followUpSuggestions,
       followUps: followUps,  // Add the property expected by UI
+      answeredBy: ragResult.answeredBy || null,
+      chatAction,
       timestamp: Date.now()
     };
     
@@ -637,6 +675,9 @@ class NYLARAGIntegration {
   async updateLLMEngine() {
     try {
       const activeLLM = await this.conversationManager.getActiveLLM();
+      if (this.ragPipeline) {
+        this.ragPipeline.llmFailover = this.conversationManager.llmFailover || null;
+      }
       if (activeLLM && this.ragPipeline) {
         console.log('🔄 Updating RAG pipeline LLM engine, type:', typeof activeLLM, 'constructor:', activeLLM.constructor.name);
         this.ragPipeline.llmEngine = activeLLM;
@@ -709,6 +750,12 @@ async function enhanceConversationManagerWithRAG(conversationManager) {
   conversationManager.processQuestion = async function(questionId, questionText, primaryTopic, options = {}) {
     console.log('🔍 Processing question with RAG-enhanced manager. RAG initialized:', ragIntegration.initialized);
     
+    // Plain send/receive/swap requests need neither retrieval nor an LLM
+    const actionResponse = conversationManager.createChatActionResponse(questionText);
+    if (actionResponse) {
+      return actionResponse;
+    }
+    
     // Initialize RAG if not already done
     if (!ragIntegration.initialized) {
       console.log('⚡ Initializing RAG integration on first query...');
@@ -726,6 +773,9 @@ async function enhanceConversationManagerWithRAG(conversationManager) {
       try {
         return await ragIntegration.processQuestion(questionId, questionText, options);
       } catch (error) {
+        if (error.name === 'AbortError') {
+          throw error;
+        }
         console.warn('❌ RAG processing failed, falling back to original method:', error);
       }
     } else {
@@ -737,6 +787,23 @@ async function enhanceConversationManagerWithRAG(conversationManager) {
     return originalProcessQuestion(questionId, questionText, primaryTopic, options);
   };
   
+  // Override regenerateAnswer: reuse the retrieved context of the answer being regenerated
+  const originalRegenerateAnswer = conversationManager.regenerateAnswer.bind(conversationManager);
+  
+  conversationManager.regenerateAnswer = async function(questionId, questionText, options = {}) {
+    if (ragIntegration.initialized && ragIntegration.config.enableRAG && ragIntegration.indexBuilt) {
+      try {
+        return await ragIntegration.regenerateAnswer(questionId, questionText, options);
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          throw error;
+        }
+        console.warn('❌ RAG regeneration failed, falling back to original method:', error);
+      }
+    }
+    return originalRegenerateAnswer(questionId, questionText, options);
+  };
+  
   // Add method to check RAG status
   conversationManager.getRAGStatus = function() {
     return ragIntegration.getStatus();
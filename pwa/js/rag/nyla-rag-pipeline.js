@@ -11,6 +11,7 @@ class NYLARAGPipeline {
       cacheEnabled: true,
       cacheTTL: 300000,  // 5 minutes
       maxCacheSize: 100,   // Maximum cache entries
+      maxRecentContexts: 20,  // Retrieved contexts kept for regenerating answers
       streamingEnabled: true,
       ...options
     };
@@ -21,13 +22,17 @@ class NYLARAGPipeline {
     this.vectorDB = null;
     this.retriever = null;
     this.contextBuilder = null;
+    this.extractiveAnswerer = null;
     this.llmEngine = null;
+    this.llmFailover = null;  // NYLALLMFailover of the conversation manager, when set
     this.conversationManager = null;
     this.versionManager = null;
+    this.knowledgeBase = null;
     
     // Cache
     this.queryCache = new Map();
     this.lastCacheClean = Date.now();
+    this.recentContexts = new Map();  // queryId -> { query, context, retrievalResult }, oldest first
     
     // Performance tracking
     this.metrics = {
@@ -58,15 +63,20 @@ class NYLARAGPipeline {
     const startTime = Date.now();
     
     try {
-      // Store LLM engine reference
+      // Store LLM engine and KB references
       this.llmEngine = llmEngine;
+      this.knowledgeBase = knowledgeBase;
       
       // Initialize components (chunker not needed - embeddings are pre-built)
       this.embeddingService = getEmbeddingService();
       this.vectorDB = new NYLAVectorDB();
       this.contextBuilder = new NYLAContextBuilder(this.embeddingService);
+      this.extractiveAnswerer = new NYLAExtractiveAnswerer();
       this.versionManager = new NYLAKBVersionManager();
       
+      // Facts are only needed for answers without an LLM, so they load in the background
+      this.extractiveAnswerer.loadFacts();
+      
       // Initialize in parallel where possible
       if (this.options.parallelProcessing) {
         await Promise.all([
@@ -116,6 +126,10 @@ class NYLARAGPipeline {
       if (versionCheck.needsRebuild) {
         console.log(`🔄 Rebuilding index: ${versionCheck.reasons.join(', ')}`);
         await this.buildIndex(knowledgeBase);
+      } else if (versionCheck.needsUpdate) {
+        // The changed chunks are applied by updateIndex() with the pre-built vector data
+        const { added, modified, removed } = versionCheck.changes;
+        console.log(`🔄 KB chunks changed (${added.length} added, ${modified.length} modified, ${removed.length} removed), index will be updated incrementally`);
       } else {
         console.log('✅ Index is up-to-date, no rebuild needed');
       }
@@ -175,6 +189,8 @@ class NYLARAGPipeline {
 
   /**
    * Process a query through the RAG pipeline
+   * options.signal (AbortSignal) stops the generation; the query then rejects with an AbortError
+   * options.regenerating replaces the answer of the query's latest conversation turn instead of adding a turn
    */
   async query(userQuery, options = {}) {
     if (!this.initialized) {
@@ -228,6 +244,8 @@ class NYLARAGPipeline {
         userQuery,
         contextOptions
       );
+      options.signal?.throwIfAborted();
+      this.rememberContext(queryId, userQuery, context, retrievalResult);
       
       // Generate response
       const response = await this.generateResponse(
@@ -245,37 +263,13 @@ class NYLARAGPipeline {
       this.updateMetrics(latency);
       
       // Add conversation turn if manager available
-      if (this.conversationManager) {
-        this.conversationManager.addTurn(
-          userQuery,
-          response.text,
-          {
-            confidence: retrievalResult.confidence,
-            sources: context.metadata.sources,
-            responseType: 'informative'
-          }
-        );
-      }
+      this.recordTurn(userQuery, response, context, retrievalResult, options.regenerating);
 
-      // Prepare result
-      const result = {
-        queryId,
-        query: userQuery,
-        response: response.text,
-        sources: context.metadata.sources,
-        metrics: {
-          latency,
-          chunksRetrieved: retrievalResult.chunks.length,
-          tokensUsed: context.metadata.estimatedTokens,
-          conversationTokens: context.metadata.conversationTokens || 0,
-          confidence: retrievalResult.confidence,
-          hasConversationContext: context.metadata.hasConversationContext
-        },
-        streaming: response.streaming
-      };
+      const result = this.createResult(queryId, userQuery, response, context, retrievalResult, latency);
       
-      // Cache result
-      if (this.options.cacheEnabled && !options.noCache) {
+      // Cache result (RAG-only answers are not cached, so the LLM answers once it is back)
+      const ragOnly = response.answeredBy && response.answeredBy.name === NYLALLMFailover.RAG_ONLY.name;
+      if (this.options.cacheEnabled && !options.noCache && !ragOnly) {
         this.cacheResult(userQuery, result);
       }
       
@@ -283,11 +277,128 @@ class NYLARAGPipeline {
       return result;
       
     } catch (error) {
-      console.error('❌ Query processing failed:', error);
+      if (error.name === 'AbortError') {
+        console.log('⏹️ Query stopped');
+      } else {
+        console.error('❌ Query processing failed:', error);
+      }
       throw error;
     }
   }
 
+  /**
+   * Answer a previous query again. The retrieved context of options.queryId is reused when it is still kept;
+   * otherwise, or with options.reretrieve, the knowledge is retrieved anew.
+   * The new answer replaces the query's conversation turn and cached result.
+   */
+  async regenerate(userQuery, options = {}) {
+    const previous = this.recentContexts.get(options.queryId);
+    this.queryCache.delete(userQuery);
+
+    if (!previous || options.reretrieve) {
+      console.log(`🔄 Regenerating with a new retrieval: "${userQuery}"`);
+      return this.query(userQuery, { ...options, noCache: true, regenerating: true });
+    }
+
+    console.log(`🔄 Regenerating from the retrieved context of ${options.queryId}`);
+    const queryId = this.generateQueryId();
+    const startTime = Date.now();
+    const { context, retrievalResult } = previous;
+    this.rememberContext(queryId, userQuery, context, retrievalResult);
+
+    const response = await this.generateResponse(context, userQuery, {
+      ...options,
+      queryId,
+      streaming: this.options.streamingEnabled && options.streaming !== false
+    });
+    this.recordTurn(userQuery, response, context, retrievalResult, true);
+
+    return this.createResult(queryId, userQuery, response, context, retrievalResult, Date.now() - startTime);
+  }
+
+  /**
+   * Keep the retrieved context of a query, so its answer can be regenerated
+   */
+  rememberContext(queryId, query, context, retrievalResult) {
+    this.recentContexts.set(queryId, { query, context, retrievalResult });
+    while (this.recentContexts.size > this.options.maxRecentContexts) {
+      this.recentContexts.delete(this.recentContexts.keys().next().value);
+    }
+  }
+
+  /**
+   * Add the conversation turn of an answer, or replace the answer of the latest turn when regenerating
+   */
+  recordTurn(userQuery, response, context, retrievalResult, regenerating = false) {
+    if (!this.conversationManager) return;
+
+    if (regenerating && this.conversationManager.updateLastResponse(userQuery, response.text)) {
+      return;
+    }
+    this.conversationManager.addTurn(
+      userQuery,
+      response.text,
+      {
+        confidence: retrievalResult.confidence,
+        sources: context.metadata.sources,
+        responseType: 'informative'
+      }
+    );
+  }
+
+  /**
+   * Query result returned to the integration layer
+   */
+  createResult(queryId, userQuery, response, context, retrievalResult, latency) {
+    const result = {
+      queryId,
+      query: userQuery,
+      response: response.text,
+      sources: context.metadata.sources,
+      metrics: {
+        latency,
+        chunksRetrieved: retrievalResult.chunks.length,
+        tokensUsed: context.metadata.estimatedTokens,
+        conversationTokens: context.metadata.conversationTokens || 0,
+        confidence: retrievalResult.confidence,
+        hasConversationContext: context.metadata.hasConversationContext
+      },
+      streaming: response.streaming
+    };
+    
+    if (response.answeredBy) {
+      result.answeredBy = response.answeredBy;
+    }
+
+    const { text, citations, check } = this.resolveCitations(response, context);
+    result.response = text;
+    result.citations = citations;
+    result.citationCheck = check;
+    return result;
+  }
+
+  /**
+   * Map the citation markers of an answer to the KB chunks of its context
+   * RAG-only answers number their own citations; the context adds the source URLs.
+   */
+  resolveCitations(response, context) {
+    const contextCitations = context.metadata?.citations || [];
+    const sources = response.citations
+      ? response.citations.map(citation => ({
+        ...contextCitations.find(source => source.id === citation.id),
+        ...citation
+      }))
+      : contextCitations;
+
+    const resolved = NYLACitations.resolve(response.text, sources);
+    if (resolved.check.uncited) {
+      console.warn(`⚠️ Answer cites none of its ${sources.length} sources`);
+    } else if (resolved.check.unknown.length > 0) {
+      console.warn('⚠️ Answer cites sources that were not given:', resolved.check.unknown);
+    }
+    return resolved;
+  }
+
   /**
    * Perform retrieval step
    */
@@ -318,14 +429,44 @@ class NYLARAGPipeline {
 
   /**
    * Generate response using LLM
+   * With a failover chain, the first engine that answers is used and a RAG-only answer is the last resort.
+   * Without any LLM engine, every answer is RAG-only.
    */
   async generateResponse(context, query, options) {
-    if (!this.llmEngine) {
-      throw new Error('LLM engine not configured');
+    if (this.llmFailover) {
+      const { result, answeredBy } = await this.llmFailover.run(
+        engine => this.generateWithEngine(engine, context, query, options),
+        () => this.generateRAGOnlyResponse(context, query),
+        { signal: options.signal }
+      );
+      return { ...result, answeredBy };
     }
     
+    if (!this.llmEngine) {
+      return { ...this.generateRAGOnlyResponse(context, query), answeredBy: NYLALLMFailover.RAG_ONLY };
+    }
+    return this.generateWithEngine(this.llmEngine, context, query, options);
+  }
+
+  /**
+   * Answer without an LLM, composed from the retrieved chunks with numbered citations
+   */
+  generateRAGOnlyResponse(context, query) {
+    const { text, citations } = this.extractiveAnswerer.answer(query, context.chunks);
+    return {
+      text,
+      citations,
+      streaming: false,
+      llmResponse: null
+    };
+  }
+
+  /**
+   * Generate response with one engine
+   */
+  async generateWithEngine(llmEngine, context, query, options) {
     // Check if this is a hosted LLM (simpler interface)
-    if (this.llmEngine.constructor.name === 'NYLAHostedLLM') {
+    if (llmEngine.constructor.name === 'NYLAHostedLLM') {
       try {
         // Debug: Log what context we received from context builder
         console.log('🌐 RAG Pipeline → Hosted LLM: Context received:', {
@@ -346,7 +487,10 @@ class NYLARAGPipeline {
         // Extract the formatted context which already has the chunk content
         if (context && context.context) {
           // The hosted LLM expects an array of strings, not objects with role/content
-          const formattedContext = `Here is relevant knowledge to help answer the user's question:\n\n${context.context}`;
+          let formattedContext = `Here is relevant knowledge to help answer the user's question:\n\n${context.context}`;
+          if (context.metadata?.citations?.length > 0) {
+            formattedContext += `\n\n${NYLACitations.INSTRUCTION}`;
+          }
           contextArray.push(formattedContext);
           
           console.log('🌐 RAG Pipeline → Hosted LLM: Sending context:', {
@@ -363,7 +507,7 @@ class NYLARAGPipeline {
         }
         
         // For hosted LLM, use simple generateResponse interface with string array context
-        const response = await this.llmEngine.generateResponse(query, contextArray);
+        const response = await llmEngine.generateResponse(query, contextArray, { signal: options.signal });
         
         return {
           text: response.text || response.answer || response,
@@ -377,9 +521,9 @@ class NYLARAGPipeline {
     }
     
     // Handle local WebLLM with streaming support
-    if (options.streaming && this.llmEngine.generateStreamingResponse) {
+    if (options.streaming && llmEngine.generateStreamingResponse) {
       // Use the LLM engine's streaming method
-      const streamResponse = await this.llmEngine.generateStreamingResponse(
+      const streamResponse = await llmEngine.generateStreamingResponse(
         query,
         {
           knowledgeContext: context,
@@ -393,7 +537,8 @@ class NYLARAGPipeline {
           },
           ...options
         },
-        options.onChunk // Pass chunk callback if provided
+        options.onChunk, // Pass chunk callback if provided
+        { signal: options.signal }
       );
       
       return {
@@ -404,7 +549,7 @@ class NYLARAGPipeline {
     }
     
     // Non-streaming response for local WebLLM
-    const response = await this.llmEngine.generateResponse(
+    const response = await llmEngine.generateResponse(
       query,
       {
         knowledgeContext: context,
@@ -417,7 +562,8 @@ class NYLARAGPipeline {
           hasConversationContext: context.metadata?.hasConversationContext || false
         },
         ...options
-      }
+      },
+      { signal: options.signal }
     );
     
     return {
@@ -516,20 +662,117 @@ class NYLARAGPipeline {
 
   /**
    * Update vector index with new knowledge
+   * Chunks are diffed by content hash against the loaded ones (NYLAChunkDiff): only added, modified and
+   * removed chunks touch the vectors, BM25 postings and IndexedDB records, and only chunks whose text
+   * changed without a new embedding are embedded again. An empty vector DB, or vector data from another
+   * embedding model than the loaded vectors, loads everything.
+   * @param {Object|Array} newKnowledgeBase - Pre-built vector data ({ chunks, embeddings, quantized }) or chunks
+   * @param {Function} onProgress - Called with { stage, progress, status }
+   * @returns {Object} Changelog entry of the update
    */
   async updateIndex(newKnowledgeBase, onProgress) {
     console.log('🔄 Updating vector index...');
     
-    // Clear existing index
-    await this.vectorDB.clear();
+    const vectorData = Array.isArray(newKnowledgeBase) ? { chunks: newKnowledgeBase } : newKnowledgeBase;
+    const previousChunks = Array.from(this.vectorDB.chunks.values());
+    const embeddingModel = NYLAChunkDiff.embeddingModel(vectorData);
+    let diff;
     
-    // Rebuild with new knowledge
-    await this.buildIndex(newKnowledgeBase, onProgress);
+    if (previousChunks.length === 0 || (embeddingModel && embeddingModel !== this.vectorDB.embeddingModel)) {
+      if (previousChunks.length > 0) {
+        console.log(`🔄 Embedding model changed (${this.vectorDB.embeddingModel || 'unknown'} → ${embeddingModel}), reloading every chunk`);
+      }
+      await this.vectorDB.loadFromData(vectorData);
+      await this.vectorDB.saveToIndexedDB();
+      diff = NYLAChunkDiff.diff([], Array.from(this.vectorDB.chunks.values()));
+    } else {
+      if (vectorData.quantized) {
+        await this.vectorDB.loadQuantizedVectors(vectorData);
+      }
+      diff = NYLAChunkDiff.diff(previousChunks, this.getVectorDataChunks(vectorData));
+      
+      const changed = [...diff.added, ...diff.modified.map(change => change.chunk)];
+      const removedIds = [
+        ...diff.removed.map(chunk => chunk.id),
+        ...diff.modified.filter(change => change.previous.id !== change.chunk.id).map(change => change.previous.id)
+      ];
+      
+      if (changed.length > 0 || removedIds.length > 0) {
+        await this.embedChangedChunks(diff, onProgress);
+        await this.vectorDB.updateChunks(changed, removedIds);
+      } else if (!this.retriever || !this.retriever.bm25Ready) {
+        await this.vectorDB.notifyBM25Update([], []);
+      }
+    }
     
-    // Clear query cache
-    this.queryCache.clear();
+    const entry = NYLAChunkDiff.changelogEntry(diff, {
+      version: NYLAChunkDiff.version(Array.from(this.vectorDB.chunks.values())),
+      previousVersion: previousChunks.length > 0 ? NYLAChunkDiff.version(previousChunks) : null
+    });
     
-    console.log('✅ Index updated successfully');
+    if (!NYLAChunkDiff.isEmpty(diff)) {
+      // Clear query cache
+      this.queryCache.clear();
+      
+      if (this.versionManager) {
+        await this.versionManager.recordChanges(entry);
+        if (this.knowledgeBase) {
+          await this.versionManager.markAsUpToDate(this.knowledgeBase, this.vectorDB.getStats(), { kbVersion: entry.version });
+        }
+      }
+    }
+    
+    console.log(`✅ Index updated successfully: ${entry.counts.added} added, ${entry.counts.modified} modified, ${entry.counts.removed} removed, ${entry.counts.reembedded} embedded`);
+    return entry;
+  }
+
+  /**
+   * Chunks of vector data with their embeddings
+   */
+  getVectorDataChunks(vectorData) {
+    const chunks = vectorData.chunks || [];
+    if (!Array.isArray(vectorData.embeddings)) {
+      return chunks;
+    }
+    
+    const chunksById = new Map(chunks.map(chunk => [chunk.id, chunk]));
+    return vectorData.embeddings.map(embeddingData => {
+      const chunk = chunksById.get(embeddingData.id) || {};
+      return {
+        ...chunk,
+        id: embeddingData.id,
+        text: chunk.text || '',
+        metadata: embeddingData.metadata || chunk.metadata || {},
+        embedding: embeddingData.embedding || chunk.embedding || null
+      };
+    });
+  }
+
+  /**
+   * Give added and modified chunks without an embedding one: the previous embedding when their text
+   * did not change, otherwise a new one
+   */
+  async embedChangedChunks(diff, onProgress) {
+    const missing = [];
+    for (const { previous, chunk, textChanged } of diff.modified) {
+      if (!chunk.embedding && !textChanged && previous.embedding) {
+        chunk.embedding = previous.embedding;
+      }
+    }
+    for (const chunk of [...diff.added, ...diff.modified.map(change => change.chunk)]) {
+      if (!chunk.embedding) missing.push(chunk);
+    }
+    
+    for (let i = 0; i < missing.length; i++) {
+      missing[i].embedding = await this.embeddingService.embed(missing[i].text);
+      if (onProgress) {
+        onProgress({
+          stage: 'embedding',
+          progress: Math.round(((i + 1) / missing.length) * 100),
+          status: `Embedding changed chunks (${i + 1}/${missing.length})...`
+        });
+      }
+    }
   }
 
   /**
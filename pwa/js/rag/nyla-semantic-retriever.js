@@ -30,6 +30,7 @@ class NYLASemanticRetriever {
       baseVectorWeight: 0.7, // Base vector weight (when no exact signals)
       maxBm25Weight: 0.8,    // Maximum BM25 weight (with many exact signals)
       minVectorWeight: 0.2,  // Minimum vector weight (with many exact signals)
+      filter: null,          // Metadata filter object or query, e.g. 'chain:solana -type:marketing' (NYLAMetadataIndex)
       ...options
     };
     
@@ -130,6 +131,18 @@ class NYLASemanticRetriever {
     }
   }
 
+  /**
+   * Update the BM25 postings of changed and removed chunks (incremental index updates)
+   * @returns {boolean} false when the BM25 index is not built, which then needs all chunks
+   */
+  async updateBM25Index(chunks, removedIds = []) {
+    if (!this.bm25Ready) {
+      return false;
+    }
+    this.bm25Index.updateDocuments(chunks, removedIds);
+    return true;
+  }
+
   /**
    * Load bilingual glossary for query expansion
    */
@@ -169,6 +182,9 @@ class NYLASemanticRetriever {
     console.log(`🔍 Semantic retrieval for: "${query}"`);
     
     try {
+      // Metadata filter queries ('chain:solana type:faq') become filter objects
+      config.filter = this.parseFilter(config.filter);
+      
       // 1. QUERY PREP: Detect exact signals & expand via glossary
       const processedQuery = await this.prepareQuery(query);
       
@@ -470,7 +486,7 @@ class NYLASemanticRetriever {
     
     // Always do dense retrieval with multilingual embeddings
     const denseEmbedding = await this.embeddingService.embed(processedQuery.expanded);
-    results.dense = await this.vectorDB.search(denseEmbedding, config.topK);
+    results.dense = await this.vectorDB.search(denseEmbedding, config.topK, config.filter);
     
     // Phase 2: BM25 retrieval using search_text field
     if (processedQuery.needsBM25 && this.bm25Ready && config.bm25Enabled) {
@@ -817,16 +833,25 @@ class NYLASemanticRetriever {
 
   /**
    * 4. FILTER: Metadata gates & volatile chunk downweighting
+   * config.filter also applies to the BM25 results, which the vector DB pre-filter does not see
    */
   applyMetadataFilters(results, processedQuery, config) {
+    const filter = this.parseFilter(config.filter);
     console.log('🔍 Filtering Debug - Input:', {
       resultsCount: results.length,
       queryType: processedQuery.queryType,
       minScore: config.minScore,
+      filter,
       topScores: results.slice(0, 3).map(r => ({ id: r.id, score: r.finalScore?.toFixed(4) }))
     });
 
     const filtered = results.filter(result => {
+      // Requested metadata filter
+      if (filter && !NYLAMetadataIndex.matches(result.metadata, filter)) {
+        console.log('🚫 Filtered by metadata filter:', result.id);
+        return false;
+      }
+      
       // Route support/compatibility queries to verified integrations
       if (processedQuery.queryType === 'integration_support') {
         const metadata = result.metadata || {};
@@ -881,6 +906,47 @@ class NYLASemanticRetriever {
     return filtered;
   }
   
+  /**
+   * Metadata filter object of a filter object or query, null without a filter
+   * @throws {Error} When the query is invalid or nyla-metadata-index.js is not loaded
+   */
+  parseFilter(filter) {
+    if (!filter) return null;
+    if (typeof NYLAMetadataIndex === 'undefined') {
+      throw new Error('Metadata filters need nyla-metadata-index.js');
+    }
+    return NYLAMetadataIndex.toFilter(filter);
+  }
+
+  /**
+   * Debug tool: the chunks a metadata filter selects, e.g. nylaSemanticRetriever.debugFilter('chain:solana type:faq')
+   * @param {Object|string} filter - Filter object or query
+   * @param {number} limit - Chunks to list
+   * @returns {Object} { filter: parsed filter, total, chunks: [{ id, title, type, section, chain, as_of }] }
+   */
+  debugFilter(filter, limit = 20) {
+    const parsed = this.parseFilter(filter) || {};
+    const ids = this.vectorDB.metadataIndex
+      ? [...this.vectorDB.metadataIndex.select(parsed)]
+      : [...this.vectorDB.chunks.keys()].filter(id => NYLAMetadataIndex.matches(this.vectorDB.chunks.get(id).metadata, parsed));
+
+    return {
+      filter: parsed,
+      total: ids.length,
+      chunks: ids.slice(0, limit).map(id => {
+        const metadata = this.vectorDB.chunks.get(id)?.metadata || {};
+        return {
+          id,
+          title: metadata.title,
+          type: metadata.type || metadata.chunk_type,
+          section: metadata.section,
+          chain: metadata.chain,
+          as_of: metadata.as_of
+        };
+      })
+    };
+  }
+  
   /**
    * Phase 3: Apply language consistency checking and self-repair
    */
@@ -1,6 +1,7 @@
 /**
  * NYLA Vector Database
- * Local vector search using FAISS-web with IndexedDB persistence
+ * Local vector search with an HNSW approximate nearest-neighbour index (NYLAHNSWIndex) and IndexedDB persistence
+ * Metadata filters select their chunks from an inverted index (NYLAMetadataIndex) before the similarity search
  */
 
 class NYLAVectorDB {
@@ -11,12 +12,17 @@ class NYLAVectorDB {
       indexName: 'nyla-faiss-index',
       dimension: 768,  // multilingual-e5-base dimensions
       similarity: 'cosine',
+      indexType: 'hnsw', // 'hnsw' (NYLAHNSWIndex) or 'flat' (SimpleVectorIndex, scans every vector)
+      hnsw: {},          // NYLAHNSWIndex options
+      dataPath: 'data/', // Folder of nyla-vector-db.json and its quantised vectors
       ...options
     };
     
     this.db = null;
     this.index = null;
     this.chunks = new Map(); // id -> chunk mapping
+    this.embeddingModel = null; // NYLAChunkDiff.embeddingModel() of the loaded vectors
+    this.metadataIndex = typeof NYLAMetadataIndex !== 'undefined' ? new NYLAMetadataIndex() : null;
     this.initialized = false;
     this.faissModule = null;
   }
@@ -74,24 +80,17 @@ class NYLAVectorDB {
   }
 
   /**
-   * Load FAISS WebAssembly module
+   * Pick the vector index implementation
+   * The flat index is used when asked for, or when nyla-hnsw-index.js is not loaded.
    */
   async loadFAISS() {
-    try {
-      console.log('📥 Loading FAISS module...');
-      
-      // For production, we'll use a bundled version
-      // For now, we'll implement a simple vector search
-      this.faissModule = {
-        createIndex: (dimension) => new SimpleVectorIndex(dimension),
-        loaded: true
-      };
-      
-      console.log('✅ FAISS module loaded');
-    } catch (error) {
-      console.error('❌ Failed to load FAISS:', error);
-      throw error;
-    }
+    const type = this.options.indexType === 'hnsw' && typeof NYLAHNSWIndex !== 'undefined' ? 'hnsw' : 'flat';
+    this.faissModule = {
+      type,
+      createIndex: (dimension) => (type === 'hnsw' ? new NYLAHNSWIndex(dimension, this.options.hnsw) : new SimpleVectorIndex(dimension)),
+      loaded: true
+    };
+    console.log(`✅ Vector index: ${type}`);
   }
 
   /**
@@ -121,6 +120,18 @@ class NYLAVectorDB {
   createNewIndex() {
     this.index = this.faissModule.createIndex(this.options.dimension);
     this.chunks.clear();
+    if (this.metadataIndex) this.metadataIndex.clear();
+  }
+
+  /**
+   * Rebuild the metadata index from the loaded chunks
+   */
+  indexMetadata() {
+    if (!this.metadataIndex) return;
+    this.metadataIndex.clear();
+    for (const [id, chunk] of this.chunks.entries()) {
+      this.metadataIndex.add(id, chunk.metadata);
+    }
   }
 
   /**
@@ -145,12 +156,14 @@ class NYLAVectorDB {
       // Add to index
       this.index.add(chunk.embedding, chunk.id);
       
-      // Store chunk data
+      // Store chunk data, with the embedding for the IndexedDB chunk records
       this.chunks.set(chunk.id, {
         id: chunk.id,
         text: chunk.text,
-        metadata: chunk.metadata
+        metadata: chunk.metadata,
+        embedding: chunk.embedding
       });
+      if (this.metadataIndex) this.metadataIndex.add(chunk.id, chunk.metadata);
       
       // Report progress
       if (onProgress && i % 10 === 0) {
@@ -172,6 +185,84 @@ class NYLAVectorDB {
     await this.notifyBM25IndexBuild(chunks);
   }
 
+  /**
+   * Apply a chunk-level update (see NYLAChunkDiff): only the vectors, metadata and BM25 postings
+   * and IndexedDB records of the given chunks change
+   * @param {Array} chunks - Added or modified chunks, with their embeddings
+   * @param {Array} removedIds - Ids of removed chunks
+   * @returns {Object} { upserted, removed, indexSize }
+   */
+  async updateChunks(chunks = [], removedIds = []) {
+    if (!this.initialized) await this.initialize();
+    
+    for (const chunk of chunks) {
+      if (!chunk.embedding || chunk.embedding.length !== this.options.dimension) {
+        throw new Error(`Chunk ${chunk.id} has no ${this.options.dimension}-dimension embedding`);
+      }
+    }
+    
+    for (const id of removedIds) {
+      this.index.remove(id);
+      this.chunks.delete(id);
+      if (this.metadataIndex) this.metadataIndex.remove(id);
+    }
+    
+    for (const chunk of chunks) {
+      if (this.chunks.has(chunk.id)) {
+        this.index.remove(chunk.id);
+      }
+      this.index.add(chunk.embedding, chunk.id);
+      this.chunks.set(chunk.id, {
+        id: chunk.id,
+        text: chunk.text || '',
+        metadata: chunk.metadata || {},
+        embedding: chunk.embedding,
+        meta_card: chunk.meta_card || null,
+        search_text: chunk.search_text || null,
+        facts: chunk.facts || null,
+        tokens: chunk.tokens || null
+      });
+      if (this.metadataIndex) this.metadataIndex.add(chunk.id, chunk.metadata);
+    }
+    
+    await this.saveChanges(chunks.map(chunk => chunk.id), removedIds);
+    await this.notifyBM25Update(chunks.map(chunk => chunk.id), removedIds);
+    
+    console.log(`✅ Updated ${chunks.length} and removed ${removedIds.length} chunks`);
+    return { upserted: chunks.length, removed: removedIds.length, indexSize: this.index.size() };
+  }
+
+  /**
+   * Chunks in the format the BM25 index is built from
+   */
+  getBM25Chunks(ids = [...this.chunks.keys()]) {
+    return ids.filter(id => this.chunks.has(id)).map(id => {
+      const chunkData = this.chunks.get(id);
+      return {
+        id,
+        text: chunkData.text,
+        search_text: chunkData.metadata?.search_text || chunkData.text, // Use search_text if available
+        metadata: chunkData.metadata
+      };
+    });
+  }
+
+  /**
+   * Update the BM25 postings of changed chunks, or build the BM25 index when it is not built yet
+   */
+  async notifyBM25Update(changedIds, removedIds) {
+    const retriever = typeof window !== 'undefined' ? window.nylaSemanticRetriever : null;
+    if (!retriever || !retriever.bm25Ready) {
+      await this.notifyBM25IndexBuild(this.getBM25Chunks());
+      return;
+    }
+    try {
+      await retriever.updateBM25Index(this.getBM25Chunks(changedIds), removedIds);
+    } catch (error) {
+      console.warn('⚠️ Failed to update BM25 index:', error.message);
+    }
+  }
+
   /**
    * Phase 2: Notify semantic retriever to build BM25 index
    */
@@ -201,20 +292,13 @@ class NYLAVectorDB {
   
   /**
    * Search for similar vectors
+   * @param {Array} queryEmbedding - Query embedding
+   * @param {number} k - Number of results
+   * @param {Object|string} filter - Metadata filter object or query (see NYLAMetadataIndex), optional
    */
   async search(queryEmbedding, k = 5, filter = null) {
     if (!this.initialized) await this.initialize();
     
-    console.log('🔍 Vector DB Search Debug:', {
-      initialized: this.initialized,
-      hasIndex: !!this.index,
-      chunksCount: this.chunks.size,
-      queryEmbeddingLength: queryEmbedding?.length,
-      expectedDimension: this.options.dimension,
-      requestedK: k,
-      filter: filter
-    });
-    
     // Validate query embedding
     if (!queryEmbedding || queryEmbedding.length !== this.options.dimension) {
       const error = `Invalid query embedding: expected ${this.options.dimension} dimensions, got ${queryEmbedding?.length || 'undefined'}`;
@@ -222,12 +306,17 @@ class NYLAVectorDB {
       throw new Error(error);
     }
     
-    // Perform search
-    const results = this.index.search(queryEmbedding, k * 2); // Get extra results for filtering
-    console.log('🔍 Vector DB Search Results:', {
-      rawResultsCount: results.length,
-      topSimilarities: results.slice(0, 3).map(r => ({ id: r.id, similarity: r.similarity }))
-    });
+    // Restrict the search to the chunks matching the filter
+    let allowedIds = null;
+    if (filter && this.metadataIndex) {
+      allowedIds = this.metadataIndex.select(filter);
+      if (allowedIds.size === 0) return [];
+    }
+    
+    // Perform search; without the metadata index, get extra results for filtering
+    const results = allowedIds
+      ? this.index.search(queryEmbedding, k, { allowedIds })
+      : this.index.search(queryEmbedding, k * 2);
     
     // Apply filters and get chunk data
     const filteredResults = [];
@@ -236,18 +325,12 @@ class NYLAVectorDB {
       const chunk = this.chunks.get(result.id);
       
       if (!chunk) {
-        console.log(`❌ Chunk not found for ID: ${result.id}. Available chunk IDs:`, 
-          Array.from(this.chunks.keys()).slice(0, 5));
+        console.warn(`⚠️ Chunk not found for ID: ${result.id}`);
         continue;
       }
       
-      // Apply metadata filter if provided
-      if (filter && !this.matchesFilter(chunk, filter)) {
-        console.log(`❌ Chunk filtered out by metadata filter:`, {
-          id: result.id,
-          filter: filter,
-          chunkMetadata: chunk.metadata
-        });
+      // Apply metadata filter if provided and not applied by the metadata index
+      if (filter && !allowedIds && !this.matchesFilter(chunk, filter)) {
         continue;
       }
       
@@ -266,21 +349,12 @@ class NYLAVectorDB {
       if (filteredResults.length >= k) break;
     }
     
-    console.log('🔍 Vector DB Final Results:', {
-      inputResults: results.length,
-      filteredResults: filteredResults.length,
-      topResults: filteredResults.slice(0, 3).map(r => ({
-        id: r.id,
-        score: r.score.toFixed(4),
-        text: r.text.substring(0, 50) + '...'
-      }))
-    });
-    
     return filteredResults;
   }
 
   /**
    * Check if chunk matches filter criteria
+   * Post-filter of search() when nyla-metadata-index.js is not loaded
    */
   matchesFilter(chunk, filter) {
     if (!filter) return true;
@@ -339,39 +413,86 @@ class NYLAVectorDB {
 
   /**
    * Save index to IndexedDB
+   * Each chunk is a record of its own, so updates only write the changed chunks (saveChanges)
    */
   async saveToIndexedDB() {
     if (!this.db) return;
     
     try {
-      const indexData = {
-        id: this.options.indexName,
-        timestamp: Date.now(),
-        dimension: this.options.dimension,
-        chunks: Array.from(this.chunks.entries()).map(([id, chunk]) => ({
-          id,
-          ...chunk
-        })),
-        indexState: this.index.serialize()
-      };
-      
-      const transaction = this.db.transaction([this.options.storeName], 'readwrite');
-      const store = transaction.objectStore(this.options.storeName);
-      await store.put(indexData);
-      
+      const chunkRecords = Array.from(this.chunks.keys()).map(id => this.chunkRecord(id));
+      await this.writeRecords([this.indexRecord(), ...chunkRecords], [this.chunkRecordRange()]);
       console.log('💾 Index saved to IndexedDB');
     } catch (error) {
       console.error('❌ Failed to save index:', error);
     }
   }
 
+  /**
+   * Save changed and removed chunks and the index state to IndexedDB
+   */
+  async saveChanges(changedIds, removedIds) {
+    if (!this.db) return;
+    
+    try {
+      const removed = removedIds.filter(id => !this.chunks.has(id)).map(id => this.chunkRecordKey(id));
+      const changed = changedIds.map(id => this.chunkRecord(id));
+      await this.writeRecords([this.indexRecord(), ...changed], removed);
+      console.log(`💾 Saved ${changed.length} changed and ${removed.length} removed chunks to IndexedDB`);
+    } catch (error) {
+      console.error('❌ Failed to save index changes:', error);
+    }
+  }
+
+  indexRecord() {
+    return {
+      id: this.options.indexName,
+      timestamp: Date.now(),
+      dimension: this.options.dimension,
+      embeddingModel: this.embeddingModel,
+      layout: 'chunks',
+      chunkIds: Array.from(this.chunks.keys()),
+      indexState: this.index.serialize({ includeVectors: false })
+    };
+  }
+
+  chunkRecord(id) {
+    return { id: this.chunkRecordKey(id), timestamp: Date.now(), chunk: this.chunks.get(id) };
+  }
+
+  chunkRecordKey(id) {
+    return `${this.options.indexName}:chunk:${id}`;
+  }
+
+  chunkRecordRange() {
+    const prefix = this.chunkRecordKey('');
+    return IDBKeyRange.bound(prefix, `${prefix}\uffff`);
+  }
+
+  /**
+   * Delete then put records in one transaction
+   * @param {Array} records - Records to put
+   * @param {Array} deleteKeys - Keys or key ranges to delete
+   */
+  writeRecords(records, deleteKeys = []) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.options.storeName], 'readwrite');
+      const store = transaction.objectStore(this.options.storeName);
+      deleteKeys.forEach(key => store.delete(key));
+      records.forEach(record => store.put(record));
+      
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
   /**
    * Load index from IndexedDB
+   * Indexes saved with their chunks in one record are returned as they are
    */
   async loadFromIndexedDB() {
     if (!this.db) return null;
     
-    return new Promise((resolve, reject) => {
+    const indexData = await new Promise((resolve, reject) => {
       const transaction = this.db.transaction([this.options.storeName], 'readonly');
       const store = transaction.objectStore(this.options.storeName);
       const request = store.get(this.options.indexName);
@@ -379,6 +500,21 @@ class NYLAVectorDB {
       request.onsuccess = () => resolve(request.result);
       request.onerror = () => reject(request.error);
     });
+    if (!indexData || indexData.layout !== 'chunks') return indexData;
+    
+    const records = await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.options.storeName], 'readonly');
+      const store = transaction.objectStore(this.options.storeName);
+      const request = store.getAll(this.chunkRecordRange());
+      
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    const chunksById = new Map(records.map(record => [record.chunk.id, record.chunk]));
+    return {
+      ...indexData,
+      chunks: indexData.chunkIds.filter(id => chunksById.has(id)).map(id => chunksById.get(id))
+    };
   }
 
   /**
@@ -392,6 +528,7 @@ class NYLAVectorDB {
     
     // Restore chunks
     this.chunks.clear();
+    this.embeddingModel = savedData.embeddingModel || null;
     for (const chunk of savedData.chunks) {
       this.chunks.set(chunk.id, {
         id: chunk.id,
@@ -405,12 +542,15 @@ class NYLAVectorDB {
       });
     }
     
-    // Restore index state
-    if (savedData.indexState) {
-      this.index.deserialize(savedData.indexState);
-    } else {
-      // Rebuild index from chunks
-      console.log('🔨 Rebuilding index from chunks...');
+    // Restore index state; indexes saved by the other index type are rebuilt
+    try {
+      if (!savedData.indexState) {
+        throw new Error('no saved index state');
+      }
+      this.index.deserialize(savedData.indexState, id => this.chunks.get(id)?.embedding);
+    } catch (error) {
+      console.log(`🔨 Rebuilding index from chunks (${error.message})...`);
+      this.index = this.faissModule.createIndex(this.options.dimension);
       for (const chunk of savedData.chunks) {
         if (chunk.embedding) {
           this.index.add(chunk.embedding, chunk.id);
@@ -418,6 +558,7 @@ class NYLAVectorDB {
       }
     }
     
+    this.indexMetadata();
     console.log(`✅ Restored index with ${this.chunks.size} chunks`);
   }
 
@@ -432,6 +573,10 @@ class NYLAVectorDB {
     console.log('📥 Loading vector data from pre-built file...');
     
     try {
+      if (vectorData.quantized) {
+        await this.loadQuantizedVectors(vectorData);
+      }
+      
       // Check for embeddings array (new format)
       let chunks = [];
       let embeddings = [];
@@ -449,10 +594,7 @@ class NYLAVectorDB {
       
       // Clear existing data
       this.chunks.clear();
-      if (this.index && this.index.vectors) {
-        this.index.vectors = [];
-        this.index.ids = [];
-      }
+      this.embeddingModel = typeof NYLAChunkDiff !== 'undefined' ? NYLAChunkDiff.embeddingModel(vectorData) : null;
       
       let loadedCount = 0;
       let skippedCount = 0;
@@ -485,11 +627,6 @@ class NYLAVectorDB {
               tokens: chunk?.tokens || null
             });
             
-            // Add to FAISS index
-            if (this.index) {
-              this.index.add(embeddingData.embedding, embeddingData.id);
-            }
-            
             loadedCount++;
           } else {
             skippedCount++;
@@ -518,11 +655,6 @@ class NYLAVectorDB {
               tokens: chunk.tokens || null
             });
             
-            // Add to FAISS index
-            if (this.index) {
-              this.index.add(chunk.embedding, chunk.id);
-            }
-            
             loadedCount++;
           } else {
             skippedCount++;
@@ -537,17 +669,11 @@ class NYLAVectorDB {
         throw new Error('No valid chunks with embeddings found in data');
       }
       
+      this.indexMetadata();
+      this.buildIndex(vectorData.index);
+      
       // Phase 2: Notify semantic retriever to build BM25 index from loaded chunks
-      const chunksForBM25 = [];
-      for (const [chunkId, chunkData] of this.chunks.entries()) {
-        // Create chunk format needed for BM25 index building
-        chunksForBM25.push({
-          id: chunkId,
-          text: chunkData.text,
-          search_text: chunkData.metadata?.search_text || chunkData.text, // Use search_text if available
-          metadata: chunkData.metadata
-        });
-      }
+      const chunksForBM25 = this.getBM25Chunks();
       
       console.log(`🔍 Phase 2: Notifying BM25 index build with ${chunksForBM25.length} loaded chunks`);
       this.notifyBM25IndexBuild(chunksForBM25);
@@ -558,6 +684,58 @@ class NYLAVectorDB {
     }
   }
 
+  /**
+   * Dequantise the binary embeddings of a quantised distribution (see NYLAVectorQuantizer) into its embeddings array
+   * The container is inline as base64 (quantized.data) or a file next to nyla-vector-db.json (quantized.file).
+   */
+  async loadQuantizedVectors(vectorData) {
+    const { data, file } = vectorData.quantized;
+    let bytes;
+    if (data) {
+      bytes = NYLAVectorQuantizer.fromBase64(data);
+    } else {
+      const response = await fetch(`${this.options.dataPath}${file}`);
+      if (!response.ok) {
+        throw new Error(`Failed to load quantised vectors ${file}: HTTP ${response.status}`);
+      }
+      bytes = new Uint8Array(await response.arrayBuffer());
+    }
+    
+    const { method, ids, vectors } = NYLAVectorQuantizer.decode(bytes);
+    const vectorsById = new Map(ids.map((id, i) => [id, vectors[i]]));
+    vectorData.embeddings = (vectorData.embeddings || ids.map(id => ({ id }))).map(entry => ({
+      ...entry,
+      embedding: vectorsById.has(entry.id) ? Array.from(vectorsById.get(entry.id)) : null
+    }));
+    console.log(`📦 Dequantised ${ids.length} ${method} embeddings (${bytes.length} bytes)`);
+  }
+
+  /**
+   * Build the vector index of the loaded chunks, or restore the pre-built graph of the distribution
+   * The pre-built graph is only used when it covers exactly the loaded chunks.
+   * @param {Object} prebuilt - Serialized index without vectors (nyla-vector-db.json "index"), optional
+   */
+  buildIndex(prebuilt = null) {
+    const startTime = Date.now();
+    this.index = this.faissModule.createIndex(this.options.dimension);
+    
+    if (prebuilt && prebuilt.type === this.faissModule.type && prebuilt.ids.length === this.chunks.size) {
+      try {
+        this.index.deserialize(prebuilt, id => this.chunks.get(id)?.embedding);
+        console.log(`✅ Restored pre-built ${prebuilt.type} index in ${Date.now() - startTime}ms`);
+        return;
+      } catch (error) {
+        console.warn('⚠️ Pre-built index does not match the embeddings, rebuilding:', error.message);
+        this.index = this.faissModule.createIndex(this.options.dimension);
+      }
+    }
+    
+    for (const [id, chunk] of this.chunks.entries()) {
+      this.index.add(chunk.embedding, id);
+    }
+    console.log(`✅ Built ${this.faissModule.type} index of ${this.index.size()} vectors in ${Date.now() - startTime}ms`);
+  }
+
   /**
    * Get index statistics
    */
@@ -566,6 +744,7 @@ class NYLAVectorDB {
       initialized: this.initialized,
       chunkCount: this.chunks.size,
       dimension: this.options.dimension,
+      indexType: this.faissModule ? this.faissModule.type : null,
       indexSize: this.index ? this.index.size() : 0,
       memoryUsage: this.estimateMemoryUsage()
     };
@@ -589,9 +768,7 @@ class NYLAVectorDB {
     
     // Clear from IndexedDB
     if (this.db) {
-      const transaction = this.db.transaction([this.options.storeName], 'readwrite');
-      const store = transaction.objectStore(this.options.storeName);
-      await store.delete(this.options.indexName);
+      await this.writeRecords([], [this.options.indexName, this.chunkRecordRange()]);
     }
     
     console.log('🧹 Vector index cleared');
@@ -611,8 +788,8 @@ class NYLAVectorDB {
 }
 
 /**
- * Simple vector index implementation (placeholder for FAISS)
- * This will be replaced with actual FAISS bindings
+ * Flat vector index: exact cosine scan over every vector
+ * Used with indexType 'flat', and as the fallback when NYLAHNSWIndex is not loaded
  */
 class SimpleVectorIndex {
   constructor(dimension) {
@@ -622,56 +799,39 @@ class SimpleVectorIndex {
   }
 
   add(vector, id) {
-    if (this.vectors.length < 3) {
-      console.log(`🔍 Adding vector ${this.vectors.length + 1} to index:`, {
-        id: id,
-        vectorLength: vector.length,
-        sampleValues: vector.slice(0, 3)
-      });
-    }
     this.vectors.push(vector);
     this.ids.push(id);
   }
 
-  search(queryVector, k) {
-    console.log('🔍 SimpleVectorIndex Search Debug:', {
-      vectorCount: this.vectors.length,
-      idsCount: this.ids.length,
-      queryVectorLength: queryVector.length,
-      dimension: this.dimension,
-      requestedK: k
-    });
-    
+  remove(id) {
+    const index = this.ids.indexOf(id);
+    if (index === -1) return false;
+    this.vectors.splice(index, 1);
+    this.ids.splice(index, 1);
+    return true;
+  }
+
+  search(queryVector, k, { allowedIds = null } = {}) {
     if (this.vectors.length === 0) {
-      console.log('❌ No vectors in index to search!');
       return [];
     }
     
     const similarities = [];
     
-    // Calculate similarities
+    // Calculate similarities, of the allowed ids only when given
     for (let i = 0; i < this.vectors.length; i++) {
+      if (allowedIds && !allowedIds.has(this.ids[i])) continue;
       const similarity = this.cosineSimilarity(queryVector, this.vectors[i]);
       similarities.push({
         id: this.ids[i],
         similarity: similarity,
         distance: 1 - similarity
       });
-      
-      // Debug first few similarities
-      if (i < 3) {
-        console.log(`  Vector ${i} (${this.ids[i]}): similarity ${similarity.toFixed(4)}`);
-      }
     }
     
     // Sort by similarity (descending)
     similarities.sort((a, b) => b.similarity - a.similarity);
     
-    console.log('🔍 Top similarities:', similarities.slice(0, 3).map(s => ({
-      id: s.id,
-      similarity: s.similarity.toFixed(4)
-    })));
-    
     // Return top k
     return similarities.slice(0, k);
   }
@@ -0,0 +1,393 @@
+/**
+ * NYLA Vector Quantizer
+ * Compact storage of the KB embeddings in a binary container, instead of float JSON:
+ * - int8: scalar quantisation with one scale per vector (4x smaller than float32)
+ * - pq: product quantisation, one byte per subvector (32x smaller at 768 dimensions and 96 subvectors)
+ *
+ * Container layout (little endian):
+ *   "NYLQ" | uint32 header length | UTF-8 JSON header { version, method, dimension, count, ids, pq? } | padding to 4 bytes
+ *   int8 payload: float32 scales[count], int8 codes[count × dimension]
+ *   pq payload:   float32 codebooks[subvectors × centroids × subDimension], uint8 codes[count × subvectors]
+ *
+ * decode() dequantises back to float vectors for NYLAVectorDB; check() is the build-time quality gate: the
+ * container must be smaller than float32 and keep the minimum recall for queries near the stored vectors.
+ * PQ needs more vectors than centroids, otherwise every vector is its own centroid and the codebooks
+ * are larger than the floats (int8 is the method for small KBs).
+ *
+ * Only the bundled nyla-vector-db.json is quantised; the production index download (NYLAProductionSync,
+ * nyla-knowledge-index.json.gz) still ships float JSON.
+ */
+
+class NYLAVectorQuantizer {
+  static MAGIC = 'NYLQ';
+  static FORMAT_VERSION = 1;
+  static METHODS = ['int8', 'pq'];
+
+  static PQ_DEFAULTS = {
+    subvectors: 96,
+    centroids: 256,   // At most 256, so a code fits in one byte; fewer than the number of vectors
+    iterations: 12,
+    sampleSize: 4096, // Vectors used to train the codebooks
+    seed: 42
+  };
+
+  // Minimum recall@10 against the float baseline, checked at build time
+  static MIN_RECALL = {
+    int8: 0.95,
+    pq: 0.8
+  };
+
+  // Noise added to the stored vectors to make the check's queries, relative to their norm
+  static QUERY_NOISE = 0.3;
+
+  /**
+   * Quantise embeddings into a binary container
+   * @param {Array} entries - [{ id, embedding }]
+   * @param {Object} options - { method: 'int8' | 'pq', pq: PQ_DEFAULTS overrides }
+   * @returns {Uint8Array} Container bytes
+   */
+  static encode(entries, { method = 'int8', pq = {} } = {}) {
+    if (!NYLAVectorQuantizer.METHODS.includes(method)) {
+      throw new Error(`Unknown quantisation method "${method}", expected ${NYLAVectorQuantizer.METHODS.join(' or ')}`);
+    }
+    if (entries.length === 0) {
+      throw new Error('No embeddings to quantise');
+    }
+
+    const dimension = entries[0].embedding.length;
+    const vectors = entries.map(entry => {
+      if (entry.embedding.length !== dimension) {
+        throw new Error(`Embedding ${entry.id} has ${entry.embedding.length} dimensions, expected ${dimension}`);
+      }
+      return Float32Array.from(entry.embedding);
+    });
+
+    const header = {
+      version: NYLAVectorQuantizer.FORMAT_VERSION,
+      method,
+      dimension,
+      count: vectors.length,
+      ids: entries.map(entry => entry.id)
+    };
+    let payload;
+    if (method === 'int8') {
+      const { scales, codes } = NYLAVectorQuantizer.quantizeInt8(vectors);
+      payload = [scales, codes];
+    } else {
+      const { codebooks, codes, options } = NYLAVectorQuantizer.quantizePQ(vectors, pq);
+      header.pq = { subvectors: options.subvectors, centroids: options.centroids };
+      payload = [codebooks, codes];
+    }
+
+    const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+    const payloadStart = NYLAVectorQuantizer.align(8 + headerBytes.length);
+    const bytes = new Uint8Array(payloadStart + payload.reduce((sum, array) => sum + array.byteLength, 0));
+    bytes.set(new TextEncoder().encode(NYLAVectorQuantizer.MAGIC), 0);
+    new DataView(bytes.buffer).setUint32(4, headerBytes.length, true);
+    bytes.set(headerBytes, 8);
+
+    let offset = payloadStart;
+    payload.forEach(array => {
+      bytes.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), offset);
+      offset += array.byteLength;
+    });
+    return bytes;
+  }
+
+  /**
+   * Dequantise a binary container
+   * @param {ArrayBuffer|Uint8Array} buffer - Container bytes
+   * @returns {Object} { method, dimension, ids, vectors: Float32Array per id, header }
+   */
+  static decode(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (bytes.length < 8 || new TextDecoder().decode(bytes.subarray(0, 4)) !== NYLAVectorQuantizer.MAGIC) {
+      throw new Error('Not a NYLA quantised vector container');
+    }
+
+    const headerLength = view.getUint32(4, true);
+    const header = JSON.parse(new TextDecoder().decode(bytes.subarray(8, 8 + headerLength)));
+    if (header.version !== NYLAVectorQuantizer.FORMAT_VERSION) {
+      throw new Error(`Unsupported quantised vector container version ${header.version}`);
+    }
+
+    const { method, dimension, count } = header;
+    // Copies keep the typed arrays aligned whatever the offset of the input bytes
+    let offset = NYLAVectorQuantizer.align(8 + headerLength);
+    const take = (Type, length) => {
+      const end = offset + length * Type.BYTES_PER_ELEMENT;
+      if (end > bytes.length) {
+        throw new Error('Quantised vector container is truncated');
+      }
+      const copy = new Uint8Array(end - offset);
+      copy.set(bytes.subarray(offset, end));
+      offset = end;
+      return new Type(copy.buffer);
+    };
+
+    let vectors;
+    if (method === 'int8') {
+      const scales = take(Float32Array, count);
+      const codes = take(Int8Array, count * dimension);
+      vectors = Array.from({ length: count }, (_, i) => {
+        const vector = new Float32Array(dimension);
+        for (let d = 0; d < dimension; d++) {
+          vector[d] = codes[i * dimension + d] * scales[i];
+        }
+        return vector;
+      });
+    } else if (method === 'pq') {
+      const { subvectors, centroids } = header.pq;
+      const subDimension = dimension / subvectors;
+      const codebooks = take(Float32Array, subvectors * centroids * subDimension);
+      const codes = take(Uint8Array, count * subvectors);
+      vectors = Array.from({ length: count }, (_, i) => {
+        const vector = new Float32Array(dimension);
+        for (let s = 0; s < subvectors; s++) {
+          const centroid = (s * centroids + codes[i * subvectors + s]) * subDimension;
+          vector.set(codebooks.subarray(centroid, centroid + subDimension), s * subDimension);
+        }
+        return vector;
+      });
+    } else {
+      throw new Error(`Unknown quantisation method "${method}"`);
+    }
+
+    return { method, dimension, ids: header.ids, vectors, header };
+  }
+
+  /**
+   * Symmetric int8 quantisation, scaled so each vector's largest component maps to ±127
+   */
+  static quantizeInt8(vectors) {
+    const dimension = vectors[0].length;
+    const scales = new Float32Array(vectors.length);
+    const codes = new Int8Array(vectors.length * dimension);
+
+    vectors.forEach((vector, i) => {
+      const maxAbs = vector.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+      scales[i] = maxAbs / 127;
+      for (let d = 0; d < dimension; d++) {
+        codes[i * dimension + d] = scales[i] === 0 ? 0 : Math.round(vector[d] / scales[i]);
+      }
+    });
+    return { scales, codes };
+  }
+
+  /**
+   * Product quantisation: a k-means codebook per subvector, trained on a sample of the vectors
+   */
+  static quantizePQ(vectors, overrides = {}) {
+    const dimension = vectors[0].length;
+    const options = { ...NYLAVectorQuantizer.PQ_DEFAULTS, ...overrides };
+    options.centroids = Math.min(options.centroids, 256);
+    if (vectors.length <= options.centroids) {
+      throw new Error(`Product quantisation needs more vectors than its ${options.centroids} centroids, got ${vectors.length}`);
+    }
+    if (dimension % options.subvectors !== 0) {
+      throw new Error(`${dimension} dimensions cannot be split into ${options.subvectors} subvectors`);
+    }
+
+    const subDimension = dimension / options.subvectors;
+    const random = NYLAVectorQuantizer.createRandom(options.seed);
+    const sample = NYLAVectorQuantizer.sample(vectors, options.sampleSize, random);
+    const codebooks = new Float32Array(options.subvectors * options.centroids * subDimension);
+    const codes = new Uint8Array(vectors.length * options.subvectors);
+
+    for (let s = 0; s < options.subvectors; s++) {
+      const slice = vector => vector.subarray(s * subDimension, (s + 1) * subDimension);
+      const centroids = NYLAVectorQuantizer.kMeans(sample.map(slice), options.centroids, options.iterations, random);
+      centroids.forEach((centroid, c) => codebooks.set(centroid, (s * options.centroids + c) * subDimension));
+      vectors.forEach((vector, i) => {
+        codes[i * options.subvectors + s] = NYLAVectorQuantizer.nearest(slice(vector), centroids);
+      });
+    }
+    return { codebooks, codes, options };
+  }
+
+  /**
+   * Lloyd's k-means from distinct random starting points; empty clusters restart from a random point
+   */
+  static kMeans(points, k, iterations, random) {
+    const centroids = NYLAVectorQuantizer.sample(points, k, random).map(point => Float32Array.from(point));
+    const assignments = new Int32Array(points.length);
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+      points.forEach((point, i) => {
+        assignments[i] = NYLAVectorQuantizer.nearest(point, centroids);
+      });
+
+      const sums = centroids.map(centroid => new Float64Array(centroid.length));
+      const counts = new Int32Array(k);
+      points.forEach((point, i) => {
+        counts[assignments[i]]++;
+        point.forEach((value, d) => {
+          sums[assignments[i]][d] += value;
+        });
+      });
+      centroids.forEach((centroid, c) => {
+        if (counts[c] === 0) {
+          centroid.set(points[Math.floor(random() * points.length)]);
+          return;
+        }
+        sums[c].forEach((sum, d) => {
+          centroid[d] = sum / counts[c];
+        });
+      });
+    }
+    return centroids;
+  }
+
+  static nearest(point, centroids) {
+    let best = 0;
+    let bestDistance = Infinity;
+    centroids.forEach((centroid, c) => {
+      let distance = 0;
+      for (let d = 0; d < point.length; d++) {
+        const difference = point[d] - centroid[d];
+        distance += difference * difference;
+      }
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = c;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Quantise embeddings and check the container against the float baseline
+   * The queries are perturbed copies of the stored vectors, so a quantiser that only reproduces the
+   * stored vectors does not pass for free.
+   * @param {Array} entries - [{ id, embedding }]
+   * @param {Object} options - encode() options and k (neighbours per query)
+   * @returns {Object} { bytes, vectors, floatBytes, recall, k, meanSimilarityError, errors: why the container fails }
+   * @throws {Error} When the method cannot quantise these embeddings
+   */
+  static check(entries, { method = 'int8', pq = {}, k = 10 } = {}) {
+    const bytes = NYLAVectorQuantizer.encode(entries, { method, pq });
+    const { vectors } = NYLAVectorQuantizer.decode(bytes);
+    const baseline = entries.map(entry => entry.embedding);
+    const queries = NYLAVectorQuantizer.perturb(baseline, NYLAVectorQuantizer.QUERY_NOISE);
+    const retrieval = NYLAVectorQuantizer.compareRetrieval(baseline, vectors, k, queries);
+
+    const floatBytes = baseline.length * baseline[0].length * 4;
+    const minRecall = NYLAVectorQuantizer.MIN_RECALL[method];
+    const errors = [];
+    if (bytes.length >= floatBytes) {
+      errors.push(`${bytes.length} bytes is not smaller than ${floatBytes} bytes of float32`);
+    }
+    if (retrieval.recall < minRecall) {
+      errors.push(`recall@${k} ${(retrieval.recall * 100).toFixed(1)}% is below ${minRecall * 100}%`);
+    }
+    return { bytes, vectors, floatBytes, recall: retrieval.recall, k, meanSimilarityError: retrieval.meanSimilarityError, errors };
+  }
+
+  /**
+   * Copies of the vectors with seeded random noise of the given norm relative to each vector
+   */
+  static perturb(vectors, noise, seed = NYLAVectorQuantizer.PQ_DEFAULTS.seed) {
+    const random = NYLAVectorQuantizer.createRandom(seed);
+    const norm = vector => Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vectors.map(vector => {
+      const direction = Array.from(vector, () => random() - 0.5);
+      const scale = (noise * norm(vector)) / norm(direction);
+      return Array.from(vector, (value, d) => value + direction[d] * scale);
+    });
+  }
+
+  /**
+   * Retrieval quality of quantised vectors against the float baseline
+   * Without queries every baseline vector is a query and its top-k neighbours (itself excluded) are compared.
+   * @param {Array} baseline - Float vectors
+   * @param {Array} candidate - Dequantised vectors in the same order
+   * @param {number} k - Neighbours per query
+   * @param {Array} queries - Query vectors, optional
+   * @returns {Object} { queries, k, recall, meanSimilarityError }
+   */
+  static compareRetrieval(baseline, candidate, k = 10, queries = null) {
+    const normalize = vector => {
+      const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+      return Array.from(vector, value => value / norm);
+    };
+    const dot = (a, b) => a.reduce((sum, value, d) => sum + value * b[d], 0);
+    const base = baseline.map(normalize);
+    const quantised = candidate.map(normalize);
+    const topK = (vectors, query, self) => vectors
+      .map((vector, i) => ({ i, similarity: dot(query, vector) }))
+      .filter(result => result.i !== self)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, k)
+      .map(result => result.i);
+
+    let found = 0;
+    let expected = 0;
+    let error = 0;
+    const queryVectors = queries ? queries.map(normalize) : base;
+    queryVectors.forEach((query, index) => {
+      const self = queries ? -1 : index;
+      const exact = topK(base, query, self);
+      const approximate = new Set(topK(quantised, query, self));
+      found += exact.filter(i => approximate.has(i)).length;
+      expected += exact.length;
+      error += Math.abs(dot(query, base[exact[0]] || query) - dot(query, quantised[exact[0]] || query));
+    });
+
+    return {
+      queries: queryVectors.length,
+      k,
+      recall: expected === 0 ? 1 : found / expected,
+      meanSimilarityError: queryVectors.length === 0 ? 0 : error / queryVectors.length
+    };
+  }
+
+  static toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  static fromBase64(text) {
+    return Uint8Array.from(atob(text), character => character.charCodeAt(0));
+  }
+
+  static align(offset) {
+    return Math.ceil(offset / 4) * 4;
+  }
+
+  /**
+   * Up to count distinct items in random order
+   */
+  static sample(items, count, random) {
+    const pool = items.slice();
+    for (let i = pool.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    return pool.slice(0, count);
+  }
+
+  /**
+   * Seeded generator (mulberry32) in [0, 1)
+   */
+  static createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+}
+
+// Export for both Node.js and Browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NYLAVectorQuantizer;
+} else if (typeof window !== 'undefined') {
+  window.NYLAVectorQuantizer = NYLAVectorQuantizer;
+}
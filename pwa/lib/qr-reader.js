@@ -0,0 +1,712 @@
+/**
+ * Simple QR Code Reader - Offline decoder for camera frames and images
+ * Companion to SimpleQR: locates a QR symbol in RGBA pixels (ImageData), samples its
+ * module grid and decodes byte-mode data with Reed-Solomon error correction.
+ * Everything runs locally, no network access required.
+ *
+ * Pipeline:
+ * 1. binarize       - block-adaptive threshold (copes with uneven lighting)
+ * 2. finder search  - 1:1:3:1:1 dark/light runs, cross-checked vertically and horizontally
+ * 3. grid sampling  - affine transform from the three finders, refined to a perspective
+ *                     transform with the bottom-right alignment pattern when present
+ * 4. decodeMatrix   - format bits, unmasking, de-interleaving, RS correction, byte mode
+ *
+ * Block structure tables are read from SimpleQR, which must be loaded first.
+ */
+
+class SimpleQRReader {
+  static BLOCK_SIZE = 8;
+  static MIN_DYNAMIC_RANGE = 24;
+  static MAX_FINDER_CANDIDATES = 12;
+
+  // Alignment pattern centres per version (ISO/IEC 18004 Annex E)
+  static ALIGNMENT_POSITIONS = [
+    null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46],
+    [6, 28, 50], [6, 30, 54], [6, 32, 58], [6, 34, 62], [6, 26, 46, 66], [6, 26, 48, 70],
+    [6, 26, 50, 74], [6, 30, 54, 78], [6, 30, 56, 82], [6, 30, 58, 86], [6, 34, 62, 90],
+    [6, 28, 50, 72, 94], [6, 26, 50, 74, 98], [6, 30, 54, 78, 102], [6, 28, 54, 80, 106],
+    [6, 32, 58, 84, 110], [6, 30, 58, 86, 114], [6, 34, 62, 90, 118], [6, 26, 50, 74, 98, 122],
+    [6, 30, 54, 78, 102, 126], [6, 26, 52, 78, 104, 130], [6, 30, 56, 82, 108, 134],
+    [6, 34, 60, 86, 112, 138], [6, 30, 58, 86, 114, 142], [6, 34, 62, 90, 118, 146],
+    [6, 30, 54, 78, 102, 126, 150], [6, 24, 50, 76, 102, 128, 154], [6, 28, 54, 80, 106, 132, 158],
+    [6, 32, 58, 84, 110, 136, 162], [6, 26, 54, 82, 110, 138, 166], [6, 30, 58, 86, 114, 142, 170]
+  ];
+
+  // Format bits 00/01/10/11 map to levels M/L/H/Q
+  static ECC_BY_FORMAT = ['M', 'L', 'H', 'Q'];
+
+  /**
+   * Find and decode a QR code in an image
+   * @param {Object} imageData - { data: RGBA bytes, width, height }, e.g. from getImageData()
+   * @returns {Object|null} { text, version, ecc, mask, corrected } or null when no code could be read
+   */
+  static decode(imageData) {
+    const bits = this.binarize(imageData);
+    const { width, height } = imageData;
+    const triples = this.selectFinderTriples(this.findFinderPatterns(bits, width, height));
+
+    for (const finders of triples.slice(0, 3)) {
+      for (const dimension of this.estimateDimensions(finders)) {
+        for (const transform of this.buildTransforms(bits, width, height, finders, dimension)) {
+          try {
+            return this.decodeMatrix(this.sampleGrid(bits, width, height, transform, dimension));
+          } catch (error) {
+            // Wrong grid guess or unreadable data, try the next candidate
+          }
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Draw an image, video frame or canvas and decode it (browser only)
+   * Large sources are scaled down so camera frames and photos decode quickly.
+   * @param {CanvasImageSource} source - Image, ImageBitmap, video or canvas
+   * @param {number} maxSize - Longest side of the analysed bitmap
+   * @returns {Object|null} Decode result as for decode()
+   */
+  static decodeSource(source, maxSize = 1024) {
+    const sourceWidth = source.videoWidth || source.naturalWidth || source.width;
+    const sourceHeight = source.videoHeight || source.naturalHeight || source.height;
+    if (!sourceWidth || !sourceHeight) return null;
+
+    const scale = Math.min(1, maxSize / Math.max(sourceWidth, sourceHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(sourceWidth * scale);
+    canvas.height = Math.round(sourceHeight * scale);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    return this.decode(ctx.getImageData(0, 0, canvas.width, canvas.height));
+  }
+
+  /**
+   * Convert RGBA pixels to dark (1) / light (0) using per-block thresholds
+   * averaged over a 5x5 block neighbourhood
+   */
+  static binarize({ data, width, height }) {
+    const luminance = new Uint8Array(width * height);
+    for (let i = 0; i < luminance.length; i++) {
+      luminance[i] = (data[i * 4] * 77 + data[i * 4 + 1] * 150 + data[i * 4 + 2] * 29) >> 8;
+    }
+
+    const size = this.BLOCK_SIZE;
+    const blocksX = Math.ceil(width / size);
+    const blocksY = Math.ceil(height / size);
+    const averages = new Float32Array(blocksX * blocksY);
+
+    for (let by = 0; by < blocksY; by++) {
+      for (let bx = 0; bx < blocksX; bx++) {
+        let sum = 0;
+        let count = 0;
+        let min = 255;
+        let max = 0;
+        for (let y = by * size; y < Math.min(height, (by + 1) * size); y++) {
+          for (let x = bx * size; x < Math.min(width, (bx + 1) * size); x++) {
+            const value = luminance[y * width + x];
+            sum += value;
+            count++;
+            if (value < min) min = value;
+            if (value > max) max = value;
+          }
+        }
+
+        let average = sum / count;
+        if (max - min <= this.MIN_DYNAMIC_RANGE) {
+          // Flat block: assume light background unless the neighbours say otherwise
+          average = min / 2;
+          if (by > 0 && bx > 0) {
+            const neighbours = (averages[(by - 1) * blocksX + bx] + 2 * averages[by * blocksX + bx - 1] +
+              averages[(by - 1) * blocksX + bx - 1]) / 4;
+            if (min < neighbours) average = neighbours;
+          }
+        }
+        averages[by * blocksX + bx] = average;
+      }
+    }
+
+    const bits = new Uint8Array(width * height);
+    for (let by = 0; by < blocksY; by++) {
+      for (let bx = 0; bx < blocksX; bx++) {
+        let sum = 0;
+        let count = 0;
+        for (let ny = Math.max(0, by - 2); ny <= Math.min(blocksY - 1, by + 2); ny++) {
+          for (let nx = Math.max(0, bx - 2); nx <= Math.min(blocksX - 1, bx + 2); nx++) {
+            sum += averages[ny * blocksX + nx];
+            count++;
+          }
+        }
+        const threshold = sum / count;
+        for (let y = by * size; y < Math.min(height, (by + 1) * size); y++) {
+          for (let x = bx * size; x < Math.min(width, (bx + 1) * size); x++) {
+            bits[y * width + x] = luminance[y * width + x] <= threshold ? 1 : 0;
+          }
+        }
+      }
+    }
+    return bits;
+  }
+
+  /**
+   * True if five run lengths look like a finder pattern (1:1:3:1:1)
+   */
+  static isFinderRatio(counts) {
+    if (counts.some(count => count === 0)) return false;
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    if (total < 7) return false;
+
+    const moduleSize = total / 7;
+    const variance = moduleSize / 2;
+    return Math.abs(moduleSize - counts[0]) < variance &&
+      Math.abs(moduleSize - counts[1]) < variance &&
+      Math.abs(3 * moduleSize - counts[2]) < 3 * variance &&
+      Math.abs(moduleSize - counts[3]) < variance &&
+      Math.abs(moduleSize - counts[4]) < variance;
+  }
+
+  /**
+   * Measure the finder runs through (x, y) along direction (dx, dy)
+   * @returns {Object|null} { center: offset of the pattern centre from (x, y), total: run length }
+   */
+  static crossCheck(bits, width, height, x, y, dx, dy, maxCount) {
+    const at = (i) => {
+      const px = x + dx * i;
+      const py = y + dy * i;
+      return px >= 0 && py >= 0 && px < width && py < height ? bits[py * width + px] : -1;
+    };
+    const counts = [0, 0, 0, 0, 0];
+
+    let i = 0;
+    while (at(i) === 1) { counts[2]++; i--; }
+    while (at(i) === 0 && counts[1] <= maxCount) { counts[1]++; i--; }
+    if (at(i) === -1 || counts[1] > maxCount) return null;
+    while (at(i) === 1 && counts[0] <= maxCount) { counts[0]++; i--; }
+    if (counts[0] > maxCount) return null;
+
+    i = 1;
+    while (at(i) === 1) { counts[2]++; i++; }
+    while (at(i) === 0 && counts[3] <= maxCount) { counts[3]++; i++; }
+    if (at(i) === -1 || counts[3] > maxCount) return null;
+    while (at(i) === 1 && counts[4] <= maxCount) { counts[4]++; i++; }
+    if (counts[4] > maxCount || !this.isFinderRatio(counts)) return null;
+
+    return {
+      center: i - counts[4] - counts[3] - counts[2] / 2,
+      total: counts.reduce((sum, count) => sum + count, 0)
+    };
+  }
+
+  /**
+   * Scan rows for finder patterns and merge repeated hits
+   * @returns {Array} [{ x, y, moduleSize, count }] in pixel coordinates
+   */
+  static findFinderPatterns(bits, width, height) {
+    const candidates = [];
+
+    const confirm = (counts, row, end) => {
+      const total = counts.reduce((sum, count) => sum + count, 0);
+      const rowX = Math.floor(end - counts[4] - counts[3] - counts[2] / 2);
+      const vertical = this.crossCheck(bits, width, height, rowX, row, 0, 1, counts[2]);
+      if (!vertical || 5 * Math.abs(vertical.total - total) >= 2 * total) return;
+
+      const centerY = row + vertical.center;
+      const horizontal = this.crossCheck(bits, width, height, rowX, Math.floor(centerY), 1, 0, counts[2]);
+      if (!horizontal) return;
+
+      const centerX = rowX + horizontal.center;
+      const moduleSize = (horizontal.total + vertical.total) / 14;
+      const existing = candidates.find(c =>
+        Math.abs(c.x - centerX) <= moduleSize && Math.abs(c.y - centerY) <= moduleSize &&
+        Math.abs(c.moduleSize - moduleSize) <= Math.max(1, moduleSize / 2));
+
+      if (existing) {
+        const weight = existing.count + 1;
+        existing.x = (existing.x * existing.count + centerX) / weight;
+        existing.y = (existing.y * existing.count + centerY) / weight;
+        existing.moduleSize = (existing.moduleSize * existing.count + moduleSize) / weight;
+        existing.count = weight;
+      } else {
+        candidates.push({ x: centerX, y: centerY, moduleSize, count: 1 });
+      }
+    };
+
+    for (let y = 0; y < height; y++) {
+      let counts = [0, 0, 0, 0, 0];
+      let state = 0;
+      for (let x = 0; x < width; x++) {
+        if (bits[y * width + x]) {
+          if (state & 1) state++;
+          counts[state]++;
+        } else if (state & 1) {
+          counts[state]++;
+        } else if (state === 4) {
+          if (this.isFinderRatio(counts)) confirm(counts, y, x);
+          counts = [counts[2], counts[3], counts[4], 1, 0];
+          state = 3;
+        } else {
+          state++;
+          counts[state]++;
+        }
+      }
+      if (state === 4 && this.isFinderRatio(counts)) confirm(counts, y, width);
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Rank combinations of three finder candidates by how closely they form the
+   * right isosceles triangle of a QR symbol, and orient each one
+   * @returns {Array} [{ topLeft, topRight, bottomLeft }] best first
+   */
+  static selectFinderTriples(candidates) {
+    const confirmed = candidates.filter(c => c.count >= 2);
+    const pool = (confirmed.length >= 3 ? confirmed : candidates)
+      .slice()
+      .sort((a, b) => b.count - a.count)
+      .slice(0, this.MAX_FINDER_CANDIDATES);
+
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    const triples = [];
+
+    for (let i = 0; i < pool.length; i++) {
+      for (let j = i + 1; j < pool.length; j++) {
+        for (let k = j + 1; k < pool.length; k++) {
+          const points = [pool[i], pool[j], pool[k]];
+          const sizes = points.map(p => p.moduleSize);
+          if (Math.max(...sizes) > 1.5 * Math.min(...sizes)) continue;
+
+          // The top-left finder is opposite the longest side
+          const sides = [distance(points[1], points[2]), distance(points[0], points[2]), distance(points[0], points[1])];
+          const corner = sides.indexOf(Math.max(...sides));
+          const topLeft = points[corner];
+          let [topRight, bottomLeft] = points.filter((_, index) => index !== corner);
+
+          const legA = distance(topLeft, topRight);
+          const legB = distance(topLeft, bottomLeft);
+          const moduleSize = (sizes[0] + sizes[1] + sizes[2]) / 3;
+          if (Math.min(legA, legB) < 14 * moduleSize || Math.max(legA, legB) > 1.5 * Math.min(legA, legB)) continue;
+
+          const rightAngle = Math.abs(1 - sides[corner] ** 2 / (legA ** 2 + legB ** 2));
+          if (rightAngle > 0.25) continue;
+
+          // Clockwise order in image coordinates (y grows downwards)
+          const cross = (topRight.x - topLeft.x) * (bottomLeft.y - topLeft.y) -
+            (topRight.y - topLeft.y) * (bottomLeft.x - topLeft.x);
+          if (cross < 0) [topRight, bottomLeft] = [bottomLeft, topRight];
+
+          // Perspective legitimately changes module sizes, so weigh that lightly and favour
+          // candidates confirmed on many rows over one-off matches inside the data area
+          const score = rightAngle + Math.abs(1 - legA / legB) / 2 +
+            (Math.max(...sizes) - Math.min(...sizes)) / moduleSize / 4 +
+            1 / Math.min(...points.map(p => p.count));
+          triples.push({ topLeft, topRight, bottomLeft, moduleSize, score });
+        }
+      }
+    }
+
+    return triples.sort((a, b) => a.score - b.score);
+  }
+
+  /**
+   * Symbol sizes (modules per side) consistent with the finder spacing, most likely first
+   */
+  static estimateDimensions({ topLeft, topRight, bottomLeft, moduleSize }) {
+    const spacing = (Math.hypot(topRight.x - topLeft.x, topRight.y - topLeft.y) +
+      Math.hypot(bottomLeft.x - topLeft.x, bottomLeft.y - topLeft.y)) / 2;
+    let dimension = Math.round(spacing / moduleSize) + 7;
+    // Valid sizes are 4 * version + 17
+    switch (dimension & 3) {
+      case 0: dimension++; break;
+      case 2: dimension--; break;
+      case 3: dimension -= 2; break;
+    }
+    return [dimension, dimension + 4, dimension - 4].filter(size => size >= 21 && size <= 177);
+  }
+
+  /**
+   * Candidate module-to-pixel transforms: perspective (finders + alignment pattern) when
+   * an alignment pattern is found, then the plain affine estimate
+   * @returns {Function[]} (u, v) => { x, y } for module coordinates u (column) and v (row)
+   */
+  static buildTransforms(bits, width, height, { topLeft, topRight, bottomLeft }, dimension) {
+    const span = dimension - 7;
+    const ex = { x: (topRight.x - topLeft.x) / span, y: (topRight.y - topLeft.y) / span };
+    const ey = { x: (bottomLeft.x - topLeft.x) / span, y: (bottomLeft.y - topLeft.y) / span };
+    const affine = (u, v) => ({
+      x: topLeft.x + (u - 3.5) * ex.x + (v - 3.5) * ey.x,
+      y: topLeft.y + (u - 3.5) * ex.y + (v - 3.5) * ey.y
+    });
+
+    const transforms = [affine];
+    if (dimension > 21) {
+      const alignmentModule = dimension - 6.5;
+      const alignment = this.findAlignmentPattern(bits, width, height, affine(alignmentModule, alignmentModule), ex, ey);
+      if (alignment) {
+        const perspective = this.perspectiveTransform(
+          [[3.5, 3.5], [dimension - 3.5, 3.5], [3.5, dimension - 3.5], [alignmentModule, alignmentModule]],
+          [topLeft, topRight, bottomLeft, alignment]
+        );
+        if (perspective) transforms.unshift(perspective);
+      }
+    }
+    return transforms;
+  }
+
+  /**
+   * Search around a predicted position for the 5x5 alignment pattern (dark ring, light ring, dark centre)
+   * The window widens when nothing is found nearby, as perspective moves the pattern away from
+   * where the affine estimate expects it.
+   * @returns {Object|null} Centre { x, y } in pixels
+   */
+  static findAlignmentPattern(bits, width, height, predicted, ex, ey) {
+    const moduleSize = (Math.hypot(ex.x, ex.y) + Math.hypot(ey.x, ey.y)) / 2;
+
+    for (const allowance of [4, 8, 12]) {
+      const radius = Math.ceil(moduleSize * allowance);
+      const matches = [];
+      let best = 0;
+
+      for (let oy = -radius; oy <= radius; oy++) {
+        for (let ox = -radius; ox <= radius; ox++) {
+          const cx = predicted.x + ox;
+          const cy = predicted.y + oy;
+          let score = 0;
+          for (let j = -2; j <= 2; j++) {
+            for (let i = -2; i <= 2; i++) {
+              const px = Math.floor(cx + i * ex.x + j * ey.x);
+              const py = Math.floor(cy + i * ex.y + j * ey.y);
+              const dark = px >= 0 && py >= 0 && px < width && py < height && bits[py * width + px] === 1;
+              if (dark === (Math.max(Math.abs(i), Math.abs(j)) !== 1)) score++;
+            }
+          }
+          if (score > best) {
+            best = score;
+            matches.length = 0;
+          }
+          if (score === best) matches.push({ x: cx, y: cy });
+        }
+      }
+
+      if (best === 25) {
+        return {
+          x: matches.reduce((sum, point) => sum + point.x, 0) / matches.length,
+          y: matches.reduce((sum, point) => sum + point.y, 0) / matches.length
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Projective transform mapping four module coordinates onto four pixel positions
+   * @param {number[][]} from - [[u, v], ...] module coordinates
+   * @param {Object[]} to - [{ x, y }, ...] pixel positions
+   * @returns {Function|null} (u, v) => { x, y }, null for degenerate input
+   */
+  static perspectiveTransform(from, to) {
+    // Solve x = (a u + b v + c) / (g u + h v + 1), y = (d u + e v + f) / (g u + h v + 1)
+    const rows = [];
+    from.forEach(([u, v], i) => {
+      const { x, y } = to[i];
+      rows.push([u, v, 1, 0, 0, 0, -u * x, -v * x, x]);
+      rows.push([0, 0, 0, u, v, 1, -u * y, -v * y, y]);
+    });
+
+    for (let col = 0; col < 8; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < 8; row++) {
+        if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+      }
+      if (Math.abs(rows[pivot][col]) < 1e-9) return null;
+      [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+      for (let row = 0; row < 8; row++) {
+        if (row === col) continue;
+        const factor = rows[row][col] / rows[col][col];
+        for (let k = col; k < 9; k++) rows[row][k] -= factor * rows[col][k];
+      }
+    }
+
+    const [a, b, c, d, e, f, g, h] = rows.map((row, i) => row[8] / row[i]);
+    return (u, v) => {
+      const w = g * u + h * v + 1;
+      return { x: (a * u + b * v + c) / w, y: (d * u + e * v + f) / w };
+    };
+  }
+
+  /**
+   * Read the module grid by sampling the centre of each module
+   * @returns {boolean[][]} modules[y][x], true for dark
+   */
+  static sampleGrid(bits, width, height, transform, dimension) {
+    return Array.from({ length: dimension }, (_, v) => Array.from({ length: dimension }, (_, u) => {
+      const { x, y } = transform(u + 0.5, v + 0.5);
+      const px = Math.floor(x);
+      const py = Math.floor(y);
+      return px >= 0 && py >= 0 && px < width && py < height && bits[py * width + px] === 1;
+    }));
+  }
+
+  /**
+   * Decode a QR module matrix
+   * @param {boolean[][]} modules - modules[y][x], true for dark
+   * @returns {Object} { text, version, ecc, mask, corrected }
+   * @throws {Error} When the format, data or error correction is unreadable
+   */
+  static decodeMatrix(modules) {
+    const size = modules.length;
+    const version = (size - 17) / 4;
+    if (!Number.isInteger(version) || version < 1 || version > 40) {
+      throw new Error(`Invalid symbol size ${size}`);
+    }
+
+    const { ecc, mask } = this.readFormat(modules);
+    const codewords = this.readCodewords(modules, this.functionMap(version), mask);
+
+    const ordinal = SimpleQR.ECC[ecc].ordinal;
+    const numBlocks = SimpleQR.NUM_ERROR_CORRECTION_BLOCKS[ordinal][version];
+    const ecLen = SimpleQR.ECC_CODEWORDS_PER_BLOCK[ordinal][version];
+    const shortLen = Math.floor(codewords.length / numBlocks);
+    const numLong = codewords.length % numBlocks;
+
+    // De-interleave: data codewords round-robin (long blocks carry one extra), then EC codewords
+    const dataLens = Array.from({ length: numBlocks }, (_, b) => shortLen - ecLen + (b >= numBlocks - numLong ? 1 : 0));
+    const blocks = dataLens.map(() => []);
+    let k = 0;
+    for (let i = 0; i < Math.max(...dataLens); i++) {
+      blocks.forEach((block, b) => {
+        if (i < dataLens[b]) block.push(codewords[k++]);
+      });
+    }
+    for (let i = 0; i < ecLen; i++) {
+      blocks.forEach(block => block.push(codewords[k++]));
+    }
+
+    let corrected = 0;
+    const data = [];
+    blocks.forEach((block, b) => {
+      corrected += this.correctBlock(block, ecLen);
+      data.push(...block.slice(0, dataLens[b]));
+    });
+
+    return { text: this.readByteSegments(data, version), version, ecc, mask, corrected };
+  }
+
+  /**
+   * Read format information (first copy), tolerating up to 3 bit errors
+   */
+  static readFormat(modules) {
+    // First copy, least significant bit first
+    const coords = [];
+    for (let i = 0; i <= 5; i++) coords.push([8, i]);
+    coords.push([8, 7], [8, 8], [7, 8]);
+    for (let i = 9; i < 15; i++) coords.push([14 - i, 8]);
+
+    let bits = 0;
+    coords.forEach(([x, y], i) => {
+      if (modules[y][x]) bits |= 1 << i;
+    });
+
+    let best = null;
+    for (let data = 0; data < 32; data++) {
+      let diff = this.formatCodeword(data) ^ bits;
+      let distance = 0;
+      for (; diff; diff &= diff - 1) distance++;
+      if (!best || distance < best.distance) best = { data, distance };
+    }
+    if (best.distance > 3) throw new Error('Unreadable format information');
+
+    return { ecc: this.ECC_BY_FORMAT[best.data >> 3], mask: best.data & 7 };
+  }
+
+  static formatCodeword(data) {
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >> 9) * 0x537);
+    return ((data << 10) | rem) ^ 0x5412;
+  }
+
+  /**
+   * Modules reserved for function patterns, format and version information
+   */
+  static functionMap(version) {
+    const size = version * 4 + 17;
+    const map = Array.from({ length: size }, () => Array(size).fill(false));
+    const fill = (x0, y0, w, h) => {
+      for (let y = y0; y < y0 + h; y++) for (let x = x0; x < x0 + w; x++) map[y][x] = true;
+    };
+
+    // Finders, separators and format areas
+    fill(0, 0, 9, 9);
+    fill(size - 8, 0, 8, 9);
+    fill(0, size - 8, 9, 8);
+    // Timing
+    fill(6, 0, 1, size);
+    fill(0, 6, size, 1);
+    // Alignment, except where a pattern would overlap a finder
+    const positions = this.ALIGNMENT_POSITIONS[version];
+    const overlapsFinder = (cx, cy) => (cx < 9 && cy < 9) || (cx < 9 && cy > size - 9) || (cx > size - 9 && cy < 9);
+    positions.forEach(cy => positions.forEach(cx => {
+      if (!overlapsFinder(cx, cy)) fill(cx - 2, cy - 2, 5, 5);
+    }));
+    // Version information
+    if (version >= 7) {
+      fill(size - 11, 0, 3, 6);
+      fill(0, size - 11, 6, 3);
+    }
+    return map;
+  }
+
+  static maskCondition(mask, i, j) {
+    switch (mask) {
+      case 0: return (i + j) % 2 === 0;
+      case 1: return i % 2 === 0;
+      case 2: return j % 3 === 0;
+      case 3: return (i + j) % 3 === 0;
+      case 4: return (Math.floor(i / 2) + Math.floor(j / 3)) % 2 === 0;
+      case 5: return ((i * j) % 2) + ((i * j) % 3) === 0;
+      case 6: return (((i * j) % 2) + ((i * j) % 3)) % 2 === 0;
+      default: return (((i + j) % 2) + ((i * j) % 3)) % 2 === 0;
+    }
+  }
+
+  /**
+   * Read unmasked codewords in zigzag order, skipping reserved modules
+   */
+  static readCodewords(modules, reserved, mask) {
+    const size = modules.length;
+    const bits = [];
+    let upward = true;
+    for (let right = size - 1; right > 0; right -= 2) {
+      if (right === 6) right--;
+      for (let n = 0; n < size; n++) {
+        const row = upward ? size - 1 - n : n;
+        for (const col of [right, right - 1]) {
+          if (!reserved[row][col]) bits.push(modules[row][col] !== this.maskCondition(mask, row, col) ? 1 : 0);
+        }
+      }
+      upward = !upward;
+    }
+
+    const codewords = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return codewords;
+  }
+
+  /**
+   * Parse byte-mode segments (the only mode SimpleQR emits) into UTF-8 text
+   */
+  static readByteSegments(data, version) {
+    const bits = data.flatMap(byte => [7, 6, 5, 4, 3, 2, 1, 0].map(i => (byte >> i) & 1));
+    let pos = 0;
+    const read = (count) => {
+      let value = 0;
+      for (let i = 0; i < count; i++) value = (value << 1) | bits[pos++];
+      return value;
+    };
+
+    const bytes = [];
+    while (pos + 4 <= bits.length) {
+      const mode = read(4);
+      if (mode === 0) break;
+      if (mode !== 0b0100) throw new Error(`Unsupported QR data mode ${mode}`);
+      const count = read(version <= 9 ? 8 : 16);
+      if (pos + count * 8 > bits.length) throw new Error('Truncated QR data');
+      for (let i = 0; i < count; i++) bytes.push(read(8));
+    }
+
+    return new TextDecoder().decode(Uint8Array.from(bytes));
+  }
+
+  // GF(256) arithmetic for polynomial 0x11D, tables built on first use
+  static gfTables() {
+    if (!this._gf) {
+      const exp = new Array(512);
+      const log = new Array(256);
+      for (let i = 0, x = 1; i < 255; i++) {
+        exp[i] = x;
+        log[x] = i;
+        x <<= 1;
+        if (x & 0x100) x ^= 0x11D;
+      }
+      for (let i = 255; i < 512; i++) exp[i] = exp[i - 255];
+      this._gf = { exp, log };
+    }
+    return this._gf;
+  }
+
+  /**
+   * Correct a block (data + EC codewords, highest degree first) in place
+   * @returns {number} Number of corrected codewords
+   * @throws {Error} When the block has more errors than its EC codewords can fix
+   */
+  static correctBlock(block, ecLen) {
+    const { exp, log } = this.gfTables();
+    const mul = (a, b) => (a === 0 || b === 0 ? 0 : exp[log[a] + log[b]]);
+    const div = (a, b) => (a === 0 ? 0 : exp[(log[a] + 255 - log[b]) % 255]);
+    const evalPoly = (poly, x) => poly.reduceRight((acc, coef) => mul(acc, x) ^ coef, 0); // low degree first
+
+    const n = block.length;
+    const reversed = [...block].reverse();
+    const syndromes = [];
+    for (let i = 0; i < ecLen; i++) syndromes.push(evalPoly(reversed, exp[i]));
+    if (syndromes.every(s => s === 0)) return 0;
+
+    // Berlekamp-Massey
+    let locator = [1];
+    let previous = [1];
+    let length = 0;
+    let shift = 1;
+    let lastDiscrepancy = 1;
+    for (let k = 0; k < ecLen; k++) {
+      let d = syndromes[k];
+      for (let i = 1; i <= length; i++) d ^= mul(locator[i] || 0, syndromes[k - i]);
+      if (d === 0) {
+        shift++;
+        continue;
+      }
+      const scale = div(d, lastDiscrepancy);
+      const next = locator.slice();
+      previous.forEach((coef, i) => {
+        next[i + shift] = (next[i + shift] || 0) ^ mul(scale, coef);
+      });
+      if (2 * length <= k) {
+        previous = locator;
+        length = k + 1 - length;
+        lastDiscrepancy = d;
+        shift = 1;
+      } else {
+        shift++;
+      }
+      locator = next;
+    }
+
+    // Chien search over codeword positions (degree p = n - 1 - index)
+    const errors = [];
+    for (let p = 0; p < n; p++) {
+      if (evalPoly(locator, exp[(255 - p) % 255]) === 0) errors.push(p);
+    }
+    if (errors.length !== length) throw new Error('Too many errors to correct');
+
+    // Forney: evaluator = S(x) * locator(x) mod x^ecLen
+    const evaluator = Array(ecLen).fill(0);
+    syndromes.forEach((s, i) => locator.forEach((l, j) => {
+      if (i + j < ecLen) evaluator[i + j] ^= mul(s, l);
+    }));
+    const derivative = locator.map((coef, i) => (i % 2 === 1 ? coef : 0)).slice(1);
+
+    errors.forEach(p => {
+      const xInv = exp[(255 - p) % 255];
+      block[n - 1 - p] ^= mul(exp[p], div(evalPoly(evaluator, xInv), evalPoly(derivative, xInv)));
+    });
+    return errors.length;
+  }
+}
+
+// Export for both Node.js and Browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SimpleQRReader;
+} else if (typeof window !== 'undefined') {
+  window.SimpleQRReader = SimpleQRReader;
+}
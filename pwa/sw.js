@@ -11,15 +11,36 @@ const urlsToCache = [
   '/nyla-go/css/mobile-gestures.css',
   '/nyla-go/css/nyla-assistant.css',
   '/nyla-go/js/app.js',
+  '/nyla-go/js/nyla-command-grammar.js',
+  '/nyla-go/js/nyla-token-registry.js',
+  '/nyla-go/js/nyla-chat-actions.js',
+  '/nyla-go/js/nyla-fact-guard.js',
+  '/nyla-go/js/nyla-transfer-history.js',
+  '/nyla-go/js/nyla-address-book.js',
+  '/nyla-go/js/nyla-batch-transfer.js',
+  '/nyla-go/js/nyla-payment-card.js',
+  '/nyla-go/js/nyla-payment-request.js',
+  '/nyla-go/js/nyla-qr-scanner.js',
   '/nyla-go/js/nyla-assistant-v2.js',
   '/nyla-go/js/nyla-conversation-v2.js',
   '/nyla-go/js/nyla-llm-engine.js',
+  '/nyla-go/js/nyla-llm-response-schema.js',
+  '/nyla-go/js/nyla-llm-usage.js',
+  '/nyla-go/js/nyla-llm-providers.js',
+  '/nyla-go/js/nyla-llm-failover.js',
   '/nyla-go/js/nyla-ui-v2.js',
   // nyla-knowledge-base.js removed - using structured KB from /pwa/kb
+  // Contract facts back the per-chain token dropdowns (NYLATokenRegistry)
+  '/nyla-go/kb/facts/contracts.solana.json',
+  '/nyla-go/kb/facts/contracts.ethereum.json',
+  '/nyla-go/kb/facts/contracts.algorand.json',
+  // Facts database, checked by NYLAFactGuard before answers are shown
+  '/nyla-go/data/nyla-facts-db.json',
   '/nyla-go/js/nyla-web-fetcher.js',
   '/nyla-go/js/nyla-knowledge-tracker.js',
   '/nyla-go/js/nyla-system-controller.js',
   '/nyla-go/lib/qr-simple.js',
+  '/nyla-go/lib/qr-reader.js',
   '/nyla-go/nylago-ui-data.js',
   '/nyla-go/manifest.json',
   '/nyla-go/video/NYLAGo-v2.mp4',
@@ -108,12 +129,6 @@ self.addEventListener('fetch', function(event) {
     return;
   }
   
-  // Skip external QR generation APIs
-  if (event.request.url.includes('api.qrserver.com') || 
-      event.request.url.includes('chart.googleapis.com')) {
-    return;
-  }
-  
   event.respondWith(
     caches.match(event.request)
       .then(function(response) {
@@ -1,7 +1,43 @@
-// Simple QR Code implementation using DOM manipulation
-// Creates scannable QR codes without external dependencies
+// Simple QR Code implementation
+// Self-contained QR encoder (byte mode, versions 1-40) rendering to canvas or SVG.
+// Nothing leaves the device: payment commands are never sent to a QR web service.
 
 class SimpleQR {
+  // Error correction levels with their format bits
+  static ECC = {
+    L: { ordinal: 0, formatBits: 1 },
+    M: { ordinal: 1, formatBits: 0 },
+    Q: { ordinal: 2, formatBits: 3 },
+    H: { ordinal: 3, formatBits: 2 }
+  };
+
+  // Level H recovers ~30% of the symbol, enough to hide the centre behind the NYLA logo
+  static DEFAULT_ECC = 'H';
+  static QUIET_ZONE = 4;
+  static MAX_VERSION = 40;
+
+  // Error correction codewords per block, indexed by [ecc ordinal][version]
+  static ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+  ];
+
+  // Number of error correction blocks, indexed by [ecc ordinal][version]
+  static NUM_ERROR_CORRECTION_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+  ];
+
+  /**
+   * Create a QR code element with the NYLA logo overlay
+   * @param {string} text - Text to encode (UTF-8)
+   * @param {number} size - Width and height in CSS pixels
+   * @returns {HTMLElement} Container with the QR canvas and logo
+   */
   static create(text, size = 180) {
     // Create container for QR code with logo overlay
     const container = document.createElement('div');
@@ -13,23 +49,33 @@ class SimpleQR {
       border-radius: 4px;
       overflow: hidden;
     `;
-    
-    // Use qr-server.com API with higher error correction for logo overlay
-    const encodedText = encodeURIComponent(text);
-    const qrDataURL = `https://api.qrserver.com/v1/create-qr-code/?size=${size}x${size}&ecc=H&data=${encodedText}`;
-    
-    // Create QR code image
-    const img = document.createElement('img');
-    img.src = qrDataURL;
-    img.width = size;
-    img.height = size;
-    img.alt = 'QR Code';
-    img.style.cssText = `
+
+    let canvas;
+    try {
+      canvas = this.toCanvas(text, size);
+    } catch (error) {
+      console.error('QR code generation failed:', error);
+      container.innerHTML = `
+        <div style="width: ${size}px; height: ${size}px; border: 2px dashed #ccc; display: flex; align-items: center; justify-content: center; background: #f9f9f9; border-radius: 4px;">
+          <div style="text-align: center; color: #666;">
+            <div style="font-size: 24px; margin-bottom: 10px;">📱</div>
+            <div style="font-size: 12px;">QR Code</div>
+            <div style="font-size: 12px;">Unavailable</div>
+          </div>
+        </div>
+      `;
+      return container;
+    }
+
+    canvas.setAttribute('role', 'img');
+    canvas.setAttribute('aria-label', 'QR Code');
+    canvas.style.cssText = `
       width: 100%;
       height: 100%;
       display: block;
     `;
-    
+    container.appendChild(canvas);
+
     // Create NYLA logo overlay
     const logoOverlay = document.createElement('div');
     const logoSize = Math.floor(size * 0.2); // Logo is 20% of QR size
@@ -49,7 +95,7 @@ class SimpleQR {
       justify-content: center;
       z-index: 2;
     `;
-    
+
     // Create NYLA logo image
     const logo = document.createElement('img');
     logo.src = 'https://ipfs.io/ipfs/bafkreicrqacpuzh7ssx56wmzq2hj64oqw4wmkez6gqt6vqoxtl4ajmdfhe';
@@ -60,12 +106,7 @@ class SimpleQR {
       border-radius: 4px;
       object-fit: contain;
     `;
-    
-    // Handle logo loading
-    logo.onload = function() {
-      console.log('NYLA logo loaded successfully');
-    };
-    
+
     logo.onerror = function() {
       console.log('NYLA logo failed to load, using fallback');
       // Fallback: Create simple NYLA text logo
@@ -85,160 +126,458 @@ class SimpleQR {
         ">NYLA</div>
       `;
     };
-    
-    // Add QR image error handling
-    img.onerror = function() {
-      console.error('QR image failed to load');
-      container.innerHTML = `
-        <div style="width: ${size}px; height: ${size}px; border: 2px dashed #ccc; display: flex; align-items: center; justify-content: center; background: #f9f9f9; border-radius: 4px;">
-          <div style="text-align: center; color: #666;">
-            <div style="font-size: 24px; margin-bottom: 10px;">📱</div>
-            <div style="font-size: 12px;">QR Code</div>
-            <div style="font-size: 12px;">Unavailable</div>
-          </div>
-        </div>
-      `;
-    };
-    
-    img.onload = function() {
-      console.log('QR code loaded successfully');
-      // Add logo overlay after QR loads
-      logoOverlay.appendChild(logo);
-      container.appendChild(logoOverlay);
-    };
-    
-    // Add QR image to container first
-    container.appendChild(img);
-    
+
+    logoOverlay.appendChild(logo);
+    container.appendChild(logoOverlay);
+
     return container;
   }
-  
-  // Alternative method using QR.js embedded code
-  static createLocal(text, size = 180) {
+
+  /**
+   * Render a QR code to a canvas (white background, 4-module quiet zone)
+   * @param {string} text - Text to encode
+   * @param {number} size - Canvas width and height in pixels
+   * @param {Object} options - { ecc }
+   * @returns {HTMLCanvasElement} Canvas with the QR code
+   */
+  static toCanvas(text, size = 180, options = {}) {
+    const qr = this.encode(text, options);
+    const total = qr.size + this.QUIET_ZONE * 2;
+    const scale = size / total;
+
     const canvas = document.createElement('canvas');
     canvas.width = size;
     canvas.height = size;
     const ctx = canvas.getContext('2d');
-    
-    // Fill with white background
+
     ctx.fillStyle = 'white';
     ctx.fillRect(0, 0, size, size);
-    
-    // Create a simple data matrix based on text
-    const moduleSize = Math.floor(size / 21); // 21x21 for Version 1
-    const modules = this.generateModules(text, 21);
-    
     ctx.fillStyle = 'black';
-    for (let row = 0; row < 21; row++) {
-      for (let col = 0; col < 21; col++) {
-        if (modules[row] && modules[row][col]) {
-          ctx.fillRect(col * moduleSize, row * moduleSize, moduleSize, moduleSize);
+
+    // Snap module edges to whole pixels so neighbouring modules leave no seams
+    const edge = i => Math.round((i + this.QUIET_ZONE) * scale);
+    for (let y = 0; y < qr.size; y++) {
+      for (let x = 0; x < qr.size; x++) {
+        if (qr.modules[y][x]) {
+          ctx.fillRect(edge(x), edge(y), edge(x + 1) - edge(x), edge(y + 1) - edge(y));
         }
       }
     }
-    
+
     return canvas;
   }
-  
-  static generateModules(text, size) {
-    // This is still a simplified version, but more structured
-    const modules = Array(size).fill().map(() => Array(size).fill(false));
-    
-    // Add finder patterns (3 corners)
-    this.addPattern(modules, 0, 0, this.finderPattern);
-    this.addPattern(modules, 0, size - 7, this.finderPattern);
-    this.addPattern(modules, size - 7, 0, this.finderPattern);
-    
-    // Add separators around finder patterns
-    this.addSeparators(modules, size);
-    
-    // Add timing patterns
-    for (let i = 8; i < size - 8; i++) {
-      modules[6][i] = (i % 2) === 0;
-      modules[i][6] = (i % 2) === 0;
-    }
-    
-    // Add dark module
-    modules[4 * 5 + 9][8] = true;
-    
-    // Fill data area with pattern based on text
-    this.fillDataArea(modules, text, size);
-    
-    return modules;
-  }
-  
-  static finderPattern = [
-    [true, true, true, true, true, true, true],
-    [true, false, false, false, false, false, true],
-    [true, false, true, true, true, false, true],
-    [true, false, true, true, true, false, true],
-    [true, false, true, true, true, false, true],
-    [true, false, false, false, false, false, true],
-    [true, true, true, true, true, true, true]
-  ];
-  
-  static addPattern(modules, startRow, startCol, pattern) {
-    pattern.forEach((row, r) => {
-      row.forEach((cell, c) => {
-        if (startRow + r < modules.length && startCol + c < modules[0].length) {
-          modules[startRow + r][startCol + c] = cell;
+
+  /**
+   * Render a QR code as SVG markup
+   * @param {string} text - Text to encode
+   * @param {number} size - Width and height of the SVG
+   * @param {Object} options - { ecc }
+   * @returns {string} SVG document
+   */
+  static toSVG(text, size = 180, options = {}) {
+    const qr = this.encode(text, options);
+    const total = qr.size + this.QUIET_ZONE * 2;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${total} ${total}" shape-rendering="crispEdges">` +
+      `<rect width="${total}" height="${total}" fill="#ffffff"/>` +
+      `<path d="${this.toSVGPath(qr)}" fill="#000000"/></svg>`;
+  }
+
+  /**
+   * SVG path data for the dark modules, one unit per module, offset by the quiet zone
+   * @param {Object} qr - Result of encode()
+   * @returns {string} Path data
+   */
+  static toSVGPath(qr) {
+    const path = [];
+    for (let y = 0; y < qr.size; y++) {
+      for (let x = 0; x < qr.size; x++) {
+        if (qr.modules[y][x]) {
+          path.push(`M${x + this.QUIET_ZONE},${y + this.QUIET_ZONE}h1v1h-1z`);
+        }
+      }
+    }
+    return path.join('');
+  }
+
+  /**
+   * Encode text as a QR code matrix using byte mode and the smallest version that fits
+   * @param {string} text - Text to encode (UTF-8)
+   * @param {Object} options - { ecc: 'L' | 'M' | 'Q' | 'H' }
+   * @returns {Object} { version, ecc, mask, size, modules } where modules[y][x] is true for dark
+   */
+  static encode(text, options = {}) {
+    const eccName = options.ecc || this.DEFAULT_ECC;
+    const ecc = this.ECC[eccName];
+    if (!ecc) {
+      throw new Error(`Unknown error correction level "${eccName}"`);
+    }
+
+    const bytes = Array.from(new TextEncoder().encode(String(text)));
+
+    // Pick the smallest version with room for mode, length and data
+    let version = 1;
+    for (; version <= this.MAX_VERSION; version++) {
+      const needed = 4 + this.characterCountBits(version) + bytes.length * 8;
+      if (needed <= this.getNumDataCodewords(version, ecc) * 8) break;
+    }
+    if (version > this.MAX_VERSION) {
+      throw new Error(`Text too long for a QR code (${bytes.length} bytes)`);
+    }
+
+    const data = this.buildDataCodewords(bytes, version, ecc);
+    const codewords = this.addErrorCorrection(data, version, ecc);
+
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => Array(size).fill(false));
+
+    this.drawFunctionPatterns(modules, isFunction, version);
+    this.drawCodewords(modules, isFunction, codewords);
+
+    // Apply every mask and keep the one with the lowest penalty
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+      this.applyMask(modules, isFunction, mask);
+      this.drawFormatBits(modules, isFunction, ecc, mask);
+      const penalty = this.getPenaltyScore(modules);
+      if (penalty < bestPenalty) {
+        bestMask = mask;
+        bestPenalty = penalty;
+      }
+      this.applyMask(modules, isFunction, mask); // XOR again to undo
+    }
+    this.applyMask(modules, isFunction, bestMask);
+    this.drawFormatBits(modules, isFunction, ecc, bestMask);
+
+    return { version, ecc: eccName, mask: bestMask, size, modules };
+  }
+
+  static characterCountBits(version) {
+    return version <= 9 ? 8 : 16;
+  }
+
+  /**
+   * Number of data modules available after function patterns, including remainder bits
+   */
+  static getNumRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const numAlign = Math.floor(version / 7) + 2;
+      result -= (25 * numAlign - 10) * numAlign - 55;
+      if (version >= 7) result -= 36;
+    }
+    return result;
+  }
+
+  static getNumDataCodewords(version, ecc) {
+    return Math.floor(this.getNumRawDataModules(version) / 8) -
+      this.ECC_CODEWORDS_PER_BLOCK[ecc.ordinal][version] * this.NUM_ERROR_CORRECTION_BLOCKS[ecc.ordinal][version];
+  }
+
+  /**
+   * Centre coordinates of the alignment patterns for a version
+   */
+  static getAlignmentPatternPositions(version) {
+    if (version === 1) return [];
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+    const result = [6];
+    for (let pos = version * 4 + 10; result.length < numAlign; pos -= step) {
+      result.splice(1, 0, pos);
+    }
+    return result;
+  }
+
+  static buildDataCodewords(bytes, version, ecc) {
+    const bits = [];
+    const append = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    append(0b0100, 4); // Byte mode
+    append(bytes.length, this.characterCountBits(version));
+    bytes.forEach(b => append(b, 8));
+
+    // Terminator, then pad to a whole byte
+    const capacityBits = this.getNumDataCodewords(version, ecc) * 8;
+    append(0, Math.min(4, capacityBits - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+
+    // Alternate pad bytes until the capacity is filled
+    for (let pad = 0xEC; codewords.length < capacityBits / 8; pad ^= 0xEC ^ 0x11) {
+      codewords.push(pad);
+    }
+    return codewords;
+  }
+
+  /**
+   * Split data into blocks, append Reed-Solomon codewords and interleave
+   */
+  static addErrorCorrection(data, version, ecc) {
+    const numBlocks = this.NUM_ERROR_CORRECTION_BLOCKS[ecc.ordinal][version];
+    const blockEccLen = this.ECC_CODEWORDS_PER_BLOCK[ecc.ordinal][version];
+    const rawCodewords = Math.floor(this.getNumRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+    const divisor = this.reedSolomonComputeDivisor(blockEccLen);
+
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+      const dataLen = shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1);
+      const block = data.slice(k, k + dataLen);
+      k += dataLen;
+      const eccCodewords = this.reedSolomonComputeRemainder(block, divisor);
+      if (i < numShortBlocks) block.push(0); // Placeholder so all blocks line up
+      blocks.push(block.concat(eccCodewords));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        // Skip the placeholder byte of short blocks
+        if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) {
+          result.push(block[i]);
         }
       });
+    }
+    return result;
+  }
+
+  static reedSolomonComputeDivisor(degree) {
+    const result = Array(degree).fill(0);
+    result[degree - 1] = 1;
+
+    // Product of (x - 2^i) for i = 0..degree-1, leading term omitted
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < result.length; j++) {
+        result[j] = this.gfMultiply(result[j], root);
+        if (j + 1 < result.length) result[j] ^= result[j + 1];
+      }
+      root = this.gfMultiply(root, 0x02);
+    }
+    return result;
+  }
+
+  static reedSolomonComputeRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    data.forEach(b => {
+      const factor = b ^ result.shift();
+      result.push(0);
+      divisor.forEach((coef, i) => {
+        result[i] ^= this.gfMultiply(coef, factor);
+      });
     });
+    return result;
   }
-  
-  static addSeparators(modules, size) {
-    // Add white separators around finder patterns
-    // Top-left
-    for (let i = 0; i < 8; i++) {
-      modules[7][i] = false;
-      modules[i][7] = false;
-    }
-    // Top-right
-    for (let i = 0; i < 8; i++) {
-      modules[7][size - 8 + i] = false;
-      modules[i][size - 8] = false;
-    }
-    // Bottom-left
-    for (let i = 0; i < 8; i++) {
-      modules[size - 8][i] = false;
-      modules[size - 8 + i][7] = false;
-    }
-  }
-  
-  static fillDataArea(modules, text, size) {
-    // Simple data filling based on text hash
-    let hash = 0;
-    for (let i = 0; i < text.length; i++) {
-      hash = ((hash << 5) - hash + text.charCodeAt(i)) & 0xffffffff;
-    }
-    
-    let bitIndex = 0;
-    for (let row = 0; row < size; row++) {
-      for (let col = 0; col < size; col++) {
-        if (!this.isReserved(row, col, size)) {
-          modules[row][col] = ((hash >> (bitIndex % 32)) & 1) === 1;
-          bitIndex++;
+
+  // Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+  static gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11D);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  static drawFunctionPatterns(modules, isFunction, version) {
+    const size = modules.length;
+    const set = (x, y, dark) => {
+      modules[y][x] = dark;
+      isFunction[y][x] = true;
+    };
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+      set(6, i, i % 2 === 0);
+      set(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x >= 0 && x < size && y >= 0 && y < size) {
+            const dist = Math.max(Math.abs(dx), Math.abs(dy));
+            set(x, y, dist !== 2 && dist !== 4);
+          }
+        }
+      }
+    });
+
+    // Alignment patterns, skipping the three that would overlap finders
+    const positions = this.getAlignmentPatternPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((cy, i) => {
+      positions.forEach((cx, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    // Reserve format areas (drawn after masking)
+    this.drawFormatBits(modules, isFunction, this.ECC.L, 0);
+
+    // Version information (versions 7+)
+    if (version >= 7) {
+      let rem = version;
+      for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+      const bits = (version << 12) | rem;
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1;
+        const a = size - 11 + i % 3;
+        const b = Math.floor(i / 3);
+        set(a, b, dark);
+        set(b, a, dark);
+      }
+    }
+  }
+
+  static drawFormatBits(modules, isFunction, ecc, mask) {
+    const size = modules.length;
+    const data = (ecc.formatBits << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) === 1;
+    const set = (x, y, dark) => {
+      modules[y][x] = dark;
+      isFunction[y][x] = true;
+    };
+
+    // First copy, around the top-left finder
+    for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+    set(8, 7, bit(6));
+    set(8, 8, bit(7));
+    set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+    // Second copy, split between the other two finders
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+    set(8, size - 8, true); // Always dark
+  }
+
+  /**
+   * Place codeword bits in the zigzag column pairs, right to left
+   */
+  static drawCodewords(modules, isFunction, codewords) {
+    const size = modules.length;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5; // Skip the vertical timing pattern
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!isFunction[y][x] && i < codewords.length * 8) {
+            modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+            i++;
+          }
+          // Remainder bits stay light
         }
       }
     }
   }
-  
-  static isReserved(row, col, size) {
-    // Finder patterns and separators
-    if ((row < 9 && col < 9) || 
-        (row < 9 && col >= size - 8) || 
-        (row >= size - 8 && col < 9)) {
-      return true;
+
+  static maskCondition(mask, x, y) {
+    switch (mask) {
+      case 0: return (x + y) % 2 === 0;
+      case 1: return y % 2 === 0;
+      case 2: return x % 3 === 0;
+      case 3: return (x + y) % 3 === 0;
+      case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+      case 5: return (x * y) % 2 + (x * y) % 3 === 0;
+      case 6: return ((x * y) % 2 + (x * y) % 3) % 2 === 0;
+      case 7: return ((x + y) % 2 + (x * y) % 3) % 2 === 0;
+      default: throw new Error(`Invalid mask ${mask}`);
     }
-    
-    // Timing patterns
-    if (row === 6 || col === 6) {
-      return true;
+  }
+
+  static applyMask(modules, isFunction, mask) {
+    const size = modules.length;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!isFunction[y][x] && this.maskCondition(mask, x, y)) {
+          modules[y][x] = !modules[y][x];
+        }
+      }
     }
-    
-    return false;
+  }
+
+  /**
+   * Penalty score from the four mask evaluation rules of ISO/IEC 18004
+   */
+  static getPenaltyScore(modules) {
+    const size = modules.length;
+    const finderLike = ['10111010000', '00001011101'];
+    let penalty = 0;
+    let dark = 0;
+
+    const scoreLine = (line) => {
+      // Rule 1: runs of five or more same-coloured modules
+      let run = 1;
+      for (let i = 1; i <= line.length; i++) {
+        if (i < line.length && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) penalty += 3 + (run - 5);
+          run = 1;
+        }
+      }
+
+      // Rule 3: finder-like patterns
+      const text = line.map(m => (m ? '1' : '0')).join('');
+      finderLike.forEach(pattern => {
+        for (let i = text.indexOf(pattern); i !== -1; i = text.indexOf(pattern, i + 1)) {
+          penalty += 40;
+        }
+      });
+    };
+
+    for (let y = 0; y < size; y++) {
+      scoreLine(modules[y]);
+      scoreLine(modules.map(row => row[y]));
+
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+
+        // Rule 2: 2x2 blocks of one colour
+        if (x < size - 1 && y < size - 1) {
+          const c = modules[y][x];
+          if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) {
+            penalty += 3;
+          }
+        }
+      }
+    }
+
+    // Rule 4: balance of dark and light modules
+    const total = size * size;
+    penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+    return penalty;
   }
 }
 
-window.SimpleQR = SimpleQR;
\ No newline at end of file
+// Export for both Node.js and Browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SimpleQR;
+} else if (typeof window !== 'undefined') {
+  window.SimpleQR = SimpleQR;
+}
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark the HNSW vector index against brute-force search
+ * Reports recall@k and search time on the shipped KB embeddings, and on a larger KB made of
+ * perturbed copies of them to show how both scale.
+ *
+ * Usage:
+ *   node scripts/benchmark-vector-index.js [--size 2000] [--k 10] [--ef 64]
+ *   npm run rag:benchmark-index
+ */
+
+const fs = require('fs');
+const path = require('path');
+const NYLAHNSWIndex = require('../pwa/js/rag/nyla-hnsw-index.js');
+
+function readOption(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? Number(process.argv[index + 1]) : fallback;
+}
+
+// Seeded noise, so runs are comparable
+let seed = 7;
+function random() {
+  seed = (seed * 48271) % 2147483647;
+  return seed / 2147483647;
+}
+
+function perturb(vector, amount) {
+  return vector.map(value => value + (random() - 0.5) * amount);
+}
+
+function run(label, vectors, queries, k, ef) {
+  const startTime = Date.now();
+  const index = new NYLAHNSWIndex(vectors[0].length);
+  vectors.forEach((vector, i) => index.add(vector, `v${i}`));
+  const buildMs = Date.now() - startTime;
+
+  const result = index.benchmark(queries, k, { ef });
+  console.log(`\n${label}`);
+  console.log(`  Vectors:        ${index.size()} × ${index.dimension}`);
+  console.log(`  Build:          ${buildMs}ms`);
+  console.log(`  Recall@${k}:      ${(result.recall * 100).toFixed(1)}%`);
+  console.log(`  HNSW search:    ${(result.approximateMs / result.queries).toFixed(2)}ms per query`);
+  console.log(`  Brute force:    ${(result.exactMs / result.queries).toFixed(2)}ms per query`);
+}
+
+function main() {
+  const size = readOption('size', 2000);
+  const k = readOption('k', 10);
+  const ef = readOption('ef', NYLAHNSWIndex.DEFAULTS.efSearch);
+
+  const vectorDBPath = path.join(process.cwd(), 'pwa/data/nyla-vector-db.json');
+  if (!fs.existsSync(vectorDBPath)) {
+    throw new Error('Vector database not found. Run "npm run build:embeddings" first.');
+  }
+  const embeddings = JSON.parse(fs.readFileSync(vectorDBPath, 'utf-8')).embeddings.map(e => e.embedding);
+
+  console.log('📊 HNSW vs brute-force benchmark');
+  console.log('='.repeat(50));
+
+  const queries = embeddings.map(vector => perturb(vector, 0.02));
+  run('Shipped KB', embeddings, queries, k, ef);
+
+  const scaled = Array.from({ length: size }, (_, i) => perturb(embeddings[i % embeddings.length], 0.05));
+  run(`Scaled KB (${size} perturbed copies)`, scaled, queries.slice(0, 100), k, ef);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('❌ Benchmark failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Retrieval-quality regression check of quantised embeddings
+ * Quantises the float embeddings of pwa/data/nyla-vector-db.json with each method and compares the top-k
+ * neighbours of perturbed chunk vectors against the float baseline (NYLAVectorQuantizer.check()).
+ * Exits with 1 when a method falls below its minimum recall or is not smaller than float32. Methods that
+ * cannot quantise this KB (PQ with no more chunks than centroids) are skipped.
+ *
+ * Usage:
+ *   node scripts/check-quantization.js [--k 10]
+ *   npm run rag:check-quantization
+ */
+
+const fs = require('fs');
+const path = require('path');
+const NYLAVectorQuantizer = require('../pwa/js/rag/nyla-vector-quantizer.js');
+
+function main() {
+  const kIndex = process.argv.indexOf('--k');
+  const k = kIndex !== -1 ? Number(process.argv[kIndex + 1]) : 10;
+
+  const vectorDBPath = path.join(process.cwd(), 'pwa/data/nyla-vector-db.json');
+  if (!fs.existsSync(vectorDBPath)) {
+    throw new Error('Vector database not found. Run "npm run build:embeddings" first.');
+  }
+  const vectorData = JSON.parse(fs.readFileSync(vectorDBPath, 'utf-8'));
+  const embeddings = (vectorData.embeddings || []).filter(e => Array.isArray(e.embedding));
+  if (embeddings.length === 0) {
+    throw new Error('nyla-vector-db.json has no float embeddings to compare against (was it built with --quantize?)');
+  }
+
+  const floatBytes = embeddings.length * embeddings[0].embedding.length * 4;
+  const jsonBytes = JSON.stringify(embeddings.map(e => e.embedding)).length;
+  console.log('📏 Quantisation retrieval check');
+  console.log('='.repeat(50));
+  console.log(`Float baseline: ${embeddings.length} × ${embeddings[0].embedding.length}, ${jsonBytes} bytes as JSON, ${floatBytes} as float32`);
+
+  let failed = false;
+  for (const method of NYLAVectorQuantizer.METHODS) {
+    let check;
+    try {
+      check = NYLAVectorQuantizer.check(embeddings, { method, k });
+    } catch (error) {
+      console.log(`\n⏭️ ${method} skipped: ${error.message}`);
+      continue;
+    }
+    const passed = check.errors.length === 0;
+    failed = failed || !passed;
+
+    console.log(`\n${passed ? '✅' : '❌'} ${method}`);
+    console.log(`  Size:              ${check.bytes.length} bytes (${(floatBytes / check.bytes.length).toFixed(1)}x smaller than float32, ${(jsonBytes / check.bytes.length).toFixed(1)}x than JSON)`);
+    console.log(`  Recall@${k}:         ${(check.recall * 100).toFixed(1)}% (minimum ${NYLAVectorQuantizer.MIN_RECALL[method] * 100}%)`);
+    console.log(`  Similarity error:  ${check.meanSimilarityError.toFixed(5)}`);
+    check.errors.forEach(error => console.log(`  ❌ ${error}`));
+  }
+
+  process.exit(failed ? 1 : 0);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('❌ Quantisation check failed:', error.message);
+  process.exit(1);
+}
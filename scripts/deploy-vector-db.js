@@ -2,52 +2,56 @@
 /**
  * Deploy Vector DB Script
  * Builds embeddings and creates production distribution files
+ *
+ * Usage:
+ *   node scripts/deploy-vector-db.js [--skip-build --previous <index.json>] [--output <dir>]
+ *
+ * Besides the full index, every deployment publishes a delta patch from the previously published
+ * index (deltas/<from>-<to>.json.gz: added and changed chunks with their vectors, removed ids), listed
+ * in nyla-knowledge-version.json so clients can apply a chain of deltas instead of the full download.
+ * Versions are NYLAChunkDiff.version() of the chunks.
+ * --skip-build publishes the index already in the output directory, diffed against --previous.
  */
 
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 const zlib = require('zlib');
+const NYLAChunkDiff = require('../pwa/js/rag/nyla-chunk-diff.js');
 
 class VectorDBDeployer {
-  constructor() {
+  /**
+   * @param {Object} options - { outputDir, maxDeltas: delta patches kept in the version file }
+   */
+  constructor(options = {}) {
     this.projectRoot = path.resolve(__dirname, '..');
-    this.outputDir = path.join(this.projectRoot, 'pwa');
+    this.outputDir = options.outputDir || path.join(this.projectRoot, 'pwa');
     this.buildScript = path.join(this.projectRoot, 'pwa/js/rag/build-embeddings.js');
+    this.deltaDir = 'deltas';
+    this.maxDeltas = options.maxDeltas || 10;
   }
 
   /**
    * Main deployment process
+   * @param {Object} options - { skipBuild, previousIndexPath }
    */
-  async deploy() {
+  async deploy(options = {}) {
     console.log('🚀 NYLA Vector DB Deployment');
     console.log('=============================');
     
     try {
-      // Step 1: Generate embeddings
-      console.log('\n1. Generating embeddings...');
-      await this.generateEmbeddings();
-      
-      // Step 2: Create version metadata
-      console.log('\n2. Creating version metadata...');
-      const versionInfo = await this.createVersionMetadata();
-      
-      // Step 3: Create distribution files
-      console.log('\n3. Creating distribution files...');
-      await this.createDistributionFiles(versionInfo);
-      
-      // Step 4: Generate deployment manifest
-      console.log('\n4. Generating deployment manifest...');
-      const manifest = await this.generateDeploymentManifest(versionInfo);
+      // The published index is overwritten by the build, deltas are made against it
+      const previousIndex = await this.loadIndex(options.previousIndexPath || path.join(this.outputDir, 'nyla-knowledge-index.json'));
       
-      console.log('\n✅ Vector DB deployment completed successfully!');
-      console.log('\n📊 Deployment Summary:');
-      console.log(`   Version: ${versionInfo.version}`);
-      console.log(`   Hash: ${versionInfo.hash.substring(0, 16)}...`);
-      console.log(`   Chunks: ${versionInfo.chunkCount}`);
-      console.log(`   Files created: ${manifest.files.length}`);
+      // Step 1: Generate embeddings
+      if (options.skipBuild) {
+        console.log('\n1. Skipping embedding generation, publishing the existing index');
+      } else {
+        console.log('\n1. Generating embeddings...');
+        await this.generateEmbeddings();
+      }
       
-      return manifest;
+      return await this.publish(previousIndex);
       
     } catch (error) {
       console.error('\n❌ Deployment failed:', error);
@@ -55,6 +59,38 @@ class VectorDBDeployer {
     }
   }
 
+  /**
+   * Publish the generated index: delta patch, version metadata, distribution files and manifest
+   * @param {Object} previousIndex - Previously published index, null on the first deployment
+   */
+  async publish(previousIndex = null) {
+    // Step 2: Create delta patch from the previous index
+    console.log('\n2. Creating delta patch...');
+    const deltas = await this.createDeltaPatch(previousIndex);
+    
+    // Step 3: Create version metadata
+    console.log('\n3. Creating version metadata...');
+    const versionInfo = await this.createVersionMetadata(deltas);
+    
+    // Step 4: Create distribution files
+    console.log('\n4. Creating distribution files...');
+    await this.createDistributionFiles(versionInfo);
+    
+    // Step 5: Generate deployment manifest
+    console.log('\n5. Generating deployment manifest...');
+    const manifest = await this.generateDeploymentManifest(versionInfo);
+    
+    console.log('\n✅ Vector DB deployment completed successfully!');
+    console.log('\n📊 Deployment Summary:');
+    console.log(`   Version: ${versionInfo.version}`);
+    console.log(`   Hash: ${versionInfo.hash.substring(0, 16)}...`);
+    console.log(`   Chunks: ${versionInfo.chunkCount}`);
+    console.log(`   Deltas: ${versionInfo.deltas.length}`);
+    console.log(`   Files created: ${manifest.distribution.files.length}`);
+    
+    return manifest;
+  }
+
   /**
    * Generate embeddings using build script
    */
@@ -92,10 +128,83 @@ class VectorDBDeployer {
     }
   }
 
+  /**
+   * Read a published index, null when there is none
+   */
+  async loadIndex(indexPath) {
+    try {
+      const index = JSON.parse(await fs.readFile(indexPath, 'utf-8'));
+      return Array.isArray(index.chunks) ? index : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Write the delta patch from the previous index to the current one and list it with the kept deltas
+   * Deltas dropped from the list are deleted, so the version file and the delta files stay in step.
+   * @param {Object} previousIndex - Previously published index, optional
+   * @returns {Array} Delta entries for the version file, oldest first
+   */
+  async createDeltaPatch(previousIndex) {
+    const index = await this.loadIndex(path.join(this.outputDir, 'nyla-knowledge-index.json'));
+    if (!index) {
+      throw new Error('nyla-knowledge-index.json is missing or has no chunks');
+    }
+    
+    let deltas = [];
+    try {
+      deltas = JSON.parse(await fs.readFile(path.join(this.outputDir, 'nyla-knowledge-version.json'), 'utf-8')).deltas || [];
+    } catch {
+      // First deployment
+    }
+    
+    const to = NYLAChunkDiff.version(index.chunks);
+    const from = previousIndex ? NYLAChunkDiff.version(previousIndex.chunks) : null;
+    if (!from || from === to) {
+      console.log(from ? '⏭️ Chunks unchanged, no delta patch' : '⏭️ No previous index, no delta patch');
+      return deltas;
+    }
+    
+    const diff = NYLAChunkDiff.diff(previousIndex.chunks, index.chunks);
+    const delta = {
+      format: 1,
+      from,
+      to,
+      created_at: new Date().toISOString(),
+      chunks: [...diff.added, ...diff.modified.map(change => change.chunk)],
+      removed: [
+        ...diff.removed.map(chunk => chunk.id),
+        ...diff.modified.filter(change => change.previous.id !== change.chunk.id).map(change => change.previous.id)
+      ]
+    };
+    const content = zlib.gzipSync(JSON.stringify(delta));
+    const file = `${this.deltaDir}/${from}-${to}.json.gz`;
+    await fs.mkdir(path.join(this.outputDir, this.deltaDir), { recursive: true });
+    await fs.writeFile(path.join(this.outputDir, file), content);
+    
+    deltas = [...deltas.filter(entry => entry.from !== from), {
+      from,
+      to,
+      file,
+      size: content.length,
+      sha256: crypto.createHash('sha256').update(content).digest('hex'),
+      counts: { added: diff.added.length, modified: diff.modified.length, removed: diff.removed.length }
+    }];
+    for (const dropped of deltas.slice(0, Math.max(0, deltas.length - this.maxDeltas))) {
+      await fs.rm(path.join(this.outputDir, dropped.file), { force: true });
+    }
+    deltas = deltas.slice(-this.maxDeltas);
+    
+    console.log(`📋 ${file}: ${this.formatBytes(content.length)} (${diff.added.length} added, ${diff.modified.length} modified, ${diff.removed.length} removed)`);
+    return deltas;
+  }
+
   /**
    * Create version metadata file
+   * @param {Array} deltas - Delta entries (createDeltaPatch)
    */
-  async createVersionMetadata() {
+  async createVersionMetadata(deltas = []) {
     try {
       const indexFile = path.join(this.outputDir, 'nyla-knowledge-index.json');
       const indexContent = await fs.readFile(indexFile, 'utf-8');
@@ -112,6 +221,7 @@ class VectorDBDeployer {
       const versionInfo = {
         version: indexData.version || '1.0.0',
         hash,
+        kbVersion: NYLAChunkDiff.version(indexData.chunks || []),
         buildTime: new Date().toISOString(),
         chunkCount: indexData.chunks?.length || 0,
         embeddingModel: indexData.model?.name || 'multilingual-e5-base',
@@ -129,6 +239,7 @@ class VectorDBDeployer {
             compressionRatio: Math.round((1 - compressedStats.size / indexStats.size) * 100)
           }
         },
+        deltas,
         deployment: {
           timestamp: new Date().toISOString(),
           environment: process.env.NODE_ENV || 'production',
@@ -202,6 +313,7 @@ class VectorDBDeployer {
         deployedAt: new Date().toISOString(),
         content: {
           hash: versionInfo.hash,
+          kbVersion: versionInfo.kbVersion,
           chunkCount: versionInfo.chunkCount,
           embeddingModel: versionInfo.embeddingModel
         },
@@ -222,7 +334,12 @@ class VectorDBDeployer {
               name: 'compressed',
               url: 'nyla-knowledge-index.json.gz',
               description: 'Compressed vector database index (recommended)'
-            }
+            },
+            ...versionInfo.deltas.map(delta => ({
+              name: 'delta',
+              url: delta.file,
+              description: `Delta patch from ${delta.from} to ${delta.to}`
+            }))
           ]
         },
         updateInstructions: {
@@ -279,8 +396,15 @@ class VectorDBDeployer {
 
 // Run deployment if called directly
 if (require.main === module) {
-  const deployer = new VectorDBDeployer();
-  deployer.deploy().then(() => {
+  const argValue = name => {
+    const index = process.argv.indexOf(name);
+    return index !== -1 ? process.argv[index + 1] : null;
+  };
+  const deployer = new VectorDBDeployer({ outputDir: argValue('--output') ? path.resolve(argValue('--output')) : undefined });
+  deployer.deploy({
+    skipBuild: process.argv.includes('--skip-build'),
+    previousIndexPath: argValue('--previous') ? path.resolve(argValue('--previous')) : null
+  }).then(() => {
     console.log('\n🎉 Deployment completed successfully!');
     process.exit(0);
   }).catch(error => {
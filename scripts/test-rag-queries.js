@@ -2,6 +2,10 @@
 
 /**
  * Test RAG queries to verify semantic matching improvements
+ *
+ * Usage:
+ *   node scripts/test-rag-queries.js [--filter "chain:solana -type:marketing"]
+ *   npm run rag:test
  */
 
 const fs = require('fs');
@@ -9,6 +13,7 @@ const path = require('path');
 
 // Import environment and embedding utilities
 const { NYLAUtils, NYLAEmbeddingEnvironment } = require('../pwa/js/rag/nyla-environment');
+const NYLAMetadataIndex = require('../pwa/js/rag/nyla-metadata-index.js');
 
 async function testRAGQueries() {
   console.log('🧪 Testing RAG Semantic Matching');
@@ -30,6 +35,14 @@ async function testRAGQueries() {
     const vectorData = JSON.parse(fs.readFileSync(vectorDBPath, 'utf-8'));
     console.log(`📊 Loaded vector DB: ${vectorData.chunks.length} chunks, ${vectorData.embeddings.length} embeddings`);
 
+    // Optional metadata filter, restricting the chunks compared to each query
+    const filterIndex = process.argv.indexOf('--filter');
+    const filter = filterIndex !== -1 ? NYLAMetadataIndex.parse(process.argv[filterIndex + 1]) : null;
+    if (filter) {
+      const matching = vectorData.chunks.filter(chunk => NYLAMetadataIndex.matches(chunk.metadata, filter)).length;
+      console.log(`🔎 Filter ${JSON.stringify(filter)}: ${matching} chunks`);
+    }
+
     // Test queries that should have high confidence now
     const testQueries = [
       'How do I send tokens?',
@@ -58,11 +71,12 @@ async function testRAGQueries() {
         
         return {
           similarity,
+          matches: !filter || NYLAMetadataIndex.matches(chunk.metadata, filter),
           title: chunk.metadata?.title || chunk.title || 'Untitled',
           content: (chunk.text || chunk.body || '').substring(0, 100) + '...',
           category: chunk.metadata?.category || chunk.category || 'unknown'
         };
-      }).sort((a, b) => b.similarity - a.similarity);
+      }).filter(match => match.matches).sort((a, b) => b.similarity - a.similarity);
 
       // Show top 3 matches
       const topMatches = similarities.slice(0, 3);
@@ -74,6 +88,11 @@ async function testRAGQueries() {
         }
       });
 
+      if (topMatches.length === 0) {
+        console.log('     ⚠️ No chunks match the filter');
+        continue;
+      }
+
       // Check if confidence meets threshold
       const maxConfidence = topMatches[0].similarity;
       const meetsThreshold = maxConfidence >= 0.5; // minScore threshold
@@ -0,0 +1,112 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+// The address book uses the command grammar as a browser global
+global.NYLACommandGrammar = require('../../pwa/js/nyla-command-grammar.js');
+const NYLAAddressBook = require('../../pwa/js/nyla-address-book.js');
+
+/**
+ * Unit tests for the recipient address book (no browser required)
+ */
+test.describe('NYLA Address Book', () => {
+  const start = Date.UTC(2025, 0, 31, 12, 0, 0);
+
+  function createBook() {
+    const book = new NYLAAddressBook();
+    book.recordUse({ recipient: 'alice', chain: 'Solana', token: 'NYLA', timestamp: start });
+    book.recordUse({ recipient: '@AliceBot', chain: 'Ethereum', token: 'USDC', timestamp: start + 1 });
+    book.recordUse({ recipient: '@bob_99', chain: 'algorand', token: 'ALGO', timestamp: start + 2 });
+    book.save({ handle: 'carol', nickname: 'Malice' });
+    return book;
+  }
+
+  test('should normalise stored contacts and drop invalid handles', () => {
+    const book = new NYLAAddressBook([
+      { handle: 'alice', nickname: ' Alice ', chain: 'ethereum', token: '$USDC', lastUsed: start },
+      { handle: '@ALICE', nickname: '', lastUsed: start - 1 },
+      { handle: 'not a handle' },
+      { handle: '@this_handle_is_too_long' },
+      'bob',
+      null
+    ]);
+    expect(book.toJSON()).toEqual([
+      { handle: '@alice', nickname: 'Alice', chain: 'Ethereum', token: 'USDC', lastUsed: start }
+    ]);
+    expect(new NYLAAddressBook(/** @type {any} */ ('oops')).toJSON()).toEqual([]);
+  });
+
+  test('should keep the preferences of the latest transfer', () => {
+    const book = new NYLAAddressBook();
+    expect(book.recordUse({ recipient: 'alice', chain: 'Solana', token: 'NYLA', timestamp: start + 10 })).toBe(true);
+    // Older uses (e.g. history read again) do not overwrite newer preferences
+    expect(book.recordUse({ recipient: '@Alice', chain: 'Ethereum', token: 'ETH', timestamp: start })).toBe(false);
+    expect(book.find('ALICE')).toMatchObject({ handle: '@alice', chain: 'Solana', token: 'NYLA', lastUsed: start + 10 });
+
+    book.recordUse({ recipient: 'alice', chain: 'Ethereum', token: 'USDT', timestamp: start + 20 });
+    expect(book.find('alice')).toMatchObject({ chain: 'Ethereum', token: 'USDT', lastUsed: start + 20 });
+    expect(book.recordUse({ recipient: 'a b', chain: 'Solana', token: 'SOL' })).toBe(false);
+  });
+
+  test('should add detected reply recipients without changing existing contacts', () => {
+    const book = createBook();
+    expect(book.addDetected('@dave')).toBe(true);
+    expect(book.find('dave')).toEqual({ handle: '@dave', nickname: '', chain: null, token: null, lastUsed: null });
+    expect(book.addDetected('@ALICE')).toBe(false);
+    expect(book.find('alice')).toMatchObject({ chain: 'Solana', lastUsed: start });
+    expect(book.addDetected('')).toBe(false);
+  });
+
+  test('should save nicknames and preferences and remove contacts', () => {
+    const book = createBook();
+    const saved = book.save({ handle: 'Alice', nickname: 'Ali', chain: 'Ethereum', token: 'ETH' });
+    expect(saved).toMatchObject({ handle: '@alice', nickname: 'Ali', chain: 'Ethereum', token: 'ETH', lastUsed: start });
+    expect(book.save({ handle: 'alice', nickname: '' })).toMatchObject({ nickname: '', chain: 'Ethereum' });
+    expect(book.save({ handle: '@' })).toBeNull();
+
+    book.remove('ALICE');
+    expect(book.find('alice')).toBeNull();
+  });
+
+  test('should feed transfers from the history but skip payment requests', () => {
+    const book = new NYLAAddressBook();
+    const changed = book.mergeHistory([
+      { action: 'transfer', recipient: '@alice', chain: 'Solana', token: 'NYLA', timestamp: start },
+      { action: 'swap', recipient: null, chain: 'Solana', token: 'SOL', timestamp: start + 1 },
+      { action: 'request', recipient: '@me', chain: 'Solana', token: 'NYLA', timestamp: start + 2 },
+      { action: 'transfer', recipient: '@alice', chain: 'Ethereum', token: 'ETH', timestamp: start + 3 }
+    ]);
+    expect(changed).toBe(true);
+    expect(book.toJSON()).toEqual([
+      { handle: '@alice', nickname: '', chain: 'Ethereum', token: 'ETH', lastUsed: start + 3 }
+    ]);
+    expect(book.mergeHistory([{ action: 'transfer', recipient: '@alice', chain: 'Solana', token: 'NYLA', timestamp: start }])).toBe(false);
+  });
+
+  test('should suggest prefix matches first, then handle or nickname matches', () => {
+    const book = createBook();
+    const handles = query => book.suggest(query).map(contact => contact.handle);
+
+    expect(handles('')).toEqual(['@bob_99', '@AliceBot', '@alice', '@carol']);
+    expect(handles('@al')).toEqual(['@AliceBot', '@alice', '@carol']);
+    expect(handles('lice')).toEqual(['@AliceBot', '@alice', '@carol']);
+    expect(handles('BO')).toEqual(['@bob_99', '@AliceBot']);
+    expect(handles('zed')).toEqual([]);
+    expect(book.suggest('', 2)).toHaveLength(2);
+  });
+
+  test('should describe contacts', () => {
+    const book = createBook();
+    expect(NYLAAddressBook.describe(book.find('alice'))).toBe('@alice · NYLA on Solana');
+    expect(NYLAAddressBook.describe(book.find('carol'))).toBe('Malice (@carol)');
+  });
+
+  test('should keep the most recently used contacts', () => {
+    const book = new NYLAAddressBook();
+    for (let i = 0; i < NYLAAddressBook.MAX_CONTACTS + 2; i++) {
+      book.recordUse({ recipient: `user${i}`, chain: 'Solana', token: 'NYLA', timestamp: start + i });
+    }
+    const contacts = book.getContacts();
+    expect(contacts).toHaveLength(NYLAAddressBook.MAX_CONTACTS);
+    expect(contacts[contacts.length - 1].handle).toBe('@user2');
+  });
+});
@@ -0,0 +1,104 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+// The batch queue uses the command grammar as a browser global
+global.NYLACommandGrammar = require('../../pwa/js/nyla-command-grammar.js');
+const NYLABatchTransfer = require('../../pwa/js/nyla-batch-transfer.js');
+
+/**
+ * Unit tests for the batch (multi-recipient) transfer queue (no browser required)
+ */
+test.describe('NYLA Batch Transfer', () => {
+  const fields = { amount: '5', token: 'NYLA', chain: 'Solana' };
+
+  test.describe('Recipient parsing', () => {
+    test('should accept handles separated by spaces, commas and newlines', () => {
+      const result = NYLABatchTransfer.parseRecipients('@alice bob,\n@carol_1; @dave');
+      expect(result.recipients).toEqual(['@alice', '@bob', '@carol_1', '@dave']);
+      expect(result.invalid).toEqual([]);
+    });
+
+    test('should drop case-insensitive duplicates', () => {
+      const result = NYLABatchTransfer.parseRecipients('@Alice @alice @ALICE @bob');
+      expect(result.recipients).toEqual(['@Alice', '@bob']);
+      expect(result.duplicates).toEqual(['@alice', '@ALICE']);
+    });
+
+    test('should report invalid handles', () => {
+      const result = NYLABatchTransfer.parseRecipients('@alice @bob! @waytoolonghandle123');
+      expect(result.recipients).toEqual(['@alice']);
+      expect(result.invalid.map(entry => entry.value)).toEqual(['@bob!', '@waytoolonghandle123']);
+      expect(result.invalid[0].error).toBe('Please enter a valid username');
+    });
+  });
+
+  test.describe('Validation', () => {
+    test('should require at least one recipient', () => {
+      const result = NYLABatchTransfer.validate({ ...fields, recipients: [] });
+      expect(result.valid).toBe(false);
+      expect(result.errors.recipients).toBe('Please add at least one recipient');
+    });
+
+    test('should cap the batch size', () => {
+      const recipients = Array.from({ length: NYLABatchTransfer.MAX_RECIPIENTS + 1 }, (_, i) => `@user${i}`);
+      expect(NYLABatchTransfer.validate({ ...fields, recipients }).errors.recipients)
+        .toBe('A batch can include at most 50 recipients');
+    });
+
+    test('should validate the shared amount, token and chain', () => {
+      const result = NYLABatchTransfer.validate({ amount: '', token: 'NYLA', chain: 'Bitcoin', recipients: ['@bob'] });
+      expect(result.errors).toEqual({
+        amount: 'Please enter a valid amount',
+        chain: 'Please select a supported blockchain'
+      });
+    });
+
+    test('should refuse to build an invalid batch', () => {
+      expect(() => new NYLABatchTransfer({ ...fields, recipients: [] })).toThrow('Please add at least one recipient');
+    });
+  });
+
+  test.describe('Queue', () => {
+    test('should build one command per recipient', () => {
+      const batch = new NYLABatchTransfer({ ...fields, chain: 'Ethereum', recipients: ['@alice', '@bob'] });
+      expect(batch.items.map(item => item.command)).toEqual([
+        'Hey @AgentNyla transfer 5 $NYLA @alice Ethereum',
+        'Hey @AgentNyla transfer 5 $NYLA @bob Ethereum'
+      ]);
+      expect(batch.getSummary()).toEqual({ total: 2, pending: 2, sending: 0, sent: 0, failed: 0, skipped: 0 });
+    });
+
+    test('should send commands in order and record failures', async () => {
+      const changes = [];
+      const batch = new NYLABatchTransfer({
+        ...fields,
+        recipients: ['@alice', '@bob', '@carol'],
+        onChange: (item) => changes.push(`${item.recipient}:${item.status}`)
+      });
+      const sent = [];
+
+      await batch.sendNext(async (command) => { sent.push(command); });
+      await batch.sendNext(async () => { throw new Error('Text box not found'); });
+
+      expect(sent).toEqual(['Hey @AgentNyla transfer 5 $NYLA @alice']);
+      expect(batch.items[1]).toMatchObject({ status: 'failed', error: 'Text box not found' });
+      expect(changes).toEqual(['@alice:sending', '@alice:sent', '@bob:sending', '@bob:failed']);
+      expect(batch.getNextIndex()).toBe(2);
+    });
+
+    test('should skip and retry items', async () => {
+      const batch = new NYLABatchTransfer({ ...fields, recipients: ['@alice', '@bob'] });
+
+      batch.skip(0);
+      await batch.sendNext(async () => {});
+      expect(batch.isComplete()).toBe(true);
+      expect(batch.getSummary()).toMatchObject({ sent: 1, skipped: 1 });
+
+      batch.retry(0);
+      expect(batch.isComplete()).toBe(false);
+      const item = await batch.sendNext(async () => {});
+      expect(item?.recipient).toBe('@alice');
+      expect(await batch.sendNext(async () => {})).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,95 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+// The chat actions use the command grammar as a browser global
+global.NYLACommandGrammar = require('../../pwa/js/nyla-command-grammar.js');
+const NYLATokenRegistry = require('../../pwa/js/nyla-token-registry.js');
+const NYLAChatActions = require('../../pwa/js/nyla-chat-actions.js');
+
+/**
+ * Unit tests for the chat to Send/Receive/Swap function-calling bridge (no browser required)
+ * Tool calls are validated against the real knowledge base facts files.
+ */
+test.describe('NYLA Chat Actions', () => {
+  const facts = {
+    Solana: require('../../pwa/kb/facts/contracts.solana.json'),
+    Ethereum: require('../../pwa/kb/facts/contracts.ethereum.json'),
+    Algorand: require('../../pwa/kb/facts/contracts.algorand.json')
+  };
+  const actions = () => new NYLAChatActions(new NYLATokenRegistry(facts));
+
+  test('should recognise plain requests but leave questions to the LLM', () => {
+    expect(NYLAChatActions.detect('send 100 NYLA to @bob on Algorand')).toEqual({
+      name: 'prepare_transfer',
+      arguments: { amount: '100', token: 'NYLA', recipient: '@bob', chain: 'Algorand' }
+    });
+    expect(NYLAChatActions.detect('Swap 1.5 $SOL for USDC')).toEqual({
+      name: 'prepare_swap',
+      arguments: { amount: '1.5', fromToken: 'SOL', toToken: 'USDC' }
+    });
+    expect(NYLAChatActions.detect('create a QR code for 5 goBTC')).toEqual({
+      name: 'generate_receive_qr',
+      arguments: { amount: '5', token: 'goBTC' }
+    });
+    expect(NYLAChatActions.detect('How do I send 100 NYLA to @bob?')).toBeNull();
+    expect(NYLAChatActions.detect('What is NYLA?')).toBeNull();
+  });
+
+  test('should prepare a transfer and warn about tokens the facts do not list on the chain', () => {
+    const action = actions().prepare(NYLAChatActions.detect('send 100 NYLA to @bob on Algorand'));
+
+    expect(action).toMatchObject({
+      tool: 'prepare_transfer',
+      tab: 'send',
+      fields: { action: 'transfer', amount: '100', token: 'NYLA', toToken: null, recipient: '@bob', chain: 'Algorand' },
+      command: 'Hey @AgentNyla transfer 100 $NYLA @bob Algorand',
+      valid: true
+    });
+    expect(action.warnings).toEqual([
+      'NYLA is not listed on Algorand in the NYLA knowledge base (it is listed on Solana) - check the token before you send anything'
+    ]);
+    expect(NYLAChatActions.describe(action)).toBe('Send 100 NYLA to @bob on Algorand');
+  });
+
+  test('should pick the chain that lists the tokens and use the registry symbols', () => {
+    const chatActions = actions();
+    expect(chatActions.prepare({ name: 'generate_receive_qr', arguments: { amount: '5', token: 'gobtc' } })).toMatchObject({
+      tab: 'receive',
+      fields: { action: 'receive', token: 'goBTC', recipient: null, chain: 'Algorand' },
+      command: null,
+      valid: true,
+      warnings: []
+    });
+    expect(chatActions.prepare({ name: 'prepare_swap', arguments: { amount: 2, fromToken: 'eth', toToken: 'dai' } })).toMatchObject({
+      fields: { action: 'swap', amount: '2', token: 'ETH', toToken: 'DAI', chain: 'Ethereum' },
+      command: 'Hey @AgentNyla swap 2 $ETH for $DAI Ethereum'
+    });
+  });
+
+  test('should report invalid calls without a command', () => {
+    const chatActions = actions();
+    expect(chatActions.prepare({ name: 'prepare_transfer', arguments: { amount: '0.0000001', token: 'USDC', recipient: 'bob', chain: 'Ethereum' } }))
+      .toMatchObject({ valid: false, command: null, errors: { amount: 'USDC supports up to 6 decimal places' } });
+    expect(chatActions.prepare({ name: 'prepare_transfer', arguments: { amount: '5', token: 'SOL', chain: 'Bitcoin' } }))
+      .toMatchObject({ valid: false, errors: { chain: 'Please select a supported blockchain' }, missing: ['recipient'], warnings: [] });
+    expect(chatActions.prepare({ name: 'delete_wallet', arguments: {} }))
+      .toMatchObject({ valid: false, fields: null, errors: { tool: 'Unknown action "delete_wallet"' } });
+  });
+
+  test('should take tool calls out of LLM answers', () => {
+    const answer = 'Sure, here is your swap!\n<tool_call>{"name": "prepare_swap", "arguments": {"amount": "1", "fromToken": "SOL", "toToken": "USDC"}}</tool_call>';
+    expect(NYLAChatActions.extractToolCalls(answer)).toEqual({
+      text: 'Sure, here is your swap!',
+      calls: [{ name: 'prepare_swap', arguments: { amount: '1', fromToken: 'SOL', toToken: 'USDC' } }]
+    });
+    expect(NYLAChatActions.extractToolCalls('Oops <tool_call>{not json}</tool_call>')).toEqual({ text: 'Oops', calls: [] });
+    // A tool call still being streamed is hidden
+    expect(NYLAChatActions.stripToolCalls('Sure! <tool_call>{"name": "prep')).toBe('Sure!');
+    expect(NYLAChatActions.stripToolCalls('Sure! <tool_c')).toBe('Sure!');
+    expect(NYLAChatActions.stripToolCalls('Sure! <')).toBe('Sure!');
+    expect(NYLAChatActions.stripToolCalls('1 SOL < 2 SOL')).toBe('1 SOL < 2 SOL');
+    expect(NYLAChatActions.buildToolPrompt()).toContain('- generate_receive_qr(amount, token, chain?, username?)');
+    expect(NYLAChatActions.withToolPrompt('Answer in English.')).toBe(`Answer in English.\n\n${NYLAChatActions.buildToolPrompt()}`);
+    expect(NYLAChatActions.withToolPrompt(undefined)).toBe(NYLAChatActions.buildToolPrompt());
+  });
+});
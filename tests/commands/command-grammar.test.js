@@ -0,0 +1,168 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const NYLACommandGrammar = require('../../pwa/js/nyla-command-grammar.js');
+
+// The token registry uses the command grammar as a browser global
+global.NYLACommandGrammar = NYLACommandGrammar;
+const NYLATokenRegistry = require('../../pwa/js/nyla-token-registry.js');
+
+/**
+ * Unit tests for the shared AgentNyla command grammar (no browser required)
+ */
+test.describe('NYLA Command Grammar', () => {
+  test.describe('Building commands', () => {
+    test('should omit the blockchain suffix for Solana transfers', () => {
+      const command = NYLACommandGrammar.buildTransfer({
+        amount: '10', token: 'SOL', recipient: '@testuser', chain: 'Solana'
+      });
+      expect(command).toBe('Hey @AgentNyla transfer 10 $SOL @testuser');
+    });
+
+    test('should append the blockchain suffix for other chains', () => {
+      const command = NYLACommandGrammar.buildTransfer({
+        amount: '5', token: 'ALGO', recipient: 'bob', chain: 'Algorand'
+      });
+      expect(command).toBe('Hey @AgentNyla transfer 5 $ALGO @bob Algorand');
+    });
+
+    test('should normalize recipient handles', () => {
+      expect(NYLACommandGrammar.normalizeHandle('bob')).toBe('@bob');
+      expect(NYLACommandGrammar.normalizeHandle(' @@bob ')).toBe('@bob');
+      expect(NYLACommandGrammar.normalizeHandle('@')).toBe('');
+    });
+
+    test('should build swap commands', () => {
+      expect(NYLACommandGrammar.buildSwap({ amount: '2', fromToken: 'ETH', toToken: 'NYLA', chain: 'Solana' }))
+        .toBe('Hey @AgentNyla swap 2 $ETH for $NYLA');
+      expect(NYLACommandGrammar.buildSwap({ amount: '2', fromToken: 'ETH', toToken: 'NYLA', chain: 'Ethereum' }))
+        .toBe('Hey @AgentNyla swap 2 $ETH for $NYLA Ethereum');
+    });
+
+    test('should build receive commands as transfers to the requester', () => {
+      expect(NYLACommandGrammar.buildReceive({ amount: '1', token: 'NYLA', username: 'h2crypto_eth', chain: 'Ethereum' }))
+        .toBe('Hey @AgentNyla transfer 1 $NYLA @h2crypto_eth Ethereum');
+    });
+  });
+
+  test.describe('Signatures and URLs', () => {
+    test('should add dash and linebreak signatures once', () => {
+      const command = 'Hey @AgentNyla transfer 1 $NYLA @bob';
+      const dashed = NYLACommandGrammar.addSignature(command, 'dash');
+      expect(dashed).toBe(`${command} — Sent via #NYLAGo`);
+      expect(NYLACommandGrammar.addSignature(dashed, 'dash')).toBe(dashed);
+      expect(NYLACommandGrammar.addSignature(command)).toBe(`${command}\n\nSent via #NYLAGo`);
+    });
+
+    test('should encode the signed command into an X.com intent URL', () => {
+      const url = NYLACommandGrammar.buildIntentURL('Hey @AgentNyla transfer 1 $NYLA @bob');
+      expect(url.startsWith('https://x.com/intent/post?text=')).toBe(true);
+      const text = decodeURIComponent(url.split('text=')[1]);
+      expect(text).toBe('Hey @AgentNyla transfer 1 $NYLA @bob\n\nSent via #NYLAGo');
+    });
+  });
+
+  test.describe('Validation', () => {
+    test('should accept a complete transfer', () => {
+      const result = NYLACommandGrammar.validateTransfer({
+        recipient: '@bob', amount: '0.5', token: 'NYLA', chain: 'Solana'
+      });
+      expect(result.valid).toBe(true);
+      expect(result.errors).toEqual({});
+    });
+
+    test('should report missing fields without messages', () => {
+      const result = NYLACommandGrammar.validateTransfer({ recipient: '', amount: '', token: 'NYLA' });
+      expect(result.valid).toBe(false);
+      expect(result.missing).toEqual(['recipient', 'amount']);
+      expect(result.errors).toEqual({});
+    });
+
+    test('should reject malformed recipients and amounts', () => {
+      const result = NYLACommandGrammar.validateTransfer({ recipient: 'bob', amount: '-1', token: 'NYLA' });
+      expect(result.errors.recipient).toBe('Username must start with @');
+      expect(result.errors.amount).toBe('Please enter a valid amount');
+
+      expect(NYLACommandGrammar.validateTransfer({ recipient: '@bob!', amount: '1e3', token: 'NYLA' }).errors)
+        .toEqual({ recipient: 'Please enter a valid username', amount: 'Please enter a valid amount' });
+    });
+
+    test('should reject unsupported chains and identical swap tokens', () => {
+      expect(NYLACommandGrammar.validateTransfer({ recipient: '@bob', amount: '1', token: 'NYLA', chain: 'Bitcoin' }).errors.chain)
+        .toBe('Please select a supported blockchain');
+      expect(NYLACommandGrammar.validateSwap({ amount: '1', fromToken: 'SOL', toToken: 'SOL' }).errors.toToken)
+        .toBe('Please select different tokens for swap');
+    });
+  });
+
+  test.describe('Parsing', () => {
+    test('should round-trip built commands', () => {
+      const fields = { amount: '10', token: 'USDC', recipient: '@alice', chain: 'Ethereum' };
+      expect(NYLACommandGrammar.parse(NYLACommandGrammar.buildTransfer(fields)))
+        .toEqual({ action: 'transfer', ...fields });
+
+      expect(NYLACommandGrammar.parse(NYLACommandGrammar.buildSwap({ amount: '3', fromToken: 'SOL', toToken: 'NYLA' })))
+        .toEqual({ action: 'swap', amount: '3', token: 'SOL', toToken: 'NYLA', recipient: null, chain: 'Solana' });
+    });
+
+    test('should ignore every signature style', () => {
+      const command = 'Hey @AgentNyla transfer 1 $NYLA @bob';
+      expect(NYLACommandGrammar.parse(NYLACommandGrammar.addSignature(command, 'dash'))?.recipient).toBe('@bob');
+      expect(NYLACommandGrammar.parse(NYLACommandGrammar.addSignature(command))?.recipient).toBe('@bob');
+      expect(NYLACommandGrammar.parse(`${command} - Sent via #NYLAGo`)?.recipient).toBe('@bob');
+    });
+
+    test('should accept relaxed casing and a missing greeting', () => {
+      expect(NYLACommandGrammar.parse('@agentnyla TRANSFER 2.5 $nyla @Bob_1 algorand'))
+        .toEqual({ action: 'transfer', amount: '2.5', token: 'NYLA', recipient: '@Bob_1', chain: 'Algorand' });
+    });
+
+    test('should keep the registry casing of token symbols', () => {
+      const registry = new NYLATokenRegistry({ Algorand: require('../../pwa/kb/facts/contracts.algorand.json') });
+      expect(NYLACommandGrammar.parse('Hey @AgentNyla swap 1 $GOBTC for $usdca Algorand', registry))
+        .toEqual({ action: 'swap', amount: '1', token: 'goBTC', toToken: 'USDCa', recipient: null, chain: 'Algorand' });
+      // Tokens the registry does not list on the chain are capitalised
+      expect(NYLACommandGrammar.findCommands('@AgentNyla transfer 1 $gobtc @bob', registry)[0].command.token).toBe('GOBTC');
+      expect(NYLACommandGrammar.parse('@AgentNyla transfer 1 $gobtc @bob Algorand')?.token).toBe('GOBTC');
+    });
+
+    test('should report the position of the first error', () => {
+      const cases = [
+        ['Hey @AgentNyla transfer ten $NYLA @bob', 'Expected a positive amount', 24, 3],
+        ['Hey @AgentNyla transfer 10 NYLA @bob', 'Expected a token such as $NYLA', 27, 4],
+        ['Hey @AgentNyla transfer 10 $NYLA bob', 'Expected a recipient such as @username', 33, 3],
+        ['Hey @AgentNyla transfer 10 $NYLA @bob Bitcoin', 'Unsupported blockchain "Bitcoin"', 38, 7],
+        ['Hey @AgentNyla swap 1 $SOL to $NYLA', 'Expected "for"', 27, 2],
+        ['Hey @AgentNyla tip 1 $SOL', 'Expected "transfer" or "swap"', 15, 3],
+        ['Hey @someone transfer 1 $SOL @bob', 'Expected "@AgentNyla"', 4, 8],
+        ['Hey @AgentNyla transfer 1 $NYLA @bob Solana please', 'Unexpected text after command', 44, 6]
+      ];
+
+      for (const [text, message, position, length] of cases) {
+        const result = NYLACommandGrammar.parseDetailed(text);
+        expect(result.ok, text).toBe(false);
+        expect(result.error, text).toEqual({ message, position, length });
+      }
+    });
+
+    test('should point at the end of truncated commands', () => {
+      const text = 'Hey @AgentNyla transfer 5 $NYLA — Sent via #NYLAGo';
+      expect(NYLACommandGrammar.parseDetailed(text).error)
+        .toEqual({ message: 'Expected a recipient such as @username', position: 31, length: 0 });
+    });
+
+    test('should return null for non-commands', () => {
+      expect(NYLACommandGrammar.parse('gm frens')).toBeNull();
+      expect(NYLACommandGrammar.parse('')).toBeNull();
+    });
+
+    test('should find commands inside tweet text', () => {
+      const tweet = 'Thanks for the raid!\nHey @AgentNyla transfer 100 $NYLA @alice Ethereum\n\nSent via #NYLAGo\n@AgentNyla you rock';
+      const found = NYLACommandGrammar.findCommands(tweet);
+      expect(found).toHaveLength(1);
+      expect(found[0].position).toBe(21);
+      expect(found[0].command).toEqual({
+        action: 'transfer', amount: '100', token: 'NYLA', recipient: '@alice', chain: 'Ethereum'
+      });
+    });
+  });
+});
@@ -0,0 +1,86 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+// The fact guard uses the command grammar and token registry as browser globals
+global.NYLACommandGrammar = require('../../pwa/js/nyla-command-grammar.js');
+global.NYLATokenRegistry = require('../../pwa/js/nyla-token-registry.js');
+const NYLAFactGuard = require('../../pwa/js/nyla-fact-guard.js');
+
+/**
+ * Unit tests for checking answer addresses, ASA ids, tickers and decimals against the KB facts (no browser required)
+ * Values are checked against the real knowledge base facts files.
+ */
+test.describe('NYLA Fact Guard', () => {
+  const contracts = {
+    Solana: require('../../pwa/kb/facts/contracts.solana.json'),
+    Ethereum: require('../../pwa/kb/facts/contracts.ethereum.json'),
+    Algorand: require('../../pwa/kb/facts/contracts.algorand.json')
+  };
+  const facts = require('../../pwa/data/nyla-facts-db.json').facts;
+  const guard = () => new NYLAFactGuard(contracts, facts);
+
+  test('should pass addresses, ASA ids and tickers listed in the facts', () => {
+    const text = 'WangChai ($旺柴) contract: 83kGGSggYGP2ZEEyvX54SkZR1kFn84RgGCDyptbDbonk. ' +
+      'USDC on Ethereum is 0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48 with 6 decimals. ' +
+      'goBTC is ASA 386192725. All SPL tokens use TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA.';
+    expect(guard().verify(text)).toEqual({ text, issues: [], checked: 6 });
+  });
+
+  test('should redact unknown contract addresses and addresses given for another token or chain', () => {
+    const { text, issues } = guard().verify(
+      'USDC on Solana: Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB\n' +
+      'USDC on Ethereum: EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v\n' +
+      'WangChai contract: 83kGGSggYGP2ZEEyvX54SkZR1kFn84RgGCDyptbDbonx'
+    );
+
+    expect(text).toBe(
+      'USDC on Solana: [address removed: not verified]\n' +
+      'USDC on Ethereum: [address removed: not verified]\n' +
+      'WangChai contract: [address removed: not verified]'
+    );
+    expect(issues).toEqual([
+      { type: 'address', value: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', status: 'mismatch', expected: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', action: 'redacted' },
+      { type: 'address', value: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', status: 'mismatch', expected: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', action: 'redacted' },
+      { type: 'address', value: '83kGGSggYGP2ZEEyvX54SkZR1kFn84RgGCDyptbDbonx', status: 'unknown', action: 'redacted' }
+    ]);
+  });
+
+  test('should redact unknown ASA ids and flag unknown tickers and wrong decimals', () => {
+    const { text, issues } = guard().verify('USDCa has ASA id 31566799. Buy $FOO today! USDC has 9 decimals.');
+
+    expect(text).toBe('USDCa has ASA id [asset id removed: not verified]. Buy $FOO today! USDC has 9 decimals.');
+    expect(issues.map(issue => `${issue.type} ${issue.status} ${issue.action}`)).toEqual([
+      'asset_id unknown redacted', 'ticker unknown flagged', 'decimals mismatch flagged'
+    ]);
+    expect(NYLAFactGuard.describe(issues)).toEqual([
+      'Removed a value not matching the NYLA knowledge base - always verify addresses on an official explorer',
+      'Could not verify $FOO in the knowledge base',
+      'USDC 9 decimals does not match the knowledge base (6)'
+    ]);
+  });
+
+  test('should leave wallets and numbers that are not asset ids alone', () => {
+    const text = 'goBTC is an Algorand Standard Asset (ASA) with 8 decimals. Every ASA has up to 19 decimals.\n' +
+      'Send 5 USDC to your wallet 7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU on Solana.\n' +
+      'Your Algorand account VCMJKWOY5P5P7SKMZFFOCEROPJCZOTIJMNIYNUCKH7LRO45JMJP6UYBIJA can opt in to ASA 12.';
+    expect(guard().verify(text)).toEqual({ text, issues: [], checked: 1 });
+  });
+
+  test('should check asset ids labelled in Chinese', () => {
+    expect(guard().verify('goBTC的資產ID：386192725').issues).toEqual([]);
+    expect(guard().verify('goBTC的资产ID 386192799')).toEqual({
+      text: 'goBTC的资产ID [asset id removed: not verified]',
+      issues: [{ type: 'asset_id', value: '386192799', status: 'unknown', action: 'redacted' }],
+      checked: 1
+    });
+  });
+
+  test('should only flag unknown values while the facts are not loaded', () => {
+    const { text, issues } = new NYLAFactGuard({}, {}, false).verify('USDC mint: EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v');
+    expect(text).toBe('USDC mint: EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v');
+    expect(issues).toEqual([{ type: 'address', value: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', status: 'unknown', action: 'flagged' }]);
+
+    // The NYLA mint is built in
+    expect(new NYLAFactGuard({}, {}, false).verify('NYLA: 3HeUeL8ru8DFfRRQGnE11vGrDdNUzqVwBW8hyYHBbonk').issues).toEqual([]);
+  });
+});
@@ -0,0 +1,84 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+// Payment requests use the command grammar as a browser global
+global.NYLACommandGrammar = require('../../pwa/js/nyla-command-grammar.js');
+const NYLAPaymentRequest = require('../../pwa/js/nyla-payment-request.js');
+const NYLATokenRegistry = require('../../pwa/js/nyla-token-registry.js');
+
+/**
+ * Unit tests for payment request links (no browser required)
+ */
+test.describe('NYLA Payment Request', () => {
+  const request = {
+    recipient: 'alice',
+    amount: '10',
+    token: 'NYLA',
+    chain: 'Ethereum',
+    memo: 'Coffee & cake',
+    invoiceId: 'INV-42',
+    expiresAt: Date.UTC(2030, 0, 1)
+  };
+
+  test('should serialise a compact link', () => {
+    expect(NYLAPaymentRequest.toURL(request)).toBe(
+      'https://sonyschan.github.io/nyla-go/?pay=alice&amt=10&tok=NYLA&chain=Ethereum&memo=Coffee+%26+cake&inv=INV-42&exp=1893456000'
+    );
+    expect(NYLAPaymentRequest.toURL({ recipient: '@bob', amount: '1', token: 'SOL' }, 'http://localhost:3000/'))
+      .toBe('http://localhost:3000/?pay=bob&amt=1&tok=SOL');
+  });
+
+  test('should round-trip through parse', () => {
+    const parsed = NYLAPaymentRequest.parse(NYLAPaymentRequest.toURL(request));
+    expect(parsed).toEqual({
+      valid: true,
+      request: { ...request, recipient: '@alice' },
+      errors: {}
+    });
+    expect(NYLAPaymentRequest.toCommand(parsed?.request)).toBe('Hey @AgentNyla transfer 10 $NYLA @alice Ethereum');
+  });
+
+  test('should accept a bare query string and default to Solana', () => {
+    const parsed = NYLAPaymentRequest.parse('?feature=PROMPT_V2_ENABLED&pay=bob&amt=0.5&tok=%24usdc');
+    expect(parsed?.request).toMatchObject({ recipient: '@bob', amount: '0.5', token: 'USDC', chain: 'Solana', expiresAt: null });
+  });
+
+  test('should keep the registry casing of the token', () => {
+    const registry = new NYLATokenRegistry({ Algorand: require('../../pwa/kb/facts/contracts.algorand.json') });
+    expect(NYLAPaymentRequest.parse('?pay=bob&amt=1&tok=GOBTC&chain=algorand', registry)?.request.token).toBe('goBTC');
+    // Tokens the registry does not list on the chain are capitalised
+    expect(NYLAPaymentRequest.parse('?pay=bob&amt=1&tok=gobtc', registry)?.request.token).toBe('GOBTC');
+  });
+
+  test('should ignore URLs without a request', () => {
+    expect(NYLAPaymentRequest.parse('https://sonyschan.github.io/nyla-go/?feature=PROMPT_V2_ENABLED')).toBeNull();
+    expect(NYLAPaymentRequest.parse('')).toBeNull();
+  });
+
+  test('should report invalid fields', () => {
+    const parsed = NYLAPaymentRequest.parse('?pay=bob!&amt=-1&tok=NYLA&chain=Bitcoin&inv=no%20spaces&exp=soon');
+    expect(parsed?.valid).toBe(false);
+    expect(parsed?.errors).toEqual({
+      recipient: 'Please enter a valid username',
+      amount: 'Please enter a valid amount',
+      chain: 'Please select a supported blockchain',
+      invoiceId: 'Invoice ID may only contain letters, numbers, - and _',
+      expiresAt: 'Please enter a valid expiry time'
+    });
+    expect(() => NYLAPaymentRequest.toURL({ ...request, memo: 'x'.repeat(141) })).toThrow('Memo must be 140 characters or less');
+  });
+
+  test('should detect expired requests', () => {
+    const now = Date.UTC(2030, 0, 1);
+    expect(NYLAPaymentRequest.isExpired(request, now - 1)).toBe(false);
+    expect(NYLAPaymentRequest.isExpired(request, now)).toBe(true);
+    expect(NYLAPaymentRequest.isExpired({ ...request, expiresAt: null }, now)).toBe(false);
+  });
+
+  test('should compute expiry presets', () => {
+    const now = 1000;
+    expect(NYLAPaymentRequest.expiryFromOption('1h', now)).toBe(now + 3600 * 1000);
+    expect(NYLAPaymentRequest.expiryFromOption('7d', now)).toBe(now + 7 * 24 * 3600 * 1000);
+    expect(NYLAPaymentRequest.expiryFromOption('', now)).toBeNull();
+  });
+});
@@ -0,0 +1,111 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+// The registry uses the command grammar as a browser global
+global.NYLACommandGrammar = require('../../pwa/js/nyla-command-grammar.js');
+const NYLATokenRegistry = require('../../pwa/js/nyla-token-registry.js');
+
+/**
+ * Unit tests for the per-chain token registry (no browser required)
+ * The registry is built from the real knowledge base facts files.
+ */
+test.describe('NYLA Token Registry', () => {
+  const facts = {
+    Solana: require('../../pwa/kb/facts/contracts.solana.json'),
+    Ethereum: require('../../pwa/kb/facts/contracts.ethereum.json'),
+    Algorand: require('../../pwa/kb/facts/contracts.algorand.json')
+  };
+  const registry = () => new NYLATokenRegistry(facts);
+
+  test('should list only the tokens that exist on each chain', () => {
+    const tokens = registry();
+    expect(tokens.getSymbols('Solana')).toEqual(['NYLA', 'SOL', 'USDC', 'USDT', 'JUP', 'RAY', 'BONK']);
+    expect(tokens.getSymbols('Ethereum')).toEqual(['ETH', 'USDC', 'USDT', 'WETH', 'DAI', 'UNI']);
+    expect(tokens.getSymbols('Algorand')).toEqual(['ALGO', 'USDCa', 'USDTa', 'goBTC', 'goETH', 'OPUL']);
+    expect(tokens.getDefaultSymbol('Ethereum')).toBe('ETH');
+  });
+
+  test('should carry addresses, ASA ids and decimals from the facts files', () => {
+    const tokens = registry();
+    expect(tokens.find('Ethereum', 'USDC')).toMatchObject({
+      address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', decimals: 6, type: 'erc20'
+    });
+    expect(tokens.find('Algorand', '$GOBTC')).toMatchObject({ symbol: 'goBTC', assetId: '386192725', decimals: 8 });
+    expect(tokens.find('Solana', 'SOL')).toMatchObject({ address: null, decimals: 9, type: 'native' });
+    expect(tokens.find('Ethereum', 'NYLA')).toBeNull();
+    expect(NYLATokenRegistry.describeAddress(tokens.find('Algorand', 'USDCa'))).toBe('ASA 31566704');
+    expect(NYLATokenRegistry.describeAddress(tokens.find('Solana', 'USDC'))).toBe('EPjF…Dt1v');
+  });
+
+  test('should fall back to built-in tokens without facts', () => {
+    const tokens = new NYLATokenRegistry();
+    expect(tokens.getSymbols('Solana')).toEqual(['NYLA', 'SOL']);
+    expect(tokens.getSymbols('Algorand')).toEqual(['ALGO']);
+  });
+
+  test('should select unlisted tokens in a dropdown instead of keeping the previous one', () => {
+    const tokens = registry();
+    // Minimal stand-in for the Receive form's token <select> on Algorand
+    const createOption = (value) => ({ value, textContent: value });
+    const select = {
+      options: tokens.getSymbols('Algorand').map(createOption),
+      value: 'ALGO',
+      ownerDocument: { createElement: () => createOption('') },
+      appendChild(option) { this.options.push(option); }
+    };
+
+    expect(tokens.selectToken(select, 'Algorand', 'gobtc')).toBe('goBTC');
+    expect(select.value).toBe('goBTC');
+    expect(tokens.selectToken(select, 'Algorand', '$NYLA')).toBe('NYLA');
+    expect(select.value).toBe('NYLA');
+    expect(select.options.map(option => option.value)).toEqual([...tokens.getSymbols('Algorand'), 'NYLA']);
+  });
+
+  test('should validate amounts against token decimals', () => {
+    const tokens = registry();
+    expect(tokens.validateAmount('1.123456', 'Solana', 'USDC')).toBeNull();
+    expect(tokens.validateAmount('1.1234560000', 'Solana', 'USDC')).toBeNull();
+    expect(tokens.validateAmount('1.1234567', 'Solana', 'USDC')).toBe('USDC supports up to 6 decimal places');
+    expect(tokens.validateAmount('0.123456789', 'Solana', 'SOL')).toBeNull();
+    expect(tokens.validateAmount('0.000001', 'Solana', 'BONK')).toBe('BONK supports up to 5 decimal places');
+    expect(tokens.validateAmount('0.5', 'Solana', 'UNKNOWN')).toBeNull();
+  });
+
+  test('should add custom tokens per chain', () => {
+    const tokens = registry();
+    const result = tokens.addCustomToken({ symbol: '$wif', chain: 'Solana', address: 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm', decimals: '6' });
+    expect(result.valid).toBe(true);
+    expect(tokens.getSymbols('Solana')).toContain('WIF');
+    expect(tokens.getSymbols('Ethereum')).not.toContain('WIF');
+    expect(tokens.validateAmount('0.0000001', 'Solana', 'WIF')).toBe('WIF supports up to 6 decimal places');
+    expect(tokens.getCustomTokens()).toEqual([
+      { symbol: 'WIF', chain: 'Solana', address: 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm', decimals: 6 }
+    ]);
+
+    tokens.removeCustomToken('WIF', 'Solana');
+    expect(tokens.getSymbols('Solana')).not.toContain('WIF');
+  });
+
+  test('should reject invalid custom tokens', () => {
+    const tokens = registry();
+    expect(tokens.validateCustomToken({ symbol: 'USDC', chain: 'Ethereum' }).errors)
+      .toEqual({ symbol: 'Token already exists on this blockchain' });
+    expect(tokens.validateCustomToken({ symbol: 'PEPE', chain: 'Ethereum', address: '0x123', decimals: '20' }).errors).toEqual({
+      address: 'Please enter a valid 0x contract address',
+      decimals: 'Decimals must be a whole number from 0 to 19'
+    });
+    expect(tokens.validateCustomToken({ symbol: 'TINY', chain: 'Algorand', address: 'abc' }).errors)
+      .toEqual({ address: 'Please enter a valid ASA id' });
+    expect(tokens.validateCustomToken({ symbol: 'BTC!', chain: 'Bitcoin' }).errors).toEqual({
+      symbol: 'Token symbol can only contain letters and numbers',
+      chain: 'Please select a supported blockchain'
+    });
+  });
+
+  test('should keep legacy symbol-only custom tokens on every chain', () => {
+    const tokens = new NYLATokenRegistry(facts, ['pepe']);
+    expect(tokens.getSymbols('Ethereum')).toContain('PEPE');
+    expect(tokens.getSymbols('Algorand')).toContain('PEPE');
+    expect(tokens.getCustomTokens()).toEqual([{ symbol: 'PEPE', chain: null, address: null, decimals: null }]);
+  });
+});
@@ -0,0 +1,190 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+// The history uses the command grammar as a browser global
+global.NYLACommandGrammar = require('../../pwa/js/nyla-command-grammar.js');
+const NYLATransferHistory = require('../../pwa/js/nyla-transfer-history.js');
+
+/**
+ * Unit tests for the local transfer history (no browser required)
+ */
+test.describe('NYLA Transfer History', () => {
+  const { DELIVERY } = NYLATransferHistory;
+  const day = 24 * 60 * 60 * 1000;
+  const start = Date.UTC(2025, 0, 31, 12, 0, 0);
+
+  async function createHistory() {
+    const history = new NYLATransferHistory(NYLATransferHistory.memoryStorage());
+    await history.record({ action: 'transfer', amount: '10', token: 'NYLA', chain: 'Solana', recipient: 'alice', delivery: DELIVERY.INJECTED, timestamp: start });
+    await history.record({ action: 'swap', amount: '0.5', token: 'SOL', toToken: 'NYLA', chain: 'Solana', delivery: DELIVERY.COMPOSE_URL, timestamp: start + day });
+    await history.record({ action: 'transfer', amount: '25', token: 'USDC', chain: 'Ethereum', recipient: '@Bob_99', delivery: DELIVERY.QR, timestamp: start + 2 * day });
+    await history.record({ action: 'request', amount: '3', token: 'ALGO', chain: 'algorand', recipient: 'carol', delivery: DELIVERY.SHARE, timestamp: start + 3 * day });
+    return history;
+  }
+
+  test('should build entries with the generated command', () => {
+    const entry = NYLATransferHistory.createEntry({
+      action: 'transfer', amount: ' 10 ', token: 'NYLA', chain: 'Ethereum', recipient: 'alice', delivery: DELIVERY.INJECTED, timestamp: start
+    });
+    expect(entry).toMatchObject({
+      timestamp: start,
+      action: 'transfer',
+      amount: '10',
+      token: 'NYLA',
+      toToken: null,
+      chain: 'Ethereum',
+      recipient: '@alice',
+      command: 'Hey @AgentNyla transfer 10 $NYLA @alice Ethereum',
+      delivery: 'injected'
+    });
+
+    const swap = NYLATransferHistory.createEntry({ action: 'swap', amount: '1', token: 'SOL', toToken: 'NYLA', chain: 'Solana', delivery: DELIVERY.COMPOSE_URL });
+    expect(swap.command).toBe('Hey @AgentNyla swap 1 $SOL for $NYLA');
+    expect(swap.recipient).toBeNull();
+  });
+
+  test('should reject unknown actions, chains and delivery methods', () => {
+    expect(() => NYLATransferHistory.createEntry({ action: 'stake', amount: '1', token: 'SOL', chain: 'Solana', delivery: DELIVERY.QR }))
+      .toThrow('Unknown history action "stake"');
+    expect(() => NYLATransferHistory.createEntry({ action: 'transfer', amount: '1', token: 'SOL', chain: 'Solana', recipient: 'a', delivery: 'email' }))
+      .toThrow('Unknown delivery method "email"');
+    expect(() => NYLATransferHistory.createEntry({ action: 'transfer', amount: '1', token: 'SOL', chain: 'Base', recipient: 'a', delivery: DELIVERY.QR }))
+      .toThrow('Unsupported blockchain "Base"');
+  });
+
+  test('should list entries newest first and remove them', async () => {
+    const history = await createHistory();
+    const entries = await history.list();
+    expect(entries.map(entry => entry.action)).toEqual(['request', 'transfer', 'swap', 'transfer']);
+    expect(entries[0].chain).toBe('Algorand');
+
+    await history.remove(entries[1].id);
+    expect((await history.list()).map(entry => entry.token)).toEqual(['ALGO', 'SOL', 'NYLA']);
+
+    await history.clear();
+    expect(await history.list()).toEqual([]);
+  });
+
+  /**
+   * Fake async chrome.storage.local over a plain object
+   */
+  function fakeChromeStorage(stored = {}) {
+    const tick = () => new Promise(resolve => setTimeout(resolve, 1));
+    const local = {
+      stored,
+      get: async keys => {
+        await tick();
+        const wanted = keys === null ? Object.keys(local.stored) : keys;
+        return Object.fromEntries(wanted.filter(key => key in local.stored).map(key => [key, local.stored[key]]));
+      },
+      set: async items => { await tick(); local.stored = { ...local.stored, ...items }; },
+      remove: async keys => {
+        await tick();
+        const removed = [].concat(keys);
+        local.stored = Object.fromEntries(Object.entries(local.stored).filter(([key]) => !removed.includes(key)));
+      }
+    };
+    return { storage: { local } };
+  }
+
+  test('should not lose entries recorded at the same time in chrome.storage', async () => {
+    global.chrome = /** @type {any} */ (fakeChromeStorage());
+    try {
+      const history = new NYLATransferHistory(NYLATransferHistory.chromeStorage());
+      await Promise.all(['alice', 'bob', 'carol'].map((recipient, i) =>
+        history.record({ action: 'transfer', amount: '1', token: 'NYLA', chain: 'Solana', recipient, delivery: DELIVERY.INJECTED, timestamp: start + i })));
+      expect((await history.list()).map(entry => entry.recipient)).toEqual(['@carol', '@bob', '@alice']);
+    } finally {
+      Reflect.deleteProperty(global, 'chrome');
+    }
+  });
+
+  test('should not lose entries recorded by popup and content script at the same time', async () => {
+    global.chrome = /** @type {any} */ (fakeChromeStorage());
+    try {
+      const popup = new NYLATransferHistory(NYLATransferHistory.chromeStorage());
+      const content = new NYLATransferHistory(NYLATransferHistory.chromeStorage());
+      await Promise.all([
+        popup.record({ action: 'transfer', amount: '1', token: 'NYLA', chain: 'Solana', recipient: 'alice', delivery: DELIVERY.QR, timestamp: start }),
+        content.record({ action: 'transfer', amount: '2', token: 'NYLA', chain: 'Solana', recipient: 'bob', delivery: DELIVERY.INJECTED, timestamp: start + 1 })
+      ]);
+      expect((await popup.list()).map(entry => entry.recipient)).toEqual(['@bob', '@alice']);
+    } finally {
+      Reflect.deleteProperty(global, 'chrome');
+    }
+  });
+
+  test('should move a history saved as one array to per-entry items', async () => {
+    const legacy = { id: 'old', action: 'transfer', amount: '3', token: 'NYLA', chain: 'Solana', recipient: '@carol', delivery: DELIVERY.QR, timestamp: start };
+    const fake = fakeChromeStorage({ [NYLATransferHistory.STORAGE_KEY]: [legacy] });
+    global.chrome = /** @type {any} */ (fake);
+    try {
+      const history = new NYLATransferHistory(NYLATransferHistory.chromeStorage());
+      await history.record({ action: 'transfer', amount: '1', token: 'NYLA', chain: 'Solana', recipient: 'alice', delivery: DELIVERY.INJECTED, timestamp: start + 1 });
+      expect((await history.list()).map(entry => entry.recipient)).toEqual(['@alice', '@carol']);
+      expect(fake.storage.local.stored[NYLATransferHistory.STORAGE_KEY]).toBeUndefined();
+
+      await history.clear();
+      expect(fake.storage.local.stored).toEqual({});
+    } finally {
+      Reflect.deleteProperty(global, 'chrome');
+    }
+  });
+
+  test('should keep only the newest entries', async () => {
+    const history = new NYLATransferHistory(NYLATransferHistory.memoryStorage());
+    for (let i = 0; i < NYLATransferHistory.MAX_ENTRIES + 2; i++) {
+      await history.record({ action: 'transfer', amount: String(i + 1), token: 'NYLA', chain: 'Solana', recipient: 'alice', delivery: DELIVERY.QR, timestamp: start + i });
+    }
+    const entries = await history.list();
+    expect(entries).toHaveLength(NYLATransferHistory.MAX_ENTRIES);
+    expect(entries[entries.length - 1].amount).toBe('3');
+  });
+
+  test('should filter by search text, action, chain, token, delivery and date', async () => {
+    const entries = await (await createHistory()).list();
+    const amounts = filters => NYLATransferHistory.filter(entries, filters).map(entry => entry.amount);
+
+    expect(amounts({ query: '@bob' })).toEqual(['25']);
+    expect(amounts({ query: 'nyla' })).toEqual(['0.5', '10']);
+    expect(amounts({ action: 'transfer' })).toEqual(['25', '10']);
+    expect(amounts({ chain: 'Solana' })).toEqual(['0.5', '10']);
+    expect(amounts({ token: 'sol' })).toEqual(['0.5']);
+    expect(amounts({ delivery: DELIVERY.SHARE })).toEqual(['3']);
+    expect(amounts({ from: start + day, to: start + 2 * day })).toEqual(['25', '0.5']);
+    expect(amounts({ chain: 'Solana', query: 'alice' })).toEqual(['10']);
+  });
+
+  test('should describe entries and return repeat fields', async () => {
+    const entries = await (await createHistory()).list();
+    expect(entries.map(entry => NYLATransferHistory.describe(entry))).toEqual([
+      'Request 3 ALGO as @carol on Algorand',
+      'Transfer 25 USDC to @Bob_99 on Ethereum',
+      'Swap 0.5 SOL for NYLA on Solana',
+      'Transfer 10 NYLA to @alice on Solana'
+    ]);
+    expect(NYLATransferHistory.getRepeatFields(entries[2])).toEqual({
+      action: 'swap', amount: '0.5', token: 'SOL', toToken: 'NYLA', chain: 'Solana', recipient: null
+    });
+  });
+
+  test('should export CSV that spreadsheets read as plain text', async () => {
+    const entries = await (await createHistory()).list();
+    const lines = NYLATransferHistory.toCSV(entries).trimEnd().split('\r\n');
+
+    expect(lines[0]).toBe('timestamp,action,amount,token,toToken,chain,recipient,delivery,command');
+    expect(lines).toHaveLength(5);
+    expect(lines[2]).toBe("2025-02-02T12:00:00.000Z,transfer,25,USDC,,Ethereum,Bob_99,qr,Hey @AgentNyla transfer 25 $USDC @Bob_99 Ethereum");
+    expect(NYLATransferHistory.escapeCSV('=SUM(A1)')).toBe("'=SUM(A1)");
+    expect(NYLATransferHistory.escapeCSV('a "b", c')).toBe('"a ""b"", c"');
+  });
+
+  test('should export JSON with all entries', async () => {
+    const entries = await (await createHistory()).list();
+    const exported = JSON.parse(NYLATransferHistory.toJSON(entries));
+    expect(exported.format).toBe('nylago-transfer-history');
+    expect(exported.version).toBe(1);
+    expect(exported.entries).toEqual(entries);
+    expect(NYLATransferHistory.getFileName('csv', new Date(start))).toBe('nylago-history-2025-01-31.csv');
+  });
+});
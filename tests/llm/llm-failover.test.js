@@ -0,0 +1,229 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+// The failover logs through the browser logger
+global.NYLALogger = { debug() {}, info() {}, warn() {}, error() {} };
+const { NYLACircuitBreaker, NYLALLMFailover } = require('../../pwa/js/nyla-llm-failover.js');
+
+/**
+ * Unit tests for the LLM failover chain and circuit breakers (no browser required)
+ */
+test.describe('NYLA LLM Failover', () => {
+  const { STATES } = NYLACircuitBreaker;
+
+  // Engine stub that fails a number of times before answering; with a signal it stops when aborted
+  function createEngine(name, { failures = 0, delayMs = 0 } = {}) {
+    const engine = {
+      calls: 0,
+      aborted: [],
+      async generate(signal = null) {
+        engine.calls++;
+        if (delayMs) {
+          await new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, delayMs);
+            signal?.addEventListener('abort', () => {
+              clearTimeout(timer);
+              engine.aborted.push(signal.reason.message);
+              reject(signal.reason);
+            });
+          });
+        }
+        if (engine.calls <= failures) throw new Error(`${name} unavailable`);
+        return { text: `answer from ${name}` };
+      }
+    };
+    return engine;
+  }
+
+  function createFailover(hosted, local, options = {}) {
+    return new NYLALLMFailover([
+      { name: 'hosted', label: () => 'Hosted LLM Proxy', getEngine: () => hosted, timeoutMs: 200, retries: 1, retryDelayMs: 1 },
+      { name: 'local', label: 'Local WebLLM', getEngine: () => local, timeoutMs: 200, retries: 0 }
+    ], options);
+  }
+
+  const task = engine => engine.generate();
+  const ragOnly = () => ({ text: 'excerpt' });
+
+  test('circuit breaker opens after repeated failures and allows one trial after the cooldown', () => {
+    let now = 0;
+    const breaker = new NYLACircuitBreaker({ failureThreshold: 2, cooldownMs: 1000, now: () => now });
+
+    breaker.recordFailure();
+    expect(breaker.canRequest()).toBe(true);
+    breaker.recordFailure();
+    expect(breaker.getStatus()).toEqual({ state: STATES.OPEN, failures: 2, retryAt: 1000 });
+    expect(breaker.canRequest()).toBe(false);
+
+    now = 1000;
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.state).toBe(STATES.HALF_OPEN);
+
+    // A failed trial reopens at once
+    breaker.recordFailure();
+    expect(breaker.getStatus()).toMatchObject({ state: STATES.OPEN, retryAt: 2000 });
+
+    now = 2000;
+    expect(breaker.canRequest()).toBe(true);
+    breaker.recordSuccess();
+    expect(breaker.getStatus()).toEqual({ state: STATES.CLOSED, failures: 0, retryAt: null });
+  });
+
+  test('should answer with the first engine and label it', async () => {
+    const hosted = createEngine('hosted');
+    const local = createEngine('local');
+    const { result, answeredBy, attempts } = await createFailover(hosted, local).run(task, ragOnly);
+
+    expect(result.text).toBe('answer from hosted');
+    expect(answeredBy).toEqual({ name: 'hosted', label: 'Hosted LLM Proxy' });
+    expect(attempts).toHaveLength(1);
+    expect(local.calls).toBe(0);
+  });
+
+  test('should retry before moving to the next engine', async () => {
+    const hosted = createEngine('hosted', { failures: 1 });
+    const { result, attempts } = await createFailover(hosted, createEngine('local')).run(task, ragOnly);
+
+    expect(result.text).toBe('answer from hosted');
+    expect(hosted.calls).toBe(2);
+    expect(attempts.map(attempt => attempt.error || 'ok')).toEqual(['hosted unavailable', 'ok']);
+  });
+
+  test('should fail over on errors and timeouts, then fall back to RAG-only', async () => {
+    const hosted = createEngine('hosted', { failures: 5 });
+    const local = createEngine('local', { delayMs: 400 });
+    const failover = createFailover(hosted, local);
+
+    const { result, answeredBy, attempts } = await failover.run(task, ragOnly);
+    expect(result).toEqual({ text: 'excerpt' });
+    expect(answeredBy).toEqual(NYLALLMFailover.RAG_ONLY);
+    expect(attempts.map(attempt => attempt.tier)).toEqual(['hosted', 'hosted', 'local']);
+    expect(attempts[2].error).toBe('local timed out after 200 ms');
+    expect(failover.getStatus().lastAnsweredBy).toEqual(NYLALLMFailover.RAG_ONLY);
+  });
+
+  test('should abort a timed-out attempt before the next engine starts', async () => {
+    const hosted = createEngine('hosted', { delayMs: 400 });
+    const local = createEngine('local');
+    const failover = createFailover(hosted, local);
+    let running = 0;
+    const calls = [];
+    const cancellable = async (engine, tierName, signal) => {
+      calls.push({ tierName, running });
+      running++;
+      try {
+        return await engine.generate(signal);
+      } finally {
+        running--;
+      }
+    };
+
+    const { answeredBy } = await failover.run(cancellable, ragOnly);
+    expect(answeredBy.name).toBe('local');
+    expect(hosted.aborted).toEqual(['hosted timed out after 200 ms', 'hosted timed out after 200 ms']);
+    expect(calls).toEqual([{ tierName: 'hosted', running: 0 }, { tierName: 'hosted', running: 0 }, { tierName: 'local', running: 0 }]);
+  });
+
+  test('should skip unavailable engines and engines with an open circuit', async () => {
+    const hosted = createEngine('hosted', { failures: 100 });
+    const local = createEngine('local');
+    const failover = createFailover(hosted, local, { breaker: { failureThreshold: 2, cooldownMs: 60000 } });
+
+    await failover.run(task, ragOnly);
+    await failover.run(task, ragOnly);
+    expect(failover.getStatus().breakers.hosted.state).toBe(STATES.OPEN);
+    expect(hosted.calls).toBe(4);
+
+    const { answeredBy, attempts } = await failover.run(task, ragOnly);
+    expect(answeredBy.name).toBe('local');
+    expect(attempts[0]).toEqual({ tier: 'hosted', skipped: 'circuit-open' });
+    expect(hosted.calls).toBe(4);
+
+    const withoutEngines = createFailover(null, null);
+    const fallback = await withoutEngines.run(task, ragOnly);
+    expect(fallback.attempts).toEqual([
+      { tier: 'hosted', skipped: 'unavailable' },
+      { tier: 'local', skipped: 'unavailable' }
+    ]);
+  });
+
+  test('should throw with the attempts when nothing answers and there is no fallback', async () => {
+    const failover = createFailover(createEngine('hosted', { failures: 5 }), null);
+    const error = await failover.run(task).catch(caught => caught);
+
+    expect(error.message).toBe('No LLM engine answered');
+    expect(error.attempts.map(attempt => attempt.skipped || attempt.error)).toEqual([
+      'hosted unavailable', 'hosted unavailable', 'unavailable'
+    ]);
+  });
+
+  test('should stop on abort without retries, fallback or a breaker failure', async () => {
+    const hosted = createEngine('hosted', { delayMs: 100 });
+    const local = createEngine('local');
+    const failover = createFailover(hosted, local, { breaker: { failureThreshold: 1 } });
+    let fallbackCalls = 0;
+    const fallback = () => { fallbackCalls++; return ragOnly(); };
+
+    // The engine ignores the signal; the chain still ends as soon as it is aborted
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+    const error = await failover.run(task, fallback, { signal: controller.signal }).catch(caught => caught);
+
+    expect(error.name).toBe('AbortError');
+    expect(hosted.calls).toBe(1);
+    expect(local.calls).toBe(0);
+    expect(fallbackCalls).toBe(0);
+    expect(failover.getStatus().breakers.hosted).toEqual({ state: STATES.CLOSED, failures: 0, retryAt: null });
+
+    // An already aborted signal starts nothing
+    await expect(failover.run(task, fallback, { signal: controller.signal })).rejects.toThrow('aborted');
+    expect(hosted.calls).toBe(1);
+
+    // An engine that takes the attempt's signal is stopped with it
+    const stopping = new AbortController();
+    setTimeout(() => stopping.abort(), 20);
+    await failover.run((engine, tierName, signal) => engine.generate(signal), fallback, { signal: stopping.signal }).catch(() => {});
+    expect(hosted.aborted).toEqual(['This operation was aborted']);
+    expect(fallbackCalls).toBe(0);
+  });
+
+  test('should skip the local engine when WebLLM is not loaded', () => {
+    // The conversation manager registers itself on window
+    Object.assign(global, { window: global });
+    Object.defineProperty(global, 'navigator', { value: { gpu: {} }, configurable: true });
+    try {
+      const NYLAConversationManagerV2 = require('../../pwa/js/nyla-conversation-v2.js');
+      const manager = Object.create(NYLAConversationManagerV2.prototype);
+      Object.assign(manager, { llmEngine: null, hostedLLM: {} });
+      expect(manager.getLocalFallbackLLM()).toBeNull();
+    } finally {
+      Reflect.deleteProperty(global, 'navigator');
+    }
+  });
+
+  test('should move a hosted session over its budget to the local model or RAG-only', async () => {
+    Object.assign(global, { window: global, NYLALLMFailover, NYLALLMConfig: { providers: { hosted: { name: 'Hosted LLM Proxy' } } } });
+    global.NYLALLMUsage = require('../../pwa/js/nyla-llm-usage.js');
+    Object.defineProperty(global, 'navigator', { value: { gpu: {} }, configurable: true });
+    try {
+      const NYLAConversationManagerV2 = require('../../pwa/js/nyla-conversation-v2.js');
+      const usage = new global.NYLALLMUsage({ storage: null, budgets: { day: { soft: 0.001, hard: 0.01 } } });
+      const hosted = Object.assign(createEngine('hosted'), { providerName: 'hosted', usage });
+      const local = Object.assign(createEngine('local'), { getStatus: () => ({ loading: false }) });
+      const manager = Object.create(NYLAConversationManagerV2.prototype);
+      Object.assign(manager, { hostedLLM: hosted, llmEngine: local });
+
+      usage.record({ provider: 'hosted', model: 'gpt-4o-mini', usage: { promptTokens: 10000, completionTokens: 0 } }); // $0.0015
+      expect((await manager.createLLMFailover().run(task, ragOnly)).answeredBy).toEqual({ name: 'local', label: 'Local WebLLM' });
+
+      usage.record({ provider: 'hosted', model: 'gpt-4o-mini', usage: { promptTokens: 100000, completionTokens: 0 } }); // $0.015
+      manager.llmEngine = null;
+      manager.initializeLocalLLM = () => {};
+      const { result, answeredBy } = await manager.createLLMFailover().run(task, ragOnly);
+      expect([result, answeredBy]).toEqual([{ text: 'excerpt' }, NYLALLMFailover.RAG_ONLY]);
+      expect(hosted.calls).toBe(0);
+    } finally {
+      Reflect.deleteProperty(global, 'navigator');
+    }
+  });
+});
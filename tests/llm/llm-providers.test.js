@@ -0,0 +1,313 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const http = require('http');
+
+const {
+  NYLALLMProvider,
+  NYLAHostedProxyProvider,
+  NYLAOpenAICompatibleProvider,
+  NYLAOllamaProvider
+} = require('../../pwa/js/nyla-llm-providers.js');
+
+/**
+ * Unit tests for the remote LLM provider adapters against a mock HTTP server (no browser required)
+ */
+test.describe('NYLA LLM Providers', () => {
+  /** @type {http.Server} */
+  let server;
+  let baseURL = '';
+  /** @type {Array<{ path: string, headers: Object, body: any }>} */
+  let requests = [];
+
+  // Streamed bodies are written in pieces that split lines, like real network chunks
+  async function writeChunks(res, body) {
+    for (let i = 0; i < body.length; i += 7) {
+      res.write(body.slice(i, i + 7));
+      await new Promise(resolve => setTimeout(resolve, 1));
+    }
+    res.end();
+  }
+
+  function sendJSON(res, status, json) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(json));
+  }
+
+  async function handle(req, res, body) {
+    requests.push({ path: req.url, headers: req.headers, body });
+
+    switch (req.url) {
+      case '/v1/models':
+        return sendJSON(res, 200, { data: [{ id: 'llama3.1-8b' }, { id: 'qwen2.5-7b' }] });
+
+      case '/v1/chat/completions':
+        if (req.headers.authorization !== 'Bearer secret') {
+          return sendJSON(res, 401, { error: 'invalid api key' });
+        }
+        if (!body.stream) {
+          return sendJSON(res, 200, {
+            model: body.model,
+            choices: [{ message: { role: 'assistant', content: 'NYLA Go supports Solana.' } }],
+            usage: { prompt_tokens: 42, completion_tokens: 6 }
+          });
+        }
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        return writeChunks(res, [
+          ...['NYLA ', 'Go ', 'supports ', 'Solana.'].map(content =>
+            `data: ${JSON.stringify({ model: body.model, choices: [{ delta: { content } }] })}\n\n`),
+          `data: ${JSON.stringify({ choices: [], usage: { prompt_tokens: 42, completion_tokens: 4 } })}\n\n`,
+          'data: [DONE]\n\n'
+        ].join(''));
+
+      case '/api/tags':
+        return sendJSON(res, 200, { models: [{ name: 'llama3.2:3b' }] });
+
+      case '/api/chat':
+        if (!body.stream) {
+          return sendJSON(res, 200, {
+            model: body.model,
+            message: { role: 'assistant', content: 'Hello from Ollama' },
+            done: true,
+            prompt_eval_count: 30,
+            eval_count: 3
+          });
+        }
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+        return writeChunks(res, [
+          { model: body.model, message: { content: 'Hello ' }, done: false },
+          { model: body.model, message: { content: 'from Ollama' }, done: false },
+          { model: body.model, message: { content: '' }, done: true, prompt_eval_count: 30, eval_count: 2 }
+        ].map(chunk => JSON.stringify(chunk) + '\n').join(''));
+
+      case '/v1/slow/api/chat':
+        // Starts streaming, then waits for the client to hang up
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+        res.write(JSON.stringify({ model: body.model, message: { content: 'Partial ' }, done: false }) + '\n');
+        return;
+
+      case '/v1/health':
+        return sendJSON(res, 200, { status: 'ok' });
+
+      case '/v1/infer':
+        return sendJSON(res, 200, { answer: 'Proxy answer', followups: ['What is NYLA?'], usage: { prompt_tokens: 10, completion_tokens: 2 } });
+
+      case '/v1/infer/stream':
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        return writeChunks(res, [
+          `event: token\ndata: ${JSON.stringify('Proxy ')}\n\n`,
+          `event: token\ndata: ${JSON.stringify('answer')}\n\n`,
+          'event: meta\ndata: {"tokens_used":32,"prompt_tokens":30,"completion_tokens":2,"model":"gpt-4o-mini-2024-07-18","latency_ms":90}\n\n'
+        ].join(''));
+
+      default:
+        return sendJSON(res, 404, { error: 'not found' });
+    }
+  }
+
+  test.beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', () => handle(req, res, raw ? JSON.parse(raw) : null));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(undefined)));
+    const address = /** @type {import('net').AddressInfo} */ (server.address());
+    baseURL = `http://127.0.0.1:${address.port}`;
+  });
+
+  test.afterAll(async () => {
+    await new Promise(resolve => server.close(() => resolve(undefined)));
+  });
+
+  test.beforeEach(() => {
+    requests = [];
+  });
+
+  const request = {
+    query: 'Which chains does NYLA Go support?',
+    context: ['NYLA Go supports Solana, Ethereum and Algorand.'],
+    systemPrompt: 'Answer in English.',
+    params: { max_tokens: 100 }
+  };
+
+  test('should normalise base URLs and validate settings', () => {
+    expect(NYLALLMProvider.normalizeBaseURL(' http://localhost:8000/v1/ ')).toBe('http://localhost:8000');
+    expect(NYLALLMProvider.normalizeBaseURL('http://localhost:11434//')).toBe('http://localhost:11434');
+
+    expect(NYLALLMProvider.validateSettings({ baseURL: 'http://localhost:11434', model: 'llama3.2:3b' }))
+      .toEqual({ valid: true, errors: {} });
+    expect(NYLALLMProvider.validateSettings({ baseURL: 'localhost:11434', model: 'llama 3' })).toEqual({
+      valid: false,
+      errors: { baseURL: NYLALLMProvider.MESSAGES.baseURLInvalid, model: NYLALLMProvider.MESSAGES.modelInvalid }
+    });
+    expect(NYLALLMProvider.validateSettings({ baseURL: 'ftp://example.com' }).valid).toBe(false);
+  });
+
+  test('should create adapters by type', () => {
+    expect(NYLALLMProvider.create('proxy', { baseURL })).toBeInstanceOf(NYLAHostedProxyProvider);
+    expect(NYLALLMProvider.create('openai', { baseURL })).toBeInstanceOf(NYLAOpenAICompatibleProvider);
+    expect(NYLALLMProvider.create('ollama', { baseURL })).toBeInstanceOf(NYLAOllamaProvider);
+    expect(() => NYLALLMProvider.create('anthropic', { baseURL })).toThrow('Unknown LLM provider type "anthropic"');
+  });
+
+  test('should build chat messages from the prompt, language rule and knowledge', () => {
+    const messages = NYLALLMProvider.toChatMessages(request);
+    expect(messages).toHaveLength(2);
+    expect(messages[0].role).toBe('system');
+    expect(messages[0].content).toBe([NYLALLMProvider.SYSTEM_PROMPT, 'Answer in English.', request.context[0]].join('\n\n'));
+    expect(messages[1]).toEqual({ role: 'user', content: request.query });
+  });
+
+  test('OpenAI-compatible: health check lists models and picks the first', async () => {
+    const provider = new NYLAOpenAICompatibleProvider({ baseURL: `${baseURL}/v1`, apiKey: 'secret' });
+    const health = await provider.health();
+
+    expect(health.ok).toBe(true);
+    expect(health.models).toEqual(['llama3.1-8b', 'qwen2.5-7b']);
+    expect(provider.model).toBe('llama3.1-8b');
+    expect(provider.capabilities()).toMatchObject({ streaming: true, local: false, models: health.models });
+  });
+
+  test('OpenAI-compatible: generates with the API key and maps usage', async () => {
+    const provider = new NYLAOpenAICompatibleProvider({ baseURL, model: 'qwen2.5-7b', apiKey: 'secret' });
+    const result = await provider.generate(request);
+
+    expect(result).toEqual({
+      text: 'NYLA Go supports Solana.',
+      followups: [],
+      usage: { promptTokens: 42, completionTokens: 6 },
+      model: 'qwen2.5-7b'
+    });
+    expect(requests[0].body).toMatchObject({ model: 'qwen2.5-7b', max_tokens: 100, temperature: 0.3, stream: false });
+
+    const unauthorized = new NYLAOpenAICompatibleProvider({ baseURL, model: 'qwen2.5-7b' });
+    await expect(unauthorized.generate(request)).rejects.toThrow('HTTP 401');
+    await expect(new NYLAOpenAICompatibleProvider({ baseURL }).generate(request))
+      .rejects.toThrow(NYLALLMProvider.MESSAGES.modelMissing);
+  });
+
+  test('OpenAI-compatible: streams deltas split across chunks', async () => {
+    const provider = new NYLAOpenAICompatibleProvider({ baseURL, model: 'qwen2.5-7b', apiKey: 'secret' });
+    const tokens = [];
+    const result = await provider.stream(request, token => tokens.push(token));
+
+    expect(tokens).toEqual(['NYLA ', 'Go ', 'supports ', 'Solana.']);
+    expect(result).toEqual({
+      text: 'NYLA Go supports Solana.',
+      followups: [],
+      usage: { promptTokens: 42, completionTokens: 4 },
+      model: 'qwen2.5-7b'
+    });
+  });
+
+  test('Ollama: health check, generate and NDJSON streaming', async () => {
+    const provider = new NYLAOllamaProvider({ baseURL });
+    const health = await provider.health();
+    expect(health).toMatchObject({ ok: true, models: ['llama3.2:3b'] });
+    expect(provider.model).toBe('llama3.2:3b');
+    expect(provider.capabilities().local).toBe(true);
+
+    const result = await provider.generate(request);
+    expect(result).toEqual({
+      text: 'Hello from Ollama',
+      followups: [],
+      usage: { promptTokens: 30, completionTokens: 3 },
+      model: 'llama3.2:3b'
+    });
+    expect(requests[1].body.options).toEqual({ num_predict: 100, temperature: 0.3, top_p: 0.9 });
+
+    const tokens = [];
+    const streamed = await provider.stream(request, token => tokens.push(token));
+    expect(tokens).toEqual(['Hello ', 'from Ollama']);
+    expect(streamed.usage).toEqual({ promptTokens: 30, completionTokens: 2 });
+  });
+
+  test('Hosted proxy: sends the proxy request and reads token events', async () => {
+    const provider = new NYLAHostedProxyProvider({ baseURL, model: 'gpt-4o-mini' });
+    expect((await provider.health()).ok).toBe(true);
+    expect(provider.model).toBe('gpt-4o-mini');
+
+    const proxyRequest = { ...request, language: 'en', sessionId: 'session-1', correlationId: 'corr-1' };
+    const result = await provider.generate(proxyRequest);
+    expect(result).toEqual({
+      text: 'Proxy answer',
+      followups: ['What is NYLA?'],
+      usage: { promptTokens: 10, completionTokens: 2 },
+      model: 'gpt-4o-mini'
+    });
+    expect(requests[1].body).toMatchObject({
+      user_query: request.query,
+      context: request.context,
+      ab: 'cloud',
+      session_id: 'session-1',
+      tenant_id: 'nyla-pwa',
+      language_preference: 'en',
+      system_prompt: 'Answer in English.'
+    });
+    expect(requests[1].headers['x-correlation-id']).toBe('corr-1');
+
+    const tokens = [];
+    const streamed = await provider.stream(proxyRequest, token => tokens.push(token));
+    expect(tokens).toEqual(['Proxy ', 'answer']);
+    expect(streamed).toEqual({ text: 'Proxy answer', followups: [], usage: { promptTokens: 30, completionTokens: 2 }, model: 'gpt-4o-mini-2024-07-18' });
+
+    // Proxies that only report the total split it with the streamed token count
+    expect(NYLAHostedProxyProvider.readUsage({ tokens_used: 32, model: 'gpt-4o-mini' }, 2)).toEqual({ promptTokens: 30, completionTokens: 2 });
+    expect(NYLAHostedProxyProvider.readUsage({ model: 'gpt-4o-mini' }, 2)).toBeNull();
+  });
+
+  test('should stop a stream when the request signal is aborted', async () => {
+    const provider = new NYLAOllamaProvider({ baseURL: `${baseURL}/v1/slow`, model: 'llama3.2:3b' });
+    const controller = new AbortController();
+    const tokens = [];
+    const streaming = provider.stream({ ...request, signal: controller.signal }, token => {
+      tokens.push(token);
+      controller.abort();
+    });
+
+    await expect(streaming).rejects.toMatchObject({ name: 'AbortError' });
+    expect(tokens).toEqual(['Partial ']);
+  });
+
+  test('should report unreachable servers separately from HTTP errors', async () => {
+    const missing = await new NYLAOllamaProvider({ baseURL: `${baseURL}/missing` }).health();
+    expect(missing).toMatchObject({ ok: false, unreachable: false, models: [] });
+    expect(missing.error).toContain('HTTP 404');
+
+    // Nothing listens on port 9 (discard) in the test environment
+    const offline = await new NYLAOllamaProvider({ baseURL: 'http://127.0.0.1:9' }).health();
+    expect(offline).toMatchObject({ ok: false, unreachable: true });
+  });
+
+  test('Config: only an error from the server falls back, and the API key stays masked', async () => {
+    // The config manager is a browser global reading localStorage and the page location
+    const storage = new Map();
+    Object.assign(global, {
+      window: global,
+      location: { hostname: 'localhost', search: '' },
+      localStorage: { getItem: key => storage.get(key) ?? null, setItem: (key, value) => storage.set(key, value) },
+      NYLALogger: { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} },
+      NYLALLMProvider
+    });
+    const NYLALLMConfig = require('../../pwa/js/nyla-llm-config.js');
+    const config = new NYLALLMConfig();
+
+    config.providers.ollama.baseURL = 'http://127.0.0.1:9';
+    expect(await config.resolveProvider('ollama')).toBeInstanceOf(NYLAOllamaProvider);
+    config.providers.ollama.baseURL = `${baseURL}/missing`;
+    expect(await config.resolveProvider('ollama')).toBeNull();
+
+    const apiKey = 'sk-test-0123456789abcd';
+    expect(config.updateProviderSettings('openai', { baseURL, model: 'gpt-test', apiKey }).valid).toBe(true);
+    const settings = config.getProviderSettings('openai');
+    expect(settings.apiKey).toBe('••••••••abcd');
+    expect(JSON.stringify(config.getConfigForUI())).not.toContain(apiKey);
+
+    // Saving the form back with the mask keeps the key; clearing the field removes it
+    config.updateProviderSettings('openai', { ...settings, model: 'gpt-other' });
+    expect(config.providers.openai).toMatchObject({ apiKey, model: 'gpt-other' });
+    expect(config.withSavedApiKey('openai', settings).apiKey).toBe(apiKey);
+    config.updateProviderSettings('openai', { ...settings, apiKey: '' });
+    expect(config.getProviderSettings('openai').apiKey).toBe('');
+  });
+});
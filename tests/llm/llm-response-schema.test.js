@@ -0,0 +1,92 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+// The schema logs through the browser logger
+global.NYLALogger = { debug() {}, info() {}, warn() {}, error() {} };
+const NYLALLMResponseSchema = require('../../pwa/js/nyla-llm-response-schema.js');
+
+/**
+ * Unit tests for the LLM response contract, its repair pass and failure reports (no browser required)
+ */
+test.describe('NYLA LLM Response Schema', () => {
+  const defaults = { sentiment: 'helpful', followUpSuggestions: [], citations: [], confidence: 0.7 };
+
+  test('should accept a valid JSON answer without repairs', () => {
+    const { response, report } = new NYLALLMResponseSchema().parse(
+      '{"text": "NYLA runs on Solana.", "sentiment": "informative", "followUpSuggestions": ["How do I send?"], "confidence": 0.9}'
+    );
+
+    expect(response).toEqual({
+      text: 'NYLA runs on Solana.',
+      sentiment: 'informative',
+      followUpSuggestions: ['How do I send?'],
+      citations: [],
+      confidence: 0.9
+    });
+    expect(report).toEqual({ source: 'json', parseError: null, repairs: [], errors: [], remaining: [], valid: true });
+  });
+
+  test('should repair broken JSON and coerce fields, listing every repair', () => {
+    const { response, report } = new NYLALLMResponseSchema().parse(
+      '```json\n{"text": "Line one\nLine two", "sentiment": "cheerful", "followUpSuggestions": ["a", "b",], "confidence": "0.8", "extra": 1}\n```'
+    );
+
+    expect(response).toEqual({ ...defaults, text: 'Line one\nLine two', followUpSuggestions: ['a', 'b'], confidence: 0.8 });
+    expect(report.source).toBe('repaired-json');
+    expect(report.parseError).toContain('Bad control character');
+    expect(report.repairs.map(repair => `${repair.path}: ${repair.action}`)).toEqual([
+      ': escaped line breaks in strings',
+      ': removed trailing commas',
+      'extra: dropped unknown field',
+      'sentiment: dropped "cheerful", not one of helpful, excited, friendly, informative, neutral, apologetic, empathetic',
+      'sentiment: replaced with the default',
+      'confidence: converted to a number'
+    ]);
+    expect(report.errors.map(error => error.path)).toEqual(['sentiment', 'confidence', 'extra']);
+    expect(report.valid).toBe(true);
+  });
+
+  test('should close truncated JSON and salvage fields from JSON that cannot be repaired', () => {
+    const schema = new NYLALLMResponseSchema();
+    const truncated = schema.parse('{"text": "Open the Send tab and pick a token", "followUpSuggestions": ["What are the fees');
+    expect(truncated.response).toEqual({ ...defaults, text: 'Open the Send tab and pick a token', followUpSuggestions: ['What are the fees'] });
+    expect(truncated.report.repairs.map(repair => repair.action)).toEqual(['closed an unterminated string', 'closed truncated JSON']);
+
+    // Unescaped quotes and a missing comma
+    const salvaged = schema.parse('{"text": "Use the "Send" tab to transfer.", "sentiment": "friendly" "confidence": 0.9}');
+    expect(salvaged.response).toEqual({ ...defaults, text: 'Use the "Send" tab to transfer.', sentiment: 'friendly' });
+    expect(salvaged.report).toMatchObject({ source: 'salvaged', valid: true });
+  });
+
+  test('should accept plain text and shorten long or repeated answers', () => {
+    expect(new NYLALLMResponseSchema().parse('Just a plain answer.')).toEqual({
+      response: { ...defaults, text: 'Just a plain answer.' },
+      report: { source: 'plain-text', parseError: null, repairs: [], errors: [], remaining: [], valid: true }
+    });
+
+    const schema = new NYLALLMResponseSchema({ maxTextLength: 60, maxFollowUps: 2 });
+    const long = schema.repair({ text: 'First sentence is here. Second sentence is also here. Third one pushes it over.', followUpSuggestions: ['a', 'b', 'c'], confidence: 3 });
+    expect(long.response).toMatchObject({ text: 'First sentence is here. Second sentence is also here.', followUpSuggestions: ['a', 'b'], confidence: 1 });
+    expect(long.report.repairs.map(repair => repair.path)).toEqual(['text', 'followUpSuggestions', 'confidence']);
+
+    const repeated = schema.repair({ text: 'NYLA is great. NYLA is great. NYLA is great. NYLA is great. NYLA is great.' });
+    expect(repeated.response.text).toBe('NYLA is great. NYLA is great.');
+    expect(repeated.report.repairs).toEqual([{ path: 'text', action: 'removed repeated text' }]);
+  });
+
+  test('should report answers that stay invalid after repair', () => {
+    const schema = new NYLALLMResponseSchema();
+    expect(schema.parse('{"sentiment": "helpful"}').report).toMatchObject({
+      source: 'json',
+      remaining: [{ path: 'text', message: 'is required' }],
+      valid: false
+    });
+    expect(schema.parse('').report).toMatchObject({ source: 'empty', valid: false });
+    expect(schema.validate({ text: ' ', sentiment: 'angry', citations: [{ number: 0 }], confidence: 2 })).toEqual([
+      { path: 'text', message: 'must not be empty' },
+      { path: 'sentiment', message: 'must be one of helpful, excited, friendly, informative, neutral, apologetic, empathetic' },
+      { path: 'citations[0].number', message: 'must be at least 1' },
+      { path: 'confidence', message: 'must be at most 1' }
+    ]);
+  });
+});
@@ -0,0 +1,82 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+// The usage tracker logs through the browser logger
+global.NYLALogger = { debug() {}, info() {}, warn() {}, error() {} };
+const NYLALLMUsage = require('../../pwa/js/nyla-llm-usage.js');
+
+/**
+ * Unit tests for the remote LLM token, cost and budget accounting (no browser required)
+ */
+test.describe('NYLA LLM Usage', () => {
+  const createStorage = () => {
+    const items = new Map();
+    return {
+      getItem: key => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => items.set(key, String(value))
+    };
+  };
+  const at = day => () => new Date(`${day}T12:00:00`).getTime();
+
+  test('should count reported tokens and price them per model', () => {
+    const usage = new NYLALLMUsage({ storage: createStorage(), now: at('2026-10-19') });
+
+    expect(usage.record({ provider: 'hosted', model: 'gpt-4o-mini-2024-07-18', usage: { promptTokens: 2000, completionTokens: 500 } }))
+      .toEqual({ model: 'gpt-4o-mini-2024-07-18', promptTokens: 2000, completionTokens: 500, estimated: false, cost: 0.0006, budget: 'ok' });
+    usage.record({ provider: 'openai', model: 'gpt-4o', usage: { promptTokens: 1000, completionTokens: 100 } });
+
+    const session = usage.getSession();
+    expect(session).toMatchObject({ requests: 2, promptTokens: 3000, completionTokens: 600, estimatedRequests: 0 });
+    expect(session.cost).toBeCloseTo(0.0041, 10);
+    expect(Object.keys(session.models)).toEqual(['gpt-4o-mini-2024-07-18', 'gpt-4o']);
+  });
+
+  test('should estimate tokens when the provider reports none, and not charge for Ollama', () => {
+    expect(NYLALLMUsage.estimateTokens('NYLA runs on Solana.')).toBe(5);
+    expect(NYLALLMUsage.estimateTokens('旺柴合約')).toBe(4);
+
+    const usage = new NYLALLMUsage({ storage: createStorage(), now: at('2026-10-19') });
+    expect(usage.record({ provider: 'hosted', model: 'gpt-4o-mini', usage: null, prompt: [undefined, 'a'.repeat(400), 'What is NYLA?'], completion: 'b'.repeat(80) }))
+      .toMatchObject({ promptTokens: 104, completionTokens: 20, estimated: true });
+    expect(usage.record({ provider: 'ollama', model: 'llama3.2', usage: { promptTokens: 5000, completionTokens: 900 } }))
+      .toMatchObject({ cost: 0 });
+    expect(NYLALLMUsage.priceFor('my-finetune', 'openai')).toEqual({ prompt: 0.15, completion: 0.6, estimated: true });
+    expect(usage.getSession().estimatedRequests).toBe(1);
+  });
+
+  test('should keep daily totals across sessions and start a new day at midnight', () => {
+    const storage = createStorage();
+    let now = at('2026-10-19');
+    const first = new NYLALLMUsage({ storage, now: () => now() });
+    first.record({ provider: 'hosted', model: 'gpt-4o-mini', usage: { promptTokens: 100, completionTokens: 10 } });
+
+    const second = new NYLALLMUsage({ storage, now: () => now() });
+    second.record({ provider: 'hosted', model: 'gpt-4o-mini', usage: { promptTokens: 200, completionTokens: 20 } });
+    expect(second.getSession()).toMatchObject({ requests: 1, promptTokens: 200 });
+    expect(second.getDay()).toMatchObject({ requests: 2, promptTokens: 300, completionTokens: 30 });
+
+    now = at('2026-10-20');
+    expect(second.getDay()).toMatchObject({ requests: 0, cost: 0 });
+    expect(second.getDay('2026-10-19')).toMatchObject({ requests: 2 });
+  });
+
+  test('should reach the soft and hard budgets and keep configured budgets', () => {
+    const storage = createStorage();
+    const usage = new NYLALLMUsage({ storage, now: at('2026-10-19') });
+    expect(usage.budgets).toEqual(NYLALLMUsage.DEFAULT_BUDGETS);
+
+    usage.setBudgets({ session: { soft: 0.001 }, day: { hard: 0.002 } });
+    expect(new NYLALLMUsage({ storage }).budgets).toEqual({ session: { soft: 0.001, hard: null }, day: { soft: 0.05, hard: 0.002 } });
+
+    const answer = { provider: 'hosted', model: 'gpt-4o-mini', usage: { promptTokens: 4000, completionTokens: 1000 } }; // $0.0012
+    expect(usage.record(answer).budget).toBe('soft');
+    expect(usage.checkBudget().exceeded).toEqual([{ scope: 'session', level: 'soft', limit: 0.001, cost: expect.any(Number) }]);
+
+    expect(usage.record(answer).budget).toBe('hard');
+    expect(usage.checkBudget().exceeded.map(item => `${item.scope}:${item.level}`)).toEqual(['session:soft', 'day:hard']);
+
+    // A new session is still over the daily budget
+    usage.resetSession();
+    expect(usage.checkBudget()).toMatchObject({ level: 'hard', exceeded: [{ scope: 'day', level: 'hard' }] });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Regenerates the QR scanner fixture images in this directory
+ * Usage: node tests/qr/fixtures/generate-fixtures.js
+ *
+ * Each symbol is rendered through a perspective transform with anti-aliased edges,
+ * uneven lighting and sensor-like noise so the scanner is exercised on camera-like input.
+ */
+
+const fs = require('fs');
+const path = require('path');
+global.SimpleQR = require('../../../qr-simple.js');
+const NYLACommandGrammar = require('../../../pwa/js/nyla-command-grammar.js');
+global.NYLACommandGrammar = NYLACommandGrammar;
+const NYLAPaymentRequest = require('../../../pwa/js/nyla-payment-request.js');
+const SimpleQRReader = require('../../../pwa/lib/qr-reader.js');
+const { writeGreyPNG } = require('../png.js');
+
+const FIXTURES = [
+  {
+    file: 'intent-transfer.png',
+    text: NYLACommandGrammar.buildIntentURL(NYLACommandGrammar.addSignature(
+      NYLACommandGrammar.buildTransfer({ amount: '25', token: 'NYLA', recipient: 'alice', chain: 'Ethereum' }))),
+    width: 320,
+    height: 320,
+    // Upright, as saved from the Receive tab
+    corners: [[20, 20], [300, 20], [300, 300], [20, 300]],
+    lighting: 0,
+    noise: 0
+  },
+  {
+    file: 'payment-request-rotated.png',
+    text: NYLAPaymentRequest.toURL({ recipient: 'bob', amount: '0.5', token: 'SOL', memo: 'Lunch', invoiceId: 'INV-7' }),
+    width: 360,
+    height: 360,
+    // Rotated by about 20 degrees, dimly and unevenly lit
+    corners: [[85, 25], [345, 120], [250, 380], [-10, 285]],
+    lighting: 90,
+    noise: 24
+  },
+  {
+    file: 'intent-perspective.png',
+    text: NYLACommandGrammar.buildIntentURL(
+      NYLACommandGrammar.buildTransfer({ amount: '100', token: 'ALGO', recipient: 'carol', chain: 'Algorand' })),
+    width: 400,
+    height: 320,
+    // Phone held at an angle: the far edge is shorter
+    corners: [[70, 30], [330, 50], [360, 300], [40, 290]],
+    lighting: 60,
+    noise: 16
+  }
+];
+
+// Deterministic noise so regenerated fixtures are byte-identical
+function random(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 0x100000000;
+  };
+}
+
+function render({ text, width, height, corners, lighting, noise }, seed) {
+  const qr = SimpleQR.encode(text);
+  const total = qr.size + SimpleQR.QUIET_ZONE * 2;
+  // Image pixel -> module coordinate (including quiet zone)
+  const toModule = SimpleQRReader.perspectiveTransform(
+    corners,
+    [{ x: 0, y: 0 }, { x: total, y: 0 }, { x: total, y: total }, { x: 0, y: total }]
+  );
+  const isDark = (u, v) => {
+    const x = Math.floor(u) - SimpleQR.QUIET_ZONE;
+    const y = Math.floor(v) - SimpleQR.QUIET_ZONE;
+    return x >= 0 && y >= 0 && x < qr.size && y < qr.size && qr.modules[y][x];
+  };
+  const inSymbol = (u, v) => u >= 0 && v >= 0 && u < total && v < total;
+
+  const rand = random(seed);
+  const grey = new Uint8Array(width * height);
+  const samples = 3;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let value = 0;
+      for (let sy = 0; sy < samples; sy++) {
+        for (let sx = 0; sx < samples; sx++) {
+          const { x: u, y: v } = toModule(x + (sx + 0.5) / samples, y + (sy + 0.5) / samples);
+          // Grey table outside the printed code, white paper inside
+          value += isDark(u, v) ? 30 : inSymbol(u, v) ? 235 : 170;
+        }
+      }
+      value /= samples * samples;
+      value -= lighting * (x / width + y / height) / 2;
+      value += (rand() - 0.5) * noise;
+      // Coarse grey levels keep the committed PNGs small
+      grey[y * width + x] = Math.max(0, Math.min(255, Math.round(value / 8) * 8));
+    }
+  }
+  return grey;
+}
+
+FIXTURES.forEach((fixture, index) => {
+  const png = writeGreyPNG(render(fixture, index + 1), fixture.width, fixture.height);
+  fs.writeFileSync(path.join(__dirname, fixture.file), png);
+  console.log(`${fixture.file}: ${fixture.text}`);
+});
+
+// An image without a QR code: diagonal stripes of blocks that contain no finder patterns
+const blank = new Uint8Array(200 * 200);
+for (let i = 0; i < blank.length; i++) {
+  const block = Math.floor((i % 200) / 10) + Math.floor(i / 2000);
+  blank[i] = block % 3 === 0 ? 60 : 200;
+}
+fs.writeFileSync(path.join(__dirname, 'no-code.png'), writeGreyPNG(blank, 200, 200));
+console.log('no-code.png');
@@ -0,0 +1,49 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+// The card renderer uses these as browser globals
+global.SimpleQR = require('../../qr-simple.js');
+global.NYLACommandGrammar = require('../../pwa/js/nyla-command-grammar.js');
+const NYLAPaymentCard = require('../../pwa/js/nyla-payment-card.js');
+const { decodeMatrix } = require('./qr-matrix-decoder.js');
+
+/**
+ * Unit tests for the Receive-tab payment card export (no browser required)
+ */
+test.describe('NYLA Payment Card', () => {
+  const command = NYLACommandGrammar.buildReceive({ amount: '25', token: 'NYLA', username: 'alice', chain: 'Ethereum' });
+  const request = { url: NYLACommandGrammar.buildIntentURL(command), amount: '25', token: 'NYLA', chain: 'Ethereum', username: 'alice' };
+
+  test('should show the payment details and branding', () => {
+    const svg = NYLAPaymentCard.buildSVG(request);
+    expect(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg" width="400" height="600"')).toBe(true);
+    for (const text of ['NYLA Go', 'Payment Request', '25 $NYLA', 'on Ethereum', 'Pay @alice', 'Sent via #NYLAGo']) {
+      expect(svg).toContain(`>${text}</text>`);
+    }
+  });
+
+  test('should embed a QR code that decodes to the request URL', () => {
+    const svg = NYLAPaymentCard.buildSVG(request);
+    const [, viewBox, path] = svg.match(/viewBox="0 0 (\d+) \d+" shape-rendering="crispEdges"><path d="([^"]+)"/) || [];
+    const size = Number(viewBox) - SimpleQR.QUIET_ZONE * 2;
+
+    const modules = Array.from({ length: size }, () => Array(size).fill(false));
+    for (const [, x, y] of path.matchAll(/M(\d+),(\d+)h1v1h-1z/g)) {
+      modules[Number(y) - SimpleQR.QUIET_ZONE][Number(x) - SimpleQR.QUIET_ZONE] = true;
+    }
+    expect(decodeMatrix(modules, SimpleQR).text).toBe(request.url);
+  });
+
+  test('should escape user-provided text', () => {
+    const svg = NYLAPaymentCard.buildSVG({ ...request, amount: '1<script>', username: 'a&b' });
+    expect(svg).toContain('>1&lt;script&gt; $NYLA</text>');
+    expect(svg).toContain('>Pay @a&amp;b</text>');
+    expect(svg).not.toContain('<script>');
+  });
+
+  test('should name exported files after the request', () => {
+    expect(NYLAPaymentCard.getFileName(request, 'png')).toBe('nyla-payment-alice-25-NYLA.png');
+    expect(NYLAPaymentCard.getFileName({ amount: '0.5', token: 'SOL', username: '@bob/..' }, 'svg'))
+      .toBe('nyla-payment-bob_..-0.5-SOL.svg');
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Minimal PNG reader/writer for QR scanner fixtures
+ * Supports 8-bit greyscale, RGB and RGBA, non-interlaced - enough to load fixture
+ * images into ImageData-shaped objects ({ data, width, height }) without a browser.
+ */
+
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 0: 1, 2: 3, 6: 4 };
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * @param {Buffer} file - PNG file contents
+ * @returns {{ data: Uint8ClampedArray, width: number, height: number }} RGBA pixels
+ */
+function readPNG(file) {
+  if (!file.subarray(0, 8).equals(SIGNATURE)) throw new Error('Not a PNG file');
+
+  let offset = 8;
+  let header = null;
+  const idat = [];
+  while (offset < file.length) {
+    const length = file.readUInt32BE(offset);
+    const type = file.toString('ascii', offset + 4, offset + 8);
+    const body = file.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = { width: body.readUInt32BE(0), height: body.readUInt32BE(4), depth: body[8], colorType: body[9], interlace: body[12] };
+    } else if (type === 'IDAT') {
+      idat.push(body);
+    }
+    offset += 12 + length;
+  }
+
+  const { width, height, depth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  if (depth !== 8 || !channels || interlace) throw new Error('Unsupported PNG format');
+
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const stride = width * channels;
+  const pixels = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    for (let x = 0; x < stride; x++) {
+      const value = raw[y * (stride + 1) + 1 + x];
+      const left = x >= channels ? pixels[y * stride + x - channels] : 0;
+      const up = y > 0 ? pixels[(y - 1) * stride + x] : 0;
+      const upLeft = y > 0 && x >= channels ? pixels[(y - 1) * stride + x - channels] : 0;
+      const predictor = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)][filter];
+      pixels[y * stride + x] = (value + predictor) & 0xff;
+    }
+  }
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const pixel = pixels.subarray(i * channels, i * channels + channels);
+    data[i * 4] = pixel[0];
+    data[i * 4 + 1] = channels >= 3 ? pixel[1] : pixel[0];
+    data[i * 4 + 2] = channels >= 3 ? pixel[2] : pixel[0];
+    data[i * 4 + 3] = channels === 4 ? pixel[3] : 255;
+  }
+  return { data, width, height };
+}
+
+/**
+ * Encode greyscale pixels as a PNG
+ * @param {Uint8Array} grey - One byte per pixel, row-major
+ */
+function writeGreyPNG(grey, width, height) {
+  const raw = Buffer.alloc((width + 1) * height);
+  for (let y = 0; y < height; y++) {
+    grey.subarray(y * width, (y + 1) * width).forEach((value, x) => {
+      raw[y * (width + 1) + 1 + x] = value;
+    });
+  }
+
+  const chunk = (type, body) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(body.length);
+    const typed = Buffer.concat([Buffer.from(type, 'ascii'), body]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typed));
+    return Buffer.concat([length, typed, crc]);
+  };
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 0;
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+module.exports = { readPNG, writeGreyPNG };
@@ -0,0 +1,106 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const SimpleQR = require('../../qr-simple.js');
+const PWASimpleQR = require('../../pwa/lib/qr-simple.js');
+const NYLACommandGrammar = require('../../pwa/js/nyla-command-grammar.js');
+const { decodeMatrix } = require('./qr-matrix-decoder.js');
+
+/**
+ * Unit tests for the offline QR encoder (no browser required)
+ * Encoded symbols are decoded again with an independent reference decoder.
+ */
+test.describe('SimpleQR encoder', () => {
+  const decode = (modules) => decodeMatrix(modules, SimpleQR);
+
+  // Longest byte-mode payload that fits a version at an error correction level
+  const maxBytes = (version, ecc) =>
+    Math.floor((SimpleQR.getNumDataCodewords(version, SimpleQR.ECC[ecc]) * 8 - 4 - SimpleQR.characterCountBits(version)) / 8);
+
+  test('should match the standard data capacities', () => {
+    expect(SimpleQR.getNumDataCodewords(1, SimpleQR.ECC.H)).toBe(9);
+    expect(SimpleQR.getNumDataCodewords(10, SimpleQR.ECC.M)).toBe(216);
+    expect(SimpleQR.getNumDataCodewords(40, SimpleQR.ECC.L)).toBe(2956);
+    expect(maxBytes(40, 'H')).toBe(1273);
+  });
+
+  test('should encode a receive command URL at level H', () => {
+    const command = NYLACommandGrammar.buildReceive({ amount: '10', token: 'NYLA', username: 'alice', chain: 'Algorand' });
+    const url = NYLACommandGrammar.buildIntentURL(command);
+    const qr = SimpleQR.encode(url);
+
+    expect(qr.ecc).toBe('H');
+    expect(qr.size).toBe(qr.version * 4 + 17);
+
+    const decoded = decode(qr.modules);
+    expect(decoded).toMatchObject({ text: url, version: qr.version, ecc: 'H', mask: qr.mask, corrected: 0 });
+  });
+
+  test('should round-trip UTF-8 text', () => {
+    const text = 'Sent via #NYLAGo — 感谢 🚀';
+    expect(decode(SimpleQR.encode(text).modules).text).toBe(text);
+  });
+
+  test('should pick the smallest version for every error correction level', () => {
+    for (const ecc of ['L', 'M', 'Q', 'H']) {
+      for (const version of [1, 2, 6, 7, 9, 10, 14, 27]) {
+        const text = 'x'.repeat(maxBytes(version, ecc));
+        const qr = SimpleQR.encode(text, { ecc });
+        expect(qr.version, `${ecc} v${version}`).toBe(version);
+        expect(decode(qr.modules).text, `${ecc} v${version}`).toBe(text);
+      }
+    }
+  });
+
+  test('should encode versions 1 to 40 at level H', () => {
+    for (let version = 1; version <= 40; version++) {
+      const length = maxBytes(version, 'H');
+      const text = Array.from({ length }, (_, i) => String.fromCharCode(33 + (i * 7 + version) % 90)).join('');
+      const qr = SimpleQR.encode(text);
+      expect(qr.version).toBe(version);
+      expect(decode(qr.modules).text, `v${version}`).toBe(text);
+    }
+  });
+
+  test('should reject text longer than version 40 allows', () => {
+    expect(() => SimpleQR.encode('x'.repeat(1274))).toThrow('Text too long for a QR code (1274 bytes)');
+    expect(() => SimpleQR.encode('x', { ecc: 'Z' })).toThrow('Unknown error correction level "Z"');
+  });
+
+  test('should stay readable under the NYLA logo overlay', () => {
+    const url = NYLACommandGrammar.buildIntentURL('Hey @AgentNyla transfer 1000 $NYLA @h2crypto_eth Ethereum');
+    const qr = SimpleQR.encode(url);
+
+    // The logo covers 20% of the rendered width (including the quiet zone), painted white
+    const total = qr.size + SimpleQR.QUIET_ZONE * 2;
+    const half = Math.ceil(total * 0.2 / 2);
+    const centre = Math.floor(qr.size / 2);
+    const covered = qr.modules.map((row, y) => row.map((dark, x) =>
+      Math.abs(x - centre) <= half && Math.abs(y - centre) <= half ? false : dark
+    ));
+
+    const decoded = decode(covered);
+    expect(decoded.text).toBe(url);
+    expect(decoded.corrected).toBeGreaterThan(0);
+  });
+
+  test('should render the same symbol as SVG', () => {
+    const text = 'Hey @AgentNyla transfer 5 $SOL @bob';
+    const qr = SimpleQR.encode(text);
+    const svg = SimpleQR.toSVG(text, 240);
+
+    expect(svg).toContain('width="240" height="240"');
+    expect(svg).toContain(`viewBox="0 0 ${qr.size + 8} ${qr.size + 8}"`);
+
+    // Rebuild the matrix from the SVG path and decode it
+    const modules = Array.from({ length: qr.size }, () => Array(qr.size).fill(false));
+    for (const [, x, y] of svg.matchAll(/M(\d+),(\d+)h1v1h-1z/g)) {
+      modules[Number(y) - SimpleQR.QUIET_ZONE][Number(x) - SimpleQR.QUIET_ZONE] = true;
+    }
+    expect(decode(modules).text).toBe(text);
+  });
+
+  test('should ship the same encoder in the PWA', () => {
+    const text = 'https://x.com/intent/post?text=test';
+    expect(PWASimpleQR.encode(text).modules).toEqual(SimpleQR.encode(text).modules);
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * Reference QR matrix decoder for tests
+ * Decodes a module matrix (modules[y][x], true = dark) back into text, independently of the
+ * encoder's drawing code: function areas use the ISO/IEC 18004 alignment table, format bits are
+ * matched by Hamming distance and each block is Reed-Solomon corrected.
+ */
+
+const ALIGNMENT_POSITIONS = [
+  null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46],
+  [6, 28, 50], [6, 30, 54], [6, 32, 58], [6, 34, 62], [6, 26, 46, 66], [6, 26, 48, 70],
+  [6, 26, 50, 74], [6, 30, 54, 78], [6, 30, 56, 82], [6, 30, 58, 86], [6, 34, 62, 90],
+  [6, 28, 50, 72, 94], [6, 26, 50, 74, 98], [6, 30, 54, 78, 102], [6, 28, 54, 80, 106],
+  [6, 32, 58, 84, 110], [6, 30, 58, 86, 114], [6, 34, 62, 90, 118], [6, 26, 50, 74, 98, 122],
+  [6, 30, 54, 78, 102, 126], [6, 26, 52, 78, 104, 130], [6, 30, 56, 82, 108, 134],
+  [6, 34, 60, 86, 112, 138], [6, 30, 58, 86, 114, 142], [6, 34, 62, 90, 118, 146],
+  [6, 30, 54, 78, 102, 126, 150], [6, 24, 50, 76, 102, 128, 154], [6, 28, 54, 80, 106, 132, 158],
+  [6, 32, 58, 84, 110, 136, 162], [6, 26, 54, 82, 110, 138, 166], [6, 30, 58, 86, 114, 142, 170]
+];
+
+// Format bits 00/01/10/11 map to levels M/L/H/Q
+const ECC_BY_FORMAT = ['M', 'L', 'H', 'Q'];
+
+// GF(256) tables for polynomial 0x11D
+const EXP = new Array(512);
+const LOG = new Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+  EXP[i] = x;
+  LOG[x] = i;
+  x <<= 1;
+  if (x & 0x100) x ^= 0x11D;
+}
+for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+
+const mul = (a, b) => (a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]]);
+const div = (a, b) => (a === 0 ? 0 : EXP[(LOG[a] + 255 - LOG[b]) % 255]);
+const evalPoly = (poly, x) => poly.reduceRight((acc, coef) => mul(acc, x) ^ coef, 0); // low degree first
+
+function formatCodeword(data) {
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >> 9) * 0x537);
+  return ((data << 10) | rem) ^ 0x5412;
+}
+
+function readFormat(modules) {
+  // First copy, least significant bit first
+  const coords = [];
+  for (let i = 0; i <= 5; i++) coords.push([8, i]);
+  coords.push([8, 7], [8, 8], [7, 8]);
+  for (let i = 9; i < 15; i++) coords.push([14 - i, 8]);
+
+  let bits = 0;
+  coords.forEach(([x, y], i) => {
+    if (modules[y][x]) bits |= 1 << i;
+  });
+
+  let best = null;
+  for (let data = 0; data < 32; data++) {
+    let diff = formatCodeword(data) ^ bits;
+    let distance = 0;
+    for (; diff; diff &= diff - 1) distance++;
+    if (!best || distance < best.distance) best = { data, distance };
+  }
+  if (best.distance > 3) throw new Error('Unreadable format information');
+
+  return { ecc: ECC_BY_FORMAT[best.data >> 3], mask: best.data & 7 };
+}
+
+function functionMap(version) {
+  const size = version * 4 + 17;
+  const map = Array.from({ length: size }, () => Array(size).fill(false));
+  const fill = (x0, y0, w, h) => {
+    for (let y = y0; y < y0 + h; y++) for (let x = x0; x < x0 + w; x++) map[y][x] = true;
+  };
+
+  // Finders, separators and format areas
+  fill(0, 0, 9, 9);
+  fill(size - 8, 0, 8, 9);
+  fill(0, size - 8, 9, 8);
+  // Timing
+  fill(6, 0, 1, size);
+  fill(0, 6, size, 1);
+  // Alignment, except where a pattern would overlap a finder
+  const positions = ALIGNMENT_POSITIONS[version];
+  const overlapsFinder = (cx, cy) => (cx < 9 && cy < 9) || (cx < 9 && cy > size - 9) || (cx > size - 9 && cy < 9);
+  positions.forEach(cy => positions.forEach(cx => {
+    if (!overlapsFinder(cx, cy)) fill(cx - 2, cy - 2, 5, 5);
+  }));
+  // Version information
+  if (version >= 7) {
+    fill(size - 11, 0, 3, 6);
+    fill(0, size - 11, 6, 3);
+  }
+  return map;
+}
+
+function masked(mask, i, j) {
+  switch (mask) {
+    case 0: return (i + j) % 2 === 0;
+    case 1: return i % 2 === 0;
+    case 2: return j % 3 === 0;
+    case 3: return (i + j) % 3 === 0;
+    case 4: return (Math.floor(i / 2) + Math.floor(j / 3)) % 2 === 0;
+    case 5: return ((i * j) % 2) + ((i * j) % 3) === 0;
+    case 6: return (((i * j) % 2) + ((i * j) % 3)) % 2 === 0;
+    default: return (((i + j) % 2) + ((i * j) % 3)) % 2 === 0;
+  }
+}
+
+function readCodewords(modules, reserved, mask) {
+  const size = modules.length;
+  const bits = [];
+  let upward = true;
+  for (let right = size - 1; right > 0; right -= 2) {
+    if (right === 6) right--;
+    for (let n = 0; n < size; n++) {
+      const row = upward ? size - 1 - n : n;
+      for (const col of [right, right - 1]) {
+        if (!reserved[row][col]) bits.push(modules[row][col] !== masked(mask, row, col) ? 1 : 0);
+      }
+    }
+    upward = !upward;
+  }
+
+  const codewords = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return codewords;
+}
+
+/**
+ * Correct a block (data + EC codewords, highest degree first) in place
+ * @returns {number} Number of corrected codewords
+ */
+function correctBlock(block, ecLen) {
+  const n = block.length;
+  const syndromes = [];
+  for (let i = 0; i < ecLen; i++) {
+    syndromes.push(evalPoly([...block].reverse(), EXP[i]));
+  }
+  if (syndromes.every(s => s === 0)) return 0;
+
+  // Berlekamp-Massey
+  let locator = [1];
+  let previous = [1];
+  let length = 0;
+  let shift = 1;
+  let lastDiscrepancy = 1;
+  for (let k = 0; k < ecLen; k++) {
+    let d = syndromes[k];
+    for (let i = 1; i <= length; i++) d ^= mul(locator[i] || 0, syndromes[k - i]);
+    if (d === 0) {
+      shift++;
+      continue;
+    }
+    const scale = div(d, lastDiscrepancy);
+    const next = locator.slice();
+    previous.forEach((coef, i) => {
+      next[i + shift] = (next[i + shift] || 0) ^ mul(scale, coef);
+    });
+    if (2 * length <= k) {
+      previous = locator;
+      length = k + 1 - length;
+      lastDiscrepancy = d;
+      shift = 1;
+    } else {
+      shift++;
+    }
+    locator = next;
+  }
+
+  // Chien search over codeword positions (degree p = n - 1 - index)
+  const errors = [];
+  for (let p = 0; p < n; p++) {
+    if (evalPoly(locator, EXP[(255 - p) % 255]) === 0) errors.push(p);
+  }
+  if (errors.length !== length) throw new Error('Too many errors to correct');
+
+  // Forney: evaluator = S(x) * locator(x) mod x^ecLen
+  const evaluator = Array(ecLen).fill(0);
+  syndromes.forEach((s, i) => locator.forEach((l, j) => {
+    if (i + j < ecLen) evaluator[i + j] ^= mul(s, l);
+  }));
+  const derivative = locator.map((coef, i) => (i % 2 === 1 ? coef : 0)).slice(1);
+
+  errors.forEach(p => {
+    const xInv = EXP[(255 - p) % 255];
+    const magnitude = mul(EXP[p], div(evalPoly(evaluator, xInv), evalPoly(derivative, xInv)));
+    block[n - 1 - p] ^= magnitude;
+  });
+  return errors.length;
+}
+
+/**
+ * Decode a QR module matrix
+ * @param {boolean[][]} modules - modules[y][x], true for dark
+ * @param {Object} tables - { ECC_CODEWORDS_PER_BLOCK, NUM_ERROR_CORRECTION_BLOCKS, ECC } block structure
+ * @returns {Object} { text, version, ecc, mask, corrected }
+ */
+function decodeMatrix(modules, tables) {
+  const size = modules.length;
+  const version = (size - 17) / 4;
+  if (!Number.isInteger(version) || version < 1 || version > 40) {
+    throw new Error(`Invalid symbol size ${size}`);
+  }
+
+  const { ecc, mask } = readFormat(modules);
+  const codewords = readCodewords(modules, functionMap(version), mask);
+
+  const ordinal = tables.ECC[ecc].ordinal;
+  const numBlocks = tables.NUM_ERROR_CORRECTION_BLOCKS[ordinal][version];
+  const ecLen = tables.ECC_CODEWORDS_PER_BLOCK[ordinal][version];
+  const shortLen = Math.floor(codewords.length / numBlocks);
+  const numLong = codewords.length % numBlocks;
+
+  // De-interleave: data codewords round-robin (long blocks carry one extra), then EC codewords
+  const dataLens = Array.from({ length: numBlocks }, (_, b) => shortLen - ecLen + (b >= numBlocks - numLong ? 1 : 0));
+  const blocks = dataLens.map(() => []);
+  let k = 0;
+  for (let i = 0; i < Math.max(...dataLens); i++) {
+    blocks.forEach((block, b) => {
+      if (i < dataLens[b]) block.push(codewords[k++]);
+    });
+  }
+  for (let i = 0; i < ecLen; i++) {
+    blocks.forEach(block => block.push(codewords[k++]));
+  }
+
+  let corrected = 0;
+  const data = [];
+  blocks.forEach((block, b) => {
+    corrected += correctBlock(block, ecLen);
+    data.push(...block.slice(0, dataLens[b]));
+  });
+
+  // Parse byte-mode segments
+  const bits = data.flatMap(byte => [7, 6, 5, 4, 3, 2, 1, 0].map(i => (byte >> i) & 1));
+  let pos = 0;
+  const read = (count) => {
+    let value = 0;
+    for (let i = 0; i < count; i++) value = (value << 1) | bits[pos++];
+    return value;
+  };
+  const bytes = [];
+  while (pos + 4 <= bits.length) {
+    const mode = read(4);
+    if (mode === 0) break;
+    if (mode !== 0b0100) throw new Error(`Unsupported mode ${mode}`);
+    const count = read(version <= 9 ? 8 : 16);
+    for (let i = 0; i < count; i++) bytes.push(read(8));
+  }
+
+  return { text: new TextDecoder().decode(Uint8Array.from(bytes)), version, ecc, mask, corrected };
+}
+
+module.exports = { decodeMatrix };
@@ -0,0 +1,83 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const path = require('path');
+
+// The reader takes its block tables from SimpleQR as a browser global
+global.SimpleQR = require('../../pwa/lib/qr-simple.js');
+const SimpleQRReader = require('../../pwa/lib/qr-reader.js');
+const { readPNG } = require('./png.js');
+
+/**
+ * Unit tests for the offline QR reader (no browser required)
+ * Fixture images are produced by fixtures/generate-fixtures.js.
+ */
+test.describe('SimpleQR reader', () => {
+  const fixture = (name) => readPNG(fs.readFileSync(path.join(__dirname, 'fixtures', name)));
+
+  // Render a symbol as RGBA pixels, scale pixels per module with a 4-module quiet zone
+  const rasterize = (modules, scale) => {
+    const size = (modules.length + 8) * scale;
+    const data = new Uint8ClampedArray(size * size * 4).fill(255);
+    modules.forEach((row, y) => row.forEach((dark, x) => {
+      if (!dark) return;
+      for (let py = 0; py < scale; py++) {
+        for (let px = 0; px < scale; px++) {
+          const offset = (((y + 4) * scale + py) * size + (x + 4) * scale + px) * 4;
+          data.fill(0, offset, offset + 3);
+        }
+      }
+    }));
+    return { data, width: size, height: size };
+  };
+
+  test('should decode an upright X.com intent QR code', () => {
+    const result = SimpleQRReader.decode(fixture('intent-transfer.png'));
+    expect(result).toMatchObject({
+      text: 'https://x.com/intent/post?text=Hey%20%40AgentNyla%20transfer%2025%20%24NYLA%20%40alice%20Ethereum%0A%0ASent%20via%20%23NYLAGo',
+      ecc: 'H'
+    });
+  });
+
+  test('should decode a rotated, unevenly lit payment request', () => {
+    expect(SimpleQRReader.decode(fixture('payment-request-rotated.png'))?.text)
+      .toBe('https://sonyschan.github.io/nyla-go/?pay=bob&amt=0.5&tok=SOL&memo=Lunch&inv=INV-7');
+  });
+
+  test('should decode a QR code photographed at an angle', () => {
+    expect(SimpleQRReader.decode(fixture('intent-perspective.png'))?.text)
+      .toBe('https://x.com/intent/post?text=Hey%20%40AgentNyla%20transfer%20100%20%24ALGO%20%40carol%20Algorand%0A%0ASent%20via%20%23NYLAGo');
+  });
+
+  test('should return null when the image has no QR code', () => {
+    expect(SimpleQRReader.decode(fixture('no-code.png'))).toBeNull();
+  });
+
+  test('should decode encoder output across versions and module sizes', () => {
+    for (const [text, scale] of [['NYLA', 3], ['x'.repeat(100), 2], ['Sent via #NYLAGo — 感谢 🚀'.repeat(8), 4]]) {
+      const qr = SimpleQR.encode(text);
+      expect(SimpleQRReader.decode(rasterize(qr.modules, scale))?.text, `v${qr.version}`).toBe(text);
+    }
+  });
+
+  test('should correct damaged modules', () => {
+    const qr = SimpleQR.encode('https://sonyschan.github.io/nyla-go/?pay=alice&amt=10&tok=NYLA');
+    const modules = qr.modules.map(row => row.slice());
+    // Smudge a 4x4 patch of data modules
+    for (let y = 12; y < 16; y++) {
+      for (let x = 12; x < 16; x++) modules[y][x] = !modules[y][x];
+    }
+
+    const result = SimpleQRReader.decodeMatrix(modules);
+    expect(result.text).toBe('https://sonyschan.github.io/nyla-go/?pay=alice&amt=10&tok=NYLA');
+    expect(result.corrected).toBeGreaterThan(0);
+    expect(SimpleQRReader.decode(rasterize(modules, 3))?.text).toBe(result.text);
+  });
+
+  test('should reject unreadable symbols', () => {
+    const qr = SimpleQR.encode('NYLA');
+    const blank = qr.modules.map(row => row.map(() => false));
+    expect(() => SimpleQRReader.decodeMatrix(blank)).toThrow('Unreadable format information');
+    expect(() => SimpleQRReader.decodeMatrix(blank.slice(1))).toThrow('Invalid symbol size 20');
+  });
+});
@@ -0,0 +1,91 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const path = require('path');
+
+// The scanner uses these as browser globals
+global.SimpleQR = require('../../pwa/lib/qr-simple.js');
+global.SimpleQRReader = require('../../pwa/lib/qr-reader.js');
+global.NYLACommandGrammar = require('../../pwa/js/nyla-command-grammar.js');
+global.NYLAPaymentRequest = require('../../pwa/js/nyla-payment-request.js');
+const NYLAQRScanner = require('../../pwa/js/nyla-qr-scanner.js');
+const { readPNG } = require('./png.js');
+
+/**
+ * Unit tests for recognising scanned Send-tab QR codes (no browser required)
+ */
+test.describe('NYLA QR Scanner', () => {
+  const scanFixture = (name) => {
+    const result = SimpleQRReader.decode(readPNG(fs.readFileSync(path.join(__dirname, 'fixtures', name))));
+    return NYLAQRScanner.interpret(result?.text);
+  };
+
+  test('should pre-fill from a scanned X.com intent link', () => {
+    expect(scanFixture('intent-transfer.png')).toEqual({
+      type: 'command',
+      valid: true,
+      request: { recipient: '@alice', amount: '25', token: 'NYLA', chain: 'Ethereum' },
+      errors: {}
+    });
+    expect(scanFixture('intent-perspective.png').request).toEqual(
+      { recipient: '@carol', amount: '100', token: 'ALGO', chain: 'Algorand' });
+  });
+
+  test('should pre-fill from a scanned payment request link', () => {
+    const payload = scanFixture('payment-request-rotated.png');
+    expect(payload.type).toBe('payment-request');
+    expect(payload.valid).toBe(true);
+    expect(payload.request).toMatchObject({
+      recipient: '@bob', amount: '0.5', token: 'SOL', chain: 'Solana', memo: 'Lunch', invoiceId: 'INV-7'
+    });
+  });
+
+  test('should accept legacy twitter.com links and plain command text', () => {
+    const command = 'Hey @AgentNyla transfer 3 $USDC @dave Solana — Sent via #NYLAGo';
+    const expected = { recipient: '@dave', amount: '3', token: 'USDC', chain: 'Solana' };
+    expect(NYLAQRScanner.interpret(`https://twitter.com/intent/tweet?text=${encodeURIComponent(command)}`).request).toEqual(expected);
+    expect(NYLAQRScanner.interpret(`https://www.x.com/intent/post/?text=${encodeURIComponent(command)}`).request).toEqual(expected);
+    expect(NYLAQRScanner.interpret(command).request).toEqual(expected);
+  });
+
+  test('should report invalid payment requests', () => {
+    const payload = NYLAQRScanner.interpret('https://sonyschan.github.io/nyla-go/?pay=bob&amt=-1&tok=NYLA');
+    expect(payload).toMatchObject({ type: 'payment-request', valid: false, errors: { amount: 'Please enter a valid amount' } });
+  });
+
+  test('should reject unrelated QR codes', () => {
+    expect(NYLAQRScanner.interpret('https://example.com/?text=Hey%20%40AgentNyla%20transfer%201%20%24SOL%20%40eve'))
+      .toEqual({ type: 'unsupported', message: NYLAQRScanner.MESSAGES.notRecognised });
+    expect(NYLAQRScanner.interpret('https://nyla-go.example.net/?pay=mallory&amt=100&tok=NYLA').type).toBe('unsupported');
+    expect(NYLAQRScanner.interpret('https://sonyschan.github.io.evil.com/nyla-go/?pay=mallory&amt=100&tok=NYLA').type).toBe('unsupported');
+    expect(NYLAQRScanner.interpret('WIFI:S:home;T:WPA;P:secret;;').type).toBe('unsupported');
+    expect(NYLAQRScanner.interpret(NYLACommandGrammar.buildIntentURL(
+      NYLACommandGrammar.buildSwap({ amount: '1', fromToken: 'SOL', toToken: 'NYLA' }))))
+      .toEqual({ type: 'unsupported', message: NYLAQRScanner.MESSAGES.swapCommand });
+  });
+
+  test('should release a camera stream that arrives after stop', async () => {
+    const stopped = [];
+    let grant;
+    const stream = { getTracks: () => [{ stop: () => stopped.push('video') }] };
+    Object.defineProperty(global, 'navigator', {
+      value: { mediaDevices: { getUserMedia: () => new Promise(resolve => { grant = () => resolve(stream); }) } },
+      configurable: true
+    });
+    try {
+      const video = { srcObject: null, setAttribute: () => {}, play: async () => {} };
+      const scanner = new NYLAQRScanner({ video, onResult: () => {} });
+      const starting = scanner.start();
+      scanner.stop();
+      grant();
+      await starting;
+
+      expect(stopped).toEqual(['video']);
+      expect(scanner.isActive()).toBe(false);
+      expect(video.srcObject).toBeNull();
+      expect(scanner.timer).toBeNull();
+    } finally {
+      Reflect.deleteProperty(global, 'navigator');
+    }
+  });
+});
@@ -0,0 +1,96 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+// Browser globals used by the RAG modules
+global.window = /** @type {any} */ (global);
+global.NYLALogger = { debug() {}, info() {}, warn() {}, error() {} };
+global.NYLACitations = require('../../pwa/js/rag/nyla-citations.js');
+const NYLARAGPipeline = require('../../pwa/js/rag/nyla-rag-pipeline.js');
+const NYLAConversationContext = require('../../pwa/js/rag/nyla-conversation-context.js');
+const NYLARAGEvaluation = require('../../pwa/js/rag/nyla-rag-evaluation.js');
+
+/**
+ * Unit tests for regenerating chat answers and evaluating the kept versions (no browser required)
+ */
+test.describe('NYLA Answer Regeneration', () => {
+  const chunk = { id: 'chunk_7', text: 'Open the Send tab to send tokens.', finalScore: 0.8 };
+
+  // Pipeline with stub retrieval and an engine that numbers its answers
+  function createPipeline() {
+    const pipeline = new NYLARAGPipeline({ parallelProcessing: false });
+    const calls = { retrievals: 0, contexts: /** @type {any[]} */ ([]) };
+
+    pipeline.initialized = true;
+    pipeline.retriever = {
+      async retrieve() {
+        calls.retrievals++;
+        return [chunk];
+      }
+    };
+    pipeline.contextBuilder = {
+      async buildContext(chunks) {
+        return { context: chunks.map(c => c.text).join('\n'), chunks, metadata: { sources: [{ title: 'How to send' }] } };
+      }
+    };
+    pipeline.llmEngine = {
+      async generateResponse(query, context) {
+        calls.contexts.push(context.knowledgeContext);
+        return { text: `answer ${calls.contexts.length}` };
+      }
+    };
+    pipeline.setConversationManager(new NYLAConversationContext());
+    return { pipeline, calls };
+  }
+
+  test('should regenerate from the retrieved context and replace the turn and cached answer', async () => {
+    const { pipeline, calls } = createPipeline();
+    const first = await pipeline.query('How do I send tokens?', { streaming: false });
+    expect(first.response).toBe('answer 1');
+
+    const second = await pipeline.regenerate('How do I send tokens?', { queryId: first.queryId, streaming: false });
+    expect(second.response).toBe('answer 2');
+    expect(second.queryId).not.toBe(first.queryId);
+    expect(calls.retrievals).toBe(1);
+    expect(calls.contexts[1]).toBe(calls.contexts[0]);
+
+    const turns = pipeline.conversationManager.conversationHistory;
+    expect(turns).toHaveLength(1);
+    expect(turns[0].assistant.response).toBe('answer 2');
+
+    // The regenerated answer is not served from the cache of the first one
+    const asked = await pipeline.query('How do I send tokens?', { streaming: false });
+    expect(asked.response).toBe('answer 3');
+  });
+
+  test('should retrieve again when asked or when the context is no longer kept', async () => {
+    const { pipeline, calls } = createPipeline();
+    pipeline.options.maxRecentContexts = 1;
+    const first = await pipeline.query('How do I send tokens?', { streaming: false });
+    await pipeline.query('What is NYLA?', { streaming: false });
+    expect(pipeline.recentContexts.has(first.queryId)).toBe(false);
+
+    const regenerated = await pipeline.regenerate('How do I send tokens?', { queryId: first.queryId, streaming: false });
+    expect(calls.retrievals).toBe(3);
+    expect(pipeline.conversationManager.conversationHistory).toHaveLength(2);
+
+    await pipeline.regenerate('How do I send tokens?', { queryId: regenerated.queryId, reretrieve: true, streaming: false });
+    expect(calls.retrievals).toBe(4);
+  });
+
+  test('should summarise which versions users kept per engine', () => {
+    const hosted = { name: 'hosted', label: 'Hosted LLM Proxy' };
+    const local = { name: 'local', label: 'Local WebLLM' };
+    const summary = new NYLARAGEvaluation(null).evaluateAnswerFeedback([
+      { question: 'What is NYLA?', versions: [{ text: 'v1', answeredBy: hosted }, { text: 'v2', answeredBy: local }], kept: 1 },
+      { question: 'Fees?', versions: [{ text: 'a', answeredBy: hosted }, { text: 'b', answeredBy: hosted }, { text: 'c', answeredBy: hosted }], kept: 0 },
+      { question: 'Broken', versions: [], kept: 0 }
+    ]);
+
+    expect(summary).toMatchObject({ regeneratedAnswers: 2, avgVersions: 2.5, keptFirstRate: 0.5, keptLatestRate: 0.5 });
+    expect(summary.byEngine).toEqual({
+      hosted: { shown: 4, kept: 1, keptRate: 0.25 },
+      local: { shown: 1, kept: 1, keptRate: 1 }
+    });
+    expect(summary.keptAnswers[1]).toEqual({ question: 'Fees?', text: 'a', answeredBy: hosted, rejected: ['b', 'c'] });
+  });
+});
@@ -0,0 +1,204 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+// The vector DB, the retriever and the pipeline use each other as browser globals
+global.window = global;
+global.NYLAHNSWIndex = require('../../pwa/js/rag/nyla-hnsw-index.js');
+global.NYLAMetadataIndex = require('../../pwa/js/rag/nyla-metadata-index.js');
+global.NYLAChunkDiff = require('../../pwa/js/rag/nyla-chunk-diff.js');
+const NYLAChunkDiff = global.NYLAChunkDiff;
+const NYLAHNSWIndex = global.NYLAHNSWIndex;
+const NYLABm25Index = require('../../pwa/js/rag/nyla-bm25-index.js');
+const NYLAVectorDB = require('../../pwa/js/rag/nyla-vector-db.js');
+const NYLARAGPipeline = require('../../pwa/js/rag/nyla-rag-pipeline.js');
+
+/**
+ * Unit tests for chunk diffs and incremental index updates (no browser required)
+ */
+test.describe('NYLA Chunk Diff', () => {
+  const createChunk = (i, changes = {}) => ({
+    id: `chunk_${i}`,
+    text: `Chunk ${i} about ${i % 2 === 0 ? 'swaps' : 'QR codes'}`,
+    search_text: `chunk ${i} ${i % 2 === 0 ? 'swap tokens' : 'qr code payment'}`,
+    metadata: { kb_id: `kb_${i}`, title: `Chunk ${i}`, type: 'faq', created_at: '2025-01-01T00:00:00.000Z' },
+    ...changes
+  });
+  const embed = text => {
+    let state = text.split('').reduce((sum, char) => sum + char.charCodeAt(0), 7);
+    return Array.from({ length: 8 }, () => {
+      state = (state * 48271) % 2147483647;
+      return state / 2147483647 - 0.5;
+    });
+  };
+  const withEmbedding = chunk => ({ ...chunk, embedding: embed(chunk.text) });
+
+  test('should diff chunks by key and content hash', () => {
+    const previous = [0, 1, 2, 3].map(i => createChunk(i));
+    const next = [
+      createChunk(0, { metadata: { ...createChunk(0).metadata, created_at: '2026-01-01T00:00:00.000Z' } }),
+      createChunk(1, { text: 'Chunk 1 about NFC payments' }),
+      createChunk(2, { metadata: { ...createChunk(2).metadata, type: 'howto' } }),
+      createChunk(4)
+    ];
+
+    const diff = NYLAChunkDiff.diff(previous, next);
+    expect(diff.unchanged.map(change => change.chunk.id)).toEqual(['chunk_0']);
+    expect(diff.modified.map(change => [change.chunk.id, change.textChanged])).toEqual([['chunk_1', true], ['chunk_2', false]]);
+    expect(diff.added.map(chunk => chunk.id)).toEqual(['chunk_4']);
+    expect(diff.removed.map(chunk => chunk.id)).toEqual(['chunk_3']);
+    expect(NYLAChunkDiff.isEmpty(NYLAChunkDiff.diff(previous, previous))).toBe(true);
+
+    // Key order and build timestamps do not change the hash
+    const reordered = { metadata: { created_at: 'later', type: 'faq', title: 'Chunk 0', kb_id: 'kb_0' }, search_text: previous[0].search_text, text: previous[0].text };
+    expect(NYLAChunkDiff.hash(reordered)).toBe(NYLAChunkDiff.hash(previous[0]));
+    expect(NYLAChunkDiff.hash(previous[0])).toMatch(/^[0-9a-f]{16}$/);
+    expect(NYLAChunkDiff.key({ id: 'chunk_9', metadata: { kb_id: 'kb_9', subsection: 'summary', chunk_part: 2 } })).toBe('kb_9#summary#2');
+    expect(NYLAChunkDiff.version(next)).not.toBe(NYLAChunkDiff.version(previous));
+    expect(NYLAChunkDiff.version([...previous].reverse())).toBe(NYLAChunkDiff.version(previous));
+    expect(NYLAChunkDiff.embeddingModel({ metadata: { model: 'multilingual-e5-base', dimension: 768 } })).toBe('multilingual-e5-base:768');
+    expect(NYLAChunkDiff.embeddingModel({ model: { name: 'multilingual-e5-base', dimension: 768 } })).toBe('multilingual-e5-base:768');
+    expect(NYLAChunkDiff.embeddingModel({ chunks: [] })).toBeNull();
+
+    const entry = NYLAChunkDiff.changelogEntry(diff, { version: 'b', previousVersion: 'a', generatedAt: '2026-01-02T00:00:00.000Z' });
+    expect(entry).toEqual({
+      version: 'b',
+      previous_version: 'a',
+      generated_at: '2026-01-02T00:00:00.000Z',
+      counts: { added: 1, modified: 2, removed: 1, unchanged: 1, reembedded: 2 },
+      added: [{ id: 'chunk_4', key: 'kb_4', title: 'Chunk 4' }],
+      modified: [
+        { id: 'chunk_1', key: 'kb_1', title: 'Chunk 1', previous_id: 'chunk_1', text_changed: true },
+        { id: 'chunk_2', key: 'kb_2', title: 'Chunk 2', previous_id: 'chunk_2', text_changed: false }
+      ],
+      removed: [{ id: 'chunk_3', key: 'kb_3', title: 'Chunk 3' }]
+    });
+  });
+
+  test('should remove vectors from the HNSW index with tombstones and compaction', () => {
+    const vectors = Array.from({ length: 300 }, (_, i) => embed(`vector ${i}`));
+    const index = new NYLAHNSWIndex(8, { exactSearchBelow: 0 });
+    vectors.forEach((vector, i) => index.add(vector, `chunk_${i}`));
+
+    expect(index.remove('chunk_5')).toBe(true);
+    expect(index.remove('chunk_5')).toBe(false);
+    expect(index.size()).toBe(299);
+    expect(index.search(vectors[5], 10).map(result => result.id)).not.toContain('chunk_5');
+    expect(index.search(vectors[6], 1)[0].id).toBe('chunk_6');
+
+    // Graphs serialized without vectors keep the vectors of their tombstones
+    const data = JSON.parse(JSON.stringify(index.serialize({ includeVectors: false })));
+    expect(data.deleted).toHaveLength(1);
+    expect(Object.keys(data.deletedVectors)).toEqual([String(data.deleted[0])]);
+    const restored = new NYLAHNSWIndex(8);
+    restored.deserialize(data, id => vectors[Number(id.replace('chunk_', ''))]);
+    expect(restored.size()).toBe(299);
+    expect(restored.search(vectors[7], 5)).toEqual(index.search(vectors[7], 5));
+
+    // Re-adding an id replaces its vector
+    index.remove('chunk_6');
+    index.add(vectors[200], 'chunk_6');
+    expect(index.search(vectors[200], 2).map(result => result.id).sort()).toEqual(['chunk_200', 'chunk_6']);
+
+    // Past compactAbove of the nodes the graph is rebuilt without them
+    for (let i = 10; i < 70; i++) index.remove(`chunk_${i}`);
+    expect(index.size()).toBe(239);
+    expect(index.ids.length).toBe(240);
+    expect(index.deleted.size).toBe(1);
+    expect(index.search(vectors[100], 1)[0].id).toBe('chunk_100');
+  });
+
+  test('should update BM25 postings like a rebuild', async () => {
+    const chunks = Array.from({ length: 20 }, (_, i) => createChunk(i));
+    const updated = new NYLABm25Index();
+    await updated.buildIndex(chunks);
+
+    const changed = [createChunk(3, { search_text: 'chunk 3 nfc payment terminal' }), createChunk(20)];
+    updated.updateDocuments(changed, ['chunk_4', 'chunk_5']);
+
+    const next = chunks.filter(chunk => !['chunk_3', 'chunk_4', 'chunk_5'].includes(chunk.id)).concat(changed);
+    const rebuilt = await new NYLABm25Index().buildIndex(next);
+
+    expect(updated.totalDocuments).toBe(rebuilt.totalDocuments);
+    expect(updated.avgDocLength).toBeCloseTo(rebuilt.avgDocLength, 10);
+    expect(new Map([...updated.documentFreq].sort())).toEqual(new Map([...rebuilt.documentFreq].sort()));
+    for (const query of ['nfc payment', 'swap tokens', 'chunk 4']) {
+      const scores = results => results.map(result => [result.id, Math.round(result.score * 1e6)]).sort();
+      expect(scores(await updated.search(query))).toEqual(scores(await rebuilt.search(query)));
+    }
+  });
+
+  test('should apply only the changed chunks to the vector DB and record the changes', async () => {
+    const pipeline = new NYLARAGPipeline();
+    pipeline.vectorDB = new NYLAVectorDB({ dimension: 8 });
+    await pipeline.vectorDB.loadFAISS();
+    pipeline.vectorDB.initialized = true;
+
+    const embedded = [];
+    pipeline.embeddingService = { embed: async text => { embedded.push(text); return embed(text); } };
+    const recorded = [];
+    pipeline.versionManager = { recordChanges: async entry => recorded.push(entry), markAsUpToDate: async () => {} };
+    pipeline.knowledgeBase = [];
+
+    // An empty vector DB loads everything
+    const first = Array.from({ length: 10 }, (_, i) => withEmbedding(createChunk(i)));
+    const initial = await pipeline.updateIndex({ chunks: first });
+    expect(initial.counts).toMatchObject({ added: 10, modified: 0, removed: 0 });
+    expect(initial.previous_version).toBeNull();
+
+    const writes = [];
+    pipeline.vectorDB.db = {};
+    pipeline.vectorDB.writeRecords = async (records, deleteKeys) => writes.push({ records: records.map(record => record.id), deleteKeys });
+    pipeline.queryCache.set('cached', {});
+
+    // Metadata edits reuse the embedding, text edits and new chunks are embedded
+    const next = first.filter(chunk => chunk.id !== 'chunk_9').map(({ embedding, ...chunk }) => chunk);
+    next[1] = createChunk(1, { text: 'Chunk 1 about NFC payments' });
+    next[2] = createChunk(2, { metadata: { ...createChunk(2).metadata, type: 'howto' } });
+    next.push(createChunk(10));
+    const entry = await pipeline.updateIndex(next);
+
+    expect(entry.counts).toEqual({ added: 1, modified: 2, removed: 1, unchanged: 7, reembedded: 2 });
+    expect(entry.previous_version).toBe(initial.version);
+    expect(embedded.sort()).toEqual(['Chunk 1 about NFC payments', createChunk(10).text].sort());
+    expect(recorded).toEqual([initial, entry]);
+    expect(pipeline.queryCache.size).toBe(0);
+
+    const vectorDB = pipeline.vectorDB;
+    expect(vectorDB.chunks.has('chunk_9')).toBe(false);
+    expect(vectorDB.chunks.get('chunk_2').embedding).toEqual(first[2].embedding);
+    expect(vectorDB.index.size()).toBe(10);
+    expect((await vectorDB.search(embed('Chunk 1 about NFC payments'), 1))[0].id).toBe('chunk_1');
+    expect(await vectorDB.search(embed(first[0].text), 1, 'type:howto')).toEqual([expect.objectContaining({ id: 'chunk_2' })]);
+
+    // Only the changed chunk records and the index record are written
+    expect(writes).toHaveLength(1);
+    expect(writes[0].records.sort()).toEqual(['nyla-faiss-index', ...['chunk_1', 'chunk_10', 'chunk_2'].map(id => `nyla-faiss-index:chunk:${id}`)].sort());
+    expect(writes[0].deleteKeys).toEqual(['nyla-faiss-index:chunk:chunk_9']);
+
+    // The same chunks again change nothing
+    const unchanged = await pipeline.updateIndex({ chunks: Array.from(vectorDB.chunks.values()) });
+    expect(unchanged.counts).toMatchObject({ added: 0, modified: 0, removed: 0, unchanged: 10 });
+    expect(unchanged.version).toBe(entry.version);
+    expect(writes).toHaveLength(1);
+    expect(recorded).toHaveLength(2);
+
+    // Vectors of another embedding model replace every vector, even of chunks whose text is unchanged
+    const reembed = text => embed(`e5-large ${text}`);
+    const model = { version: '1.0.0', model: 'multilingual-e5-large', dimension: 8 };
+    const reembedded = Array.from(vectorDB.chunks.values()).map(chunk => ({ ...chunk, embedding: reembed(chunk.text) }));
+    global.IDBKeyRange = /** @type {any} */ ({ bound: (lower, upper) => ({ lower, upper }) });
+    const reloaded = await pipeline.updateIndex({ chunks: reembedded, metadata: model });
+    expect(reloaded.counts).toMatchObject({ added: 10, removed: 0 });
+    expect(writes[1].records).toHaveLength(11);
+    expect(vectorDB.embeddingModel).toBe('multilingual-e5-large:8');
+    expect(vectorDB.chunks.get('chunk_0').embedding).toEqual(reembed(first[0].text));
+    expect((await vectorDB.search(reembed(first[3].text), 1))[0].id).toBe('chunk_3');
+    expect(embedded).toHaveLength(2);
+    expect(recorded).toHaveLength(3);
+
+    // The same model again is diffed as before
+    const again = await pipeline.updateIndex({ chunks: reembedded, metadata: model });
+    expect(again.counts).toMatchObject({ added: 0, modified: 0, removed: 0, unchanged: 10 });
+    expect(recorded).toHaveLength(3);
+  });
+});
@@ -0,0 +1,73 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+// Browser globals used by the RAG modules
+global.window = /** @type {any} */ (global);
+global.NYLALogger = { debug() {}, info() {}, warn() {}, error() {} };
+global.NYLACitations = require('../../pwa/js/rag/nyla-citations.js');
+const NYLACitations = global.NYLACitations;
+const NYLAContextBuilder = require('../../pwa/js/rag/nyla-context-builder.js');
+const NYLARAGPipeline = require('../../pwa/js/rag/nyla-rag-pipeline.js');
+
+/**
+ * Unit tests for inline source citations and the check for answers citing nothing (no browser required)
+ */
+test.describe('NYLA Citations', () => {
+  const chunks = [
+    { id: 'howto_send', text: 'Open the Send tab to send tokens.', finalScore: 0.9, metadata: { title: 'How to send', source_url: 'https://docs.nyla.ai/send' } },
+    { id: 'facts_fees', text: 'Fees are paid in the native token.', finalScore: 0.8, metadata: { title: 'Network fees', source_url: 'internal://facts/fees' } }
+  ];
+  const sources = NYLACitations.fromChunks(chunks);
+
+  test('should number context sources with their chunk ids and public URLs', () => {
+    expect(sources).toEqual([
+      { number: 1, id: 'howto_send', title: 'How to send', sourceUrl: 'https://docs.nyla.ai/send' },
+      { number: 2, id: 'facts_fees', title: 'Network fees', sourceUrl: null }
+    ]);
+  });
+
+  test('should map markers to sources and drop markers of sources that were not given', () => {
+    expect(NYLACitations.resolve('Fees are low [2]. Open the Send tab [1, 7][9].', sources)).toEqual({
+      text: 'Fees are low [2]. Open the Send tab [1].',
+      citations: [sources[1], sources[0]],
+      check: { cited: true, uncited: false, unknown: [7, 9], available: 2 }
+    });
+    expect(NYLACitations.resolve('Open the Send tab.', sources).check).toEqual({ cited: false, uncited: true, unknown: [], available: 2 });
+    // Without sources there is nothing to cite
+    expect(NYLACitations.resolve('Hello!', []).check.uncited).toBe(false);
+    expect(NYLACitations.stripSourcesLine('Send it [1]\n\n📚 Sources: [1] How to send')).toBe('Send it [1]');
+  });
+
+  test('should number the structured context and ask the LLM to cite it', async () => {
+    const builder = new NYLAContextBuilder(null, { deduplication: false });
+    const context = await builder.buildContext(chunks, 'How do I send tokens?');
+
+    expect(context.context).toContain('[1] How to send\nOpen the Send tab to send tokens.');
+    expect(context.context).toContain('[2] Network fees\nFees are paid in the native token.');
+    expect(context.metadata.citations).toEqual(sources);
+    expect(context.prompt.user).toContain(NYLACitations.INSTRUCTION);
+
+    const conversational = await builder.buildContext(chunks, 'How do I send tokens?', { formatStyle: 'conversational' });
+    expect(conversational.metadata.citations).toEqual([]);
+    expect(conversational.prompt.user).not.toContain(NYLACitations.INSTRUCTION);
+  });
+
+  test('should resolve citations of LLM and RAG-only answers in query results', () => {
+    const pipeline = new NYLARAGPipeline();
+    const context = { metadata: { sources: [], citations: sources, estimatedTokens: 0 } };
+    const retrievalResult = { chunks, confidence: 0.85 };
+
+    const cited = pipeline.createResult('q1', 'fees?', { text: 'Fees use the native token [2][5].' }, context, retrievalResult, 10);
+    expect(cited).toMatchObject({ response: 'Fees use the native token [2].', citations: [sources[1]], citationCheck: { cited: true, unknown: [5] } });
+
+    const uncited = pipeline.createResult('q2', 'fees?', { text: 'Fees are low.' }, context, retrievalResult, 10);
+    expect(uncited).toMatchObject({ citations: [], citationCheck: { uncited: true } });
+
+    // RAG-only answers number their own citations; the context adds the source URL
+    const ragOnly = pipeline.createResult('q3', 'send?', {
+      text: 'Open the Send tab to send tokens. [1]\n\n📚 Sources: [1] How to send',
+      citations: [{ number: 1, id: 'howto_send', title: 'How to send' }]
+    }, context, retrievalResult, 10);
+    expect(ragOnly.citations).toEqual([sources[0]]);
+  });
+});
@@ -25,6 +25,7 @@ console.log('🔍 Debugging meta_card data flow to Cloud Run');
 
 const NYLAVectorDB = require('../../pwa/js/rag/nyla-vector-db.js');
 const NYLASemanticRetriever = require('../../pwa/js/rag/nyla-semantic-retriever.js');
+global.NYLACitations = require('../../pwa/js/rag/nyla-citations.js');
 const NYLAContextBuilder = require('../../pwa/js/rag/nyla-context-builder.js');
 const NYLAHostedLLM = require('../../pwa/js/nyla-hosted-llm.js');
 
@@ -0,0 +1,117 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+// Browser globals used by the RAG modules
+global.window = /** @type {any} */ (global);
+global.NYLALogger = { debug() {}, info() {}, warn() {}, error() {} };
+global.NYLACompressionService = require('../../pwa/js/rag/nyla-compression-service.js');
+const NYLAExtractiveAnswerer = require('../../pwa/js/rag/nyla-extractive-answerer.js');
+
+/**
+ * Unit tests for LLM-free answers composed from retrieved chunks (no browser required)
+ */
+test.describe('NYLA Extractive Answerer', () => {
+  const wangchai = {
+    id: 'chunk_118',
+    text: 'WangChai (旺柴) is a Solana-based token with the ticker symbol $旺柴. The official contract address is 83kGGSggYGP2ZEEyvX54SkZR1kFn84RgGCDyptbDbonk. The token was launched on bonk.fun.',
+    meta_card: {
+      contract_address: '83kGGSggYGP2ZEEyvX54SkZR1kFn84RgGCDyptbDbonk',
+      ticker_symbol: '$旺柴',
+      blockchain: 'solana',
+      official_channels: {
+        x_account: { handle: '@WangChaidotbonk', url: 'https://x.com/WangChaidotbonk' },
+        telegram: { url: 'https://t.me/wechatdogesol' }
+      }
+    },
+    metadata: { title: 'WangChai Technical Details', kb_id: 'ecosystem_wangchai_technical_details', chunk_type: 'facts' }
+  };
+  const sending = {
+    id: 'chunk_7',
+    text: 'To send tokens, open the Send tab. Enter the recipient and the amount. Then post the generated command on X. NYLA replies with a confirmation.',
+    metadata: { title: 'How to send', kb_id: 'faq_how_to_send', chunk_type: 'how_to' }
+  };
+
+  function createAnswerer() {
+    const answerer = new NYLAExtractiveAnswerer();
+    answerer.facts = {
+      ecosystem_wangchai_technical_details_linktree: { url: 'linktr.ee/WangchaiDoge' },
+      ecosystem_wangchai_technical_details_ticker: '$旺柴'
+    };
+    return answerer;
+  }
+
+  test('should detect the answer type from the question', () => {
+    expect(NYLAExtractiveAnswerer.detectAnswerType('What is the contract address of WangChai?')).toBe('short_answer');
+    expect(NYLAExtractiveAnswerer.detectAnswerType('How do I send tokens?')).toBe('step_by_step');
+    expect(NYLAExtractiveAnswerer.detectAnswerType('Solana vs Ethereum fees')).toBe('comparison');
+    expect(NYLAExtractiveAnswerer.detectAnswerType('旺柴的合約地址是多少？')).toBe('short_answer');
+    expect(NYLAExtractiveAnswerer.detectAnswerType('Tell me about NYLA')).toBe('detailed_explanation');
+  });
+
+  test('should quote meta card facts with citations before the passage', () => {
+    const { text, answerType, citations } = createAnswerer().answer('What is the contract address of WangChai?', [wangchai, sending]);
+
+    expect(answerType).toBe('short_answer');
+    expect(citations).toEqual([{ number: 1, id: 'chunk_118', title: 'WangChai Technical Details' }]);
+    expect(text.split('\n\n')).toEqual([
+      'Contract address: 83kGGSggYGP2ZEEyvX54SkZR1kFn84RgGCDyptbDbonk [1]',
+      'WangChai (旺柴) is a Solana-based token with the ticker symbol $旺柴. The official contract address is 83kGGSggYGP2ZEEyvX54SkZR1kFn84RgGCDyptbDbonk. [1]',
+      '📚 Sources: [1] WangChai Technical Details'
+    ]);
+  });
+
+  test('should merge facts database entries and label facts in the question language', () => {
+    const answerer = createAnswerer();
+    const { text, metadata } = wangchai;
+    // An aggregated chunk without its meta card still finds its facts by kb_id
+    const { text: answer } = answerer.answer('旺柴的官方社區和鏈接在哪裡？', [{ id: 'parent_118', text, metadata }]);
+
+    expect(answer).toContain('官方链接: linktr.ee/WangchaiDoge [1]');
+    expect(answer).toContain('📚 来源: [1] WangChai Technical Details');
+    expect(answerer.collectFacts(wangchai)).toMatchObject({
+      contract_address: wangchai.meta_card.contract_address,
+      ticker: '$旺柴',
+      ticker_symbol: '$旺柴',
+      telegram: { url: 'https://t.me/wechatdogesol' }
+    });
+    expect(NYLAExtractiveAnswerer.formatFact(wangchai.meta_card.official_channels.x_account))
+      .toBe('@WangChaidotbonk (https://x.com/WangChaidotbonk)');
+  });
+
+  test('should number each cited chunk once across passages', () => {
+    const { text, citations } = createAnswerer().answer('How do I send tokens?', [sending, wangchai]);
+
+    expect(citations.map(citation => citation.id)).toEqual(['chunk_7', 'chunk_118']);
+    expect(text).toContain('To send tokens, open the Send tab. Enter the recipient and the amount. Then post the generated command on X. NYLA replies with a confirmation. [1]');
+    expect(text).toContain('📚 Sources: [1] How to send · [2] WangChai Technical Details');
+  });
+
+  test('should answer keyword search results of the chat without an LLM', () => {
+    const NYLAConversationManagerV2 = require('../../pwa/js/nyla-conversation-v2.js');
+    const manager = Object.create(NYLAConversationManagerV2.prototype);
+    manager.extractiveAnswerer = createAnswerer();
+
+    const response = manager.generateRAGOnlyResponse('How do I send tokens?', {
+      searchResults: [{ source: 'How to send', data: sending.text }, { source: 'WangChai', data: { ticker: '$旺柴' } }]
+    });
+    expect(response.citations).toEqual([
+      { number: 1, id: 'How to send', title: 'How to send' },
+      { number: 2, id: 'WangChai', title: 'WangChai' }
+    ]);
+    expect(response.text).toContain('open the Send tab. Enter the recipient and the amount.');
+    expect(response.text).toContain('{"ticker":"$旺柴"} [2]');
+    expect(response.text).toMatch(/📚 Sources: \[1\] How to send · \[2\] WangChai$/);
+  });
+
+  test('should build excerpts from whole sentences', () => {
+    expect(NYLAExtractiveAnswerer.excerpt('Send 0.5 SOL to @bob.  See https://x.com/a.b now! Third sentence.'))
+      .toBe('Send 0.5 SOL to @bob. See https://x.com/a.b now!');
+    expect(NYLAExtractiveAnswerer.excerpt('旺柴是一個代幣。它在Solana上。第三句。')).toBe('旺柴是一個代幣。它在Solana上。');
+    expect(NYLAExtractiveAnswerer.excerpt('word '.repeat(200), 2, 20)).toBe('word word word word…');
+    expect(NYLAExtractiveAnswerer.excerpt(null)).toBe('');
+  });
+
+  test('should fail without knowledge to answer from', () => {
+    expect(() => createAnswerer().answer('What is NYLA?', [])).toThrow('No knowledge found for a RAG-only answer');
+  });
+});
@@ -0,0 +1,97 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+// The vector DB picks the HNSW index from the browser globals
+global.window = global;
+global.NYLAHNSWIndex = require('../../pwa/js/rag/nyla-hnsw-index.js');
+const NYLAHNSWIndex = global.NYLAHNSWIndex;
+const NYLAVectorDB = require('../../pwa/js/rag/nyla-vector-db.js');
+
+/**
+ * Unit tests and recall benchmark of the HNSW vector index (no browser required)
+ */
+test.describe('NYLA HNSW Index', () => {
+  // Clustered vectors, like the topics of the KB
+  const createVectors = (count, dimension, seed = 3) => {
+    let state = seed;
+    const random = () => {
+      state = (state * 48271) % 2147483647;
+      return state / 2147483647;
+    };
+    const centers = Array.from({ length: 12 }, () => Array.from({ length: dimension }, () => random() - 0.5));
+    return Array.from({ length: count }, (_, i) => centers[i % centers.length].map(value => value + (random() - 0.5) * 0.8));
+  };
+  const vectors = createVectors(800, 32);
+  const queries = createVectors(40, 32, 11);
+  const buildIndex = (options = {}) => {
+    const index = new NYLAHNSWIndex(32, options);
+    vectors.forEach((vector, i) => index.add(vector, `chunk_${i}`));
+    return index;
+  };
+
+  test('should find the brute-force neighbours with high recall', () => {
+    const index = buildIndex();
+    const result = index.benchmark(queries, 10);
+    expect(result.recall).toBeGreaterThanOrEqual(0.95);
+
+    // Results are cosine similarities by descending order
+    const [best, second] = index.search(queries[0], 2);
+    expect(best.similarity).toBeGreaterThanOrEqual(second.similarity);
+    expect(best.distance).toBeCloseTo(1 - best.similarity, 10);
+  });
+
+  test('should scan small indexes and respect k', () => {
+    const index = new NYLAHNSWIndex(32);
+    vectors.slice(0, 20).forEach((vector, i) => index.add(vector, `chunk_${i}`));
+    expect(index.search(queries[0], 5)).toEqual(index.exactSearch(queries[0], 5));
+    expect(index.search(queries[0], 50)).toHaveLength(20);
+    expect(new NYLAHNSWIndex(32).search(queries[0], 5)).toEqual([]);
+    expect(() => index.add([1, 2, 3], 'short')).toThrow('Vector for short has 3 dimensions, index has 32');
+  });
+
+  test('should serialize to JSON with or without the vectors', () => {
+    const index = buildIndex({ exactSearchBelow: 0 });
+    const expected = index.search(queries[1], 10);
+
+    const restored = new NYLAHNSWIndex(32);
+    restored.deserialize(JSON.parse(JSON.stringify(index.serialize())));
+    expect(restored.search(queries[1], 10)).toEqual(expected);
+
+    // The nyla-vector-db.json distribution takes the vectors from its embeddings
+    const graph = JSON.parse(JSON.stringify(index.serialize({ includeVectors: false })));
+    expect(graph.vectors).toBeUndefined();
+    const fromEmbeddings = new NYLAHNSWIndex(32);
+    fromEmbeddings.deserialize(graph, id => vectors[Number(id.split('_')[1])]);
+    expect(fromEmbeddings.search(queries[1], 10)).toEqual(expected);
+    expect(() => new NYLAHNSWIndex(32).deserialize(graph)).toThrow('HNSW index has no 32-dimension vector for chunk_0');
+
+    // Adding after a restore builds the same graph as adding before it
+    restored.add(queries[2], 'extra');
+    index.add(queries[2], 'extra');
+    expect(restored.serialize()).toEqual(index.serialize());
+  });
+
+  test('should rebuild flat index state and restore the pre-built graph in the vector DB', async () => {
+    const legacy = new NYLAHNSWIndex(32);
+    legacy.deserialize({ vectors: vectors.slice(0, 30), ids: vectors.slice(0, 30).map((_, i) => `chunk_${i}`), dimension: 32 });
+    expect(legacy.size()).toBe(30);
+
+    const vectorDB = new NYLAVectorDB({ dimension: 32 });
+    await vectorDB.loadFAISS();
+    vectors.forEach((embedding, i) => vectorDB.chunks.set(`chunk_${i}`, { id: `chunk_${i}`, embedding }));
+
+    vectorDB.buildIndex(buildIndex().serialize({ includeVectors: false }));
+    expect(vectorDB.getStats()).toMatchObject({ indexType: 'hnsw', indexSize: 800 });
+    expect(vectorDB.index.serialize()).toEqual(buildIndex().serialize());
+
+    // A graph of other chunks is rebuilt from the embeddings
+    const stale = buildIndex().serialize({ includeVectors: false });
+    vectorDB.chunks.delete('chunk_0');
+    vectorDB.buildIndex(stale);
+    expect(vectorDB.index.size()).toBe(799);
+
+    const flatDB = new NYLAVectorDB({ dimension: 32, indexType: 'flat' });
+    await flatDB.loadFAISS();
+    expect(flatDB.faissModule.type).toBe('flat');
+  });
+});
@@ -0,0 +1,162 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+// The vector DB and the semantic retriever use the metadata index as a browser global
+global.window = global;
+global.NYLAHNSWIndex = require('../../pwa/js/rag/nyla-hnsw-index.js');
+global.NYLAMetadataIndex = require('../../pwa/js/rag/nyla-metadata-index.js');
+const NYLAMetadataIndex = global.NYLAMetadataIndex;
+const NYLAVectorDB = require('../../pwa/js/rag/nyla-vector-db.js');
+const NYLASemanticRetriever = require('../../pwa/js/rag/nyla-semantic-retriever.js');
+
+/**
+ * Unit tests for the inverted metadata index, its filter query language and pre-filtered
+ * vector DB search (no browser required)
+ */
+test.describe('NYLA Metadata Index', () => {
+  const chains = ['Solana', 'Ethereum', 'Algorand'];
+  const types = ['faq', 'howto', 'facts', 'marketing'];
+  const metadataOf = i => ({
+    title: `Chunk ${i}`,
+    type: types[i % types.length],
+    chain: chains[i % chains.length],
+    lang: 'bilingual',
+    section: i % 5 === 0 ? 'contracts' : 'supported_networks',
+    tags: i % 2 === 0 ? ['swap', 'Tokens'] : ['qr'],
+    chunk_type: i % 7 === 0 ? 'summary' : 'about',
+    as_of: `2025-0${1 + (i % 9)}-15`,
+    excludeFromTech: types[i % types.length] === 'marketing'
+  });
+
+  const createIndex = count => {
+    const index = new NYLAMetadataIndex();
+    for (let i = 0; i < count; i++) index.add(`chunk_${i}`, metadataOf(i));
+    return index;
+  };
+  const bruteForce = (count, filter) => Array.from({ length: count }, (_, i) => `chunk_${i}`)
+    .filter((_, i) => NYLAMetadataIndex.matches(metadataOf(i), filter));
+
+  test('should parse filter queries into filter objects', () => {
+    expect(NYLAMetadataIndex.parse('chain:solana type:faq,howto -tag:marketing as_of>=2025-01-01 as_of<2025-06-01'))
+      .toEqual({
+        chain: 'solana',
+        type: { $in: ['faq', 'howto'] },
+        tags: { $nin: ['marketing'] },
+        as_of: { $gte: '2025-01-01', $lt: '2025-06-01' }
+      });
+    expect(NYLAMetadataIndex.parse('section:"about team" chain:solana chain:ethereum'))
+      .toEqual({ section: 'about team', chain: 'solana', $and: [{ chain: 'ethereum' }] });
+    expect(NYLAMetadataIndex.parse('  ')).toEqual({});
+
+    expect(() => NYLAMetadataIndex.parse('solana')).toThrow('Invalid filter term "solana", expected field:value');
+    expect(() => NYLAMetadataIndex.parse('-as_of>=2025-01-01')).toThrow('ranges take one value');
+    expect(() => NYLAMetadataIndex.matches({}, { type: { $like: 'faq' } })).toThrow('Unknown filter operator $like');
+  });
+
+  test('should select the same chunks as matching every chunk', () => {
+    const index = createIndex(120);
+    const filters = [
+      'chain:solana',
+      'chain:solana,algorand -type:marketing',
+      'tag:tokens section:contracts',
+      'as_of>=2025-03-01 as_of<=2025-05-31 lang:bilingual',
+      { $or: [{ chain: 'Ethereum', type: 'faq' }, { chunkType: { $in: ['summary'] } }] },
+      { excludeFromTech: { $ne: true }, tags: [] },
+      { chain: 'bitcoin' }
+    ];
+    for (const filter of filters) {
+      const parsed = NYLAMetadataIndex.toFilter(filter);
+      expect([...index.select(filter)].sort()).toEqual(bruteForce(120, parsed).sort());
+    }
+    expect(index.select({ chain: 'bitcoin' }).size).toBe(0);
+    expect(index.select({}).size).toBe(120);
+
+    // Only the indexed fields narrow the candidates
+    expect(index.candidates({ excludeFromTech: { $ne: true } })).toBeNull();
+    expect(index.candidates({ chain: 'solana', excludeFromTech: true }).size).toBe(40);
+
+    // Re-adding a chunk replaces its postings
+    index.add('chunk_0', { chain: 'Bitcoin' });
+    index.remove('chunk_1');
+    expect([...index.select('chain:bitcoin')]).toEqual(['chunk_0']);
+    expect(index.select('chain:solana').has('chunk_0')).toBe(false);
+    expect(index.size()).toBe(119);
+  });
+
+  test('should return k results of a selective filter from the vector DB', async () => {
+    const count = 600;
+    let state = 5;
+    const random = () => {
+      state = (state * 48271) % 2147483647;
+      return state / 2147483647 - 0.5;
+    };
+    const vectors = Array.from({ length: count }, () => Array.from({ length: 16 }, random));
+    const query = vectors[3].map(value => value + 0.05);
+
+    for (const indexType of ['hnsw', 'flat']) {
+      const vectorDB = new NYLAVectorDB({ dimension: 16, indexType });
+      await vectorDB.loadFAISS();
+      vectorDB.initialized = true;
+      await vectorDB.loadFromData({
+        chunks: vectors.map((embedding, i) => ({ id: `chunk_${i}`, text: `Chunk ${i}`, metadata: metadataOf(i), embedding }))
+      });
+
+      // 10 chunks, which a similarity search of 2k results would mostly miss
+      const rare = await vectorDB.search(query, 5, 'chain:ethereum type:faq section:contracts');
+      const expectedRare = bruteForce(count, NYLAMetadataIndex.parse('chain:ethereum type:faq section:contracts'));
+      expect(expectedRare).toHaveLength(10);
+      expect(rare).toHaveLength(5);
+      rare.forEach(result => expect(expectedRare).toContain(result.id));
+      expect(rare[0].score).toBeGreaterThanOrEqual(rare[4].score);
+
+      // 300 chunks go through the graph with a larger ef
+      const common = await vectorDB.search(query, 10, { tags: ['swap'] });
+      const allowedIds = vectorDB.metadataIndex.select({ tags: ['swap'] });
+      const exact = indexType === 'hnsw'
+        ? vectorDB.index.exactSearch(query, 10, allowedIds)
+        : vectorDB.index.search(query, 10, { allowedIds });
+      expect(common).toHaveLength(10);
+      expect(common.filter(result => exact.some(e => e.id === result.id)).length).toBeGreaterThanOrEqual(9);
+      common.forEach(result => expect(result.metadata.tags).toContain('swap'));
+
+      expect(await vectorDB.search(query, 10, 'chain:bitcoin')).toEqual([]);
+      expect(await vectorDB.search(query, 1)).toHaveLength(1);
+    }
+  });
+
+  test('should filter and debug semantic retrieval with filter queries', async () => {
+    const vectorDB = new NYLAVectorDB({ dimension: 4 });
+    await vectorDB.loadFAISS();
+    vectorDB.initialized = true;
+    await vectorDB.loadFromData({
+      chunks: Array.from({ length: 12 }, (_, i) => ({ id: `chunk_${i}`, metadata: metadataOf(i), embedding: [1, i, 0, 1] }))
+    });
+
+    const searches = [];
+    const search = vectorDB.search.bind(vectorDB);
+    vectorDB.search = (embedding, k, filter) => {
+      searches.push(filter);
+      return search(embedding, k, filter);
+    };
+    const retriever = new NYLASemanticRetriever(vectorDB, { embed: async () => [1, 3, 0, 1] }, { filter: 'chain:solana' });
+
+    // The dense search is pre-filtered, BM25 results are filtered afterwards
+    const processedQuery = { expanded: 'swap', queryType: 'general' };
+    const retrieval = await retriever.performRetrieval(processedQuery, { ...retriever.options, filter: NYLAMetadataIndex.parse('chain:solana') });
+    expect(searches).toEqual([{ chain: 'solana' }]);
+    retrieval.dense.forEach(result => expect(result.metadata.chain).toBe('Solana'));
+
+    const results = [0, 1, 2, 3].map(i => ({ id: `chunk_${i}`, metadata: metadataOf(i), finalScore: 0.9 }));
+    expect(retriever.applyMetadataFilters(results, processedQuery, retriever.options).map(r => r.id)).toEqual(['chunk_0', 'chunk_3']);
+    expect(retriever.applyMetadataFilters(results, processedQuery, { ...retriever.options, filter: null })).toHaveLength(4);
+
+    const debug = retriever.debugFilter('chain:solana -type:marketing', 2);
+    expect(debug.filter).toEqual({ chain: 'solana', type: { $nin: ['marketing'] } });
+    expect(debug.total).toBe(3);
+    expect(debug.chunks).toEqual([
+      { id: 'chunk_0', title: 'Chunk 0', type: 'faq', section: 'contracts', chain: 'Solana', as_of: '2025-01-15' },
+      { id: 'chunk_6', title: 'Chunk 6', type: 'facts', section: 'supported_networks', chain: 'Solana', as_of: '2025-07-15' }
+    ]);
+    expect(() => retriever.debugFilter('solana')).toThrow('Invalid filter term');
+  });
+});
@@ -0,0 +1,218 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+// The production sync and the vector DB use each other as browser globals
+global.window = global;
+global.location = /** @type {any} */ ({ hostname: 'localhost', protocol: 'http:', href: 'http://localhost/' });
+global.NYLAHNSWIndex = require('../../pwa/js/rag/nyla-hnsw-index.js');
+global.NYLAMetadataIndex = require('../../pwa/js/rag/nyla-metadata-index.js');
+global.NYLAChunkDiff = require('../../pwa/js/rag/nyla-chunk-diff.js');
+const NYLAChunkDiff = global.NYLAChunkDiff;
+const NYLAVectorDB = require('../../pwa/js/rag/nyla-vector-db.js');
+const NYLAProductionSync = require('../../pwa/js/rag/nyla-production-sync.js');
+const VectorDBDeployer = require('../../scripts/deploy-vector-db.js');
+
+/**
+ * Delta patches published by the deployer and applied by the production sync, served by a local
+ * static file server standing in for production (no browser required)
+ */
+test.describe('NYLA Production Sync Deltas', () => {
+  const embed = text => {
+    let state = text.split('').reduce((sum, char) => sum + char.charCodeAt(0), 7);
+    return Array.from({ length: 8 }, () => {
+      state = (state * 48271) % 2147483647;
+      return state / 2147483647 - 0.5;
+    });
+  };
+  const createChunk = (i, text = `Chunk ${i} about NYLA transfers`, metadata = {}) => ({
+    id: `chunk_${i}`,
+    text,
+    embedding: embed(text),
+    metadata: { kb_id: `kb_${i}`, title: `Chunk ${i}`, type: 'faq', ...metadata }
+  });
+
+  // Four deployments: each edits, adds or removes a few chunks
+  const v1 = Array.from({ length: 30 }, (_, i) => createChunk(i));
+  const v2 = v1.filter(chunk => chunk.id !== 'chunk_3').map(chunk => {
+    if (chunk.id === 'chunk_1') return createChunk(1, 'Chunk 1 about NFC payments');
+    if (chunk.id === 'chunk_2') return createChunk(2, chunk.text, { type: 'howto' });
+    return chunk;
+  }).concat(createChunk(31));
+  const v3 = v2.map(chunk => (chunk.id === 'chunk_4' ? createChunk(4, 'Chunk 4 about QR codes') : chunk));
+  const v4 = v3.filter(chunk => chunk.id !== 'chunk_5').concat(createChunk(32));
+  const versions = [v1, v2, v3, v4];
+
+  let dir;
+  let server;
+  let baseUrl;
+  let requests;
+
+  const writeIndex = chunks => {
+    const content = JSON.stringify({ version: '1.0.0', created_at: new Date().toISOString(), model: { name: 'multilingual-e5-base', dimension: 8 }, chunks });
+    fs.writeFileSync(path.join(dir, 'nyla-knowledge-index.json'), content);
+    fs.writeFileSync(path.join(dir, 'nyla-knowledge-index.json.gz'), zlib.gzipSync(content));
+  };
+  const readVersion = () => JSON.parse(fs.readFileSync(path.join(dir, 'nyla-knowledge-version.json'), 'utf-8'));
+
+  const createClient = async (installedChunks, model = 'multilingual-e5-base') => {
+    const vectorDB = new NYLAVectorDB({ dimension: 8 });
+    await vectorDB.loadFAISS();
+    vectorDB.initialized = true;
+    vectorDB.createNewIndex();
+    await vectorDB.addChunks(installedChunks.map(chunk => ({ ...chunk })));
+    vectorDB.embeddingModel = model && `${model}:8`;
+    global.nylaVectorDB = vectorDB;
+
+    const sync = new NYLAProductionSync({
+      indexUrl: `${baseUrl}/nyla-knowledge-index.json.gz`,
+      versionUrl: `${baseUrl}/nyla-knowledge-version.json`,
+      maxRetries: 1
+    });
+    sync.currentVersion = { embeddingModel: model };
+    sync.storeVersion = async versionInfo => { sync.currentVersion = versionInfo; };
+    requests.length = 0;
+    return { sync, vectorDB };
+  };
+  const expectInstalled = (vectorDB, chunks) => {
+    expect([...vectorDB.chunks.keys()].sort()).toEqual(chunks.map(chunk => chunk.id).sort());
+    expect(NYLAChunkDiff.version(Array.from(vectorDB.chunks.values()))).toBe(NYLAChunkDiff.version(chunks));
+    expect(vectorDB.index.size()).toBe(chunks.length);
+  };
+
+  test.beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nyla-deltas-'));
+    const deployer = new VectorDBDeployer({ outputDir: dir, maxDeltas: 2 });
+    for (let i = 0; i < versions.length; i++) {
+      writeIndex(versions[i]);
+      await deployer.publish(i > 0 ? { chunks: versions[i - 1] } : null);
+    }
+
+    requests = [];
+    server = http.createServer((request, response) => {
+      const url = decodeURIComponent((request.url || '/').split('?')[0]);
+      requests.push(url);
+      fs.readFile(path.join(dir, url), (error, data) => {
+        if (error) {
+          response.writeHead(404);
+          response.end();
+          return;
+        }
+        response.writeHead(200, { 'Content-Length': data.length });
+        response.end(data);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(undefined)));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  test.afterAll(async () => {
+    await new Promise(resolve => server.close(() => resolve(undefined)));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should publish a delta patch per deployment', () => {
+    const versionInfo = readVersion();
+    const [, version2, version3, version4] = versions.map(chunks => NYLAChunkDiff.version(chunks));
+    expect(versionInfo.kbVersion).toBe(version4);
+
+    // Only the latest maxDeltas patches are kept
+    expect(versionInfo.deltas.map(delta => [delta.from, delta.to])).toEqual([[version2, version3], [version3, version4]]);
+    expect(fs.readdirSync(path.join(dir, 'deltas')).sort()).toEqual([`${version2}-${version3}.json.gz`, `${version3}-${version4}.json.gz`].sort());
+    expect(versionInfo.deltas[1].counts).toEqual({ added: 1, modified: 0, removed: 1 });
+
+    const delta = JSON.parse(zlib.gunzipSync(fs.readFileSync(path.join(dir, versionInfo.deltas[1].file))).toString());
+    expect(delta.chunks.map(chunk => chunk.id)).toEqual(['chunk_32']);
+    expect(delta.chunks[0].embedding).toEqual(createChunk(32).embedding);
+    expect(delta.removed).toEqual(['chunk_5']);
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'nyla-vector-deployment.json'), 'utf-8'));
+    expect(manifest.distribution.files.filter(file => file.name === 'delta').map(file => file.url)).toEqual(versionInfo.deltas.map(delta => delta.file));
+  });
+
+  test('should apply a chain of deltas instead of the full index', async () => {
+    const { sync, vectorDB } = await createClient(v2);
+    const progress = [];
+    sync.on('updateProgress', event => progress.push(event));
+
+    const result = await sync.downloadAndInstall();
+    expect(result).toMatchObject({ success: true, mode: 'delta', deltas: 2, chunkCount: v4.length });
+    expect(result.changes.counts).toMatchObject({ added: 1, modified: 1, removed: 1 });
+    expect(requests).toEqual(['/nyla-knowledge-version.json', ...readVersion().deltas.map(delta => `/${delta.file}`)]);
+    expect(progress.map(event => event.percentage)).toEqual([50, 100]);
+
+    expectInstalled(vectorDB, v4);
+    expect(vectorDB.chunks.get('chunk_4').embedding).toEqual(createChunk(4, 'Chunk 4 about QR codes').embedding);
+    expect(sync.currentVersion).toMatchObject({ kbVersion: readVersion().kbVersion, hash: readVersion().hash, source: 'production-delta' });
+    expect(sync.compareVersions(sync.currentVersion, readVersion()).updateNeeded).toBe(false);
+  });
+
+  test('should download the full index when the chain is broken', async () => {
+    // The delta from v1 was dropped from the version file
+    const outdated = await createClient(v1);
+    const full = await outdated.sync.downloadAndInstall();
+    expect(full).toMatchObject({ success: true, mode: 'full', chunkCount: v4.length });
+    expect(requests).toContain('/nyla-knowledge-index.json.gz');
+    expect(requests.some(url => url.startsWith('/deltas/'))).toBe(false);
+    expectInstalled(outdated.vectorDB, v4);
+    expect(outdated.sync.currentVersion.kbVersion).toBe(readVersion().kbVersion);
+
+    // A delta that fails hash verification leaves the vector DB untouched until the full download
+    const deltaPath = path.join(dir, readVersion().deltas[1].file);
+    const published = fs.readFileSync(deltaPath);
+    fs.writeFileSync(deltaPath, zlib.gzipSync(JSON.stringify({ tampered: true })));
+    try {
+      const { sync, vectorDB } = await createClient(v2);
+      const updateChunks = vectorDB.updateChunks.bind(vectorDB);
+      let updates = 0;
+      vectorDB.updateChunks = (...args) => {
+        updates++;
+        return updateChunks(...args);
+      };
+
+      const result = await sync.downloadAndInstall();
+      expect(result.mode).toBe('full');
+      expect(updates).toBe(0);
+      expect(requests).toContain(`/${readVersion().deltas[1].file}`);
+      expectInstalled(vectorDB, v4);
+    } finally {
+      fs.writeFileSync(deltaPath, published);
+    }
+
+    // Production at the installed version needs no download at all
+    const { sync } = await createClient(v4);
+    expect(await sync.downloadAndInstall()).toMatchObject({ mode: 'delta', deltas: 0 });
+    expect(requests).toEqual(['/nyla-knowledge-version.json']);
+  });
+
+  test('should download the full index when the embedding model changed', async () => {
+    // Same chunks, but the installed vectors come from another model
+    const { sync, vectorDB } = await createClient(v4.map(chunk => ({ ...chunk, embedding: embed(`e5-small ${chunk.text}`) })), 'multilingual-e5-small');
+
+    const result = await sync.downloadAndInstall();
+    expect(result).toMatchObject({ success: true, mode: 'full', chunkCount: v4.length });
+    expect(requests).toEqual(['/nyla-knowledge-version.json', '/nyla-knowledge-index.json.gz']);
+    expectInstalled(vectorDB, v4);
+    Array.from(vectorDB.chunks.get('chunk_0').embedding).forEach((value, i) => expect(value).toBeCloseTo(createChunk(0).embedding[i], 6));
+    expect(sync.currentVersion.embeddingModel).toBe('multilingual-e5-base');
+  });
+
+  test('should download the full index when the installed model is unknown or differs from the stored version', async () => {
+    // Installed before the model was recorded
+    const unknown = await createClient(v2, null);
+    expect(await unknown.sync.downloadAndInstall()).toMatchObject({ success: true, mode: 'full' });
+    expect(requests).toEqual(['/nyla-knowledge-version.json', '/nyla-knowledge-index.json.gz']);
+    expect(unknown.vectorDB.embeddingModel).toBe('multilingual-e5-base:8');
+
+    // The version says production's model, but the loaded vectors come from another one
+    const { sync, vectorDB } = await createClient(v2);
+    vectorDB.embeddingModel = 'multilingual-e5-small:8';
+    expect(await sync.downloadAndInstall()).toMatchObject({ success: true, mode: 'full' });
+    expect(requests).toEqual(['/nyla-knowledge-version.json', '/nyla-knowledge-index.json.gz']);
+    expectInstalled(vectorDB, v4);
+  });
+});
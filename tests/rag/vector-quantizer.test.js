@@ -0,0 +1,83 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+// The vector DB uses the quantizer and the HNSW index as browser globals
+global.window = global;
+global.NYLAHNSWIndex = require('../../pwa/js/rag/nyla-hnsw-index.js');
+global.NYLAVectorQuantizer = require('../../pwa/js/rag/nyla-vector-quantizer.js');
+const NYLAVectorQuantizer = global.NYLAVectorQuantizer;
+const NYLAVectorDB = require('../../pwa/js/rag/nyla-vector-db.js');
+
+/**
+ * Unit tests for the quantised embedding container and its retrieval check
+ * against the float embeddings of the shipped vector DB (no browser required)
+ */
+test.describe('NYLA Vector Quantizer', () => {
+  const vectorData = require('../../pwa/data/nyla-vector-db.json');
+  const embeddings = vectorData.embeddings;
+  const floats = embeddings.map(e => e.embedding);
+
+  test('should round-trip int8 embeddings and keep float retrieval', () => {
+    const bytes = NYLAVectorQuantizer.encode(embeddings, { method: 'int8' });
+    expect(bytes.length).toBeLessThan(floats.length * 768 * 4 / 3);
+
+    // Node buffers come with an offset into a shared pool
+    const decoded = NYLAVectorQuantizer.decode(Buffer.from(bytes));
+    expect(decoded).toMatchObject({ method: 'int8', dimension: 768, ids: embeddings.map(e => e.id) });
+    decoded.vectors[0].forEach((value, d) => expect(Math.abs(value - floats[0][d])).toBeLessThan(0.002));
+
+    const check = NYLAVectorQuantizer.compareRetrieval(floats, decoded.vectors);
+    expect(check.recall).toBeGreaterThanOrEqual(NYLAVectorQuantizer.MIN_RECALL.int8);
+    expect(check.meanSimilarityError).toBeLessThan(0.001);
+
+    // The build-time check queries perturbed vectors
+    const built = NYLAVectorQuantizer.check(embeddings, { method: 'int8' });
+    expect(built).toMatchObject({ floatBytes: floats.length * 768 * 4, k: 10, errors: [] });
+    expect(built.recall).toBeGreaterThanOrEqual(NYLAVectorQuantizer.MIN_RECALL.int8);
+  });
+
+  test('should product-quantise with fewer centroids than vectors', () => {
+    const check = NYLAVectorQuantizer.check(embeddings, { method: 'pq', pq: { subvectors: 48, centroids: 32, iterations: 6 } });
+    expect(NYLAVectorQuantizer.decode(check.bytes).header.pq).toEqual({ subvectors: 48, centroids: 32 });
+    expect(check.bytes.length).toBeLessThan(check.floatBytes);
+    expect(check.errors).toEqual([]);
+
+    // Queries equal to the stored vectors would pass any quantiser that reproduces them
+    const queries = NYLAVectorQuantizer.perturb(floats, NYLAVectorQuantizer.QUERY_NOISE);
+    expect(NYLAVectorQuantizer.compareRetrieval(floats, floats, 10, queries).recall).toBe(1);
+    expect(queries[0]).not.toEqual(floats[0]);
+
+    // Every vector would be its own centroid, in codebooks larger than the floats
+    expect(() => NYLAVectorQuantizer.encode(embeddings, { method: 'pq' }))
+      .toThrow(`Product quantisation needs more vectors than its 256 centroids, got ${embeddings.length}`);
+    const large = NYLAVectorQuantizer.check(embeddings, { method: 'pq', pq: { subvectors: 96, centroids: 118, iterations: 1 } });
+    expect(large.errors).toContain(`${large.bytes.length} bytes is not smaller than ${large.floatBytes} bytes of float32`);
+    expect(() => NYLAVectorQuantizer.encode(embeddings, { method: 'pq', pq: { subvectors: 100, centroids: 32 } }))
+      .toThrow('768 dimensions cannot be split into 100 subvectors');
+  });
+
+  test('should reject invalid containers and methods', () => {
+    const bytes = NYLAVectorQuantizer.encode(embeddings.slice(0, 3));
+    expect(() => NYLAVectorQuantizer.decode(new TextEncoder().encode('{"embeddings": []}'))).toThrow('Not a NYLA quantised vector container');
+    expect(() => NYLAVectorQuantizer.decode(bytes.slice(0, bytes.length - 10))).toThrow('Quantised vector container is truncated');
+    expect(() => NYLAVectorQuantizer.encode(embeddings, { method: 'float16' })).toThrow('Unknown quantisation method "float16", expected int8 or pq');
+  });
+
+  test('should load a quantised distribution into the vector DB', async () => {
+    const bytes = NYLAVectorQuantizer.encode(embeddings, { method: 'int8' });
+    const vectorDB = new NYLAVectorDB();
+    await vectorDB.loadFAISS();
+    vectorDB.initialized = true;
+
+    await vectorDB.loadFromData({
+      chunks: vectorData.chunks,
+      embeddings: embeddings.map(({ id, metadata }) => ({ id, metadata })),
+      quantized: { method: 'int8', data: NYLAVectorQuantizer.toBase64(bytes) }
+    });
+
+    expect(vectorDB.getStats()).toMatchObject({ chunkCount: embeddings.length, indexSize: embeddings.length, dimension: 768 });
+    const [best] = await vectorDB.search(floats[7], 1);
+    expect(best.id).toBe(embeddings[7].id);
+    expect(best.score).toBeGreaterThan(0.999);
+  });
+});